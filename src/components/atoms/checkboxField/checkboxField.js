@@ -0,0 +1,105 @@
+import { FormField } from '../../shared/formField/formField.js';
+import { html } from '../../shared/template/template.js';
+
+/**
+ * Checkbox of a form, see FormField.
+ *
+ * Like a native checkbox, it submits its `value` (`on` by default) only
+ * while it is `checked`, and `required` means it must be checked. The
+ * `checked` attribute sets whether it is checked at first and after the form
+ * resets.
+ *
+ * @example
+ * <form>
+ *   <checkbox-field name="completed" label="Completed" checked></checkbox-field>
+ * </form>
+ */
+export class CheckboxField extends FormField {
+  static get properties() {
+    return {
+      defaultChecked: { type: 'boolean', attribute: 'checked', default: false },
+    };
+  }
+
+  constructor() {
+    super();
+    this._checked = false;
+    this._checkedDirty = false;
+
+    if (Object.prototype.hasOwnProperty.call(this, 'checked')) {
+      const ownChecked = this.checked;
+      delete this.checked;
+      this.checked = ownChecked;
+    }
+  }
+
+  /**
+   * Whether the box is checked. Until it is set, it is the `checked` attribute (see `defaultChecked`).
+   * @type {boolean}
+   */
+  get checked() {
+    return this._checkedDirty ? this._checked : this.defaultChecked;
+  }
+
+  set checked(checked) {
+    const oldChecked = this.checked;
+    this._checked = Boolean(checked);
+    this._checkedDirty = true;
+    if (oldChecked !== this._checked) {
+      this._commit();
+      this.requestUpdate('checked', oldChecked);
+    }
+  }
+
+  template() {
+    const control = this._getControlAttributes();
+
+    return html`
+      <div class="flex items-center gap-2">
+        <input
+          id=${control.id}
+          name=${control.name}
+          type="checkbox"
+          value=${this.value || 'on'}
+          aria-required=${this.required ? 'true' : null}
+          aria-describedby=${control.describedBy}
+          aria-invalid=${control.invalid}
+          ?disabled=${control.disabled}
+          class="h-4 w-4 rounded border-gray-300"
+          .checked=${this.checked}
+          @change=${(event) => (this.checked = event.target.checked)}
+        />
+        <label for=${control.id} class=${this.hideLabel ? 'sr-only' : 'text-sm text-gray-900 dark:text-white'}
+          >${this.label}</label
+        >
+      </div>
+      ${this._messagesTemplate()}
+    `;
+  }
+
+  _getFormValue() {
+    return this.checked ? this.value || 'on' : null;
+  }
+
+  _getValidationValue() {
+    return this.checked;
+  }
+
+  _syncControl(control) {
+    if (control.checked !== this.checked) {
+      control.checked = this.checked;
+    }
+    if (control.value !== (this.value || 'on')) {
+      control.value = this.value || 'on';
+    }
+  }
+
+  _resetValue() {
+    super._resetValue();
+    this._checkedDirty = false;
+  }
+}
+
+if (!customElements.get('checkbox-field')) {
+  customElements.define('checkbox-field', CheckboxField);
+}
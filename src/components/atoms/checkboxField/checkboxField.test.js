@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { CheckboxField } from './checkboxField';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the CheckboxField component', () => {
+  let form;
+  let field;
+
+  const getCheckbox = () => field.querySelector('input');
+  const click = async () => {
+    getCheckbox().click();
+    await field.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = '<form><checkbox-field name="completed" checked></checkbox-field></form>';
+    form = document.querySelector('form');
+    field = form.querySelector('checkbox-field');
+    field.label = 'Completed';
+    await field.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as checkbox-field and render a checked box', () => {
+    expect(field).toBeInstanceOf(CheckboxField);
+    expect(getCheckbox().type).toBe('checkbox');
+    expect(getCheckbox().checked).toBe(true);
+    expect(getCheckbox().labels[0].textContent).toBe('Completed');
+  });
+
+  it('Should submit its value only while checked', async () => {
+    expect(new FormData(form).get('completed')).toBe('on');
+
+    await click();
+    expect(field.checked).toBe(false);
+    expect(new FormData(form).has('completed')).toBe(false);
+
+    field.value = 'yes';
+    field.checked = true;
+    expect(new FormData(form).get('completed')).toBe('yes');
+  });
+
+  it('Should have to be checked when required', async () => {
+    field.required = true;
+
+    await click();
+
+    expect(field.error).toBe('Check this box to continue.');
+    expect(getCheckbox().getAttribute('aria-invalid')).toBe('true');
+  });
+
+  it('Should be checked again when the form resets', async () => {
+    await click();
+
+    form.reset();
+    await field.updateComplete;
+
+    expect(field.checked).toBe(true);
+    expect(getCheckbox().checked).toBe(true);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(form)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,59 @@
+import { FormField } from '../../shared/formField/formField.js';
+import { html } from '../../shared/template/template.js';
+import { i18n } from '../../../js/i18n/i18n.js';
+
+/**
+ * Date field of a form, see FormField.
+ *
+ * The value is a `YYYY-MM-DD` date, or with `type="datetime-local"` a local
+ * date and time such as `2024-06-03T09:30`. `min` and `max` limit it, both
+ * in the picker and in the validation, whose messages show them as dates of
+ * the current language.
+ *
+ * @example
+ * <form>
+ *   <date-field name="dueDate" label="Due date" .min=${toDateKey()}></date-field>
+ *   <date-field name="remindAt" label="Reminder" type="datetime-local"></date-field>
+ * </form>
+ */
+export class DateField extends FormField {
+  static get properties() {
+    return {
+      type: { type: 'string', default: 'date' },
+      min: { type: 'string', default: '' },
+      max: { type: 'string', default: '' },
+    };
+  }
+
+  controlTemplate(control) {
+    return html`<input
+      id=${control.id}
+      name=${control.name}
+      type=${this.type}
+      min=${this.min || null}
+      max=${this.max || null}
+      aria-required=${this.required ? 'true' : null}
+      aria-describedby=${control.describedBy}
+      aria-invalid=${control.invalid}
+      ?disabled=${control.disabled}
+      class=${control.className}
+      .value=${this.value}
+      @input=${(event) => (this.value = event.target.value)}
+    />`;
+  }
+
+  _getConstraints() {
+    return { ...super._getConstraints(), min: this.min, max: this.max };
+  }
+
+  _formatLimit(limit) {
+    // Dates are calendar days, formatted in UTC so the timezone cannot move them; times are local.
+    return this.type === 'date'
+      ? i18n.formatDate(limit, { dateStyle: 'medium', timeZone: 'UTC' })
+      : i18n.formatDate(limit, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+}
+
+if (!customElements.get('date-field')) {
+  customElements.define('date-field', DateField);
+}
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { DateField } from './dateField';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the DateField component', () => {
+  let form;
+  let field;
+
+  const getInput = () => field.querySelector('input');
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = '<form><date-field name="dueDate" value="2024-06-03"></date-field></form>';
+    form = document.querySelector('form');
+    field = form.querySelector('date-field');
+    field.label = 'Due date';
+    await field.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as date-field and render a date input', () => {
+    expect(field).toBeInstanceOf(DateField);
+    expect(getInput().type).toBe('date');
+    expect(getInput().value).toBe('2024-06-03');
+    expect(new FormData(form).get('dueDate')).toBe('2024-06-03');
+  });
+
+  it('Should limit the dates, telling the limit as a date', async () => {
+    field.min = '2024-06-05';
+    field.max = '2024-06-30';
+    await field.updateComplete;
+    expect(getInput().min).toBe('2024-06-05');
+    expect(getInput().max).toBe('2024-06-30');
+
+    expect(field.checkValidity()).toBe(false);
+    await field.updateComplete;
+    expect(field.error).toBe('Choose Jun 5, 2024 or later.');
+
+    field.value = '2024-07-01';
+    await field.updateComplete;
+    expect(field.error).toBe('Choose Jun 30, 2024 or earlier.');
+  });
+
+  it('Should take a date and a time', async () => {
+    field.type = 'datetime-local';
+    field.min = '2024-06-03T09:30';
+    field.value = '2024-06-03T08:00';
+    await field.updateComplete;
+
+    expect(getInput().type).toBe('datetime-local');
+    expect(field.checkValidity()).toBe(false);
+    await field.updateComplete;
+    expect(field.error).toMatch(/^Choose Jun 3, 2024, 9:30\sAM or later\.$/);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(form)).toHaveNoViolations();
+  });
+});
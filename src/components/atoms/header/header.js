@@ -0,0 +1,248 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { i18n } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+/**
+ * Top navigation bar of the app.
+ *
+ * The brand, the navigation links and the action buttons (e.g. Import and
+ * Export) are configured through attributes. Clicking an action emits
+ * `header:action` with its id, for the app to handle. When there is more
+ * than one language, a select switches the locale of the app and emits
+ * `header:language` with the new `locale`.
+ *
+ * On small screens the links collapse behind a toggle button, which keeps
+ * `aria-expanded` in sync. Escape closes the menu and returns focus to the
+ * toggle, and the arrow keys, Home and End move between the links.
+ *
+ * Rendered in the light DOM so the Tailwind classes and dark mode of the
+ * document apply to it.
+ *
+ * @example
+ * <app-header
+ *   brand="Todo Vanilla"
+ *   brand-href="/"
+ *   logo="/vite.svg"
+ *   items='[{ "label": "Todos", "href": "#/", "current": true }, { "label": "About", "href": "#/about" }]'
+ *   actions='[{ "id": "import", "label": "Import" }, { "id": "export", "label": "Export" }]'
+ * ></app-header>
+ */
+export class AppHeader extends BaseComponent {
+  static get properties() {
+    return {
+      brand: { type: 'string', default: 'Todo Vanilla' },
+      brandHref: { type: 'string', default: '/' },
+      logo: { type: 'string', default: '' },
+      items: { type: 'json', default: () => [] },
+      actions: { type: 'json', default: () => [] },
+      menuLabel: { type: 'string', default: '' },
+      expanded: { type: 'boolean', default: false, reflect: true },
+    };
+  }
+
+  constructor() {
+    super('header');
+    this._menuId = `app-header-menu-${++instanceCount}`;
+  }
+
+  template() {
+    const items = Array.isArray(this.items) ? this.items : [];
+    const actions = Array.isArray(this.actions) ? this.actions : [];
+    const locales = i18n.getLocales();
+
+    return html`
+      <nav class="bg-white border-gray-200 px-4 lg:px-6 py-2.5 dark:bg-gray-800">
+        <div class="flex flex-wrap justify-between items-center mx-auto max-w-screen-xl">
+          <a href=${this.brandHref} class="flex items-center">
+            ${this.logo && html`<img src=${this.logo} class="mr-3 h-6 sm:h-9" alt="" />`}
+            <span class="self-center text-xl font-semibold whitespace-nowrap dark:text-white">${this.brand}</span>
+          </a>
+          ${(actions.length > 0 || locales.length > 1) &&
+          html`<div class="ml-auto flex items-center gap-1 lg:order-2 lg:ml-0">
+            ${actions.map(
+              (action) =>
+                html`<button
+                  type="button"
+                  data-key=${action.id}
+                  data-action=${action.id}
+                  class="rounded-lg px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-300 dark:hover:bg-gray-700 dark:focus:ring-gray-600"
+                  @click=${() => this.emit('header:action', { id: action.id })}
+                >
+                  ${action.label}
+                </button>`,
+            )}
+            ${locales.length > 1 &&
+            html`<select
+              name="locale"
+              aria-label=${this.t('header.language')}
+              class="rounded-lg border border-gray-300 bg-white py-1 pl-2 pr-8 text-sm text-gray-700 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-300"
+              .value=${i18n.locale}
+              @change=${(event) => this.setLocale(event.target.value)}
+            >
+              ${locales.map(
+                ({ code, name }) =>
+                  html`<option data-key=${code} value=${code} lang=${code} ?selected=${code === i18n.locale}>
+                    ${name}
+                  </option>`,
+              )}
+            </select>`}
+          </div>`}
+          <button
+            type="button"
+            class="inline-flex items-center p-2 ml-1 text-sm text-gray-500 rounded-lg lg:hidden hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700 dark:focus:ring-gray-600"
+            aria-controls=${this._menuId}
+            aria-expanded=${String(this.expanded)}
+            @click=${() => this.toggle()}
+          >
+            <span class="sr-only">${this.menuLabel || this.t('header.menu')}</span>
+            <svg
+              class=${this.expanded ? 'hidden w-6 h-6' : 'w-6 h-6'}
+              fill="currentColor"
+              viewBox="0 0 20 20"
+              aria-hidden="true"
+            >
+              <path
+                fill-rule="evenodd"
+                d="M3 5a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM3 10a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM3 15a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z"
+                clip-rule="evenodd"
+              ></path>
+            </svg>
+            <svg
+              class=${this.expanded ? 'w-6 h-6' : 'hidden w-6 h-6'}
+              fill="currentColor"
+              viewBox="0 0 20 20"
+              aria-hidden="true"
+            >
+              <path
+                fill-rule="evenodd"
+                d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                clip-rule="evenodd"
+              ></path>
+            </svg>
+          </button>
+          <div
+            id=${this._menuId}
+            class=${`${this.expanded ? 'flex' : 'hidden'} justify-between items-center w-full lg:flex lg:w-auto lg:order-1`}
+            @keydown=${(event) => this._onMenuKeydown(event)}
+          >
+            <ul class="flex flex-col w-full mt-4 font-medium lg:flex-row lg:space-x-8 lg:mt-0">
+              ${items.map(
+                (item) => html`
+                  <li data-key=${item.href}>
+                    <a
+                      href=${item.href}
+                      class=${item.current
+                        ? 'block py-2 pr-4 pl-3 text-white rounded bg-blue-700 lg:bg-transparent lg:text-blue-700 lg:p-0 dark:text-white'
+                        : 'block py-2 pr-4 pl-3 text-gray-700 border-b border-gray-100 hover:bg-gray-50 lg:hover:bg-transparent lg:border-0 lg:hover:text-blue-700 lg:p-0 dark:text-gray-400 lg:dark:hover:text-white dark:hover:bg-gray-700 dark:hover:text-white lg:dark:hover:bg-transparent dark:border-gray-700'}
+                      aria-current=${item.current ? 'page' : null}
+                      @click=${() => this.collapse()}
+                      >${item.label}</a
+                    >
+                  </li>
+                `,
+              )}
+            </ul>
+          </div>
+        </div>
+      </nav>
+    `;
+  }
+
+  onMount() {
+    this.listen(document, 'click', (event) => {
+      if (this.expanded && !this.contains(event.target)) {
+        this.collapse();
+      }
+    });
+    this.listen(this, 'keydown', (event) => {
+      if (event.key === 'Escape' && this.expanded) {
+        event.preventDefault();
+        this.collapse();
+        this.getToggle().focus();
+      }
+    });
+  }
+
+  /**
+   * Gets the button that opens and closes the menu.
+   * @returns {HTMLButtonElement|null} The toggle button.
+   */
+  getToggle() {
+    return this.render().querySelector(`[aria-controls="${this._menuId}"]`);
+  }
+
+  /**
+   * Gets the navigation links.
+   * @returns {HTMLAnchorElement[]} The links, in order.
+   */
+  getLinks() {
+    return [...this.render().querySelectorAll(`#${this._menuId} a`)];
+  }
+
+  /**
+   * Opens or closes the menu.
+   * @param {boolean} [expanded=!this.expanded] - Forces the menu open (true) or closed (false).
+   * @example
+   * header.toggle(); // Opens the menu if it is closed
+   */
+  toggle(expanded = !this.expanded) {
+    if (this.expanded === expanded) {
+      return;
+    }
+
+    this.expanded = expanded;
+    this.emit('header:toggle', { expanded });
+  }
+
+  /**
+   * Closes the menu.
+   */
+  collapse() {
+    this.toggle(false);
+  }
+
+  /**
+   * Switches the language of the app.
+   * @param {string} locale - One of the locales of i18n, e.g. `pt-BR`.
+   */
+  setLocale(locale) {
+    if (locale === i18n.locale) {
+      return;
+    }
+
+    i18n.setLocale(locale);
+    this.emit('header:language', { locale: i18n.locale });
+  }
+
+  _onMenuKeydown(event) {
+    if (!NAVIGATION_KEYS.includes(event.key)) {
+      return;
+    }
+
+    const links = this.getLinks();
+    const index = links.indexOf(event.target);
+    if (index === -1) {
+      return;
+    }
+
+    event.preventDefault();
+    const last = links.length - 1;
+    const next = {
+      ArrowLeft: index === 0 ? last : index - 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      ArrowRight: index === last ? 0 : index + 1,
+      ArrowDown: index === last ? 0 : index + 1,
+      Home: 0,
+      End: last,
+    }[event.key];
+    links[next].focus();
+  }
+}
+
+if (!customElements.get('app-header')) {
+  customElements.define('app-header', AppHeader);
+}
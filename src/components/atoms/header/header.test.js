@@ -0,0 +1,210 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { AppHeader } from './header';
+import { i18n } from '../../../js/i18n/i18n';
+
+const items = [
+  { label: 'Todos', href: '#/', current: true },
+  { label: 'Done', href: '#/done' },
+  { label: 'About', href: '#/about' },
+];
+
+describe('Test suite for the AppHeader component', () => {
+  let header;
+
+  const getToggle = () => header.getToggle();
+  const getMenu = () => header.querySelector(`#${getToggle().getAttribute('aria-controls')}`);
+  const pressKey = (target, key) =>
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <app-header brand="My tasks" brand-href="/home" logo="/logo.svg" items='${JSON.stringify(items)}'></app-header>
+    `;
+    header = document.querySelector('app-header');
+    await header.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    i18n.setLocale('en');
+  });
+
+  it('Should be registered as app-header', () => {
+    expect(header).toBeInstanceOf(AppHeader);
+    expect(header.render().tagName).toBe('HEADER');
+  });
+
+  it('Should render the brand from attributes', () => {
+    const brand = header.querySelector('nav > div > a');
+
+    expect(brand.getAttribute('href')).toBe('/home');
+    expect(brand.textContent.trim()).toBe('My tasks');
+    expect(brand.querySelector('img').getAttribute('src')).toBe('/logo.svg');
+  });
+
+  it('Should render the navigation items from attributes', () => {
+    const links = header.getLinks();
+
+    expect(links.map((link) => link.textContent)).toEqual(['Todos', 'Done', 'About']);
+    expect(links.map((link) => link.getAttribute('href'))).toEqual(['#/', '#/done', '#/about']);
+    expect(links[0].getAttribute('aria-current')).toBe('page');
+    expect(links[1].hasAttribute('aria-current')).toBe(false);
+  });
+
+  it('Should update the navigation when the items change', async () => {
+    header.items = [{ label: 'Inbox', href: '#/inbox' }];
+    await header.updateComplete;
+
+    expect(header.getLinks().map((link) => link.textContent)).toEqual(['Inbox']);
+  });
+
+  it('Should start with the menu collapsed', () => {
+    expect(header.expanded).toBe(false);
+    expect(getToggle().getAttribute('aria-expanded')).toBe('false');
+    expect(getMenu().classList.contains('hidden')).toBe(true);
+  });
+
+  describe('Should open and close the menu', () => {
+    it('With the toggle button', async () => {
+      const onToggle = vi.fn();
+      header.addEventListener('header:toggle', (event) => onToggle(event.detail));
+
+      getToggle().click();
+      await header.updateComplete;
+
+      expect(header.expanded).toBe(true);
+      expect(getToggle().getAttribute('aria-expanded')).toBe('true');
+      expect(getMenu().classList.contains('hidden')).toBe(false);
+      expect(HTMLElement.prototype.hasAttribute.call(header, 'expanded')).toBe(true);
+
+      getToggle().click();
+      await header.updateComplete;
+
+      expect(header.expanded).toBe(false);
+      expect(getToggle().getAttribute('aria-expanded')).toBe('false');
+      expect(onToggle.mock.calls).toEqual([[{ expanded: true }], [{ expanded: false }]]);
+    });
+
+    it('With Escape, returning the focus to the toggle', async () => {
+      header.toggle(true);
+      await header.updateComplete;
+      header.getLinks()[1].focus();
+
+      pressKey(header.getLinks()[1], 'Escape');
+      await header.updateComplete;
+
+      expect(header.expanded).toBe(false);
+      expect(document.activeElement).toBe(getToggle());
+    });
+
+    it('When a link is chosen', async () => {
+      header.toggle(true);
+      await header.updateComplete;
+
+      header.getLinks()[2].dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      await header.updateComplete;
+
+      expect(header.expanded).toBe(false);
+    });
+
+    it('When clicking outside the header', async () => {
+      header.toggle(true);
+      await header.updateComplete;
+
+      document.body.click();
+      await header.updateComplete;
+
+      expect(header.expanded).toBe(false);
+    });
+  });
+
+  it('Should keep the toggle element between renders', async () => {
+    const toggle = getToggle();
+
+    toggle.click();
+    await header.updateComplete;
+
+    expect(getToggle()).toBe(toggle);
+  });
+
+  describe('Should move the focus between links with the keyboard', () => {
+    it.each([
+      ['ArrowRight', 0, 1],
+      ['ArrowDown', 2, 0],
+      ['ArrowLeft', 0, 2],
+      ['ArrowUp', 1, 0],
+      ['Home', 2, 0],
+      ['End', 0, 2],
+    ])('%s from link %i', (key, from, to) => {
+      const links = header.getLinks();
+      links[from].focus();
+
+      pressKey(links[from], key);
+
+      expect(document.activeElement).toBe(links[to]);
+    });
+  });
+
+  it('Should render no action buttons by default', () => {
+    expect(header.querySelector('[data-action]')).toBeNull();
+  });
+
+  it('Should emit header:action with the id of the clicked action', async () => {
+    header.actions = [
+      { id: 'import', label: 'Import' },
+      { id: 'export', label: 'Export' },
+    ];
+    await header.updateComplete;
+    const handler = vi.fn();
+    header.addEventListener('header:action', handler);
+
+    const buttons = [...header.querySelectorAll('[data-action]')];
+    buttons[1].click();
+
+    expect(buttons.map((button) => button.textContent.trim())).toEqual(['Import', 'Export']);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({ id: 'export' });
+  });
+
+  describe('Should switch the language', () => {
+    const getSelect = () => header.querySelector('select[name="locale"]');
+
+    it('With a select of the available locales', () => {
+      const options = [...getSelect().options];
+
+      expect(getSelect().getAttribute('aria-label')).toBe('Language');
+      expect(getSelect().value).toBe('en');
+      expect(options.map((option) => [option.value, option.textContent.trim()])).toEqual([
+        ['en', 'English'],
+        ['pt-BR', 'Português (Brasil)'],
+      ]);
+    });
+
+    it('Emitting header:language and translating the header', async () => {
+      const handler = vi.fn();
+      header.addEventListener('header:language', handler);
+
+      getSelect().value = 'pt-BR';
+      getSelect().dispatchEvent(new Event('change', { bubbles: true }));
+      await header.updateComplete;
+
+      expect(i18n.locale).toBe('pt-BR');
+      expect(handler.mock.calls[0][0].detail).toEqual({ locale: 'pt-BR' });
+      expect(getToggle().textContent.trim()).toBe('Abrir o menu principal');
+      expect(getSelect().getAttribute('aria-label')).toBe('Idioma');
+    });
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    header.actions = [{ id: 'export', label: 'Export' }];
+    await header.updateComplete;
+
+    expect(await axe(header)).toHaveNoViolations();
+
+    header.toggle(true);
+    await header.updateComplete;
+
+    expect(await axe(header)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,42 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+
+// Written out in full so Tailwind finds the class names when scanning the sources.
+const PRIORITY_CLASSES = {
+  high: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  medium: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300',
+  low: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+};
+
+/**
+ * Small colored label with the priority of a todo. Renders nothing without a priority.
+ *
+ * @example
+ * <priority-badge priority="high"></priority-badge>
+ */
+export class PriorityBadge extends BaseComponent {
+  static get properties() {
+    return {
+      priority: { type: 'string', default: '' },
+    };
+  }
+
+  constructor() {
+    super('span');
+  }
+
+  template() {
+    const classes = PRIORITY_CLASSES[this.priority];
+    if (!classes) {
+      return html``;
+    }
+
+    return html`<span class=${`rounded px-1.5 py-0.5 text-xs font-medium ${classes}`}
+      >${this.t(`priority.${this.priority}`)}<span class="sr-only"> ${this.t('priority.suffix')}</span></span
+    >`;
+  }
+}
+
+if (!customElements.get('priority-badge')) {
+  customElements.define('priority-badge', PriorityBadge);
+}
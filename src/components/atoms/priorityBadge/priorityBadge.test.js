@@ -0,0 +1,43 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { PriorityBadge } from './priorityBadge';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the PriorityBadge component', () => {
+  let badge;
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    badge = new PriorityBadge();
+    badge.priority = 'high';
+    document.body.appendChild(badge);
+    await badge.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should show the priority with its color', () => {
+    expect(badge.textContent.trim()).toBe('High priority');
+    expect(badge.querySelector('span span').className).toContain('bg-red-100');
+  });
+
+  it('Should follow the priority', async () => {
+    badge.priority = 'low';
+    await badge.updateComplete;
+
+    expect(badge.textContent.trim()).toBe('Low priority');
+  });
+
+  it('Should render nothing without a priority', async () => {
+    badge.priority = '';
+    await badge.updateComplete;
+
+    expect(badge.textContent.trim()).toBe('');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(badge)).toHaveNoViolations();
+  });
+});
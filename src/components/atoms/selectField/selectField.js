@@ -0,0 +1,56 @@
+import { FormField } from '../../shared/formField/formField.js';
+import { html } from '../../shared/template/template.js';
+
+/**
+ * Drop-down field of a form, see FormField.
+ *
+ * The `options` are `{ value, label }` objects, in order. With `required`,
+ * an option whose value is empty (e.g. "Choose a list") counts as no
+ * choice.
+ *
+ * @example
+ * <form>
+ *   <select-field
+ *     name="priority"
+ *     label="Priority"
+ *     .options=${[{ value: '', label: 'None' }, { value: 'high', label: 'High' }]}
+ *   ></select-field>
+ * </form>
+ */
+export class SelectField extends FormField {
+  static get properties() {
+    return {
+      options: { attribute: false, default: () => [] },
+    };
+  }
+
+  /**
+   * The selected options of the control, like those of a native select.
+   * @type {HTMLOptionElement[]}
+   */
+  get selectedOptions() {
+    return [...(this._getControl()?.selectedOptions || [])];
+  }
+
+  controlTemplate(control) {
+    return html`<select
+      id=${control.id}
+      name=${control.name}
+      aria-required=${this.required ? 'true' : null}
+      aria-describedby=${control.describedBy}
+      aria-invalid=${control.invalid}
+      ?disabled=${control.disabled}
+      class=${control.className}
+      .value=${this.value}
+      @change=${(event) => (this.value = event.target.value)}
+    >
+      ${(this.options || []).map(
+        (option) => html`<option data-key=${option.value} value=${option.value}>${option.label}</option>`,
+      )}
+    </select>`;
+  }
+}
+
+if (!customElements.get('select-field')) {
+  customElements.define('select-field', SelectField);
+}
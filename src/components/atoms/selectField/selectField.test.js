@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { SelectField } from './selectField';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the SelectField component', () => {
+  let form;
+  let field;
+
+  const getSelect = () => field.querySelector('select');
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = '<form><select-field name="priority" value="medium"></select-field></form>';
+    form = document.querySelector('form');
+    field = form.querySelector('select-field');
+    field.label = 'Priority';
+    field.options = [
+      { value: '', label: 'None' },
+      { value: 'high', label: 'High' },
+      { value: 'medium', label: 'Medium' },
+    ];
+    await field.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as select-field and render the options', () => {
+    expect(field).toBeInstanceOf(SelectField);
+    expect([...getSelect().options].map((option) => option.textContent)).toEqual(['None', 'High', 'Medium']);
+    expect(getSelect().value).toBe('medium');
+    expect(field.selectedOptions.map((option) => option.textContent)).toEqual(['Medium']);
+  });
+
+  it('Should submit the chosen option', () => {
+    getSelect().value = 'high';
+    getSelect().dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(field.value).toBe('high');
+    expect(new FormData(form).get('priority')).toBe('high');
+  });
+
+  it('Should count the empty option as no choice when required', async () => {
+    field.required = true;
+    field.value = '';
+
+    expect(field.checkValidity()).toBe(false);
+    await field.updateComplete;
+    expect(field.error).toBe('Fill in this field.');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(form)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,52 @@
+import { FormField } from '../../shared/formField/formField.js';
+import { html } from '../../shared/template/template.js';
+
+/**
+ * Single-line text field of a form, see FormField.
+ *
+ * Besides `required` and custom `rules`, the text may be limited with
+ * `minLength`, `maxLength` and a `pattern` the whole text must match.
+ *
+ * @example
+ * <form>
+ *   <text-field name="title" label="Title" value="Buy milk" .required=${true} .maxLength=${200}></text-field>
+ * </form>
+ */
+export class TextField extends FormField {
+  static get properties() {
+    return {
+      type: { type: 'string', default: 'text' },
+      placeholder: { type: 'string', default: '' },
+      autocomplete: { type: 'string', default: '' },
+      minLength: { type: 'number', attribute: 'minlength', default: null },
+      maxLength: { type: 'number', attribute: 'maxlength', default: null },
+      pattern: { type: 'string', default: '' },
+    };
+  }
+
+  controlTemplate(control) {
+    return html`<input
+      id=${control.id}
+      name=${control.name}
+      type=${this.type}
+      placeholder=${this.placeholder || null}
+      autocomplete=${this.autocomplete || null}
+      maxlength=${this.maxLength}
+      aria-required=${this.required ? 'true' : null}
+      aria-describedby=${control.describedBy}
+      aria-invalid=${control.invalid}
+      ?disabled=${control.disabled}
+      class=${control.className}
+      .value=${this.value}
+      @input=${(event) => (this.value = event.target.value)}
+    />`;
+  }
+
+  _getConstraints() {
+    return { ...super._getConstraints(), minLength: this.minLength, maxLength: this.maxLength, pattern: this.pattern };
+  }
+}
+
+if (!customElements.get('text-field')) {
+  customElements.define('text-field', TextField);
+}
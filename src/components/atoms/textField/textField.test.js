@@ -0,0 +1,75 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TextField } from './textField';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the TextField component', () => {
+  let form;
+  let field;
+
+  const getInput = () => field.querySelector('input');
+  const type = async (value) => {
+    getInput().value = value;
+    getInput().dispatchEvent(new Event('input', { bubbles: true }));
+    getInput().dispatchEvent(new Event('change', { bubbles: true }));
+    await field.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = '<form><text-field name="title" placeholder="Add a task"></text-field></form>';
+    form = document.querySelector('form');
+    field = form.querySelector('text-field');
+    field.label = 'Title';
+    await field.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as text-field and render a text input', () => {
+    expect(field).toBeInstanceOf(TextField);
+    expect(getInput().type).toBe('text');
+    expect(getInput().placeholder).toBe('Add a task');
+    expect(getInput().labels[0].textContent).toBe('Title');
+  });
+
+  it('Should submit what is typed', async () => {
+    await type('Buy milk');
+
+    expect(field.value).toBe('Buy milk');
+    expect(new FormData(form).get('title')).toBe('Buy milk');
+  });
+
+  it('Should validate the length and the pattern of the text', async () => {
+    field.minLength = 3;
+    field.maxLength = 10;
+    field.pattern = '[a-z ]+';
+    await field.updateComplete;
+    expect(getInput().maxLength).toBe(10);
+
+    await type('ab');
+    expect(field.error).toBe('Use at least 3 characters.');
+
+    await type('Buy milk');
+    expect(field.error).toBe('Match the requested format.');
+
+    await type('buy milk');
+    expect(field.error).toBe('');
+  });
+
+  it('Should hide the label visually when asked', async () => {
+    field.hideLabel = true;
+    await field.updateComplete;
+
+    expect(field.querySelector('label').classList.contains('sr-only')).toBe(true);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    field.required = true;
+    await type('');
+
+    expect(await axe(form)).toHaveNoViolations();
+  });
+});
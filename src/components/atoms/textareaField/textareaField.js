@@ -0,0 +1,49 @@
+import { FormField } from '../../shared/formField/formField.js';
+import { html } from '../../shared/template/template.js';
+
+/**
+ * Multi-line text field of a form, see FormField.
+ *
+ * Besides `required` and custom `rules`, the text may be limited with
+ * `minLength` and `maxLength`.
+ *
+ * @example
+ * <form>
+ *   <textarea-field name="notes" label="Notes" .rows=${4} .maxLength=${2000}></textarea-field>
+ * </form>
+ */
+export class TextareaField extends FormField {
+  static get properties() {
+    return {
+      rows: { type: 'number', default: 2 },
+      placeholder: { type: 'string', default: '' },
+      minLength: { type: 'number', attribute: 'minlength', default: null },
+      maxLength: { type: 'number', attribute: 'maxlength', default: null },
+    };
+  }
+
+  controlTemplate(control) {
+    return html`<textarea
+      id=${control.id}
+      name=${control.name}
+      rows=${this.rows}
+      placeholder=${this.placeholder || null}
+      maxlength=${this.maxLength}
+      aria-required=${this.required ? 'true' : null}
+      aria-describedby=${control.describedBy}
+      aria-invalid=${control.invalid}
+      ?disabled=${control.disabled}
+      class=${control.className}
+      .value=${this.value}
+      @input=${(event) => (this.value = event.target.value)}
+    ></textarea>`;
+  }
+
+  _getConstraints() {
+    return { ...super._getConstraints(), minLength: this.minLength, maxLength: this.maxLength };
+  }
+}
+
+if (!customElements.get('textarea-field')) {
+  customElements.define('textarea-field', TextareaField);
+}
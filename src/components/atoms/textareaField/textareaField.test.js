@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TextareaField } from './textareaField';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the TextareaField component', () => {
+  let form;
+  let field;
+
+  const getTextarea = () => field.querySelector('textarea');
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = '<form><textarea-field name="notes" rows="4"></textarea-field></form>';
+    form = document.querySelector('form');
+    field = form.querySelector('textarea-field');
+    field.label = 'Notes';
+    await field.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as textarea-field and render a textarea', () => {
+    expect(field).toBeInstanceOf(TextareaField);
+    expect(getTextarea().rows).toBe(4);
+    expect(getTextarea().labels[0].textContent).toBe('Notes');
+  });
+
+  it('Should keep several lines in sync with the form', async () => {
+    field.value = 'Milk\nBread';
+    expect(getTextarea().value).toBe('Milk\nBread');
+
+    getTextarea().value = 'Milk\nBread\nEggs';
+    getTextarea().dispatchEvent(new Event('input', { bubbles: true }));
+
+    expect(field.value).toBe('Milk\nBread\nEggs');
+    expect(new FormData(form).get('notes')).toBe('Milk\nBread\nEggs');
+  });
+
+  it('Should validate the length of the text', async () => {
+    field.maxLength = 5;
+    field.value = 'Too long';
+
+    expect(field.checkValidity()).toBe(false);
+    await field.updateComplete;
+    expect(field.error).toBe('Use at most 5 characters.');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    field.hint = 'Only you can see them';
+    await field.updateComplete;
+
+    expect(await axe(form)).toHaveNoViolations();
+  });
+});
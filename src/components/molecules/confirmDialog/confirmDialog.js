@@ -0,0 +1,158 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+
+let instanceCount = 0;
+
+/**
+ * Modal dialog asking the user to confirm a destructive action, in place of
+ * `window.confirm`, so the question and the buttons follow the locale and the
+ * theme of the app.
+ *
+ * `ask` opens the dialog with a message and resolves once the user answers:
+ * with true for the confirm button, and with false for Cancel or Escape.
+ * Cancel has the focus, so pressing Enter right away does not delete
+ * anything. Closing emits `confirm:close` with the answer, and returns the
+ * focus to where it was.
+ *
+ * @example
+ * <confirm-dialog></confirm-dialog>
+ *
+ * if (await dialog.ask({ message: t('sidebar.confirmDelete', { name }), confirmLabel: t('common.delete') })) {
+ *   workspace.deleteList(listId);
+ * }
+ */
+export class ConfirmDialog extends BaseComponent {
+  static get properties() {
+    return {
+      message: { attribute: false, default: '' },
+      confirmLabel: { attribute: false, default: '' },
+      opened: { attribute: false, default: false },
+    };
+  }
+
+  constructor() {
+    super('dialog');
+    this._id = `confirm-dialog-${++instanceCount}`;
+    this._resolve = null;
+    this._returnFocus = null;
+    this.setAttribute('role', 'alertdialog');
+    this.setAttribute('aria-labelledby', `${this._id}-message`);
+    this.addClass([
+      'w-full',
+      'max-w-sm',
+      'rounded-lg',
+      'bg-white',
+      'p-4',
+      'text-gray-900',
+      'shadow-xl',
+      'backdrop:bg-gray-900/50',
+      'dark:bg-gray-800',
+      'dark:text-white',
+    ]);
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Also stops the browser from closing the dialog on its own.
+        event.preventDefault();
+        event.stopPropagation();
+        this.close(false);
+      }
+    });
+  }
+
+  template() {
+    if (!this.opened) {
+      return html``;
+    }
+
+    return html`
+      <p id=${`${this._id}-message`} class="mb-4 text-sm">${this.message}</p>
+      <div class="flex justify-end gap-2">
+        <button
+          type="button"
+          data-action="cancel"
+          class="rounded-lg px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-600"
+          @click=${() => this.close(false)}
+        >
+          ${this.t('common.cancel')}
+        </button>
+        <button
+          type="button"
+          data-action="confirm"
+          class="rounded-lg bg-red-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-red-800"
+          @click=${() => this.close(true)}
+        >
+          ${this.confirmLabel || this.t('common.delete')}
+        </button>
+      </div>
+    `;
+  }
+
+  onUnmount() {
+    this.close(false);
+  }
+
+  /**
+   * Opens the dialog and waits for the answer. Asking again while open answers the previous question with false.
+   * @param {Object} options - The question.
+   * @param {string} options.message - The question, e.g. `Delete "Work" and its 2 tasks?`.
+   * @param {string} [options.confirmLabel] - The label of the confirm button. Defaults to Delete.
+   * @returns {Promise<boolean>} Resolves with true if the user confirmed.
+   */
+  async ask({ message, confirmLabel = '' }) {
+    this._settle(false);
+    this._returnFocus = this._returnFocus || document.activeElement;
+    this.message = message;
+    this.confirmLabel = confirmLabel;
+    this.opened = true;
+
+    const answer = new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+    await this.updateComplete;
+
+    const dialog = this.render();
+    if (!dialog.open) {
+      // showModal keeps the focus in the dialog; without it, the dialog is shown as is.
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.open = true;
+      }
+    }
+    this.querySelector('[data-action="cancel"]')?.focus();
+
+    return answer;
+  }
+
+  /**
+   * Closes the dialog with an answer and returns the focus to where it was.
+   * @param {boolean} [confirmed=false] - The answer.
+   */
+  close(confirmed = false) {
+    if (!this.opened) {
+      return;
+    }
+
+    const dialog = this.render();
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.open = false;
+    }
+    this.opened = false;
+    this._returnFocus?.focus?.();
+    this._returnFocus = null;
+    this._settle(confirmed);
+    this.emit('confirm:close', { confirmed });
+  }
+
+  _settle(confirmed) {
+    const resolve = this._resolve;
+    this._resolve = null;
+    resolve?.(confirmed);
+  }
+}
+
+if (!customElements.get('confirm-dialog')) {
+  customElements.define('confirm-dialog', ConfirmDialog);
+}
@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ConfirmDialog } from './confirmDialog';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ConfirmDialog component', () => {
+  let dialog;
+  let opener;
+
+  const getButton = (action) => dialog.querySelector(`[data-action="${action}"]`);
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    dialog = new ConfirmDialog();
+    document.body.appendChild(dialog);
+    await dialog.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as confirm-dialog and render nothing while closed', () => {
+    expect(dialog).toBeInstanceOf(ConfirmDialog);
+    expect(dialog.render().tagName).toBe('DIALOG');
+    expect(dialog.render().getAttribute('role')).toBe('alertdialog');
+    expect(getButton('confirm')).toBeNull();
+  });
+
+  it('Should ask the question with Cancel focused', async () => {
+    dialog.ask({ message: 'Delete "Work"?' });
+    await dialog.updateComplete;
+
+    expect(dialog.render().open).toBe(true);
+    expect(dialog.textContent).toContain('Delete "Work"?');
+    expect(getButton('confirm').textContent.trim()).toBe('Delete');
+    expect(document.activeElement).toBe(getButton('cancel'));
+  });
+
+  describe('Should answer and return the focus', () => {
+    it('With true for the confirm button', async () => {
+      const onClose = vi.fn();
+      dialog.addEventListener('confirm:close', (event) => onClose(event.detail));
+      const answer = dialog.ask({ message: 'Delete "Work"?', confirmLabel: 'Remove' });
+      await dialog.updateComplete;
+      expect(getButton('confirm').textContent.trim()).toBe('Remove');
+
+      getButton('confirm').click();
+
+      expect(await answer).toBe(true);
+      expect(onClose).toHaveBeenCalledWith({ confirmed: true });
+      expect(dialog.render().open).toBe(false);
+      expect(document.activeElement).toBe(opener);
+    });
+
+    it('With false for Cancel', async () => {
+      const answer = dialog.ask({ message: 'Delete "Work"?' });
+      await dialog.updateComplete;
+
+      getButton('cancel').click();
+
+      expect(await answer).toBe(false);
+    });
+
+    it('With false for Escape, without letting it reach an outer dialog', async () => {
+      const onKeyDown = vi.fn();
+      document.body.addEventListener('keydown', onKeyDown);
+      const answer = dialog.ask({ message: 'Delete "Work"?' });
+      await dialog.updateComplete;
+
+      getButton('cancel').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      expect(await answer).toBe(false);
+      expect(onKeyDown).not.toHaveBeenCalled();
+      document.body.removeEventListener('keydown', onKeyDown);
+    });
+  });
+
+  it('Should answer a question with false when asked another one', async () => {
+    const first = dialog.ask({ message: 'Delete "Work"?' });
+    const second = dialog.ask({ message: 'Delete "Home"?' });
+    await dialog.updateComplete;
+
+    expect(await first).toBe(false);
+    expect(dialog.textContent).toContain('Delete "Home"?');
+    getButton('confirm').click();
+    expect(await second).toBe(true);
+  });
+
+  it('Should label the buttons in the current locale', async () => {
+    i18n.setLocale('pt-BR');
+    try {
+      dialog.ask({ message: 'Excluir "Trabalho"?' });
+      await dialog.updateComplete;
+
+      expect(getButton('cancel').textContent.trim()).toBe('Cancelar');
+      expect(getButton('confirm').textContent.trim()).toBe('Excluir');
+    } finally {
+      i18n.setLocale('en');
+    }
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    dialog.ask({ message: 'Delete "Work"?' });
+    await dialog.updateComplete;
+
+    expect(await axe(dialog)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,178 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { APP_EVENTS } from '../../../js/events/eventBus.js';
+import { DEFAULT_QUERY, QUERY_FILTERS, QUERY_SORTS, isFiltering, normalizeQuery } from '../../../js/query/todoQuery.js';
+
+let instanceCount = 0;
+
+// Message keys of the labels.
+const FILTER_LABELS = {
+  [QUERY_FILTERS.ALL]: 'queryBar.filter.all',
+  [QUERY_FILTERS.ACTIVE]: 'queryBar.filter.active',
+  [QUERY_FILTERS.COMPLETED]: 'queryBar.filter.completed',
+};
+
+const SORT_LABELS = {
+  [QUERY_SORTS.MANUAL]: 'queryBar.sort.manual',
+  [QUERY_SORTS.DUE_DATE]: 'queryBar.sort.dueDate',
+  [QUERY_SORTS.PRIORITY]: 'queryBar.sort.priority',
+  [QUERY_SORTS.CREATED]: 'queryBar.sort.created',
+};
+
+/**
+ * Search box, status filter, tag filter and sort controls for a todo list.
+ *
+ * The bar does not filter anything itself: every change emits
+ * `filter:changed` with the new query in the detail, and whoever owns the
+ * query (usually the router, through the URL) passes it back in `query`.
+ *
+ * @example
+ * <todo-query-bar .query=${query} .tags=${['home', 'work']}></todo-query-bar>
+ *
+ * eventBus.forward(document, [APP_EVENTS.FILTER_CHANGED]);
+ * eventBus.on(APP_EVENTS.FILTER_CHANGED, ({ query }) => router.setQuery(serializeQuery(query)));
+ */
+export class QueryBar extends BaseComponent {
+  static get properties() {
+    return {
+      query: { attribute: false, default: () => ({ ...DEFAULT_QUERY }) },
+      tags: { attribute: false, default: () => [] },
+    };
+  }
+
+  constructor() {
+    super('form');
+    this._id = `query-bar-${++instanceCount}`;
+    this.setAttribute('role', 'search');
+    this.addClass(['flex', 'flex-wrap', 'items-center', 'gap-2', 'mb-4']);
+    this.render().addEventListener('submit', (event) => event.preventDefault());
+  }
+
+  template() {
+    const query = normalizeQuery(this.query);
+    this.setAttribute('aria-label', this.t('queryBar.label'));
+    const controlClass =
+      'rounded-lg border border-gray-300 bg-white p-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-white';
+
+    return html`
+      <label for=${`${this._id}-search`} class="sr-only">${this.t('queryBar.search')}</label>
+      <input
+        id=${`${this._id}-search`}
+        type="search"
+        placeholder=${this.t('queryBar.search')}
+        class=${`flex-1 min-w-[12rem] ${controlClass}`}
+        .value=${query.search}
+        @input=${(event) => this.change({ search: event.target.value })}
+      />
+      <fieldset class="flex rounded-lg border border-gray-300 text-sm dark:border-gray-600">
+        <legend class="sr-only">${this.t('queryBar.status')}</legend>
+        ${Object.values(QUERY_FILTERS).map(
+          (filter) => html`
+            <label
+              class="cursor-pointer px-3 py-2 has-[:checked]:bg-gray-200 dark:text-white dark:has-[:checked]:bg-gray-600"
+            >
+              <input
+                type="radio"
+                class="sr-only"
+                name=${`${this._id}-filter`}
+                value=${filter}
+                .checked=${query.filter === filter}
+                @change=${() => this.change({ filter })}
+              />
+              ${this.t(FILTER_LABELS[filter])}
+            </label>
+          `,
+        )}
+      </fieldset>
+      <label for=${`${this._id}-sort`} class="sr-only">${this.t('queryBar.sortBy')}</label>
+      <select
+        id=${`${this._id}-sort`}
+        class=${controlClass}
+        .value=${query.sort}
+        @change=${(event) => this.change({ sort: event.target.value })}
+      >
+        ${Object.values(QUERY_SORTS).map((sort) => html`<option value=${sort}>${this.t(SORT_LABELS[sort])}</option>`)}
+      </select>
+      <label class="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          .checked=${query.reverse}
+          @change=${(event) => this.change({ reverse: event.target.checked })}
+        />
+        ${this.t('queryBar.reverse')}
+      </label>
+      ${this.tags.length > 0 &&
+      html`
+        <fieldset class="flex flex-wrap items-center gap-1 text-sm">
+          <legend class="sr-only">${this.t('queryBar.tags')}</legend>
+          ${this.tags.map(
+            (tag) => html`
+              <label
+                data-key=${tag}
+                class="cursor-pointer rounded-full border border-gray-300 px-2 py-0.5 text-gray-700 has-[:checked]:bg-blue-100 has-[:checked]:text-blue-800 dark:border-gray-600 dark:text-gray-300"
+              >
+                <input
+                  type="checkbox"
+                  class="sr-only"
+                  value=${tag}
+                  .checked=${query.tags.includes(tag)}
+                  @change=${(event) => this.toggleTag(tag, event.target.checked)}
+                />
+                #${tag}
+              </label>
+            `,
+          )}
+        </fieldset>
+      `}
+      ${(isFiltering(query) || query.sort !== DEFAULT_QUERY.sort || query.reverse) &&
+      html`<button
+        type="button"
+        class="rounded-lg px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+        @click=${() => this.clear()}
+      >
+        ${this.t('queryBar.clear')}
+      </button>`}
+    `;
+  }
+
+  /**
+   * Focuses the search field and selects its text, so typing replaces the search.
+   */
+  focusSearch() {
+    const input = this.querySelector('input[type="search"]');
+    input?.focus();
+    input?.select();
+  }
+
+  /**
+   * Changes part of the query and announces the new query.
+   * @param {Object} changes - The fields to change.
+   * @example
+   * queryBar.change({ filter: 'active' });
+   */
+  change(changes) {
+    this.query = normalizeQuery({ ...normalizeQuery(this.query), ...changes });
+    this.emit(APP_EVENTS.FILTER_CHANGED, { query: this.query });
+  }
+
+  /**
+   * Adds a tag to the tag filter or removes it.
+   * @param {string} tag - The tag.
+   * @param {boolean} selected - Whether todos must have the tag.
+   */
+  toggleTag(tag, selected) {
+    const tags = normalizeQuery(this.query).tags.filter((item) => item !== tag);
+    this.change({ tags: selected ? [...tags, tag] : tags });
+  }
+
+  /**
+   * Goes back to the default query.
+   */
+  clear() {
+    this.change({ ...DEFAULT_QUERY });
+  }
+}
+
+if (!customElements.get('todo-query-bar')) {
+  customElements.define('todo-query-bar', QueryBar);
+}
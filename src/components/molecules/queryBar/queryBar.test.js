@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { QueryBar } from './queryBar';
+import { APP_EVENTS } from '../../../js/events/eventBus';
+import { DEFAULT_QUERY } from '../../../js/query/todoQuery';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the QueryBar component', () => {
+  let bar;
+  let onChange;
+
+  const getSearch = () => bar.querySelector('input[type="search"]');
+  const getRadio = (value) => bar.querySelector(`input[type="radio"][value="${value}"]`);
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    onChange = vi.fn();
+    document.addEventListener(APP_EVENTS.FILTER_CHANGED, onChange);
+
+    bar = new QueryBar();
+    bar.query = { ...DEFAULT_QUERY, filter: 'active', search: 'milk' };
+    bar.tags = ['home', 'work'];
+    document.body.appendChild(bar);
+    await bar.updateComplete;
+  });
+
+  afterEach(() => {
+    document.removeEventListener(APP_EVENTS.FILTER_CHANGED, onChange);
+    document.body.innerHTML = '';
+  });
+
+  const lastQuery = () => onChange.mock.lastCall[0].detail.query;
+
+  it('Should render a search landmark', () => {
+    expect(bar.render().getAttribute('role')).toBe('search');
+    expect(bar.render().getAttribute('aria-label')).toBe('Filter tasks');
+  });
+
+  it('Should reflect the query in the controls', async () => {
+    expect(getSearch().value).toBe('milk');
+    expect(getRadio('active').checked).toBe(true);
+
+    bar.query = { ...DEFAULT_QUERY, filter: 'completed', sort: 'priority', tags: ['work'] };
+    await bar.updateComplete;
+
+    expect(getSearch().value).toBe('');
+    expect(getRadio('completed').checked).toBe(true);
+    expect(bar.querySelector('select').value).toBe('priority');
+    expect(bar.querySelector('input[value="work"]').checked).toBe(true);
+  });
+
+  describe('Should announce query changes', () => {
+    it('When typing a search', () => {
+      getSearch().value = 'bread';
+      getSearch().dispatchEvent(new Event('input', { bubbles: true }));
+
+      expect(lastQuery()).toMatchObject({ filter: 'active', search: 'bread' });
+    });
+
+    it('When choosing a status', () => {
+      getRadio('completed').click();
+
+      expect(lastQuery().filter).toBe('completed');
+    });
+
+    it('When choosing a sort and direction', () => {
+      const select = bar.querySelector('select');
+      select.value = 'due';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      bar.querySelector('input[type="checkbox"]:not([value])').click();
+
+      expect(lastQuery()).toMatchObject({ sort: 'due', reverse: true });
+    });
+
+    it('When toggling tags', () => {
+      bar.querySelector('input[value="home"]').click();
+      bar.querySelector('input[value="work"]').click();
+      bar.querySelector('input[value="home"]').click();
+
+      expect(lastQuery().tags).toEqual(['work']);
+    });
+
+    it('When clearing', async () => {
+      bar.querySelector('button').click();
+
+      expect(lastQuery()).toEqual(DEFAULT_QUERY);
+      await bar.updateComplete;
+      expect(bar.querySelector('button')).toBeNull();
+    });
+  });
+
+  it('Should hide the tag filter without tags', async () => {
+    bar.tags = [];
+    await bar.updateComplete;
+
+    expect(bar.querySelectorAll('fieldset')).toHaveLength(1);
+  });
+
+  it('Should focus the search field with its text selected', () => {
+    bar.focusSearch();
+
+    expect(document.activeElement).toBe(getSearch());
+    expect([getSearch().selectionStart, getSearch().selectionEnd]).toEqual([0, 4]);
+  });
+
+  it('Should not submit the form', () => {
+    const event = new Event('submit', { cancelable: true });
+    bar.render().dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(bar)).toHaveNoViolations();
+  });
+});
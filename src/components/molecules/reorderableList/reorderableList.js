@@ -0,0 +1,382 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import '../virtualList/virtualList.js';
+
+let instanceCount = 0;
+
+// Pointer moves shorter than this, in pixels, are clicks rather than drags.
+const DRAG_THRESHOLD = 4;
+
+/**
+ * List whose items can be reordered by dragging them or with the keyboard.
+ *
+ * Each item has a drag handle. Dragging it with a mouse, pen or finger moves
+ * the item; dropping it on an element with a `data-drop-target` attribute
+ * (e.g. a list in the sidebar) dispatches a bubbling `reorder:drop` event on
+ * that element instead, with the id and the item in the detail. With the
+ * keyboard, Space or Enter on the handle grabs the item, the arrow keys,
+ * Home and End move it, Space drops it and Escape puts it back. Every step is
+ * announced in a live region.
+ *
+ * The list never changes `items` itself: it previews the new order while an
+ * item moves and emits `reorder:move` on drop, with the id, the new index
+ * and the new order of the ids, so the owner updates its data.
+ *
+ * The rows are rendered by a VirtualList. Without a height the list grows
+ * with its items and renders all of them; give it one with `viewportClass`
+ * (e.g. `flex max-h-[70vh] flex-col`) and it scrolls, rendering only the
+ * rows in view.
+ *
+ * @example
+ * <reorderable-list
+ *   label="Todos"
+ *   viewport-class="flex max-h-[70vh] flex-col"
+ *   .items=${todos}
+ *   .itemTemplate=${(todo) => html`${todo.title}`}
+ *   @reorder:move=${({ detail }) => store.reorder(detail.id, detail.index)}
+ * ></reorderable-list>
+ */
+export class ReorderableList extends BaseComponent {
+  static get properties() {
+    return {
+      items: { attribute: false, default: () => [] },
+      itemTemplate: { attribute: false, default: null },
+      itemLabel: { attribute: false, default: null },
+      itemHeight: { attribute: false, default: 48 },
+      label: { type: 'string', default: '' },
+      viewportClass: { type: 'string', default: 'block' },
+      disabled: { type: 'boolean', default: false },
+      order: { attribute: false, default: null },
+      activeId: { attribute: false, default: null },
+      grabbed: { attribute: false, default: false },
+      announcement: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this._id = `reorderable-list-${++instanceCount}`;
+    this._drag = null;
+    this._dropTarget = null;
+    this._focus = null;
+  }
+
+  /**
+   * Gets the items in the order they are shown, which previews the move while an item is moving.
+   * @returns {Object[]} The items.
+   */
+  getOrderedItems() {
+    if (!this.order) {
+      return this.items;
+    }
+
+    const byId = new Map(this.items.map((item) => [item.id, item]));
+    const ordered = this.order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+
+    return [...ordered, ...this.items.filter((item) => !this.order.includes(item.id))];
+  }
+
+  /**
+   * Gets the text that names an item in the handle label and the announcements.
+   * @param {Object} item - The item.
+   * @returns {string} The label: from `itemLabel` when set, otherwise the title or id of the item.
+   */
+  getLabel(item) {
+    return typeof this.itemLabel === 'function' ? this.itemLabel(item) : String(item.title ?? item.id);
+  }
+
+  /**
+   * Scrolls an item into view, which renders its row.
+   * @param {string} id - The id of the item.
+   * @returns {boolean} False if the item is not in the list.
+   */
+  scrollToItem(id) {
+    const index = this.getOrderedItems().findIndex((item) => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this._getViewport()?.scrollToIndex(index);
+    return true;
+  }
+
+  template() {
+    const instructionsId = `${this._id}-instructions`;
+
+    return html`
+      <virtual-list
+        class=${this.viewportClass}
+        .label=${this.label}
+        .items=${this.getOrderedItems()}
+        .itemHeight=${this.itemHeight}
+        .itemTemplate=${(item, index) => this._rowTemplate(item, index, instructionsId)}
+      ></virtual-list>
+      <p id=${instructionsId} class="sr-only">${this.t('reorder.instructions')}</p>
+      <div role="status" aria-live="polite" class="sr-only">${this.announcement}</div>
+    `;
+  }
+
+  _rowTemplate(item, index, instructionsId) {
+    const label = this.getLabel(item);
+    const active = item.id === this.activeId;
+    const border = index > 0 ? 'border-t border-gray-200 dark:border-gray-700' : '';
+
+    return html`<div class=${active ? 'rounded-lg bg-blue-50 shadow-lg dark:bg-gray-700' : border}>
+      <div class="flex items-start gap-1">
+        ${!this.disabled &&
+        html`<button
+          type="button"
+          data-action="reorder"
+          class="mt-2 cursor-grab touch-none select-none rounded px-1 text-gray-400 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-300 dark:hover:bg-gray-700"
+          aria-label=${this.t('reorder.move', { label })}
+          aria-describedby=${instructionsId}
+          aria-pressed=${String(active && this.grabbed)}
+          @keydown=${(event) => this._onKeyDown(event, item)}
+          @pointerdown=${(event) => this._onPointerDown(event, item)}
+          @pointermove=${(event) => this._onPointerMove(event)}
+          @pointerup=${(event) => this._onPointerUp(event)}
+          @pointercancel=${() => this.cancel()}
+        >
+          ⠿
+        </button>`}
+        <div class="min-w-0 flex-1">${this.itemTemplate ? this.itemTemplate(item) : label}</div>
+      </div>
+    </div>`;
+  }
+
+  onUpdate(changedProperties) {
+    // The item being moved was removed, e.g. deleted in another tab.
+    if (changedProperties.has('items') && this.activeId && !this.items.some((item) => item.id === this.activeId)) {
+      this._reset();
+    }
+
+    // Moving an item in the DOM takes the focus away from its handle, so it is given back after each render
+    // until the owner has applied the move.
+    if (this._focus) {
+      this._focusHandle(this._focus.id);
+      if (!this._focus.untilItemsChange || changedProperties.has('items')) {
+        this._focus = null;
+      }
+    }
+  }
+
+  onUnmount() {
+    this._reset();
+  }
+
+  /**
+   * Grabs an item to move it with moveTo, as Space does on its handle.
+   * @param {string} id - The id of the item.
+   */
+  grab(id) {
+    const item = this._find(id);
+    if (!item || this.disabled) {
+      return;
+    }
+
+    this.order = this.items.map(({ id: itemId }) => itemId);
+    this.activeId = id;
+    this.grabbed = true;
+    this._announce(item, 'reorder.grabbed');
+  }
+
+  /**
+   * Moves the grabbed item to a position, clamped to the list bounds.
+   * @param {number} index - The new index.
+   */
+  moveTo(index) {
+    const item = this._find(this.activeId);
+    if (!item || !this.grabbed) {
+      return;
+    }
+
+    const order = this.order.filter((id) => id !== item.id);
+    order.splice(Math.min(Math.max(index, 0), order.length), 0, item.id);
+    this.order = order;
+    this._announce(item, 'reorder.moved');
+    this._focus = { id: item.id, untilItemsChange: false };
+  }
+
+  /**
+   * Drops the moving item where it is shown, emitting `reorder:move` if its position changed.
+   * @returns {boolean} True if the item moved.
+   */
+  drop() {
+    const item = this._find(this.activeId);
+    if (!item) {
+      this._reset();
+      return false;
+    }
+
+    const order = this.order || this.items.map(({ id }) => id);
+    const index = order.indexOf(item.id);
+    const previousIndex = this.items.indexOf(item);
+    this._announce(item, 'reorder.dropped');
+    this._reset();
+
+    if (index === previousIndex) {
+      return false;
+    }
+
+    this.emit('reorder:move', { id: item.id, index, previousIndex, order });
+    return true;
+  }
+
+  /**
+   * Puts the moving item back where it was.
+   */
+  cancel() {
+    const item = this._find(this.activeId);
+    if (item) {
+      this.order = null;
+      this._announce(item, 'reorder.cancelled');
+    }
+    this._reset();
+  }
+
+  _onKeyDown(event, item) {
+    const moving = this.grabbed && this.activeId === item.id;
+    const index = moving ? this.order.indexOf(item.id) : -1;
+    const targets = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: this.items.length - 1 };
+
+    if (event.key === ' ' || event.key === 'Enter') {
+      // Space and Enter would also click the handle.
+      event.preventDefault();
+      if (moving) {
+        this._focus = { id: item.id, untilItemsChange: this.drop() };
+      } else {
+        this.grab(item.id);
+      }
+    } else if (moving && event.key in targets) {
+      event.preventDefault();
+      this.moveTo(targets[event.key]);
+    } else if (moving && event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this._focus = { id: item.id, untilItemsChange: false };
+      this.cancel();
+    }
+  }
+
+  _onPointerDown(event, item) {
+    if (event.button !== 0 || this.grabbed) {
+      return;
+    }
+
+    this._drag = { id: item.id, pointerId: event.pointerId, startY: event.clientY, dragging: false };
+    // Keeps the pointer events coming to the handle while the pointer is over other elements.
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  }
+
+  _onPointerMove(event) {
+    const drag = this._drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+    if (!drag.dragging) {
+      if (Math.abs(event.clientY - drag.startY) < DRAG_THRESHOLD) {
+        return;
+      }
+      drag.dragging = true;
+      this.activeId = drag.id;
+      this.order = this.items.map(({ id }) => id);
+    }
+
+    event.preventDefault();
+    this._setDropTarget(this._findDropTarget(event));
+    if (!this._dropTarget) {
+      this.order = this._orderAt(drag.id, event.clientY);
+    }
+  }
+
+  _onPointerUp(event) {
+    const drag = this._drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+
+    this._drag = null;
+    if (!drag.dragging) {
+      return;
+    }
+
+    const target = this._dropTarget;
+    if (!target) {
+      this.drop();
+      return;
+    }
+
+    const item = this._find(drag.id);
+    this.order = null;
+    this._reset();
+    target.dispatchEvent(new CustomEvent('reorder:drop', { bubbles: true, detail: { id: item.id, item } }));
+  }
+
+  _orderAt(id, clientY) {
+    const viewport = this._getViewport();
+    const items = this.getOrderedItems();
+    const order = items.map((item) => item.id).filter((key) => key !== id);
+    // Only the rows in view are rendered, so the item goes right after the last of them above the pointer.
+    const { start, end } = viewport.getRange();
+    const shown = items
+      .slice(start, end)
+      .map((item) => item.id)
+      .filter((key) => key !== id && viewport.getRow(key));
+    const above = shown.filter((key) => {
+      const rect = viewport.getRow(key).getBoundingClientRect();
+      return rect.top + rect.height / 2 < clientY;
+    });
+    const index = above.length ? order.indexOf(above[above.length - 1]) + 1 : Math.max(order.indexOf(shown[0]), 0);
+    order.splice(index, 0, id);
+
+    return order;
+  }
+
+  _findDropTarget(event) {
+    const target = document.elementFromPoint?.(event.clientX, event.clientY)?.closest('[data-drop-target]');
+
+    return target && !this.contains(target) ? target : null;
+  }
+
+  _setDropTarget(target) {
+    if (target === this._dropTarget) {
+      return;
+    }
+
+    this._dropTarget?.removeAttribute('data-drop-active');
+    target?.setAttribute('data-drop-active', '');
+    this._dropTarget = target;
+  }
+
+  _announce(item, key) {
+    const order = this.order || this.items.map(({ id }) => id);
+    const position = this.t('reorder.position', { position: order.indexOf(item.id) + 1, total: order.length });
+    this.announcement = this.t(key, { label: this.getLabel(item), position });
+  }
+
+  _focusHandle(id) {
+    if (this.scrollToItem(id)) {
+      this._getViewport().getRow(id)?.querySelector('[data-action="reorder"]')?.focus();
+    }
+  }
+
+  _getViewport() {
+    return this.render().querySelector(':scope > virtual-list');
+  }
+
+  _find(id) {
+    return id ? this.items.find((item) => item.id === id) : undefined;
+  }
+
+  _reset() {
+    this._setDropTarget(null);
+    this._drag = null;
+    this.order = null;
+    this.activeId = null;
+    this.grabbed = false;
+  }
+}
+
+if (!customElements.get('reorderable-list')) {
+  customElements.define('reorderable-list', ReorderableList);
+}
@@ -0,0 +1,238 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ReorderableList } from './reorderableList';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ReorderableList component', () => {
+  let list;
+  let onMove;
+
+  const getRows = () => [...list.querySelectorAll('[role="listitem"]')];
+  const getKeys = () => getRows().map((row) => row.dataset.key);
+  const getHandle = (id) => list.querySelector(`[role="listitem"][data-key="${id}"] [data-action="reorder"]`);
+  const getStatus = () => list.querySelector('[role="status"]').textContent;
+  const press = async (id, key) => {
+    getHandle(id).dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    await list.updateComplete;
+  };
+  const pointer = async (id, type, clientY, init = {}) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    Object.assign(event, { button: 0, pointerId: 1, clientX: 10, clientY, ...init });
+    getHandle(id).dispatchEvent(event);
+    await list.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    list = new ReorderableList();
+    list.items = [
+      { id: 'a', title: 'Buy milk' },
+      { id: 'b', title: 'Walk the dog' },
+      { id: 'c', title: 'Call mom' },
+    ];
+    onMove = vi.fn((event) => {
+      // Applies the move like an owner would.
+      list.items = event.detail.order.map((id) => list.items.find((item) => item.id === id));
+    });
+    list.addEventListener('reorder:move', onMove);
+    document.body.appendChild(list);
+    await list.updateComplete;
+
+    // Stacks the items 20px apart, as jsdom has no layout.
+    getRows().forEach((row) => {
+      row.getBoundingClientRect = () => {
+        const top = getKeys().indexOf(row.dataset.key) * 20;
+        return { top, height: 20, bottom: top + 20 };
+      };
+    });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete document.elementFromPoint;
+  });
+
+  it('Should render the items with labelled drag handles', () => {
+    expect(getKeys()).toEqual(['a', 'b', 'c']);
+    expect(getHandle('a').getAttribute('aria-label')).toBe('Move Buy milk');
+    expect(list.querySelector(`#${getHandle('a').getAttribute('aria-describedby')}`).textContent).toContain(
+      'Press Space to grab',
+    );
+  });
+
+  it('Should render the items with the item template and label', async () => {
+    list.itemTemplate = (item) => `${item.title}!`;
+    list.itemLabel = (item) => item.title.toUpperCase();
+    await list.updateComplete;
+
+    expect(getRows()[0].textContent).toContain('Buy milk!');
+    expect(getHandle('a').getAttribute('aria-label')).toBe('Move BUY MILK');
+  });
+
+  it('Should hide the handles when disabled', async () => {
+    list.disabled = true;
+    await list.updateComplete;
+
+    expect(getHandle('a')).toBeNull();
+  });
+
+  describe('Should move items with the keyboard', () => {
+    it('Grabbing with Space, moving with the arrows and dropping with Space', async () => {
+      await press('a', ' ');
+      expect(getHandle('a').getAttribute('aria-pressed')).toBe('true');
+      expect(getStatus()).toBe('Grabbed Buy milk, position 1 of 3.');
+
+      await press('a', 'ArrowDown');
+      expect(getKeys()).toEqual(['b', 'a', 'c']);
+      expect(getStatus()).toBe('Moved Buy milk to position 2 of 3.');
+      expect(document.activeElement).toBe(getHandle('a'));
+      expect(onMove).not.toHaveBeenCalled();
+
+      await press('a', 'End');
+      await press('a', ' ');
+      expect(onMove).toHaveBeenCalledWith(
+        expect.objectContaining({ detail: { id: 'a', index: 2, previousIndex: 0, order: ['b', 'c', 'a'] } }),
+      );
+      expect(getStatus()).toBe('Dropped Buy milk at position 3 of 3.');
+      expect(getHandle('a').getAttribute('aria-pressed')).toBe('false');
+
+      await list.updateComplete;
+      expect(getKeys()).toEqual(['b', 'c', 'a']);
+      expect(document.activeElement).toBe(getHandle('a'));
+    });
+
+    it('Keeping the item within the list', async () => {
+      await press('b', 'Enter');
+      await press('b', 'ArrowUp');
+      await press('b', 'ArrowUp');
+
+      expect(getKeys()).toEqual(['b', 'a', 'c']);
+      expect(getStatus()).toBe('Moved Walk the dog to position 1 of 3.');
+    });
+
+    it('Putting the item back with Escape', async () => {
+      const onKeyDown = vi.fn();
+      document.body.addEventListener('keydown', onKeyDown);
+      await press('a', ' ');
+      await press('a', 'ArrowDown');
+      await press('a', 'Escape');
+
+      expect(getKeys()).toEqual(['a', 'b', 'c']);
+      expect(getStatus()).toBe('Move cancelled. Buy milk is back at position 1 of 3.');
+      expect(onMove).not.toHaveBeenCalled();
+      expect(onKeyDown.mock.calls.map(([event]) => event.key)).toEqual([' ', 'ArrowDown']);
+      document.body.removeEventListener('keydown', onKeyDown);
+    });
+
+    it('Not emitting a move when dropped in place', async () => {
+      await press('a', ' ');
+      await press('a', ' ');
+
+      expect(onMove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Should move items by dragging', () => {
+    it('Previewing the order while the pointer moves', async () => {
+      await pointer('a', 'pointerdown', 10);
+      await pointer('a', 'pointermove', 12);
+      expect(list.activeId).toBeNull();
+
+      await pointer('a', 'pointermove', 35);
+      expect(getKeys()).toEqual(['b', 'a', 'c']);
+
+      await pointer('a', 'pointermove', 55);
+      expect(getKeys()).toEqual(['b', 'c', 'a']);
+
+      await pointer('a', 'pointerup', 55);
+      expect(onMove).toHaveBeenCalledWith(expect.objectContaining({ detail: expect.objectContaining({ index: 2 }) }));
+      expect(list.activeId).toBeNull();
+    });
+
+    it('Ignoring clicks', async () => {
+      await pointer('a', 'pointerdown', 10);
+      await pointer('a', 'pointerup', 10);
+
+      expect(onMove).not.toHaveBeenCalled();
+    });
+
+    it('Putting the item back when cancelled', async () => {
+      await pointer('a', 'pointerdown', 10);
+      await pointer('a', 'pointermove', 55);
+      await pointer('a', 'pointercancel', 55);
+
+      expect(getKeys()).toEqual(['a', 'b', 'c']);
+      expect(onMove).not.toHaveBeenCalled();
+    });
+
+    it('Dropping on a drop target outside the list', async () => {
+      const target = document.createElement('div');
+      target.dataset.dropTarget = 'groceries';
+      const onDrop = vi.fn();
+      target.addEventListener('reorder:drop', onDrop);
+      document.body.appendChild(target);
+      document.elementFromPoint = vi.fn(() => target);
+
+      await pointer('a', 'pointerdown', 10);
+      await pointer('a', 'pointermove', 300);
+      expect(target.hasAttribute('data-drop-active')).toBe(true);
+      expect(getKeys()).toEqual(['a', 'b', 'c']);
+
+      await pointer('a', 'pointerup', 300);
+      expect(onDrop).toHaveBeenCalledWith(
+        expect.objectContaining({ detail: { id: 'a', item: { id: 'a', title: 'Buy milk' } } }),
+      );
+      expect(target.hasAttribute('data-drop-active')).toBe(false);
+      expect(onMove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Should only render the rows in view of a long list', () => {
+    beforeEach(async () => {
+      list.viewportClass = 'flex max-h-[70vh] flex-col';
+      list.items = Array.from({ length: 1000 }, (_, index) => ({ id: `todo-${index}`, title: `Todo ${index + 1}` }));
+      await list.updateComplete;
+      await list.querySelector('virtual-list').updateComplete;
+    });
+
+    it('Rendering the rows that fit in the viewport', () => {
+      expect(getRows().length).toBeLessThanOrEqual(30);
+      expect(getKeys()[0]).toBe('todo-0');
+    });
+
+    it('Following the item moved with the keyboard out of view', async () => {
+      await press('todo-0', ' ');
+      await press('todo-0', 'End');
+
+      expect(getHandle('todo-0')).toBe(document.activeElement);
+      expect(
+        getRows()
+          .find((row) => row.dataset.key === 'todo-0')
+          .getAttribute('aria-posinset'),
+      ).toBe('1000');
+      expect(getStatus()).toBe('Moved Todo 1 to position 1,000 of 1,000.');
+    });
+
+    it('Scrolling an item into view', () => {
+      expect(list.scrollToItem('todo-500')).toBe(true);
+      expect(getKeys()).toContain('todo-500');
+      expect(list.scrollToItem('missing')).toBe(false);
+    });
+  });
+
+  it('Should stop moving an item that is removed', async () => {
+    await press('a', ' ');
+    list.items = list.items.slice(1);
+    await list.updateComplete;
+    await list.updateComplete;
+
+    expect(list.grabbed).toBe(false);
+    expect(getKeys()).toEqual(['b', 'c']);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await press('a', ' ');
+
+    expect(await axe(list)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,160 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { TODO_EVENTS } from '../../../js/store/todoStore.js';
+import { translateError } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+/**
+ * Checklist of the subtasks of a todo, with the progress of the todo.
+ *
+ * Subtasks are completed, added and deleted in place, straight on the
+ * store. The progress bar shows the progress derived by the store, which
+ * also counts the subtasks of subtasks.
+ *
+ * @example
+ * <subtask-list .store=${store} .parentId=${todo.id}></subtask-list>
+ */
+export class SubtaskList extends BaseComponent {
+  static get properties() {
+    return {
+      store: { attribute: false, default: null },
+      parentId: { type: 'string', default: '' },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this._id = `subtask-list-${++instanceCount}`;
+    this._unsubscribe = null;
+  }
+
+  template() {
+    const parent = this.store?.get(this.parentId);
+    if (!parent) {
+      return html``;
+    }
+
+    const subtasks = this.store.getSubtasks(this.parentId);
+    const { completed, total, ratio } = this.store.getProgress(this.parentId);
+    const percent = Math.round(ratio * 100);
+
+    return html`
+      <div class="mb-2 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+        <div
+          role="progressbar"
+          aria-label=${this.t('subtasks.progress', { title: parent.title })}
+          aria-valuemin="0"
+          aria-valuemax="100"
+          aria-valuenow=${String(percent)}
+          class="h-1.5 flex-1 rounded-full bg-gray-200 dark:bg-gray-700"
+        >
+          <div class="h-1.5 rounded-full bg-blue-600" style=${`width: ${percent}%`}></div>
+        </div>
+        <span>${this.t('subtasks.count', { completed, total })}</span>
+      </div>
+      ${subtasks.length > 0 &&
+      html`<ul class="mb-2 space-y-1">
+        ${subtasks.map(
+          (subtask) =>
+            html`<li data-key=${subtask.id} class="flex items-center gap-2 text-sm">
+              <input
+                id=${`${this._id}-${subtask.id}`}
+                type="checkbox"
+                class="h-4 w-4 rounded border-gray-300"
+                .checked=${subtask.completed}
+                @change=${(event) => this.store.toggle(subtask.id, event.target.checked)}
+              />
+              <label
+                for=${`${this._id}-${subtask.id}`}
+                class=${`flex-1 ${subtask.completed ? 'text-gray-400 line-through' : 'text-gray-900 dark:text-white'}`}
+                >${subtask.title}</label
+              >
+              <button
+                type="button"
+                class="rounded p-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                aria-label=${this.t('subtasks.delete', { title: subtask.title })}
+                @click=${() => this.store.delete(subtask.id)}
+              >
+                ✕
+              </button>
+            </li>`,
+        )}
+      </ul>`}
+      ${this.error && html`<p role="alert" class="mb-1 text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+      <div class="flex gap-2">
+        <label for=${`${this._id}-new`} class="sr-only">${this.t('subtasks.new')}</label>
+        <input
+          id=${`${this._id}-new`}
+          type="text"
+          placeholder=${this.t('subtasks.placeholder')}
+          class="flex-1 rounded-lg border border-gray-300 bg-white p-1.5 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+          @keydown=${(event) => this._onKeyDown(event)}
+        />
+        <button
+          type="button"
+          class="rounded-lg bg-gray-100 px-3 py-1.5 text-sm text-gray-900 hover:bg-gray-200 dark:bg-gray-700 dark:text-white"
+          @click=${() => this.addSubtask(this.querySelector(`#${this._id}-new`).value)}
+        >
+          ${this.t('common.add')}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Adds a subtask and clears the field.
+   * @param {string} title - The title of the subtask.
+   * @returns {Object|null} The created subtask, or null if the title is not valid.
+   */
+  addSubtask(title) {
+    let subtask;
+    try {
+      subtask = this.store.create({ title, parentId: this.parentId });
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    this.error = '';
+    const input = this.querySelector(`#${this._id}-new`);
+    if (input) {
+      input.value = '';
+    }
+
+    return subtask;
+  }
+
+  onMount() {
+    this._watchStore();
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('store') && this.isConnected) {
+      this._watchStore();
+    }
+  }
+
+  onUnmount() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  _onKeyDown(event) {
+    if (event.key === 'Enter') {
+      // Enter adds the subtask instead of submitting the surrounding form.
+      event.preventDefault();
+      this.addSubtask(event.target.value);
+    }
+  }
+
+  _watchStore() {
+    this._unsubscribe?.();
+    this._unsubscribe = this.store ? this.store.subscribe(TODO_EVENTS.CHANGE, () => this.requestUpdate()) : null;
+  }
+}
+
+if (!customElements.get('subtask-list')) {
+  customElements.define('subtask-list', SubtaskList);
+}
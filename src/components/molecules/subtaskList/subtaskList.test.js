@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { SubtaskList } from './subtaskList';
+import { TodoStore } from '../../../js/store/todoStore';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the SubtaskList component', () => {
+  let list;
+  let store;
+  let parent;
+
+  const getTitles = () => [...list.querySelectorAll('li label')].map((item) => item.textContent.trim());
+  const getProgress = () => list.querySelector('[role="progressbar"]');
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    store = new TodoStore();
+    parent = store.create({ title: 'Move house' });
+    store.create({ title: 'Pack books', parentId: parent.id });
+    store.create({ title: 'Unrelated' });
+
+    list = new SubtaskList();
+    list.store = store;
+    list.parentId = parent.id;
+    document.body.appendChild(list);
+    await list.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should list the subtasks with the progress of the parent', () => {
+    expect(getTitles()).toEqual(['Pack books']);
+    expect(getProgress().getAttribute('aria-valuenow')).toBe('0');
+    expect(getProgress().getAttribute('aria-label')).toBe('Progress of Move house');
+    expect(list.textContent).toContain('0 of 1 subtasks done');
+  });
+
+  it('Should complete subtasks', async () => {
+    const checkbox = list.querySelector('li input[type="checkbox"]');
+    checkbox.click();
+    await list.updateComplete;
+
+    expect(store.getSubtasks(parent.id)[0].completed).toBe(true);
+    expect(getProgress().getAttribute('aria-valuenow')).toBe('100');
+    expect(getProgress().firstElementChild.getAttribute('style')).toBe('width: 100%');
+  });
+
+  describe('Should add subtasks', () => {
+    it('With Enter', async () => {
+      const input = list.querySelector(`input[type="text"]`);
+      input.value = 'Label boxes';
+      const event = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+      input.dispatchEvent(event);
+      await list.updateComplete;
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(getTitles()).toEqual(['Pack books', 'Label boxes']);
+      expect(input.value).toBe('');
+    });
+
+    it('Showing why a title is not valid', async () => {
+      [...list.querySelectorAll('button')].find((button) => button.textContent.trim() === 'Add').click();
+      await list.updateComplete;
+
+      expect(list.querySelector('[role="alert"]').textContent).toBe('Define a valid todo title');
+      expect(store.getSubtasks(parent.id)).toHaveLength(1);
+    });
+  });
+
+  it('Should delete subtasks', async () => {
+    list.querySelector('[aria-label="Delete subtask Pack books"]').click();
+    await list.updateComplete;
+
+    expect(getTitles()).toEqual([]);
+    expect(list.textContent).toContain('No subtasks');
+  });
+
+  it('Should render nothing for an unknown parent', async () => {
+    list.parentId = 'missing';
+    await list.updateComplete;
+
+    expect(list.textContent.trim()).toBe('');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(list)).toHaveNoViolations();
+  });
+});
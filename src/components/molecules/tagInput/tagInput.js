@@ -0,0 +1,221 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { normalizeTags } from '../../../js/store/todoStore.js';
+
+let instanceCount = 0;
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Field for editing free-form tags, with autocomplete.
+ *
+ * Tags are typed in a combobox and added with Enter or a comma, and removed
+ * with their remove button or Backspace in the empty field. Suggestions
+ * that contain the typed text are listed below it; the arrow keys move
+ * through them, Enter picks one and Escape closes the list. Every change
+ * emits `tags:change` with the tags in the detail.
+ *
+ * @example
+ * <tag-input label="Tags" tags='["home"]'></tag-input>
+ *
+ * tagInput.suggestions = collectTags(store.getAll());
+ */
+export class TagInput extends BaseComponent {
+  static get properties() {
+    return {
+      tags: { type: 'json', default: () => [] },
+      suggestions: { attribute: false, default: () => [] },
+      label: { type: 'string', default: '' },
+      text: { attribute: false, default: '' },
+      open: { attribute: false, default: false },
+      activeIndex: { attribute: false, default: -1 },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this._id = `tag-input-${++instanceCount}`;
+  }
+
+  /**
+   * Gets the suggestions that match the typed text and are not tags yet.
+   * @returns {string[]} The matching suggestions, at most eight.
+   */
+  getMatches() {
+    const text = this.text.trim().replace(/^#+/, '').toLowerCase();
+    const tags = this.getTags().map((tag) => tag.toLowerCase());
+
+    return normalizeTags(this.suggestions)
+      .filter((tag) => !tags.includes(tag.toLowerCase()) && tag.toLowerCase().includes(text))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Gets the current tags.
+   * @returns {string[]} The tags.
+   */
+  getTags() {
+    return normalizeTags(Array.isArray(this.tags) ? this.tags : []);
+  }
+
+  template() {
+    const tags = this.getTags();
+    const matches = this.open ? this.getMatches() : [];
+    const expanded = matches.length > 0;
+    const listboxId = `${this._id}-listbox`;
+    const optionId = (index) => `${this._id}-option-${index}`;
+    const label = this.label || this.t('tagInput.label');
+
+    return html`
+      <label for=${`${this._id}-input`} class="mb-1 block text-sm font-medium text-gray-900 dark:text-white"
+        >${label}</label
+      >
+      <div
+        class="relative flex flex-wrap items-center gap-1 rounded-lg border border-gray-300 bg-white p-1.5 dark:border-gray-600 dark:bg-gray-700"
+      >
+        ${tags.length > 0 &&
+        html`<ul class="contents" aria-label=${label}>
+          ${tags.map(
+            (tag) =>
+              html`<li
+                data-key=${tag}
+                class="flex items-center gap-1 rounded bg-blue-100 px-2 py-0.5 text-xs text-blue-800 dark:bg-blue-900 dark:text-blue-300"
+              >
+                #${tag}
+                <button
+                  type="button"
+                  class="rounded hover:bg-blue-200 dark:hover:bg-blue-800"
+                  aria-label=${this.t('tagInput.remove', { tag })}
+                  @click=${() => this.removeTag(tag)}
+                >
+                  ✕
+                </button>
+              </li>`,
+          )}
+        </ul>`}
+        <input
+          id=${`${this._id}-input`}
+          type="text"
+          role="combobox"
+          autocomplete="off"
+          aria-autocomplete="list"
+          aria-controls=${listboxId}
+          aria-expanded=${String(expanded)}
+          aria-activedescendant=${expanded && this.activeIndex >= 0 ? optionId(this.activeIndex) : null}
+          placeholder=${this.t('tagInput.placeholder')}
+          class="min-w-[6rem] flex-1 border-0 bg-transparent p-1 text-sm text-gray-900 focus:ring-0 dark:text-white"
+          .value=${this.text}
+          @input=${(event) => this._onInput(event)}
+          @keydown=${(event) => this._onKeyDown(event)}
+          @blur=${() => this._onBlur()}
+        />
+        <ul
+          id=${listboxId}
+          role="listbox"
+          aria-label=${this.t('tagInput.suggestions')}
+          ?hidden=${!expanded}
+          class="absolute left-0 top-full z-10 mt-1 w-full rounded-lg border border-gray-200 bg-white py-1 text-sm shadow dark:border-gray-600 dark:bg-gray-700"
+        >
+          ${matches.map(
+            (tag, index) =>
+              html`<li
+                id=${optionId(index)}
+                role="option"
+                aria-selected=${String(index === this.activeIndex)}
+                class=${`cursor-pointer px-3 py-1 text-gray-900 dark:text-white ${
+                  index === this.activeIndex ? 'bg-gray-100 dark:bg-gray-600' : ''
+                }`}
+                @mousedown=${(event) => event.preventDefault()}
+                @click=${() => this.addTag(tag)}
+              >
+                #${tag}
+              </li>`,
+          )}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Adds tags, ignoring the ones already there, and clears the field.
+   * @param {string[]|string} value - A tag, comma-separated tags or an array of tags.
+   * @returns {string[]} The tags after the change.
+   */
+  addTag(value) {
+    const tags = normalizeTags([...this.getTags(), ...normalizeTags(value)]);
+    this.text = '';
+    this.open = false;
+    this.activeIndex = -1;
+
+    return this._change(tags);
+  }
+
+  /**
+   * Removes a tag, whatever its case.
+   * @param {string} tag - The tag.
+   * @returns {string[]} The tags after the change.
+   */
+  removeTag(tag) {
+    return this._change(this.getTags().filter((item) => item.toLowerCase() !== tag.toLowerCase()));
+  }
+
+  _change(tags) {
+    if (tags.join('\n') !== this.getTags().join('\n')) {
+      this.tags = tags;
+      this.emit('tags:change', { tags });
+    }
+
+    return tags;
+  }
+
+  _onInput(event) {
+    const { value } = event.target;
+    if (value.includes(',')) {
+      this.addTag(value);
+      return;
+    }
+
+    this.text = value;
+    this.open = true;
+    this.activeIndex = -1;
+  }
+
+  _onKeyDown(event) {
+    const matches = this.open ? this.getMatches() : [];
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!this.open) {
+        this.open = true;
+        this.activeIndex = event.key === 'ArrowDown' ? 0 : this.getMatches().length - 1;
+        return;
+      }
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      this.activeIndex = matches.length ? (this.activeIndex + step + matches.length) % matches.length : -1;
+    } else if (event.key === 'Enter') {
+      // Enter adds a tag instead of submitting the surrounding form.
+      event.preventDefault();
+      this.addTag(matches[this.activeIndex] ?? this.text);
+    } else if (event.key === 'Escape' && matches.length) {
+      event.stopPropagation();
+      this.open = false;
+      this.activeIndex = -1;
+    } else if (event.key === 'Backspace' && !this.text) {
+      const tags = this.getTags();
+      if (tags.length) {
+        this.removeTag(tags[tags.length - 1]);
+      }
+    }
+  }
+
+  _onBlur() {
+    if (this.text.trim()) {
+      this.addTag(this.text);
+    }
+    this.open = false;
+  }
+}
+
+if (!customElements.get('tag-input')) {
+  customElements.define('tag-input', TagInput);
+}
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TagInput } from './tagInput';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the TagInput component', () => {
+  let input;
+  let onChange;
+
+  const getField = () => input.querySelector('input');
+  const getChips = () => [...input.querySelectorAll('li[data-key]')].map((item) => item.dataset.key);
+  const getOptions = () => [...input.querySelectorAll('[role="option"]')].map((item) => item.textContent.trim());
+  const type = async (value) => {
+    getField().value = value;
+    getField().dispatchEvent(new Event('input', { bubbles: true }));
+    await input.updateComplete;
+  };
+  const press = async (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    getField().dispatchEvent(event);
+    await input.updateComplete;
+    return event;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    input = new TagInput();
+    input.tags = ['home'];
+    input.suggestions = ['Errands', 'home', 'work', 'workout'];
+    onChange = vi.fn();
+    input.addEventListener('tags:change', onChange);
+    document.body.appendChild(input);
+    await input.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should render the tags with a labelled combobox', () => {
+    expect(getChips()).toEqual(['home']);
+    expect(getField().getAttribute('role')).toBe('combobox');
+    expect(input.querySelector(`label[for="${getField().id}"]`).textContent).toBe('Tags');
+  });
+
+  describe('Should add tags', () => {
+    it('With Enter', async () => {
+      await type(' #Groceries ');
+      const event = await press('Enter');
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(getChips()).toEqual(['home', 'Groceries']);
+      expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ detail: { tags: ['home', 'Groceries'] } }));
+      expect(getField().value).toBe('');
+    });
+
+    it('With a comma', async () => {
+      await type('a, b,');
+
+      expect(getChips()).toEqual(['home', 'a', 'b']);
+    });
+
+    it('When leaving the field', async () => {
+      await type('later');
+      getField().dispatchEvent(new Event('blur'));
+      await input.updateComplete;
+
+      expect(getChips()).toEqual(['home', 'later']);
+    });
+
+    it('Ignoring duplicates', async () => {
+      await type('HOME');
+      await press('Enter');
+
+      expect(getChips()).toEqual(['home']);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  it('Should remove tags', async () => {
+    input.tags = ['home', 'work'];
+    await input.updateComplete;
+
+    input.querySelector('[aria-label="Remove tag home"]').click();
+    await input.updateComplete;
+    expect(getChips()).toEqual(['work']);
+
+    await press('Backspace');
+    expect(getChips()).toEqual([]);
+  });
+
+  describe('Should suggest tags', () => {
+    it('That contain the text and are not used yet', async () => {
+      await type('o');
+
+      expect(getOptions()).toEqual(['#home', '#work', '#workout'].filter((tag) => tag !== '#home'));
+      expect(getField().getAttribute('aria-expanded')).toBe('true');
+    });
+
+    it('Picking one with the keyboard', async () => {
+      await type('wor');
+      await press('ArrowDown');
+      await press('ArrowDown');
+
+      const active = input.querySelector('[aria-selected="true"]');
+      expect(getField().getAttribute('aria-activedescendant')).toBe(active.id);
+      expect(active.textContent.trim()).toBe('#workout');
+
+      await press('Enter');
+      expect(getChips()).toEqual(['home', 'workout']);
+      expect(getField().getAttribute('aria-expanded')).toBe('false');
+    });
+
+    it('Picking one with the mouse', async () => {
+      await type('err');
+      input.querySelector('[role="option"]').click();
+      await input.updateComplete;
+
+      expect(getChips()).toEqual(['home', 'Errands']);
+    });
+
+    it('Closing the list with Escape', async () => {
+      const onEscape = vi.fn();
+      document.body.addEventListener('keydown', onEscape);
+      await type('w');
+      await press('Escape');
+
+      expect(getOptions()).toEqual([]);
+      expect(input.querySelector('[role="listbox"]').hidden).toBe(true);
+      expect(onEscape).not.toHaveBeenCalled();
+      document.body.removeEventListener('keydown', onEscape);
+    });
+
+    it('Opening the list with the arrow keys', async () => {
+      await press('ArrowDown');
+
+      expect(getOptions()).toEqual(['#Errands', '#work', '#workout']);
+    });
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await type('w');
+
+    expect(await axe(input)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,121 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+
+let toastCount = 0;
+
+/**
+ * Stack of short messages in a corner of the screen, announced to screen readers.
+ *
+ * The region is a polite live region that is always in the page, so
+ * messages added to it are read out. Each message can carry one action
+ * button, and is dismissed by its close button or after a timeout.
+ *
+ * @example
+ * <toast-region></toast-region>
+ *
+ * const toasts = document.querySelector('toast-region');
+ * toasts.show('Reminder: Pay rent', { action: { label: 'Open', onClick: () => router.navigate('/today') } });
+ */
+export class ToastRegion extends BaseComponent {
+  static get properties() {
+    return {
+      toasts: { attribute: false, default: () => [] },
+      timeout: { type: 'number', default: 8000 },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this._timers = new Map();
+    this.setAttribute('role', 'status');
+    this.setAttribute('aria-live', 'polite');
+    this.addClass([
+      'fixed',
+      'bottom-4',
+      'right-4',
+      'z-50',
+      'flex',
+      'w-80',
+      'max-w-[calc(100%-2rem)]',
+      'flex-col',
+      'gap-2',
+    ]);
+  }
+
+  template() {
+    return html`${this.toasts.map(
+      (toast) => html`
+        <div
+          data-key=${toast.id}
+          class="flex items-center gap-3 rounded-lg bg-gray-900 p-3 text-sm text-white shadow-lg dark:bg-gray-700"
+        >
+          <p class="flex-1">${toast.message}</p>
+          ${toast.action &&
+          html`<button
+            type="button"
+            class="font-semibold text-blue-300 hover:underline"
+            @click=${() => this._runAction(toast)}
+          >
+            ${toast.action.label}
+          </button>`}
+          <button
+            type="button"
+            class="rounded p-1 text-gray-300 hover:bg-gray-800 hover:text-white"
+            aria-label=${this.t('common.dismiss')}
+            @click=${() => this.dismiss(toast.id)}
+          >
+            ✕
+          </button>
+        </div>
+      `,
+    )}`;
+  }
+
+  /**
+   * Shows a message.
+   * @param {string} message - The message.
+   * @param {Object} [options] - Toast options.
+   * @param {{ label: string, onClick: function(): void }} [options.action] - A button shown next to the message.
+   * Clicking it also dismisses the message.
+   * @param {number} [options.timeout] - Milliseconds before the message goes away, 0 to keep it.
+   * Defaults to the `timeout` property.
+   * @returns {string} The id of the message, for dismiss.
+   */
+  show(message, { action = null, timeout = this.timeout } = {}) {
+    const id = `toast-${++toastCount}`;
+    this.toasts = [...this.toasts, { id, message, action }];
+
+    if (timeout > 0) {
+      this._timers.set(
+        id,
+        setTimeout(() => this.dismiss(id), timeout),
+      );
+    }
+
+    return id;
+  }
+
+  /**
+   * Removes a message.
+   * @param {string} id - The id returned by show.
+   */
+  dismiss(id) {
+    clearTimeout(this._timers.get(id));
+    this._timers.delete(id);
+    this.toasts = this.toasts.filter((toast) => toast.id !== id);
+  }
+
+  onUnmount() {
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+  }
+
+  _runAction(toast) {
+    this.dismiss(toast.id);
+    toast.action.onClick?.();
+  }
+}
+
+if (!customElements.get('toast-region')) {
+  customElements.define('toast-region', ToastRegion);
+}
@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ToastRegion } from './toastRegion';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ToastRegion component', () => {
+  let region;
+
+  const getMessages = () => [...region.querySelectorAll('p')].map((item) => item.textContent);
+
+  beforeEach(() => {
+    i18n.setLocale('en');
+    vi.useFakeTimers();
+    region = new ToastRegion();
+    document.body.appendChild(region);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+  });
+
+  it('Should be a polite live region', () => {
+    expect(region.render().getAttribute('role')).toBe('status');
+    expect(region.render().getAttribute('aria-live')).toBe('polite');
+  });
+
+  it('Should show messages until they time out', async () => {
+    region.show('Saved');
+    region.show('Reminder: Pay rent', { timeout: 0 });
+    await region.updateComplete;
+
+    expect(getMessages()).toEqual(['Saved', 'Reminder: Pay rent']);
+
+    vi.advanceTimersByTime(8000);
+    await region.updateComplete;
+
+    expect(getMessages()).toEqual(['Reminder: Pay rent']);
+  });
+
+  it('Should dismiss a message with its close button', async () => {
+    region.show('Saved');
+    await region.updateComplete;
+
+    region.querySelector('[aria-label="Dismiss"]').click();
+    await region.updateComplete;
+
+    expect(getMessages()).toEqual([]);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('Should run the action and dismiss the message', async () => {
+    const onClick = vi.fn();
+    region.show('Reminder: Pay rent', { action: { label: 'Enable notifications', onClick } });
+    await region.updateComplete;
+
+    const button = [...region.querySelectorAll('button')].find(
+      (item) => item.textContent.trim() === 'Enable notifications',
+    );
+    button.click();
+    await region.updateComplete;
+
+    expect(onClick).toHaveBeenCalled();
+    expect(getMessages()).toEqual([]);
+  });
+
+  it('Should clear its timers when removed', () => {
+    region.show('Saved');
+    region.remove();
+
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    vi.useRealTimers();
+    region.show('Saved', { action: { label: 'Undo', onClick: () => {} } });
+    await region.updateComplete;
+
+    expect(await axe(region)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,365 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { renderTemplate } from '../../shared/template/template.js';
+
+// Rows rendered above and below the visible ones, so a fast scroll does not show blank space.
+const DEFAULT_OVERSCAN = 4;
+
+// Elements that can take the focus when an item is focused with focusItem.
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]';
+
+/**
+ * Scrolling list that only renders the rows in view, for lists of thousands
+ * of items.
+ *
+ * Rendering a whole list through a template patches every row on each
+ * change, which gets slow with thousands of them. This list renders the
+ * rows in the viewport (plus a few above and below, see `overscan`) as
+ * absolutely positioned elements inside a spacer as tall as the whole list.
+ * Scrolling moves rows out of view into a pool, and reuses them for the
+ * rows coming into view.
+ *
+ * Rows may have different heights. Until a row has been rendered its height
+ * is estimated with `itemHeight`; rendered rows are measured, and the list
+ * keeps the first visible row in place when the rows above it turn out to
+ * be taller or shorter than estimated.
+ *
+ * A row is only rendered again when its item changes, so its focus, text
+ * selection and form state survive scrolling and updates. The row holding
+ * the focus is never recycled, even when it scrolls out of view, and rows
+ * stay in the DOM in the order of the items, so Tab moves through them in
+ * order. Rows are list items with their position in the whole list.
+ *
+ * Give the list a height (e.g. with a class), since it scrolls itself.
+ *
+ * @example
+ * <virtual-list
+ *   class="block h-96"
+ *   label="Todos"
+ *   .items=${todos}
+ *   .itemHeight=${40}
+ *   .itemTemplate=${(todo) => html`<label><input type="checkbox" .checked=${todo.completed} />${todo.title}</label>`}
+ * ></virtual-list>
+ */
+export class VirtualList extends BaseComponent {
+  static get properties() {
+    return {
+      items: { attribute: false, default: () => [] },
+      itemTemplate: { attribute: false, default: null },
+      itemHeight: { attribute: false, default: 48 },
+      overscan: { attribute: false, default: DEFAULT_OVERSCAN },
+      label: { type: 'string', default: '' },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this.addClass(['relative', 'h-full', 'overflow-y-auto']);
+    this._list = document.createElement('div');
+    this._list.setAttribute('role', 'list');
+    this._list.style.position = 'relative';
+    this.setAppendChild(this._list);
+
+    this._rows = new Map();
+    this._pool = [];
+    this._heights = new Map();
+    this._offsets = [0];
+    this._range = { start: 0, end: 0 };
+    this._resizeObserver = null;
+  }
+
+  onMount() {
+    this.listen(this.render(), 'scroll', () => this.refresh());
+    if (typeof ResizeObserver === 'function') {
+      // Rows change height when their content does, e.g. when a todo wraps or opens its editor.
+      this._resizeObserver = new ResizeObserver(() => this.refresh());
+      this._resizeObserver.observe(this.render());
+      this._rows.forEach((row) => this._resizeObserver.observe(row));
+    }
+  }
+
+  onUnmount() {
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = null;
+  }
+
+  update(changedProperties) {
+    if (changedProperties.has('label')) {
+      this._list.setAttribute('aria-label', this.label);
+      if (!this.label) {
+        this._list.removeAttribute('aria-label');
+      }
+    }
+    if (changedProperties.has('items')) {
+      const ids = new Set(this._getItems().map((item, index) => this.getItemId(item, index)));
+      [...this._heights.keys()].filter((id) => !ids.has(id)).forEach((id) => this._heights.delete(id));
+    }
+
+    this.refresh({ force: changedProperties.has('itemTemplate') });
+  }
+
+  /**
+   * Gets the key of an item, which identifies its row.
+   * @param {Object} item - The item.
+   * @param {number} index - The position of the item.
+   * @returns {string} The `id` of the item, or its position when it has none.
+   */
+  getItemId(item, index) {
+    return String(item?.id ?? index);
+  }
+
+  /**
+   * Gets the range of items rendered around the viewport, not counting the focused row kept out of view.
+   * @returns {{ start: number, end: number }} The index of the first row, and the index after the last one.
+   */
+  getRange() {
+    return { ...this._range };
+  }
+
+  /**
+   * Gets the row of an item, if it is rendered.
+   * @param {string} id - The id of the item.
+   * @returns {HTMLElement|null} The row.
+   */
+  getRow(id) {
+    return this._rows.get(String(id)) || null;
+  }
+
+  /**
+   * Gets the distance from the top of the list to an item, with the heights measured so far.
+   * @param {number} index - The position of the item.
+   * @returns {number} The offset, in pixels.
+   */
+  getOffset(index) {
+    this._computeOffsets();
+    return this._offsets[Math.max(0, Math.min(index, this._offsets.length - 1))];
+  }
+
+  /**
+   * Renders the rows that are in view, reusing the rows that went out of view.
+   * @param {Object} [options] - Refresh options.
+   * @param {boolean} [options.force=false] - Renders every row again, e.g. after the data behind the
+   * items changed without new item objects.
+   */
+  refresh({ force = false } = {}) {
+    const items = this._getItems();
+    const viewport = this.render();
+    this._computeOffsets();
+
+    // Measuring can change the offsets, and so the rows in view; a couple of passes settle it.
+    for (let pass = 0; pass < 3; pass += 1) {
+      this._range = this._findRange(viewport.scrollTop, viewport.clientHeight || window.innerHeight);
+      this._renderRows(items, force && pass === 0);
+      if (!this._measure(items)) {
+        break;
+      }
+    }
+
+    this._list.style.height = `${this._offsets[items.length]}px`;
+  }
+
+  /**
+   * Scrolls so an item is in view.
+   * @param {number} index - The position of the item.
+   * @param {Object} [options] - Scroll options.
+   * @param {'start'|'nearest'} [options.align='nearest'] - Puts the item at the top of the viewport, or
+   * scrolls as little as needed.
+   */
+  scrollToIndex(index, { align = 'nearest' } = {}) {
+    const viewport = this.render();
+    const top = this.getOffset(index);
+    const bottom = this.getOffset(index + 1);
+    const height = viewport.clientHeight || window.innerHeight;
+
+    if (align === 'start' || top < viewport.scrollTop) {
+      viewport.scrollTop = top;
+    } else if (bottom > viewport.scrollTop + height) {
+      viewport.scrollTop = bottom - height;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Scrolls an item into view and focuses it: its first focusable element, or else the row itself.
+   * @param {string} id - The id of the item.
+   * @returns {HTMLElement|null} The focused element, or null if the item is not in the list.
+   */
+  focusItem(id) {
+    const index = this._getItems().findIndex((item, position) => this.getItemId(item, position) === String(id));
+    if (index === -1) {
+      return null;
+    }
+
+    this.scrollToIndex(index);
+    const row = this.getRow(id);
+    const target = row.querySelector(FOCUSABLE) || row;
+    if (target === row) {
+      row.tabIndex = -1;
+    }
+    target.focus();
+
+    return target;
+  }
+
+  _getItems() {
+    return Array.isArray(this.items) ? this.items : [];
+  }
+
+  _computeOffsets() {
+    const items = this._getItems();
+    const offsets = new Array(items.length + 1);
+    offsets[0] = 0;
+    for (let index = 0; index < items.length; index += 1) {
+      const height = this._heights.get(this.getItemId(items[index], index)) ?? this.itemHeight;
+      offsets[index + 1] = offsets[index] + height;
+    }
+    this._offsets = offsets;
+  }
+
+  // Index of the last item that starts at or before an offset.
+  _indexAt(offset) {
+    let low = 0;
+    let high = this._offsets.length - 2;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this._offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return Math.max(low, 0);
+  }
+
+  _findRange(scrollTop, height) {
+    const count = this._offsets.length - 1;
+    if (count === 0) {
+      return { start: 0, end: 0 };
+    }
+
+    const first = this._indexAt(scrollTop);
+    const last = this._indexAt(scrollTop + height);
+
+    return {
+      start: Math.max(first - this.overscan, 0),
+      end: Math.min(last + 1 + this.overscan, count),
+    };
+  }
+
+  _renderRows(items, force) {
+    const { start, end } = this._range;
+    const focused = [...this._rows.entries()].find(([, row]) => row.contains(document.activeElement));
+    const wanted = new Map();
+    for (let index = start; index < end; index += 1) {
+      wanted.set(this.getItemId(items[index], index), index);
+    }
+    // The focused row stays while its item is in the list, wherever it is scrolled.
+    if (focused && !wanted.has(focused[0])) {
+      const index = items.findIndex((item, position) => this.getItemId(item, position) === focused[0]);
+      if (index !== -1) {
+        wanted.set(focused[0], index);
+      }
+    }
+
+    this._rows.forEach((row, id) => {
+      if (!wanted.has(id)) {
+        this._rows.delete(id);
+        this._resizeObserver?.unobserve(row);
+        row.remove();
+        this._pool.push(row);
+      }
+    });
+
+    const rows = [...wanted]
+      .sort((a, b) => a[1] - b[1])
+      .map(([id, index]) => {
+        let row = this._rows.get(id);
+        if (!row) {
+          row = this._pool.pop() || this._createRow();
+          row.dataset.key = id;
+          this._rows.set(id, row);
+          this._resizeObserver?.observe(row);
+        }
+
+        const item = items[index];
+        if (force || row._item !== item || row._index !== index) {
+          if (typeof this.itemTemplate === 'function') {
+            renderTemplate(this.itemTemplate(item, index), row);
+          } else {
+            row.textContent = String(item?.title ?? id);
+          }
+          row._item = item;
+          row._index = index;
+        }
+        row.setAttribute('aria-posinset', String(index + 1));
+        row.setAttribute('aria-setsize', String(items.length));
+        row.style.transform = `translateY(${this._offsets[index]}px)`;
+
+        return row;
+      });
+
+    this._orderRows(rows, focused?.[1]);
+  }
+
+  // Puts the rows in the DOM in the order of the items. The focused row stays in place, since moving it
+  // would take the focus away, and the other rows move around it. A focused row whose item went away was
+  // removed, and may come back from the pool for another item, so it is no anchor.
+  _orderRows(rows, anchor) {
+    const anchorIndex = anchor?.isConnected ? rows.indexOf(anchor) : -1;
+    let next = anchorIndex === -1 ? null : anchor;
+    for (let index = (anchorIndex === -1 ? rows.length : anchorIndex) - 1; index >= 0; index -= 1) {
+      if (!rows[index].isConnected || rows[index].nextElementSibling !== next) {
+        this._list.insertBefore(rows[index], next);
+      }
+      next = rows[index];
+    }
+
+    let previous = anchor;
+    for (let index = anchorIndex + 1; anchorIndex !== -1 && index < rows.length; index += 1) {
+      if (previous.nextElementSibling !== rows[index]) {
+        previous.after(rows[index]);
+      }
+      previous = rows[index];
+    }
+  }
+
+  // Stores the heights of the rendered rows. Returns true if some changed, after fixing the offsets.
+  _measure(items) {
+    const viewport = this.render();
+    const anchor = this._indexAt(viewport.scrollTop);
+    const anchorOffset = this._offsets[anchor];
+    let changed = false;
+
+    this._rows.forEach((row, id) => {
+      const height = row.offsetHeight;
+      // Rows that are not laid out (hidden, or in a test DOM) keep the estimate.
+      if (height > 0 && this._heights.get(id) !== height) {
+        this._heights.set(id, height);
+        changed = true;
+      }
+    });
+    if (!changed) {
+      return false;
+    }
+
+    this._computeOffsets();
+    // Keeps the first visible row in place when the rows above it changed height.
+    if (viewport.scrollTop > 0 && anchor < items.length) {
+      viewport.scrollTop += this._offsets[anchor] - anchorOffset;
+    }
+
+    return true;
+  }
+
+  _createRow() {
+    const row = document.createElement('div');
+    row.setAttribute('role', 'listitem');
+    Object.assign(row.style, { position: 'absolute', top: '0', left: '0', right: '0' });
+
+    return row;
+  }
+}
+
+if (!customElements.get('virtual-list')) {
+  customElements.define('virtual-list', VirtualList);
+}
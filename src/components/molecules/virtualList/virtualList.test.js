@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { VirtualList } from './virtualList';
+import { html } from '../../shared/template/template';
+
+describe('Test suite for the VirtualList component', () => {
+  let list;
+
+  const createTodos = (count) =>
+    Array.from({ length: count }, (_, index) => ({ id: `todo-${index}`, title: `Task ${index}`, completed: false }));
+  const getRows = () => [...list.querySelectorAll('[role="listitem"]')];
+  const getKeys = () => getRows().map((row) => row.dataset.key);
+  const scrollTo = (top) => {
+    list.render().scrollTop = top;
+    list.render().dispatchEvent(new Event('scroll'));
+  };
+  const mount = async (items, options = {}) => {
+    list = new VirtualList();
+    Object.assign(list, { label: 'Todos', itemHeight: 40, ...options, items });
+    list.itemTemplate =
+      options.itemTemplate ??
+      ((todo) => html`<label><input type="checkbox" .checked=${todo.completed} />${todo.title}</label>`);
+    document.body.appendChild(list);
+    await list.updateComplete;
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  describe('With 10k todos', () => {
+    beforeEach(async () => {
+      await mount(createTodos(10000));
+    });
+
+    it('Should render only the rows in view, quickly', async () => {
+      const itemTemplate = vi.fn(list.itemTemplate);
+      list.itemTemplate = itemTemplate;
+      const started = performance.now();
+      list.items = createTodos(10000);
+      await list.updateComplete;
+      for (let top = 0; top < 400000; top += 40000) {
+        scrollTo(top);
+        // The viewport is 768px tall in jsdom: 20 rows of 40px, plus the overscan.
+        expect(getRows().length).toBeLessThanOrEqual(30);
+      }
+      const elapsed = performance.now() - started;
+
+      expect(list.querySelector('[role="list"]').style.height).toBe('400000px');
+      // 11 renders of at most 30 rows each, where rendering the whole list would render 10k rows.
+      expect(itemTemplate.mock.calls.length).toBeLessThanOrEqual(11 * 30);
+      // Very generous, for slow and busy machines: jsdom takes about 1ms per row, so the 10k rows would take
+      // about 10s.
+      expect(elapsed).toBeLessThan(3000);
+    });
+
+    it('Should render the rows at the scroll position, with their place in the list', () => {
+      scrollTo(400000 - 768);
+
+      const rows = getRows();
+      expect(rows.at(-1).dataset.key).toBe('todo-9999');
+      expect(rows.at(-1).textContent).toBe('Task 9999');
+      expect(rows.at(-1).getAttribute('aria-posinset')).toBe('10000');
+      expect(rows.at(-1).getAttribute('aria-setsize')).toBe('10000');
+      expect(rows.at(-1).style.transform).toBe('translateY(399960px)');
+      expect(list.getRange()).toEqual({ start: 9976, end: 10000 });
+    });
+
+    it('Should reuse the rows that went out of view', () => {
+      const rows = getRows();
+
+      scrollTo(20000);
+
+      expect(getKeys()[0]).toBe('todo-496');
+      expect(rows.every((row) => getRows().includes(row))).toBe(true);
+    });
+
+    it('Should keep the rows of unchanged items as they are', async () => {
+      const row = list.getRow('todo-1');
+      row.querySelector('input').checked = true;
+
+      list.items = [...list.items];
+      await list.updateComplete;
+
+      expect(list.getRow('todo-1')).toBe(row);
+      expect(row.querySelector('input').checked).toBe(true);
+    });
+
+    it('Should keep the focused row while scrolling away from it', () => {
+      const input = list.getRow('todo-2').querySelector('input');
+      input.focus();
+
+      scrollTo(20000);
+      expect(document.activeElement).toBe(input);
+      expect(getKeys()[0]).toBe('todo-2');
+      expect(getKeys().slice(1, 3)).toEqual(['todo-496', 'todo-497']);
+
+      scrollTo(0);
+      expect(document.activeElement).toBe(input);
+      expect(getKeys().slice(0, 4)).toEqual(['todo-0', 'todo-1', 'todo-2', 'todo-3']);
+    });
+
+    it('Should scroll to an item and focus it', () => {
+      const target = list.focusItem('todo-5000');
+
+      expect(target).toBe(list.getRow('todo-5000').querySelector('input'));
+      expect(document.activeElement).toBe(target);
+      expect(list.render().scrollTop).toBe(5001 * 40 - 768);
+      expect(list.focusItem('missing')).toBeNull();
+    });
+  });
+
+  it('Should place rows by their measured heights, keeping the visible row in place', async () => {
+    // Every third row is taller, like a todo with a long title.
+    vi.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockImplementation(function () {
+      const index = Number(this.dataset?.key?.replace('todo-', ''));
+      if (this.getAttribute('role') !== 'listitem' || Number.isNaN(index)) {
+        return 0;
+      }
+      return index % 3 === 0 ? 100 : 40;
+    });
+    await mount(createTodos(100));
+
+    const offsets = getRows()
+      .slice(0, 4)
+      .map((row) => row.style.transform);
+    expect(offsets).toEqual(['translateY(0px)', 'translateY(100px)', 'translateY(140px)', 'translateY(180px)']);
+
+    list.scrollToIndex(60, { align: 'start' });
+    expect(list.render().scrollTop).toBe(list.getOffset(60));
+    expect(list.getRow('todo-60').style.transform).toBe(`translateY(${list.getOffset(60)}px)`);
+  });
+
+  it('Should forget the rows of removed items', async () => {
+    await mount(createTodos(10));
+
+    list.items = list.items.slice(5);
+    await list.updateComplete;
+
+    expect(getKeys()).toEqual(['todo-5', 'todo-6', 'todo-7', 'todo-8', 'todo-9']);
+    expect(getRows()[0].getAttribute('aria-posinset')).toBe('1');
+    expect(getRows()[0].style.transform).toBe('translateY(0px)');
+  });
+
+  it('Should render the next rows when the focused item is removed', async () => {
+    await mount(createTodos(100));
+    list.getRow('todo-0').querySelector('input').focus();
+
+    list.items = list.items.slice(1);
+    await list.updateComplete;
+
+    expect(getKeys().slice(0, 3)).toEqual(['todo-1', 'todo-2', 'todo-3']);
+    expect(list.getRow('todo-0')).toBeNull();
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await mount(createTodos(50));
+
+    expect(await axe(list)).toHaveNoViolations();
+  });
+});
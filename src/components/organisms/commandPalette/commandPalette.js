@@ -0,0 +1,244 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { fuzzyScore } from '../../../js/query/todoQuery.js';
+import { formatShortcut } from '../../../js/shortcuts/shortcutRegistry.js';
+
+let instanceCount = 0;
+
+const kbdClass =
+  'rounded border border-gray-300 bg-gray-100 px-1.5 font-mono text-xs text-gray-700 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-300';
+
+/**
+ * Modal dialog that finds and runs a command by typing part of its name.
+ *
+ * The commands are given by the app, each with a `label`, an optional
+ * `group` (e.g. the lists to go to), optional shortcut `keys` shown next to
+ * it, and the function that `run`s it. Typing filters them with a fuzzy
+ * search on the label and the group, best matches first. The field is a
+ * combobox: the arrow keys move through the results, Enter runs the active
+ * one, and Escape closes the dialog.
+ *
+ * The dialog closes before running a command, so the command may move the
+ * focus. It emits `palette:run` with the id of the command, and
+ * `palette:close` when it closes.
+ *
+ * @example
+ * <command-palette></command-palette>
+ *
+ * palette.commands = [{ id: 'export', label: 'Export', keys: 'Mod+E', run: () => transfer.open('export') }];
+ * palette.open();
+ */
+export class CommandPalette extends BaseComponent {
+  static get properties() {
+    return {
+      commands: { attribute: false, default: () => [] },
+      opened: { attribute: false, default: false },
+      search: { attribute: false, default: '' },
+      active: { attribute: false, default: 0 },
+    };
+  }
+
+  constructor() {
+    super('dialog');
+    this._id = `command-palette-${++instanceCount}`;
+    this._returnFocus = null;
+    this.setAttribute('aria-labelledby', `${this._id}-title`);
+    this.addClass([
+      'mt-[15vh]',
+      'w-full',
+      'max-w-lg',
+      'rounded-lg',
+      'bg-white',
+      'p-0',
+      'text-gray-900',
+      'shadow-xl',
+      'backdrop:bg-gray-900/50',
+      'dark:bg-gray-800',
+      'dark:text-white',
+    ]);
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Also stops the browser from closing the dialog on its own.
+        event.preventDefault();
+        this.close();
+      }
+    });
+  }
+
+  template() {
+    if (!this.opened) {
+      return html``;
+    }
+
+    const results = this.getResults();
+    const active = results[this.active];
+    const listId = `${this._id}-list`;
+
+    return html`
+      <h2 id=${`${this._id}-title`} class="sr-only">${this.t('palette.title')}</h2>
+      <input
+        type="text"
+        role="combobox"
+        autocomplete="off"
+        spellcheck="false"
+        aria-label=${this.t('palette.search')}
+        aria-autocomplete="list"
+        aria-expanded="true"
+        aria-controls=${listId}
+        aria-activedescendant=${active ? this._optionId(active) : null}
+        placeholder=${this.t('palette.search')}
+        class="w-full border-0 border-b border-gray-200 bg-transparent p-4 text-base focus:outline-none focus:ring-0 dark:border-gray-700"
+        .value=${this.search}
+        @input=${(event) => this.filter(event.target.value)}
+        @keydown=${(event) => this._onKeydown(event, results)}
+      />
+      <ul id=${listId} role="listbox" aria-label=${this.t('palette.title')} class="max-h-80 overflow-y-auto p-2">
+        ${results.map(
+          (command, index) =>
+            html`<li
+              id=${this._optionId(command)}
+              data-key=${command.id}
+              role="option"
+              aria-selected=${String(index === this.active)}
+              class=${`flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm ${
+                index === this.active ? 'bg-blue-100 text-blue-900 dark:bg-blue-900 dark:text-white' : ''
+              }`}
+              @click=${() => this.run(command.id)}
+              @mousemove=${() => index !== this.active && (this.active = index)}
+            >
+              <span class="flex-1">${command.label}</span>
+              ${command.group && html`<span class="text-xs text-gray-500 dark:text-gray-400">${command.group}</span>`}
+              ${command.keys &&
+              html`<span class="flex gap-1" aria-hidden="true">
+                ${formatShortcut(command.keys).map((key) => html`<kbd class=${kbdClass}>${key}</kbd>`)}
+              </span>`}
+            </li>`,
+        )}
+      </ul>
+      ${results.length === 0 &&
+      html`<p class="px-4 pb-4 text-sm text-gray-500 dark:text-gray-400">
+        ${this.t('palette.empty', { search: this.search })}
+      </p>`}
+      <p role="status" class="sr-only">${this.t('palette.results', { count: results.length })}</p>
+    `;
+  }
+
+  /**
+   * Gets the commands that match the search, best matches first.
+   * @returns {Object[]} The commands, all of them in their order without a search.
+   */
+  getResults() {
+    const commands = Array.isArray(this.commands) ? this.commands : [];
+    if (!this.search.trim()) {
+      return commands;
+    }
+
+    return commands
+      .map((command, index) => {
+        const scores = [fuzzyScore(this.search, command.label), fuzzyScore(this.search, command.group || '')];
+        // The label counts double, so "Go to Work" comes before the commands of the Work group.
+        const score = Math.max(scores[0] === null ? -1 : scores[0] * 2, scores[1] ?? -1);
+        return { command, index, score };
+      })
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ command }) => command);
+  }
+
+  /**
+   * Opens the palette with an empty search.
+   * @returns {Promise<void>} Resolves once the search field is focused.
+   */
+  async open() {
+    this._returnFocus = this._returnFocus || document.activeElement;
+    this.search = '';
+    this.active = 0;
+    this.opened = true;
+    await this.updateComplete;
+
+    const dialog = this.render();
+    if (!dialog.open) {
+      // showModal keeps the focus in the dialog; without it, the dialog is shown as is.
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.open = true;
+      }
+    }
+    this.querySelector('[role="combobox"]')?.focus();
+  }
+
+  /**
+   * Closes the palette and returns the focus to where it was.
+   */
+  close() {
+    if (!this.opened) {
+      return;
+    }
+
+    const dialog = this.render();
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.open = false;
+    }
+    this.opened = false;
+    this._returnFocus?.focus?.();
+    this._returnFocus = null;
+    this.emit('palette:close', {});
+  }
+
+  /**
+   * Filters the commands and makes the best match active.
+   * @param {string} search - The search text.
+   */
+  filter(search) {
+    this.search = search;
+    this.active = 0;
+  }
+
+  /**
+   * Closes the palette and runs a command.
+   * @param {string} id - The id of the command.
+   * @returns {boolean} True if the command exists.
+   */
+  run(id) {
+    const command = (this.commands || []).find((item) => item.id === id);
+    if (!command) {
+      return false;
+    }
+
+    this.close();
+    this.emit('palette:run', { id });
+    command.run();
+    return true;
+  }
+
+  _onKeydown(event, results) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (results[this.active]) {
+        this.run(results[this.active].id);
+      }
+      return;
+    }
+    if (!['ArrowDown', 'ArrowUp'].includes(event.key) || !results.length) {
+      return;
+    }
+
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    this.active = (this.active + step + results.length) % results.length;
+    this.updateComplete.then(() =>
+      this.querySelector('[aria-selected="true"]')?.scrollIntoView?.({ block: 'nearest' }),
+    );
+  }
+
+  _optionId(command) {
+    return `${this._id}-${command.id.replace(/[^\w-]/g, '-')}`;
+  }
+}
+
+if (!customElements.get('command-palette')) {
+  customElements.define('command-palette', CommandPalette);
+}
@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { CommandPalette } from './commandPalette';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the CommandPalette component', () => {
+  let palette;
+  let commands;
+  let opener;
+
+  const getInput = () => palette.querySelector('[role="combobox"]');
+  const getLabels = () => [...palette.querySelectorAll('[role="option"]')].map((option) => option.dataset.key);
+  const getActive = () => palette.querySelector('[aria-selected="true"]');
+  const type = async (text) => {
+    getInput().value = text;
+    getInput().dispatchEvent(new Event('input'));
+    await palette.updateComplete;
+  };
+  const press = async (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    getInput().dispatchEvent(event);
+    await palette.updateComplete;
+    return event;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    commands = [
+      { id: 'new-todo', label: 'New task', keys: 'n', run: vi.fn() },
+      { id: 'export', label: 'Export', run: vi.fn() },
+      { id: 'list-inbox', label: 'Go to Inbox', group: 'Lists', run: vi.fn() },
+      { id: 'list-work', label: 'Go to Work', group: 'Lists', run: vi.fn() },
+    ];
+
+    opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    palette = new CommandPalette();
+    palette.commands = commands;
+    document.body.appendChild(palette);
+    await palette.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as command-palette and render nothing while closed', () => {
+    expect(palette).toBeInstanceOf(CommandPalette);
+    expect(palette.render().tagName).toBe('DIALOG');
+    expect(getInput()).toBeNull();
+  });
+
+  it('Should open with every command and the search focused', async () => {
+    await palette.open();
+
+    expect(palette.render().open).toBe(true);
+    expect(document.activeElement).toBe(getInput());
+    expect(getLabels()).toEqual(['new-todo', 'export', 'list-inbox', 'list-work']);
+    expect(getInput().getAttribute('aria-activedescendant')).toBe(getActive().id);
+    expect(palette.querySelector('kbd').textContent).toBe('n');
+  });
+
+  describe('Should filter the commands with a fuzzy search', () => {
+    it('Best matches first', async () => {
+      await palette.open();
+      await type('wrk');
+
+      expect(getLabels()).toEqual(['list-work']);
+      expect(palette.querySelector('[role="status"]').textContent).toBe('1 command');
+    });
+
+    it('On the group too', async () => {
+      await palette.open();
+      await type('lists');
+
+      expect(getLabels()).toEqual(['list-inbox', 'list-work']);
+    });
+
+    it('Telling when nothing matches', async () => {
+      await palette.open();
+      await type('zzz');
+
+      expect(getLabels()).toEqual([]);
+      expect(getInput().hasAttribute('aria-activedescendant')).toBe(false);
+      expect(palette.textContent).toContain('No commands match "zzz".');
+    });
+  });
+
+  it('Should move through the results with the arrow keys', async () => {
+    await palette.open();
+
+    await press('ArrowDown');
+    expect(getActive().dataset.key).toBe('export');
+
+    await press('ArrowUp');
+    await press('ArrowUp');
+    expect(getActive().dataset.key).toBe('list-work');
+  });
+
+  describe('Should run a command', () => {
+    it('With Enter, closing the palette first', async () => {
+      const onRun = vi.fn();
+      palette.addEventListener('palette:run', onRun);
+      commands[1].run.mockImplementation(() => expect(palette.render().open).toBe(false));
+      await palette.open();
+
+      await press('ArrowDown');
+      const event = await press('Enter');
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(commands[1].run).toHaveBeenCalledTimes(1);
+      expect(onRun.mock.calls[0][0].detail).toEqual({ id: 'export' });
+      expect(document.activeElement).toBe(opener);
+    });
+
+    it('With a click', async () => {
+      await palette.open();
+
+      palette.querySelector('[data-key="list-work"]').click();
+
+      expect(commands[3].run).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('Should close with Escape, returning the focus', async () => {
+    const onClose = vi.fn();
+    palette.addEventListener('palette:close', onClose);
+    await palette.open();
+
+    const event = await press('Escape');
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(palette.render().open).toBe(false);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await palette.open();
+
+    expect(await axe(palette)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,326 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import '../../molecules/confirmDialog/confirmDialog.js';
+import { LIST_COLORS, LIST_EVENTS, LIST_ICONS } from '../../../js/store/listStore.js';
+import { TODO_EVENTS } from '../../../js/store/todoStore.js';
+import { translateError } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+// Written out in full so Tailwind finds the class names when scanning the sources.
+const COLOR_CLASSES = {
+  gray: 'bg-gray-500',
+  red: 'bg-red-500',
+  orange: 'bg-orange-500',
+  amber: 'bg-amber-500',
+  green: 'bg-green-500',
+  teal: 'bg-teal-500',
+  blue: 'bg-blue-500',
+  indigo: 'bg-indigo-500',
+  purple: 'bg-purple-500',
+  pink: 'bg-pink-500',
+};
+
+const NEW_LIST = 'new';
+
+/**
+ * Sidebar with the todo lists of a workspace.
+ *
+ * Each list links to its page and shows its color, icon and number of open
+ * tasks. Lists are created, renamed (with their color and icon) and deleted
+ * in place, deleting after the user confirms it in a ConfirmDialog, and
+ * todos dragged from a ReorderableList onto a list move there. The component emits `sidebar:list-created` and
+ * `sidebar:list-deleted` with the list in the detail, so the app can
+ * navigate accordingly.
+ *
+ * @example
+ * <list-sidebar slot="aside" current-list="inbox"></list-sidebar>
+ *
+ * sidebar.workspace = workspace;
+ */
+export class ListSidebar extends BaseComponent {
+  static get properties() {
+    return {
+      workspace: { attribute: false, default: null },
+      currentList: { type: 'string', default: '' },
+      linkPrefix: { type: 'string', default: '#/lists/' },
+      editing: { attribute: false, default: null },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('nav');
+    this._id = `list-sidebar-${++instanceCount}`;
+    this._unsubscribers = [];
+    this.setAttribute('aria-labelledby', `${this._id}-heading`);
+  }
+
+  template() {
+    const lists = this.workspace ? this.workspace.lists.getAll() : [];
+
+    return html`
+      <div class="flex items-center justify-between px-4 pt-4 pb-2">
+        <h2
+          id=${`${this._id}-heading`}
+          class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400"
+        >
+          ${this.t('sidebar.heading')}
+        </h2>
+        <button
+          type="button"
+          data-action="create"
+          class="rounded-lg px-2 text-lg leading-7 text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700"
+          aria-label=${this.t('sidebar.newList')}
+          @click=${() => this.startEditing(NEW_LIST)}
+        >
+          +
+        </button>
+      </div>
+      ${this.error && html`<p role="alert" class="mx-4 mb-2 text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+      <ul class="space-y-1 px-2">
+        ${lists.map((list) =>
+          this.editing === list.id
+            ? html`<li data-key=${list.id}>${this._formTemplate(list)}</li>`
+            : html`<li data-key=${list.id}>${this._itemTemplate(list)}</li>`,
+        )}
+      </ul>
+      ${this.editing === NEW_LIST && html`<div class="px-2 pt-1">${this._formTemplate(null)}</div>`}
+      <confirm-dialog></confirm-dialog>
+    `;
+  }
+
+  _itemTemplate(list) {
+    const { active } = this.workspace.getCounts(list.id);
+    const current = list.id === this.currentList;
+
+    return html`
+      <div
+        class="flex items-center gap-1 rounded-lg data-[drop-active]:ring-2 data-[drop-active]:ring-blue-500"
+        data-drop-target=${list.id}
+        @reorder:drop=${(event) => this.moveTodo(event.detail.id, list.id)}
+      >
+        <a
+          href=${`${this.linkPrefix}${list.id}`}
+          aria-current=${current ? 'page' : null}
+          class=${`flex min-w-0 flex-1 items-center gap-2 rounded-lg px-2 py-2 text-sm ${
+            current
+              ? 'bg-gray-200 font-semibold text-gray-900 dark:bg-gray-700 dark:text-white'
+              : 'text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700'
+          }`}
+        >
+          <span class=${`h-2.5 w-2.5 flex-none rounded-full ${COLOR_CLASSES[list.color] || COLOR_CLASSES.gray}`}></span>
+          <span aria-hidden="true">${list.icon}</span>
+          <span class="flex-1 truncate">${list.name}</span>
+          <span class="text-xs text-gray-500 dark:text-gray-400"
+            >${active}<span class="sr-only"> ${this.t('sidebar.openTasks', { count: active })}</span></span
+          >
+        </a>
+        <button
+          type="button"
+          class="rounded-lg p-1 text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700"
+          aria-label=${this.t('sidebar.edit', { name: list.name })}
+          @click=${() => this.startEditing(list.id)}
+        >
+          ✎
+        </button>
+        <button
+          type="button"
+          class="rounded-lg p-1 text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700"
+          aria-label=${this.t('sidebar.delete', { name: list.name })}
+          @click=${() => this.deleteList(list.id)}
+        >
+          ✕
+        </button>
+      </div>
+    `;
+  }
+
+  _formTemplate(list) {
+    const prefix = `${this._id}-${list ? list.id : NEW_LIST}`;
+    const selectClass =
+      'rounded-lg border border-gray-300 bg-white p-1.5 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-white';
+
+    return html`
+      <form
+        class="space-y-2 rounded-lg bg-gray-100 p-2 dark:bg-gray-700"
+        aria-label=${list ? this.t('sidebar.edit', { name: list.name }) : this.t('sidebar.newList')}
+        @submit=${(event) => this._onSubmit(event, list)}
+        @keydown=${(event) => event.key === 'Escape' && this.stopEditing()}
+      >
+        <label for=${`${prefix}-name`} class="sr-only">${this.t('sidebar.listName')}</label>
+        <input
+          id=${`${prefix}-name`}
+          name="name"
+          required
+          value=${list ? list.name : ''}
+          placeholder=${this.t('sidebar.listName')}
+          class="block w-full rounded-lg border border-gray-300 bg-white p-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-800 dark:text-white"
+        />
+        <div class="flex gap-2">
+          <label for=${`${prefix}-color`} class="sr-only">${this.t('sidebar.color')}</label>
+          <select id=${`${prefix}-color`} name="color" class=${selectClass}>
+            ${LIST_COLORS.map(
+              (color) =>
+                html`<option value=${color} ?selected=${(list ? list.color : LIST_COLORS[0]) === color}>
+                  ${this.t(`sidebar.colors.${color}`)}
+                </option>`,
+            )}
+          </select>
+          <label for=${`${prefix}-icon`} class="sr-only">${this.t('sidebar.icon')}</label>
+          <select id=${`${prefix}-icon`} name="icon" class=${selectClass}>
+            ${LIST_ICONS.map(
+              (icon) =>
+                html`<option value=${icon} ?selected=${(list ? list.icon : LIST_ICONS[0]) === icon}>${icon}</option>`,
+            )}
+          </select>
+        </div>
+        <div class="flex justify-end gap-2">
+          <button
+            type="button"
+            class="rounded-lg px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-600"
+            @click=${() => this.stopEditing()}
+          >
+            ${this.t('common.cancel')}
+          </button>
+          <button
+            type="submit"
+            class="rounded-lg bg-blue-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-800"
+          >
+            ${this.t('common.save')}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  onMount() {
+    this._watchWorkspace();
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('workspace') && this.isConnected) {
+      this._watchWorkspace();
+    }
+  }
+
+  onUnmount() {
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Opens the form to create a list or edit one, and focuses its name field.
+   * @param {string} listId - The id of the list to edit, or `new` to create one.
+   * @returns {Promise<void>} Resolves once the form is focused.
+   */
+  async startEditing(listId) {
+    this.editing = listId;
+    this.error = '';
+    await this.updateComplete;
+
+    const input = this.querySelector('form input[name="name"]');
+    input?.focus();
+    input?.select();
+  }
+
+  /**
+   * Closes the form without saving and returns the focus to where editing started.
+   * @returns {Promise<void>} Resolves once the focus is restored.
+   */
+  async stopEditing() {
+    const listId = this.editing;
+    this.editing = null;
+    this.error = '';
+    await this.updateComplete;
+
+    this._focusList(listId);
+  }
+
+  /**
+   * Deletes a list after the user confirms it.
+   * @param {string} listId - The id of the list.
+   * @returns {Promise<boolean>} Resolves with true if the list was deleted.
+   */
+  async deleteList(listId) {
+    const list = this.workspace.lists.get(listId);
+    const { total } = this.workspace.getCounts(listId);
+    const confirmed = await this.querySelector('confirm-dialog').ask({
+      message: this.t('sidebar.confirmDelete', { name: list.name, count: total }),
+    });
+    if (!confirmed) {
+      return false;
+    }
+
+    try {
+      this.workspace.deleteList(listId);
+    } catch (error) {
+      this.error = translateError(error);
+      return false;
+    }
+
+    this.error = '';
+    this.emit('sidebar:list-deleted', { list });
+    this.updateComplete.then(() => this._focusList(null));
+    return true;
+  }
+
+  /**
+   * Moves a todo with its subtasks to the end of a list.
+   * @param {string} todoId - The id of the todo.
+   * @param {string} listId - The id of the list.
+   * @returns {Object|null} The moved todo, or null if it could not be moved.
+   */
+  moveTodo(todoId, listId) {
+    let todo;
+    try {
+      todo = this.workspace.moveTodo(todoId, listId);
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    this.error = '';
+    return todo;
+  }
+
+  async _onSubmit(event, list) {
+    event.preventDefault();
+    const data = Object.fromEntries(new FormData(event.target));
+
+    let saved;
+    try {
+      saved = list ? this.workspace.lists.update(list.id, data) : this.workspace.lists.create(data);
+    } catch (error) {
+      this.error = translateError(error);
+      return;
+    }
+
+    this.editing = null;
+    this.error = '';
+    if (!list) {
+      this.emit('sidebar:list-created', { list: saved });
+    }
+    await this.updateComplete;
+    this._focusList(saved.id);
+  }
+
+  _focusList(listId) {
+    const link = listId && listId !== NEW_LIST && this.querySelector(`a[href="${this.linkPrefix}${listId}"]`);
+    (link || this.querySelector('[data-action="create"]'))?.focus();
+  }
+
+  _watchWorkspace() {
+    this.onUnmount();
+    if (this.workspace) {
+      this._unsubscribers = [
+        this.workspace.subscribe(LIST_EVENTS.CHANGE, () => this.requestUpdate()),
+        this.workspace.subscribe(TODO_EVENTS.CHANGE, () => this.requestUpdate()),
+      ];
+    }
+  }
+}
+
+if (!customElements.get('list-sidebar')) {
+  customElements.define('list-sidebar', ListSidebar);
+}
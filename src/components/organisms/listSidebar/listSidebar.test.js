@@ -0,0 +1,232 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ListSidebar } from './listSidebar';
+import { Workspace } from '../../../js/store/workspace';
+import { DEFAULT_LOCALE, i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ListSidebar component', () => {
+  let sidebar;
+  let workspace;
+
+  const getLinks = () => [...sidebar.querySelectorAll('a')];
+  const getButton = (label) => sidebar.querySelector(`button[aria-label="${label}"]`);
+  // Answers the confirm dialog once it is open.
+  const answer = async (action) => {
+    const dialog = sidebar.querySelector('confirm-dialog');
+    await dialog.updateComplete;
+    dialog.querySelector(`[data-action="${action}"]`).click();
+  };
+  const submit = async (values) => {
+    const form = sidebar.querySelector('form');
+    Object.entries(values).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await sidebar.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    workspace = new Workspace();
+    await workspace.load();
+    const inbox = workspace.getTodoStore('inbox');
+    inbox.create({ title: 'A' });
+    inbox.toggle(inbox.create({ title: 'B' }).id);
+    inbox.create({ title: 'C' });
+
+    sidebar = new ListSidebar();
+    sidebar.workspace = workspace;
+    sidebar.currentList = 'inbox';
+    document.body.appendChild(sidebar);
+    await sidebar.updateComplete;
+  });
+
+  afterEach(() => {
+    workspace.stop();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('Should render a labelled navigation landmark', () => {
+    const nav = sidebar.render();
+
+    expect(nav.tagName).toBe('NAV');
+    expect(document.getElementById(nav.getAttribute('aria-labelledby')).textContent.trim()).toBe('Lists');
+  });
+
+  it('Should list the lists with their link, icon and open task count', () => {
+    const [link] = getLinks();
+
+    expect(link.getAttribute('href')).toBe('#/lists/inbox');
+    expect(link.getAttribute('aria-current')).toBe('page');
+    expect(link.textContent.replace(/\s+/g, ' ').trim()).toBe('📥 Inbox 2 open tasks');
+    expect(link.querySelector('.bg-blue-500')).not.toBeNull();
+  });
+
+  it('Should update the counts when todos change', async () => {
+    workspace.getTodoStore('inbox').create({ title: 'D' });
+    await sidebar.updateComplete;
+
+    expect(getLinks()[0].textContent).toContain('3 open tasks');
+  });
+
+  it('Should mark the current list', async () => {
+    const list = workspace.lists.create({ name: 'Work' });
+    sidebar.currentList = list.id;
+    await sidebar.updateComplete;
+
+    expect(getLinks().map((link) => link.getAttribute('aria-current'))).toEqual([null, 'page']);
+  });
+
+  describe('Should create lists', () => {
+    beforeEach(async () => {
+      await sidebar.startEditing('new');
+    });
+
+    it('Focusing the name field of the form', () => {
+      expect(document.activeElement).toBe(sidebar.querySelector('form input[name="name"]'));
+    });
+
+    it('With a name, color and icon', async () => {
+      const onCreated = vi.fn();
+      sidebar.addEventListener('sidebar:list-created', (event) => onCreated(event.detail));
+
+      await submit({ name: 'Groceries', color: 'green', icon: '🛒' });
+
+      const list = workspace.lists.getAll()[1];
+      expect(list).toMatchObject({ name: 'Groceries', color: 'green', icon: '🛒' });
+      expect(onCreated).toHaveBeenCalledWith({ list });
+      expect(sidebar.querySelector('form')).toBeNull();
+      expect(document.activeElement).toBe(getLinks()[1]);
+    });
+
+    it('Showing validation errors', async () => {
+      await submit({ name: '   ' });
+
+      expect(sidebar.querySelector('[role="alert"]').textContent).toBe('Define a valid list name');
+      expect(workspace.lists.size).toBe(1);
+    });
+
+    it('Cancelling with Escape', async () => {
+      sidebar.querySelector('input').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      await sidebar.updateComplete;
+      await sidebar.updateComplete;
+
+      expect(sidebar.querySelector('form')).toBeNull();
+      expect(document.activeElement).toBe(sidebar.querySelector('[data-action="create"]'));
+    });
+  });
+
+  it('Should rename a list and change its color and icon', async () => {
+    getButton('Edit Inbox').click();
+    await sidebar.updateComplete;
+
+    expect(sidebar.querySelector('input[name="name"]').value).toBe('Inbox');
+    expect(sidebar.querySelector('select[name="color"]').value).toBe('blue');
+
+    await submit({ name: 'Home', color: 'pink', icon: '🏠' });
+
+    expect(workspace.lists.get('inbox')).toMatchObject({ name: 'Home', color: 'pink', icon: '🏠' });
+    expect(getLinks()[0].textContent).toContain('Home');
+  });
+
+  describe('Should delete lists', () => {
+    let list;
+
+    beforeEach(async () => {
+      list = workspace.lists.create({ name: 'Work' });
+      workspace.getTodoStore(list.id).create({ title: 'Report' });
+      await sidebar.updateComplete;
+    });
+
+    it('After confirmation in the app', async () => {
+      const onDeleted = vi.fn();
+      sidebar.addEventListener('sidebar:list-deleted', (event) => onDeleted(event.detail));
+
+      const deleted = sidebar.deleteList(list.id);
+      const dialog = sidebar.querySelector('confirm-dialog');
+      await dialog.updateComplete;
+      expect(dialog.render().open).toBe(true);
+      expect(dialog.textContent).toContain('Delete "Work" and its 1 task?');
+      expect(document.activeElement).toBe(dialog.querySelector('[data-action="cancel"]'));
+
+      await answer('confirm');
+      expect(await deleted).toBe(true);
+      await sidebar.updateComplete;
+
+      expect(workspace.lists.get(list.id)).toBeUndefined();
+      expect(onDeleted).toHaveBeenCalledWith({ list });
+      expect(getLinks()).toHaveLength(1);
+    });
+
+    it('Not without confirmation', async () => {
+      const deleted = sidebar.deleteList(list.id);
+      await answer('cancel');
+
+      expect(await deleted).toBe(false);
+      expect(workspace.lists.get(list.id)).toBe(list);
+    });
+
+    it('Except the last one', async () => {
+      const first = sidebar.deleteList(list.id);
+      await answer('confirm');
+      await first;
+
+      const last = sidebar.deleteList('inbox');
+      await answer('confirm');
+      expect(await last).toBe(false);
+      await sidebar.updateComplete;
+
+      expect(sidebar.querySelector('[role="alert"]').textContent).toBe('Keep at least one list');
+    });
+  });
+
+  it('Should move todos dropped on a list', async () => {
+    const list = workspace.lists.create({ name: 'Work' });
+    await sidebar.updateComplete;
+    const [todo] = workspace.getTodoStore('inbox').getAll();
+    const target = sidebar.querySelector(`[data-drop-target="${list.id}"]`);
+
+    target.dispatchEvent(new CustomEvent('reorder:drop', { bubbles: true, detail: { id: todo.id } }));
+    await sidebar.updateComplete;
+
+    expect(workspace.findListId(todo.id)).toBe(list.id);
+    expect(getLinks()[1].textContent).toContain('1');
+
+    sidebar.moveTodo('nope', list.id);
+    await sidebar.updateComplete;
+    expect(sidebar.querySelector('[role="alert"]').textContent).toBe('Todo "nope" not found');
+  });
+
+  it('Should render in Brazilian Portuguese, the default locale', async () => {
+    document.body.innerHTML = '';
+    i18n.setLocale(DEFAULT_LOCALE);
+    sidebar = new ListSidebar();
+    sidebar.workspace = workspace;
+    sidebar.currentList = 'inbox';
+    document.body.appendChild(sidebar);
+    await sidebar.updateComplete;
+
+    const nav = sidebar.render();
+    expect(document.getElementById(nav.getAttribute('aria-labelledby')).textContent.trim()).toBe('Listas');
+    expect(getLinks()[0].textContent.replace(/\s+/g, ' ').trim()).toBe('📥 Inbox 2 tarefas abertas');
+
+    const deleted = sidebar.deleteList('inbox');
+    const dialog = sidebar.querySelector('confirm-dialog');
+    await dialog.updateComplete;
+    expect(dialog.textContent).toContain('Excluir "Inbox" e as suas 3 tarefas?');
+    await answer('confirm');
+    expect(await deleted).toBe(false);
+    await sidebar.updateComplete;
+
+    expect(sidebar.querySelector('[role="alert"]').textContent).toBe('Mantenha pelo menos uma lista');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(sidebar)).toHaveNoViolations();
+
+    await sidebar.startEditing('new');
+
+    expect(await axe(sidebar)).toHaveNoViolations();
+  });
+});
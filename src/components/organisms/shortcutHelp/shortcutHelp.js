@@ -0,0 +1,166 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import { SHORTCUT_EVENTS, formatShortcut } from '../../../js/shortcuts/shortcutRegistry.js';
+
+const kbdClass =
+  'rounded border border-gray-300 bg-gray-100 px-1.5 font-mono text-xs text-gray-700 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-300';
+
+let instanceCount = 0;
+
+/**
+ * Modal dialog listing the keyboard shortcuts of the app, by group.
+ *
+ * The shortcuts come from the ShortcutRegistry given in `shortcuts`, and
+ * the list follows it as shortcuts are registered and removed. Escape or
+ * the Close button close the dialog, which emits `help:close`.
+ *
+ * @example
+ * <shortcut-help></shortcut-help>
+ *
+ * help.shortcuts = shortcutRegistry;
+ * help.open();
+ */
+export class ShortcutHelp extends BaseComponent {
+  static get properties() {
+    return {
+      shortcuts: { attribute: false, default: null },
+      opened: { attribute: false, default: false },
+    };
+  }
+
+  constructor() {
+    super('dialog');
+    this._id = `shortcut-help-${++instanceCount}`;
+    this._unsubscribe = null;
+    this._returnFocus = null;
+    this.setAttribute('aria-labelledby', `${this._id}-title`);
+    this.addClass([
+      'w-full',
+      'max-w-md',
+      'rounded-lg',
+      'bg-white',
+      'p-4',
+      'text-gray-900',
+      'shadow-xl',
+      'backdrop:bg-gray-900/50',
+      'dark:bg-gray-800',
+      'dark:text-white',
+    ]);
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Also stops the browser from closing the dialog on its own.
+        event.preventDefault();
+        this.close();
+      }
+    });
+  }
+
+  template() {
+    if (!this.opened || !this.shortcuts) {
+      return html``;
+    }
+
+    const groups = new Map();
+    this.shortcuts.getShortcuts().forEach((shortcut) => {
+      groups.set(shortcut.group, [...(groups.get(shortcut.group) || []), shortcut]);
+    });
+
+    return html`
+      <h2 id=${`${this._id}-title`} class="mb-1 text-lg font-semibold">${this.t('shortcuts.title')}</h2>
+      <p class="mb-3 text-sm text-gray-500 dark:text-gray-400">${this.t('shortcuts.hint')}</p>
+      ${[...groups].map(
+        ([group, shortcuts]) =>
+          html`<section data-key=${group} class="mb-3">
+            ${group && html`<h3 class="mb-1 text-sm font-medium text-gray-500 dark:text-gray-400">${group}</h3>`}
+            <dl class="space-y-1">
+              ${shortcuts.map(
+                (shortcut) =>
+                  html`<div data-key=${shortcut.id} class="flex items-center justify-between gap-4 text-sm">
+                    <dt class="flex gap-1">
+                      ${formatShortcut(shortcut.keys).map((key) => html`<kbd class=${kbdClass}>${key}</kbd>`)}
+                    </dt>
+                    <dd>${shortcut.label}</dd>
+                  </div>`,
+              )}
+            </dl>
+          </section>`,
+      )}
+      <div class="flex justify-end">
+        <button
+          type="button"
+          class="rounded-lg bg-blue-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-800"
+          @click=${() => this.close()}
+        >
+          ${this.t('common.close')}
+        </button>
+      </div>
+    `;
+  }
+
+  onMount() {
+    this._watchShortcuts();
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('shortcuts') && this.isConnected) {
+      this._watchShortcuts();
+    }
+  }
+
+  onUnmount() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<void>} Resolves once the Close button is focused.
+   */
+  async open() {
+    this._returnFocus = this._returnFocus || document.activeElement;
+    this.opened = true;
+    await this.updateComplete;
+
+    const dialog = this.render();
+    if (!dialog.open) {
+      // showModal keeps the focus in the dialog; without it, the dialog is shown as is.
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.open = true;
+      }
+    }
+    this.querySelector('button')?.focus();
+  }
+
+  /**
+   * Closes the dialog and returns the focus to where it was.
+   */
+  close() {
+    if (!this.opened) {
+      return;
+    }
+
+    const dialog = this.render();
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.open = false;
+    }
+    this.opened = false;
+    this._returnFocus?.focus?.();
+    this._returnFocus = null;
+    this.emit('help:close', {});
+  }
+
+  _watchShortcuts() {
+    this.onUnmount();
+    if (this.shortcuts) {
+      this._unsubscribe = this.shortcuts.subscribe(SHORTCUT_EVENTS.CHANGE, () => this.requestUpdate());
+    }
+  }
+}
+
+if (!customElements.get('shortcut-help')) {
+  customElements.define('shortcut-help', ShortcutHelp);
+}
@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ShortcutHelp } from './shortcutHelp';
+import { ShortcutRegistry } from '../../../js/shortcuts/shortcutRegistry';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ShortcutHelp component', () => {
+  let help;
+  let shortcuts;
+  let opener;
+
+  const getRows = () =>
+    [...help.querySelectorAll('dl > div')].map((row) => [
+      [...row.querySelectorAll('kbd')].map((kbd) => kbd.textContent).join('+'),
+      row.querySelector('dd').textContent,
+    ]);
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    shortcuts = new ShortcutRegistry();
+    shortcuts.register({ id: 'next', keys: 'j', label: 'Next task', group: 'Tasks', handler: () => {} });
+    shortcuts.register({ id: 'palette', keys: 'Mod+K', label: () => 'Commands', group: 'General', handler: () => {} });
+
+    opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    help = new ShortcutHelp();
+    help.shortcuts = shortcuts;
+    document.body.appendChild(help);
+    await help.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as shortcut-help and render nothing while closed', () => {
+    expect(help).toBeInstanceOf(ShortcutHelp);
+    expect(help.render().tagName).toBe('DIALOG');
+    expect(help.querySelector('dl')).toBeNull();
+  });
+
+  it('Should list the shortcuts by group', async () => {
+    await help.open();
+
+    expect(help.render().open).toBe(true);
+    expect([...help.querySelectorAll('h3')].map((heading) => heading.textContent)).toEqual(['Tasks', 'General']);
+    expect(getRows()).toEqual([
+      ['j', 'Next task'],
+      [expect.stringMatching(/^(Ctrl|⌘)\+K$/), 'Commands'],
+    ]);
+  });
+
+  it('Should follow the shortcuts of the registry', async () => {
+    await help.open();
+
+    shortcuts.unregister('next');
+    await help.updateComplete;
+
+    expect(getRows()).toHaveLength(1);
+  });
+
+  it('Should close with Escape or the Close button, returning the focus', async () => {
+    const onClose = vi.fn();
+    help.addEventListener('help:close', onClose);
+    await help.open();
+    expect(document.activeElement.textContent.trim()).toBe('Close');
+
+    help.render().dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+    await help.open();
+    help.querySelector('button').click();
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+    expect(help.render().open).toBe(false);
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await help.open();
+
+    expect(await axe(help)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,374 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import '../../molecules/confirmDialog/confirmDialog.js';
+import { THEME_EVENTS, THEME_MODES, THEME_TOKENS } from '../../../js/theme/themeManager.js';
+import { translateError } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+// Color schemes of a palette, edited side by side.
+const SCHEMES = ['light', 'dark'];
+
+// Swatches shown next to each palette.
+const SWATCH_TOKENS = ['background', 'surface', 'accent', 'text'];
+
+const labelClass = 'mb-1 block text-sm font-medium text-gray-900 dark:text-white';
+const inputClass =
+  'block w-full rounded-lg border border-gray-300 bg-white p-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-white';
+const secondaryButtonClass =
+  'rounded-lg px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-700';
+const primaryButtonClass =
+  'rounded-lg bg-blue-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-800 disabled:cursor-not-allowed disabled:opacity-50';
+
+/**
+ * Modal dialog to choose between light, dark and system mode, pick a
+ * palette, and create, edit and delete custom palettes.
+ *
+ * The mode and the palette apply as soon as they are picked. Custom
+ * palettes are edited in a form with a color for every token in both
+ * schemes, and applied once saved. Everything goes through the
+ * ThemeManager given in `themes`, which saves the choices. Built-in
+ * palettes are named in the language of the user. Deleting a custom palette
+ * asks for confirmation in a ConfirmDialog.
+ *
+ * The dialog emits `theme:close` when it closes.
+ *
+ * @example
+ * <theme-dialog></theme-dialog>
+ *
+ * dialog.themes = themeManager;
+ * dialog.open();
+ */
+export class ThemeDialog extends BaseComponent {
+  static get properties() {
+    return {
+      themes: { attribute: false, default: null },
+      opened: { attribute: false, default: false },
+      editing: { attribute: false, default: null },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('dialog');
+    this._id = `theme-dialog-${++instanceCount}`;
+    this._unsubscribe = null;
+    this._returnFocus = null;
+    this.setAttribute('aria-labelledby', `${this._id}-title`);
+    this.addClass([
+      'w-full',
+      'max-w-lg',
+      'rounded-lg',
+      'bg-white',
+      'p-4',
+      'text-gray-900',
+      'shadow-xl',
+      'backdrop:bg-gray-900/50',
+      'dark:bg-gray-800',
+      'dark:text-white',
+    ]);
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Also stops the browser from closing the dialog on its own.
+        event.preventDefault();
+        if (this.editing) {
+          this.cancelEditing();
+        } else {
+          this.close();
+        }
+      }
+    });
+  }
+
+  template() {
+    if (!this.opened || !this.themes) {
+      return html``;
+    }
+
+    return html`
+      <h2 id=${`${this._id}-title`} class="mb-3 text-lg font-semibold">
+        ${this.t(this.editing ? (this.editing.id ? 'theme.editTitle' : 'theme.newTitle') : 'theme.title')}
+      </h2>
+      ${this.error && html`<p role="alert" class="mb-3 text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+      ${this.editing ? this._editorTemplate(this.editing) : this._pickerTemplate()}
+    `;
+  }
+
+  onMount() {
+    this._watchThemes();
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('themes') && this.isConnected) {
+      this._watchThemes();
+    }
+  }
+
+  onUnmount() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Opens the dialog on the mode and palette choices.
+   * @returns {Promise<void>} Resolves once the selected mode is focused.
+   */
+  async open() {
+    this._returnFocus = this._returnFocus || document.activeElement;
+    this.editing = null;
+    this.error = '';
+    this.opened = true;
+    await this.updateComplete;
+
+    const dialog = this.render();
+    if (!dialog.open) {
+      // showModal keeps the focus in the dialog; without it, the dialog is shown as is.
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.open = true;
+      }
+    }
+    this.querySelector('[name="mode"]:checked')?.focus();
+  }
+
+  /**
+   * Closes the dialog, discarding a palette being edited, and returns the focus to where it was.
+   */
+  close() {
+    if (!this.opened) {
+      return;
+    }
+
+    const dialog = this.render();
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.open = false;
+    }
+    this.opened = false;
+    this.editing = null;
+    this._returnFocus?.focus?.();
+    this._returnFocus = null;
+    this.emit('theme:close', {});
+  }
+
+  /**
+   * Opens the form to edit a custom palette, or to create one from the colors of the palette in use.
+   * @param {string} [themeId] - The id of the custom palette to edit. Omit it to create one.
+   * @returns {Promise<void>} Resolves once the name field is focused.
+   */
+  async startEditing(themeId) {
+    const theme = themeId ? this.themes.getTheme(themeId) : null;
+    this.editing = theme && !theme.builtIn ? theme : { id: '', name: '', colors: this.themes.theme.colors };
+    this.error = '';
+    await this.updateComplete;
+    this.querySelector('[name="name"]')?.focus();
+  }
+
+  /**
+   * Leaves the palette form without saving.
+   * @returns {Promise<void>} Resolves once the focus is back on the palettes.
+   */
+  async cancelEditing() {
+    this.editing = null;
+    this.error = '';
+    await this.updateComplete;
+    this.querySelector('[name="theme"]:checked')?.focus();
+  }
+
+  /**
+   * Saves the palette being edited and applies it.
+   * @param {Object} theme - The palette, see createTheme.
+   * @returns {Promise<Object|null>} Resolves with the saved palette, or null if it is not valid.
+   */
+  async saveTheme(theme) {
+    let saved;
+    try {
+      saved = this.themes.saveTheme({ ...theme, id: this.editing?.id || undefined });
+      this.themes.setTheme(saved.id);
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    await this.cancelEditing();
+    return saved;
+  }
+
+  /**
+   * Deletes a custom palette after the user confirms it.
+   * @param {string} themeId - The id of the palette.
+   * @returns {Promise<boolean>} Resolves with whether the palette was deleted.
+   */
+  async deleteTheme(themeId) {
+    const theme = this.themes.getTheme(themeId);
+    const confirmed =
+      theme &&
+      (await this.querySelector('confirm-dialog').ask({
+        message: this.t('theme.confirmDelete', { name: this._themeName(theme) }),
+      }));
+    if (!confirmed) {
+      return false;
+    }
+
+    const removed = this.themes.removeTheme(themeId);
+    this.querySelector('[name="theme"]:checked')?.focus();
+    return removed;
+  }
+
+  _pickerTemplate() {
+    const { mode, theme: current } = this.themes;
+
+    return html`
+      <div class="space-y-3">
+        <fieldset>
+          <legend class=${labelClass}>${this.t('theme.mode')}</legend>
+          <div class="flex gap-4">
+            ${Object.values(THEME_MODES).map(
+              (value) =>
+                html`<label data-key=${value} class="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="mode"
+                    value=${value}
+                    .checked=${mode === value}
+                    @change=${() => this.themes.setMode(value)}
+                  />
+                  ${this.t(`theme.modes.${value}`)}
+                </label>`,
+            )}
+          </div>
+        </fieldset>
+        <fieldset>
+          <legend class=${labelClass}>${this.t('theme.palette')}</legend>
+          <ul class="space-y-1">
+            ${this.themes.getThemes().map(
+              (theme) =>
+                html`<li data-key=${theme.id} data-theme=${theme.id} class="flex items-center gap-2">
+                  <label class="flex flex-1 items-center gap-2 text-sm">
+                    <input
+                      type="radio"
+                      name="theme"
+                      value=${theme.id}
+                      .checked=${current.id === theme.id}
+                      @change=${() => this.themes.setTheme(theme.id)}
+                    />
+                    <span class="flex" aria-hidden="true">
+                      ${SWATCH_TOKENS.map(
+                        (token) =>
+                          html`<span
+                            data-key=${token}
+                            class="h-4 w-4 border border-gray-300 first:rounded-l last:rounded-r dark:border-gray-600"
+                            style=${`background-color: ${theme.colors[this.themes.scheme][token]}`}
+                          ></span>`,
+                      )}
+                    </span>
+                    ${this._themeName(theme)}
+                  </label>
+                  ${!theme.builtIn &&
+                  html`<button
+                      type="button"
+                      class=${secondaryButtonClass}
+                      aria-label=${this.t('theme.edit', { name: theme.name })}
+                      @click=${() => this.startEditing(theme.id)}
+                    >
+                      ${this.t('theme.editButton')}
+                    </button>
+                    <button
+                      type="button"
+                      class=${secondaryButtonClass}
+                      aria-label=${this.t('theme.delete', { name: theme.name })}
+                      @click=${() => this.deleteTheme(theme.id)}
+                    >
+                      ${this.t('theme.deleteButton')}
+                    </button>`}
+                </li>`,
+            )}
+          </ul>
+        </fieldset>
+        <div class="flex justify-end gap-2">
+          <button type="button" class=${secondaryButtonClass} @click=${() => this.startEditing()}>
+            ${this.t('theme.new')}
+          </button>
+          <button type="button" class=${primaryButtonClass} @click=${() => this.close()}>
+            ${this.t('theme.done')}
+          </button>
+        </div>
+        <confirm-dialog></confirm-dialog>
+      </div>
+    `;
+  }
+
+  _editorTemplate(theme) {
+    return html`
+      <form class="space-y-3" @submit=${(event) => this._onSave(event)}>
+        <div>
+          <label for=${`${this._id}-name`} class=${labelClass}>${this.t('theme.name')}</label>
+          <input
+            id=${`${this._id}-name`}
+            name="name"
+            required
+            maxlength="40"
+            autocomplete="off"
+            class=${inputClass}
+            .value=${theme.name}
+          />
+        </div>
+        <div class="grid grid-cols-2 gap-3">
+          ${SCHEMES.map(
+            (scheme) =>
+              html`<fieldset data-key=${scheme} data-scheme=${scheme} class="space-y-1">
+                <legend class=${labelClass}>${this.t(`theme.schemes.${scheme}`)}</legend>
+                ${Object.keys(THEME_TOKENS).map(
+                  (token) =>
+                    html`<label data-key=${token} class="flex items-center gap-2 text-sm">
+                      <input
+                        type="color"
+                        name=${`${scheme}.${token}`}
+                        class="h-6 w-8 cursor-pointer rounded border border-gray-300 dark:border-gray-600"
+                        .value=${theme.colors[scheme][token]}
+                      />
+                      ${this.t(`theme.tokens.${token}`)}
+                    </label>`,
+                )}
+              </fieldset>`,
+          )}
+        </div>
+        <div class="flex justify-end gap-2">
+          <button type="button" class=${secondaryButtonClass} @click=${() => this.cancelEditing()}>
+            ${this.t('common.cancel')}
+          </button>
+          <button type="submit" class=${primaryButtonClass}>${this.t('common.save')}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  _onSave(event) {
+    event.preventDefault();
+    const data = new FormData(event.target);
+    const colors = Object.fromEntries(
+      SCHEMES.map((scheme) => [
+        scheme,
+        Object.fromEntries(Object.keys(THEME_TOKENS).map((token) => [token, data.get(`${scheme}.${token}`)])),
+      ]),
+    );
+    this.saveTheme({ name: data.get('name'), colors });
+  }
+
+  _themeName(theme) {
+    return theme.builtIn ? this.t(`theme.names.${theme.id}`) : theme.name;
+  }
+
+  _watchThemes() {
+    this.onUnmount();
+    if (this.themes) {
+      this._unsubscribe = this.themes.subscribe(THEME_EVENTS.CHANGE, () => this.requestUpdate());
+    }
+  }
+}
+
+if (!customElements.get('theme-dialog')) {
+  customElements.define('theme-dialog', ThemeDialog);
+}
@@ -0,0 +1,198 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { ThemeDialog } from './themeDialog';
+import { ThemeManager } from '../../../js/theme/themeManager';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the ThemeDialog component', () => {
+  let dialog;
+  let themes;
+  let root;
+  let opener;
+
+  const field = (name) => dialog.querySelector(`[name="${name}"]`);
+  const button = (text) =>
+    [...dialog.querySelectorAll('button')].find((element) => element.textContent.trim() === text);
+  const choose = async (name, value) => {
+    const radio = dialog.querySelector(`[name="${name}"][value="${value}"]`);
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change'));
+    await dialog.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    root = document.createElement('div');
+    themes = new ThemeManager({ root, matchMedia: null });
+    themes.start();
+
+    opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    dialog = new ThemeDialog();
+    dialog.themes = themes;
+    document.body.appendChild(dialog);
+    await dialog.updateComplete;
+  });
+
+  afterEach(() => {
+    themes.stop();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('Should be registered as theme-dialog and render nothing while closed', () => {
+    expect(dialog).toBeInstanceOf(ThemeDialog);
+    expect(dialog.render().tagName).toBe('DIALOG');
+    expect(dialog.render().open).toBe(false);
+    expect(dialog.querySelector('[name="mode"]')).toBeNull();
+  });
+
+  it('Should open with the current mode and palette selected', async () => {
+    await dialog.open();
+
+    expect(dialog.render().open).toBe(true);
+    expect(dialog.querySelector('h2').textContent.trim()).toBe('Appearance');
+    expect(dialog.querySelector('[name="mode"]:checked').value).toBe('system');
+    expect(dialog.querySelector('[name="theme"]:checked').value).toBe('default');
+    expect(document.activeElement).toBe(dialog.querySelector('[name="mode"]:checked'));
+  });
+
+  it('Should apply the mode and the palette as soon as they are picked', async () => {
+    await dialog.open();
+
+    await choose('mode', 'dark');
+    await choose('theme', 'grape');
+
+    expect(themes.mode).toBe('dark');
+    expect(root.dataset.mode).toBe('dark');
+    expect(root.style.getPropertyValue('--color-accent')).toBe('#a855f7');
+    expect(dialog.querySelector('[data-theme="grape"] [data-key="accent"]').style.backgroundColor).toBe(
+      'rgb(168, 85, 247)',
+    );
+  });
+
+  it('Should reflect changes made elsewhere', async () => {
+    await dialog.open();
+
+    themes.setMode('light');
+    await dialog.updateComplete;
+
+    expect(dialog.querySelector('[name="mode"]:checked').value).toBe('light');
+  });
+
+  describe('Should edit custom palettes', () => {
+    beforeEach(async () => {
+      await dialog.open();
+    });
+
+    it('Creating one from the colors in use, and applying it', async () => {
+      await choose('theme', 'forest');
+      await dialog.startEditing();
+
+      expect(dialog.querySelector('h2').textContent.trim()).toBe('New palette');
+      expect(field('light.accent').value).toBe('#15803d');
+      expect(document.activeElement).toBe(field('name'));
+
+      field('name').value = 'Ocean';
+      field('light.accent').value = '#0e7490';
+      dialog.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+      await dialog.updateComplete;
+
+      expect(themes.theme).toMatchObject({ name: 'Ocean', builtIn: false });
+      expect(themes.theme.colors.light).toMatchObject({ accent: '#0e7490', surface: '#f0fdf4' });
+      expect(dialog.querySelector('[name="theme"]:checked').value).toBe(themes.theme.id);
+    });
+
+    it('Changing an existing one', async () => {
+      const theme = themes.saveTheme({ name: 'Ocean' });
+      await dialog.updateComplete;
+
+      dialog.querySelector(`[aria-label="Edit Ocean"]`).click();
+      await dialog.updateComplete;
+      expect(field('name').value).toBe('Ocean');
+      await dialog.saveTheme({ name: 'Deep ocean' });
+
+      expect(themes.getThemes().filter((item) => !item.builtIn)).toEqual([
+        expect.objectContaining({ id: theme.id, name: 'Deep ocean' }),
+      ]);
+    });
+
+    it('Showing an error for an invalid palette', async () => {
+      await dialog.startEditing();
+
+      const saved = await dialog.saveTheme({ name: '' });
+      await dialog.updateComplete;
+
+      expect(saved).toBeNull();
+      expect(dialog.querySelector('[role="alert"]').textContent).toBe('Define a valid theme name (1 to 40 characters)');
+      expect(dialog.querySelector('form')).not.toBeNull();
+    });
+
+    it('Leaving the form with Escape without saving', async () => {
+      await dialog.startEditing();
+
+      field('name').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+      await dialog.updateComplete;
+
+      expect(dialog.querySelector('form')).toBeNull();
+      expect(dialog.render().open).toBe(true);
+      expect(themes.getThemes()).toHaveLength(3);
+    });
+
+    it('Deleting one after confirming in the app', async () => {
+      const theme = themes.saveTheme({ name: 'Ocean' });
+      themes.setTheme(theme.id);
+      await dialog.updateComplete;
+      const confirmDialog = dialog.querySelector('confirm-dialog');
+      const answer = async (action) => {
+        await confirmDialog.updateComplete;
+        confirmDialog.querySelector(`[data-action="${action}"]`).click();
+      };
+
+      dialog.querySelector('[aria-label="Delete Ocean"]').click();
+      await confirmDialog.updateComplete;
+      expect(confirmDialog.textContent).toContain('Delete the palette "Ocean"?');
+      await answer('cancel');
+      expect(themes.getTheme(theme.id)).not.toBeNull();
+
+      const deleted = dialog.deleteTheme(theme.id);
+      await answer('confirm');
+      expect(await deleted).toBe(true);
+      await dialog.updateComplete;
+
+      expect(themes.getTheme(theme.id)).toBeNull();
+      expect(dialog.querySelector('[name="theme"]:checked').value).toBe('default');
+    });
+
+    it('Offering no edit or delete button for built-in palettes', () => {
+      expect(dialog.querySelectorAll('[data-theme="default"] button')).toHaveLength(0);
+    });
+  });
+
+  it('Should close with Done and Escape, returning the focus to where it was', async () => {
+    const onClose = vi.fn();
+    dialog.addEventListener('theme:close', onClose);
+    await dialog.open();
+
+    button('Done').click();
+    await dialog.updateComplete;
+
+    expect(dialog.render().open).toBe(false);
+    expect(document.activeElement).toBe(opener);
+
+    await dialog.open();
+    field('mode').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await dialog.open();
+    expect(await axe(dialog)).toHaveNoViolations();
+
+    await dialog.startEditing();
+    expect(await axe(dialog)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,214 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import '../../atoms/dateField/dateField.js';
+import '../../atoms/selectField/selectField.js';
+import '../../atoms/textField/textField.js';
+import '../../atoms/textareaField/textareaField.js';
+import '../../molecules/subtaskList/subtaskList.js';
+import '../../molecules/tagInput/tagInput.js';
+import { describeRecurrence } from '../../../js/schedule/recurrence.js';
+import { TODO_PRIORITIES } from '../../../js/store/todoStore.js';
+import { translateError } from '../../../js/i18n/i18n.js';
+
+const RECURRENCE_OPTIONS = [
+  'FREQ=DAILY',
+  'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  'FREQ=WEEKLY',
+  'FREQ=MONTHLY',
+  'FREQ=YEARLY',
+];
+
+// Described in words by describeRecurrence, except these.
+const RECURRENCE_LABELS = { 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR': 'recurrence.weekdays' };
+
+/**
+ * Converts an ISO date into the value of a `datetime-local` input, in local time.
+ * @param {string|null} iso - The ISO date.
+ * @returns {string} The input value, e.g. `2024-06-03T09:30`, or an empty string.
+ */
+const toLocalInput = (iso) => {
+  if (!iso) {
+    return '';
+  }
+
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Form to edit every field of a todo: title, notes, priority, tags, due date,
+ * recurrence, reminder and subtasks.
+ *
+ * Subtasks are saved as soon as they change; the other fields when the form
+ * is submitted. The fields are filled from the store when the todo to edit
+ * is assigned (see `reset`), not on every render, so re-rendering never
+ * discards what the user typed. The editor emits `editor:save` with the saved todo, and
+ * `editor:close` when it is saved or cancelled (with Escape or the Cancel
+ * button), so the owner can remove it.
+ *
+ * @example
+ * <todo-editor .store=${store} .todoId=${todo.id} .tagSuggestions=${collectTags(store.getAll())}></todo-editor>
+ */
+export class TodoEditor extends BaseComponent {
+  static get properties() {
+    return {
+      store: { attribute: false, default: null },
+      todoId: { type: 'string', default: '' },
+      tagSuggestions: { attribute: false, default: () => [] },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('form');
+    this.addClass(['space-y-3', 'rounded-lg', 'bg-gray-50', 'p-3', 'dark:bg-gray-800']);
+    this.render().addEventListener('submit', (event) => this._onSubmit(event));
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  template() {
+    const todo = this.store?.get(this.todoId);
+    if (!todo) {
+      return html``;
+    }
+
+    const labelClass = 'mb-1 block text-sm font-medium text-gray-900 dark:text-white';
+    const recurrence = todo.recurrence || '';
+    const recurrenceOptions =
+      !recurrence || RECURRENCE_OPTIONS.includes(recurrence) ? RECURRENCE_OPTIONS : [...RECURRENCE_OPTIONS, recurrence];
+
+    this.setAttribute('aria-label', this.t('todoEditor.label', { title: todo.title }));
+
+    return html`
+      ${this.error && html`<p role="alert" class="text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+      <text-field name="title" .label=${this.t('todoEditor.title')} .required=${true}></text-field>
+      <textarea-field name="notes" .label=${this.t('todoEditor.notes')}></textarea-field>
+      <div class="grid gap-3 sm:grid-cols-2">
+        <select-field
+          name="priority"
+          .label=${this.t('todoEditor.priority')}
+          .options=${[
+            { value: '', label: this.t('priority.none') },
+            ...TODO_PRIORITIES.map((priority) => ({ value: priority, label: this.t(`priority.${priority}`) })),
+          ]}
+        ></select-field>
+        <date-field name="dueDate" .label=${this.t('todoEditor.dueDate')}></date-field>
+        <select-field
+          name="recurrence"
+          .label=${this.t('todoEditor.repeat')}
+          .options=${[
+            { value: '', label: this.t('recurrence.none') },
+            ...recurrenceOptions.map((rule) => ({ value: rule, label: this._describeRecurrence(rule) })),
+          ]}
+        ></select-field>
+        <date-field name="remindAt" type="datetime-local" .label=${this.t('todoEditor.reminder')}></date-field>
+      </div>
+      <tag-input .suggestions=${this.tagSuggestions}></tag-input>
+      <fieldset>
+        <legend class=${labelClass}>${this.t('todoEditor.subtasks')}</legend>
+        <subtask-list .store=${this.store} .parentId=${todo.id}></subtask-list>
+      </fieldset>
+      <div class="flex justify-end gap-2">
+        <button
+          type="button"
+          class="rounded-lg px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-700"
+          @click=${() => this.close()}
+        >
+          ${this.t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          class="rounded-lg bg-blue-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-800"
+        >
+          ${this.t('common.save')}
+        </button>
+      </div>
+    `;
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('todoId') || changedProperties.has('store')) {
+      this.reset();
+    }
+  }
+
+  /**
+   * Fills the fields with the saved values of the todo, discarding unsaved changes.
+   */
+  reset() {
+    const todo = this.store?.get(this.todoId);
+    if (!todo) {
+      return;
+    }
+
+    const values = {
+      title: todo.title,
+      notes: todo.notes || '',
+      priority: todo.priority || '',
+      dueDate: todo.dueDate || '',
+      recurrence: todo.recurrence || '',
+      remindAt: toLocalInput(todo.remindAt),
+    };
+    Object.entries(values).forEach(([name, value]) => {
+      this.querySelector(`[name="${name}"]`).value = value;
+    });
+    this.querySelector('tag-input').tags = todo.tags;
+    this.error = '';
+  }
+
+  /**
+   * Saves the fields of the form.
+   * @returns {Object|null} The saved todo, or null if a field is not valid.
+   */
+  save() {
+    const data = Object.fromEntries(
+      ['title', 'notes', 'priority', 'dueDate', 'recurrence', 'remindAt'].map((name) => [
+        name,
+        this.querySelector(`[name="${name}"]`).value,
+      ]),
+    );
+
+    let todo;
+    try {
+      todo = this.store.update(this.todoId, {
+        ...data,
+        tags: this.querySelector('tag-input').getTags(),
+        // datetime-local values have no timezone, so they are read as local time.
+        remindAt: data.remindAt ? new Date(data.remindAt) : null,
+      });
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    this.error = '';
+    this.emit('editor:save', { todo });
+    this.close();
+
+    return todo;
+  }
+
+  /**
+   * Asks the owner to close the editor, discarding unsaved fields.
+   */
+  close() {
+    this.emit('editor:close', { todoId: this.todoId });
+  }
+
+  _describeRecurrence(rule) {
+    return RECURRENCE_LABELS[rule] ? this.t(RECURRENCE_LABELS[rule]) : describeRecurrence(rule);
+  }
+
+  _onSubmit(event) {
+    event.preventDefault();
+    this.save();
+  }
+}
+
+if (!customElements.get('todo-editor')) {
+  customElements.define('todo-editor', TodoEditor);
+}
@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TodoEditor } from './todoEditor';
+import { TodoStore } from '../../../js/store/todoStore';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the TodoEditor component', () => {
+  let editor;
+  let store;
+  let todo;
+  let onClose;
+
+  const field = (name) => editor.querySelector(`[name="${name}"]`);
+  const submit = async () => {
+    editor.render().dispatchEvent(new Event('submit', { cancelable: true }));
+    await editor.updateComplete;
+  };
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    store = new TodoStore();
+    todo = store.create({
+      title: 'Pay rent',
+      notes: 'Bank transfer',
+      priority: 'medium',
+      tags: ['home'],
+      dueDate: '2024-06-05',
+      recurrence: 'FREQ=MONTHLY',
+      remindAt: new Date(2024, 5, 5, 9, 30),
+    });
+
+    editor = new TodoEditor();
+    editor.store = store;
+    editor.todoId = todo.id;
+    editor.tagSuggestions = ['home', 'bills'];
+    onClose = vi.fn();
+    editor.addEventListener('editor:close', onClose);
+    document.body.appendChild(editor);
+    await editor.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should fill the fields with the todo', () => {
+    expect(editor.render().getAttribute('aria-label')).toBe('Edit Pay rent');
+    expect(field('title').value).toBe('Pay rent');
+    expect(field('notes').value).toBe('Bank transfer');
+    expect(field('priority').value).toBe('medium');
+    expect(field('dueDate').value).toBe('2024-06-05');
+    expect(field('recurrence').value).toBe('FREQ=MONTHLY;BYMONTHDAY=5');
+    expect(field('recurrence').selectedOptions[0].textContent).toBe('Every month on day 5');
+    expect(field('remindAt').value).toBe('2024-06-05T09:30');
+    expect(editor.querySelector('tag-input').getTags()).toEqual(['home']);
+    expect(editor.querySelector('subtask-list').parentId).toBe(todo.id);
+  });
+
+  it('Should save every field', async () => {
+    const onSave = vi.fn();
+    editor.addEventListener('editor:save', onSave);
+    field('title').value = 'Pay the rent';
+    field('priority').value = 'high';
+    field('dueDate').value = '';
+    field('recurrence').value = '';
+    field('remindAt').value = '';
+    editor.querySelector('tag-input').addTag('bills');
+
+    await submit();
+
+    const saved = store.get(todo.id);
+    expect(saved).toMatchObject({
+      title: 'Pay the rent',
+      priority: 'high',
+      dueDate: null,
+      recurrence: null,
+      remindAt: null,
+      tags: ['home', 'bills'],
+    });
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ detail: { todo: saved } }));
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('Should read the reminder in local time', async () => {
+    field('remindAt').value = '2024-06-04T18:00';
+
+    await submit();
+
+    expect(store.get(todo.id).remindAt).toBe(new Date(2024, 5, 4, 18, 0).toISOString());
+  });
+
+  it('Should keep unsaved changes when an error shows', async () => {
+    field('title').value = ' ';
+    field('notes').value = 'Changed';
+
+    await submit();
+
+    expect(editor.querySelector('[role="alert"]').textContent).toBe('Define a valid todo title');
+    expect(field('notes').value).toBe('Changed');
+    expect(store.get(todo.id).notes).toBe('Bank transfer');
+    expect(onClose).not.toHaveBeenCalled();
+  });
+
+  it('Should close with Escape or Cancel without saving', async () => {
+    field('title').value = 'Changed';
+    field('title').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    [...editor.querySelectorAll('button')].find((button) => button.textContent.trim() === 'Cancel').click();
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+    expect(store.get(todo.id).title).toBe('Pay rent');
+  });
+
+  it('Should reset the fields for another todo', async () => {
+    const other = store.create({ title: 'Walk the dog' });
+    field('notes').value = 'Unsaved';
+
+    editor.todoId = other.id;
+    await editor.updateComplete;
+
+    expect(field('title').value).toBe('Walk the dog');
+    expect(field('notes').value).toBe('');
+    expect(field('recurrence').value).toBe('');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(editor)).toHaveNoViolations();
+  });
+});
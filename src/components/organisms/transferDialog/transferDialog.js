@@ -0,0 +1,470 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import {
+  TRANSFER_FORMATS,
+  TRANSFER_FORMAT_DETAILS,
+  applyImport,
+  createExport,
+  describeDuplicate,
+  describeProblem,
+  describeSource,
+  detectFormat,
+  parseImport,
+  planImport,
+} from '../../../js/transfer/todoTransfer.js';
+import { LocalizedError, translateError } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+const MODES = ['export', 'import'];
+
+// Long files are summed up after this many todos in the preview.
+const PREVIEW_LIMIT = 50;
+
+const labelClass = 'mb-1 block text-sm font-medium text-gray-900 dark:text-white';
+const inputClass =
+  'block w-full rounded-lg border border-gray-300 bg-white p-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-white';
+
+/**
+ * Saves a file on the device of the user.
+ * @param {{ fileName: string, mimeType: string, content: string }} file - The file.
+ */
+function download({ fileName, mimeType, content }) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoked later, since some browsers start the download after the click returns.
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+/**
+ * Reads a file chosen by the user as text.
+ * @param {Blob} file - The file.
+ * @returns {Promise<string>} Resolves with the content of the file.
+ */
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => resolve(String(reader.result)));
+    reader.addEventListener('error', () => reject(new LocalizedError('transfer.errors.read', { name: file.name })));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Modal dialog to export lists to a file and to import todos from one.
+ *
+ * Exporting saves the chosen lists in the chosen format. Importing reads a
+ * file, detects its format from the name or the content, and previews what
+ * will happen: the todos to add, the lists to create, and the duplicates,
+ * rejected todos and dropped fields. Nothing changes until the user confirms.
+ * Todos that belong to no list in the file go to `targetListId`, the first
+ * list when it is empty.
+ *
+ * The dialog emits `transfer:export` with the file name, `transfer:import`
+ * with the result of applyImport, and `transfer:close` when it closes.
+ *
+ * @example
+ * <transfer-dialog></transfer-dialog>
+ *
+ * dialog.workspace = workspace;
+ * dialog.targetListId = 'inbox';
+ * dialog.open('import');
+ */
+export class TransferDialog extends BaseComponent {
+  static get properties() {
+    return {
+      workspace: { attribute: false, default: null },
+      targetListId: { type: 'string', default: '' },
+      mode: { attribute: false, default: '' },
+      format: { attribute: false, default: TRANSFER_FORMATS.JSON },
+      fileName: { attribute: false, default: '' },
+      plan: { attribute: false, default: null },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('dialog');
+    this._id = `transfer-dialog-${++instanceCount}`;
+    this._text = '';
+    this._returnFocus = null;
+    this.setAttribute('aria-labelledby', `${this._id}-title`);
+    this.addClass([
+      'w-full',
+      'max-w-lg',
+      'rounded-lg',
+      'bg-white',
+      'p-4',
+      'text-gray-900',
+      'shadow-xl',
+      'backdrop:bg-gray-900/50',
+      'dark:bg-gray-800',
+      'dark:text-white',
+    ]);
+    this.render().addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        // Also stops the browser from closing the dialog on its own.
+        event.preventDefault();
+        this.close();
+      }
+    });
+  }
+
+  template() {
+    if (!MODES.includes(this.mode)) {
+      return html``;
+    }
+
+    return html`
+      <h2 id=${`${this._id}-title`} class="mb-3 text-lg font-semibold">
+        ${this.t(this.mode === 'export' ? 'transfer.exportTitle' : 'transfer.importTitle')}
+      </h2>
+      ${this.error && html`<p role="alert" class="mb-3 text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+      ${this.mode === 'export' ? this._exportTemplate() : this._importTemplate()}
+    `;
+  }
+
+  /**
+   * Opens the dialog.
+   * @param {'export'|'import'} mode - What the dialog does.
+   * @returns {Promise<void>} Resolves once the first field is focused.
+   * @throws Will throw an error if the mode is unknown.
+   */
+  async open(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Define a valid mode: ${MODES.join(', ')}`);
+    }
+
+    this._returnFocus = this._returnFocus || document.activeElement;
+    this._text = '';
+    this.mode = mode;
+    this.format = TRANSFER_FORMATS.JSON;
+    this.fileName = '';
+    this.plan = null;
+    this.error = '';
+    await this.updateComplete;
+
+    const dialog = this.render();
+    if (!dialog.open) {
+      // showModal keeps the focus in the dialog; without it, the dialog is shown as is.
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.open = true;
+      }
+    }
+    this.querySelectorAll('form').forEach((form) => form.reset());
+    this.querySelector('input, select')?.focus();
+  }
+
+  /**
+   * Closes the dialog, discarding the file read for import, and returns the focus to where it was.
+   */
+  close() {
+    if (!this.mode) {
+      return;
+    }
+
+    const dialog = this.render();
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.open = false;
+    }
+    this.mode = '';
+    this.plan = null;
+    this._text = '';
+    this._returnFocus?.focus?.();
+    this._returnFocus = null;
+    this.emit('transfer:close', {});
+  }
+
+  /**
+   * Exports lists to a file and closes the dialog.
+   * @param {Object} options - Export options.
+   * @param {string} options.format - One of TRANSFER_FORMATS.
+   * @param {string[]} options.listIds - The lists to export.
+   * @returns {Object|null} The file, see createExport, or null if it could not be created.
+   */
+  exportLists({ format, listIds }) {
+    let file;
+    try {
+      file = createExport(this.workspace, { format, listIds });
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    download(file);
+    this.emit('transfer:export', { fileName: file.fileName, format });
+    this.close();
+
+    return file;
+  }
+
+  /**
+   * Reads a file and previews its import.
+   * @param {File} file - The file chosen by the user.
+   * @returns {Promise<Object|null>} Resolves with the plan, or null if the file is not valid.
+   */
+  async loadFile(file) {
+    let text;
+    try {
+      text = await readFile(file);
+    } catch (error) {
+      this.plan = null;
+      this.error = translateError(error);
+      return null;
+    }
+
+    return this.preview(text, file.name);
+  }
+
+  /**
+   * Previews the import of the content of a file.
+   * @param {string} text - The content of the file.
+   * @param {string} [fileName=''] - The name of the file, used to detect its format.
+   * @param {string} [format] - One of TRANSFER_FORMATS. Detected when omitted.
+   * @returns {Promise<Object|null>} Resolves with the plan, or null if the file is not valid.
+   */
+  async preview(text, fileName = '', format = detectFormat(fileName, text)) {
+    this._text = text;
+    this.fileName = fileName;
+    this.format = format;
+
+    try {
+      this.plan = planImport(parseImport(text, format), this.workspace, {
+        targetListId: this.targetListId || undefined,
+      });
+      this.error = '';
+    } catch (error) {
+      this.plan = null;
+      this.error = translateError(error);
+    }
+    await this.updateComplete;
+
+    return this.plan;
+  }
+
+  /**
+   * Imports the previewed todos and closes the dialog.
+   * @param {Object} [options] - Import options.
+   * @param {boolean} [options.skipDuplicates=true] - Leaves out the duplicates.
+   * @returns {Object|null} The result of applyImport, or null if there is nothing to import.
+   */
+  importPlan({ skipDuplicates = true } = {}) {
+    if (!this.plan) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = applyImport(this.plan, this.workspace, { skipDuplicates });
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    this.emit('transfer:import', result);
+    this.close();
+
+    return result;
+  }
+
+  onUpdate(changedProperties) {
+    // The select reflects the detected format, but stays free to be changed by the user.
+    const select = this.querySelector('[data-form="import"] [name="format"]');
+    if (select && (changedProperties.has('format') || changedProperties.has('mode'))) {
+      select.value = this.format;
+    }
+  }
+
+  _exportTemplate() {
+    const lists = this.workspace ? this.workspace.lists.getAll() : [];
+
+    return html`
+      <form data-form="export" class="space-y-3" @submit=${(event) => this._onExport(event)}>
+        <fieldset>
+          <legend class=${labelClass}>${this.t('transfer.lists')}</legend>
+          <ul class="space-y-1">
+            ${lists.map(
+              (list) =>
+                html`<li data-key=${list.id}>
+                  <label class="flex items-center gap-2 text-sm">
+                    <input type="checkbox" name="listId" value=${list.id} checked />
+                    <span aria-hidden="true">${list.icon}</span>
+                    ${list.name}
+                  </label>
+                </li>`,
+            )}
+          </ul>
+        </fieldset>
+        <div>
+          <label for=${`${this._id}-export-format`} class=${labelClass}>${this.t('transfer.format')}</label>
+          <select id=${`${this._id}-export-format`} name="format" class=${inputClass}>
+            ${Object.values(TRANSFER_FORMATS).map(
+              (format) => html`<option value=${format}>${this.t(TRANSFER_FORMAT_DETAILS[format].label)}</option>`,
+            )}
+          </select>
+        </div>
+        ${this._actionsTemplate(this.t('transfer.export'), false)}
+      </form>
+    `;
+  }
+
+  _importTemplate() {
+    const accept = Object.values(TRANSFER_FORMAT_DETAILS)
+      .flatMap(({ extensions }) => extensions)
+      .join(',');
+
+    return html`
+      <form data-form="import" class="space-y-3" @submit=${(event) => this._onImport(event)}>
+        <div>
+          <label for=${`${this._id}-file`} class=${labelClass}>${this.t('transfer.file')}</label>
+          <input
+            id=${`${this._id}-file`}
+            name="file"
+            type="file"
+            accept=${accept}
+            class="block w-full text-sm"
+            @change=${(event) => event.target.files[0] && this.loadFile(event.target.files[0])}
+          />
+        </div>
+        <div>
+          <label for=${`${this._id}-import-format`} class=${labelClass}>${this.t('transfer.format')}</label>
+          <select
+            id=${`${this._id}-import-format`}
+            name="format"
+            class=${inputClass}
+            @change=${(event) => this._text && this.preview(this._text, this.fileName, event.target.value)}
+          >
+            ${Object.values(TRANSFER_FORMATS).map(
+              (format) => html`<option value=${format}>${this.t(TRANSFER_FORMAT_DETAILS[format].label)}</option>`,
+            )}
+          </select>
+        </div>
+        <label class="flex items-center gap-2 text-sm">
+          <input type="checkbox" name="skipDuplicates" checked />
+          ${this.t('transfer.skipDuplicates')}
+        </label>
+        ${this.plan && this._previewTemplate(this.plan)}
+        ${this._actionsTemplate(this.t('transfer.import'), !this.plan?.todos.length)}
+      </form>
+    `;
+  }
+
+  _previewTemplate(plan) {
+    const counts = plan.lists.reduce((result, list, index) => {
+      const entry = result.get(list) || { list, total: 0 };
+      entry.total += plan.todos.filter((item) => item.list === index).length;
+      return result.set(list, entry);
+    }, new Map());
+    const problems = [
+      ...plan.errors.map((problem) => ({
+        kind: 'error',
+        text: `${describeSource(problem.source)}: ${describeProblem(problem)}`,
+      })),
+      ...plan.warnings.map((problem) => ({
+        kind: 'warning',
+        text: `${describeSource(problem.source)}: ${describeProblem(problem)}`,
+      })),
+    ];
+    const listClass = 'max-h-40 space-y-1 overflow-y-auto text-sm';
+
+    return html`
+      <section aria-labelledby=${`${this._id}-preview`} class="space-y-2">
+        <h3 id=${`${this._id}-preview`} class="text-sm font-semibold">${this.t('transfer.preview')}</h3>
+        <p data-summary class="text-sm">
+          ${this.t('transfer.summary', {
+            todos: plan.todos.length,
+            duplicates: plan.duplicates,
+            rejected: plan.errors.length,
+          })}
+        </p>
+        <ul data-preview="lists" class="text-sm">
+          ${[...counts.values()]
+            .filter(({ total }) => total)
+            .map(
+              ({ list, total }) =>
+                html`<li data-key=${list.id || `new:${list.name}`}>
+                  ${this.t(list.id ? 'transfer.listCount' : 'transfer.newListCount', {
+                    icon: list.icon,
+                    name: list.name,
+                    count: total,
+                  })}
+                </li>`,
+            )}
+        </ul>
+        <ul data-preview="todos" class=${listClass}>
+          ${plan.todos.slice(0, PREVIEW_LIMIT).map(
+            (item) =>
+              html`<li data-key=${item.key} data-duplicate=${item.duplicate ? '' : null} class="flex gap-2">
+                <span class=${item.parentKey ? 'ml-4 flex-1' : 'flex-1'}>${item.todo.title}</span>
+                ${item.duplicate &&
+                html`<span class="text-amber-700 dark:text-amber-400"
+                  >${this.t('transfer.duplicate', { reason: describeDuplicate(item.duplicate) })}</span
+                >`}
+              </li>`,
+          )}
+          ${plan.todos.length > PREVIEW_LIMIT &&
+          html`<li>${this.t('transfer.more', { count: plan.todos.length - PREVIEW_LIMIT })}</li>`}
+        </ul>
+        ${problems.length > 0 &&
+        html`<ul data-preview="problems" class=${listClass}>
+          ${problems.map(
+            (problem) =>
+              html`<li
+                data-kind=${problem.kind}
+                class=${problem.kind === 'error'
+                  ? 'text-red-600 dark:text-red-400'
+                  : 'text-gray-600 dark:text-gray-300'}
+              >
+                ${problem.text}
+              </li>`,
+          )}
+        </ul>`}
+      </section>
+    `;
+  }
+
+  _actionsTemplate(label, disabled) {
+    return html`
+      <div class="flex justify-end gap-2">
+        <button
+          type="button"
+          class="rounded-lg px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-700"
+          @click=${() => this.close()}
+        >
+          ${this.t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          class="rounded-lg bg-blue-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-800 disabled:cursor-not-allowed disabled:opacity-50"
+          ?disabled=${disabled}
+        >
+          ${label}
+        </button>
+      </div>
+    `;
+  }
+
+  _onExport(event) {
+    event.preventDefault();
+    const data = new FormData(event.target);
+    this.exportLists({ format: data.get('format'), listIds: data.getAll('listId') });
+  }
+
+  _onImport(event) {
+    event.preventDefault();
+    this.importPlan({ skipDuplicates: new FormData(event.target).has('skipDuplicates') });
+  }
+}
+
+if (!customElements.get('transfer-dialog')) {
+  customElements.define('transfer-dialog', TransferDialog);
+}
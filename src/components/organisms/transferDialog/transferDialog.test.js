@@ -0,0 +1,267 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TransferDialog } from './transferDialog';
+import { i18n } from '../../../js/i18n/i18n';
+import { Workspace } from '../../../js/store/workspace';
+
+describe('Test suite for the TransferDialog component', () => {
+  let dialog;
+  let workspace;
+  let inbox;
+  let opener;
+
+  const field = (name) => dialog.querySelector(`[name="${name}"]`);
+  const submit = async () => {
+    dialog.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await dialog.updateComplete;
+  };
+  const texts = (selector) => [...dialog.querySelectorAll(selector)].map((element) => element.textContent.trim());
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    workspace = new Workspace();
+    await workspace.load();
+    inbox = workspace.getTodoStore('inbox');
+    inbox.create({ title: 'Buy milk' });
+    workspace.lists.create({ id: 'work', name: 'Work', color: 'indigo', icon: '💼' });
+
+    opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    dialog = new TransferDialog();
+    dialog.workspace = workspace;
+    document.body.appendChild(dialog);
+    await dialog.updateComplete;
+  });
+
+  afterEach(() => {
+    workspace.stop();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('Should be registered as transfer-dialog and render nothing while closed', () => {
+    expect(dialog).toBeInstanceOf(TransferDialog);
+    expect(dialog.render().tagName).toBe('DIALOG');
+    expect(dialog.render().open).toBe(false);
+    expect(dialog.querySelector('form')).toBeNull();
+  });
+
+  it('Should throw when opened in an unknown mode', async () => {
+    await expect(dialog.open('print')).rejects.toThrow('Define a valid mode: export, import');
+  });
+
+  describe('Should export', () => {
+    let onExport;
+    let click;
+
+    beforeEach(async () => {
+      URL.createObjectURL = vi.fn(() => 'blob:todos');
+      URL.revokeObjectURL = vi.fn();
+      click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+      onExport = vi.fn();
+      dialog.addEventListener('transfer:export', onExport);
+      await dialog.open('export');
+    });
+
+    afterEach(async () => {
+      // The object URL is revoked after a timeout.
+      await new Promise((resolve) => setTimeout(resolve));
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    it('Opening with every list selected and the focus on the first one', () => {
+      const checkboxes = [...dialog.querySelectorAll('[name="listId"]')];
+
+      expect(dialog.render().open).toBe(true);
+      expect(dialog.querySelector('h2').textContent.trim()).toBe('Export todos');
+      expect(checkboxes.map((checkbox) => [checkbox.value, checkbox.checked])).toEqual([
+        ['inbox', true],
+        ['work', true],
+      ]);
+      expect(document.activeElement).toBe(checkboxes[0]);
+    });
+
+    it('Downloading the selected lists in the chosen format', async () => {
+      dialog.querySelector('[name="listId"][value="work"]').checked = false;
+      field('format').value = 'markdown';
+
+      await submit();
+
+      const [blob] = URL.createObjectURL.mock.calls[0];
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:todos');
+      expect(blob.type).toBe('text/markdown;charset=utf-8');
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(click.mock.instances[0].download).toMatch(/^inbox-\d{4}-\d{2}-\d{2}\.md$/);
+      expect(onExport.mock.calls[0][0].detail).toEqual({
+        fileName: click.mock.instances[0].download,
+        format: 'markdown',
+      });
+      expect(dialog.render().open).toBe(false);
+      expect(document.activeElement).toBe(opener);
+    });
+
+    it('Showing an error when no list is selected', async () => {
+      dialog.querySelectorAll('[name="listId"]').forEach((checkbox) => (checkbox.checked = false));
+
+      await submit();
+
+      expect(dialog.querySelector('[role="alert"]').textContent).toBe('Define at least one list to export');
+      expect(click).not.toHaveBeenCalled();
+      expect(dialog.render().open).toBe(true);
+    });
+  });
+
+  describe('Should import', () => {
+    const markdown =
+      '# Inbox\n\n- [ ] Buy milk\n  - [ ] Oat milk\n- [ ] Call mom 📅 2024-02-30\n\n# Garden\n\n- [ ] Water\n';
+    let onImport;
+
+    beforeEach(async () => {
+      onImport = vi.fn();
+      dialog.addEventListener('transfer:import', onImport);
+      await dialog.open('import');
+    });
+
+    it('Opening with the Import button disabled until a file is read', () => {
+      expect(dialog.querySelector('h2').textContent.trim()).toBe('Import todos');
+      expect(dialog.querySelector('button[type="submit"]').disabled).toBe(true);
+      expect(document.activeElement).toBe(field('file'));
+    });
+
+    it('Previewing the todos, the lists, the duplicates and the warnings', async () => {
+      await dialog.preview(markdown, 'todos.md');
+
+      expect(field('format').value).toBe('markdown');
+      expect(dialog.querySelector('[data-summary]').textContent.trim()).toBe(
+        '4 todos found, 1 duplicate and 0 rejected.',
+      );
+      expect(texts('[data-preview="lists"] li')).toEqual(['📥 Inbox: 3', '📋 Garden (new list): 1']);
+      expect(texts('[data-preview="todos"] [data-duplicate] span')).toEqual([
+        'Buy milk',
+        'Duplicate: Same title and due date as a todo in "Inbox"',
+      ]);
+      expect(texts('[data-preview="problems"] [data-kind="warning"]')).toEqual([
+        'Line 5: Define a valid due date (YYYY-MM-DD). Received "2024-02-30", which is ignored',
+      ]);
+      expect(dialog.querySelector('button[type="submit"]').disabled).toBe(false);
+    });
+
+    it('Adding the todos, skipping duplicates', async () => {
+      await dialog.preview(markdown, 'todos.md');
+
+      await submit();
+
+      expect(inbox.getAll().map((todo) => todo.title)).toEqual(['Buy milk', 'Oat milk', 'Call mom']);
+      expect(inbox.getSubtasks(inbox.getAll()[0].id)).toHaveLength(1);
+      expect(onImport.mock.calls[0][0].detail).toMatchObject({ imported: 3, skipped: 1 });
+      expect(dialog.render().open).toBe(false);
+    });
+
+    it('Keeping duplicates when asked to', async () => {
+      await dialog.preview(markdown, 'todos.md');
+      field('skipDuplicates').checked = false;
+
+      await submit();
+
+      expect(inbox.getAll().map((todo) => todo.title)).toEqual(['Buy milk', 'Buy milk', 'Oat milk', 'Call mom']);
+    });
+
+    it('Going to the target list', async () => {
+      dialog.targetListId = 'work';
+
+      await dialog.preview('title\nSend the report\n', 'todos.csv');
+      await submit();
+
+      expect(
+        workspace
+          .getTodoStore('work')
+          .getAll()
+          .map((todo) => todo.title),
+      ).toEqual(['Send the report']);
+    });
+
+    it('Reading a file chosen by the user', async () => {
+      const file = new File(['[{ "title": "Call mom" }]'], 'backup.json', { type: 'application/json' });
+
+      const plan = await dialog.loadFile(file);
+
+      expect(plan.todos.map((item) => item.todo.title)).toEqual(['Call mom']);
+      expect(dialog.fileName).toBe('backup.json');
+      expect(field('format').value).toBe('json');
+    });
+
+    it('Parsing the file again in another format', async () => {
+      await dialog.preview('- [ ] Call mom', 'todos.txt');
+      field('format').value = 'csv';
+      field('format').dispatchEvent(new Event('change'));
+      await dialog.updateComplete;
+
+      expect(dialog.format).toBe('csv');
+      expect(dialog.querySelector('[role="alert"]').textContent).toBe(
+        'Define a valid CSV file: it needs a "title" column',
+      );
+      expect(dialog.querySelector('button[type="submit"]').disabled).toBe(true);
+    });
+
+    it('Listing the rejected todos', async () => {
+      await dialog.preview('title,due\n,2024-06-03\nCall mom,\n', 'todos.csv');
+
+      expect(texts('[data-preview="problems"] [data-kind="error"]')).toEqual(['Row 2: Define a valid todo title']);
+    });
+
+    it('Naming the formats, rows and duplicates in the current locale', async () => {
+      i18n.setLocale('pt-BR');
+
+      try {
+        await dialog.preview('title\nCall mom\nCall mom\n\n', 'todos.csv');
+
+        expect(texts('[name="format"] option')).toContain('CSV (planilha)');
+        expect(texts('[data-preview="todos"] [data-duplicate] span:last-child')).toEqual(['Duplicada: Repete Linha 2']);
+      } finally {
+        i18n.setLocale('en');
+      }
+    });
+  });
+
+  describe('Should close', () => {
+    let onClose;
+
+    beforeEach(async () => {
+      onClose = vi.fn();
+      dialog.addEventListener('transfer:close', onClose);
+      await dialog.open('import');
+    });
+
+    it('With Escape, returning the focus to where it was', async () => {
+      field('file').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+      await dialog.updateComplete;
+
+      expect(dialog.render().open).toBe(false);
+      expect(dialog.querySelector('form')).toBeNull();
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(document.activeElement).toBe(opener);
+    });
+
+    it('With the Cancel button, without importing', async () => {
+      await dialog.preview('- [ ] Call mom', 'todos.md');
+
+      [...dialog.querySelectorAll('button')].find((button) => button.textContent.trim() === 'Cancel').click();
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(inbox.size).toBe(1);
+    });
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    await dialog.open('export');
+    expect(await axe(dialog)).toHaveNoViolations();
+
+    await dialog.open('import');
+    await dialog.preview('title,due\n,2024-06-03\nBuy milk,\n', 'todos.csv');
+    expect(await axe(dialog)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,38 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+
+/**
+ * Page rendered by the router when no route matches the URL.
+ *
+ * @example
+ * new Router({ routes, outlets, notFound: NotFoundPage });
+ */
+export class NotFoundPage extends BaseComponent {
+  static get properties() {
+    return {
+      path: { type: 'string', default: '' },
+      homeHref: { type: 'string', default: '#/' },
+    };
+  }
+
+  constructor() {
+    super('section');
+  }
+
+  template() {
+    // The path goes between the two halves of the message, so it can be shown as code.
+    const [before, after] = this.t('notFound.text', { path: '\u0000' }).split('\u0000');
+
+    return html`
+      <h1 class="mb-2 text-2xl font-semibold text-gray-900 dark:text-white">${this.t('notFound.title')}</h1>
+      <p class="mb-4 text-gray-500 dark:text-gray-400">${before}<code>${this.path}</code>${after}</p>
+      <a href=${this.homeHref} class="font-medium text-blue-700 underline dark:text-blue-400"
+        >${this.t('notFound.home')}</a
+      >
+    `;
+  }
+}
+
+if (!customElements.get('not-found-page')) {
+  customElements.define('not-found-page', NotFoundPage);
+}
@@ -0,0 +1,38 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { NotFoundPage } from './notFound';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the NotFoundPage component', () => {
+  let page;
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    page = new NotFoundPage();
+    page.path = '/nowhere';
+    document.body.appendChild(page);
+    await page.updateComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should mention the missing path', () => {
+    expect(page.querySelector('h1').textContent).toBe('Page not found');
+    expect(page.querySelector('code').textContent).toBe('/nowhere');
+  });
+
+  it('Should link back home', async () => {
+    expect(page.querySelector('a').getAttribute('href')).toBe('#/');
+
+    page.homeHref = '/app/';
+    await page.updateComplete;
+
+    expect(page.querySelector('a').getAttribute('href')).toBe('/app/');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(page)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,498 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+import '../../atoms/priorityBadge/priorityBadge.js';
+import '../../atoms/textField/textField.js';
+import '../../molecules/queryBar/queryBar.js';
+import '../../molecules/reorderableList/reorderableList.js';
+import '../../organisms/todoEditor/todoEditor.js';
+import {
+  QUERY_SORTS,
+  applyQuery,
+  collectTags,
+  isFiltering,
+  nestTodos,
+  parseQuery,
+} from '../../../js/query/todoQuery.js';
+import { DUE_STATUS, formatDueDate, getDueStatus, toDateKey } from '../../../js/schedule/dueDate.js';
+import { describeRecurrence } from '../../../js/schedule/recurrence.js';
+import { TODO_EVENTS } from '../../../js/store/todoStore.js';
+import { i18n, translateError } from '../../../js/i18n/i18n.js';
+
+let instanceCount = 0;
+
+// The rows of the todos, rendered by the VirtualLists inside the ReorderableLists.
+const ROW = '[role="listitem"][data-key]';
+
+// Long lists scroll within this height, so only the todos in view are rendered.
+const LIST_CLASS = 'flex max-h-[70vh] flex-col';
+
+const DUE_CLASSES = {
+  [DUE_STATUS.OVERDUE]: 'text-red-600 dark:text-red-400',
+  [DUE_STATUS.TODAY]: 'text-blue-700 dark:text-blue-400',
+  [DUE_STATUS.UPCOMING]: 'text-gray-500 dark:text-gray-400',
+};
+
+/**
+ * Page listing the todos of a store, optionally narrowed by a filter.
+ *
+ * Rendered by the router in the content region, which assigns the route
+ * params and the props of the route (store, heading and filter). The URL
+ * query (`query`) is applied on top of the route filter, see todoQuery.
+ * Subtasks are listed under their parent when both are shown. New todos
+ * are added at the end of the list when the store is a single TodoStore.
+ * Each todo can be completed and deleted in place, and opens a TodoEditor
+ * below it. The keyboard shortcuts of the app drive the page through
+ * focusNewTodo, focusSearch, focusTodo and getFocusedTodoId. In
+ * the manual order of a single list, todos are reordered by dragging them or
+ * with the keyboard (see ReorderableList), and dragged to a list of the
+ * sidebar to move them there. Only the todos in view are rendered, so lists
+ * of thousands of todos stay fast.
+ *
+ * The store may be a TodoStore or a Workspace; with a Workspace, changes go
+ * to the store of the list that holds the todo.
+ *
+ * @example
+ * const page = new TodoPage();
+ * page.store = store;
+ * page.heading = t('nav.completed');
+ * page.filter = (todo) => todo.completed;
+ */
+export class TodoPage extends BaseComponent {
+  static get properties() {
+    return {
+      heading: { type: 'string', default: '' },
+      emptyText: { type: 'string', default: '' },
+      noMatchText: { type: 'string', default: '' },
+      store: { attribute: false, default: null },
+      filter: { attribute: false, default: null },
+      params: { attribute: false, default: () => ({}) },
+      query: { attribute: false, default: () => ({}) },
+      editing: { attribute: false, default: null },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('section');
+    this._id = `todo-page-${++instanceCount}`;
+    this._headingId = `${this._id}-heading`;
+    this._unsubscribe = null;
+    this.setAttribute('aria-labelledby', this._headingId);
+    // Nested lists emit reorder:move too, and it bubbles up to here once.
+    this.render().addEventListener('reorder:move', (event) => this.moveTodo(event.detail.id, event.detail.order));
+  }
+
+  /**
+   * Gets the todos of the page, before the URL query is applied.
+   * @returns {Object[]} The todos of the store that pass the route filter.
+   */
+  getTodos() {
+    const todos = this.store ? this.store.getAll() : [];
+
+    return typeof this.filter === 'function' ? todos.filter(this.filter) : todos;
+  }
+
+  /**
+   * Gets the todos shown on the page.
+   * @returns {Object[]} The todos that pass the route filter and the URL query, sorted.
+   */
+  getVisibleTodos() {
+    return applyQuery(this.getTodos(), parseQuery(this.query));
+  }
+
+  template() {
+    const todos = this.getTodos();
+    const query = parseQuery(this.query);
+    const visible = applyQuery(todos, query);
+    // The heading takes the focus when the todo that had it is deleted.
+    const headingClass = 'mb-4 text-2xl font-semibold text-gray-900 focus:outline-none dark:text-white';
+    const today = toDateKey();
+    // The tags in use feed both the query bar filter and the tag suggestions of the editor.
+    const tags = collectTags(todos);
+    // Only the manual order of a single list can be changed; sorted or searched todos keep their computed order.
+    const reorderable =
+      typeof this.store?.reorder === 'function' && query.sort === QUERY_SORTS.MANUAL && !query.reverse && !query.search;
+    const emptyText = todos.length
+      ? this.noMatchText || this.t('todoPage.noMatch')
+      : this.emptyText || this.t('todoPage.empty');
+
+    return html`
+      <h1 id=${this._headingId} tabindex="-1" class=${headingClass}>${this.heading || this.t('todoPage.heading')}</h1>
+      ${typeof this.store?.create === 'function' && this._newTodoTemplate()}
+      ${(todos.length > 0 || isFiltering(query)) &&
+      html`<todo-query-bar .query=${query} .tags=${tags}></todo-query-bar>`}
+      ${visible.length
+        ? this._listTemplate(nestTodos(visible), { today, tags, reorderable }, LIST_CLASS)
+        : html`<p class="text-gray-500 dark:text-gray-400">${emptyText}</p>`}
+    `;
+  }
+
+  _newTodoTemplate() {
+    return html`
+      <form class="mb-4 flex items-start gap-2" @submit=${(event) => this._onAdd(event)}>
+        <text-field
+          name="new-todo"
+          autocomplete="off"
+          class="flex-1"
+          .label=${this.t('todoPage.newTodo')}
+          .hideLabel=${true}
+          .placeholder=${this.t('todoPage.placeholder')}
+          .required=${true}
+        ></text-field>
+        <button
+          type="submit"
+          class="rounded-lg bg-blue-700 px-3 py-2 text-sm font-medium text-white hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-300"
+        >
+          ${this.t('common.add')}
+        </button>
+      </form>
+      ${this.error && html`<p role="alert" class="-mt-2 mb-4 text-sm text-red-600 dark:text-red-400">${this.error}</p>`}
+    `;
+  }
+
+  _listTemplate(nodes, options, viewportClass = 'block') {
+    return html`<reorderable-list
+      viewport-class=${viewportClass}
+      .disabled=${!options.reorderable}
+      .items=${nodes.map((node) => ({ id: node.todo.id, ...node }))}
+      .itemLabel=${(node) => node.todo.title}
+      .itemTemplate=${(node) => this._itemTemplate(node, options)}
+    ></reorderable-list>`;
+  }
+
+  _itemTemplate({ todo, children }, options) {
+    const { today, tags } = options;
+    const status = getDueStatus(todo, today);
+    const store = this.getStoreOf(todo.id);
+    const { completed, total } = store ? store.getProgress(todo.id) : { completed: 0, total: 0 };
+    const checkboxId = `${this._id}-${todo.id}`;
+    const editorId = `${this._id}-${todo.id}-editor`;
+    const editing = this.editing === todo.id;
+    const dueDate = todo.dueDate && formatDueDate(todo.dueDate, { today, locale: i18n.locale });
+
+    return html`
+      <div class="flex items-center gap-2 py-2">
+        <input
+          id=${checkboxId}
+          type="checkbox"
+          data-action="toggle"
+          class="h-4 w-4 rounded border-gray-300"
+          .checked=${todo.completed}
+          @change=${(event) => this.toggleTodo(todo.id, event.target.checked)}
+        />
+        <label
+          for=${checkboxId}
+          data-title
+          class=${`flex-1 ${todo.completed ? 'text-gray-400 line-through' : 'text-gray-900 dark:text-white'}`}
+          >${todo.title}</label
+        >
+        <priority-badge .priority=${todo.priority || ''}></priority-badge>
+        ${todo.tags.map(
+          (tag) =>
+            html`<span class="rounded bg-blue-100 px-1.5 text-xs text-blue-800 dark:bg-blue-900 dark:text-blue-300"
+              >#${tag}</span
+            >`,
+        )}
+        ${total > 0 &&
+        html`<span class="text-xs text-gray-500 dark:text-gray-400"
+          >${completed}/${total}<span class="sr-only"> ${this.t('todoPage.subtasksDone')}</span></span
+        >`}
+        ${todo.recurrence &&
+        html`<span class="text-xs text-gray-500 dark:text-gray-400" title=${describeRecurrence(todo.recurrence)}>
+          <span aria-hidden="true">↻</span><span class="sr-only">${describeRecurrence(todo.recurrence)}</span>
+        </span>`}
+        ${todo.dueDate &&
+        html`<time datetime=${todo.dueDate} class=${`text-xs ${DUE_CLASSES[status] || 'text-gray-400'}`}>
+          ${status === DUE_STATUS.OVERDUE ? this.t('due.overdue', { date: dueDate }) : dueDate}
+        </time>`}
+        <button
+          type="button"
+          data-action="edit"
+          class="rounded-lg p-1 text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700"
+          aria-label=${this.t('todoPage.edit', { title: todo.title })}
+          aria-expanded=${String(editing)}
+          aria-controls=${editing ? editorId : null}
+          @click=${() => (editing ? this.stopEditing() : this.startEditing(todo.id))}
+        >
+          ✎
+        </button>
+        <button
+          type="button"
+          data-action="delete"
+          class="rounded-lg p-1 text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 dark:text-gray-400 dark:hover:bg-gray-700"
+          aria-label=${this.t('todoPage.delete', { title: todo.title })}
+          @click=${() => this._onDelete(todo.id)}
+        >
+          ✕
+        </button>
+      </div>
+      ${editing &&
+      html`<todo-editor
+        id=${editorId}
+        class="mb-2 block"
+        .todoId=${todo.id}
+        .store=${store}
+        .tagSuggestions=${tags}
+        @editor:close=${() => this.stopEditing()}
+      ></todo-editor>`}
+      ${children.length > 0 &&
+      html`<div class="ml-6 border-l border-gray-200 pl-2 dark:border-gray-700">
+        ${this._listTemplate(children, options)}
+      </div>`}
+    `;
+  }
+
+  /**
+   * Gets the TodoStore that holds a todo, resolving it through the workspace when the page shows several lists.
+   * @param {string} todoId - The id of the todo.
+   * @returns {TodoStore|undefined} The store, or undefined if the todo is not found.
+   */
+  getStoreOf(todoId) {
+    if (typeof this.store?.findTodoStore === 'function') {
+      return this.store.findTodoStore(todoId);
+    }
+
+    return this.store?.get(todoId) ? this.store : undefined;
+  }
+
+  /**
+   * Completes a todo, or makes it active again.
+   * @param {string} todoId - The id of the todo.
+   * @param {boolean} [completed] - The new state. Inverts the current one when omitted.
+   * @returns {Object|undefined} The updated todo, or undefined if the todo is not found.
+   */
+  toggleTodo(todoId, completed) {
+    return this.getStoreOf(todoId)?.toggle(todoId, completed);
+  }
+
+  /**
+   * Moves a todo in the manual order of its store, given its new place among the todos shown next to it.
+   * The todo goes right before the todo now shown after it, or right after the one shown before it, so
+   * the todos hidden by the filters keep their place.
+   * @param {string} todoId - The id of the todo.
+   * @param {string[]} order - The ids of the todo and its shown siblings, in their new order.
+   * @returns {Object[]|undefined} The todos of the store in their new order, or undefined if the todo is not found.
+   * @example
+   * page.moveTodo(todo.id, [todo.id, first.id, second.id]); // shown first
+   */
+  moveTodo(todoId, order) {
+    const store = this.getStoreOf(todoId);
+    if (!store) {
+      return undefined;
+    }
+
+    const ids = store
+      .getAll()
+      .map((todo) => todo.id)
+      .filter((id) => id !== todoId);
+    const position = order.indexOf(todoId);
+    const after = ids.indexOf(order[position + 1]);
+    const before = ids.indexOf(order[position - 1]);
+
+    return store.reorder(todoId, after !== -1 ? after : before + 1);
+  }
+
+  /**
+   * Adds a todo at the end of the list and clears the new todo field.
+   * @param {string} title - The title of the todo.
+   * @returns {Object|null} The created todo, or null if the title is not valid.
+   */
+  addTodo(title) {
+    let todo;
+    try {
+      todo = this.store.create({ title });
+    } catch (error) {
+      this.error = translateError(error);
+      return null;
+    }
+
+    this.error = '';
+    // Resetting the form also clears the validation error of the field.
+    this.querySelector('[name="new-todo"]')?.form?.reset();
+
+    return todo;
+  }
+
+  /**
+   * Deletes a todo with its subtasks.
+   * @param {string} todoId - The id of the todo.
+   * @returns {Object|undefined} The deleted todo, or undefined if the todo is not found.
+   */
+  deleteTodo(todoId) {
+    if (this.editing === todoId) {
+      this.editing = null;
+    }
+
+    return this.getStoreOf(todoId)?.delete(todoId);
+  }
+
+  /**
+   * A promise that resolves once the page and the lists of todos inside it have rendered.
+   * The todos are rendered by nested ReorderableLists and their VirtualLists, which update after the page.
+   * @returns {Promise<void>}
+   * @example
+   * await page.renderComplete;
+   */
+  get renderComplete() {
+    return (async () => {
+      await this.updateComplete;
+      let lists;
+      do {
+        lists = this.querySelectorAll('reorderable-list, virtual-list');
+        await Promise.all([...lists].map((list) => list.updateComplete));
+      } while (this.querySelectorAll('reorderable-list, virtual-list').length !== lists.length);
+    })();
+  }
+
+  /**
+   * Opens the editor of a todo and focuses its title field.
+   * @param {string} todoId - The id of the todo.
+   * @returns {Promise<void>} Resolves once the editor is focused.
+   */
+  async startEditing(todoId) {
+    this.editing = todoId;
+    await this.renderComplete;
+
+    this.querySelector('todo-editor [name="title"]')?.focus();
+  }
+
+  /**
+   * Closes the editor and returns the focus to the edit button of the todo.
+   * @returns {Promise<void>} Resolves once the focus is restored.
+   */
+  async stopEditing() {
+    const todoId = this.editing;
+    this.editing = null;
+    await this.renderComplete;
+
+    this.querySelector(`${ROW}[data-key="${todoId}"] [data-action="edit"]`)?.focus();
+  }
+
+  /**
+   * Focuses the field that adds a todo.
+   * @returns {Promise<boolean>} Resolves to false if the page cannot add todos, e.g. on the Today page.
+   */
+  async focusNewTodo() {
+    await this.updateComplete;
+    const input = this.querySelector('[name="new-todo"]');
+    input?.focus();
+
+    return Boolean(input);
+  }
+
+  /**
+   * Focuses the search field of the query bar.
+   * @returns {Promise<boolean>} Resolves to false if there is nothing to search.
+   */
+  async focusSearch() {
+    await this.updateComplete;
+    const bar = this.querySelector('todo-query-bar');
+    bar?.focusSearch();
+
+    return Boolean(bar);
+  }
+
+  /**
+   * Gets the todo that has the focus, or one of its controls.
+   * @returns {string|null} The id of the todo, or null if the focus is elsewhere.
+   */
+  getFocusedTodoId() {
+    const item = document.activeElement?.closest(ROW);
+
+    return item && this.contains(item) ? item.dataset.key : null;
+  }
+
+  /**
+   * Moves the focus to another todo, in the order they are shown. Without a focused todo, the first
+   * (or the last, going back) one is focused.
+   * @param {number} offset - How many todos to move by: 1 for the next one, -1 for the previous one.
+   * @returns {string|null} The id of the focused todo, or null if the page shows none.
+   * @example
+   * page.focusTodo(1); // j
+   * page.focusTodo(-1); // k
+   */
+  focusTodo(offset) {
+    const shown = this._getShownTodos();
+    if (!shown.length) {
+      return null;
+    }
+
+    const focused = this.getFocusedTodoId();
+    const index = shown.findIndex(({ id }) => id === focused);
+    const next =
+      index === -1 ? (offset > 0 ? 0 : shown.length - 1) : Math.min(Math.max(index + offset, 0), shown.length - 1);
+    this._focusCheckbox(shown[next]);
+
+    return shown[next].id;
+  }
+
+  onMount() {
+    this._watchStore();
+  }
+
+  onUpdate(changedProperties) {
+    if (changedProperties.has('store') && this.isConnected) {
+      this._watchStore();
+    }
+  }
+
+  onUnmount() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  _onAdd(event) {
+    event.preventDefault();
+    this.addTodo(new FormData(event.target).get('new-todo'));
+  }
+
+  async _onDelete(todoId) {
+    // The focused button goes away with the todo, so the focus moves to the todo that takes its place.
+    const shown = this._getShownTodos();
+    const index = shown.findIndex(({ id }) => id === todoId);
+    const next = shown.slice(index + 1).find(({ ancestors }) => !ancestors.includes(todoId)) || shown[index - 1];
+
+    this.deleteTodo(todoId);
+    await this.renderComplete;
+
+    const checkbox = next && this._getCheckbox(next.id);
+    (checkbox || this.querySelector(`#${this._headingId}`))?.focus();
+  }
+
+  // The todos shown, in the order they are shown, with the ids of the todos each one is nested under.
+  _getShownTodos() {
+    const shown = [];
+    const visit = (nodes, ancestors) =>
+      nodes.forEach(({ todo, children }) => {
+        shown.push({ id: todo.id, ancestors });
+        visit(children, [...ancestors, todo.id]);
+      });
+    visit(nestTodos(this.getVisibleTodos()), []);
+
+    return shown;
+  }
+
+  _getCheckbox(todoId) {
+    return this.querySelector(`${ROW}[data-key="${todoId}"] [data-action="toggle"]`);
+  }
+
+  _focusCheckbox({ id, ancestors }) {
+    // Rows out of view are not rendered, so the list first scrolls to the todo, or to the one it is nested under.
+    this.querySelector('reorderable-list')?.scrollToItem(ancestors[0] ?? id);
+    const checkbox = this._getCheckbox(id);
+    if (checkbox) {
+      checkbox.focus();
+    } else {
+      this.renderComplete.then(() => this._getCheckbox(id)?.focus());
+    }
+  }
+
+  _watchStore() {
+    this._unsubscribe?.();
+    this._unsubscribe = this.store ? this.store.subscribe(TODO_EVENTS.CHANGE, () => this.requestUpdate()) : null;
+  }
+}
+
+if (!customElements.get('todo-page')) {
+  customElements.define('todo-page', TodoPage);
+}
@@ -0,0 +1,435 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { TodoPage } from './todoPage';
+import { TodoStore } from '../../../js/store/todoStore';
+import { addDays, toDateKey } from '../../../js/schedule/dueDate';
+import { DEFAULT_LOCALE, i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the TodoPage component', () => {
+  let page;
+  let store;
+
+  const getTitles = () => [...page.querySelectorAll('[data-title]')].map((item) => item.textContent.trim());
+  const getRow = (id) => page.querySelector(`[role="listitem"][data-key="${id}"]`);
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    store = new TodoStore();
+    store.create({ title: 'Buy milk' });
+    store.toggle(store.create({ title: 'Walk the dog' }).id);
+
+    page = new TodoPage();
+    page.store = store;
+    page.heading = 'Everything';
+    document.body.appendChild(page);
+    await page.renderComplete;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should render a labelled section with the todos of the store', () => {
+    const section = page.render();
+
+    expect(section.tagName).toBe('SECTION');
+    expect(document.getElementById(section.getAttribute('aria-labelledby')).textContent).toBe('Everything');
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog']);
+  });
+
+  it('Should apply the filter', async () => {
+    page.filter = (todo) => todo.completed;
+    await page.renderComplete;
+
+    expect(getTitles()).toEqual(['Walk the dog']);
+  });
+
+  it('Should re-render when the store changes', async () => {
+    store.create({ title: 'Water the plants' });
+    await page.renderComplete;
+
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog', 'Water the plants']);
+  });
+
+  it('Should follow a new store', async () => {
+    const other = new TodoStore();
+    page.store = other;
+    await page.renderComplete;
+
+    other.create({ title: 'Read a book' });
+    store.create({ title: 'Ignored' });
+    await page.renderComplete;
+
+    expect(getTitles()).toEqual(['Read a book']);
+  });
+
+  it('Should stop listening to the store when removed', async () => {
+    page.remove();
+    store.create({ title: 'Later' });
+    await page.renderComplete;
+
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog']);
+  });
+
+  it('Should show a message without todos', async () => {
+    page.filter = () => false;
+    await page.renderComplete;
+
+    expect(page.querySelector('[role="list"]')).toBeNull();
+    expect(page.querySelector('p').textContent).toBe('No tasks here yet.');
+  });
+
+  describe('Should apply the URL query', () => {
+    it('On top of the route filter', async () => {
+      store.create({ title: 'Buy bread' });
+      page.filter = (todo) => !todo.completed;
+      page.query = { q: 'buy', sort: 'created', reverse: '1' };
+      await page.renderComplete;
+
+      expect(getTitles()).toEqual(['Buy milk', 'Buy bread']);
+      expect(page.getVisibleTodos().map((todo) => todo.title)).toEqual(['Buy milk', 'Buy bread']);
+    });
+
+    it('Passing the query and the tags in use to the query bar', async () => {
+      store.update(store.getAll()[0].id, { title: 'Buy milk' });
+      store.put({ ...store.getAll()[0], tags: ['home'] });
+      page.query = { filter: 'active' };
+      await page.renderComplete;
+
+      const bar = page.querySelector('todo-query-bar');
+      expect(bar.query).toMatchObject({ filter: 'active' });
+      expect(bar.tags).toEqual(['home']);
+    });
+
+    it('Telling when nothing matches', async () => {
+      page.query = { q: 'zzz' };
+      await page.renderComplete;
+
+      expect(page.querySelector('p').textContent).toBe('No tasks match the current filters.');
+      expect(page.querySelector('todo-query-bar')).not.toBeNull();
+    });
+  });
+
+  it('Should show due dates and recurrences', async () => {
+    const today = toDateKey();
+    const [todo] = store.getAll();
+    store.update(todo.id, { dueDate: addDays(today, -1), recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+    await page.renderComplete;
+
+    const time = page.querySelector('time');
+    expect(time.getAttribute('datetime')).toBe(addDays(today, -1));
+    expect(time.textContent.trim()).toBe('Overdue · Yesterday');
+    expect(time.className).toContain('text-red-600');
+    expect(page.querySelector('[role="listitem"] .sr-only').textContent).toBe('Every week on Mon');
+  });
+
+  it('Should nest subtasks under their todo with its progress', async () => {
+    const [todo] = store.getAll();
+    store.toggle(store.create({ title: 'Whole milk', parentId: todo.id }).id);
+    store.create({ title: 'Oat milk', parentId: todo.id });
+    await page.renderComplete;
+
+    const item = getRow(todo.id);
+    expect(
+      [...item.querySelector('[role="list"]').querySelectorAll('[data-title]')].map((title) =>
+        title.textContent.trim(),
+      ),
+    ).toEqual(['Whole milk', 'Oat milk']);
+    expect(getTitles()).toEqual(['Buy milk', 'Whole milk', 'Oat milk', 'Walk the dog']);
+    expect(item.textContent).toContain('1/2 subtasks done');
+  });
+
+  it('Should show the priority and the tags', async () => {
+    const [todo] = store.getAll();
+    store.update(todo.id, { priority: 'high', tags: ['home', 'errands'] });
+    await page.renderComplete;
+
+    const item = getRow(todo.id);
+    expect(item.querySelector('priority-badge').priority).toBe('high');
+    expect(item.textContent).toContain('#home');
+    expect(item.textContent).toContain('#errands');
+  });
+
+  it('Should complete todos with their checkbox', async () => {
+    const [todo] = store.getAll();
+    getRow(todo.id).querySelector('input[type="checkbox"]').click();
+    await page.renderComplete;
+
+    expect(store.get(todo.id).completed).toBe(true);
+  });
+
+  describe('Should reorder todos', () => {
+    it('Moving them in the store', async () => {
+      const [milk, dog] = store.getAll();
+      getRow(dog.id)
+        .querySelector('[data-action="reorder"]')
+        .dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+      const list = page.querySelector('reorderable-list');
+      await list.updateComplete;
+      list.moveTo(0);
+      list.drop();
+      await page.renderComplete;
+
+      expect(store.getAll().map((todo) => todo.id)).toEqual([dog.id, milk.id]);
+      expect(getTitles()).toEqual(['Walk the dog', 'Buy milk']);
+    });
+
+    it('Keeping hidden todos in place', () => {
+      const [milk, dog] = store.getAll();
+      const call = store.create({ title: 'Call mom' });
+
+      page.moveTodo(call.id, [milk.id, call.id]);
+      expect(store.getAll()).toEqual([milk, call, dog]);
+
+      page.moveTodo(milk.id, [call.id, milk.id]);
+      expect(store.getAll().map((todo) => todo.title)).toEqual(['Call mom', 'Buy milk', 'Walk the dog']);
+    });
+
+    it('Only in the manual order of a list', async () => {
+      expect(page.querySelector('[data-action="reorder"]')).not.toBeNull();
+
+      page.query = { sort: 'due' };
+      await page.renderComplete;
+      expect(page.querySelector('[data-action="reorder"]')).toBeNull();
+    });
+  });
+
+  describe('Should delete todos', () => {
+    it('Moving the focus to the next todo', async () => {
+      const [, next] = store.getAll();
+      page.querySelector('[aria-label="Delete Buy milk"]').click();
+      await page.renderComplete;
+
+      expect(getTitles()).toEqual(['Walk the dog']);
+      expect(document.activeElement).toBe(getRow(next.id).querySelector('input[type="checkbox"]'));
+    });
+
+    it('Moving the focus to the heading when no todo is left', async () => {
+      store
+        .getAll()
+        .slice(1)
+        .forEach((todo) => store.delete(todo.id));
+      await page.renderComplete;
+
+      page.querySelector('[aria-label="Delete Buy milk"]').click();
+      await page.renderComplete;
+
+      expect(document.activeElement).toBe(page.querySelector('h1'));
+    });
+
+    it('Closing the editor of the todo', async () => {
+      const [todo] = store.getAll();
+      await page.startEditing(todo.id);
+
+      page.deleteTodo(todo.id);
+      await page.renderComplete;
+
+      expect(page.editing).toBeNull();
+      expect(page.querySelector('todo-editor')).toBeNull();
+    });
+  });
+
+  describe('Should edit todos', () => {
+    it('Opening the editor from the edit button', async () => {
+      const [todo] = store.getAll();
+      const button = page.querySelector('[aria-label="Edit Buy milk"]');
+      button.click();
+      await page.renderComplete;
+
+      const editor = page.querySelector('todo-editor');
+      expect(editor.todoId).toBe(todo.id);
+      expect(button.getAttribute('aria-expanded')).toBe('true');
+      expect(button.getAttribute('aria-controls')).toBe(editor.id);
+      expect(document.activeElement).toBe(editor.querySelector('[name="title"] input'));
+    });
+
+    it('Closing the editor and focusing the edit button again', async () => {
+      page.querySelector('[aria-label="Edit Buy milk"]').click();
+      await page.renderComplete;
+
+      page.querySelector('todo-editor').close();
+      await page.renderComplete;
+
+      expect(page.querySelector('todo-editor')).toBeNull();
+      expect(document.activeElement).toBe(page.querySelector('[aria-label="Edit Buy milk"]'));
+    });
+
+    it('Saving the changes to the store', async () => {
+      const [todo] = store.getAll();
+      await page.startEditing(todo.id);
+      page.querySelector('todo-editor [name="title"]').value = 'Buy oat milk';
+      page.querySelector('todo-editor').save();
+      await page.renderComplete;
+
+      expect(store.get(todo.id).title).toBe('Buy oat milk');
+      expect(getTitles()).toContain('Buy oat milk');
+      expect(page.querySelector('todo-editor')).toBeNull();
+    });
+  });
+
+  describe('Should add todos', () => {
+    const getField = () => page.querySelector('[name="new-todo"]');
+    const submit = (title) => {
+      getField().value = title;
+      getField().form.requestSubmit();
+    };
+
+    it('At the end of the list, clearing the field', async () => {
+      submit('Water the plants');
+      await page.renderComplete;
+
+      expect(getTitles()).toEqual(['Buy milk', 'Walk the dog', 'Water the plants']);
+      expect(getField().value).toBe('');
+    });
+
+    it('Showing why a title is not valid', async () => {
+      submit('   ');
+      await page.renderComplete;
+
+      expect(getField().querySelector('input').getAttribute('aria-invalid')).toBe('true');
+      expect(getField().textContent).toContain('Fill in this field.');
+      expect(store.size).toBe(2);
+    });
+
+    it('Clearing the error with the field once a todo is added', async () => {
+      submit('   ');
+      await page.renderComplete;
+      submit('Water the plants');
+      await page.renderComplete;
+
+      expect(store.size).toBe(3);
+      expect(getField().error).toBe('');
+      expect(getField().querySelector('[aria-invalid]')).toBeNull();
+    });
+
+    it('Only when the store can create todos', async () => {
+      // A read-only view of the store, like the Today page over the workspace.
+      page.store = {
+        getAll: () => store.getAll(),
+        get: (id) => store.get(id),
+        getProgress: (id) => store.getProgress(id),
+        subscribe: () => () => {},
+      };
+
+      expect(await page.focusNewTodo()).toBe(false);
+      expect(getField()).toBeNull();
+    });
+  });
+
+  describe('Should be driven with the keyboard', () => {
+    const getCheckbox = (title) =>
+      [...page.querySelectorAll('[data-action="toggle"]')].find((checkbox) => checkbox.labels[0].textContent === title);
+
+    it('Focusing the new todo field and the search', async () => {
+      expect(await page.focusNewTodo()).toBe(true);
+      expect(document.activeElement.name).toBe('new-todo');
+
+      expect(await page.focusSearch()).toBe(true);
+      expect(document.activeElement.type).toBe('search');
+    });
+
+    it('Moving between todos, subtasks included', async () => {
+      const [milk] = store.getAll();
+      store.create({ title: 'Oat milk', parentId: milk.id });
+      await page.renderComplete;
+
+      expect(page.getFocusedTodoId()).toBeNull();
+      expect(page.focusTodo(1)).toBe(milk.id);
+      page.focusTodo(1);
+      expect(document.activeElement).toBe(getCheckbox('Oat milk'));
+      page.focusTodo(1);
+      expect(document.activeElement).toBe(getCheckbox('Walk the dog'));
+
+      // Stops at the ends of the list.
+      page.focusTodo(1);
+      expect(document.activeElement).toBe(getCheckbox('Walk the dog'));
+      page.focusTodo(-1);
+      expect(document.activeElement).toBe(getCheckbox('Oat milk'));
+    });
+
+    it('Starting from the last todo when going back', () => {
+      page.focusTodo(-1);
+
+      expect(document.activeElement).toBe(getCheckbox('Walk the dog'));
+    });
+
+    it('Telling which todo has the focus', async () => {
+      const [milk] = store.getAll();
+      await page.startEditing(milk.id);
+
+      expect(page.getFocusedTodoId()).toBe(milk.id);
+      expect(page.focusTodo(1)).toBe(store.getAll()[1].id);
+    });
+  });
+
+  describe('Should only render the todos in view of a long list', () => {
+    let todos;
+
+    const getCheckboxOf = (id) => getRow(id).querySelector('[data-action="toggle"]');
+
+    beforeEach(async () => {
+      const big = new TodoStore();
+      for (let index = 1; index <= 5000; index += 1) {
+        big.create({ title: `Todo ${index}` });
+      }
+      todos = big.getAll();
+      big.create({ title: 'Last subtask', parentId: todos[todos.length - 1].id });
+      page.store = big;
+      await page.renderComplete;
+    });
+
+    it('Rendering the rows that fit in the viewport', () => {
+      expect(page.querySelectorAll('[role="listitem"]').length).toBeLessThanOrEqual(30);
+      expect(getTitles()[0]).toBe('Todo 1');
+    });
+
+    it('Focusing todos out of view with the keyboard', async () => {
+      page.focusTodo(-1);
+      await page.renderComplete;
+      expect(document.activeElement.labels[0].textContent).toBe('Last subtask');
+
+      page.focusTodo(-1);
+      expect(document.activeElement).toBe(getCheckboxOf(todos[4999].id));
+      page.focusTodo(-1);
+      expect(document.activeElement).toBe(getCheckboxOf(todos[4998].id));
+      expect(page.querySelectorAll('[role="listitem"]').length).toBeLessThanOrEqual(30);
+    });
+
+    it('Moving the focus to the next todo when one is deleted', async () => {
+      getCheckboxOf(todos[0].id).focus();
+      page.querySelector('[aria-label="Delete Todo 1"]').click();
+      await page.renderComplete;
+
+      expect(document.activeElement).toBe(getCheckboxOf(todos[1].id));
+    });
+  });
+
+  it('Should hide the query bar without todos', async () => {
+    page.store = new TodoStore();
+    await page.renderComplete;
+
+    expect(page.querySelector('todo-query-bar')).toBeNull();
+  });
+
+  it('Should render in Brazilian Portuguese, the default locale', async () => {
+    document.body.innerHTML = '';
+    i18n.setLocale(DEFAULT_LOCALE);
+    page = new TodoPage();
+    page.store = store;
+    document.body.appendChild(page);
+    await page.renderComplete;
+
+    expect(page.querySelector('h1').textContent).toBe('Tarefas');
+    expect(page.querySelector('[name="new-todo"] input').placeholder).toBe('Adicionar uma tarefa');
+    expect(page.querySelector('button[type="submit"]').textContent.trim()).toBe('Adicionar');
+
+    page.addTodo('   ');
+    await page.renderComplete;
+
+    expect(page.querySelector('p[role="alert"]').textContent).toBe('Informe um título válido para a tarefa');
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(page)).toHaveNoViolations();
+  });
+});
@@ -1,3 +1,8 @@
+import { adoptStyleSheetUrl, adoptStyles } from '../styles/styleSheets.js';
+import { tailwindStyles } from '../styles/tailwind.js';
+import { renderTemplate } from '../template/template.js';
+import { I18N_EVENTS, i18n } from '../../../js/i18n/i18n.js';
+
 /**
  * Base class for creating custom HTML elements with common utility methods.
  *
@@ -16,15 +21,195 @@
  *     this.setAttribute('data-example', 'value');
  *   }
  *
- *   connectedCallback() {
+ *   onMount() {
  *     console.log(this.hasClass('my-class')); // true
  *     console.log(this.getAttributeValue('data-example')); // 'value'
  *   }
  * }
  *
  * customElements.define('my-component', MyComponent);
+ *
+ * @example
+ * Example of lifecycle hooks and automatic cleanup:
+ *
+ * class TodoCounter extends BaseComponent {
+ *   onMount() {
+ *     this.listen(window, 'resize', () => this.requestUpdate());
+ *     this.addDisposer(store.subscribe(TODO_EVENTS.CHANGE, () => this.requestUpdate()));
+ *   }
+ *
+ *   onUnmount() {
+ *     console.log('Listeners and subscriptions are already gone');
+ *   }
+ * }
+ *
+ * @example
+ * Example of reactive properties:
+ *
+ * class MyCounter extends BaseComponent {
+ *   static get properties() {
+ *     return {
+ *       count: { type: 'number', default: 0, reflect: true },
+ *       label: { type: 'string', default: 'Clicks' },
+ *     };
+ *   }
+ *
+ *   constructor() {
+ *     super('button');
+ *   }
+ *
+ *   update(changedProperties) {
+ *     this.render().textContent = `${this.label}: ${this.count}`;
+ *   }
+ * }
+ *
+ * // <my-counter count="3" label="Votes"></my-counter>
+ *
+ * @example
+ * Example of translated texts, which render again when the language changes:
+ *
+ * class MyEmptyState extends BaseComponent {
+ *   constructor() {
+ *     super('p');
+ *   }
+ *
+ *   template() {
+ *     return html`${this.t('todoPage.empty')}`;
+ *   }
+ * }
+ *
+ * @example
+ * Example of declarative templates:
+ *
+ * class MyGreeting extends BaseComponent {
+ *   static get properties() {
+ *     return { name: { type: 'string', default: 'world' } };
+ *   }
+ *
+ *   constructor() {
+ *     super('p');
+ *   }
+ *
+ *   template() {
+ *     return html`Hello, <strong>${this.name}</strong>! <button @click=${() => this.greet()}>Greet</button>`;
+ *   }
+ * }
+ */
+
+/**
+ * Converters between attribute strings and property values, by property type.
+ * @type {Object<string, {fromAttribute: function(?string): *, toAttribute: function(*): ?string}>}
  */
+const PROPERTY_CONVERTERS = {
+  string: {
+    fromAttribute: (value) => value,
+    toAttribute: (value) => String(value),
+  },
+  number: {
+    fromAttribute: (value) => (value === null ? null : Number(value)),
+    toAttribute: (value) => String(value),
+  },
+  boolean: {
+    fromAttribute: (value) => value !== null,
+    toAttribute: (value) => (value ? '' : null),
+  },
+  json: {
+    fromAttribute: (value) => {
+      if (value === null) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(value);
+      } catch {
+        console.warn(`Invalid JSON attribute value: ${value}`);
+        return null;
+      }
+    },
+    toAttribute: (value) => JSON.stringify(value),
+  },
+};
+
+/**
+ * Converts a camelCase property name into its default kebab-case attribute name.
+ * @param {string} name - The property name.
+ * @returns {string} The attribute name.
+ */
+const toAttributeName = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
 export class BaseComponent extends HTMLElement {
+  /**
+   * Declares the reactive properties of the component. Subclasses override this getter.
+   *
+   * Each entry maps a property name to its options:
+   * - `type`: 'string' (default), 'number', 'boolean' or 'json', used to convert attribute values.
+   * - `attribute`: the observed attribute name, `false` to not observe any. Defaults to the kebab-case name.
+   * - `reflect`: whether property changes are written back to the attribute.
+   * - `default`: the initial value, or a function returning it (use it for objects and arrays).
+   *
+   * @returns {Object<string, Object>} The property declarations.
+   * @example
+   * static get properties() {
+   *   return { todoId: { type: 'string' }, done: { type: 'boolean', reflect: true } };
+   * }
+   */
+  static get properties() {
+    return {};
+  }
+
+  /**
+   * Lists the attributes backing reactive properties, so the browser calls attributeChangedCallback for them.
+   * @returns {string[]} The observed attribute names.
+   */
+  static get observedAttributes() {
+    this._finalizeProperties();
+
+    return [...this._attributeToProperty.keys()];
+  }
+
+  /**
+   * Collects the property declarations of the class and its ancestors and defines their accessors.
+   * Runs once per class.
+   */
+  static _finalizeProperties() {
+    if (Object.prototype.hasOwnProperty.call(this, '_propertyDefinitions')) {
+      return;
+    }
+
+    const parent = Object.getPrototypeOf(this);
+    if (typeof parent._finalizeProperties === 'function') {
+      parent._finalizeProperties();
+    }
+
+    const inherited = parent._propertyDefinitions ? parent : null;
+
+    this._propertyDefinitions = new Map(inherited ? inherited._propertyDefinitions : []);
+    this._attributeToProperty = new Map(inherited ? inherited._attributeToProperty : []);
+
+    Object.entries(this.properties).forEach(([name, options]) => {
+      const definition = { type: 'string', reflect: false, ...options };
+      if (!PROPERTY_CONVERTERS[definition.type]) {
+        throw new Error(`Unknown property type "${definition.type}" for "${name}"`);
+      }
+      if (definition.attribute !== false) {
+        definition.attribute = definition.attribute || toAttributeName(name);
+        this._attributeToProperty.set(definition.attribute, name);
+      }
+
+      this._propertyDefinitions.set(name, definition);
+      Object.defineProperty(this.prototype, name, {
+        get() {
+          return this._properties.get(name);
+        },
+        set(value) {
+          this._setProperty(name, value);
+        },
+        configurable: true,
+        enumerable: true,
+      });
+    });
+  }
+
   /**
    * Creates an instance of BaseComponent.
    * @param {string} element - The HTML element to create.
@@ -43,34 +228,381 @@ export class BaseComponent extends HTMLElement {
       throw new Error('Define a valid HTML element to create');
     }
 
+    this._initializeProperties();
     this._element = document.createElement(element);
 
     if (useShadowDom) {
       this.attachShadow({ mode: 'open' });
       this.shadowRoot.appendChild(this._element);
+      this.shadowRoot.addEventListener('slotchange', (event) => {
+        this.onSlotChange(event.target.name, event.target.assignedNodes({ flatten: true }));
+      });
     } else {
       this.appendChild(this._element);
     }
   }
 
+  /**
+   * Called by the browser when an observed attribute changes. Updates the matching reactive property.
+   * @param {string} attrName - The attribute that changed.
+   * @param {string|null} oldValue - The previous value.
+   * @param {string|null} newValue - The new value, or null if the attribute was removed.
+   */
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    const name = this.constructor._attributeToProperty.get(attrName);
+    if (!name || this._reflectingProperty === name) {
+      return;
+    }
+
+    const { type } = this.constructor._propertyDefinitions.get(name);
+    this[name] = PROPERTY_CONVERTERS[type].fromAttribute(newValue);
+  }
+
+  /**
+   * Schedules an update for the next microtask. Several changes in the same task result in a single update.
+   * Call it directly after mutating an object or array property in place.
+   * @param {string} [name] - The property that changed.
+   * @param {*} [oldValue] - The value before the change.
+   * @returns {Promise<void>} Resolves once the update has run.
+   * @example
+   * this.items.push(item);
+   * this.requestUpdate('items');
+   */
+  requestUpdate(name, oldValue) {
+    if (name !== undefined && !this._changedProperties.has(name)) {
+      this._changedProperties.set(name, oldValue);
+    }
+
+    if (!this._updatePending) {
+      this._updatePending = true;
+      this._updateComplete = new Promise((resolve) => {
+        queueMicrotask(() => {
+          this._performUpdate();
+          resolve();
+        });
+      });
+    }
+
+    return this._updateComplete;
+  }
+
+  /**
+   * A promise that resolves once the pending update, if any, has run.
+   * @returns {Promise<void>} The pending update.
+   * @example
+   * component.count = 2;
+   * await component.updateComplete;
+   */
+  get updateComplete() {
+    return this._updateComplete;
+  }
+
+  /**
+   * Called by the browser when the component is inserted into the document.
+   * Requests the first update, re-renders on language changes and calls onMount.
+   * Subclasses overriding it must call `super.connectedCallback()`.
+   */
+  connectedCallback() {
+    if (!this._hasUpdated) {
+      this.requestUpdate();
+    }
+    if (typeof this.template === 'function') {
+      this.addDisposer(i18n.subscribe(I18N_EVENTS.CHANGE, () => this.requestUpdate()));
+    }
+
+    this.onMount();
+  }
+
+  /**
+   * Called by the browser when the component is removed from the document.
+   * Removes every listener added with listen, runs every disposer and calls onUnmount.
+   * Subclasses overriding it must call `super.disconnectedCallback()`.
+   */
+  disconnectedCallback() {
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+
+    const disposers = [...this._disposers];
+    this._disposers.clear();
+    disposers.forEach((dispose) => {
+      try {
+        dispose();
+      } catch (error) {
+        console.error('Error while disposing component resources.', error);
+      }
+    });
+
+    this.onUnmount();
+  }
+
+  /**
+   * Hook called after the component is inserted into the document, before its first render.
+   * Add listeners and subscriptions here: they are removed automatically when the component is removed.
+   */
+  onMount() {}
+
+  /**
+   * Hook called after the component is removed from the document and its resources were released.
+   */
+  onUnmount() {}
+
+  /**
+   * Hook called after every update, once the DOM reflects the new property values.
+   * @param {Map<string, *>} changedProperties - The changed property names, mapped to their previous values.
+   */
+  onUpdate(changedProperties) {}
+
+  /**
+   * Hook called when the nodes assigned to a slot change, e.g. when a parent adds or removes child content.
+   * @param {string} name - The slot name, or an empty string for the default slot.
+   * @param {Node[]} assignedNodes - The nodes now assigned to the slot, flattened.
+   */
+  onSlotChange(name, assignedNodes) {}
+
+  /**
+   * Signal aborted when the component is removed from the document. Pass it to fetch or addEventListener.
+   * @returns {AbortSignal} The signal for the current connection.
+   * @example
+   * fetch(url, { signal: this.signal });
+   */
+  get signal() {
+    if (!this._abortController) {
+      this._abortController = new AbortController();
+    }
+
+    return this._abortController.signal;
+  }
+
+  /**
+   * Adds an event listener that is removed automatically when the component leaves the document.
+   * @param {EventTarget} target - The target to listen to.
+   * @param {string} eventName - The event name.
+   * @param {function(Event): void} handler - The listener.
+   * @param {Object} [options={}] - Options passed to addEventListener.
+   * @returns {function(): void} A function that removes the listener earlier.
+   * @example
+   * this.listen(document, 'keydown', (event) => this.onKeyDown(event));
+   */
+  listen(target, eventName, handler, options = {}) {
+    target.addEventListener(eventName, handler, { ...options, signal: this.signal });
+
+    return () => target.removeEventListener(eventName, handler, options);
+  }
+
+  /**
+   * Registers a function to run when the component leaves the document, e.g. a store unsubscribe.
+   * @param {function(): void} dispose - The cleanup function.
+   * @returns {function(): void} The same function, for chaining.
+   * @example
+   * this.addDisposer(store.subscribe(TODO_EVENTS.CHANGE, () => this.requestUpdate()));
+   */
+  addDisposer(dispose) {
+    this._disposers.add(dispose);
+
+    return dispose;
+  }
+
+  /**
+   * Translates a message into the language of the app, see I18n#t.
+   * Components with a template render again when the language changes.
+   * @param {string} key - The key of the message.
+   * @param {Object<string, *>} [params] - Values for the arguments of the message.
+   * @returns {string} The message.
+   * @example
+   * html`<button aria-label=${this.t('todoPage.delete', { title: todo.title })}>✕</button>`;
+   */
+  t(key, params) {
+    return i18n.t(key, params);
+  }
+
+  /**
+   * Re-renders the component after reactive properties changed.
+   * By default it renders the result of `template()` when the subclass defines it. Subclasses may override it.
+   * @param {Map<string, *>} changedProperties - The changed property names, mapped to their previous values.
+   */
+  update(changedProperties) {
+    if (typeof this.template === 'function') {
+      this.setTemplate(this.template(changedProperties));
+    }
+  }
+
+  _initializeProperties() {
+    this.constructor._finalizeProperties();
+    this._properties = new Map();
+    this._changedProperties = new Map();
+    this._updatePending = false;
+    this._updateComplete = Promise.resolve();
+    this._hasUpdated = false;
+    this._reflectingProperty = null;
+    this._abortController = null;
+    this._disposers = new Set();
+
+    this.constructor._propertyDefinitions.forEach((definition, name) => {
+      const value = typeof definition.default === 'function' ? definition.default() : definition.default;
+      this._properties.set(name, value);
+
+      // Values assigned before the element was upgraded shadow the accessor and must be re-applied.
+      if (Object.prototype.hasOwnProperty.call(this, name)) {
+        const ownValue = this[name];
+        delete this[name];
+        this[name] = ownValue;
+      }
+    });
+  }
+
+  _setProperty(name, value) {
+    const oldValue = this._properties.get(name);
+    if (Object.is(oldValue, value)) {
+      return;
+    }
+
+    this._properties.set(name, value);
+
+    const definition = this.constructor._propertyDefinitions.get(name);
+    if (definition.reflect && definition.attribute) {
+      this._reflectProperty(name, definition, value);
+    }
+
+    this.requestUpdate(name, oldValue);
+  }
+
+  _reflectProperty(name, { type, attribute }, value) {
+    const attrValue = value === null || value === undefined ? null : PROPERTY_CONVERTERS[type].toAttribute(value);
+
+    // BaseComponent#setAttribute targets the inner element, so the host attribute is written through HTMLElement.
+    this._reflectingProperty = name;
+    if (attrValue === null) {
+      HTMLElement.prototype.removeAttribute.call(this, attribute);
+    } else {
+      HTMLElement.prototype.setAttribute.call(this, attribute, attrValue);
+    }
+    this._reflectingProperty = null;
+  }
+
+  _performUpdate() {
+    const changedProperties = this._changedProperties;
+    this._changedProperties = new Map();
+    this._updatePending = false;
+    this._hasUpdated = true;
+
+    this.update(changedProperties);
+    this.onUpdate(changedProperties);
+  }
+
+  /**
+   * Dispatches a CustomEvent from the component. The event bubbles and crosses shadow DOM boundaries,
+   * so any ancestor (or the document) can listen to it.
+   * @param {string} name - The event name, namespaced like `todo:added`.
+   * @param {*} [detail] - The event payload.
+   * @param {CustomEventInit} [options={}] - Overrides the default event options.
+   * @returns {boolean} False if a listener called preventDefault, true otherwise.
+   * @example
+   * this.emit('todo:toggled', { id: this.todoId });
+   */
+  emit(name, detail, options = {}) {
+    return this.dispatchEvent(
+      new CustomEvent(name, { detail, bubbles: true, composed: true, cancelable: true, ...options }),
+    );
+  }
+
+  /**
+   * Gets a slot of the shadow root by name.
+   * @param {string} [name=''] - The slot name. Omit it for the default slot.
+   * @returns {HTMLSlotElement|null} The slot, or null if it does not exist or Shadow DOM is not enabled.
+   * @example
+   * const asideSlot = myComponent.getSlot('aside');
+   */
+  getSlot(name = '') {
+    if (!this.shadowRoot) {
+      console.warn('Shadow DOM is not enabled. Slots are not available.');
+      return null;
+    }
+
+    return [...this.shadowRoot.querySelectorAll('slot')].find((slot) => slot.name === name) || null;
+  }
+
+  /**
+   * Gets the nodes projected into a slot, text nodes included.
+   * @param {string} [name=''] - The slot name. Omit it for the default slot.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.flatten=true] - Whether to resolve nested slots and fallback content.
+   * @returns {Node[]} The assigned nodes, or an empty array if the slot does not exist.
+   * @example
+   * const nodes = myComponent.getAssignedNodes();
+   */
+  getAssignedNodes(name = '', { flatten = true } = {}) {
+    const slot = this.getSlot(name);
+
+    return slot ? slot.assignedNodes({ flatten }) : [];
+  }
+
+  /**
+   * Gets the elements projected into a slot.
+   * @param {string} [name=''] - The slot name. Omit it for the default slot.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.flatten=true] - Whether to resolve nested slots and fallback content.
+   * @returns {Element[]} The assigned elements, or an empty array if the slot does not exist.
+   * @example
+   * const [sidebar] = myComponent.getAssignedElements('aside');
+   */
+  getAssignedElements(name = '', { flatten = true } = {}) {
+    return this.getAssignedNodes(name, { flatten }).filter((node) => node.nodeType === Node.ELEMENT_NODE);
+  }
+
+  /**
+   * Checks whether a slot has projected content, ignoring whitespace-only text.
+   * @param {string} [name=''] - The slot name. Omit it for the default slot.
+   * @returns {boolean} True if the slot has content.
+   * @example
+   * const hasAside = myComponent.hasSlotContent('aside');
+   */
+  hasSlotContent(name = '') {
+    const slot = this.getSlot(name);
+    if (!slot) {
+      return false;
+    }
+
+    return slot
+      .assignedNodes()
+      .some((node) => node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.data.trim()));
+  }
+
   /**
    * Adds custom styles to the component.
+   * The CSS is parsed once into a constructable stylesheet shared by every instance using the same styles.
+   * The colors of the theme are inherited as CSS custom properties, see ThemeManager.
    * @param {string} styles - The CSS styles to apply to the component.
    * @example
    * myComponent.addStyles('color: blue; font-size: 16px;');
+   * myComponent.addStyles(':host { color: var(--color-text); border-color: var(--color-border); }');
    */
   addStyles(styles) {
     if (this.shadowRoot) {
-      const styleElement = document.createElement('style');
-      styleElement.textContent = styles;
-      this.shadowRoot.appendChild(styleElement);
+      adoptStyles(this.shadowRoot, styles);
     } else {
       console.warn('Shadow DOM is not enabled. Styles cannot be added.');
     }
   }
 
+  /**
+   * Makes the Tailwind classes of the app available inside the shadow root.
+   * Components without shadow DOM already get them from the document.
+   * @example
+   * // In the constructor of a shadow component
+   * this.addTailwind();
+   * this.setTemplate(html`<p class="text-sm text-gray-500">...</p>`);
+   */
+  addTailwind() {
+    if (this.shadowRoot) {
+      adoptStyles(this.shadowRoot, tailwindStyles);
+    }
+  }
+
   /**
    * Sets the inner HTML content of the main element.
+   * The string is inserted as is: prefer setTemplate for content that includes user input.
    * @param {string} innerHTML - The HTML content to insert into the main element.
    * @example
    * // Assuming this._element is a <div>
@@ -78,11 +610,18 @@ export class BaseComponent extends HTMLElement {
    * // The content of this._element will be: <div><p>Hello, world!</p></div>
    */
   setInnerHTML(innerHTML) {
-    if (this.shadowRoot) {
-      this.shadowRoot.innerHTML = innerHTML;
-    } else {
-      this._element.innerHTML = innerHTML;
-    }
+    this._element.innerHTML = innerHTML;
+  }
+
+  /**
+   * Renders a template into the main element, escaping interpolated values and patching only what changed.
+   * @param {TemplateResult} result - The template, created with the `html` tag.
+   * @example
+   * myComponent.setTemplate(html`<p>${todo.title}</p>`);
+   * // The content of this._element will be: <div><p>Buy milk</p></div>, even if the title contains markup
+   */
+  setTemplate(result) {
+    renderTemplate(result, this._element);
   }
 
   /**
@@ -100,20 +639,20 @@ export class BaseComponent extends HTMLElement {
   }
 
   /**
-   * Adds a link to an external CSS file to the component.
+   * Adds an external CSS file to the component.
+   * The file is fetched once and shared as a constructable stylesheet, or linked when that is not supported.
    * @param {string} href - The URL of the external CSS file.
+   * @returns {Promise<void>} Resolves once the stylesheet is applied.
    * @example
-   * myComponent.addStyleSheet('path/to/styles.css');
+   * await myComponent.addStyleSheet('path/to/styles.css');
    */
   addStyleSheet(href) {
     if (this.shadowRoot) {
-      const linkElement = document.createElement('link');
-      linkElement.setAttribute('rel', 'stylesheet');
-      linkElement.setAttribute('href', href);
-      this.shadowRoot.appendChild(linkElement);
-    } else {
-      console.warn('Shadow DOM is not enabled. Stylesheets cannot be added.');
+      return adoptStyleSheetUrl(this.shadowRoot, href);
     }
+
+    console.warn('Shadow DOM is not enabled. Stylesheets cannot be added.');
+    return Promise.resolve();
   }
 
   /**
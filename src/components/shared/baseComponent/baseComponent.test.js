@@ -1,6 +1,8 @@
 import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
 import { axe } from 'vitest-axe';
 import { BaseComponent } from './baseComponent';
+import { html } from '../template/template';
+import { i18n } from '../../../js/i18n/i18n';
 
 describe('Test suite for the BaseComponent class', () => {
   let baseComponent;
@@ -10,6 +12,10 @@ describe('Test suite for the BaseComponent class', () => {
 
   const consoleMock = vi.spyOn(console, 'warn');
 
+  beforeEach(() => {
+    i18n.setLocale('en');
+  });
+
   beforeAll(() => {
     window.customElements.define('base-component', BaseComponent);
     document.body.innerHTML = '';
@@ -285,6 +291,21 @@ describe('Test suite for the BaseComponent class', () => {
     });
   });
 
+  describe('Should add the Tailwind styles to the element', () => {
+    it('Without shadow DOM', () => {
+      getComponent().addTailwind();
+
+      expect(consoleMock).not.toHaveBeenCalled();
+    });
+
+    it('With shadow DOM, once per root', () => {
+      getComponent(true).addTailwind();
+      getComponent(true).addTailwind();
+
+      expect(getComponent(true).shadowRoot.querySelectorAll('style')).toHaveLength(1);
+    });
+  });
+
   describe('Should insert innerHTML on component', () => {
     it('Without shadow DOM', () => {
       const innerHTML = '<p>Hello, world!</p>';
@@ -295,9 +316,12 @@ describe('Test suite for the BaseComponent class', () => {
 
     it('With shadow DOM', () => {
       const innerHTML = '<p>Hello, world!</p>';
+      getComponent(true).addStyles('p { color: blue; }');
       getComponent(true).setInnerHTML(innerHTML);
 
-      expect(getComponent(true).shadowRoot.innerHTML).toBe(innerHTML);
+      expect(getComponent(true).render().innerHTML).toBe(innerHTML);
+      expect(getComponent(true).shadowRoot.contains(getComponent(true).render())).toBe(true);
+      expect(getComponent(true).shadowRoot.querySelector('style')).not.toBeNull();
     });
   });
 
@@ -322,4 +346,536 @@ describe('Test suite for the BaseComponent class', () => {
       expect(component._element.querySelector('span').textContent).toBe('New content');
     });
   });
+
+  describe('Should support reactive properties', () => {
+    class ReactiveComponent extends BaseComponent {
+      static get properties() {
+        return {
+          label: { type: 'string', default: 'Todo' },
+          count: { type: 'number', default: 0, reflect: true },
+          done: { type: 'boolean', reflect: true },
+          tags: { type: 'json', default: () => [] },
+          internal: { attribute: false },
+          todoId: { type: 'string' },
+        };
+      }
+
+      constructor() {
+        super('span');
+        this.updates = [];
+      }
+
+      update(changedProperties) {
+        this.updates.push(changedProperties);
+        this.render().textContent = `${this.label}: ${this.count}`;
+      }
+    }
+
+    class ExtendedComponent extends ReactiveComponent {
+      static get properties() {
+        return { extra: { type: 'number', attribute: 'data-extra' } };
+      }
+    }
+
+    let component;
+
+    beforeAll(() => {
+      window.customElements.define('reactive-component', ReactiveComponent);
+      window.customElements.define('extended-component', ExtendedComponent);
+    });
+
+    beforeEach(async () => {
+      component = new ReactiveComponent();
+      document.body.appendChild(component);
+      await component.updateComplete;
+      component.updates = [];
+    });
+
+    afterEach(() => {
+      component.remove();
+    });
+
+    it('Observing the declared attributes', () => {
+      expect(ReactiveComponent.observedAttributes).toEqual(['label', 'count', 'done', 'tags', 'todo-id']);
+    });
+
+    it('Inheriting the properties of the parent class', () => {
+      expect(ExtendedComponent.observedAttributes).toEqual(['label', 'count', 'done', 'tags', 'todo-id', 'data-extra']);
+      expect(new ExtendedComponent().label).toBe('Todo');
+    });
+
+    it('Starting with the default values', () => {
+      expect(component.label).toBe('Todo');
+      expect(component.count).toBe(0);
+      expect(component.done).toBeUndefined();
+      expect(component.tags).toEqual([]);
+      expect(new ReactiveComponent().tags).not.toBe(component.tags);
+    });
+
+    it('Coercing attribute values to the declared type', () => {
+      HTMLElement.prototype.setAttribute.call(component, 'count', '42');
+      HTMLElement.prototype.setAttribute.call(component, 'done', '');
+      HTMLElement.prototype.setAttribute.call(component, 'tags', '["home","work"]');
+      HTMLElement.prototype.setAttribute.call(component, 'todo-id', 'abc');
+
+      expect(component.count).toBe(42);
+      expect(component.done).toBe(true);
+      expect(component.tags).toEqual(['home', 'work']);
+      expect(component.todoId).toBe('abc');
+
+      HTMLElement.prototype.removeAttribute.call(component, 'done');
+      expect(component.done).toBe(false);
+    });
+
+    it('Warning about invalid JSON attributes', () => {
+      HTMLElement.prototype.setAttribute.call(component, 'tags', '{invalid');
+
+      expect(component.tags).toBeNull();
+      expect(consoleMock).toBeCalledWith('Invalid JSON attribute value: {invalid');
+    });
+
+    it('Reading attributes present before upgrade', async () => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<reactive-component count="7" label="Tasks"></reactive-component>',
+      );
+      const parsed = document.body.lastElementChild;
+      await parsed.updateComplete;
+
+      expect(parsed.count).toBe(7);
+      expect(parsed.render().textContent).toBe('Tasks: 7');
+      parsed.remove();
+    });
+
+    it('Reflecting properties to attributes', () => {
+      component.count = 3;
+      component.done = true;
+
+      expect(HTMLElement.prototype.getAttribute.call(component, 'count')).toBe('3');
+      expect(HTMLElement.prototype.getAttribute.call(component, 'done')).toBe('');
+
+      component.done = false;
+      component.count = null;
+      expect(HTMLElement.prototype.hasAttribute.call(component, 'done')).toBe(false);
+      expect(HTMLElement.prototype.hasAttribute.call(component, 'count')).toBe(false);
+    });
+
+    it('Not reflecting properties by default', () => {
+      component.label = 'Other';
+
+      expect(HTMLElement.prototype.hasAttribute.call(component, 'label')).toBe(false);
+    });
+
+    it('Batching changes into a single microtask update', async () => {
+      component.count = 1;
+      component.count = 2;
+      component.label = 'Done';
+
+      expect(component.updates).toHaveLength(0);
+      await component.updateComplete;
+
+      expect(component.updates).toHaveLength(1);
+      expect([...component.updates[0]]).toEqual([
+        ['count', 0],
+        ['label', 'Todo'],
+      ]);
+      expect(component.render().textContent).toBe('Done: 2');
+    });
+
+    it('Skipping updates when the value does not change', async () => {
+      component.count = 0;
+      component.internal = undefined;
+      await component.updateComplete;
+
+      expect(component.updates).toHaveLength(0);
+    });
+
+    it('Allowing manual update requests', async () => {
+      component.tags.push('home');
+      await component.requestUpdate('tags');
+
+      expect(component.updates).toHaveLength(1);
+      expect(component.updates[0].has('tags')).toBe(true);
+    });
+
+    it('Keeping values assigned before upgrade', () => {
+      const element = document.createElement('late-component');
+      element.count = 5;
+
+      class LateComponent extends ReactiveComponent {}
+      window.customElements.define('late-component', LateComponent);
+      window.customElements.upgrade(element);
+
+      expect(element.count).toBe(5);
+      expect(HTMLElement.prototype.getAttribute.call(element, 'count')).toBe('5');
+    });
+
+    it('Throwing for unknown property types', () => {
+      class InvalidComponent extends BaseComponent {
+        static get properties() {
+          return { value: { type: 'date' } };
+        }
+      }
+
+      expect(() => InvalidComponent.observedAttributes).toThrow('Unknown property type "date" for "value"');
+    });
+  });
+
+  describe('Should render declarative templates', () => {
+    class TemplateComponent extends BaseComponent {
+      static get properties() {
+        return { title: { type: 'string', default: 'Buy milk' } };
+      }
+
+      constructor() {
+        super('div', true);
+        this.clicks = 0;
+      }
+
+      template() {
+        return html`<p>${this.title}</p>
+          <button type="button" @click=${() => this.clicks++}>Add</button>`;
+      }
+    }
+
+    let component;
+
+    beforeAll(() => {
+      window.customElements.define('template-component', TemplateComponent);
+    });
+
+    beforeEach(async () => {
+      component = new TemplateComponent();
+      component.addStyles('p { color: blue; }');
+      document.body.appendChild(component);
+      await component.updateComplete;
+    });
+
+    afterEach(() => {
+      component.remove();
+    });
+
+    it('On the first update after being connected', () => {
+      expect(component.render().querySelector('p').textContent).toBe('Buy milk');
+    });
+
+    it('Escaping interpolated values', async () => {
+      component.title = '<img src=x onerror=alert(1)>';
+      await component.updateComplete;
+
+      expect(component.render().querySelector('img')).toBeNull();
+      expect(component.render().querySelector('p').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    it('Patching only the changed nodes', async () => {
+      const paragraph = component.render().querySelector('p');
+      const button = component.render().querySelector('button');
+
+      component.title = 'Walk dog';
+      await component.updateComplete;
+
+      expect(component.render().querySelector('p')).toBe(paragraph);
+      expect(component.render().querySelector('button')).toBe(button);
+      expect(paragraph.textContent).toBe('Walk dog');
+    });
+
+    it('Binding event listeners', () => {
+      component.render().querySelector('button').click();
+
+      expect(component.clicks).toBe(1);
+    });
+
+    it('Keeping the styles of the shadow root', () => {
+      expect(component.shadowRoot.querySelector('style')).not.toBeNull();
+    });
+
+    it('Imperatively with setTemplate', () => {
+      getComponent().setTemplate(html`<span>${'<b>'}</span>`);
+
+      expect(getComponent().render().innerHTML).toBe('<span>&lt;b&gt;</span>');
+    });
+  });
+
+  describe('Should translate texts', () => {
+    class TranslatedComponent extends BaseComponent {
+      constructor() {
+        super('div');
+      }
+
+      template() {
+        return html`<p>${this.t('subtasks.count', { completed: 1, total: 3 })}</p>`;
+      }
+    }
+
+    let component;
+
+    beforeAll(() => {
+      window.customElements.define('translated-component', TranslatedComponent);
+    });
+
+    beforeEach(async () => {
+      component = new TranslatedComponent();
+      document.body.appendChild(component);
+      await component.updateComplete;
+    });
+
+    afterEach(() => {
+      component.remove();
+      i18n.setLocale('en');
+    });
+
+    it('In the current locale', () => {
+      expect(component.querySelector('p').textContent).toBe('1 of 3 subtasks done');
+    });
+
+    it('Rendering again when the locale changes', async () => {
+      i18n.setLocale('pt-BR');
+      await component.updateComplete;
+
+      expect(component.querySelector('p').textContent).toBe('1 de 3 subtarefas concluídas');
+    });
+
+    it('Until disconnected', async () => {
+      component.remove();
+      i18n.setLocale('pt-BR');
+      await Promise.resolve();
+
+      expect(component.querySelector('p').textContent).toBe('1 of 3 subtasks done');
+    });
+  });
+
+  describe('Should run lifecycle hooks and clean up resources', () => {
+    const calls = [];
+
+    class LifecycleComponent extends BaseComponent {
+      static get properties() {
+        return { count: { type: 'number', default: 0 } };
+      }
+
+      constructor() {
+        super('div');
+        this.clicks = 0;
+        this.dispose = vi.fn();
+      }
+
+      onMount() {
+        calls.push('mount');
+        this.listen(document, 'click', () => this.clicks++);
+        this.addDisposer(this.dispose);
+      }
+
+      onUnmount() {
+        calls.push('unmount');
+      }
+
+      onUpdate(changedProperties) {
+        calls.push(`update:${[...changedProperties.keys()].join(',')}`);
+      }
+    }
+
+    let component;
+
+    beforeAll(() => {
+      window.customElements.define('lifecycle-component', LifecycleComponent);
+    });
+
+    beforeEach(() => {
+      calls.length = 0;
+      component = new LifecycleComponent();
+    });
+
+    afterEach(() => {
+      component.remove();
+    });
+
+    it('Calling onMount when connected, before the first update', async () => {
+      document.body.appendChild(component);
+      expect(calls).toEqual(['mount']);
+
+      await component.updateComplete;
+      expect(calls).toEqual(['mount', 'update:']);
+    });
+
+    it('Calling onUpdate after every update', async () => {
+      document.body.appendChild(component);
+      await component.updateComplete;
+
+      component.count = 1;
+      await component.updateComplete;
+
+      expect(calls).toEqual(['mount', 'update:', 'update:count']);
+    });
+
+    it('Removing listeners when disconnected', () => {
+      document.body.appendChild(component);
+      document.dispatchEvent(new Event('click'));
+
+      component.remove();
+      document.dispatchEvent(new Event('click'));
+
+      expect(component.clicks).toBe(1);
+      expect(calls).toEqual(['mount', 'unmount']);
+    });
+
+    it('Running disposers once when disconnected', () => {
+      document.body.appendChild(component);
+      component.remove();
+      document.body.appendChild(component);
+
+      expect(component.dispose).toHaveBeenCalledTimes(1);
+      expect(calls).toEqual(['mount', 'unmount', 'mount']);
+    });
+
+    it('Listening again after being reconnected', () => {
+      document.body.appendChild(component);
+      component.remove();
+      document.body.appendChild(component);
+      document.dispatchEvent(new Event('click'));
+
+      expect(component.clicks).toBe(1);
+    });
+
+    it('Removing a listener earlier', () => {
+      const handler = vi.fn();
+      document.body.appendChild(component);
+
+      const remove = component.listen(window, 'resize', handler);
+      remove();
+      window.dispatchEvent(new Event('resize'));
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('Aborting the signal when disconnected', () => {
+      document.body.appendChild(component);
+      const { signal } = component;
+
+      component.remove();
+
+      expect(signal.aborted).toBe(true);
+      expect(component.signal.aborted).toBe(false);
+    });
+
+    it('Running the remaining disposers when one fails', () => {
+      const errorMock = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('Broken');
+      document.body.appendChild(component);
+      component.addDisposer(() => {
+        throw error;
+      });
+
+      component.remove();
+
+      expect(component.dispose).toHaveBeenCalledTimes(1);
+      expect(errorMock).toBeCalledWith('Error while disposing component resources.', error);
+      errorMock.mockRestore();
+    });
+  });
+
+  describe('Should emit custom events', () => {
+    it('Bubbling to the document', () => {
+      const handler = vi.fn();
+      document.addEventListener('todo:added', handler);
+
+      getComponent().emit('todo:added', { id: 'a' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({ id: 'a' });
+      document.removeEventListener('todo:added', handler);
+    });
+
+    it('Crossing shadow DOM boundaries', () => {
+      const handler = vi.fn();
+      const host = new BaseComponent('div', true);
+      const child = new BaseComponent('span');
+      host.setAppendChild(child);
+      document.body.appendChild(host);
+      document.addEventListener('filter:changed', handler);
+
+      child.emit('filter:changed', { filter: 'active' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      document.removeEventListener('filter:changed', handler);
+      host.remove();
+    });
+
+    it('Reporting whether the event was cancelled', () => {
+      const listener = (event) => event.preventDefault();
+      getComponent().addEventListener('todo:removed', listener);
+
+      expect(getComponent().emit('todo:removed')).toBe(false);
+      expect(getComponent().emit('todo:removed', null, { cancelable: false })).toBe(true);
+    });
+  });
+
+  describe('Should support slots', () => {
+    class SlottedComponent extends BaseComponent {
+      constructor() {
+        super('div', true);
+        this.slotChanges = [];
+        this.setInnerHTML('<slot name="title"></slot><slot>Fallback</slot>');
+      }
+
+      onSlotChange(name, assignedNodes) {
+        this.slotChanges.push([name, assignedNodes.length]);
+      }
+    }
+
+    let component;
+
+    const nextSlotChange = () => new Promise((resolve) => setTimeout(resolve));
+
+    beforeAll(() => {
+      window.customElements.define('slotted-component', SlottedComponent);
+    });
+
+    beforeEach(() => {
+      component = new SlottedComponent();
+      component.innerHTML = '<h2 slot="title">Title</h2>Some text<p>Body</p>';
+      document.body.appendChild(component);
+    });
+
+    afterEach(() => {
+      component.remove();
+    });
+
+    it('Getting slots by name', () => {
+      expect(component.getSlot('title').name).toBe('title');
+      expect(component.getSlot().name).toBe('');
+      expect(component.getSlot('missing')).toBeNull();
+    });
+
+    it('Getting assigned nodes and elements', () => {
+      expect(component.getAssignedNodes().map((node) => node.textContent)).toEqual(['Some text', 'Body']);
+      expect(component.getAssignedElements().map((node) => node.tagName)).toEqual(['P']);
+      expect(component.getAssignedElements('title').map((node) => node.tagName)).toEqual(['H2']);
+      expect(component.getAssignedNodes('missing')).toEqual([]);
+    });
+
+    it('Checking whether a slot has content', () => {
+      component.querySelector('h2').remove();
+
+      expect(component.hasSlotContent()).toBe(true);
+      expect(component.hasSlotContent('title')).toBe(false);
+      expect(component.hasSlotContent('missing')).toBe(false);
+    });
+
+    it('Notifying slot changes', async () => {
+      await nextSlotChange();
+      component.slotChanges = [];
+
+      const subtitle = document.createElement('h3');
+      subtitle.slot = 'title';
+      component.appendChild(subtitle);
+      await nextSlotChange();
+
+      expect(component.slotChanges).toEqual([['title', 2]]);
+    });
+
+    it('Warning without shadow DOM', () => {
+      expect(getComponent().getSlot()).toBeNull();
+      expect(getComponent().getAssignedNodes()).toEqual([]);
+      expect(consoleMock).toBeCalledWith('Shadow DOM is not enabled. Slots are not available.');
+    });
+  });
 });
@@ -0,0 +1,325 @@
+import { BaseComponent } from '../baseComponent/baseComponent.js';
+import { html } from '../template/template.js';
+import { validateValue } from '../../../js/validation/fieldValidation.js';
+
+let instanceCount = 0;
+
+const labelClass = 'mb-1 block text-sm font-medium text-gray-900 dark:text-white';
+const hintClass = 'mt-1 text-xs text-gray-500 dark:text-gray-400';
+const errorClass = 'mt-1 text-sm text-red-600 dark:text-red-400';
+
+/**
+ * Base class of the form controls: a labelled native control whose value
+ * takes part in the form of the page, with declarative validation.
+ *
+ * The fields are form-associated custom elements. With ElementInternals the
+ * field itself submits its value under its `name`, resets with the form,
+ * follows a disabled fieldset, and blocks the submission while its value is
+ * not valid, like a native control. Where ElementInternals cannot take part
+ * in forms, the inner control carries the name and the validation message
+ * instead, so `FormData`, Enter to submit and `form.reset()` work the same.
+ *
+ * Constraints are declared as properties (`required`, and those of each
+ * field, such as `maxLength`) plus custom `rules`, see `validateValue`. The
+ * error shows below the control, tied to it with `aria-describedby`, once
+ * the value was changed or the form tried to submit it, and then follows
+ * the value as it is fixed.
+ *
+ * Subclasses render the native control in `controlTemplate`.
+ *
+ * @example
+ * class TextField extends FormField {
+ *   controlTemplate(control) {
+ *     return html`<input id=${control.id} name=${control.name} class=${control.className}
+ *       aria-describedby=${control.describedBy} aria-invalid=${control.invalid}
+ *       .value=${this.value} @input=${(event) => (this.value = event.target.value)} />`;
+ *   }
+ * }
+ */
+export class FormField extends BaseComponent {
+  static get formAssociated() {
+    return true;
+  }
+
+  static get properties() {
+    return {
+      name: { type: 'string', default: '', reflect: true },
+      label: { type: 'string', default: '' },
+      hideLabel: { type: 'boolean', default: false },
+      hint: { type: 'string', default: '' },
+      defaultValue: { type: 'string', attribute: 'value', default: '' },
+      required: { type: 'boolean', default: false },
+      disabled: { type: 'boolean', default: false, reflect: true },
+      rules: { attribute: false, default: () => [] },
+      error: { attribute: false, default: '' },
+    };
+  }
+
+  constructor() {
+    super('div');
+    this._id = `${this.localName}-${++instanceCount}`;
+    this._value = '';
+    this._dirty = false;
+    this._touched = false;
+    this._formDisabled = false;
+    this._validation = { valid: true, flag: null, message: '' };
+    this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+
+    // A value assigned before the element was upgraded shadows the accessor and must be re-applied.
+    if (Object.prototype.hasOwnProperty.call(this, 'value')) {
+      const ownValue = this.value;
+      delete this.value;
+      this.value = ownValue;
+    }
+  }
+
+  /**
+   * The value of the field. Until it is set, it is the `value` attribute (see `defaultValue`).
+   * @type {string}
+   */
+  get value() {
+    return this._dirty ? this._value : this.defaultValue || '';
+  }
+
+  set value(value) {
+    const oldValue = this.value;
+    this._value = value === null || value === undefined ? '' : String(value);
+    this._dirty = true;
+    if (oldValue !== this._value) {
+      this._commit();
+      this.requestUpdate('value', oldValue);
+    }
+  }
+
+  /**
+   * The form of the field.
+   * @type {HTMLFormElement|null}
+   */
+  get form() {
+    return this._usesInternals() ? this._internals.form : this.closest('form');
+  }
+
+  /**
+   * The message of the first constraint the value fails, or an empty string if it is valid.
+   * @type {string}
+   */
+  get validationMessage() {
+    return this._validation.message;
+  }
+
+  template() {
+    const control = this._getControlAttributes();
+
+    return html`
+      <label for=${control.id} class=${this.hideLabel ? 'sr-only' : labelClass}>${this.label}</label>
+      ${this.controlTemplate(control)} ${this._messagesTemplate()}
+    `;
+  }
+
+  /**
+   * Renders the native control. Subclasses must implement it.
+   * @param {Object} control - What the control needs: its `id`, the `name` it submits (null when the field
+   * submits itself), whether it is `disabled`, `describedBy` and `invalid` for ARIA, and its `className`.
+   * @returns {TemplateResult} The control.
+   * @throws Will throw an error if the subclass does not implement it.
+   */
+  controlTemplate() {
+    throw new Error(`Define a valid controlTemplate for ${this.localName}`);
+  }
+
+  onMount() {
+    // The invalid event does not bubble, and fires on the field itself or on its control.
+    this.listen(this, 'invalid', () => this._showError(), { capture: true });
+    this.listen(this, 'change', () => this._showError());
+
+    const form = this.closest('form');
+    if (form && !this._usesInternals()) {
+      // The form resets its controls after the event, so the field resets once it has.
+      this.listen(form, 'reset', (event) => queueMicrotask(() => !event.defaultPrevented && this.formResetCallback()));
+    }
+  }
+
+  onUpdate() {
+    // Also runs after the language changed, translating the message.
+    this._commit();
+  }
+
+  /**
+   * Focuses the control, once it is rendered.
+   * @param {FocusOptions} [options] - Focus options.
+   */
+  focus(options) {
+    const control = this._getControl();
+    if (control) {
+      control.focus(options);
+    } else {
+      this.updateComplete.then(() => this._getControl()?.focus(options));
+    }
+  }
+
+  /**
+   * Checks the constraints of the field. If the value is not valid, the field fires `invalid` and shows its error.
+   * @returns {boolean} True if the value is valid.
+   */
+  checkValidity() {
+    if (this._usesInternals()) {
+      return this._internals.checkValidity();
+    }
+
+    // Like native controls, disabled fields are not validated.
+    const valid = this._validation.valid || this.disabled || this._formDisabled;
+    if (!valid) {
+      this.dispatchEvent(new Event('invalid', { cancelable: true }));
+    }
+
+    return valid;
+  }
+
+  /**
+   * Checks the constraints of the field like `checkValidity`, also focusing the control when the value is not valid.
+   * @returns {boolean} True if the value is valid.
+   */
+  reportValidity() {
+    const valid = this.checkValidity();
+    if (!valid) {
+      this.focus();
+    }
+
+    return valid;
+  }
+
+  /**
+   * Called when the form resets: restores the default value and hides the error.
+   */
+  formResetCallback() {
+    this._resetValue();
+    this._touched = false;
+    this.error = '';
+    this._commit();
+    this.requestUpdate();
+  }
+
+  /**
+   * Called when a fieldset around the field is disabled or enabled.
+   * @param {boolean} disabled - Whether the field is disabled by its fieldset.
+   */
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this.requestUpdate();
+  }
+
+  /**
+   * Called when the browser restores the field, e.g. going back to the page.
+   * @param {string} state - The restored value.
+   */
+  formStateRestoreCallback(state) {
+    this.value = state;
+  }
+
+  /**
+   * Gets the value submitted with the form.
+   * @returns {string|null} The value, or null to submit nothing.
+   */
+  _getFormValue() {
+    return this.value;
+  }
+
+  /**
+   * Gets the value checked by the constraints.
+   * @returns {string|boolean} The value.
+   */
+  _getValidationValue() {
+    return this.value;
+  }
+
+  /**
+   * Gets the constraints of the field, see `validateValue`. Subclasses add their own.
+   * @returns {Object} The constraints.
+   */
+  _getConstraints() {
+    return { required: this.required, rules: this.rules };
+  }
+
+  /**
+   * Formats `min` and `max` in the validation messages.
+   * @param {*} limit - The limit.
+   * @returns {string} The formatted limit.
+   */
+  _formatLimit(limit) {
+    return String(limit);
+  }
+
+  /**
+   * Writes the value into the control, when it differs.
+   * @param {HTMLElement} control - The control.
+   */
+  _syncControl(control) {
+    if (control.value !== this.value) {
+      control.value = this.value;
+    }
+  }
+
+  _resetValue() {
+    this._dirty = false;
+  }
+
+  // The hint and the error, below the control.
+  _messagesTemplate() {
+    return html`
+      ${this.hint && html`<p id=${`${this._id}-hint`} class=${hintClass}>${this.hint}</p>`}
+      ${this.error && html`<p id=${`${this._id}-error`} class=${errorClass}>${this.error}</p>`}
+    `;
+  }
+
+  _usesInternals() {
+    return typeof this._internals?.setFormValue === 'function';
+  }
+
+  _getControl() {
+    return this.querySelector(`#${this._id}-control`);
+  }
+
+  _getControlAttributes() {
+    const invalid = Boolean(this.error);
+    const describedBy = [this.hint && `${this._id}-hint`, invalid && `${this._id}-error`].filter(Boolean).join(' ');
+
+    return {
+      id: `${this._id}-control`,
+      name: this._usesInternals() ? null : this.name || null,
+      disabled: this.disabled || this._formDisabled,
+      describedBy: describedBy || null,
+      invalid: invalid ? 'true' : null,
+      className: `block w-full rounded-lg border bg-white p-2 text-sm text-gray-900 dark:bg-gray-700 dark:text-white ${
+        invalid ? 'border-red-500 dark:border-red-400' : 'border-gray-300 dark:border-gray-600'
+      }`,
+    };
+  }
+
+  // Syncs the control, the form value and the validity with the value.
+  _commit() {
+    const control = this._getControl();
+    if (control) {
+      this._syncControl(control);
+    }
+
+    const { valid, flag, message } = validateValue(this._getValidationValue(), this._getConstraints(), {
+      formatLimit: (limit) => this._formatLimit(limit),
+    });
+    this._validation = { valid, flag, message };
+
+    if (this._usesInternals()) {
+      this._internals.setFormValue(this._getFormValue());
+      this._internals.setValidity(valid ? {} : { [flag]: true }, message, control || undefined);
+    } else {
+      control?.setCustomValidity(message);
+    }
+    if (this._touched) {
+      this.error = message;
+    }
+  }
+
+  _showError() {
+    this._touched = true;
+    this.error = this._validation.message;
+  }
+}
@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axe } from 'vitest-axe';
+import { FormField } from './formField';
+import { html } from '../template/template';
+import { i18n } from '../../../js/i18n/i18n';
+
+class TestField extends FormField {
+  controlTemplate(control) {
+    return html`<input
+      id=${control.id}
+      name=${control.name}
+      aria-describedby=${control.describedBy}
+      aria-invalid=${control.invalid}
+      ?disabled=${control.disabled}
+      class=${control.className}
+      .value=${this.value}
+      @input=${(event) => (this.value = event.target.value)}
+    />`;
+  }
+}
+customElements.define('test-form-field', TestField);
+
+describe('Test suite for the FormField base class', () => {
+  let form;
+  let field;
+  let onSubmit;
+
+  const getControl = () => field.querySelector('input');
+  const type = (value) => {
+    getControl().value = value;
+    getControl().dispatchEvent(new Event('input', { bubbles: true }));
+    getControl().dispatchEvent(new Event('change', { bubbles: true }));
+  };
+  const mount = async (markup) => {
+    document.body.innerHTML = `<form>${markup}<button>Save</button></form>`;
+    form = document.querySelector('form');
+    field = form.querySelector('test-form-field');
+    field.label = 'Title';
+    onSubmit = vi.fn((event) => event.preventDefault());
+    form.addEventListener('submit', onSubmit);
+    await field.updateComplete;
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    i18n.setLocale('en');
+    document.body.innerHTML = '';
+  });
+
+  describe('Without form support in ElementInternals', () => {
+    beforeEach(async () => {
+      await mount('<test-form-field name="title" value="Buy milk"></test-form-field>');
+    });
+
+    it('Should render a labelled control with the value of the value attribute', () => {
+      expect(field.form).toBe(form);
+      expect(field.value).toBe('Buy milk');
+      expect(getControl().value).toBe('Buy milk');
+      expect(getControl().labels[0].textContent).toBe('Title');
+    });
+
+    it('Should submit the value with the form, kept in sync with the control', () => {
+      field.value = 'Buy oat milk';
+      expect(Object.fromEntries(new FormData(form))).toEqual({ title: 'Buy oat milk' });
+
+      type('Buy bread');
+      expect(field.value).toBe('Buy bread');
+      expect(Object.fromEntries(new FormData(form))).toEqual({ title: 'Buy bread' });
+    });
+
+    it('Should keep the form from submitting an invalid value, showing why', async () => {
+      field.required = true;
+      field.value = '';
+      await field.updateComplete;
+      expect(field.textContent).not.toContain('Fill in this field.');
+
+      form.requestSubmit();
+      await field.updateComplete;
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(field.validationMessage).toBe('Fill in this field.');
+      const error = field.querySelector('p');
+      expect(error.textContent).toBe('Fill in this field.');
+      expect(getControl().getAttribute('aria-describedby')).toBe(error.id);
+      expect(getControl().getAttribute('aria-invalid')).toBe('true');
+    });
+
+    it('Should show the error once the value changed, and follow the value', async () => {
+      field.rules = [{ validate: (value) => !value.includes('#'), message: 'No # please.' }];
+
+      type('#milk');
+      await field.updateComplete;
+      expect(field.error).toBe('No # please.');
+
+      type('milk');
+      await field.updateComplete;
+      expect(field.error).toBe('');
+      expect(getControl().hasAttribute('aria-invalid')).toBe(false);
+
+      form.requestSubmit();
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should reset with the form, hiding the error', async () => {
+      field.required = true;
+      type('');
+      await field.updateComplete;
+
+      form.reset();
+      await field.updateComplete;
+
+      expect(field.value).toBe('Buy milk');
+      expect(getControl().value).toBe('Buy milk');
+      expect(field.error).toBe('');
+    });
+
+    it('Should check its validity on demand, skipping disabled fields', async () => {
+      const onInvalid = vi.fn();
+      field.addEventListener('invalid', onInvalid);
+      field.value = 'milk';
+      field.rules = [{ validate: () => false, message: 'Never valid.' }];
+      await field.updateComplete;
+
+      expect(field.reportValidity()).toBe(false);
+      expect(onInvalid).toHaveBeenCalledTimes(1);
+      expect(document.activeElement).toBe(getControl());
+
+      field.disabled = true;
+      await field.updateComplete;
+      expect(field.getAttribute('disabled')).toBe('');
+      expect(getControl().disabled).toBe(true);
+      expect(field.checkValidity()).toBe(true);
+    });
+
+    it('Should describe the control with the hint', async () => {
+      field.hint = 'What to do';
+      await field.updateComplete;
+
+      expect(getControl().getAttribute('aria-describedby')).toBe(field.querySelector('p').id);
+    });
+
+    it('Should translate the error when the language changes', async () => {
+      field.required = true;
+      field.value = '';
+      form.requestSubmit();
+      await field.updateComplete;
+
+      i18n.setLocale('pt-BR');
+      await field.updateComplete;
+      await field.updateComplete;
+
+      expect(field.error).toBe('Preencha este campo.');
+    });
+
+    it('Should pass axe accessibility tests', async () => {
+      field.hint = 'What to do';
+      field.required = true;
+      field.value = '';
+      form.requestSubmit();
+      await field.updateComplete;
+
+      expect(await axe(form)).toHaveNoViolations();
+    });
+  });
+
+  it('Should submit and validate through ElementInternals where forms support it', async () => {
+    const internals = {
+      form: null,
+      setFormValue: vi.fn(),
+      setValidity: vi.fn(),
+      checkValidity: vi.fn(() => false),
+    };
+    vi.spyOn(HTMLElement.prototype, 'attachInternals').mockReturnValue(internals);
+    await mount('<test-form-field name="title" value="Buy milk"></test-form-field>');
+    field.required = true;
+
+    field.value = '';
+
+    // The field submits itself, so the control has no name that would submit it twice.
+    expect(getControl().hasAttribute('name')).toBe(false);
+    expect(internals.setFormValue).toHaveBeenLastCalledWith('');
+    expect(internals.setValidity).toHaveBeenLastCalledWith({ valueMissing: true }, 'Fill in this field.', getControl());
+    expect(field.checkValidity()).toBe(false);
+
+    field.value = 'Buy bread';
+    expect(internals.setFormValue).toHaveBeenLastCalledWith('Buy bread');
+    expect(internals.setValidity).toHaveBeenLastCalledWith({}, '', getControl());
+
+    field.formResetCallback();
+    expect(field.value).toBe('Buy milk');
+    field.formDisabledCallback(true);
+    await field.updateComplete;
+    expect(getControl().disabled).toBe(true);
+  });
+
+  it('Should ask subclasses for their control', () => {
+    class EmptyField extends FormField {}
+    customElements.define('empty-form-field', EmptyField);
+
+    expect(() => new EmptyField().template()).toThrow('Define a valid controlTemplate for empty-form-field');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Shared stylesheets for shadow roots.
+ *
+ * With constructable stylesheets, each CSS text or URL is parsed into a
+ * single CSSStyleSheet that every shadow root adopts, instead of each
+ * component instance parsing its own copy. Browsers without
+ * `adoptedStyleSheets` fall back to `<style>` and `<link>` elements, added
+ * once per shadow root.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * adoptStyles(this.shadowRoot, ':host { display: block; }');
+ * await adoptStyleSheetUrl(this.shadowRoot, '/styles/todo.css');
+ */
+
+const textCache = new Map();
+const urlCache = new Map();
+
+/**
+ * Checks whether the browser supports constructable stylesheets and `adoptedStyleSheets`.
+ * @returns {boolean} True if sheets can be shared between shadow roots.
+ */
+export function supportsAdoptedStyleSheets() {
+  return (
+    typeof ShadowRoot !== 'undefined' &&
+    'adoptedStyleSheets' in ShadowRoot.prototype &&
+    typeof CSSStyleSheet !== 'undefined' &&
+    typeof CSSStyleSheet.prototype.replaceSync === 'function'
+  );
+}
+
+/**
+ * Gets the shared stylesheet for a CSS text, parsing it on first use.
+ * @param {string} cssText - The CSS.
+ * @returns {CSSStyleSheet} The shared sheet.
+ * @example
+ * const sheet = getStyleSheet(':host { display: block; }');
+ */
+export function getStyleSheet(cssText) {
+  if (!textCache.has(cssText)) {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(cssText);
+    textCache.set(cssText, sheet);
+  }
+
+  return textCache.get(cssText);
+}
+
+/**
+ * Loads the shared stylesheet for a URL, fetching it on first use.
+ * @param {string} href - The URL of the CSS file.
+ * @returns {Promise<CSSStyleSheet>} The shared sheet.
+ */
+export function getStyleSheetFromUrl(href) {
+  if (!urlCache.has(href)) {
+    const sheet = fetch(href)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Could not load stylesheet "${href}" (status ${response.status})`);
+        }
+        return response.text();
+      })
+      .then((cssText) => new CSSStyleSheet().replace(cssText))
+      .catch((error) => {
+        urlCache.delete(href);
+        throw error;
+      });
+    urlCache.set(href, sheet);
+  }
+
+  return urlCache.get(href);
+}
+
+/**
+ * Adds a sheet to a shadow root, unless it is already adopted.
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {CSSStyleSheet} sheet - The sheet.
+ */
+function adoptSheet(root, sheet) {
+  if (!root.adoptedStyleSheets.includes(sheet)) {
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+  }
+}
+
+/**
+ * Applies CSS to a shadow root, sharing the parsed sheet with every other root using the same CSS.
+ * Falls back to a `<style>` element, inserted once per root, without constructable stylesheets.
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {string} cssText - The CSS.
+ * @example
+ * adoptStyles(this.shadowRoot, tailwindStyles);
+ */
+export function adoptStyles(root, cssText) {
+  if (supportsAdoptedStyleSheets()) {
+    adoptSheet(root, getStyleSheet(cssText));
+    return;
+  }
+
+  const existing = [...root.querySelectorAll('style')].some((style) => style.textContent === cssText);
+  if (!existing) {
+    const styleElement = document.createElement('style');
+    styleElement.textContent = cssText;
+    root.appendChild(styleElement);
+  }
+}
+
+/**
+ * Adds a `<link>` to a shadow root, unless one with the same URL is already there.
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {string} href - The URL of the CSS file.
+ */
+function linkSheet(root, href) {
+  const existing = [...root.querySelectorAll('link[rel="stylesheet"]')].some(
+    (link) => link.getAttribute('href') === href,
+  );
+  if (!existing) {
+    const linkElement = document.createElement('link');
+    linkElement.setAttribute('rel', 'stylesheet');
+    linkElement.setAttribute('href', href);
+    root.appendChild(linkElement);
+  }
+}
+
+/**
+ * Applies an external CSS file to a shadow root, fetching and parsing it once for the whole app.
+ * Falls back to a `<link>` element, inserted once per root, without constructable stylesheets
+ * or when the file cannot be fetched (e.g. a cross-origin URL without CORS).
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {string} href - The URL of the CSS file.
+ * @returns {Promise<void>} Resolves once the sheet is applied.
+ * @example
+ * await adoptStyleSheetUrl(this.shadowRoot, '/styles/todo.css');
+ */
+export async function adoptStyleSheetUrl(root, href) {
+  if (!supportsAdoptedStyleSheets()) {
+    linkSheet(root, href);
+    return;
+  }
+
+  try {
+    adoptSheet(root, await getStyleSheetFromUrl(href));
+  } catch (error) {
+    console.warn(`Could not adopt stylesheet "${href}". Falling back to a link element.`, error);
+    linkSheet(root, href);
+  }
+}
+
+/**
+ * Empties the stylesheet caches. Meant for tests.
+ */
+export function clearStyleSheetCache() {
+  textCache.clear();
+  urlCache.clear();
+}
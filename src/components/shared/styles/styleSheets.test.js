@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  adoptStyleSheetUrl,
+  adoptStyles,
+  clearStyleSheetCache,
+  getStyleSheet,
+  supportsAdoptedStyleSheets,
+} from './styleSheets';
+
+class FakeStyleSheet {
+  replaceSync(cssText) {
+    this.cssText = cssText;
+  }
+
+  async replace(cssText) {
+    this.replaceSync(cssText);
+    return this;
+  }
+}
+
+const createRoot = () => document.createElement('div').attachShadow({ mode: 'open' });
+
+describe('Test suite for the shared stylesheets', () => {
+  const consoleMock = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+  afterEach(() => {
+    clearStyleSheetCache();
+    consoleMock.mockReset();
+    vi.unstubAllGlobals();
+  });
+
+  describe('Without constructable stylesheets', () => {
+    it('Should report the lack of support', () => {
+      expect(supportsAdoptedStyleSheets()).toBe(false);
+    });
+
+    it('Should insert a style element once per root', () => {
+      const root = createRoot();
+
+      adoptStyles(root, 'p { color: blue; }');
+      adoptStyles(root, 'p { color: blue; }');
+      adoptStyles(root, 'p { color: red; }');
+
+      expect([...root.querySelectorAll('style')].map((style) => style.textContent)).toEqual([
+        'p { color: blue; }',
+        'p { color: red; }',
+      ]);
+    });
+
+    it('Should insert a link element once per root', async () => {
+      const root = createRoot();
+
+      await adoptStyleSheetUrl(root, 'styles.css');
+      await adoptStyleSheetUrl(root, 'styles.css');
+
+      const links = root.querySelectorAll('link');
+      expect(links).toHaveLength(1);
+      expect(links[0].getAttribute('rel')).toBe('stylesheet');
+      expect(links[0].getAttribute('href')).toBe('styles.css');
+    });
+  });
+
+  describe('With constructable stylesheets', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+      vi.stubGlobal('CSSStyleSheet', FakeStyleSheet);
+      Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', {
+        configurable: true,
+        get() {
+          return this._adopted || [];
+        },
+        set(sheets) {
+          this._adopted = sheets;
+        },
+      });
+      fetchMock = vi.fn(async () => ({ ok: true, status: 200, text: async () => 'p { color: green; }' }));
+      vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+      delete ShadowRoot.prototype.adoptedStyleSheets;
+    });
+
+    it('Should report the support', () => {
+      expect(supportsAdoptedStyleSheets()).toBe(true);
+    });
+
+    it('Should parse each CSS text once', () => {
+      const sheet = getStyleSheet('p { color: blue; }');
+
+      expect(sheet.cssText).toBe('p { color: blue; }');
+      expect(getStyleSheet('p { color: blue; }')).toBe(sheet);
+      expect(getStyleSheet('p { color: red; }')).not.toBe(sheet);
+    });
+
+    it('Should share one sheet between roots', () => {
+      const first = createRoot();
+      const second = createRoot();
+
+      adoptStyles(first, 'p { color: blue; }');
+      adoptStyles(first, 'p { color: blue; }');
+      adoptStyles(second, 'p { color: blue; }');
+
+      expect(first.adoptedStyleSheets).toHaveLength(1);
+      expect(second.adoptedStyleSheets[0]).toBe(first.adoptedStyleSheets[0]);
+      expect(first.querySelector('style')).toBeNull();
+    });
+
+    it('Should fetch each URL once', async () => {
+      const first = createRoot();
+      const second = createRoot();
+
+      await Promise.all([adoptStyleSheetUrl(first, 'styles.css'), adoptStyleSheetUrl(second, 'styles.css')]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(first.adoptedStyleSheets[0].cssText).toBe('p { color: green; }');
+      expect(second.adoptedStyleSheets[0]).toBe(first.adoptedStyleSheets[0]);
+    });
+
+    it('Should fall back to a link element when the URL cannot be fetched', async () => {
+      const root = createRoot();
+      fetchMock.mockResolvedValueOnce({ ok: false, status: 404 });
+
+      await adoptStyleSheetUrl(root, 'missing.css');
+
+      expect(root.adoptedStyleSheets).toHaveLength(0);
+      expect(root.querySelector('link').getAttribute('href')).toBe('missing.css');
+      expect(consoleMock).toBeCalledWith(
+        'Could not adopt stylesheet "missing.css". Falling back to a link element.',
+        new Error('Could not load stylesheet "missing.css" (status 404)'),
+      );
+    });
+
+    it('Should retry a URL after a failed fetch', async () => {
+      fetchMock.mockRejectedValueOnce(new Error('Offline'));
+
+      await adoptStyleSheetUrl(createRoot(), 'styles.css');
+      await adoptStyleSheetUrl(createRoot(), 'styles.css');
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+  });
+});
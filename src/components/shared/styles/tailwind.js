@@ -0,0 +1,12 @@
+import tailwindCss from '../../../css/style.css?inline';
+
+/**
+ * The compiled Tailwind CSS of the app (base, components and utilities from `src/css/style.css`).
+ *
+ * Global stylesheets do not reach into shadow roots, so shadow components
+ * adopt this text through `BaseComponent#addTailwind`, which parses it once
+ * and shares the resulting sheet between every instance.
+ *
+ * @type {string}
+ */
+export const tailwindStyles = tailwindCss;
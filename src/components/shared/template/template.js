@@ -0,0 +1,356 @@
+/**
+ * Tagged-template rendering with safe interpolation and DOM patching.
+ *
+ * Interpolated values are escaped by default, so text typed by users is always
+ * rendered as text. Inside a tag, a value can be bound with a prefix:
+ * - `@event=${handler}` adds an event listener.
+ * - `.prop=${value}` sets a DOM property.
+ * - `?attr=${boolean}` toggles a boolean attribute.
+ * - `attr=${value}` sets an attribute, removed when the value is null, undefined or false.
+ *
+ * Rendering again into the same container patches the existing nodes instead
+ * of replacing them: unchanged nodes (and their focus, selection and state)
+ * are kept. Give list items a `data-key` attribute so they are matched by key
+ * when the list is reordered.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const view = (todos) => html`
+ *   <ul>
+ *     ${todos.map((todo) => html`<li data-key=${todo.id} @click=${() => select(todo)}>${todo.title}</li>`)}
+ *   </ul>
+ * `;
+ *
+ * renderTemplate(view(store.getAll()), container);
+ */
+
+const MARKER_PREFIX = 'data-tpl-';
+const ESCAPED_CHARACTERS = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const ATTRIBUTE_BINDING = /([@.?]?[^\s"'<>/=]+)=(["']?)$/;
+
+/**
+ * Result of the `html` tag: the static strings and the interpolated values, not yet rendered.
+ */
+export class TemplateResult {
+  /**
+   * Creates an instance of TemplateResult.
+   * @param {TemplateStringsArray} strings - The static parts of the template.
+   * @param {Array<*>} values - The interpolated values.
+   */
+  constructor(strings, values) {
+    this.strings = strings;
+    this.values = values;
+  }
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ * @example
+ * escapeHTML('<b>"Hi"</b>'); // '&lt;b&gt;&quot;Hi&quot;&lt;/b&gt;'
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, (character) => ESCAPED_CHARACTERS[character]);
+}
+
+/**
+ * Tag for HTML templates.
+ * @param {TemplateStringsArray} strings - The static parts of the template.
+ * @param {...*} values - The interpolated values.
+ * @returns {TemplateResult} The template, ready to be rendered with renderTemplate.
+ * @example
+ * const greeting = html`<p class="greeting">Hello, ${name}!</p>`;
+ */
+export function html(strings, ...values) {
+  return new TemplateResult(strings, values);
+}
+
+/**
+ * Finds whether the end of the markup is inside a tag, and inside which quote.
+ * A `>` or `<` inside a quoted attribute value does not end or start a tag.
+ * @param {string} markup - The markup.
+ * @param {{inTag: boolean, quote: string|null}} [context] - The context at `from`.
+ * @param {number} [from=0] - Where to resume scanning, so a growing markup is scanned once.
+ * @returns {{inTag: boolean, quote: string|null}} The context at the end of the markup.
+ */
+function getTagContext(markup, context = { inTag: false, quote: null }, from = 0) {
+  let { inTag, quote } = context;
+
+  for (let index = from; index < markup.length; index += 1) {
+    const character = markup[index];
+    if (!inTag) {
+      // `<` only opens a tag when a name, `/` or `!` follows, like in the HTML parser.
+      inTag = character === '<' && (index === markup.length - 1 || /[a-zA-Z/!]/.test(markup[index + 1]));
+    } else if (quote) {
+      quote = character === quote ? null : quote;
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '>') {
+      inTag = false;
+    }
+  }
+
+  return { inTag, quote };
+}
+
+/**
+ * Serializes a value interpolated in a text position.
+ * @param {*} value - The value.
+ * @param {Object[]} bindings - Collects the bindings of nested templates.
+ * @returns {string} The markup.
+ */
+function serializeValue(value, bindings) {
+  if (value instanceof TemplateResult) {
+    return compile(value, bindings);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => serializeValue(item, bindings)).join('');
+  }
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  return escapeHTML(value);
+}
+
+/**
+ * Turns a template into markup, replacing attribute bindings with marker attributes.
+ * @param {TemplateResult} result - The template.
+ * @param {Object[]} bindings - Collects the attribute bindings.
+ * @returns {string} The markup.
+ * @throws Will throw an error for interpolations in unsupported positions.
+ */
+function compile({ strings, values }, bindings) {
+  let markup = strings[0];
+  let context = { inTag: false, quote: null };
+  let scanned = 0;
+
+  values.forEach((value, index) => {
+    let next = strings[index + 1];
+    context = getTagContext(markup, context, scanned);
+
+    if (!context.inTag) {
+      markup += serializeValue(value, bindings);
+    } else {
+      const match = markup.match(ATTRIBUTE_BINDING);
+      const quote = match ? match[2] : '';
+
+      if (match && (context.quote === null || (context.quote === quote && next.startsWith(quote)))) {
+        // The value is the whole attribute: replace it with a marker and apply it after parsing.
+        const marker = `${MARKER_PREFIX}${bindings.length}`;
+        const [prefix, name] = match[1].match(/^([@.?]?)(.*)$/).slice(1);
+
+        bindings.push({ marker, prefix, name, value });
+        markup = `${markup.slice(0, -match[0].length)}${marker}`;
+        next = quote ? next.slice(quote.length) : next;
+        // The quotes of the attribute went with it.
+        context = { inTag: true, quote: null };
+      } else if (context.quote) {
+        markup += escapeHTML(value);
+      } else {
+        throw new Error('Interpolations inside a tag must be whole, quoted or unquoted, attribute values');
+      }
+    }
+
+    // Values are escaped and nested templates are whole, so only the static part needs scanning.
+    scanned = markup.length;
+    markup += next;
+  });
+
+  return markup;
+}
+
+const isSameKind = (live, next) =>
+  live.nodeType === next.nodeType && (live.nodeType !== Node.ELEMENT_NODE || live.tagName === next.tagName);
+
+const getKey = (node) => (node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null);
+
+/**
+ * The inner element a BaseComponent appends to itself is owned by the component, not by the template
+ * rendering the component, so it is never patched or removed.
+ * @param {Node} node - The live node.
+ * @returns {boolean} True if the node must be left alone.
+ */
+const isComponentOwned = (node) => Boolean(node.parentNode && node.parentNode._element === node);
+
+function patchAttributes(live, next) {
+  [...live.attributes].forEach(({ name }) => {
+    if (!next.hasAttribute(name)) {
+      live.removeAttribute(name);
+    }
+  });
+
+  [...next.attributes].forEach(({ name, value }) => {
+    if (live.getAttribute(name) !== value) {
+      live.setAttribute(name, value);
+    }
+  });
+}
+
+function patchNode(live, next, nodeMap) {
+  nodeMap.set(next, live);
+
+  if (live.nodeType !== Node.ELEMENT_NODE) {
+    if (live.nodeValue !== next.nodeValue) {
+      live.nodeValue = next.nodeValue;
+    }
+    return;
+  }
+
+  patchAttributes(live, next);
+  patchChildren(live, next, nodeMap);
+}
+
+function mapSubtree(node, nodeMap) {
+  nodeMap.set(node, node);
+  node.childNodes.forEach((child) => mapSubtree(child, nodeMap));
+}
+
+/**
+ * Makes the children of `live` match the children of `next`, reusing live nodes where possible.
+ * @param {Node} live - The parent in the document.
+ * @param {Node} next - The freshly parsed parent.
+ * @param {Map<Node, Node>} nodeMap - Collects which live node ended up representing each parsed node.
+ */
+function patchChildren(live, next, nodeMap) {
+  const nextChildren = [...next.childNodes];
+  const liveChildren = [...live.childNodes].filter((child) => !isComponentOwned(child));
+  const keyed = new Map();
+  liveChildren.forEach((child) => {
+    const key = getKey(child);
+    if (key !== null) {
+      keyed.set(key, child);
+    }
+  });
+
+  let cursor = 0;
+  nextChildren.forEach((nextChild) => {
+    const key = getKey(nextChild);
+    let candidate = liveChildren[cursor];
+
+    if (key !== null) {
+      candidate = keyed.get(key);
+      keyed.delete(key);
+    } else if (candidate && getKey(candidate) !== null) {
+      candidate = null;
+    }
+
+    const reference = liveChildren[cursor] || null;
+
+    if (candidate && isSameKind(candidate, nextChild)) {
+      if (candidate !== reference) {
+        live.insertBefore(candidate, reference);
+        liveChildren.splice(liveChildren.indexOf(candidate), 1);
+        liveChildren.splice(cursor, 0, candidate);
+      }
+      patchNode(candidate, nextChild, nodeMap);
+    } else {
+      live.insertBefore(nextChild, reference);
+      liveChildren.splice(cursor, 0, nextChild);
+      mapSubtree(nextChild, nodeMap);
+    }
+
+    cursor += 1;
+  });
+
+  liveChildren.slice(cursor).forEach((child) => child.remove());
+}
+
+function applyAttribute(node, { prefix, name, value }) {
+  if (prefix === '?') {
+    node.toggleAttribute(name, Boolean(value));
+  } else if (value === null || value === undefined || value === false) {
+    node.removeAttribute(name);
+  } else {
+    node.setAttribute(name, String(value));
+  }
+}
+
+function applyListener(node, { name, value }, generation) {
+  if (!node._templateListeners) {
+    node._templateListeners = new Map();
+  }
+
+  const existing = node._templateListeners.get(name);
+  if (existing) {
+    existing.handler = value;
+    existing.generation = generation;
+    return;
+  }
+
+  const entry = { handler: value, generation };
+  entry.listener = (event) => {
+    if (typeof entry.handler === 'function') {
+      entry.handler.call(node, event);
+    } else if (entry.handler && typeof entry.handler.handleEvent === 'function') {
+      entry.handler.handleEvent(event);
+    }
+  };
+
+  node.addEventListener(name, entry.listener);
+  node._templateListeners.set(name, entry);
+}
+
+function removeStaleListeners(nodes, generation) {
+  nodes.forEach((node) => {
+    node._templateListeners.forEach((entry, name) => {
+      if (entry.generation !== generation) {
+        node.removeEventListener(name, entry.listener);
+        node._templateListeners.delete(name);
+      }
+    });
+  });
+}
+
+/**
+ * Renders a template into a container, patching what is already there.
+ * @param {TemplateResult} result - The template, created with `html`.
+ * @param {Element|ShadowRoot|DocumentFragment} container - Where to render.
+ * @throws Will throw an error if the result is not a TemplateResult.
+ * @example
+ * renderTemplate(html`<p>${text}</p>`, document.querySelector('#app'));
+ */
+export function renderTemplate(result, container) {
+  if (!(result instanceof TemplateResult)) {
+    throw new Error('Define a valid template created with html``');
+  }
+
+  const bindings = [];
+  const template = document.createElement('template');
+  template.innerHTML = compile(result, bindings);
+
+  const deferred = [];
+  bindings.forEach((binding) => {
+    const node = template.content.querySelector(`[${binding.marker}]`);
+    node.removeAttribute(binding.marker);
+
+    if (binding.prefix === '@' || binding.prefix === '.') {
+      deferred.push({ node, binding });
+    } else {
+      applyAttribute(node, binding);
+    }
+  });
+
+  const nodeMap = new Map();
+  patchChildren(container, template.content, nodeMap);
+
+  const generation = (container._templateGeneration || 0) + 1;
+  const listening = new Set();
+  deferred.forEach(({ node, binding }) => {
+    const liveNode = nodeMap.get(node);
+    if (binding.prefix === '.') {
+      liveNode[binding.name] = binding.value;
+    } else {
+      applyListener(liveNode, binding, generation);
+      listening.add(liveNode);
+    }
+  });
+
+  removeStaleListeners(container._templateListening || [], generation);
+  container._templateGeneration = generation;
+  container._templateListening = listening;
+}
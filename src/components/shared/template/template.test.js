@@ -0,0 +1,282 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { escapeHTML, html, renderTemplate, TemplateResult } from './template';
+
+describe('Test suite for the template renderer', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  it('Should escape HTML special characters', () => {
+    expect(escapeHTML(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+
+  it('Should create template results', () => {
+    const result = html`<p>${1}</p>`;
+
+    expect(result).toBeInstanceOf(TemplateResult);
+    expect(result.values).toEqual([1]);
+  });
+
+  it('Should throw error if the result is not a template', () => {
+    expect(() => renderTemplate('<p>raw</p>', container)).toThrow('Define a valid template created with html``');
+  });
+
+  describe('Should interpolate text safely', () => {
+    it('Escaping markup', () => {
+      renderTemplate(html`<p>${'<script>alert(1)</script>'}</p>`, container);
+
+      expect(container.querySelector('script')).toBeNull();
+      expect(container.querySelector('p').textContent).toBe('<script>alert(1)</script>');
+    });
+
+    it('Rendering nested templates and arrays', () => {
+      const items = ['A', '<B>'];
+      renderTemplate(
+        html`<ul>
+          ${items.map((item) => html`<li>${item}</li>`)}
+        </ul>`,
+        container,
+      );
+
+      expect([...container.querySelectorAll('li')].map((li) => li.textContent)).toEqual(['A', '<B>']);
+    });
+
+    it('Skipping empty values', () => {
+      renderTemplate(html`<p>${null}${undefined}${false}${0}</p>`, container);
+
+      expect(container.querySelector('p').textContent).toBe('0');
+    });
+  });
+
+  describe('Should bind attributes', () => {
+    it('With quoted and unquoted values', () => {
+      renderTemplate(html`<a href="${'/todos?a=1&b=2'}" title=${'say "hi"'}>link</a>`, container);
+      const link = container.querySelector('a');
+
+      expect(link.getAttribute('href')).toBe('/todos?a=1&b=2');
+      expect(link.getAttribute('title')).toBe('say "hi"');
+    });
+
+    it('Without breaking out of the attribute', () => {
+      renderTemplate(html`<p title=${'x onclick=alert(1)'}>text</p>`, container);
+      const paragraph = container.querySelector('p');
+
+      expect(paragraph.hasAttribute('onclick')).toBe(false);
+      expect(paragraph.getAttribute('title')).toBe('x onclick=alert(1)');
+    });
+
+    it('Inside partially interpolated quoted values', () => {
+      renderTemplate(html`<p class="todo ${'done" onclick="alert(1)'}">text</p>`, container);
+      const paragraph = container.querySelector('p');
+
+      expect(paragraph.hasAttribute('onclick')).toBe(false);
+      expect(paragraph.className).toBe('todo done" onclick="alert(1)');
+    });
+
+    it('After static values with angle brackets', () => {
+      const view = (label) =>
+        html`<p title="a > b" data-rule="x < y">${'one < two'}</p>
+          <button aria-label=${label} .count=${1}>Go</button>`;
+      renderTemplate(view('Compare'), container);
+      const button = container.querySelector('button');
+
+      expect(container.querySelector('p').textContent).toBe('one < two');
+      expect(button.getAttribute('aria-label')).toBe('Compare');
+      expect(button.count).toBe(1);
+      expect(button.textContent).toBe('Go');
+    });
+
+    it('In the same tag after a static value with angle brackets', () => {
+      renderTemplate(html`<p title="a > b" class=${'todo done'} .count=${1}>text</p>`, container);
+      const paragraph = container.querySelector('p');
+
+      expect(paragraph.getAttribute('title')).toBe('a > b');
+      expect(paragraph.className).toBe('todo done');
+      expect(paragraph.count).toBe(1);
+      expect(paragraph.textContent).toBe('text');
+    });
+
+    it('Removing attributes with empty values', () => {
+      renderTemplate(html`<p title=${null} data-a=${false} data-b=${0}>text</p>`, container);
+      const paragraph = container.querySelector('p');
+
+      expect(paragraph.hasAttribute('title')).toBe(false);
+      expect(paragraph.hasAttribute('data-a')).toBe(false);
+      expect(paragraph.getAttribute('data-b')).toBe('0');
+    });
+
+    it('Toggling boolean attributes', () => {
+      const view = (disabled) => html`<button type="button" ?disabled=${disabled}>Go</button>`;
+
+      renderTemplate(view(true), container);
+      expect(container.querySelector('button').disabled).toBe(true);
+
+      renderTemplate(view(false), container);
+      expect(container.querySelector('button').disabled).toBe(false);
+    });
+
+    it('Setting properties', () => {
+      const todo = { id: 'a' };
+      renderTemplate(html`<input .value=${'typed'} .todo=${todo} />`, container);
+      const input = container.querySelector('input');
+
+      expect(input.value).toBe('typed');
+      expect(input.todo).toBe(todo);
+      expect(input.hasAttribute('value')).toBe(false);
+    });
+
+    it('Throwing for unsupported positions', () => {
+      expect(() => renderTemplate(html`<p ${'hidden'}>text</p>`, container)).toThrow(
+        'Interpolations inside a tag must be whole, quoted or unquoted, attribute values',
+      );
+    });
+  });
+
+  describe('Should bind event listeners', () => {
+    it('Calling the handler with the element as this', () => {
+      const handler = vi.fn(function () {
+        return this;
+      });
+      renderTemplate(html`<button type="button" @click=${handler}>Go</button>`, container);
+
+      container.querySelector('button').click();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.results[0].value).toBe(container.querySelector('button'));
+    });
+
+    it('Supporting listener objects and namespaced events', () => {
+      const listener = { handleEvent: vi.fn() };
+      renderTemplate(html`<div @todo:added=${listener}></div>`, container);
+
+      container.firstElementChild.dispatchEvent(new CustomEvent('todo:added'));
+
+      expect(listener.handleEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it('Replacing the handler without adding listeners', () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      const view = (handler) => html`<button type="button" @click=${handler}>Go</button>`;
+
+      renderTemplate(view(first), container);
+      renderTemplate(view(second), container);
+      container.querySelector('button').click();
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it('Removing listeners that are no longer bound', () => {
+      const handler = vi.fn();
+
+      renderTemplate(html`<button type="button" @click=${handler}>Go</button>`, container);
+      renderTemplate(html`<button type="button">Go</button>`, container);
+      container.querySelector('button').click();
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Should patch existing DOM', () => {
+    it('Keeping unchanged nodes and their state', () => {
+      const view = (count) => html`<input type="text" /><span>${count}</span>`;
+
+      renderTemplate(view(1), container);
+      const input = container.querySelector('input');
+      input.value = 'typing';
+      input.focus();
+
+      renderTemplate(view(2), container);
+
+      expect(container.querySelector('input')).toBe(input);
+      expect(input.value).toBe('typing');
+      expect(document.activeElement).toBe(input);
+      expect(container.querySelector('span').textContent).toBe('2');
+    });
+
+    it('Updating, adding and removing attributes', () => {
+      renderTemplate(html`<p class="a" title="old">text</p>`, container);
+      const paragraph = container.querySelector('p');
+
+      renderTemplate(html`<p class="b" data-new="1">text</p>`, container);
+
+      expect(container.querySelector('p')).toBe(paragraph);
+      expect(paragraph.outerHTML).toBe('<p class="b" data-new="1">text</p>');
+    });
+
+    it('Replacing nodes whose tag changed', () => {
+      renderTemplate(html`<p>text</p>`, container);
+      renderTemplate(html`<h1>text</h1>`, container);
+
+      expect(container.innerHTML).toBe('<h1>text</h1>');
+    });
+
+    it('Removing extra nodes', () => {
+      renderTemplate(
+        html`<p>1</p>
+          <p>2</p>
+          <p>3</p>`,
+        container,
+      );
+      renderTemplate(html`<p>1</p>`, container);
+
+      expect(container.innerHTML).toBe('<p>1</p>');
+    });
+
+    it('Moving keyed nodes instead of recreating them', () => {
+      const view = (items) =>
+        html`<ul>
+          ${items.map((item) => html`<li data-key=${item}>${item}</li>`)}
+        </ul>`;
+
+      renderTemplate(view(['a', 'b', 'c']), container);
+      const [a, b, c] = container.querySelectorAll('li');
+
+      renderTemplate(view(['c', 'a', 'd']), container);
+      const items = [...container.querySelectorAll('li')];
+
+      expect(items.map((li) => li.textContent)).toEqual(['c', 'a', 'd']);
+      expect(items[0]).toBe(c);
+      expect(items[1]).toBe(a);
+      expect(items).not.toContain(b);
+    });
+
+    it('Binding listeners on moved keyed nodes', () => {
+      const clicked = [];
+      const view = (items) =>
+        html`${items.map(
+          (item) => html`<button type="button" data-key=${item} @click=${() => clicked.push(item)}>${item}</button>`,
+        )}`;
+
+      renderTemplate(view(['a', 'b']), container);
+      renderTemplate(view(['b', 'a']), container);
+      container.querySelectorAll('button').forEach((button) => button.click());
+
+      expect(clicked).toEqual(['b', 'a']);
+    });
+
+    it('Leaving the inner element of components alone', () => {
+      const host = document.createElement('div');
+      host._element = document.createElement('span');
+      host.appendChild(host._element);
+
+      renderTemplate(html`<p>projected</p>`, host);
+      renderTemplate(html`<p>changed</p>`, host);
+
+      expect(host.firstElementChild).toBe(host._element);
+      expect(host.querySelector('p').textContent).toBe('changed');
+    });
+
+    it('Rendering into shadow roots', () => {
+      const root = container.attachShadow({ mode: 'open' });
+      renderTemplate(html`<p>${'shadow'}</p>`, root);
+
+      expect(root.innerHTML).toBe('<p>shadow</p>');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { BaseComponent } from '../../shared/baseComponent/baseComponent.js';
+import { html } from '../../shared/template/template.js';
+
+const styles = `
+  :host {
+    display: block;
+    color: var(--color-text, inherit);
+    background-color: var(--color-background, transparent);
+  }
+
+  .layout {
+    position: relative;
+    display: flex;
+  }
+
+  .layout__aside {
+    flex: none;
+    border-right: 1px solid var(--color-border, transparent);
+    width: 18rem;
+    height: 100vh;
+    overflow-x: hidden;
+    overflow-y: auto;
+  }
+
+  .layout__content {
+    flex: 1 1 auto;
+    min-width: 0;
+  }
+
+  :host([aside-empty]) .layout__aside {
+    display: none;
+  }
+`;
+
+/**
+ * Page layout with a sidebar and a main content region.
+ *
+ * Content for the sidebar goes in the `aside` slot and everything else in
+ * the default slot. When nothing is projected into the sidebar, the
+ * `aside-empty` attribute is set and the column collapses.
+ *
+ * @example
+ * <app-layout>
+ *   <nav slot="aside">Lists</nav>
+ *   <section>Todos</section>
+ * </app-layout>
+ */
+export class AppLayout extends BaseComponent {
+  static get properties() {
+    return {
+      asideLabel: { type: 'string', default: '' },
+      asideEmpty: { type: 'boolean', default: false, reflect: true },
+    };
+  }
+
+  constructor() {
+    super('div', true);
+    this.addClass('layout');
+    this.addStyles(styles);
+  }
+
+  template() {
+    return html`
+      <aside class="layout__aside" part="aside" aria-label=${this.asideLabel || this.t('layout.aside')}>
+        <slot name="aside"></slot>
+      </aside>
+      <main class="layout__content" part="content"><slot></slot></main>
+    `;
+  }
+
+  onUpdate() {
+    this.asideEmpty = !this.hasSlotContent('aside');
+  }
+
+  onSlotChange(name) {
+    if (name === 'aside') {
+      this.asideEmpty = !this.hasSlotContent('aside');
+    }
+  }
+}
+
+if (!customElements.get('app-layout')) {
+  customElements.define('app-layout', AppLayout);
+}
@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { axe } from 'vitest-axe';
+import { AppLayout } from './layout';
+import { i18n } from '../../../js/i18n/i18n';
+
+describe('Test suite for the AppLayout component', () => {
+  let layout;
+
+  const nextSlotChange = () => new Promise((resolve) => setTimeout(resolve));
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    document.body.innerHTML = `
+      <app-layout>
+        <nav slot="aside">Lists</nav>
+        <section>Todos</section>
+      </app-layout>
+    `;
+    layout = document.querySelector('app-layout');
+    await layout.updateComplete;
+    await nextSlotChange();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Should be registered as app-layout', () => {
+    expect(layout).toBeInstanceOf(AppLayout);
+  });
+
+  it('Should project the sidebar and the content into their slots', () => {
+    expect(layout.getAssignedElements('aside').map((element) => element.textContent)).toEqual(['Lists']);
+    expect(layout.getAssignedElements().map((element) => element.textContent)).toEqual(['Todos']);
+  });
+
+  it('Should render landmarks around the slots', () => {
+    const aside = layout.shadowRoot.querySelector('aside');
+
+    expect(aside.getAttribute('aria-label')).toBe('Sidebar');
+    expect(layout.getSlot('aside').parentElement).toBe(aside);
+    expect(layout.getSlot().parentElement.tagName).toBe('MAIN');
+  });
+
+  it('Should collapse the sidebar when it has no content', async () => {
+    expect(layout.asideEmpty).toBe(false);
+
+    layout.querySelector('nav').remove();
+    await nextSlotChange();
+
+    expect(layout.asideEmpty).toBe(true);
+    expect(layout.hasAttribute('aside-empty')).toBe(false);
+    expect(HTMLElement.prototype.hasAttribute.call(layout, 'aside-empty')).toBe(true);
+  });
+
+  it('Should start collapsed without sidebar content', async () => {
+    const empty = new AppLayout();
+    document.body.appendChild(empty);
+    await empty.updateComplete;
+    await empty.updateComplete;
+
+    expect(empty.asideEmpty).toBe(true);
+  });
+
+  it('Should pass axe accessibility tests', async () => {
+    expect(await axe(layout)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,163 @@
+import { TODO_EVENTS } from '../store/todoStore.js';
+
+/**
+ * App-level publish/subscribe channel for communication between components
+ * that are not in the same DOM branch.
+ *
+ * Event names are namespaced as `namespace:event` (e.g. `todo:added`).
+ * Subscriptions accept wildcards: `*` matches one segment, and a trailing
+ * `*` matches the rest of the name, so `todo:*` receives every todo event
+ * and `*` receives everything.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const unsubscribe = eventBus.on('todo:*', (detail, name) => console.log(name, detail));
+ * eventBus.emit(APP_EVENTS.FILTER_CHANGED, { filter: 'active' });
+ * unsubscribe();
+ */
+
+/**
+ * Names of the events shared across the app.
+ * @readonly
+ * @enum {string}
+ */
+export const APP_EVENTS = Object.freeze({
+  TODO_ADDED: TODO_EVENTS.ADDED,
+  TODO_UPDATED: TODO_EVENTS.UPDATED,
+  TODO_REMOVED: TODO_EVENTS.REMOVED,
+  TODO_TOGGLED: TODO_EVENTS.TOGGLED,
+  TODO_REORDERED: TODO_EVENTS.REORDERED,
+  FILTER_CHANGED: 'filter:changed',
+});
+
+const EVENT_NAME = /^[\w-]+(:[\w-]+)+$/;
+
+/**
+ * Builds a matcher for a subscription pattern.
+ * @param {string} pattern - The pattern, with optional `*` segments.
+ * @returns {function(string): boolean} Tests an event name against the pattern.
+ */
+function createMatcher(pattern) {
+  if (pattern === '*') {
+    return () => true;
+  }
+  if (!pattern.includes('*')) {
+    return (name) => name === pattern;
+  }
+
+  const segments = pattern.split(':').map((segment, index, all) => {
+    if (segment !== '*') {
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    return index === all.length - 1 ? '.+' : '[^:]+';
+  });
+  const expression = new RegExp(`^${segments.join(':')}$`);
+
+  return (name) => expression.test(name);
+}
+
+export class EventBus {
+  /**
+   * Creates an instance of EventBus.
+   */
+  constructor() {
+    this._subscriptions = new Set();
+  }
+
+  /**
+   * Subscribes to the events matching a pattern.
+   * @param {string} pattern - An event name, or a pattern with `*` wildcards.
+   * @param {function(*, string): void} handler - Called with the event detail and the event name.
+   * @returns {function(): void} A function that removes the subscription.
+   * @example
+   * eventBus.on('filter:changed', ({ filter }) => view.setFilter(filter));
+   */
+  on(pattern, handler) {
+    const subscription = { pattern, handler, matches: createMatcher(pattern) };
+    this._subscriptions.add(subscription);
+
+    return () => this._subscriptions.delete(subscription);
+  }
+
+  /**
+   * Subscribes to the first event matching a pattern.
+   * @param {string} pattern - An event name, or a pattern with `*` wildcards.
+   * @param {function(*, string): void} handler - Called with the event detail and the event name.
+   * @returns {function(): void} A function that removes the subscription before it fires.
+   */
+  once(pattern, handler) {
+    const unsubscribe = this.on(pattern, (detail, name) => {
+      unsubscribe();
+      handler(detail, name);
+    });
+
+    return unsubscribe;
+  }
+
+  /**
+   * Removes every subscription of a handler to a pattern.
+   * @param {string} pattern - The pattern used to subscribe.
+   * @param {function(*, string): void} handler - The subscribed handler.
+   */
+  off(pattern, handler) {
+    this._subscriptions.forEach((subscription) => {
+      if (subscription.pattern === pattern && subscription.handler === handler) {
+        this._subscriptions.delete(subscription);
+      }
+    });
+  }
+
+  /**
+   * Publishes an event to every matching subscription.
+   * A failing handler is reported to the console and does not prevent the others from running.
+   * @param {string} name - The namespaced event name.
+   * @param {*} [detail] - The event payload.
+   * @throws Will throw an error if the name is not namespaced.
+   * @example
+   * eventBus.emit('todo:added', { todo });
+   */
+  emit(name, detail) {
+    if (typeof name !== 'string' || !EVENT_NAME.test(name)) {
+      throw new Error(`Event names must be namespaced, e.g. "todo:added". Received "${name}"`);
+    }
+
+    [...this._subscriptions].forEach((subscription) => {
+      if (!subscription.matches(name)) {
+        return;
+      }
+
+      try {
+        subscription.handler(detail, name);
+      } catch (error) {
+        console.error(`Error in a "${subscription.pattern}" handler for "${name}".`, error);
+      }
+    });
+  }
+
+  /**
+   * Re-publishes events dispatched on an EventTarget (a store, the document...) on the bus.
+   * @param {EventTarget} target - The source of the events.
+   * @param {string[]} names - The event names to forward.
+   * @returns {function(): void} A function that stops forwarding.
+   * @example
+   * eventBus.forward(store, Object.values(TODO_EVENTS));
+   */
+  forward(target, names) {
+    const controller = new AbortController();
+    names.forEach((name) => {
+      target.addEventListener(name, (event) => this.emit(name, event.detail), { signal: controller.signal });
+    });
+
+    return () => controller.abort();
+  }
+}
+
+/**
+ * Shared bus instance for the app.
+ * @type {EventBus}
+ */
+export const eventBus = new EventBus();
@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { APP_EVENTS, EventBus, eventBus } from './eventBus';
+import { TODO_EVENTS, TodoStore } from '../store/todoStore';
+
+describe('Test suite for the EventBus class', () => {
+  let bus;
+
+  const consoleMock = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  beforeEach(() => {
+    bus = new EventBus();
+  });
+
+  afterEach(() => {
+    consoleMock.mockReset();
+  });
+
+  it('Should expose a shared instance', () => {
+    expect(eventBus).toBeInstanceOf(EventBus);
+  });
+
+  it('Should deliver events to exact subscriptions', () => {
+    const handler = vi.fn();
+    bus.on(APP_EVENTS.FILTER_CHANGED, handler);
+
+    bus.emit(APP_EVENTS.FILTER_CHANGED, { filter: 'active' });
+    bus.emit(APP_EVENTS.TODO_ADDED, {});
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ filter: 'active' }, 'filter:changed');
+  });
+
+  describe('Should match wildcard subscriptions', () => {
+    it.each([
+      ['*', 'todo:added', true],
+      ['todo:*', 'todo:added', true],
+      ['todo:*', 'todo:list:renamed', true],
+      ['todo:*', 'filter:changed', false],
+      ['*:changed', 'filter:changed', true],
+      ['*:changed', 'todo:list:changed', false],
+      ['todo.x:*', 'todoax:added', false],
+    ])('%s with %s', (pattern, name, expected) => {
+      const handler = vi.fn();
+      bus.on(pattern, handler);
+
+      bus.emit(name);
+
+      expect(handler).toHaveBeenCalledTimes(expected ? 1 : 0);
+    });
+  });
+
+  it('Should stop delivering after unsubscribe', () => {
+    const handler = vi.fn();
+    const unsubscribe = bus.on('todo:*', handler);
+
+    unsubscribe();
+    bus.emit('todo:added');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('Should remove subscriptions with off', () => {
+    const handler = vi.fn();
+    bus.on('todo:added', handler);
+    bus.on('todo:added', handler);
+
+    bus.off('todo:added', handler);
+    bus.emit('todo:added');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('Should deliver once subscriptions a single time', () => {
+    const handler = vi.fn();
+    bus.once('todo:*', handler);
+
+    bus.emit('todo:added');
+    bus.emit('todo:removed');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(undefined, 'todo:added');
+  });
+
+  it('Should keep delivering when a handler fails', () => {
+    const error = new Error('Broken');
+    const handler = vi.fn();
+    bus.on('todo:added', () => {
+      throw error;
+    });
+    bus.on('todo:added', handler);
+
+    bus.emit('todo:added');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(consoleMock).toBeCalledWith('Error in a "todo:added" handler for "todo:added".', error);
+  });
+
+  it('Should throw for names without a namespace', () => {
+    expect(() => bus.emit('added')).toThrow('Event names must be namespaced, e.g. "todo:added". Received "added"');
+  });
+
+  it('Should forward events from an EventTarget', () => {
+    const store = new TodoStore();
+    const handler = vi.fn();
+    bus.on('todo:*', handler);
+
+    const stop = bus.forward(store, [TODO_EVENTS.ADDED]);
+    const todo = store.create({ title: 'A' });
+    stop();
+    store.create({ title: 'B' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ type: TODO_EVENTS.ADDED, todo, index: 0 }, TODO_EVENTS.ADDED);
+  });
+});
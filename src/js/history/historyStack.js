@@ -0,0 +1,223 @@
+/**
+ * Bounded undo/redo stack of commands.
+ *
+ * A command is an action that has already been performed and knows how to
+ * revert and repeat itself: `{ label, undo(), redo() }`. Recording a new
+ * command clears the redo stack, and the oldest commands are dropped once
+ * the stack holds `limit` of them.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const history = new HistoryStack({ limit: 50 });
+ * history.push({ label: 'Renamed "Buy milk"', undo: () => rename('Buy milk'), redo: () => rename('Buy oat milk') });
+ * history.undo();
+ * history.redo();
+ */
+
+/**
+ * Names of the events dispatched by the stack.
+ * @readonly
+ * @enum {string}
+ */
+export const HISTORY_EVENTS = Object.freeze({
+  RECORDED: 'history:recorded',
+  UNDONE: 'history:undone',
+  REDONE: 'history:redone',
+  CLEARED: 'history:cleared',
+  CHANGE: 'history:change',
+});
+
+/**
+ * @typedef {Object} HistoryCommand
+ * @property {string} label - What the command did, shown to the user, e.g. `Deleted "Buy milk"`.
+ * @property {boolean} [destructive] - Whether the command removed something the user may want back.
+ * @property {function(): void} undo - Reverts the command.
+ * @property {function(): void} redo - Performs the command again after undo.
+ */
+
+/**
+ * Tells whether a keyboard event is an undo (Ctrl+Z) or redo (Ctrl+Shift+Z or Ctrl+Y) shortcut.
+ * Cmd replaces Ctrl on macOS.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {'undo'|'redo'|null} The action, or null for any other key.
+ */
+export function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return null;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === 'z') {
+    return event.shiftKey ? 'redo' : 'undo';
+  }
+
+  return key === 'y' && !event.shiftKey ? 'redo' : null;
+}
+
+/**
+ * Undoes and redoes with the keyboard shortcuts, see getHistoryShortcut.
+ * Shortcuts typed in a text field are left to the browser, which undoes the typing.
+ * @param {HistoryStack} history - The history.
+ * @param {EventTarget} [target=document] - Where the shortcuts are listened to.
+ * @returns {function(): void} A function that removes the shortcuts.
+ */
+export function bindHistoryShortcuts(history, target = document) {
+  const listener = (event) => {
+    const action = getHistoryShortcut(event);
+    const field = event.target;
+    if (!action || field?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(field?.tagName)) {
+      return;
+    }
+
+    event.preventDefault();
+    history[action]();
+  };
+  target.addEventListener('keydown', listener);
+
+  return () => target.removeEventListener('keydown', listener);
+}
+
+export class HistoryStack extends EventTarget {
+  /**
+   * Creates an instance of HistoryStack.
+   * @param {Object} [options] - Stack options.
+   * @param {number} [options.limit=100] - Most commands kept for undo.
+   * @throws Will throw an error if the limit is not a positive integer.
+   */
+  constructor({ limit = 100 } = {}) {
+    super();
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Define a valid history limit');
+    }
+
+    this._limit = limit;
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Whether there is a command to undo.
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone command to redo.
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * The command that undo would revert.
+   * @returns {HistoryCommand|null} The last command, or null if there is none.
+   */
+  get undoCommand() {
+    return this._undoStack[this._undoStack.length - 1] || null;
+  }
+
+  /**
+   * The number of commands that can be undone.
+   * @returns {number}
+   */
+  get size() {
+    return this._undoStack.length;
+  }
+
+  /**
+   * Records a command that has just been performed.
+   * @param {HistoryCommand} command - The command.
+   * @returns {HistoryCommand} The recorded command.
+   * @throws Will throw an error if the command cannot be undone and redone.
+   */
+  push(command) {
+    if (typeof command?.undo !== 'function' || typeof command?.redo !== 'function') {
+      throw new Error('Define a valid history command');
+    }
+
+    this._undoStack.push(command);
+    this._undoStack.splice(0, this._undoStack.length - this._limit);
+    this._redoStack = [];
+    this._emit(HISTORY_EVENTS.RECORDED, { command });
+
+    return command;
+  }
+
+  /**
+   * Reverts the last command.
+   * A command that fails to revert is dropped, since the state it expected is gone.
+   * @returns {HistoryCommand|null} The undone command, or null if there is none or it failed.
+   */
+  undo() {
+    return this._move(this._undoStack, this._redoStack, 'undo', HISTORY_EVENTS.UNDONE);
+  }
+
+  /**
+   * Performs the last undone command again.
+   * @returns {HistoryCommand|null} The redone command, or null if there is none or it failed.
+   */
+  redo() {
+    return this._move(this._redoStack, this._undoStack, 'redo', HISTORY_EVENTS.REDONE);
+  }
+
+  /**
+   * Forgets every command.
+   */
+  clear() {
+    if (!this.canUndo && !this.canRedo) {
+      return;
+    }
+
+    this._undoStack = [];
+    this._redoStack = [];
+    this._emit(HISTORY_EVENTS.CLEARED, {});
+  }
+
+  /**
+   * Subscribes to a history event.
+   * @param {string} type - The event name (one of HISTORY_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail, which has the `command`.
+   * @returns {function(): void} A function that removes the subscription.
+   * @example
+   * history.subscribe(HISTORY_EVENTS.RECORDED, ({ command }) => console.log(command.label));
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _move(from, to, method, type) {
+    const command = from.pop();
+    if (!command) {
+      return null;
+    }
+
+    try {
+      command[method]();
+    } catch (error) {
+      console.error(`Could not ${method} "${command.label}".`, error);
+      // The stacks changed anyway, so listeners that show canUndo/canRedo are told.
+      this.dispatchEvent(new CustomEvent(HISTORY_EVENTS.CHANGE, { detail: { type: HISTORY_EVENTS.CHANGE, command } }));
+      return null;
+    }
+
+    to.push(command);
+    this._emit(type, { command });
+
+    return command;
+  }
+
+  _emit(type, detail) {
+    const payload = { type, ...detail };
+    this.dispatchEvent(new CustomEvent(type, { detail: payload }));
+    this.dispatchEvent(new CustomEvent(HISTORY_EVENTS.CHANGE, { detail: payload }));
+  }
+}
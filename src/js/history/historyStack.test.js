@@ -0,0 +1,157 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { HISTORY_EVENTS, HistoryStack, bindHistoryShortcuts, getHistoryShortcut } from './historyStack';
+
+describe('Test suite for the HistoryStack class', () => {
+  let history;
+  let value;
+
+  const set = (next) => {
+    const previous = value;
+    value = next;
+    return history.push({ label: `Set ${next}`, undo: () => (value = previous), redo: () => (value = next) });
+  };
+
+  beforeEach(() => {
+    history = new HistoryStack({ limit: 3 });
+    value = 0;
+  });
+
+  it('Should require a valid limit and valid commands', () => {
+    expect(() => new HistoryStack({ limit: 0 })).toThrow('Define a valid history limit');
+    expect(() => history.push({ label: 'Nothing' })).toThrow('Define a valid history command');
+  });
+
+  it('Should undo and redo commands in order', () => {
+    set(1);
+    set(2);
+
+    expect(history.undo().label).toBe('Set 2');
+    expect(value).toBe(1);
+    expect(history.undo().label).toBe('Set 1');
+    expect(value).toBe(0);
+    expect(history.undo()).toBeNull();
+
+    expect(history.redo().label).toBe('Set 1');
+    expect(history.redo().label).toBe('Set 2');
+    expect(value).toBe(2);
+    expect(history.redo()).toBeNull();
+  });
+
+  it('Should clear the redo stack when a command is recorded', () => {
+    set(1);
+    history.undo();
+    set(5);
+
+    expect(history.canRedo).toBe(false);
+    expect(history.undoCommand.label).toBe('Set 5');
+  });
+
+  it('Should keep at most the limit of commands', () => {
+    [1, 2, 3, 4].forEach(set);
+
+    expect(history.size).toBe(3);
+    history.undo();
+    history.undo();
+    history.undo();
+    expect(history.canUndo).toBe(false);
+    expect(value).toBe(1);
+  });
+
+  it('Should drop a command that fails', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const onChange = vi.fn();
+    history.push({
+      label: 'Broken',
+      undo: () => {
+        throw new Error('Gone');
+      },
+      redo: () => {},
+    });
+    history.subscribe(HISTORY_EVENTS.CHANGE, onChange);
+
+    expect(history.undo()).toBeNull();
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+    expect(error).toHaveBeenCalledWith('Could not undo "Broken".', expect.any(Error));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+
+  it('Should dispatch events', () => {
+    const onChange = vi.fn();
+    history.subscribe(HISTORY_EVENTS.CHANGE, onChange);
+
+    const command = set(1);
+    history.undo();
+    history.redo();
+    history.clear();
+    history.clear();
+
+    expect(onChange.mock.calls.map(([detail]) => detail.type)).toEqual([
+      HISTORY_EVENTS.RECORDED,
+      HISTORY_EVENTS.UNDONE,
+      HISTORY_EVENTS.REDONE,
+      HISTORY_EVENTS.CLEARED,
+    ]);
+    expect(onChange.mock.calls[0][0].command).toBe(command);
+  });
+
+  describe('Should recognize the keyboard shortcuts', () => {
+    it.each([
+      [{ key: 'z', ctrlKey: true }, 'undo'],
+      [{ key: 'z', metaKey: true }, 'undo'],
+      [{ key: 'Z', ctrlKey: true, shiftKey: true }, 'redo'],
+      [{ key: 'y', ctrlKey: true }, 'redo'],
+      [{ key: 'z' }, null],
+      [{ key: 'z', ctrlKey: true, altKey: true }, null],
+      [{ key: 'x', ctrlKey: true }, null],
+    ])('For %o', (init, action) => {
+      expect(getHistoryShortcut(new KeyboardEvent('keydown', init))).toBe(action);
+    });
+  });
+
+  describe('Should bind the keyboard shortcuts', () => {
+    let unbind;
+
+    const press = (target, init) => {
+      const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      unbind = bindHistoryShortcuts(history);
+    });
+
+    afterEach(() => {
+      unbind();
+      document.body.innerHTML = '';
+    });
+
+    it('Outside text fields', () => {
+      set(1);
+
+      expect(press(document.body, { key: 'z', ctrlKey: true }).defaultPrevented).toBe(true);
+      expect(value).toBe(0);
+      press(document.body, { key: 'z', ctrlKey: true, shiftKey: true });
+      expect(value).toBe(1);
+    });
+
+    it('Leaving text fields to the browser', () => {
+      set(1);
+      const input = document.createElement('input');
+      document.body.appendChild(input);
+
+      expect(press(input, { key: 'z', ctrlKey: true }).defaultPrevented).toBe(false);
+      expect(value).toBe(1);
+    });
+
+    it('Until unbound', () => {
+      set(1);
+      unbind();
+
+      press(document.body, { key: 'z', ctrlKey: true });
+      expect(value).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import { HistoryStack } from './historyStack.js';
+import { TODO_EVENTS } from '../store/todoStore.js';
+import { t } from '../i18n/i18n.js';
+
+/**
+ * Undo/redo history of every change to the todos.
+ *
+ * The history records the change events of a TodoStore or a Workspace, so
+ * every mutation is covered wherever it comes from: adding, editing,
+ * completing, deleting and reordering todos. Each event becomes a step that
+ * knows how to revert itself, and the steps dispatched in the same task
+ * become one command, so a bulk operation (or a delete that also removes
+ * the subtasks) is undone at once. Changes made while undoing or redoing are
+ * not recorded. Replacing all the todos of a store (a RESET, e.g. when a
+ * list is deleted) cannot be reverted, so it clears the history. Changes
+ * made in another tab (`remote` in the detail, see Workspace#applyRemote)
+ * belong to the history of that tab, so they are not recorded.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const history = new TodoHistory({ source: workspace, limit: 100 });
+ * history.start();
+ *
+ * store.delete(todo.id);
+ * history.undo(); // the todo is back, with its subtasks
+ */
+
+/**
+ * Puts a todo back in a store at a position.
+ * @param {TodoStore} store - The store.
+ * @param {Object} todo - The todo.
+ * @param {number} index - The position.
+ */
+const restore = (store, todo, index) => {
+  store.put(todo);
+  store.reorder(todo.id, index);
+};
+
+/**
+ * Deletes a todo if it is still in the store, since deleting a parent already deleted its subtasks.
+ * @param {TodoStore} store - The store.
+ * @param {string} id - The id of the todo.
+ */
+const remove = (store, id) => {
+  if (store.get(id)) {
+    store.delete(id);
+  }
+};
+
+/**
+ * Builds the undo and redo of a store event.
+ * @param {TodoStore} store - The store that dispatched the event.
+ * @param {Object} detail - The event detail.
+ * @returns {{ type: string, todo: Object, undo: function(): void, redo: function(): void }|null} The
+ * step, or null for events that change nothing.
+ */
+function createStep(store, { type, todo, previous, index, previousIndex }) {
+  switch (type) {
+    case TODO_EVENTS.ADDED:
+      return { type, todo, undo: () => remove(store, todo.id), redo: () => restore(store, todo, index) };
+    case TODO_EVENTS.REMOVED:
+      return { type, todo, undo: () => restore(store, todo, previousIndex), redo: () => remove(store, todo.id) };
+    case TODO_EVENTS.UPDATED:
+    case TODO_EVENTS.TOGGLED:
+      return { type, todo, undo: () => store.put(previous), redo: () => store.put(todo) };
+    case TODO_EVENTS.REORDERED:
+      return {
+        type,
+        todo,
+        undo: () => store.reorder(todo.id, previousIndex),
+        redo: () => store.reorder(todo.id, index),
+      };
+    default:
+      return null;
+  }
+}
+
+// Message keys of the labels, by event type.
+const MESSAGES = {
+  [TODO_EVENTS.ADDED]: () => 'history.added',
+  [TODO_EVENTS.REMOVED]: () => 'history.deleted',
+  [TODO_EVENTS.UPDATED]: () => 'history.edited',
+  [TODO_EVENTS.TOGGLED]: (todo) => (todo.completed ? 'history.completed' : 'history.reopened'),
+  [TODO_EVENTS.REORDERED]: () => 'history.moved',
+};
+
+/**
+ * Describes the steps of a command in the current locale, e.g. `Deleted "Buy milk"` or `Completed 3 todos`.
+ * A todo removed from one list and added to another was moved. Otherwise deletions come first, since
+ * they are what the user may want back; the subtasks deleted with their parent are not counted.
+ * @param {Object[]} steps - The steps.
+ * @returns {string} The label.
+ */
+function describeSteps(steps) {
+  const added = new Set(steps.filter((step) => step.type === TODO_EVENTS.ADDED).map((step) => step.todo.id));
+  const removed = steps.filter((step) => step.type === TODO_EVENTS.REMOVED).map((step) => step.todo);
+  const moved = removed.filter((todo) => added.has(todo.id));
+  if (moved.length) {
+    return t('history.moved', { count: 1, title: moved[0].title });
+  }
+  if (removed.length) {
+    const ids = new Set(removed.map((todo) => todo.id));
+    const roots = removed.filter((todo) => !ids.has(todo.parentId));
+
+    return t('history.deleted', { count: roots.length, title: roots[0]?.title });
+  }
+
+  const [first] = steps;
+  const ids = new Set(steps.filter((step) => step.type === first.type).map((step) => step.todo.id));
+
+  return t(MESSAGES[first.type](first.todo), { count: ids.size, title: first.todo.title });
+}
+
+/**
+ * Tells whether steps removed todos, as opposed to moving them to another list.
+ * @param {Object[]} steps - The steps.
+ * @returns {boolean} True if a todo is gone.
+ */
+function isDestructive(steps) {
+  const added = new Set(steps.filter((step) => step.type === TODO_EVENTS.ADDED).map((step) => step.todo.id));
+
+  return steps.some((step) => step.type === TODO_EVENTS.REMOVED && !added.has(step.todo.id));
+}
+
+export class TodoHistory extends HistoryStack {
+  /**
+   * Creates an instance of TodoHistory.
+   * @param {Object} options - History options.
+   * @param {Object} options.source - The todos to record: a TodoStore or a Workspace.
+   * @param {number} [options.limit=100] - Most commands kept for undo.
+   * @throws Will throw an error if the source is not defined.
+   */
+  constructor({ source, limit } = {}) {
+    super({ limit });
+    if (!source || typeof source.subscribe !== 'function') {
+      throw new Error('Define a valid todo source');
+    }
+
+    this._source = source;
+    this._steps = [];
+    this._applying = false;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Starts recording the changes of the source.
+   */
+  start() {
+    this.stop();
+    this._unsubscribe = this._source.subscribe(TODO_EVENTS.CHANGE, (detail) => this._record(detail));
+  }
+
+  /**
+   * Stops recording, keeping the recorded commands.
+   */
+  stop() {
+    this.flush();
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Records the pending steps as one command right away, instead of at the end of the task.
+   * @returns {HistoryCommand|null} The recorded command, or null if nothing changed.
+   */
+  flush() {
+    if (!this._steps.length) {
+      return null;
+    }
+
+    const steps = this._steps;
+    this._steps = [];
+
+    return this.push({
+      label: describeSteps(steps),
+      destructive: isDestructive(steps),
+      undo: () => this._apply(() => [...steps].reverse().forEach((step) => step.undo())),
+      redo: () => this._apply(() => steps.forEach((step) => step.redo())),
+    });
+  }
+
+  undo() {
+    this.flush();
+
+    return super.undo();
+  }
+
+  redo() {
+    this.flush();
+
+    return super.redo();
+  }
+
+  _record(detail) {
+    if (this._applying || detail.remote) {
+      return;
+    }
+    if (detail.type === TODO_EVENTS.RESET) {
+      this._steps = [];
+      this.clear();
+      return;
+    }
+
+    const step = createStep(this._storeOf(detail), detail);
+    if (!step) {
+      return;
+    }
+    if (!this._steps.length) {
+      queueMicrotask(() => this.flush());
+    }
+    this._steps.push(step);
+  }
+
+  _storeOf({ listId }) {
+    // A workspace forwards the events of every list with the id of the list.
+    return listId && typeof this._source.getTodoStore === 'function' ? this._source.getTodoStore(listId) : this._source;
+  }
+
+  _apply(callback) {
+    this._applying = true;
+    try {
+      callback();
+    } finally {
+      this._applying = false;
+    }
+  }
+}
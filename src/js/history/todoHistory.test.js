@@ -0,0 +1,158 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { TodoHistory } from './todoHistory';
+import { HISTORY_EVENTS } from './historyStack';
+import { TodoStore } from '../store/todoStore';
+import { Workspace } from '../store/workspace';
+import { i18n } from '../i18n/i18n';
+
+describe('Test suite for the TodoHistory class', () => {
+  let store;
+  let history;
+
+  const getTitles = () => store.getAll().map((todo) => todo.title);
+
+  beforeEach(() => {
+    i18n.setLocale('en');
+    store = new TodoStore();
+    store.create({ title: 'Buy milk' });
+    store.create({ title: 'Walk the dog' });
+    history = new TodoHistory({ source: store });
+    history.start();
+  });
+
+  it('Should require a todo source', () => {
+    expect(() => new TodoHistory()).toThrow('Define a valid todo source');
+  });
+
+  it('Should undo and redo adding a todo', async () => {
+    store.create({ title: 'Call mom' });
+    await Promise.resolve();
+
+    expect(history.undoCommand.label).toBe('Added "Call mom"');
+    history.undo();
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog']);
+    history.redo();
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog', 'Call mom']);
+  });
+
+  it('Should undo and redo edits and toggles', () => {
+    const [todo] = store.getAll();
+    store.update(todo.id, { title: 'Buy oat milk', tags: ['home'] });
+    history.flush();
+    store.toggle(todo.id);
+
+    expect(history.undo().label).toBe('Completed "Buy oat milk"');
+    expect(store.get(todo.id).completed).toBe(false);
+    expect(history.undo().label).toBe('Edited "Buy oat milk"');
+    expect(store.get(todo.id)).toEqual(todo);
+
+    history.redo();
+    history.redo();
+    expect(store.get(todo.id)).toMatchObject({ title: 'Buy oat milk', tags: ['home'], completed: true });
+  });
+
+  it('Should undo a deletion with the subtasks at their positions', () => {
+    const [todo] = store.getAll();
+    store.create({ title: 'Whole milk', parentId: todo.id });
+    store.create({ title: 'Oat milk', parentId: todo.id });
+    history.flush();
+    const before = store.getAll();
+
+    store.delete(todo.id);
+    const command = history.flush();
+
+    expect(command).toMatchObject({ label: 'Deleted "Buy milk"', destructive: true });
+    history.undo();
+    expect(store.getAll()).toEqual(before);
+    history.redo();
+    expect(getTitles()).toEqual(['Walk the dog']);
+  });
+
+  it('Should undo a reorder', () => {
+    const [todo] = store.getAll();
+    store.reorder(todo.id, 1);
+
+    expect(history.undo().label).toBe('Moved "Buy milk"');
+    expect(getTitles()).toEqual(['Buy milk', 'Walk the dog']);
+  });
+
+  it('Should group the changes of one task into one command', async () => {
+    store.getAll().forEach((todo) => store.toggle(todo.id));
+    await Promise.resolve();
+
+    expect(history.size).toBe(1);
+    expect(history.undoCommand).toMatchObject({ label: 'Completed 2 todos', destructive: false });
+    history.undo();
+    expect(store.getAll().some((todo) => todo.completed)).toBe(false);
+  });
+
+  it('Should undo completing a recurring todo with its next occurrence', () => {
+    const todo = store.create({ title: 'Water plants', dueDate: '2024-06-03', recurrence: 'FREQ=WEEKLY' });
+    history.flush();
+
+    store.toggle(todo.id);
+    expect(store.size).toBe(4);
+
+    expect(history.undo().label).toBe('Completed "Water plants"');
+    expect(store.size).toBe(3);
+    expect(store.get(todo.id)).toEqual(todo);
+  });
+
+  it('Should not record the changes made by undo and redo', () => {
+    const onRecorded = vi.fn();
+    store.create({ title: 'Call mom' });
+    history.flush();
+    history.subscribe(HISTORY_EVENTS.RECORDED, onRecorded);
+
+    history.undo();
+    history.redo();
+    history.flush();
+
+    expect(onRecorded).not.toHaveBeenCalled();
+  });
+
+  it('Should clear the history when the todos are replaced', () => {
+    store.create({ title: 'Call mom' });
+    history.flush();
+
+    store.load([]);
+
+    expect(history.canUndo).toBe(false);
+  });
+
+  it('Should stop recording', () => {
+    history.stop();
+    store.create({ title: 'Call mom' });
+
+    expect(history.flush()).toBeNull();
+  });
+
+  it('Should record the todos of every list of a workspace', async () => {
+    const workspace = new Workspace();
+    await workspace.load();
+    const list = workspace.lists.create({ name: 'Groceries' });
+    const groceries = workspace.getTodoStore(list.id);
+    const inbox = workspace.getTodoStore('inbox');
+    const workspaceHistory = new TodoHistory({ source: workspace });
+    workspaceHistory.start();
+
+    inbox.create({ title: 'Call mom' });
+    groceries.create({ title: 'Buy milk' });
+    workspaceHistory.flush();
+    groceries.delete(groceries.getAll()[0].id);
+
+    workspaceHistory.undo();
+    expect(groceries.getAll().map((todo) => todo.title)).toEqual(['Buy milk']);
+
+    workspace.moveTodo(groceries.getAll()[0].id, 'inbox');
+    expect(workspaceHistory.flush()).toMatchObject({ label: 'Moved "Buy milk"', destructive: false });
+    workspaceHistory.undo();
+    expect(groceries.getAll().map((todo) => todo.title)).toEqual(['Buy milk']);
+    expect(inbox.getAll().map((todo) => todo.title)).toEqual(['Call mom']);
+
+    workspaceHistory.undo();
+    expect(groceries.size).toBe(0);
+    expect(inbox.size).toBe(0);
+    workspace.stop();
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * English messages, also used for the keys missing from other catalogs.
+ * See I18n for the message syntax.
+ *
+ * @type {Object<string, string>}
+ */
+export const en = Object.freeze({
+  'language.name': 'English',
+
+  'common.add': 'Add',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.delete': 'Delete',
+  'common.dismiss': 'Dismiss',
+  'common.save': 'Save',
+  'common.undo': 'Undo',
+
+  'app.name': 'Todo Vanilla',
+  'app.pageTitle': '{page} · Todo Vanilla',
+  'app.actions.import': 'Import',
+  'app.actions.export': 'Export',
+  'app.actions.theme': 'Theme',
+  'app.imported':
+    'Imported {imported, plural, one {# todo} other {# todos}}' +
+    '{skipped, plural, =0 {} one {, skipped # duplicate} other {, skipped # duplicates}}',
+  'app.reminder': 'Reminder: {title}',
+  'app.enableNotifications': 'Enable notifications',
+  'app.updateAvailable': 'A new version of the app is available.',
+  'app.reload': 'Reload',
+
+  'nav.today': 'Today',
+  'nav.completed': 'Completed',
+
+  'routes.today.empty': 'Nothing due today.',
+  'routes.completed.empty': 'No completed tasks.',
+  'routes.list.empty': 'No tasks here yet.',
+
+  'header.menu': 'Open main menu',
+  'header.language': 'Language',
+
+  'layout.aside': 'Sidebar',
+
+  'validation.valueMissing': 'Fill in this field.',
+  'validation.unchecked': 'Check this box to continue.',
+  'validation.tooShort': '{min, plural, one {Use at least # character.} other {Use at least # characters.}}',
+  'validation.tooLong': '{max, plural, one {Use at most # character.} other {Use at most # characters.}}',
+  'validation.patternMismatch': 'Match the requested format.',
+  'validation.rangeUnderflow': 'Choose {min} or later.',
+  'validation.rangeOverflow': 'Choose {max} or earlier.',
+  'validation.invalid': 'Enter a valid value.',
+
+  'errors.unexpected': 'Something went wrong. Please try again.',
+  'errors.todo.title': 'Define a valid todo title',
+  'errors.todo.dueDate': 'Define a valid due date (YYYY-MM-DD)',
+  'errors.todo.remindAt': 'Define a valid reminder date',
+  'errors.todo.tags': 'Define valid tags',
+  'errors.todo.priority': 'Define a valid priority: {priorities}',
+  'errors.todo.notFound': 'Todo "{id}" not found',
+  'errors.todo.parentCycle': 'A todo cannot be a subtask of itself or of its own subtasks',
+  'errors.recurrence.freq': 'Define a valid recurrence rule (FREQ must be one of {frequencies}). Received "{rule}"',
+  'errors.recurrence.interval':
+    'Define a valid recurrence rule (INTERVAL must be a positive integer). Received "{rule}"',
+  'errors.recurrence.byDay': 'Define a valid recurrence rule (BYDAY must list {days}). Received "{rule}"',
+  'errors.recurrence.byMonthDay':
+    'Define a valid recurrence rule (BYMONTHDAY must be a day from 1 to 31, or -1). Received "{rule}"',
+  'errors.recurrence.until':
+    'Define a valid recurrence rule (UNTIL must be a date such as 20241231). Received "{rule}"',
+  'errors.recurrence.unsupported': 'Define a valid recurrence rule ({part} is not supported). Received "{rule}"',
+  'errors.list.name': 'Define a valid list name',
+  'errors.list.color': 'Define a valid list color: {colors}',
+  'errors.list.icon': 'Define a valid list icon',
+  'errors.list.notFound': 'List "{id}" not found',
+  'errors.list.last': 'Keep at least one list',
+  'errors.theme.name': 'Define a valid theme name (1 to {max} characters)',
+  'errors.theme.builtIn': 'Define a valid theme id: built-in themes cannot be changed',
+  'errors.theme.lightColor': 'Define a valid light color for "{token}" (#rrggbb). Received "{value}"',
+  'errors.theme.darkColor': 'Define a valid dark color for "{token}" (#rrggbb). Received "{value}"',
+  'errors.theme.notFound': 'Define a valid theme. Received "{id}"',
+
+  'notFound.title': 'Page not found',
+  'notFound.text': 'Nothing lives at {path}. It may have been moved or deleted.',
+  'notFound.home': 'Back to your tasks',
+
+  'priority.high': 'High',
+  'priority.medium': 'Medium',
+  'priority.low': 'Low',
+  'priority.none': 'None',
+  'priority.suffix': 'priority',
+
+  'due.overdue': 'Overdue · {date}',
+  'due.reminder': 'Due: {date}',
+
+  'recurrence.daily': '{interval, plural, one {Every day} other {Every # days}}',
+  'recurrence.weekly': '{interval, plural, one {Every week} other {Every # weeks}}',
+  'recurrence.monthly': '{interval, plural, one {Every month} other {Every # months}}',
+  'recurrence.yearly': '{interval, plural, one {Every year} other {Every # years}}',
+  'recurrence.weekdays': 'Every weekday',
+  'recurrence.onDays': '{rule} on {days}',
+  'recurrence.onDay': '{rule} on day {day}',
+  'recurrence.onLastDay': '{rule} on the last day',
+  'recurrence.until': '{rule} until {date}',
+  'recurrence.none': 'Does not repeat',
+
+  'history.added': '{count, plural, one {Added "{title}"} other {Added # todos}}',
+  'history.deleted': '{count, plural, one {Deleted "{title}"} other {Deleted # todos}}',
+  'history.edited': '{count, plural, one {Edited "{title}"} other {Edited # todos}}',
+  'history.completed': '{count, plural, one {Completed "{title}"} other {Completed # todos}}',
+  'history.reopened': '{count, plural, one {Reopened "{title}"} other {Reopened # todos}}',
+  'history.moved': '{count, plural, one {Moved "{title}"} other {Moved # todos}}',
+
+  'todoPage.heading': 'Todos',
+  'todoPage.newTodo': 'New task',
+  'todoPage.placeholder': 'Add a task',
+  'todoPage.empty': 'No tasks here yet.',
+  'todoPage.noMatch': 'No tasks match the current filters.',
+  'todoPage.subtasksDone': 'subtasks done',
+  'todoPage.edit': 'Edit {title}',
+  'todoPage.delete': 'Delete {title}',
+
+  'queryBar.label': 'Filter tasks',
+  'queryBar.search': 'Search tasks',
+  'queryBar.status': 'Status',
+  'queryBar.filter.all': 'All',
+  'queryBar.filter.active': 'Active',
+  'queryBar.filter.completed': 'Completed',
+  'queryBar.sortBy': 'Sort by',
+  'queryBar.sort.manual': 'Manual order',
+  'queryBar.sort.dueDate': 'Due date',
+  'queryBar.sort.priority': 'Priority',
+  'queryBar.sort.created': 'Date created',
+  'queryBar.reverse': 'Reverse',
+  'queryBar.tags': 'Tags',
+  'queryBar.clear': 'Clear',
+
+  'reorder.instructions':
+    'Press Space to grab the item, the arrow keys to move it, Space again to drop it or Escape to cancel.',
+  'reorder.move': 'Move {label}',
+  'reorder.position': 'position {position} of {total}',
+  'reorder.grabbed': 'Grabbed {label}, {position}.',
+  'reorder.moved': 'Moved {label} to {position}.',
+  'reorder.dropped': 'Dropped {label} at {position}.',
+  'reorder.cancelled': 'Move cancelled. {label} is back at {position}.',
+
+  'subtasks.progress': 'Progress of {title}',
+  'subtasks.count': '{total, plural, =0 {No subtasks} other {{completed} of # subtasks done}}',
+  'subtasks.delete': 'Delete subtask {title}',
+  'subtasks.new': 'New subtask',
+  'subtasks.placeholder': 'Add a subtask',
+
+  'tagInput.label': 'Tags',
+  'tagInput.remove': 'Remove tag {tag}',
+  'tagInput.placeholder': 'Add a tag',
+  'tagInput.suggestions': 'Suggested tags',
+
+  'todoEditor.label': 'Edit {title}',
+  'todoEditor.title': 'Title',
+  'todoEditor.notes': 'Notes',
+  'todoEditor.priority': 'Priority',
+  'todoEditor.dueDate': 'Due date',
+  'todoEditor.repeat': 'Repeat',
+  'todoEditor.reminder': 'Reminder',
+  'todoEditor.subtasks': 'Subtasks',
+
+  'sidebar.heading': 'Lists',
+  'sidebar.newList': 'New list',
+  'sidebar.openTasks': '{count, plural, one {open task} other {open tasks}}',
+  'sidebar.edit': 'Edit {name}',
+  'sidebar.delete': 'Delete {name}',
+  'sidebar.confirmDelete':
+    '{count, plural, =0 {Delete "{name}"?} one {Delete "{name}" and its # task?} other {Delete "{name}" and its # tasks?}}',
+  'sidebar.listName': 'List name',
+  'sidebar.color': 'Color',
+  'sidebar.icon': 'Icon',
+  'sidebar.colors.gray': 'gray',
+  'sidebar.colors.red': 'red',
+  'sidebar.colors.orange': 'orange',
+  'sidebar.colors.amber': 'amber',
+  'sidebar.colors.green': 'green',
+  'sidebar.colors.teal': 'teal',
+  'sidebar.colors.blue': 'blue',
+  'sidebar.colors.indigo': 'indigo',
+  'sidebar.colors.purple': 'purple',
+  'sidebar.colors.pink': 'pink',
+
+  'transfer.exportTitle': 'Export todos',
+  'transfer.importTitle': 'Import todos',
+  'transfer.lists': 'Lists',
+  'transfer.format': 'Format',
+  'transfer.file': 'File',
+  'transfer.skipDuplicates': 'Skip duplicates',
+  'transfer.export': 'Export',
+  'transfer.import': 'Import',
+  'transfer.preview': 'Preview',
+  'transfer.summary':
+    '{todos, plural, one {# todo} other {# todos}} found, ' +
+    '{duplicates, plural, one {# duplicate} other {# duplicates}} and {rejected} rejected.',
+  'transfer.listCount': '{icon} {name}: {count}',
+  'transfer.newListCount': '{icon} {name} (new list): {count}',
+  'transfer.duplicate': 'Duplicate: {reason}',
+  'transfer.more': 'And {count} more',
+  'transfer.formats.json': 'JSON (full backup)',
+  'transfer.formats.csv': 'CSV (spreadsheet)',
+  'transfer.formats.markdown': 'Markdown checklist',
+  'transfer.formats.icalendar': 'iCalendar (VTODO)',
+  'transfer.sources.row': 'Row {number}',
+  'transfer.sources.line': 'Line {number}',
+  'transfer.sources.todo': 'Todo {number}',
+  'transfer.sources.listTodo': 'Todo {number} of "{list}"',
+  'transfer.sources.list': 'List "{name}"',
+  'transfer.duplicates.existing': 'Already in "{list}"',
+  'transfer.duplicates.sameTitle': 'Same title and due date as a todo in "{list}"',
+  'transfer.duplicates.repeated': 'Repeats {source}',
+  'transfer.errors.format': 'Define a valid format: {formats}',
+  'transfer.errors.noLists': 'Define at least one list to export',
+  'transfer.errors.read': 'Could not read "{name}"',
+  'transfer.errors.csvQuote': 'Define a valid CSV file: a quoted cell is not closed',
+  'transfer.errors.csvEmpty': 'Define a valid CSV file: it is empty',
+  'transfer.errors.csvTitle': 'Define a valid CSV file: it needs a "title" column',
+  'transfer.errors.jsonSyntax': 'Define a valid JSON file: it could not be parsed',
+  'transfer.errors.jsonVersion': 'Define a valid JSON file: version {version} is newer than this app supports',
+  'transfer.errors.jsonEmpty': 'Define a valid JSON file: it has no lists or todos',
+  'transfer.errors.icalendarStart': 'Define a valid iCalendar file: it does not start with BEGIN:VCALENDAR',
+  'transfer.errors.icalendarEmpty': 'Define a valid iCalendar file: it has no todos (VTODO)',
+  'transfer.errors.markdownEmpty': 'Define a valid Markdown file: it has no task items (- [ ] Todo)',
+  'transfer.warnings.field': '{error}. Received "{value}", which is ignored',
+  'transfer.warnings.listColor': 'Define a valid list color: {colors}. "{color}" is ignored',
+  'transfer.warnings.parentNotFound': 'Parent "{id}" not found, so it is imported as a top-level todo',
+  'transfer.warnings.parentCycle': 'Its parent is one of its subtasks, so it is imported as a top-level todo',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.groups.general': 'General',
+  'shortcuts.groups.todos': 'Tasks',
+  'shortcuts.newTodo': 'New task',
+  'shortcuts.search': 'Search tasks',
+  'shortcuts.next': 'Next task',
+  'shortcuts.previous': 'Previous task',
+  'shortcuts.toggle': 'Complete or reopen the task',
+  'shortcuts.edit': 'Edit the task',
+  'shortcuts.palette': 'Open the command palette',
+  'shortcuts.help': 'Show the keyboard shortcuts',
+  'shortcuts.hint': 'Shortcuts do not work while typing in a field.',
+
+  'palette.title': 'Command palette',
+  'palette.search': 'Type a command or a list',
+  'palette.empty': 'No commands match "{search}".',
+  'palette.results': '{count, plural, =0 {No commands} one {# command} other {# commands}}',
+  'palette.groups.actions': 'Actions',
+  'palette.groups.pages': 'Pages',
+  'palette.groups.lists': 'Lists',
+  'palette.goTo': 'Go to {name}',
+  'palette.redo': 'Redo',
+  'palette.language': 'Switch to {language}',
+
+  'theme.title': 'Appearance',
+  'theme.editTitle': 'Edit palette',
+  'theme.newTitle': 'New palette',
+  'theme.mode': 'Mode',
+  'theme.modes.light': 'Light',
+  'theme.modes.dark': 'Dark',
+  'theme.modes.system': 'System',
+  'theme.palette': 'Palette',
+  'theme.names.default': 'Default',
+  'theme.names.forest': 'Forest',
+  'theme.names.grape': 'Grape',
+  'theme.editButton': 'Edit',
+  'theme.deleteButton': 'Delete',
+  'theme.edit': 'Edit {name}',
+  'theme.delete': 'Delete {name}',
+  'theme.confirmDelete': 'Delete the palette "{name}"?',
+  'theme.new': 'New palette',
+  'theme.done': 'Done',
+  'theme.name': 'Name',
+  'theme.schemes.light': 'Light colors',
+  'theme.schemes.dark': 'Dark colors',
+  'theme.tokens.background': 'Background',
+  'theme.tokens.surface': 'Surface',
+  'theme.tokens.text': 'Text',
+  'theme.tokens.muted': 'Secondary text',
+  'theme.tokens.border': 'Border',
+  'theme.tokens.accent': 'Accent',
+  'theme.tokens.accentText': 'Text on accent',
+});
@@ -0,0 +1,284 @@
+/**
+ * Brazilian Portuguese messages. See I18n for the message syntax.
+ *
+ * @type {Object<string, string>}
+ */
+export const ptBR = Object.freeze({
+  'language.name': 'Português (Brasil)',
+
+  'common.add': 'Adicionar',
+  'common.cancel': 'Cancelar',
+  'common.close': 'Fechar',
+  'common.delete': 'Excluir',
+  'common.dismiss': 'Fechar',
+  'common.save': 'Salvar',
+  'common.undo': 'Desfazer',
+
+  'app.name': 'Todo Vanilla',
+  'app.pageTitle': '{page} · Todo Vanilla',
+  'app.actions.import': 'Importar',
+  'app.actions.export': 'Exportar',
+  'app.actions.theme': 'Tema',
+  'app.imported':
+    '{imported, plural, one {# tarefa importada} other {# tarefas importadas}}' +
+    '{skipped, plural, =0 {} one {, # duplicada ignorada} other {, # duplicadas ignoradas}}',
+  'app.reminder': 'Lembrete: {title}',
+  'app.enableNotifications': 'Ativar notificações',
+  'app.updateAvailable': 'Uma nova versão do aplicativo está disponível.',
+  'app.reload': 'Recarregar',
+
+  'nav.today': 'Hoje',
+  'nav.completed': 'Concluídas',
+
+  'routes.today.empty': 'Nada para hoje.',
+  'routes.completed.empty': 'Nenhuma tarefa concluída.',
+  'routes.list.empty': 'Nenhuma tarefa aqui ainda.',
+
+  'header.menu': 'Abrir o menu principal',
+  'header.language': 'Idioma',
+
+  'layout.aside': 'Barra lateral',
+
+  'validation.valueMissing': 'Preencha este campo.',
+  'validation.unchecked': 'Marque esta caixa para continuar.',
+  'validation.tooShort': '{min, plural, one {Use pelo menos # caractere.} other {Use pelo menos # caracteres.}}',
+  'validation.tooLong': '{max, plural, one {Use no máximo # caractere.} other {Use no máximo # caracteres.}}',
+  'validation.patternMismatch': 'Use o formato solicitado.',
+  'validation.rangeUnderflow': 'Escolha {min} ou depois.',
+  'validation.rangeOverflow': 'Escolha {max} ou antes.',
+  'validation.invalid': 'Informe um valor válido.',
+
+  'errors.unexpected': 'Algo deu errado. Tente novamente.',
+  'errors.todo.title': 'Informe um título válido para a tarefa',
+  'errors.todo.dueDate': 'Informe um prazo válido (AAAA-MM-DD)',
+  'errors.todo.remindAt': 'Informe uma data válida para o lembrete',
+  'errors.todo.tags': 'Informe etiquetas válidas',
+  'errors.todo.priority': 'Informe uma prioridade válida: {priorities}',
+  'errors.todo.notFound': 'Tarefa "{id}" não encontrada',
+  'errors.todo.parentCycle': 'Uma tarefa não pode ser subtarefa de si mesma nem das próprias subtarefas',
+  'errors.recurrence.freq': 'Informe uma regra de repetição válida (FREQ deve ser {frequencies}). Recebido "{rule}"',
+  'errors.recurrence.interval':
+    'Informe uma regra de repetição válida (INTERVAL deve ser um inteiro positivo). Recebido "{rule}"',
+  'errors.recurrence.byDay': 'Informe uma regra de repetição válida (BYDAY deve listar {days}). Recebido "{rule}"',
+  'errors.recurrence.byMonthDay':
+    'Informe uma regra de repetição válida (BYMONTHDAY deve ser um dia de 1 a 31, ou -1). Recebido "{rule}"',
+  'errors.recurrence.until':
+    'Informe uma regra de repetição válida (UNTIL deve ser uma data como 20241231). Recebido "{rule}"',
+  'errors.recurrence.unsupported': 'Informe uma regra de repetição válida ({part} não é suportado). Recebido "{rule}"',
+  'errors.list.name': 'Informe um nome válido para a lista',
+  'errors.list.color': 'Informe uma cor válida para a lista: {colors}',
+  'errors.list.icon': 'Informe um ícone válido para a lista',
+  'errors.list.notFound': 'Lista "{id}" não encontrada',
+  'errors.list.last': 'Mantenha pelo menos uma lista',
+  'errors.theme.name': 'Informe um nome válido para a paleta (de 1 a {max} caracteres)',
+  'errors.theme.builtIn': 'As paletas padrão não podem ser alteradas',
+  'errors.theme.lightColor': 'Informe uma cor clara válida para "{token}" (#rrggbb). Recebido "{value}"',
+  'errors.theme.darkColor': 'Informe uma cor escura válida para "{token}" (#rrggbb). Recebido "{value}"',
+  'errors.theme.notFound': 'Informe uma paleta válida. Recebido "{id}"',
+
+  'notFound.title': 'Página não encontrada',
+  'notFound.text': 'Não há nada em {path}. Talvez tenha sido movido ou excluído.',
+  'notFound.home': 'Voltar para as suas tarefas',
+
+  'priority.high': 'Alta',
+  'priority.medium': 'Média',
+  'priority.low': 'Baixa',
+  'priority.none': 'Nenhuma',
+  'priority.suffix': 'prioridade',
+
+  'due.overdue': 'Atrasada · {date}',
+  'due.reminder': 'Prazo: {date}',
+
+  'recurrence.daily': '{interval, plural, one {Todo dia} other {A cada # dias}}',
+  'recurrence.weekly': '{interval, plural, one {Toda semana} other {A cada # semanas}}',
+  'recurrence.monthly': '{interval, plural, one {Todo mês} other {A cada # meses}}',
+  'recurrence.yearly': '{interval, plural, one {Todo ano} other {A cada # anos}}',
+  'recurrence.weekdays': 'Todo dia útil',
+  'recurrence.onDays': '{rule} em {days}',
+  'recurrence.onDay': '{rule} no dia {day}',
+  'recurrence.onLastDay': '{rule} no último dia',
+  'recurrence.until': '{rule} até {date}',
+  'recurrence.none': 'Não se repete',
+
+  'history.added': '{count, plural, one {"{title}" adicionada} other {# tarefas adicionadas}}',
+  'history.deleted': '{count, plural, one {"{title}" excluída} other {# tarefas excluídas}}',
+  'history.edited': '{count, plural, one {"{title}" editada} other {# tarefas editadas}}',
+  'history.completed': '{count, plural, one {"{title}" concluída} other {# tarefas concluídas}}',
+  'history.reopened': '{count, plural, one {"{title}" reaberta} other {# tarefas reabertas}}',
+  'history.moved': '{count, plural, one {"{title}" movida} other {# tarefas movidas}}',
+
+  'todoPage.heading': 'Tarefas',
+  'todoPage.newTodo': 'Nova tarefa',
+  'todoPage.placeholder': 'Adicionar uma tarefa',
+  'todoPage.empty': 'Nenhuma tarefa aqui ainda.',
+  'todoPage.noMatch': 'Nenhuma tarefa corresponde aos filtros.',
+  'todoPage.subtasksDone': 'subtarefas concluídas',
+  'todoPage.edit': 'Editar {title}',
+  'todoPage.delete': 'Excluir {title}',
+
+  'queryBar.label': 'Filtrar tarefas',
+  'queryBar.search': 'Buscar tarefas',
+  'queryBar.status': 'Situação',
+  'queryBar.filter.all': 'Todas',
+  'queryBar.filter.active': 'Abertas',
+  'queryBar.filter.completed': 'Concluídas',
+  'queryBar.sortBy': 'Ordenar por',
+  'queryBar.sort.manual': 'Ordem manual',
+  'queryBar.sort.dueDate': 'Prazo',
+  'queryBar.sort.priority': 'Prioridade',
+  'queryBar.sort.created': 'Data de criação',
+  'queryBar.reverse': 'Inverter',
+  'queryBar.tags': 'Etiquetas',
+  'queryBar.clear': 'Limpar',
+
+  'reorder.instructions':
+    'Pressione Espaço para pegar o item, as setas para movê-lo, Espaço de novo para soltá-lo ou Esc para cancelar.',
+  'reorder.move': 'Mover {label}',
+  'reorder.position': 'posição {position} de {total}',
+  'reorder.grabbed': 'Você pegou {label}, {position}.',
+  'reorder.moved': 'Você moveu {label} para a {position}.',
+  'reorder.dropped': 'Você soltou {label} na {position}.',
+  'reorder.cancelled': 'Movimento cancelado. {label} voltou para a {position}.',
+
+  'subtasks.progress': 'Progresso de {title}',
+  'subtasks.count':
+    '{total, plural, =0 {Nenhuma subtarefa} one {{completed} de # subtarefa concluída} ' +
+    'other {{completed} de # subtarefas concluídas}}',
+  'subtasks.delete': 'Excluir a subtarefa {title}',
+  'subtasks.new': 'Nova subtarefa',
+  'subtasks.placeholder': 'Adicionar uma subtarefa',
+
+  'tagInput.label': 'Etiquetas',
+  'tagInput.remove': 'Remover a etiqueta {tag}',
+  'tagInput.placeholder': 'Adicionar uma etiqueta',
+  'tagInput.suggestions': 'Etiquetas sugeridas',
+
+  'todoEditor.label': 'Editar {title}',
+  'todoEditor.title': 'Título',
+  'todoEditor.notes': 'Anotações',
+  'todoEditor.priority': 'Prioridade',
+  'todoEditor.dueDate': 'Prazo',
+  'todoEditor.repeat': 'Repetir',
+  'todoEditor.reminder': 'Lembrete',
+  'todoEditor.subtasks': 'Subtarefas',
+
+  'sidebar.heading': 'Listas',
+  'sidebar.newList': 'Nova lista',
+  'sidebar.openTasks': '{count, plural, one {tarefa aberta} other {tarefas abertas}}',
+  'sidebar.edit': 'Editar {name}',
+  'sidebar.delete': 'Excluir {name}',
+  'sidebar.confirmDelete':
+    '{count, plural, =0 {Excluir "{name}"?} one {Excluir "{name}" e a sua # tarefa?} ' +
+    'other {Excluir "{name}" e as suas # tarefas?}}',
+  'sidebar.listName': 'Nome da lista',
+  'sidebar.color': 'Cor',
+  'sidebar.icon': 'Ícone',
+  'sidebar.colors.gray': 'cinza',
+  'sidebar.colors.red': 'vermelho',
+  'sidebar.colors.orange': 'laranja',
+  'sidebar.colors.amber': 'âmbar',
+  'sidebar.colors.green': 'verde',
+  'sidebar.colors.teal': 'verde-azulado',
+  'sidebar.colors.blue': 'azul',
+  'sidebar.colors.indigo': 'anil',
+  'sidebar.colors.purple': 'roxo',
+  'sidebar.colors.pink': 'rosa',
+
+  'transfer.exportTitle': 'Exportar tarefas',
+  'transfer.importTitle': 'Importar tarefas',
+  'transfer.lists': 'Listas',
+  'transfer.format': 'Formato',
+  'transfer.file': 'Arquivo',
+  'transfer.skipDuplicates': 'Ignorar duplicadas',
+  'transfer.export': 'Exportar',
+  'transfer.import': 'Importar',
+  'transfer.preview': 'Prévia',
+  'transfer.summary':
+    '{todos, plural, one {# tarefa encontrada} other {# tarefas encontradas}}, ' +
+    '{duplicates, plural, one {# duplicada} other {# duplicadas}} e {rejected} {rejected, plural, one {rejeitada} other {rejeitadas}}.',
+  'transfer.listCount': '{icon} {name}: {count}',
+  'transfer.newListCount': '{icon} {name} (nova lista): {count}',
+  'transfer.duplicate': 'Duplicada: {reason}',
+  'transfer.more': 'E mais {count}',
+  'transfer.formats.json': 'JSON (backup completo)',
+  'transfer.formats.csv': 'CSV (planilha)',
+  'transfer.formats.markdown': 'Checklist em Markdown',
+  'transfer.formats.icalendar': 'iCalendar (VTODO)',
+  'transfer.sources.row': 'Linha {number}',
+  'transfer.sources.line': 'Linha {number}',
+  'transfer.sources.todo': 'Tarefa {number}',
+  'transfer.sources.listTodo': 'Tarefa {number} de "{list}"',
+  'transfer.sources.list': 'Lista "{name}"',
+  'transfer.duplicates.existing': 'Já está em "{list}"',
+  'transfer.duplicates.sameTitle': 'Mesmo título e prazo de uma tarefa em "{list}"',
+  'transfer.duplicates.repeated': 'Repete {source}',
+  'transfer.errors.format': 'Informe um formato válido: {formats}',
+  'transfer.errors.noLists': 'Escolha pelo menos uma lista para exportar',
+  'transfer.errors.read': 'Não foi possível ler "{name}"',
+  'transfer.errors.csvQuote': 'Arquivo CSV inválido: uma célula entre aspas não foi fechada',
+  'transfer.errors.csvEmpty': 'Arquivo CSV inválido: ele está vazio',
+  'transfer.errors.csvTitle': 'Arquivo CSV inválido: falta a coluna "title"',
+  'transfer.errors.jsonSyntax': 'Arquivo JSON inválido: não foi possível interpretá-lo',
+  'transfer.errors.jsonVersion': 'Arquivo JSON inválido: a versão {version} é mais nova do que este app suporta',
+  'transfer.errors.jsonEmpty': 'Arquivo JSON inválido: ele não tem listas nem tarefas',
+  'transfer.errors.icalendarStart': 'Arquivo iCalendar inválido: ele não começa com BEGIN:VCALENDAR',
+  'transfer.errors.icalendarEmpty': 'Arquivo iCalendar inválido: ele não tem tarefas (VTODO)',
+  'transfer.errors.markdownEmpty': 'Arquivo Markdown inválido: ele não tem itens de tarefa (- [ ] Tarefa)',
+  'transfer.warnings.field': '{error}. Recebido "{value}", que foi ignorado',
+  'transfer.warnings.listColor': 'Informe uma cor válida para a lista: {colors}. "{color}" foi ignorada',
+  'transfer.warnings.parentNotFound': 'Tarefa mãe "{id}" não encontrada, então ela é importada no nível principal',
+  'transfer.warnings.parentCycle': 'A tarefa mãe é uma das suas subtarefas, então ela é importada no nível principal',
+
+  'shortcuts.title': 'Atalhos de teclado',
+  'shortcuts.groups.general': 'Geral',
+  'shortcuts.groups.todos': 'Tarefas',
+  'shortcuts.newTodo': 'Nova tarefa',
+  'shortcuts.search': 'Buscar tarefas',
+  'shortcuts.next': 'Próxima tarefa',
+  'shortcuts.previous': 'Tarefa anterior',
+  'shortcuts.toggle': 'Concluir ou reabrir a tarefa',
+  'shortcuts.edit': 'Editar a tarefa',
+  'shortcuts.palette': 'Abrir a paleta de comandos',
+  'shortcuts.help': 'Mostrar os atalhos de teclado',
+  'shortcuts.hint': 'Os atalhos não funcionam enquanto você digita em um campo.',
+
+  'palette.title': 'Paleta de comandos',
+  'palette.search': 'Digite um comando ou uma lista',
+  'palette.empty': 'Nenhum comando corresponde a "{search}".',
+  'palette.results': '{count, plural, =0 {Nenhum comando} one {# comando} other {# comandos}}',
+  'palette.groups.actions': 'Ações',
+  'palette.groups.pages': 'Páginas',
+  'palette.groups.lists': 'Listas',
+  'palette.goTo': 'Ir para {name}',
+  'palette.redo': 'Refazer',
+  'palette.language': 'Mudar para {language}',
+
+  'theme.title': 'Aparência',
+  'theme.editTitle': 'Editar paleta',
+  'theme.newTitle': 'Nova paleta',
+  'theme.mode': 'Modo',
+  'theme.modes.light': 'Claro',
+  'theme.modes.dark': 'Escuro',
+  'theme.modes.system': 'Sistema',
+  'theme.palette': 'Paleta',
+  'theme.names.default': 'Padrão',
+  'theme.names.forest': 'Floresta',
+  'theme.names.grape': 'Uva',
+  'theme.editButton': 'Editar',
+  'theme.deleteButton': 'Excluir',
+  'theme.edit': 'Editar {name}',
+  'theme.delete': 'Excluir {name}',
+  'theme.confirmDelete': 'Excluir a paleta "{name}"?',
+  'theme.new': 'Nova paleta',
+  'theme.done': 'Concluir',
+  'theme.name': 'Nome',
+  'theme.schemes.light': 'Cores claras',
+  'theme.schemes.dark': 'Cores escuras',
+  'theme.tokens.background': 'Fundo',
+  'theme.tokens.surface': 'Superfície',
+  'theme.tokens.text': 'Texto',
+  'theme.tokens.muted': 'Texto secundário',
+  'theme.tokens.border': 'Borda',
+  'theme.tokens.accent': 'Destaque',
+  'theme.tokens.accentText': 'Texto sobre o destaque',
+});
@@ -0,0 +1,414 @@
+import { en } from './catalogs/en.js';
+import { ptBR } from './catalogs/ptBR.js';
+
+/**
+ * Translation of the texts of the app, and formatting of numbers and dates
+ * for the language of the user.
+ *
+ * Texts live in message catalogs, one per locale, which map a key such as
+ * `todoPage.empty` to a message. Messages use a subset of the ICU
+ * MessageFormat syntax:
+ *
+ * - `{name}` inserts a parameter; numbers and dates are formatted for the locale
+ * - `{count, plural, one {# tarefa} other {# tarefas}}` picks a branch with
+ *   `Intl.PluralRules` (`zero`, `one`, `two`, `few`, `many`, `other`, or an
+ *   exact `=0`), where `#` is the formatted count
+ * - `{status, select, open {...} other {...}}` picks a branch by value
+ *
+ * Keys missing from a catalog fall back to the English one, then to the key
+ * itself. The locale is restored from `storage` on start, or else taken from
+ * the languages of the browser, or else Brazilian Portuguese, and set as the
+ * `lang` of the document.
+ *
+ * Components get the shared instance through `BaseComponent#t`, and render
+ * again when the locale changes.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * i18n.start({ storage: localStorage });
+ * i18n.setLocale('pt-BR');
+ * t('subtasks.count', { completed: 1, total: 3 }); // '1 de 3 subtarefas concluídas'
+ * i18n.formatDate(new Date(), { dateStyle: 'long' }); // '3 de junho de 2024'
+ */
+
+/**
+ * Names of the events dispatched by I18n.
+ * @readonly
+ * @enum {string}
+ */
+export const I18N_EVENTS = Object.freeze({
+  CHANGE: 'i18n:change',
+});
+
+/**
+ * The locale of the app when none of the languages of the user has a catalog, like the `lang` of the page.
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'pt-BR';
+
+/**
+ * The locale whose catalog has every message, where missing messages are taken from.
+ * @type {string}
+ */
+export const FALLBACK_LOCALE = 'en';
+
+const STORAGE_KEY = 'locale';
+
+/**
+ * Parses the text of a message, up to the `}` that closes the branch it is in.
+ * @param {string} text - The message.
+ * @param {number} start - Where to start.
+ * @returns {[Array<string|Object>, number]} The parts of the message, and where parsing stopped.
+ */
+function parseParts(text, start) {
+  const parts = [];
+  let literal = '';
+  let index = start;
+
+  while (index < text.length && text[index] !== '}') {
+    if (text[index] === '{') {
+      const [argument, end] = parseArgument(text, index + 1);
+      parts.push(literal, argument);
+      literal = '';
+      index = end;
+    } else if (text[index] === '#') {
+      parts.push(literal, { type: 'count' });
+      literal = '';
+      index += 1;
+    } else {
+      literal += text[index];
+      index += 1;
+    }
+  }
+  parts.push(literal);
+
+  return [parts.filter((part) => part !== ''), index];
+}
+
+/**
+ * Parses an argument, after its opening `{`.
+ * @param {string} text - The message.
+ * @param {number} start - Where the argument starts.
+ * @returns {[Object, number]} The argument, and the position after its closing `}`.
+ * @throws Will throw an error if the argument is not closed or has an unknown type.
+ */
+function parseArgument(text, start) {
+  const header = /^\s*([\w.]+)\s*(?:,\s*(plural|select)\s*,)?\s*/.exec(text.slice(start));
+  if (!header) {
+    throw new Error(`Define a valid message argument at position ${start}: ${text}`);
+  }
+
+  const [match, name, type = 'argument'] = header;
+  let index = start + match.length;
+  if (type === 'argument') {
+    if (text[index] !== '}') {
+      throw new Error(`Define a valid message argument at position ${start}: ${text}`);
+    }
+    return [{ type, name }, index + 1];
+  }
+
+  const options = {};
+  while (text[index] !== '}') {
+    const option = /^\s*(=\d+|[\w-]+)\s*\{/.exec(text.slice(index));
+    if (!option) {
+      throw new Error(`Define a valid ${type} option at position ${index}: ${text}`);
+    }
+
+    const [parts, end] = parseParts(text, index + option[0].length);
+    if (text[end] !== '}') {
+      throw new Error(`Define a valid message: a ${type} option is not closed: ${text}`);
+    }
+    options[option[1]] = parts;
+    index = end + 1;
+    index += /^\s*/.exec(text.slice(index))[0].length;
+    if (index >= text.length) {
+      throw new Error(`Define a valid message: the ${type} of "${name}" is not closed: ${text}`);
+    }
+  }
+  if (!options.other) {
+    throw new Error(`Define a valid message: the ${type} of "${name}" needs an "other" option: ${text}`);
+  }
+
+  return [{ type, name, options }, index + 1];
+}
+
+/**
+ * Parses a message into its parts.
+ * @param {string} message - The message.
+ * @returns {Array<string|Object>} The parts: literal text and arguments.
+ * @throws Will throw an error if the message is not valid.
+ */
+export function parseMessage(message) {
+  const [parts, end] = parseParts(String(message), 0);
+  if (end < message.length) {
+    throw new Error(`Define a valid message: unexpected "}" at position ${end}: ${message}`);
+  }
+
+  return parts;
+}
+
+export class I18n extends EventTarget {
+  /**
+   * Creates an instance of I18n.
+   * @param {Object} options - I18n options.
+   * @param {Object<string, Object<string, string>>} options.catalogs - Messages by locale and key.
+   * Each catalog names its language in `language.name`.
+   * @param {string} [options.locale=DEFAULT_LOCALE] - The initial locale, also kept on start when none of the
+   * languages of the user has a catalog.
+   * @param {string} [options.fallbackLocale=FALLBACK_LOCALE] - Where missing messages are taken from.
+   * @param {HTMLElement} [options.root=document.documentElement] - Where the `lang` attribute is set.
+   * @throws Will throw an error if there is no catalog for the fallback locale.
+   */
+  constructor({
+    catalogs,
+    locale = DEFAULT_LOCALE,
+    fallbackLocale = FALLBACK_LOCALE,
+    root = globalThis.document?.documentElement,
+  } = {}) {
+    super();
+    if (!catalogs || !catalogs[fallbackLocale]) {
+      throw new Error(`Define a valid message catalog for "${fallbackLocale}"`);
+    }
+
+    this._catalogs = catalogs;
+    this._fallbackLocale = fallbackLocale;
+    this._root = root;
+    this._storage = null;
+    this._parsed = new Map();
+    this._locale = this.resolveLocale(locale) || fallbackLocale;
+    this._defaultLocale = this._locale;
+  }
+
+  /**
+   * The current locale, e.g. `pt-BR`.
+   * @type {string}
+   */
+  get locale() {
+    return this._locale;
+  }
+
+  /**
+   * Gets the locales with a catalog.
+   * @returns {{ code: string, name: string }[]} The locales, with the name of each language in that language.
+   */
+  getLocales() {
+    return Object.entries(this._catalogs).map(([code, catalog]) => ({ code, name: catalog['language.name'] || code }));
+  }
+
+  /**
+   * Finds the catalog that best matches a language tag: the same tag, or else the same language.
+   * @param {string} tag - A language tag, e.g. `pt`, `pt-PT` or `en-US`.
+   * @returns {string|null} The locale of the catalog, or null if none matches.
+   * @example
+   * i18n.resolveLocale('pt-PT'); // 'pt-BR'
+   */
+  resolveLocale(tag) {
+    if (typeof tag !== 'string' || !tag) {
+      return null;
+    }
+
+    const codes = Object.keys(this._catalogs);
+    const lower = tag.toLowerCase();
+    const language = lower.split('-')[0];
+
+    return (
+      codes.find((code) => code.toLowerCase() === lower) ||
+      codes.find((code) => code.toLowerCase().split('-')[0] === language) ||
+      null
+    );
+  }
+
+  /**
+   * Restores the saved locale, or picks the first of the languages of the user that has a catalog, or else keeps
+   * the initial one.
+   * @param {Object} [options] - Start options.
+   * @param {Storage} [options.storage] - Remembers the locale chosen by the user, e.g. `localStorage`.
+   * @param {string[]} [options.languages=navigator.languages] - The languages of the user, preferred first.
+   */
+  start({ storage = null, languages = globalThis.navigator?.languages || [] } = {}) {
+    this._storage = storage;
+
+    let saved = null;
+    try {
+      saved = storage?.getItem(STORAGE_KEY) || null;
+    } catch {
+      saved = null;
+    }
+
+    const locale =
+      this.resolveLocale(saved) ||
+      languages.map((language) => this.resolveLocale(language)).find(Boolean) ||
+      this._defaultLocale;
+    this._apply(locale);
+  }
+
+  /**
+   * Changes the locale and saves it.
+   * @param {string} tag - The locale, or a language tag resolved with resolveLocale.
+   * @throws Will throw an error if no catalog matches.
+   */
+  setLocale(tag) {
+    const locale = this.resolveLocale(tag);
+    if (!locale) {
+      throw new Error(`Define a valid locale: ${Object.keys(this._catalogs).join(', ')}`);
+    }
+
+    try {
+      this._storage?.setItem(STORAGE_KEY, locale);
+    } catch (error) {
+      console.error('Could not save the locale.', error);
+    }
+    this._apply(locale);
+  }
+
+  /**
+   * Translates a message.
+   * @param {string} key - The key of the message.
+   * @param {Object<string, *>} [params={}] - Values for the arguments of the message.
+   * @returns {string} The message in the current locale, the English one if it is missing, or else the key.
+   * @example
+   * i18n.t('sidebar.confirmDelete', { name: 'Work', count: 2 }); // 'Delete "Work" and its 2 tasks?'
+   */
+  t(key, params = {}) {
+    const message = this._catalogs[this._locale]?.[key] ?? this._catalogs[this._fallbackLocale][key];
+    if (message === undefined) {
+      return key;
+    }
+
+    if (!this._parsed.has(message)) {
+      this._parsed.set(message, parseMessage(message));
+    }
+    return this._format(this._parsed.get(message), params, null);
+  }
+
+  /**
+   * Formats a number for the current locale.
+   * @param {number} value - The number.
+   * @param {Intl.NumberFormatOptions} [options] - Format options.
+   * @returns {string} The formatted number.
+   */
+  formatNumber(value, options) {
+    return new Intl.NumberFormat(this._locale, options).format(value);
+  }
+
+  /**
+   * Formats a date for the current locale.
+   * @param {Date|string|number} value - The date, or anything `new Date()` accepts.
+   * @param {Intl.DateTimeFormatOptions} [options={ dateStyle: 'medium' }] - Format options.
+   * @returns {string} The formatted date.
+   * @example
+   * i18n.formatDate('2024-06-03T12:00:00Z', { weekday: 'long' }); // 'Monday'
+   */
+  formatDate(value, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(this._locale, options).format(value instanceof Date ? value : new Date(value));
+  }
+
+  /**
+   * Subscribes to an I18n event.
+   * @param {string} type - The event name (one of I18N_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail, which holds the `locale`.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _apply(locale) {
+    this._root?.setAttribute('lang', locale);
+    if (locale === this._locale) {
+      return;
+    }
+
+    this._locale = locale;
+    this.dispatchEvent(new CustomEvent(I18N_EVENTS.CHANGE, { detail: { locale } }));
+  }
+
+  _format(parts, params, count) {
+    return parts
+      .map((part) => {
+        if (typeof part === 'string') {
+          return part;
+        }
+        if (part.type === 'count') {
+          return count === null ? '#' : this.formatNumber(count);
+        }
+
+        const value = params[part.name];
+        if (part.type === 'plural') {
+          const number = Number(value);
+          const branch =
+            part.options[`=${number}`] ||
+            part.options[new Intl.PluralRules(this._locale).select(number)] ||
+            part.options.other;
+          return this._format(branch, params, number);
+        }
+        if (part.type === 'select') {
+          return this._format(part.options[String(value)] || part.options.other, params, count);
+        }
+
+        if (value === undefined || value === null) {
+          return `{${part.name}}`;
+        }
+        if (typeof value === 'number') {
+          return this.formatNumber(value);
+        }
+        return value instanceof Date ? this.formatDate(value) : String(value);
+      })
+      .join('');
+  }
+}
+
+/**
+ * The I18n of the app, with every catalog.
+ * @type {I18n}
+ */
+export const i18n = new I18n({ catalogs: { en, 'pt-BR': ptBR } });
+
+/**
+ * Translates a message with the I18n of the app, see I18n#t.
+ * @param {string} key - The key of the message.
+ * @param {Object<string, *>} [params] - Values for the arguments of the message.
+ * @returns {string} The message.
+ */
+export const t = (key, params) => i18n.t(key, params);
+
+// Writes the messages of errors in English, whatever the locale of the app.
+const english = new I18n({ catalogs: { [FALLBACK_LOCALE]: en }, locale: FALLBACK_LOCALE, root: null });
+
+/**
+ * Error meant for the user. It carries the key and the parameters of its message, so it can be shown in any
+ * locale with translateError, while `message` holds the English text for logs.
+ *
+ * @example
+ * throw new LocalizedError('errors.list.name');
+ */
+export class LocalizedError extends Error {
+  /**
+   * Creates an instance of LocalizedError.
+   * @param {string} key - The key of the message.
+   * @param {Object<string, *>} [params={}] - Values for the arguments of the message.
+   */
+  constructor(key, params = {}) {
+    super(english.t(key, params));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Gets the message of an error in the current locale. Other errors than LocalizedError are not meant for the
+ * user, so they get a generic message.
+ * @param {*} error - The error.
+ * @returns {string} The message.
+ * @example
+ * this.error = translateError(error);
+ */
+export const translateError = (error) =>
+  error instanceof LocalizedError ? t(error.key, error.params) : t('errors.unexpected');
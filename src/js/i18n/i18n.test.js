@@ -0,0 +1,220 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { I18N_EVENTS, I18n, LocalizedError, i18n, parseMessage, translateError } from './i18n';
+import { en } from './catalogs/en';
+import { ptBR } from './catalogs/ptBR';
+
+describe('Test suite for the I18n class', () => {
+  let root;
+  let storage;
+  let translator;
+
+  const catalogs = {
+    en: {
+      'language.name': 'English',
+      'todos.open': '{count, plural, =0 {No open todos} one {# open todo} other {# open todos}}',
+      'todos.greeting': 'Hello, {name}!',
+      'todos.status': '{status, select, done {Done} other {Open}}',
+      'todos.only': 'Only in English',
+    },
+    'pt-BR': {
+      'language.name': 'Português (Brasil)',
+      'todos.open': '{count, plural, =0 {Nenhuma tarefa aberta} one {# tarefa} other {# tarefas}}',
+      'todos.greeting': 'Olá, {name}!',
+      'todos.status': '{status, select, done {Concluída} other {Aberta}}',
+    },
+  };
+
+  beforeEach(() => {
+    root = document.createElement('html');
+    const items = new Map();
+    storage = {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+    };
+    translator = new I18n({ catalogs, root, locale: 'en' });
+  });
+
+  it('Should require a catalog for the fallback locale', () => {
+    expect(() => new I18n({ catalogs: { 'pt-BR': {} } })).toThrow('Define a valid message catalog for "en"');
+  });
+
+  it('Should insert parameters', () => {
+    expect(translator.t('todos.greeting', { name: 'Ana' })).toBe('Hello, Ana!');
+    expect(translator.t('todos.greeting')).toBe('Hello, {name}!');
+  });
+
+  it('Should pick plural branches with the rules of the locale', () => {
+    expect(translator.t('todos.open', { count: 0 })).toBe('No open todos');
+    expect(translator.t('todos.open', { count: 1 })).toBe('1 open todo');
+    expect(translator.t('todos.open', { count: 1200 })).toBe('1,200 open todos');
+
+    translator.setLocale('pt-BR');
+
+    expect(translator.t('todos.open', { count: 1 })).toBe('1 tarefa');
+    expect(translator.t('todos.open', { count: 3 })).toBe('3 tarefas');
+    expect(translator.t('todos.open', { count: 1200 })).toBe('1.200 tarefas');
+  });
+
+  it('Should pick select branches', () => {
+    expect(translator.t('todos.status', { status: 'done' })).toBe('Done');
+    expect(translator.t('todos.status', { status: 'archived' })).toBe('Open');
+  });
+
+  it('Should fall back to English, then to the key', () => {
+    translator.setLocale('pt-BR');
+
+    expect(translator.t('todos.only')).toBe('Only in English');
+    expect(translator.t('todos.missing')).toBe('todos.missing');
+  });
+
+  it('Should match language tags to catalogs', () => {
+    expect(translator.resolveLocale('pt-br')).toBe('pt-BR');
+    expect(translator.resolveLocale('pt-PT')).toBe('pt-BR');
+    expect(translator.resolveLocale('en-GB')).toBe('en');
+    expect(translator.resolveLocale('fr')).toBeNull();
+  });
+
+  it('Should list the locales with the name of their language', () => {
+    expect(translator.getLocales()).toEqual([
+      { code: 'en', name: 'English' },
+      { code: 'pt-BR', name: 'Português (Brasil)' },
+    ]);
+  });
+
+  describe('Should pick the locale on start', () => {
+    it('From the languages of the browser', () => {
+      translator.start({ storage, languages: ['fr-FR', 'pt-PT', 'en'] });
+
+      expect(translator.locale).toBe('pt-BR');
+      expect(root.getAttribute('lang')).toBe('pt-BR');
+    });
+
+    it('Keeping the initial one when no language has a catalog', () => {
+      translator.start({ storage, languages: ['fr-FR'] });
+
+      expect(translator.locale).toBe('en');
+      expect(root.getAttribute('lang')).toBe('en');
+    });
+
+    it('Falling back to Brazilian Portuguese by default', () => {
+      const translatorByDefault = new I18n({ catalogs, root });
+      translatorByDefault.start({ storage, languages: ['fr-FR'] });
+
+      expect(translatorByDefault.locale).toBe('pt-BR');
+      expect(root.getAttribute('lang')).toBe('pt-BR');
+      expect(translatorByDefault.t('todos.only')).toBe('Only in English');
+    });
+
+    it('Restoring the one chosen by the user', () => {
+      translator.start({ storage });
+      translator.setLocale('pt-BR');
+
+      const reloaded = new I18n({ catalogs, root });
+      reloaded.start({ storage, languages: ['en-US'] });
+
+      expect(reloaded.locale).toBe('pt-BR');
+    });
+  });
+
+  it('Should dispatch a change event when the locale changes', () => {
+    const onChange = vi.fn();
+    translator.subscribe(I18N_EVENTS.CHANGE, onChange);
+
+    translator.setLocale('pt-BR');
+    translator.setLocale('pt-BR');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ locale: 'pt-BR' });
+  });
+
+  it('Should reject unknown locales', () => {
+    expect(() => translator.setLocale('fr')).toThrow('Define a valid locale: en, pt-BR');
+  });
+
+  it('Should format dates and numbers for the locale', () => {
+    const date = '2024-06-03T12:00:00Z';
+
+    expect(translator.formatDate(date, { dateStyle: 'long', timeZone: 'UTC' })).toBe('June 3, 2024');
+    translator.setLocale('pt-BR');
+    expect(translator.formatDate(date, { dateStyle: 'long', timeZone: 'UTC' })).toBe('3 de junho de 2024');
+    expect(translator.formatNumber(1234.5)).toBe('1.234,5');
+  });
+});
+
+describe('Test suite for the parseMessage function', () => {
+  it('Should split a message into text and arguments', () => {
+    expect(parseMessage('Hello, {name}!')).toEqual(['Hello, ', { type: 'argument', name: 'name' }, '!']);
+  });
+
+  it('Should parse nested plural options', () => {
+    expect(parseMessage('{count, plural, =0 {None} other {# of {total}}}')).toEqual([
+      {
+        type: 'plural',
+        name: 'count',
+        options: {
+          '=0': ['None'],
+          other: [{ type: 'count' }, ' of ', { type: 'argument', name: 'total' }],
+        },
+      },
+    ]);
+  });
+
+  it.each([
+    ['Hello, {name', 'Define a valid message argument'],
+    ['{count, plural, one {# todo}}', 'needs an "other" option'],
+    ['{count, plural, one {# todo} other {# todos}', 'is not closed'],
+    ['Hello}', 'unexpected "}"'],
+  ])('Should reject %s', (message, error) => {
+    expect(() => parseMessage(message)).toThrow(error);
+  });
+});
+
+describe('Test suite for the message catalogs', () => {
+  it('Should translate every English message to Brazilian Portuguese', () => {
+    expect(Object.keys(ptBR).sort()).toEqual(Object.keys(en).sort());
+  });
+
+  it.each([
+    ['en', en],
+    ['pt-BR', ptBR],
+  ])('Should only hold valid messages in %s', (locale, catalog) => {
+    Object.values(catalog).forEach((message) => expect(() => parseMessage(message)).not.toThrow());
+  });
+
+  it('Should be the ones of the app instance', () => {
+    expect(i18n.getLocales().map(({ code }) => code)).toEqual(['en', 'pt-BR']);
+  });
+});
+
+describe('Test suite for the localized errors', () => {
+  it('Should carry the key and the parameters of the message, with the English text as message', () => {
+    i18n.setLocale('pt-BR');
+
+    try {
+      const error = new LocalizedError('errors.list.notFound', { id: 'work' });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('LocalizedError');
+      expect(error.key).toBe('errors.list.notFound');
+      expect(error.params).toEqual({ id: 'work' });
+      expect(error.message).toBe('List "work" not found');
+    } finally {
+      i18n.setLocale('en');
+    }
+  });
+
+  it('Should be translated to the current locale', () => {
+    const error = new LocalizedError('errors.list.notFound', { id: 'work' });
+    i18n.setLocale('pt-BR');
+
+    try {
+      expect(translateError(error)).toBe('Lista "work" não encontrada');
+    } finally {
+      i18n.setLocale('en');
+    }
+  });
+
+  it('Should get a generic message for other errors', () => {
+    expect(translateError(new TypeError('x is undefined'))).toBe('Something went wrong. Please try again.');
+  });
+});
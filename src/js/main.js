@@ -1,4 +1,285 @@
 import '../css/style.css';
-import { setupHeader } from './header.js';
+import '@web-component/atoms/header/header.js';
+import '@web-component/organisms/commandPalette/commandPalette.js';
+import '@web-component/molecules/toastRegion/toastRegion.js';
+import '@web-component/organisms/listSidebar/listSidebar.js';
+import '@web-component/organisms/shortcutHelp/shortcutHelp.js';
+import '@web-component/organisms/themeDialog/themeDialog.js';
+import '@web-component/organisms/transferDialog/transferDialog.js';
+import '@web-component/templates/layout/layout.js';
+import { NotFoundPage } from '@web-component/pages/notFound/notFound.js';
+import { ROUTER_EVENTS, Router } from './router/router.js';
+import { NAV_ITEMS, createRoutes } from './routes.js';
+import { APP_EVENTS, eventBus } from './events/eventBus.js';
+import { HISTORY_EVENTS, bindHistoryShortcuts } from './history/historyStack.js';
+import { TodoHistory } from './history/todoHistory.js';
+import { I18N_EVENTS, i18n, t } from './i18n/i18n.js';
+import { SERVICE_WORKER_EVENTS, ServiceWorkerUpdates } from './pwa/serviceWorkerUpdates.js';
+import { serializeQuery } from './query/todoQuery.js';
+import {
+  createReminderNotifier,
+  getNotificationPermission,
+  requestNotificationPermission,
+} from './schedule/reminderNotifier.js';
+import { ReminderScheduler } from './schedule/reminderScheduler.js';
+import { ShortcutRegistry } from './shortcuts/shortcutRegistry.js';
+import { LIST_EVENTS } from './store/listStore.js';
+import { TODO_EVENTS } from './store/todoStore.js';
+import { Workspace } from './store/workspace.js';
+import { createStorageAdapter } from './storage/createStorageAdapter.js';
+import { CONFLICT_STRATEGIES } from './sync/conflictResolution.js';
+import { LEADER_EVENTS, LeaderElection } from './sync/leaderElection.js';
+import { OfflineQueue } from './sync/offlineQueue.js';
+import { RestClient } from './sync/restClient.js';
+import { SyncEngine } from './sync/syncEngine.js';
+import { TabChannel } from './sync/tabChannel.js';
+import { TabSync } from './sync/tabSync.js';
+import { ThemeManager } from './theme/themeManager.js';
 
-setupHeader(document.querySelector('#app'));
+async function bootstrap() {
+  // Applied before anything loads, so the page does not flash in the wrong colors.
+  const themes = new ThemeManager({ storage: window.localStorage });
+  themes.start();
+  i18n.start({ storage: window.localStorage });
+
+  const adapter = await createStorageAdapter();
+  const workspace = new Workspace({ adapter });
+  await workspace.load();
+
+  // Changes made in the other tabs of the app show up in this one.
+  const tabChannel = new TabChannel();
+  tabChannel.start();
+  new TabSync({ workspace, channel: tabChannel }).start();
+
+  const header = document.querySelector('app-header');
+  const sidebar = document.querySelector('list-sidebar');
+  const toasts = document.querySelector('toast-region');
+  const transfer = document.querySelector('transfer-dialog');
+  const themeDialog = document.querySelector('theme-dialog');
+  const palette = document.querySelector('command-palette');
+  const help = document.querySelector('shortcut-help');
+  sidebar.workspace = workspace;
+  transfer.workspace = workspace;
+  themeDialog.themes = themes;
+
+  const router = new Router({
+    routes: createRoutes({ workspace }),
+    outlets: { content: document.querySelector('#content') },
+    notFound: NotFoundPage,
+  });
+
+  const translateHeader = () => {
+    header.actions = ['import', 'export', 'theme'].map((id) => ({ id, label: t(`app.actions.${id}`) }));
+    header.items = NAV_ITEMS.map((item) => ({ ...item, label: t(item.label), current: router.isActive(item.href) }));
+  };
+  translateHeader();
+
+  router.addEventListener(ROUTER_EVENTS.CHANGE, () => {
+    translateHeader();
+    sidebar.currentList = router.current.params.id || '';
+  });
+
+  // Components render again on their own; the header texts, the title and the page props come from here.
+  i18n.subscribe(I18N_EVENTS.CHANGE, () => {
+    translateHeader();
+    if (router.current) {
+      router.navigate(router.current.path, { replace: true });
+    }
+  });
+
+  // App events reach the bus whether a component emits them or a store dispatches them.
+  eventBus.forward(document, [APP_EVENTS.FILTER_CHANGED]);
+  workspace.subscribe(TODO_EVENTS.CHANGE, (detail) => eventBus.emit(detail.type, detail));
+
+  // Filters live in the URL, so a filtered view can be shared, bookmarked and restored with the back button.
+  eventBus.on(APP_EVENTS.FILTER_CHANGED, ({ query }) => router.setQuery(serializeQuery(query)));
+  sidebar.addEventListener('sidebar:list-created', (event) => router.navigate(`/lists/${event.detail.list.id}`));
+
+  workspace.subscribe(LIST_EVENTS.CHANGE, ({ type, listId }) => {
+    if (!listId || listId !== router.current?.params.id) {
+      return;
+    }
+
+    // Leave a deleted list, and re-render the page of a renamed one.
+    const path = type === LIST_EVENTS.REMOVED ? '/' : router.current.path;
+    router.navigate(path, { replace: true });
+  });
+
+  // Every todo change can be undone with Ctrl+Z, and deletions offer an Undo button as well.
+  const history = new TodoHistory({ source: workspace, limit: 100 });
+  history.start();
+  bindHistoryShortcuts(history);
+  history.subscribe(HISTORY_EVENTS.RECORDED, ({ command }) => {
+    if (command.destructive) {
+      // The toast stays for a while, so it only undoes the deletion if nothing was done since.
+      const undo = () => history.undoCommand === command && history.undo();
+      toasts.show(command.label, { action: { label: t('common.undo'), onClick: undo } });
+    }
+  });
+
+  // Import, export and the theme are opened from the header. Imported todos go to the open list when there is one.
+  const runAction = (id) => {
+    if (id === 'import' || id === 'export') {
+      transfer.targetListId = router.current?.params.id || '';
+      transfer.open(id);
+    } else if (id === 'theme') {
+      themeDialog.open();
+    }
+  };
+  header.addEventListener('header:action', ({ detail }) => runAction(detail.id));
+  transfer.addEventListener('transfer:import', ({ detail }) => {
+    const command = history.flush();
+    const undo = () => history.undoCommand === command && history.undo();
+    toasts.show(t('app.imported', { imported: detail.imported, skipped: detail.skipped }), {
+      action: command ? { label: t('common.undo'), onClick: undo } : null,
+    });
+  });
+
+  // Reminders show up in the app until the user allows system notifications, which the toast offers to do.
+  const notify = createReminderNotifier({
+    fallback: (todo) =>
+      toasts.show(t('app.reminder', { title: todo.title }), {
+        timeout: 0,
+        action:
+          getNotificationPermission() === 'default'
+            ? { label: t('app.enableNotifications'), onClick: () => requestNotificationPermission() }
+            : null,
+      }),
+  });
+  // Only the leading tab fires reminders, so a reminder does not pop up once per open tab.
+  const reminders = new ReminderScheduler({ source: workspace, notify, storage: window.localStorage });
+  const election = new LeaderElection({ channel: tabChannel });
+  election.subscribe(LEADER_EVENTS.CHANGE, ({ isLeader }) => (isLeader ? reminders.start() : reminders.stop()));
+
+  // Todos are pushed to a REST endpoint when the build names one in VITE_SYNC_URL. The leading tab pushes the
+  // changes of every tab, since they all reach it, and the saved queue carries over to the next leader.
+  const syncUrl = import.meta.env.VITE_SYNC_URL;
+  if (syncUrl) {
+    const sync = new SyncEngine({
+      store: workspace,
+      client: new RestClient({ baseUrl: syncUrl }),
+      queue: new OfflineQueue({ adapter }),
+      strategy: CONFLICT_STRATEGIES.MERGE,
+    });
+    election.subscribe(LEADER_EVENTS.CHANGE, ({ isLeader }) => {
+      if (!isLeader) {
+        sync.stop();
+        return;
+      }
+      sync.start().catch((error) => console.error('Could not start syncing the todos.', error));
+    });
+  }
+  election.start();
+
+  // The service worker only exists in the build; a new version waits until the user chooses to reload.
+  if (import.meta.env.PROD) {
+    const updates = new ServiceWorkerUpdates({ url: `${import.meta.env.BASE_URL}sw.js` });
+    updates.subscribe(SERVICE_WORKER_EVENTS.UPDATE, () =>
+      toasts.show(t('app.updateAvailable'), {
+        timeout: 0,
+        action: { label: t('app.reload'), onClick: () => updates.applyUpdate() },
+      }),
+    );
+    updates.register().catch((error) => console.error('Could not register the service worker.', error));
+  }
+
+  // Keyboard shortcuts act on the page shown. Todos can only be added to a list, so n opens the default one if needed.
+  const page = () => document.querySelector('#content todo-page');
+  const withFocusedTodo = (action) => {
+    const todoId = page()?.getFocusedTodoId();
+    if (todoId) {
+      action(page(), todoId);
+    }
+  };
+  const newTodo = async () => {
+    if (!(await page()?.focusNewTodo())) {
+      await router.navigate(`/lists/${workspace.defaultListId}`);
+      await page()?.focusNewTodo();
+    }
+  };
+
+  // Built when the palette opens, so the lists and the labels are current.
+  const openPalette = () => {
+    const action = t('palette.groups.actions');
+    palette.commands = [
+      { id: 'new-todo', label: t('shortcuts.newTodo'), group: action, keys: 'n', run: newTodo },
+      { id: 'search', label: t('shortcuts.search'), group: action, keys: '/', run: () => page()?.focusSearch() },
+      { id: 'undo', label: t('common.undo'), group: action, keys: 'Mod+Z', run: () => history.undo() },
+      { id: 'redo', label: t('palette.redo'), group: action, keys: 'Mod+Shift+Z', run: () => history.redo() },
+      ...['import', 'export', 'theme'].map((id) => ({
+        id,
+        label: t(`app.actions.${id}`),
+        group: action,
+        run: () => runAction(id),
+      })),
+      { id: 'shortcuts', label: t('shortcuts.help'), group: action, keys: '?', run: () => help.open() },
+      ...i18n
+        .getLocales()
+        .filter(({ code }) => code !== i18n.locale)
+        .map(({ code, name }) => ({
+          id: `locale-${code}`,
+          label: t('palette.language', { language: name }),
+          group: action,
+          run: () => i18n.setLocale(code),
+        })),
+      ...NAV_ITEMS.map((item) => ({
+        id: `page-${item.href}`,
+        label: t('palette.goTo', { name: t(item.label) }),
+        group: t('palette.groups.pages'),
+        run: () => router.navigate(item.href.slice(1)),
+      })),
+      ...workspace.lists.getAll().map((list) => ({
+        id: `list-${list.id}`,
+        label: t('palette.goTo', { name: `${list.icon} ${list.name}` }),
+        group: t('palette.groups.lists'),
+        run: () => router.navigate(`/lists/${list.id}`),
+      })),
+    ];
+    palette.open();
+  };
+
+  const shortcuts = new ShortcutRegistry();
+  const general = () => t('shortcuts.groups.general');
+  const todos = () => t('shortcuts.groups.todos');
+  [
+    { id: 'new-todo', keys: 'n', label: () => t('shortcuts.newTodo'), group: todos, handler: newTodo },
+    { id: 'search', keys: '/', label: () => t('shortcuts.search'), group: todos, handler: () => page()?.focusSearch() },
+    { id: 'next', keys: 'j', label: () => t('shortcuts.next'), group: todos, handler: () => page()?.focusTodo(1) },
+    {
+      id: 'previous',
+      keys: 'k',
+      label: () => t('shortcuts.previous'),
+      group: todos,
+      handler: () => page()?.focusTodo(-1),
+    },
+    {
+      id: 'toggle',
+      keys: 'x',
+      label: () => t('shortcuts.toggle'),
+      group: todos,
+      handler: () => withFocusedTodo((view, todoId) => view.toggleTodo(todoId)),
+    },
+    {
+      id: 'edit',
+      keys: 'e',
+      label: () => t('shortcuts.edit'),
+      group: todos,
+      handler: () => withFocusedTodo((view, todoId) => view.startEditing(todoId)),
+    },
+    {
+      id: 'palette',
+      keys: 'Mod+K',
+      label: () => t('shortcuts.palette'),
+      group: general,
+      global: true,
+      handler: () => (palette.opened ? palette.close() : openPalette()),
+    },
+    { id: 'help', keys: '?', label: () => t('shortcuts.help'), group: general, handler: () => help.open() },
+  ].forEach((shortcut) => shortcuts.register(shortcut));
+  help.shortcuts = shortcuts;
+  shortcuts.start();
+
+  await router.start();
+}
+
+bootstrap();
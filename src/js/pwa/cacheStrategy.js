@@ -0,0 +1,185 @@
+/**
+ * Caching strategy of the service worker, which keeps the app working offline.
+ *
+ * The app shell (the page, its scripts, styles and icons) is precached when
+ * the service worker installs, in a cache named after the build version, so
+ * a new build never mixes its files with those of the previous one. Then:
+ *
+ * - Page navigations go to the network first, so an online user always gets
+ *   the latest page. Offline, or when the network takes longer than
+ *   `networkTimeout`, the precached page answers instead; every route is
+ *   served by the same page, since the app routes in the browser.
+ * - Precached files are answered from the cache. Their names carry a content
+ *   hash, so a cached file never goes stale.
+ * - Anything else (other origins, other methods, the sync API) is left to the
+ *   browser, so data never comes from a cache.
+ *
+ * The previous versions are deleted when the new service worker activates.
+ * The Cache Storage and fetch are injectable, so the strategy can be tested
+ * with a stand-in, see MemoryCacheStorage.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const strategy = new CacheStrategy({
+ *   caches: self.caches,
+ *   fetch: (request) => self.fetch(request),
+ *   scope: self.registration.scope,
+ *   version: 'a1b2c3',
+ *   precache: ['index.html', 'assets/index-4f2a.js'],
+ * });
+ * self.addEventListener('install', (event) => event.waitUntil(strategy.install()));
+ * self.addEventListener('fetch', (event) => {
+ *   const response = strategy.handle(event.request);
+ *   if (response) event.respondWith(response);
+ * });
+ */
+
+/**
+ * Prefix of the caches of the app, so activating a new version only deletes caches it owns.
+ * @type {string}
+ */
+export const CACHE_PREFIX = 'todo-vanilla-shell';
+
+/**
+ * The page that answers every navigation when the network cannot.
+ * @type {string}
+ */
+export const SHELL_URL = 'index.html';
+
+export class CacheStrategy {
+  /**
+   * Creates an instance of CacheStrategy.
+   * @param {Object} options - Strategy options.
+   * @param {CacheStorage} options.caches - The Cache Storage.
+   * @param {function(Request): Promise<Response>} options.fetch - Fetches from the network.
+   * @param {string} options.scope - The URL the app lives under, e.g. `https://example.com/`.
+   * @param {string} options.version - The version of the build, which names its cache.
+   * @param {string[]} [options.precache=[]] - The files of the app shell, relative to the scope.
+   * @param {number} [options.networkTimeout=3000] - Milliseconds to wait for a page before answering from the
+   * cache, 0 to wait as long as the network takes.
+   * @param {{ setTimeout: Function, clearTimeout: Function }} [options.timers=globalThis] - Timer functions.
+   * @throws Will throw an error if the caches, fetch, scope or version are not defined.
+   */
+  constructor({ caches, fetch, scope, version, precache = [], networkTimeout = 3000, timers = globalThis } = {}) {
+    if (!caches || typeof caches.open !== 'function') {
+      throw new Error('Define a valid Cache Storage');
+    }
+    if (typeof fetch !== 'function') {
+      throw new Error('Define a valid fetch function');
+    }
+    if (!scope || !version) {
+      throw new Error('Define a valid scope and version for the cache');
+    }
+
+    this._caches = caches;
+    this._fetch = fetch;
+    this._scope = new URL(scope);
+    this._networkTimeout = networkTimeout;
+    this._timers = timers;
+    this.cacheName = `${CACHE_PREFIX}-${version}`;
+    this._shellUrl = new URL(SHELL_URL, this._scope).href;
+    this._precache = new Set(precache.map((path) => new URL(path, this._scope).href));
+    this._precache.add(this._shellUrl);
+  }
+
+  /**
+   * Gets the absolute URLs of the precached files.
+   * @returns {string[]} The URLs, the shell included.
+   */
+  getPrecacheUrls() {
+    return [...this._precache];
+  }
+
+  /**
+   * Downloads the app shell into the cache of this version. Fails if any file fails, so a broken version never
+   * installs.
+   * @returns {Promise<void>}
+   */
+  async install() {
+    const cache = await this._caches.open(this.cacheName);
+    await cache.addAll(this.getPrecacheUrls());
+  }
+
+  /**
+   * Deletes the caches of the previous versions.
+   * @returns {Promise<string[]>} The names of the deleted caches.
+   */
+  async activate() {
+    const stale = (await this._caches.keys()).filter(
+      (name) => name.startsWith(`${CACHE_PREFIX}-`) && name !== this.cacheName,
+    );
+    await Promise.all(stale.map((name) => this._caches.delete(name)));
+
+    return stale;
+  }
+
+  /**
+   * Answers a request the service worker intercepted.
+   * @param {Request} request - The request.
+   * @returns {Promise<Response>|null} The response, or null to let the browser handle the request.
+   */
+  handle(request) {
+    const url = new URL(request.url);
+    if (
+      request.method !== 'GET' ||
+      url.origin !== this._scope.origin ||
+      !url.pathname.startsWith(this._scope.pathname)
+    ) {
+      return null;
+    }
+
+    if (request.mode === 'navigate') {
+      return this._networkFirst(request);
+    }
+    url.search = '';
+    url.hash = '';
+    if (this._precache.has(url.href)) {
+      return this._cacheFirst(request, url.href);
+    }
+
+    return null;
+  }
+
+  async _cacheFirst(request, url) {
+    const cache = await this._caches.open(this.cacheName);
+    const cached = await cache.match(url);
+
+    return cached || this._fetch(request);
+  }
+
+  async _networkFirst(request) {
+    let timer = null;
+    const network = this._fetch(request);
+    const timeout = new Promise((resolve) => {
+      if (this._networkTimeout > 0) {
+        timer = this._timers.setTimeout(() => resolve(null), this._networkTimeout);
+      }
+    });
+
+    try {
+      const response = await Promise.race([network, timeout]);
+      // Error pages of the server are still answers; only a missing network falls back to the shell.
+      if (response) {
+        return response;
+      }
+    } catch {
+      // Offline: the shell answers below.
+    } finally {
+      this._timers.clearTimeout(timer);
+    }
+
+    const cache = await this._caches.open(this.cacheName);
+    const shell = await cache.match(this._shellUrl);
+    if (shell) {
+      // The request may still fail after the timeout; nothing waits for it anymore.
+      network.catch(() => null);
+      return shell;
+    }
+
+    // Nothing cached yet, e.g. before the first install completed: wait for the network after all.
+    return network;
+  }
+}
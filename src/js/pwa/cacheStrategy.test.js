@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { CACHE_PREFIX, CacheStrategy } from './cacheStrategy';
+import { MemoryCacheStorage } from './testing/memoryCacheStorage';
+
+const SCOPE = 'https://todo.example/app/';
+
+describe('Test suite for the CacheStrategy', () => {
+  let files;
+  let online;
+  let fetch;
+  let caches;
+
+  const createStrategy = (options = {}) =>
+    new CacheStrategy({
+      caches,
+      fetch,
+      scope: SCOPE,
+      version: 'v1',
+      precache: ['index.html', 'assets/index-4f2a.js', 'icons/icon.svg'],
+      ...options,
+    });
+  const navigate = (path) => ({ url: new URL(path, SCOPE).href, method: 'GET', mode: 'navigate' });
+  const get = (path, method = 'GET') => ({ url: new URL(path, SCOPE).href, method, mode: 'cors' });
+
+  beforeEach(() => {
+    files = new Map([
+      ['/app/index.html', '<title>v1</title>'],
+      ['/app/assets/index-4f2a.js', 'console.log(1);'],
+      ['/app/icons/icon.svg', '<svg></svg>'],
+    ]);
+    online = true;
+    fetch = vi.fn(async (request) => {
+      if (!online) {
+        throw new TypeError('Failed to fetch');
+      }
+      const { pathname } = new URL(request.url);
+      const body = files.get(pathname === '/app/' ? '/app/index.html' : pathname);
+
+      return body === undefined ? new Response('Not found', { status: 404 }) : new Response(body);
+    });
+    caches = new MemoryCacheStorage({ fetch });
+  });
+
+  it('Should require the caches, fetch, scope and version', () => {
+    expect(() => new CacheStrategy({ fetch, scope: SCOPE, version: 'v1' })).toThrow('Define a valid Cache Storage');
+    expect(() => new CacheStrategy({ caches, scope: SCOPE, version: 'v1' })).toThrow('Define a valid fetch function');
+    expect(() => new CacheStrategy({ caches, fetch, scope: SCOPE })).toThrow(
+      'Define a valid scope and version for the cache',
+    );
+  });
+
+  it('Should precache the app shell in a cache named after the version', async () => {
+    const strategy = createStrategy();
+
+    await strategy.install();
+
+    expect(strategy.cacheName).toBe(`${CACHE_PREFIX}-v1`);
+    const cache = await caches.open(strategy.cacheName);
+    expect((await cache.keys()).map((request) => request.url)).toEqual([
+      `${SCOPE}index.html`,
+      `${SCOPE}assets/index-4f2a.js`,
+      `${SCOPE}icons/icon.svg`,
+    ]);
+  });
+
+  it('Should not install when a file of the shell fails to download', async () => {
+    files.delete('/app/icons/icon.svg');
+
+    await expect(createStrategy().install()).rejects.toThrow(/icon\.svg/);
+  });
+
+  it('Should answer precached files from the cache, offline too', async () => {
+    const strategy = createStrategy();
+    await strategy.install();
+    fetch.mockClear();
+    online = false;
+
+    const response = await strategy.handle(get('assets/index-4f2a.js?v=1'));
+
+    expect(await response.text()).toBe('console.log(1);');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('Should answer navigations from the network while online', async () => {
+    const strategy = createStrategy();
+    await strategy.install();
+    files.set('/app/index.html', '<title>v2</title>');
+
+    const response = await strategy.handle(navigate(''));
+
+    expect(await response.text()).toBe('<title>v2</title>');
+  });
+
+  it('Should answer every route with the cached shell while offline', async () => {
+    const strategy = createStrategy();
+    await strategy.install();
+    online = false;
+
+    const response = await strategy.handle(navigate('todos/42?edit'));
+
+    expect(await response.text()).toBe('<title>v1</title>');
+  });
+
+  it('Should answer with the cached shell when the network is too slow', async () => {
+    vi.useFakeTimers();
+    try {
+      const strategy = createStrategy({ networkTimeout: 1000 });
+      await strategy.install();
+      fetch.mockImplementationOnce(() => new Promise(() => {}));
+
+      const pending = strategy.handle(navigate(''));
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(await (await pending).text()).toBe('<title>v1</title>');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('Should ignore the network failing after the cached shell answered', async () => {
+    vi.useFakeTimers();
+    const unhandled = vi.fn();
+    process.on('unhandledRejection', unhandled);
+    try {
+      const strategy = createStrategy({ networkTimeout: 1000 });
+      await strategy.install();
+      fetch.mockImplementationOnce(
+        () => new Promise((resolve, reject) => setTimeout(() => reject(new TypeError('Failed to fetch')), 2000)),
+      );
+
+      const pending = strategy.handle(navigate(''));
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(await (await pending).text()).toBe('<title>v1</title>');
+      await vi.advanceTimersByTimeAsync(1000);
+      await new Promise((resolve) => process.nextTick(resolve));
+
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.off('unhandledRejection', unhandled);
+      vi.useRealTimers();
+    }
+  });
+
+  it('Should keep error pages of the server instead of the shell', async () => {
+    const strategy = createStrategy();
+    await strategy.install();
+
+    const response = await strategy.handle(navigate('missing.html'));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('Should leave other origins, other methods and files out of the shell to the browser', async () => {
+    const strategy = createStrategy();
+
+    expect(strategy.handle(get('assets/index-4f2a.js', 'POST'))).toBeNull();
+    expect(strategy.handle({ url: 'https://api.example/todos', method: 'GET', mode: 'cors' })).toBeNull();
+    expect(strategy.handle(get('/outside/index.html'))).toBeNull();
+    expect(strategy.handle(get('api/todos'))).toBeNull();
+  });
+
+  it('Should delete the caches of previous versions only when activating', async () => {
+    await createStrategy().install();
+    await caches.open('another-app');
+    const strategy = createStrategy({ version: 'v2' });
+    await strategy.install();
+
+    expect(await strategy.activate()).toEqual([`${CACHE_PREFIX}-v1`]);
+    expect(await caches.keys()).toEqual(['another-app', `${CACHE_PREFIX}-v2`]);
+  });
+});
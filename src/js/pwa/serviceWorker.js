@@ -0,0 +1,46 @@
+/* global __CACHE_VERSION__, __PRECACHE_URLS__ */
+import { CacheStrategy } from './cacheStrategy.js';
+import { SERVICE_WORKER_MESSAGES } from './serviceWorkerUpdates.js';
+
+/**
+ * Service worker of the app, built into `sw.js` by the `serviceWorker` plugin
+ * of the Vite config, which defines `__CACHE_VERSION__` (a hash of the built
+ * files) and `__PRECACHE_URLS__` (the files of the app shell).
+ *
+ * A new version installs in the background and waits until the page asks it
+ * to take over, see ServiceWorkerUpdates, so a page never runs with the files
+ * of two versions.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ */
+
+const strategy = new CacheStrategy({
+  caches: self.caches,
+  fetch: (request) => self.fetch(request),
+  scope: self.registration.scope,
+  version: __CACHE_VERSION__,
+  precache: __PRECACHE_URLS__,
+});
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(strategy.install());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(strategy.activate().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const response = strategy.handle(event.request);
+  if (response) {
+    event.respondWith(response);
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === SERVICE_WORKER_MESSAGES.SKIP_WAITING) {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,150 @@
+/**
+ * Registers the service worker and tells the page when a new version of the
+ * app is ready.
+ *
+ * A new service worker installs in the background and then waits, so the open
+ * page keeps running the version it loaded. The UPDATE event tells the page a
+ * version is waiting, so it can offer to reload; `applyUpdate` activates it
+ * and reloads the page once the new version controls it. The first install
+ * never prompts, since there is no older version running.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const updates = new ServiceWorkerUpdates({ url: '/sw.js' });
+ * updates.subscribe(SERVICE_WORKER_EVENTS.UPDATE, () => {
+ *   toasts.show('A new version is available.', { action: { label: 'Reload', onClick: () => updates.applyUpdate() } });
+ * });
+ * updates.register();
+ */
+
+/**
+ * Names of the events dispatched by the updates.
+ * @readonly
+ * @enum {string}
+ */
+export const SERVICE_WORKER_EVENTS = Object.freeze({
+  UPDATE: 'serviceworker:update',
+});
+
+/**
+ * Messages the page posts to the service worker.
+ * @readonly
+ * @enum {string}
+ */
+export const SERVICE_WORKER_MESSAGES = Object.freeze({
+  SKIP_WAITING: 'SKIP_WAITING',
+});
+
+export class ServiceWorkerUpdates extends EventTarget {
+  /**
+   * Creates an instance of ServiceWorkerUpdates.
+   * @param {Object} options - Updates options.
+   * @param {string} options.url - The URL of the service worker script.
+   * @param {string} [options.scope] - The scope of the service worker, by default the folder of the script.
+   * @param {ServiceWorkerContainer} [options.container=navigator.serviceWorker] - The service worker container,
+   * missing in browsers without service workers.
+   * @param {function(): void} [options.reload] - Reloads the page, by default `location.reload()`.
+   * @throws Will throw an error if the url is not defined.
+   */
+  constructor({ url, scope, container = globalThis.navigator?.serviceWorker, reload } = {}) {
+    super();
+    if (!url) {
+      throw new Error('Define a valid service worker URL');
+    }
+
+    this._url = url;
+    this._scope = scope;
+    this._container = container;
+    this._reload = reload || (() => globalThis.location.reload());
+    this._reloading = false;
+    this.registration = null;
+  }
+
+  /**
+   * Whether the browser supports service workers.
+   * @type {boolean}
+   */
+  get supported() {
+    return Boolean(this._container);
+  }
+
+  /**
+   * Whether a new version is installed and waiting to take over.
+   * @type {boolean}
+   */
+  get updateAvailable() {
+    return Boolean(this.registration?.waiting && this._container?.controller);
+  }
+
+  /**
+   * Registers the service worker and starts watching for new versions.
+   * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null when service workers are not
+   * supported.
+   */
+  async register() {
+    if (!this.supported) {
+      return null;
+    }
+
+    const registration = await this._container.register(this._url, this._scope ? { scope: this._scope } : undefined);
+    this.registration = registration;
+
+    // A version may have installed while no page was open.
+    if (this.updateAvailable) {
+      this._notify();
+    }
+    registration.addEventListener('updatefound', () => this._watch(registration.installing));
+
+    return registration;
+  }
+
+  /**
+   * Activates the waiting version and reloads the page once it takes over.
+   * @returns {boolean} Whether there was a version to activate.
+   */
+  applyUpdate() {
+    const waiting = this.registration?.waiting;
+    if (!waiting) {
+      return false;
+    }
+
+    this._container.addEventListener('controllerchange', () => {
+      if (!this._reloading) {
+        this._reloading = true;
+        this._reload();
+      }
+    });
+    waiting.postMessage({ type: SERVICE_WORKER_MESSAGES.SKIP_WAITING });
+
+    return true;
+  }
+
+  /**
+   * Subscribes to an updates event.
+   * @param {string} type - The event name (one of SERVICE_WORKER_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail.
+   * @returns {function(): void} Unsubscribes the handler.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _watch(worker) {
+    worker?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, which has nothing to replace.
+      if (worker.state === 'installed' && this._container.controller) {
+        this._notify();
+      }
+    });
+  }
+
+  _notify() {
+    this.dispatchEvent(new CustomEvent(SERVICE_WORKER_EVENTS.UPDATE, { detail: { registration: this.registration } }));
+  }
+}
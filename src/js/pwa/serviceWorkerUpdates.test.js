@@ -0,0 +1,105 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { SERVICE_WORKER_EVENTS, SERVICE_WORKER_MESSAGES, ServiceWorkerUpdates } from './serviceWorkerUpdates';
+
+class FakeWorker extends EventTarget {
+  constructor(state = 'installing') {
+    super();
+    this.state = state;
+    this.postMessage = vi.fn();
+  }
+
+  setState(state) {
+    this.state = state;
+    this.dispatchEvent(new Event('statechange'));
+  }
+}
+
+describe('Test suite for the ServiceWorkerUpdates', () => {
+  let registration;
+  let container;
+  let reload;
+  let updates;
+
+  const findUpdate = () => {
+    registration.installing = new FakeWorker();
+    registration.dispatchEvent(new Event('updatefound'));
+
+    return registration.installing;
+  };
+
+  beforeEach(() => {
+    registration = Object.assign(new EventTarget(), { installing: null, waiting: null, active: null });
+    container = Object.assign(new EventTarget(), {
+      controller: new FakeWorker('activated'),
+      register: vi.fn(async () => registration),
+    });
+    reload = vi.fn();
+    updates = new ServiceWorkerUpdates({ url: '/sw.js', container, reload });
+  });
+
+  it('Should require the service worker URL', () => {
+    expect(() => new ServiceWorkerUpdates({ container })).toThrow('Define a valid service worker URL');
+  });
+
+  it('Should skip registering when service workers are not supported', async () => {
+    updates = new ServiceWorkerUpdates({ url: '/sw.js', container: undefined });
+
+    expect(updates.supported).toBe(false);
+    expect(await updates.register()).toBeNull();
+  });
+
+  it('Should register the service worker', async () => {
+    expect(await updates.register()).toBe(registration);
+    expect(container.register).toHaveBeenCalledWith('/sw.js', undefined);
+  });
+
+  it('Should tell when a new version is installed', async () => {
+    const handler = vi.fn();
+    updates.subscribe(SERVICE_WORKER_EVENTS.UPDATE, handler);
+    await updates.register();
+
+    const worker = findUpdate();
+    worker.setState('installed');
+
+    expect(handler).toHaveBeenCalledWith({ registration });
+  });
+
+  it('Should tell about a version that installed while no page was open', async () => {
+    const handler = vi.fn();
+    updates.subscribe(SERVICE_WORKER_EVENTS.UPDATE, handler);
+    registration.waiting = new FakeWorker('installed');
+
+    await updates.register();
+
+    expect(updates.updateAvailable).toBe(true);
+    expect(handler).toHaveBeenCalledOnce();
+  });
+
+  it('Should not prompt on the first install', async () => {
+    const handler = vi.fn();
+    updates.subscribe(SERVICE_WORKER_EVENTS.UPDATE, handler);
+    container.controller = null;
+    await updates.register();
+
+    findUpdate().setState('installed');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('Should activate the waiting version and reload once it takes over', async () => {
+    await updates.register();
+    expect(updates.applyUpdate()).toBe(false);
+
+    const worker = findUpdate();
+    worker.setState('installed');
+    registration.waiting = worker;
+
+    expect(updates.applyUpdate()).toBe(true);
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: SERVICE_WORKER_MESSAGES.SKIP_WAITING });
+    expect(reload).not.toHaveBeenCalled();
+
+    container.dispatchEvent(new Event('controllerchange'));
+    container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).toHaveBeenCalledOnce();
+  });
+});
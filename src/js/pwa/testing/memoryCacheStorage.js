@@ -0,0 +1,89 @@
+/**
+ * Small in-memory stand-in for the Cache Storage of a service worker, used by
+ * the caching strategy tests. It implements the parts CacheStrategy uses:
+ * `open`, `keys`, `delete` and the `add`, `addAll`, `put` and `match` of a
+ * cache. Downloads go through the given fetch, like the browser's would.
+ *
+ * @example
+ * const caches = new MemoryCacheStorage({ fetch: (request) => network.fetch(request) });
+ * const cache = await caches.open('shell-v1');
+ * await cache.addAll(['https://example.com/index.html']);
+ * const response = await cache.match('https://example.com/index.html');
+ */
+export class MemoryCacheStorage {
+  /**
+   * @param {Object} options - Stand-in options.
+   * @param {function(Request): Promise<Response>} options.fetch - Fetches the files to add.
+   */
+  constructor({ fetch }) {
+    this._fetch = fetch;
+    this._caches = new Map();
+  }
+
+  async open(name) {
+    if (!this._caches.has(name)) {
+      this._caches.set(name, new MemoryCache(this._fetch));
+    }
+
+    return this._caches.get(name);
+  }
+
+  async has(name) {
+    return this._caches.has(name);
+  }
+
+  async keys() {
+    return [...this._caches.keys()];
+  }
+
+  async delete(name) {
+    return this._caches.delete(name);
+  }
+}
+
+class MemoryCache {
+  constructor(fetch) {
+    this._fetch = fetch;
+    this._entries = new Map();
+  }
+
+  async match(request) {
+    const response = this._entries.get(toUrl(request));
+
+    return response ? response.clone() : undefined;
+  }
+
+  async put(request, response) {
+    this._entries.set(toUrl(request), response.clone());
+  }
+
+  async add(request) {
+    await this.addAll([request]);
+  }
+
+  // Like the browser, stores nothing unless every download succeeds.
+  async addAll(requests) {
+    const responses = await Promise.all(
+      requests.map(async (request) => {
+        const response = await this._fetch(new Request(toUrl(request)));
+        if (!response.ok) {
+          throw new TypeError(`Failed to add ${toUrl(request)}: ${response.status}`);
+        }
+
+        return [toUrl(request), response];
+      }),
+    );
+    responses.forEach(([url, response]) => this._entries.set(url, response));
+  }
+
+  async keys() {
+    return [...this._entries.keys()].map((url) => new Request(url));
+  }
+}
+
+function toUrl(request) {
+  const url = new URL(typeof request === 'string' ? request : request.url);
+  url.hash = '';
+
+  return url.href;
+}
@@ -0,0 +1,299 @@
+/**
+ * Query layer over todos: status filters, fuzzy text search, tag filters and sorting.
+ *
+ * A query is a plain object that can be written to and read from URL
+ * parameters, so the current view can be shared and restored:
+ * `#/lists/inbox?filter=active&q=milk&tags=home&sort=due`.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const query = parseQuery(router.current.query);
+ * const visible = applyQuery(store.getAll(), query);
+ *
+ * router.setQuery(serializeQuery({ ...query, filter: QUERY_FILTERS.COMPLETED }));
+ */
+
+/**
+ * Status filters.
+ * @readonly
+ * @enum {string}
+ */
+export const QUERY_FILTERS = Object.freeze({
+  ALL: 'all',
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+});
+
+/**
+ * Sort orders. Each one has a natural direction (soonest due date, highest priority, newest first),
+ * which `reverse` inverts.
+ * @readonly
+ * @enum {string}
+ */
+export const QUERY_SORTS = Object.freeze({
+  MANUAL: 'manual',
+  DUE_DATE: 'due',
+  PRIORITY: 'priority',
+  CREATED: 'created',
+});
+
+/**
+ * @typedef {Object} TodoQuery
+ * @property {string} filter - One of QUERY_FILTERS.
+ * @property {string} search - Free text, matched fuzzily against titles and notes.
+ * @property {string[]} tags - Only todos with all of these tags are kept.
+ * @property {string} sort - One of QUERY_SORTS.
+ * @property {boolean} reverse - Inverts the sort order.
+ */
+
+/**
+ * The query that keeps every todo in manual order.
+ * @type {TodoQuery}
+ */
+export const DEFAULT_QUERY = Object.freeze({
+  filter: QUERY_FILTERS.ALL,
+  search: '',
+  tags: Object.freeze([]),
+  sort: QUERY_SORTS.MANUAL,
+  reverse: false,
+});
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Lowercases a text and strips its accents, so `Café` matches `cafe`.
+ * @param {string} text - The text.
+ * @returns {string} The folded text.
+ */
+const fold = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Scores how well a search term matches a text, allowing skipped characters.
+ * Consecutive characters and characters at the start of words score higher.
+ * @param {string} term - The search term.
+ * @param {string} text - The text to search.
+ * @returns {number|null} The score, higher is better, or null if the term does not match.
+ * @example
+ * fuzzyScore('bml', 'Buy milk'); // a positive score
+ * fuzzyScore('xyz', 'Buy milk'); // null
+ */
+export function fuzzyScore(term, text) {
+  const needle = fold(term).trim();
+  const haystack = fold(text);
+  if (!needle) {
+    return 0;
+  }
+
+  const exact = haystack.indexOf(needle);
+  if (exact !== -1) {
+    return needle.length * 4 + (exact === 0 || /\W/.test(haystack[exact - 1]) ? 4 : 0);
+  }
+
+  let score = 0;
+  let position = -1;
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) {
+      return null;
+    }
+
+    score += 1;
+    if (next === position + 1) {
+      score += 2;
+    }
+    if (next === 0 || /\W/.test(haystack[next - 1])) {
+      score += 2;
+    }
+    position = next;
+  }
+
+  return score;
+}
+
+/**
+ * Scores a todo against a search. Every word of the search must match the title or the notes.
+ * @param {Object} todo - The todo.
+ * @param {string} search - The search text.
+ * @returns {number|null} The score, or null if some word does not match.
+ */
+export function searchScore(todo, search) {
+  const words = fold(search).split(/\s+/).filter(Boolean);
+  let total = 0;
+
+  for (const word of words) {
+    const title = fuzzyScore(word, todo.title || '');
+    const notes = fuzzyScore(word, todo.notes || '');
+    if (title === null && notes === null) {
+      return null;
+    }
+
+    // Matches in the title count double.
+    total += Math.max(title === null ? 0 : title * 2, notes ?? 0);
+  }
+
+  return total;
+}
+
+/**
+ * Fills in and validates a partial query. Unknown values fall back to the defaults.
+ * @param {Object} [query={}] - The partial query.
+ * @returns {TodoQuery} The complete query.
+ */
+export function normalizeQuery(query = {}) {
+  const tags = Array.isArray(query.tags) ? query.tags : String(query.tags || '').split(',');
+
+  return {
+    filter: Object.values(QUERY_FILTERS).includes(query.filter) ? query.filter : DEFAULT_QUERY.filter,
+    search: typeof query.search === 'string' ? query.search : DEFAULT_QUERY.search,
+    tags: [...new Set(tags.map((tag) => String(tag).trim()).filter(Boolean))],
+    sort: Object.values(QUERY_SORTS).includes(query.sort) ? query.sort : DEFAULT_QUERY.sort,
+    reverse: query.reverse === true || query.reverse === '1' || query.reverse === 'true',
+  };
+}
+
+/**
+ * Reads a query from URL parameters.
+ * @param {Object<string, string>|URLSearchParams} [params={}] - The parameters, e.g. `router.current.query`.
+ * @returns {TodoQuery} The query.
+ * @example
+ * parseQuery({ filter: 'active', q: 'milk' }); // { filter: 'active', search: 'milk', tags: [], ... }
+ */
+export function parseQuery(params = {}) {
+  const values = params instanceof URLSearchParams ? Object.fromEntries(params) : params;
+
+  return normalizeQuery({ ...values, search: values.q });
+}
+
+/**
+ * Writes a query as URL parameters, leaving out what matches the default query.
+ * @param {Object} query - The query.
+ * @returns {Object<string, string>} The parameters.
+ * @example
+ * serializeQuery({ filter: 'active', search: 'milk' }); // { filter: 'active', q: 'milk' }
+ */
+export function serializeQuery(query) {
+  const { filter, search, tags, sort, reverse } = normalizeQuery(query);
+  const params = {};
+
+  if (filter !== DEFAULT_QUERY.filter) {
+    params.filter = filter;
+  }
+  if (search.trim()) {
+    params.q = search;
+  }
+  if (tags.length) {
+    params.tags = tags.join(',');
+  }
+  if (sort !== DEFAULT_QUERY.sort) {
+    params.sort = sort;
+  }
+  if (reverse) {
+    params.reverse = '1';
+  }
+
+  return params;
+}
+
+/**
+ * Checks whether a query leaves todos out, as opposed to only sorting them.
+ * @param {Object} query - The query.
+ * @returns {boolean} True if a filter, a search or tags are set.
+ */
+export function isFiltering(query) {
+  const { filter, search, tags } = normalizeQuery(query);
+
+  return filter !== QUERY_FILTERS.ALL || Boolean(search.trim()) || tags.length > 0;
+}
+
+const compareDue = (a, b) => {
+  if (!a.dueDate || !b.dueDate) {
+    return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+  }
+  return a.dueDate < b.dueDate ? -1 : Number(a.dueDate > b.dueDate);
+};
+
+const COMPARATORS = {
+  [QUERY_SORTS.DUE_DATE]: compareDue,
+  [QUERY_SORTS.PRIORITY]: (a, b) => (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0),
+  [QUERY_SORTS.CREATED]: (a, b) => (a.createdAt < b.createdAt ? 1 : -Number(a.createdAt > b.createdAt)),
+};
+
+/**
+ * Applies a query to todos.
+ * Todos are kept in their manual order unless a sort is chosen. While searching in manual order, the best
+ * matches come first. Ties keep the manual order, and `reverse` inverts the whole result.
+ * @param {Object[]} todos - The todos, in manual order.
+ * @param {Object} [query] - The query.
+ * @returns {Object[]} The todos that match, sorted.
+ * @example
+ * applyQuery(store.getAll(), { filter: 'active', sort: 'due' });
+ */
+export function applyQuery(todos, query = DEFAULT_QUERY) {
+  const { filter, search, tags, sort, reverse } = normalizeQuery(query);
+
+  const matches = [];
+  todos.forEach((todo, index) => {
+    if (filter === QUERY_FILTERS.ACTIVE && todo.completed) {
+      return;
+    }
+    if (filter === QUERY_FILTERS.COMPLETED && !todo.completed) {
+      return;
+    }
+    if (tags.length && !tags.every((tag) => todo.tags.includes(tag))) {
+      return;
+    }
+
+    const score = search.trim() ? searchScore(todo, search) : 0;
+    if (score !== null) {
+      matches.push({ todo, index, score });
+    }
+  });
+
+  const byField = COMPARATORS[sort];
+  const compare = byField ? (a, b) => byField(a.todo, b.todo) : (a, b) => b.score - a.score;
+  const direction = reverse ? -1 : 1;
+
+  return matches.sort((a, b) => direction * (compare(a, b) || a.index - b.index)).map(({ todo }) => todo);
+}
+
+/**
+ * @typedef {Object} TodoNode
+ * @property {Object} todo - The todo.
+ * @property {TodoNode[]} children - Its subtasks.
+ */
+
+/**
+ * Nests subtasks under their parents, keeping the order of the todos.
+ * A subtask whose parent is not in the todos (e.g. filtered out) stays at the top level.
+ * @param {Object[]} todos - The todos, e.g. the result of applyQuery.
+ * @returns {TodoNode[]} The top-level todos, with their subtasks.
+ * @example
+ * nestTodos(applyQuery(store.getAll(), query)).map(({ todo, children }) => ...);
+ */
+export function nestTodos(todos) {
+  const nodes = new Map(todos.map((todo) => [todo.id, { todo, children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = nodes.get(node.todo.parentId);
+    (parent && parent !== node ? parent.children : roots).push(node);
+  });
+
+  return roots;
+}
+
+/**
+ * Collects the tags used by todos, sorted alphabetically.
+ * @param {Object[]} todos - The todos.
+ * @returns {string[]} The distinct tags.
+ */
+export function collectTags(todos) {
+  return [...new Set(todos.flatMap((todo) => todo.tags))].sort((a, b) => a.localeCompare(b));
+}
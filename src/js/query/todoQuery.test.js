@@ -0,0 +1,196 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_QUERY,
+  QUERY_FILTERS,
+  QUERY_SORTS,
+  applyQuery,
+  collectTags,
+  fuzzyScore,
+  isFiltering,
+  nestTodos,
+  normalizeQuery,
+  parseQuery,
+  searchScore,
+  serializeQuery,
+} from './todoQuery';
+
+const todos = [
+  {
+    id: 'a',
+    title: 'Buy milk',
+    notes: 'Semi-skimmed',
+    completed: false,
+    tags: ['home', 'errands'],
+    priority: 'low',
+    dueDate: '2024-06-03',
+    createdAt: '2024-06-01T10:00:00.000Z',
+  },
+  {
+    id: 'b',
+    title: 'Write report',
+    notes: 'Quarterly numbers for the café',
+    completed: true,
+    tags: ['work'],
+    priority: 'high',
+    dueDate: '2024-06-02',
+    createdAt: '2024-06-01T11:00:00.000Z',
+  },
+  {
+    id: 'c',
+    title: 'Call mom',
+    notes: '',
+    completed: false,
+    tags: [],
+    priority: 'medium',
+    dueDate: null,
+    createdAt: '2024-06-01T09:00:00.000Z',
+  },
+  {
+    id: 'd',
+    title: 'Pay bills',
+    notes: 'Electricity, water',
+    completed: false,
+    tags: ['home'],
+    createdAt: '2024-06-01T12:00:00.000Z',
+  },
+];
+
+const ids = (result) => result.map((todo) => todo.id);
+
+describe('Test suite for the todo query layer', () => {
+  describe('Should score fuzzy matches', () => {
+    it('Matching characters in order, with gaps', () => {
+      expect(fuzzyScore('bml', 'Buy milk')).toBeGreaterThan(0);
+      expect(fuzzyScore('mlb', 'Buy milk')).toBeNull();
+    });
+
+    it('Ignoring case and accents', () => {
+      expect(fuzzyScore('CAFE', 'Café')).not.toBeNull();
+      expect(fuzzyScore('café', 'cafe')).not.toBeNull();
+    });
+
+    it('Preferring exact and word-start matches', () => {
+      expect(fuzzyScore('milk', 'Buy milk')).toBeGreaterThan(fuzzyScore('mlk', 'Buy milk'));
+      expect(fuzzyScore('milk', 'Buy milk')).toBeGreaterThan(fuzzyScore('ilk', 'Buy milk'));
+    });
+
+    it('Requiring every word in the title or the notes', () => {
+      expect(searchScore(todos[0], 'milk skimmed')).toBeGreaterThan(0);
+      expect(searchScore(todos[0], 'milk bread')).toBeNull();
+      expect(searchScore(todos[0], 'milk')).toBeGreaterThan(searchScore(todos[0], 'skimmed'));
+    });
+  });
+
+  describe('Should filter todos', () => {
+    it.each([
+      [QUERY_FILTERS.ALL, ['a', 'b', 'c', 'd']],
+      [QUERY_FILTERS.ACTIVE, ['a', 'c', 'd']],
+      [QUERY_FILTERS.COMPLETED, ['b']],
+    ])('By status %s', (filter, expected) => {
+      expect(ids(applyQuery(todos, { filter }))).toEqual(expected);
+    });
+
+    it('By tags, requiring all of them', () => {
+      expect(ids(applyQuery(todos, { tags: ['home'] }))).toEqual(['a', 'd']);
+      expect(ids(applyQuery(todos, { tags: ['home', 'errands'] }))).toEqual(['a']);
+    });
+
+    it('By search, best matches first', () => {
+      expect(ids(applyQuery(todos, { search: 'bill' }))).toEqual(['d']);
+      expect(ids(applyQuery(todos, { search: 'cafe' }))).toEqual(['b']);
+      expect(ids(applyQuery(todos, { search: 'm' }))).toEqual(['a', 'c', 'b']);
+    });
+
+    it('Combining every criterion', () => {
+      expect(ids(applyQuery(todos, { filter: 'active', tags: ['home'], search: 'pay' }))).toEqual(['d']);
+    });
+  });
+
+  describe('Should sort todos', () => {
+    it.each([
+      [QUERY_SORTS.MANUAL, ['a', 'b', 'c', 'd']],
+      [QUERY_SORTS.DUE_DATE, ['b', 'a', 'c', 'd']],
+      [QUERY_SORTS.PRIORITY, ['b', 'c', 'a', 'd']],
+      [QUERY_SORTS.CREATED, ['d', 'b', 'a', 'c']],
+    ])('By %s', (sort, expected) => {
+      expect(ids(applyQuery(todos, { sort }))).toEqual(expected);
+    });
+
+    it('In reverse', () => {
+      expect(ids(applyQuery(todos, { sort: QUERY_SORTS.DUE_DATE, reverse: true }))).toEqual(['d', 'c', 'a', 'b']);
+      expect(ids(applyQuery(todos, { reverse: true }))).toEqual(['d', 'c', 'b', 'a']);
+    });
+
+    it('Without changing the input', () => {
+      const input = [...todos];
+      applyQuery(input, { sort: QUERY_SORTS.CREATED });
+
+      expect(input).toEqual(todos);
+    });
+  });
+
+  it('Should normalize invalid queries to the defaults', () => {
+    expect(normalizeQuery({ filter: 'nope', sort: 'nope', tags: ' a, ,b,a ', reverse: 'yes', search: 3 })).toEqual({
+      ...DEFAULT_QUERY,
+      tags: ['a', 'b'],
+    });
+  });
+
+  describe('Should round-trip queries through URL parameters', () => {
+    it('Leaving out the defaults', () => {
+      expect(serializeQuery(DEFAULT_QUERY)).toEqual({});
+      expect(parseQuery({})).toEqual(DEFAULT_QUERY);
+    });
+
+    it('With every field', () => {
+      const query = { filter: 'active', search: 'buy milk', tags: ['home', 'work'], sort: 'due', reverse: true };
+      const params = serializeQuery(query);
+
+      expect(params).toEqual({ filter: 'active', q: 'buy milk', tags: 'home,work', sort: 'due', reverse: '1' });
+      expect(parseQuery(new URLSearchParams(params))).toEqual(query);
+    });
+  });
+
+  it('Should tell whether a query leaves todos out', () => {
+    expect(isFiltering(DEFAULT_QUERY)).toBe(false);
+    expect(isFiltering({ sort: 'due', reverse: true })).toBe(false);
+    expect(isFiltering({ search: ' ' })).toBe(false);
+    expect(isFiltering({ tags: ['home'] })).toBe(true);
+  });
+
+  describe('Should nest subtasks under their parents', () => {
+    const tree = [
+      { id: 'p', title: 'Parent' },
+      { id: 'c1', title: 'Child', parentId: 'p' },
+      { id: 'g', title: 'Grandchild', parentId: 'c1' },
+      { id: 'c2', title: 'Other child', parentId: 'p' },
+      { id: 'o', title: 'Other' },
+    ];
+    const titles = (nodes) => nodes.map(({ todo, children }) => [todo.id, titles(children)]);
+
+    it('Keeping the order', () => {
+      expect(titles(nestTodos(tree))).toEqual([
+        [
+          'p',
+          [
+            ['c1', [['g', []]]],
+            ['c2', []],
+          ],
+        ],
+        ['o', []],
+      ]);
+    });
+
+    it('Lifting subtasks whose parent is left out', () => {
+      expect(titles(nestTodos(tree.filter((todo) => todo.id !== 'p')))).toEqual([
+        ['c1', [['g', []]]],
+        ['c2', []],
+        ['o', []],
+      ]);
+    });
+  });
+
+  it('Should collect the tags in use', () => {
+    expect(collectTags(todos)).toEqual(['errands', 'home', 'work']);
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * Client-side router that renders BaseComponent views into regions of the page.
+ *
+ * Routes map paths such as `/lists/:id` to view classes. The view of the
+ * matching route is created and inserted in the `content` outlet, and routes
+ * can also fill other named outlets (e.g. `aside`) through `views`. The
+ * router works with the URL hash (`#/today`) or with the History API
+ * (`/today`), supports guards and redirects, renders a 404 view for unknown
+ * paths and marks the links pointing to the current path with
+ * `aria-current="page"`.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const router = new Router({
+ *   routes: [
+ *     { path: '/', redirect: '/today' },
+ *     { path: '/today', view: TodoPage, props: { heading: 'Today' } },
+ *     { path: '/lists/:id', view: TodoPage, guard: ({ params }) => lists.has(params.id) },
+ *   ],
+ *   outlets: { content: document.querySelector('#content') },
+ *   notFound: NotFoundPage,
+ * });
+ * router.start();
+ * router.navigate('/lists/inbox');
+ */
+
+/**
+ * Supported URL modes.
+ * @readonly
+ * @enum {string}
+ */
+export const ROUTER_MODES = Object.freeze({
+  HASH: 'hash',
+  HISTORY: 'history',
+});
+
+/**
+ * Names of the events dispatched by the router.
+ * @readonly
+ * @enum {string}
+ */
+export const ROUTER_EVENTS = Object.freeze({
+  CHANGE: 'route:change',
+});
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * Compiles a route path into a regular expression.
+ * Segments starting with `:` are parameters, and a trailing `*` matches the rest of the path.
+ * @param {string} path - The route path, e.g. `/lists/:id`.
+ * @returns {{ pattern: RegExp, keys: string[] }} The expression and the parameter names, in order.
+ * @example
+ * compilePath('/lists/:id'); // { pattern: /^\/lists\/([^/]+)\/?$/, keys: ['id'] }
+ */
+export function compilePath(path) {
+  const keys = [];
+  const source = path
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment === '*') {
+        keys.push('rest');
+        return '(?:/(.*))?';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '/([^/]+)';
+      }
+      return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    })
+    .join('');
+
+  return { pattern: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Splits a path into the pathname and the query parameters.
+ * @param {string} path - The path, e.g. `/today?sort=title`.
+ * @returns {{ pathname: string, query: Object<string, string> }} The parts.
+ */
+export function parsePath(path) {
+  const [pathname, search = ''] = path.split('?');
+
+  return {
+    pathname: pathname.startsWith('/') ? pathname : `/${pathname}`,
+    query: Object.fromEntries(new URLSearchParams(search)),
+  };
+}
+
+export class Router extends EventTarget {
+  /**
+   * Creates an instance of Router.
+   * @param {Object} options - Router options.
+   * @param {Object[]} options.routes - The routes, tried in order.
+   * @param {string} options.routes[].path - Path pattern, with `:param` segments.
+   * @param {Function} [options.routes[].view] - BaseComponent class rendered in the content outlet. Views receive
+   *   the `path`, `params` and `query` of the route as properties.
+   * @param {Object<string, Function>} [options.routes[].views] - BaseComponent classes for other outlets.
+   * @param {Object|function(Object): Object} [options.routes[].props] - Properties assigned to the views, or a
+   *   function building them from the navigation context.
+   * @param {string} [options.routes[].redirect] - Path to go to instead.
+   * @param {function(Object): (boolean|string|Promise<boolean|string>)|Function[]} [options.routes[].guard] -
+   *   Called before entering the route with the navigation context. Returning false cancels the
+   *   navigation and returning a path redirects to it.
+   * @param {string|function(Object): string} [options.routes[].title] - Document title.
+   * @param {Object<string, Element>} options.outlets - Regions where views are rendered, `content` included.
+   * @param {Function} [options.notFound] - BaseComponent class rendered when no route matches.
+   * @param {string} [options.mode='hash'] - One of ROUTER_MODES.
+   * @param {string} [options.base=''] - Path prefix of the app in History mode.
+   * @param {Window} [options.window=window] - The window whose location is used.
+   * @param {ParentNode} [options.linkRoot] - Where links are marked with `aria-current`. Defaults to the document.
+   * @throws Will throw an error if the routes, the content outlet or the mode are not valid.
+   */
+  constructor({
+    routes,
+    outlets,
+    notFound = null,
+    mode = ROUTER_MODES.HASH,
+    base = '',
+    window: win = globalThis.window,
+    linkRoot = win?.document,
+  } = {}) {
+    super();
+    if (!Array.isArray(routes)) {
+      throw new Error('Define valid routes');
+    }
+    if (!outlets?.content) {
+      throw new Error('Define a valid content outlet');
+    }
+    if (!Object.values(ROUTER_MODES).includes(mode)) {
+      throw new Error(`Define a valid router mode: ${Object.values(ROUTER_MODES).join(', ')}`);
+    }
+
+    this._routes = routes.map((route) => ({ ...route, ...compilePath(route.path) }));
+    this._outlets = outlets;
+    this._notFound = notFound;
+    this._mode = mode;
+    this._base = base.replace(/\/$/, '');
+    this._window = win;
+    this._linkRoot = linkRoot;
+    this._current = null;
+    this._views = new Map();
+    this._navigationId = 0;
+    this._abortController = null;
+  }
+
+  /**
+   * The current route, or null before the first navigation.
+   * @returns {{ path: string, pathname: string, params: Object, query: Object, route: Object|null }|null}
+   */
+  get current() {
+    return this._current;
+  }
+
+  /**
+   * Starts listening to URL changes and renders the route of the current URL.
+   * A URL whose navigation fails, e.g. because its redirects loop, renders the 404 view.
+   * @returns {Promise<boolean>} Resolves when the first route is rendered.
+   */
+  start() {
+    if (!this._abortController) {
+      this._abortController = new AbortController();
+      const { signal } = this._abortController;
+
+      if (this._mode === ROUTER_MODES.HASH) {
+        this._window.addEventListener('hashchange', () => this._followUrl('pop'), { signal });
+      } else {
+        this._window.addEventListener('popstate', () => this._followUrl('pop'), { signal });
+        this._window.document.addEventListener('click', (event) => this._onLinkClick(event), { signal });
+      }
+    }
+
+    return this._followUrl('replace');
+  }
+
+  /**
+   * Stops listening to URL changes. The rendered views are kept.
+   */
+  stop() {
+    this._abortController?.abort();
+    this._abortController = null;
+  }
+
+  /**
+   * Reads the app path from the URL.
+   * @returns {string} The path with its query string, e.g. `/lists/inbox?sort=title`.
+   */
+  getPath() {
+    const { location } = this._window;
+
+    if (this._mode === ROUTER_MODES.HASH) {
+      return location.hash.slice(1) || '/';
+    }
+
+    const pathname = location.pathname.startsWith(this._base)
+      ? location.pathname.slice(this._base.length)
+      : location.pathname;
+    return `${pathname || '/'}${location.search}`;
+  }
+
+  /**
+   * Builds the href of a path for the current mode.
+   * @param {string} path - The app path.
+   * @returns {string} The href, e.g. `#/today` or `/app/today`.
+   * @example
+   * router.href('/today'); // '#/today' in hash mode
+   */
+  href(path) {
+    return this._mode === ROUTER_MODES.HASH ? `#${path}` : `${this._base}${path}`;
+  }
+
+  /**
+   * Finds the route matching a path.
+   * @param {string} path - The app path.
+   * @returns {{ route: Object, params: Object<string, string> }|null} The route and its parameters, or null
+   * when no route matches or a parameter is not valid percent-encoding, e.g. `/lists/%E0`.
+   */
+  match(path) {
+    const { pathname } = parsePath(path);
+
+    for (const route of this._routes) {
+      const result = route.pattern.exec(pathname);
+      if (result) {
+        try {
+          const params = Object.fromEntries(
+            route.keys.map((key, index) => [
+              key,
+              result[index + 1] === undefined ? '' : decodeURIComponent(result[index + 1]),
+            ]),
+          );
+          return { route, params };
+        } catch (error) {
+          if (!(error instanceof URIError)) {
+            throw error;
+          }
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether a link points to the current path.
+   * @param {string} href - The href of the link.
+   * @returns {boolean} True if the link is active.
+   * @example
+   * header.items = items.map((item) => ({ ...item, current: router.isActive(item.href) }));
+   */
+  isActive(href) {
+    const path = this._toPath(href);
+
+    return Boolean(this._current && path !== null && parsePath(path).pathname === this._current.pathname);
+  }
+
+  /**
+   * Goes to a path, adding an entry to the browser history.
+   * @param {string} path - The app path, e.g. `/lists/inbox`.
+   * @param {Object} [options] - Navigation options.
+   * @param {boolean} [options.replace=false] - Replaces the current history entry instead.
+   * @returns {Promise<boolean>} Resolves to true if the navigation happened, false if it was cancelled or superseded.
+   * @example
+   * await router.navigate('/completed');
+   */
+  navigate(path, { replace = false } = {}) {
+    return this._transition(path, replace ? 'replace' : 'push');
+  }
+
+  /**
+   * Replaces the query string of the current path, e.g. to reflect filters in the URL.
+   * @param {Object<string, string>} query - The new query parameters. Empty values are left out.
+   * @param {Object} [options] - Navigation options.
+   * @param {boolean} [options.replace=true] - Replaces the current history entry instead of adding one.
+   * @returns {Promise<boolean>} Resolves to true if the navigation happened.
+   * @example
+   * router.setQuery({ filter: 'active', q: 'milk' }); // #/lists/inbox?filter=active&q=milk
+   */
+  setQuery(query, { replace = true } = {}) {
+    const params = new URLSearchParams(
+      Object.entries(query).filter(([, value]) => value !== '' && value !== null && value !== undefined),
+    );
+    const search = params.toString();
+
+    return this.navigate(`${this._current?.pathname || '/'}${search ? `?${search}` : ''}`, { replace });
+  }
+
+  /**
+   * Marks the links pointing to the current path with `aria-current="page"` and unmarks the others.
+   * Links rendered by templates are patched back on their next update, so components should rely on
+   * `isActive` instead.
+   * @param {ParentNode} [root] - Where to look for links. Defaults to the link root of the router.
+   */
+  updateLinks(root = this._linkRoot) {
+    root?.querySelectorAll('a[href]').forEach((link) => {
+      if (this.isActive(link.getAttribute('href'))) {
+        link.setAttribute('aria-current', 'page');
+      } else if (link.getAttribute('aria-current') === 'page') {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  async _transition(path, source, redirects = 0) {
+    const navigationId = ++this._navigationId;
+    const { pathname, query } = parsePath(path);
+    const matched = this.match(path);
+    const context = {
+      path,
+      pathname,
+      query,
+      params: matched?.params || {},
+      route: matched?.route || null,
+      from: this._current,
+    };
+
+    let result = matched?.route.redirect || true;
+    if (result === true && matched?.route.guard) {
+      result = await this._runGuards(matched.route.guard, context);
+      if (navigationId !== this._navigationId) {
+        return false;
+      }
+    }
+
+    if (typeof result === 'string') {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects while navigating to "${path}"`);
+      }
+      return this._transition(result, source === 'push' ? 'push' : 'replace', redirects + 1);
+    }
+
+    if (result === false) {
+      if (source === 'pop' && this._current) {
+        this._writeUrl(this._current.path, 'replace');
+      }
+      return false;
+    }
+
+    this._writeUrl(path, source);
+    this._enter(context);
+    return true;
+  }
+
+  _enter(context) {
+    this._current = context;
+    this._render(context);
+
+    const title = context.route?.title;
+    if (title) {
+      this._window.document.title = typeof title === 'function' ? title(context) : title;
+    }
+
+    this.updateLinks();
+    this.dispatchEvent(new CustomEvent(ROUTER_EVENTS.CHANGE, { detail: context }));
+  }
+
+  // Renders the route of the URL. Nothing awaits the URL listeners, so a navigation that fails renders the
+  // 404 view instead of leaving the previous view in place.
+  async _followUrl(source) {
+    const path = this.getPath();
+    try {
+      return await this._transition(path, source);
+    } catch (error) {
+      console.error(`Could not navigate to "${path}".`, error);
+      const { pathname, query } = parsePath(path);
+      this._navigationId += 1;
+      this._enter({ path, pathname, query, params: {}, route: null, from: this._current });
+      return false;
+    }
+  }
+
+  async _runGuards(guard, context) {
+    for (const check of [].concat(guard)) {
+      const result = await check(context);
+      if (result === false || typeof result === 'string') {
+        return result;
+      }
+    }
+
+    return true;
+  }
+
+  _writeUrl(path, source) {
+    if (source === 'pop' || path === this.getPath()) {
+      return;
+    }
+
+    const { history } = this._window;
+    const method = source === 'replace' ? 'replaceState' : 'pushState';
+    history[method](history.state, '', this.href(path));
+  }
+
+  _render(context) {
+    const { route } = context;
+    const views = route ? { ...route.views, ...(route.view && { content: route.view }) } : { content: this._notFound };
+    const props = {
+      ...(typeof route?.props === 'function' ? route.props(context) : route?.props),
+      path: context.pathname,
+      params: context.params,
+      query: context.query,
+    };
+
+    Object.entries(views).forEach(([outletName, View]) => {
+      const outlet = this._outlets[outletName];
+      if (!outlet) {
+        console.warn(`Router outlet "${outletName}" is not defined.`);
+        return;
+      }
+
+      if (!View) {
+        outlet.replaceChildren();
+        this._views.delete(outletName);
+        return;
+      }
+
+      // A view of the same class is updated in place, e.g. from /lists/a to /lists/b, or a sidebar shared by routes.
+      const previous = this._views.get(outletName);
+      if (previous?.View === View) {
+        Object.assign(previous.view, props);
+        return;
+      }
+
+      const view = Object.assign(new View(), props);
+      outlet.replaceChildren(view);
+      this._views.set(outletName, { View, view });
+    });
+  }
+
+  _toPath(href) {
+    if (href === null || href === undefined) {
+      return null;
+    }
+
+    if (this._mode === ROUTER_MODES.HASH) {
+      return href.startsWith('#') ? href.slice(1) || '/' : null;
+    }
+
+    const url = new URL(href, this._window.location.href);
+    if (url.origin !== this._window.location.origin || !url.pathname.startsWith(this._base)) {
+      return null;
+    }
+    return `${url.pathname.slice(this._base.length) || '/'}${url.search}`;
+  }
+
+  _onLinkClick(event) {
+    const link = event.composedPath().find((node) => node instanceof Element && node.matches('a[href]'));
+    if (
+      !link ||
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey ||
+      link.hasAttribute('download') ||
+      (link.target && link.target !== '_self')
+    ) {
+      return;
+    }
+
+    const path = this._toPath(link.getAttribute('href'));
+    if (path !== null) {
+      event.preventDefault();
+      this.navigate(path);
+    }
+  }
+}
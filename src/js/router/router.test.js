@@ -0,0 +1,455 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ROUTER_EVENTS, ROUTER_MODES, Router, compilePath, parsePath } from './router';
+import { BaseComponent } from '../../components/shared/baseComponent/baseComponent';
+
+class HomeView extends BaseComponent {
+  constructor() {
+    super('div');
+  }
+}
+
+class ListView extends BaseComponent {
+  constructor() {
+    super('div');
+  }
+}
+
+class SideView extends BaseComponent {
+  constructor() {
+    super('nav');
+  }
+}
+
+class MissingView extends BaseComponent {
+  constructor() {
+    super('div');
+  }
+}
+
+const nextEvent = (target, type) => new Promise((resolve) => target.addEventListener(type, resolve, { once: true }));
+
+describe('Test suite for the Router class', () => {
+  let content;
+  let aside;
+  let router;
+
+  const createRouter = (options = {}) =>
+    new Router({
+      routes: [
+        { path: '/', redirect: '/home' },
+        { path: '/home', view: HomeView, title: 'Home', views: { aside: SideView } },
+        {
+          path: '/lists/:id',
+          view: ListView,
+          views: { aside: SideView },
+          props: ({ params }) => ({ heading: `List ${params.id}` }),
+          title: ({ params }) => `List ${params.id}`,
+        },
+        { path: '/private', view: HomeView, guard: () => false },
+        { path: '/old', view: HomeView, guard: () => '/lists/legacy' },
+      ],
+      outlets: { content, aside },
+      notFound: MissingView,
+      ...options,
+    });
+
+  beforeAll(() => {
+    customElements.define('router-home-view', HomeView);
+    customElements.define('router-list-view', ListView);
+    customElements.define('router-side-view', SideView);
+    customElements.define('router-missing-view', MissingView);
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav>
+        <a href="#/home">Home</a>
+        <a href="#/lists/inbox">Inbox</a>
+        <a href="/lists/inbox">Inbox (history)</a>
+      </nav>
+      <div id="aside"></div>
+      <div id="content"></div>
+    `;
+    content = document.querySelector('#content');
+    aside = document.querySelector('#aside');
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    router?.stop();
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+  });
+
+  describe('Should compile route paths', () => {
+    it.each([
+      ['/lists/:id', '/lists/inbox', { id: 'inbox' }],
+      ['/lists/:id', '/lists/inbox/', { id: 'inbox' }],
+      ['/lists/:id/todos/:todoId', '/lists/a/todos/b', { id: 'a', todoId: 'b' }],
+      ['/files/*', '/files/a/b', { rest: 'a/b' }],
+      ['/', '/', {}],
+    ])('%s with %s', (path, pathname, params) => {
+      const { pattern, keys } = compilePath(path);
+      const result = pattern.exec(pathname);
+
+      expect(Object.fromEntries(keys.map((key, index) => [key, result[index + 1]]))).toEqual(params);
+    });
+
+    it('Without matching other paths', () => {
+      expect(compilePath('/lists/:id').pattern.test('/lists')).toBe(false);
+      expect(compilePath('/lists/:id').pattern.test('/lists/a/b')).toBe(false);
+      expect(compilePath('/a.b').pattern.test('/axb')).toBe(false);
+    });
+  });
+
+  it('Should parse the query string of a path', () => {
+    expect(parsePath('/today?sort=title&q=milk')).toEqual({ pathname: '/today', query: { sort: 'title', q: 'milk' } });
+    expect(parsePath('today')).toEqual({ pathname: '/today', query: {} });
+  });
+
+  describe('Should validate the options', () => {
+    it('Without routes', () => {
+      expect(() => new Router({ outlets: { content } })).toThrow('Define valid routes');
+    });
+
+    it('Without a content outlet', () => {
+      expect(() => new Router({ routes: [], outlets: {} })).toThrow('Define a valid content outlet');
+    });
+
+    it('With an unknown mode', () => {
+      expect(() => new Router({ routes: [], outlets: { content }, mode: 'memory' })).toThrow(
+        'Define a valid router mode: hash, history',
+      );
+    });
+  });
+
+  it('Should match routes and decode params', () => {
+    router = createRouter();
+
+    expect(router.match('/lists/my%20list?sort=title')).toMatchObject({ params: { id: 'my list' } });
+    expect(router.match('/nowhere')).toBeNull();
+    expect(router.match('/lists/%E0')).toBeNull();
+  });
+
+  describe('In hash mode', () => {
+    beforeEach(() => {
+      router = createRouter();
+    });
+
+    it('Should render the route of the current URL on start', async () => {
+      window.location.hash = '#/lists/inbox';
+
+      await router.start();
+
+      expect(content.firstElementChild).toBeInstanceOf(ListView);
+      expect(content.firstElementChild.params).toEqual({ id: 'inbox' });
+      expect(content.firstElementChild.heading).toBe('List inbox');
+      expect(aside.firstElementChild).toBeInstanceOf(SideView);
+      expect(document.title).toBe('List inbox');
+    });
+
+    it('Should follow redirects and replace the URL', async () => {
+      await router.start();
+
+      expect(window.location.hash).toBe('#/home');
+      expect(content.firstElementChild).toBeInstanceOf(HomeView);
+    });
+
+    it('Should navigate and update the hash', async () => {
+      await router.start();
+      const onChange = vi.fn();
+      router.addEventListener(ROUTER_EVENTS.CHANGE, (event) => onChange(event.detail));
+
+      expect(await router.navigate('/lists/work?sort=title')).toBe(true);
+
+      expect(window.location.hash).toBe('#/lists/work?sort=title');
+      expect(router.current).toMatchObject({
+        path: '/lists/work?sort=title',
+        pathname: '/lists/work',
+        params: { id: 'work' },
+        query: { sort: 'title' },
+      });
+      expect(content.firstElementChild.query).toEqual({ sort: 'title' });
+      expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ pathname: '/lists/work' }));
+    });
+
+    it('Should react to hash changes', async () => {
+      await router.start();
+
+      window.location.hash = '#/lists/inbox';
+      await nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+      expect(content.firstElementChild).toBeInstanceOf(ListView);
+    });
+
+    it('Should reuse the view when only the params change', async () => {
+      await router.navigate('/lists/a');
+      const view = content.firstElementChild;
+      const sideView = aside.firstElementChild;
+
+      await router.navigate('/lists/b');
+
+      expect(content.firstElementChild).toBe(view);
+      expect(view.params).toEqual({ id: 'b' });
+      expect(view.heading).toBe('List b');
+
+      await router.navigate('/home');
+
+      expect(content.firstElementChild).not.toBe(view);
+      expect(aside.firstElementChild).toBe(sideView);
+    });
+
+    it('Should render the 404 view for unknown paths', async () => {
+      await router.navigate('/nowhere');
+
+      expect(content.firstElementChild).toBeInstanceOf(MissingView);
+      expect(content.firstElementChild.path).toBe('/nowhere');
+      expect(router.current.route).toBeNull();
+    });
+
+    it('Should empty the content when no 404 view is defined', async () => {
+      router = createRouter({ notFound: null });
+      await router.navigate('/home');
+
+      await router.navigate('/nowhere');
+
+      expect(content.children).toHaveLength(0);
+    });
+
+    describe('Should run guards', () => {
+      it('Cancelling the navigation when a guard returns false', async () => {
+        await router.navigate('/home');
+
+        expect(await router.navigate('/private')).toBe(false);
+
+        expect(window.location.hash).toBe('#/home');
+        expect(content.firstElementChild).toBeInstanceOf(HomeView);
+      });
+
+      it('Restoring the URL when a hash change is cancelled', async () => {
+        await router.start();
+
+        window.location.hash = '#/private';
+        await nextEvent(window, 'hashchange');
+        await Promise.resolve();
+
+        expect(window.location.hash).toBe('#/home');
+        expect(router.current.pathname).toBe('/home');
+      });
+
+      it('Redirecting when a guard returns a path', async () => {
+        await router.navigate('/old');
+
+        expect(router.current.pathname).toBe('/lists/legacy');
+        expect(window.location.hash).toBe('#/lists/legacy');
+      });
+
+      it('Waiting for async guards, with the navigation context', async () => {
+        const guard = vi.fn(async () => true);
+        router = new Router({ routes: [{ path: '/lists/:id', view: ListView, guard: [guard] }], outlets: { content } });
+        await router.navigate('/lists/inbox?sort=title');
+
+        expect(guard).toHaveBeenCalledWith(
+          expect.objectContaining({ params: { id: 'inbox' }, query: { sort: 'title' }, from: null }),
+        );
+        expect(content.firstElementChild).toBeInstanceOf(ListView);
+      });
+
+      it('Ignoring a navigation superseded while its guard runs', async () => {
+        let release;
+        const guard = () => new Promise((resolve) => (release = resolve));
+        router = new Router({
+          routes: [
+            { path: '/slow', view: ListView, guard },
+            { path: '/home', view: HomeView },
+          ],
+          outlets: { content },
+        });
+
+        const slow = router.navigate('/slow');
+        await router.navigate('/home');
+        release(true);
+
+        expect(await slow).toBe(false);
+        expect(content.firstElementChild).toBeInstanceOf(HomeView);
+      });
+    });
+
+    it('Should throw on redirect loops', async () => {
+      router = new Router({
+        routes: [
+          { path: '/a', redirect: '/b' },
+          { path: '/b', redirect: '/a' },
+        ],
+        outlets: { content },
+      });
+
+      await expect(router.navigate('/a')).rejects.toThrow('Too many redirects while navigating to "/a"');
+    });
+
+    it('Should render the 404 view for a malformed URL', async () => {
+      await router.start();
+
+      window.location.hash = '#/lists/%E0';
+      await nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+      expect(content.firstElementChild).toBeInstanceOf(MissingView);
+      expect(router.current).toMatchObject({ pathname: '/lists/%E0', route: null });
+    });
+
+    it('Should render the 404 view when the redirects of a URL loop', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      router = createRouter({
+        routes: [
+          { path: '/home', view: HomeView },
+          { path: '/a', redirect: '/b' },
+          { path: '/b', redirect: '/a' },
+        ],
+      });
+      window.location.hash = '#/home';
+      await router.start();
+
+      window.location.hash = '#/a';
+      await nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+      expect(content.firstElementChild).toBeInstanceOf(MissingView);
+      expect(router.current).toMatchObject({ path: '/a', route: null });
+      expect(consoleError).toHaveBeenCalledWith('Could not navigate to "/a".', expect.any(Error));
+      consoleError.mockRestore();
+    });
+
+    it('Should mark the links of the current path with aria-current', async () => {
+      await router.navigate('/lists/inbox');
+      const [home, inbox, historyInbox] = document.querySelectorAll('a');
+
+      expect(inbox.getAttribute('aria-current')).toBe('page');
+      expect(home.hasAttribute('aria-current')).toBe(false);
+      expect(historyInbox.hasAttribute('aria-current')).toBe(false);
+      expect(router.isActive('#/lists/inbox?sort=title')).toBe(true);
+
+      await router.navigate('/home');
+
+      expect(inbox.hasAttribute('aria-current')).toBe(false);
+      expect(home.getAttribute('aria-current')).toBe('page');
+    });
+
+    it('Should replace the query string of the current path', async () => {
+      await router.navigate('/lists/inbox?sort=title');
+      const length = window.history.length;
+
+      await router.setQuery({ filter: 'active', q: 'buy milk', tags: '' });
+
+      expect(window.location.hash).toBe('#/lists/inbox?filter=active&q=buy+milk');
+      expect(router.current.query).toEqual({ filter: 'active', q: 'buy milk' });
+      expect(window.history.length).toBe(length);
+
+      await router.setQuery({});
+
+      expect(window.location.hash).toBe('#/lists/inbox');
+    });
+
+    it('Should build hrefs', () => {
+      expect(router.href('/today')).toBe('#/today');
+    });
+  });
+
+  describe('In History mode', () => {
+    beforeEach(() => {
+      router = createRouter({ mode: ROUTER_MODES.HISTORY, base: '/app/' });
+    });
+
+    it('Should read the path under the base', async () => {
+      window.history.replaceState(null, '', '/app/lists/inbox?sort=title');
+
+      await router.start();
+
+      expect(router.current).toMatchObject({ pathname: '/lists/inbox', query: { sort: 'title' } });
+    });
+
+    it('Should push history entries', async () => {
+      await router.start();
+      const length = window.history.length;
+
+      await router.navigate('/lists/work');
+
+      expect(window.location.pathname).toBe('/app/lists/work');
+      expect(window.history.length).toBe(length + 1);
+      expect(router.href('/today')).toBe('/app/today');
+    });
+
+    it('Should replace history entries', async () => {
+      await router.start();
+      const length = window.history.length;
+
+      await router.navigate('/lists/work', { replace: true });
+
+      expect(window.history.length).toBe(length);
+    });
+
+    it('Should react to popstate', async () => {
+      await router.start();
+      window.history.pushState(null, '', '/app/lists/inbox');
+
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      await nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+      expect(content.firstElementChild).toBeInstanceOf(ListView);
+    });
+
+    describe('Should intercept link clicks', () => {
+      // Records whether the router handled the click, then stops jsdom from following the link.
+      const click = (link, options = {}) => {
+        let handled = false;
+        const onClick = (event) => {
+          handled = event.defaultPrevented;
+          event.preventDefault();
+        };
+        window.addEventListener('click', onClick, { once: true });
+        link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, composed: true, ...options }));
+        return handled;
+      };
+
+      beforeEach(async () => {
+        await router.start();
+        document.querySelector('nav').innerHTML = `
+          <a href="/app/lists/inbox">Inbox</a>
+          <a href="/app/lists/inbox" target="_blank">New tab</a>
+          <a href="https://example.com/app/lists/inbox">External</a>
+          <a href="/elsewhere">Outside the app</a>
+        `;
+      });
+
+      it('For links inside the app', async () => {
+        const changed = nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+        expect(click(document.querySelector('a'))).toBe(true);
+        await changed;
+
+        expect(window.location.pathname).toBe('/app/lists/inbox');
+        expect(document.querySelector('a').getAttribute('aria-current')).toBe('page');
+      });
+
+      it('For links inside shadow roots', async () => {
+        const host = document.createElement('div');
+        host.attachShadow({ mode: 'open' }).innerHTML = '<a href="/app/lists/shadow">Shadow</a>';
+        document.body.appendChild(host);
+
+        const changed = nextEvent(router, ROUTER_EVENTS.CHANGE);
+
+        expect(click(host.shadowRoot.querySelector('a'))).toBe(true);
+        await changed;
+
+        expect(router.current.params).toEqual({ id: 'shadow' });
+      });
+
+      it.each([
+        ['with a modifier key', 0, { ctrlKey: true }],
+        ['with a target', 1, {}],
+        ['to another origin', 2, {}],
+        ['outside the base', 3, {}],
+      ])('Except %s', (_, index, options) => {
+        expect(click(document.querySelectorAll('a')[index], options)).toBe(false);
+      });
+    });
+  });
+});
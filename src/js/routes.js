@@ -0,0 +1,62 @@
+import { TodoPage } from '@web-component/pages/todoPage/todoPage.js';
+import { DUE_STATUS, getDueStatus } from './schedule/dueDate.js';
+import { t } from './i18n/i18n.js';
+
+/**
+ * Links shown in the header navigation, with the message key of their label.
+ * @type {{ label: string, href: string }[]}
+ */
+export const NAV_ITEMS = [
+  { label: 'nav.today', href: '#/today' },
+  { label: 'nav.completed', href: '#/completed' },
+];
+
+// Kept the same between renders, so translating a page does not filter its todos again.
+const isDueToday = (todo) => [DUE_STATUS.OVERDUE, DUE_STATUS.TODAY].includes(getDueStatus(todo));
+const isCompleted = (todo) => todo.completed;
+
+/**
+ * Builds the routes of the app. Titles and texts are translated each time a page is rendered.
+ * @param {Object} options - Route options.
+ * @param {Workspace} options.workspace - The lists and todos shown by the pages.
+ * @returns {Object[]} The routes, see Router.
+ */
+export function createRoutes({ workspace }) {
+  return [
+    { path: '/', guard: () => `/lists/${workspace.defaultListId}` },
+    {
+      path: '/today',
+      view: TodoPage,
+      title: () => t('app.pageTitle', { page: t('nav.today') }),
+      props: () => ({
+        store: workspace,
+        heading: t('nav.today'),
+        emptyText: t('routes.today.empty'),
+        filter: isDueToday,
+      }),
+    },
+    {
+      path: '/completed',
+      view: TodoPage,
+      title: () => t('app.pageTitle', { page: t('nav.completed') }),
+      props: () => ({
+        store: workspace,
+        heading: t('nav.completed'),
+        emptyText: t('routes.completed.empty'),
+        filter: isCompleted,
+      }),
+    },
+    {
+      path: '/lists/:id',
+      view: TodoPage,
+      guard: ({ params }) => Boolean(workspace.lists.get(params.id)) || `/lists/${workspace.defaultListId}`,
+      title: ({ params }) => t('app.pageTitle', { page: workspace.lists.get(params.id).name }),
+      props: ({ params }) => ({
+        store: workspace.getTodoStore(params.id),
+        heading: workspace.lists.get(params.id).name,
+        emptyText: t('routes.list.empty'),
+        filter: null,
+      }),
+    },
+  ];
+}
@@ -0,0 +1,193 @@
+/**
+ * Calendar dates for due dates, free of timezone shifts.
+ *
+ * A due date is a calendar day, not an instant: "due on June 3" means June 3
+ * wherever the user is. It is stored as a `YYYY-MM-DD` key and every
+ * calculation is done on the UTC calendar, so neither the timezone of the
+ * browser nor daylight saving changes can move it to another day. Only
+ * "today" depends on a timezone, see `toDateKey`.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const today = toDateKey(new Date());
+ * addDays(today, 1); // tomorrow
+ * getDueStatus({ dueDate: '2024-06-01', completed: false }, '2024-06-03'); // 'overdue'
+ */
+
+/**
+ * How a todo relates to its due date.
+ * @readonly
+ * @enum {string}
+ */
+export const DUE_STATUS = Object.freeze({
+  OVERDUE: 'overdue',
+  TODAY: 'today',
+  UPCOMING: 'upcoming',
+});
+
+const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Converts a UTC date back into a date key.
+ * @param {Date} date - A date at midnight UTC.
+ * @returns {string} The date key.
+ */
+const fromUTCDate = (date) =>
+  `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Checks whether a value is a date key of an existing day.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for keys such as `2024-02-29`, false for `2023-02-29` or `2024-6-1`.
+ */
+export function isDateKey(value) {
+  const match = typeof value === 'string' && DATE_KEY.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Parses a date key into a date at midnight UTC.
+ * @param {string} key - The date key.
+ * @returns {Date} The date.
+ * @throws Will throw an error if the key is not valid.
+ */
+export function parseDateKey(key) {
+  if (!isDateKey(key)) {
+    throw new Error(`Define a valid date (YYYY-MM-DD). Received "${key}"`);
+  }
+
+  const [year, month, day] = key.split('-').map(Number);
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Gets the calendar day of an instant, in the local timezone or in the given one.
+ * @param {Date} [date=new Date()] - The instant.
+ * @param {string} [timeZone] - An IANA timezone, e.g. `America/Sao_Paulo`. Defaults to the local timezone.
+ * @returns {string} The date key.
+ * @example
+ * toDateKey(new Date('2024-06-01T02:00:00Z'), 'America/Sao_Paulo'); // '2024-05-31'
+ */
+export function toDateKey(date = new Date(), timeZone) {
+  if (!timeZone) {
+    return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  return `${pad(parts.year, 4)}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Adds days to a date key.
+ * @param {string} key - The date key.
+ * @param {number} days - The number of days, negative to go back.
+ * @returns {string} The new date key.
+ */
+export function addDays(key, days) {
+  return fromUTCDate(new Date(parseDateKey(key).getTime() + days * DAY));
+}
+
+/**
+ * Adds months to a date key, keeping the day of the month when it exists.
+ * Otherwise the date moves to the last day of the month, so Jan 31 + 1 month is Feb 28 (or 29).
+ * @param {string} key - The date key.
+ * @param {number} months - The number of months, negative to go back.
+ * @returns {string} The new date key.
+ */
+export function addMonths(key, months) {
+  const date = parseDateKey(key);
+  const target = date.getUTCMonth() + months;
+  const day = Math.min(date.getUTCDate(), getDaysInMonth(date.getUTCFullYear(), target));
+
+  return fromUTCDate(new Date(Date.UTC(date.getUTCFullYear(), target, day)));
+}
+
+/**
+ * Gets the number of days of a month.
+ * @param {number} year - The year.
+ * @param {number} month - The month, from 0 (January). Out of range values roll over to other years.
+ * @returns {number} The number of days.
+ */
+export function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Gets the day of the week of a date key.
+ * @param {string} key - The date key.
+ * @returns {number} The day of the week, from 0 (Sunday) to 6 (Saturday).
+ */
+export function getWeekday(key) {
+  return parseDateKey(key).getUTCDay();
+}
+
+/**
+ * Counts the days from one date key to another.
+ * @param {string} from - The start date key.
+ * @param {string} to - The end date key.
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / DAY);
+}
+
+/**
+ * Tells how an open todo relates to its due date.
+ * @param {Object} todo - The todo.
+ * @param {string} [today=toDateKey()] - The date key of today.
+ * @returns {string|null} One of DUE_STATUS, or null for completed todos and todos without a due date.
+ */
+export function getDueStatus(todo, today = toDateKey()) {
+  if (todo.completed || !isDateKey(todo.dueDate)) {
+    return null;
+  }
+  if (todo.dueDate < today) {
+    return DUE_STATUS.OVERDUE;
+  }
+
+  return todo.dueDate === today ? DUE_STATUS.TODAY : DUE_STATUS.UPCOMING;
+}
+
+/**
+ * Formats a due date for display, relative to today when it is close.
+ * @param {string} key - The date key.
+ * @param {Object} [options] - Format options.
+ * @param {string} [options.today=toDateKey()] - The date key of today.
+ * @param {string} [options.locale] - The locale. Defaults to the one of the browser.
+ * @returns {string} `Today`, `Tomorrow`, `Yesterday` (`Hoje`, `Amanhã`, `Ontem`...) or a short date such as `Jun 3`.
+ */
+export function formatDueDate(key, { today = toDateKey(), locale } = {}) {
+  const offset = daysBetween(today, key);
+  if (Math.abs(offset) <= 1) {
+    const text = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(offset, 'day');
+    return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+  }
+
+  const sameYear = key.slice(0, 4) === today.slice(0, 4);
+
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: 'UTC',
+    month: 'short',
+    day: 'numeric',
+    year: sameYear ? undefined : 'numeric',
+  }).format(parseDateKey(key));
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DUE_STATUS,
+  addDays,
+  addMonths,
+  daysBetween,
+  formatDueDate,
+  getDaysInMonth,
+  getDueStatus,
+  getWeekday,
+  isDateKey,
+  parseDateKey,
+  toDateKey,
+} from './dueDate';
+
+describe('Test suite for the due date helpers', () => {
+  it.each([
+    ['2024-02-29', true],
+    ['2023-02-29', false],
+    ['2024-13-01', false],
+    ['2024-6-1', false],
+    ['2024-06-01T00:00:00Z', false],
+    [null, false],
+  ])('Should validate the date key %s', (value, expected) => {
+    expect(isDateKey(value)).toBe(expected);
+  });
+
+  it('Should parse date keys at midnight UTC', () => {
+    expect(parseDateKey('2024-06-03').toISOString()).toBe('2024-06-03T00:00:00.000Z');
+    expect(() => parseDateKey('June 3')).toThrow('Define a valid date (YYYY-MM-DD). Received "June 3"');
+  });
+
+  describe('Should get the day of an instant', () => {
+    it('In a given timezone', () => {
+      const instant = new Date('2024-06-01T02:00:00Z');
+
+      expect(toDateKey(instant, 'UTC')).toBe('2024-06-01');
+      expect(toDateKey(instant, 'America/Sao_Paulo')).toBe('2024-05-31');
+      expect(toDateKey(new Date('2024-06-01T20:00:00Z'), 'Asia/Tokyo')).toBe('2024-06-02');
+    });
+
+    it('In the local timezone', () => {
+      const instant = new Date(2024, 5, 1, 23, 30);
+
+      expect(toDateKey(instant)).toBe('2024-06-01');
+    });
+  });
+
+  describe('Should do calendar arithmetic', () => {
+    it('Adding days across months, years and daylight saving changes', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-31', -31)).toBe('2024-02-29');
+      expect(addDays('2024-11-02', 2)).toBe('2024-11-04');
+    });
+
+    it('Adding months, clamped to the end of the month', () => {
+      expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+      expect(addMonths('2023-01-31', 1)).toBe('2023-02-28');
+      expect(addMonths('2024-11-15', 3)).toBe('2025-02-15');
+      expect(addMonths('2024-03-31', -1)).toBe('2024-02-29');
+    });
+
+    it('Counting days and reading weekdays', () => {
+      expect(daysBetween('2024-06-01', '2024-06-03')).toBe(2);
+      expect(daysBetween('2024-06-03', '2024-06-01')).toBe(-2);
+      expect(getWeekday('2024-06-03')).toBe(1);
+      expect(getDaysInMonth(2024, 1)).toBe(29);
+      expect(getDaysInMonth(2024, 12)).toBe(31);
+    });
+  });
+
+  it.each([
+    [{ dueDate: '2024-06-01' }, DUE_STATUS.OVERDUE],
+    [{ dueDate: '2024-06-03' }, DUE_STATUS.TODAY],
+    [{ dueDate: '2024-06-04' }, DUE_STATUS.UPCOMING],
+    [{ dueDate: '2024-06-01', completed: true }, null],
+    [{ dueDate: null }, null],
+  ])('Should tell the due status of %o', (todo, expected) => {
+    expect(getDueStatus(todo, '2024-06-03')).toBe(expected);
+  });
+
+  it('Should format due dates relative to today', () => {
+    const options = { today: '2024-06-03', locale: 'en-US' };
+
+    expect(formatDueDate('2024-06-02', options)).toBe('Yesterday');
+    expect(formatDueDate('2024-06-03', options)).toBe('Today');
+    expect(formatDueDate('2024-06-04', options)).toBe('Tomorrow');
+    expect(formatDueDate('2024-06-10', options)).toBe('Jun 10');
+    expect(formatDueDate('2025-01-01', options)).toBe('Jan 1, 2025');
+  });
+
+  it('Should format due dates in other locales', () => {
+    const options = { today: '2024-06-03', locale: 'pt-BR' };
+
+    expect(formatDueDate('2024-06-02', options)).toBe('Ontem');
+    expect(formatDueDate('2024-06-03', options)).toBe('Hoje');
+    expect(formatDueDate('2024-06-04', options)).toBe('Amanhã');
+  });
+});
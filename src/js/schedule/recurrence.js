@@ -0,0 +1,265 @@
+import { addDays, addMonths, daysBetween, getDaysInMonth, getWeekday, isDateKey, parseDateKey } from './dueDate.js';
+import { i18n, LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * Recurrence rules for repeating todos.
+ *
+ * Rules are written in a subset of the iCalendar RRULE syntax (RFC 5545),
+ * which is compact enough to store on the todo and widely understood:
+ *
+ * - `FREQ=DAILY`, `FREQ=WEEKLY`, `FREQ=MONTHLY` or `FREQ=YEARLY` (required)
+ * - `INTERVAL=2` every other day, week, month or year
+ * - `BYDAY=MO,WE,FR` on these weekdays (weekly rules)
+ * - `BYMONTHDAY=15` on this day of the month, `-1` for the last day (monthly rules)
+ * - `UNTIL=20241231` no occurrence after this day
+ *
+ * Unlike RFC 5545, a monthly rule on a day that a month does not have (the
+ * 31st in April) falls on the last day of that month instead of skipping it.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * nextOccurrence('FREQ=WEEKLY;BYDAY=MO,TH', '2024-06-03'); // '2024-06-06'
+ * describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1'); // 'Every month on the last day'
+ */
+
+/**
+ * Supported frequencies.
+ * @readonly
+ * @enum {string}
+ */
+export const RECURRENCE_FREQUENCIES = Object.freeze({
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY',
+});
+
+/**
+ * Weekday codes, indexed like `Date#getDay` (0 is Sunday).
+ * @type {string[]}
+ */
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// A Sunday, to name the weekdays in the current locale.
+const FIRST_SUNDAY = Date.UTC(2024, 0, 7);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} freq - One of RECURRENCE_FREQUENCIES.
+ * @property {number} interval - Repeats every `interval` periods.
+ * @property {string[]} byDay - Weekday codes, in week order. Weekly rules only.
+ * @property {number|null} byMonthDay - Day of the month, -1 for the last one. Monthly rules only.
+ * @property {string|null} until - Date key of the last possible occurrence.
+ */
+
+const invalid = (rule, reason, params = {}) => new LocalizedError(`errors.recurrence.${reason}`, { ...params, rule });
+
+/**
+ * Parses a recurrence rule.
+ * @param {string|Recurrence} rule - The rule, e.g. `FREQ=WEEKLY;BYDAY=MO`. An optional `RRULE:` prefix is ignored.
+ * @returns {Recurrence} The parsed rule.
+ * @throws Will throw an error if the rule is not valid or uses unsupported parts.
+ */
+export function parseRecurrence(rule) {
+  if (rule && typeof rule === 'object') {
+    return parseRecurrence(formatRecurrence(rule));
+  }
+
+  const source = String(rule || '')
+    .trim()
+    .replace(/^RRULE:/i, '');
+  const parts = Object.fromEntries(
+    source
+      .split(';')
+      .filter(Boolean)
+      .map((part) => part.split('=').map((value) => value.trim().toUpperCase())),
+  );
+  const parsed = { freq: parts.FREQ, interval: 1, byDay: [], byMonthDay: null, until: null };
+
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(parsed.freq)) {
+    throw invalid(rule, 'freq', { frequencies: Object.values(RECURRENCE_FREQUENCIES).join(', ') });
+  }
+
+  Object.entries(parts).forEach(([key, value = '']) => {
+    if (key === 'FREQ') {
+      return;
+    }
+    if (key === 'INTERVAL') {
+      parsed.interval = Number(value);
+      if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+        throw invalid(rule, 'interval');
+      }
+    } else if (key === 'BYDAY' && parsed.freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+      const days = value.split(',');
+      if (!days.every((day) => WEEKDAYS.includes(day))) {
+        throw invalid(rule, 'byDay', { days: WEEKDAYS.join(', ') });
+      }
+      parsed.byDay = WEEKDAYS.filter((day) => days.includes(day));
+    } else if (key === 'BYMONTHDAY' && parsed.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+      parsed.byMonthDay = Number(value);
+      if (
+        !Number.isInteger(parsed.byMonthDay) ||
+        parsed.byMonthDay < -1 ||
+        parsed.byMonthDay > 31 ||
+        !parsed.byMonthDay
+      ) {
+        throw invalid(rule, 'byMonthDay');
+      }
+    } else if (key === 'UNTIL') {
+      const date = value.slice(0, 8).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+      if (!isDateKey(date)) {
+        throw invalid(rule, 'until');
+      }
+      parsed.until = date;
+    } else {
+      throw invalid(rule, 'unsupported', { part: key });
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Writes a recurrence rule in its canonical form, leaving out defaults.
+ * @param {Recurrence} rule - The rule.
+ * @returns {string} The rule, e.g. `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE`.
+ */
+export function formatRecurrence({ freq, interval = 1, byDay = [], byMonthDay = null, until = null }) {
+  const parts = [`FREQ=${freq}`];
+
+  if (interval !== 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (byDay.length) {
+    parts.push(`BYDAY=${byDay.join(',')}`);
+  }
+  if (byMonthDay) {
+    parts.push(`BYMONTHDAY=${byMonthDay}`);
+  }
+  if (until) {
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Validates a rule and anchors it to a due date, so it keeps the same day over time.
+ * A monthly rule without a day gets the day of the due date: without it, a todo due on
+ * the 31st would move to the 30th after April and stay there.
+ * @param {string|Recurrence|null} rule - The rule, or null for none.
+ * @param {string|null} [dueDate] - The date key of the first occurrence.
+ * @returns {string|null} The canonical rule, or null.
+ * @throws Will throw an error if the rule is not valid.
+ */
+export function normalizeRecurrence(rule, dueDate = null) {
+  if (rule === null || rule === undefined || rule === '') {
+    return null;
+  }
+
+  const parsed = parseRecurrence(rule);
+  if (parsed.freq === RECURRENCE_FREQUENCIES.MONTHLY && !parsed.byMonthDay && isDateKey(dueDate)) {
+    parsed.byMonthDay = parseDateKey(dueDate).getUTCDate();
+  }
+
+  return formatRecurrence(parsed);
+}
+
+/**
+ * Gets the Monday of the week of a date, so weekly intervals count whole weeks.
+ * @param {string} key - The date key.
+ * @returns {string} The date key of the Monday.
+ */
+const startOfWeek = (key) => addDays(key, -((getWeekday(key) + 6) % 7));
+
+/**
+ * Finds the next monthly occurrence on a given day.
+ * @param {Recurrence} rule - A monthly rule with `byMonthDay`.
+ * @param {string} from - The date key of the current occurrence.
+ * @returns {string} The date key of the next occurrence.
+ */
+function nextMonthDay({ interval, byMonthDay }, from) {
+  const date = parseDateKey(from);
+
+  for (let step = 0; ; step += 1) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + step * interval;
+    const last = getDaysInMonth(year, month);
+    const day = byMonthDay === -1 ? last : Math.min(byMonthDay, last);
+    const candidate = new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+
+    if (candidate > from) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Calculates the occurrence that follows a date.
+ * @param {string|Recurrence} rule - The rule.
+ * @param {string} from - The date key of the current occurrence.
+ * @returns {string|null} The date key of the next occurrence, or null once the rule has ended.
+ * @throws Will throw an error if the rule or the date are not valid.
+ * @example
+ * nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', '2024-03-31'); // '2024-04-30'
+ */
+export function nextOccurrence(rule, from) {
+  const parsed = parseRecurrence(rule);
+  const { freq, interval, byDay, byMonthDay, until } = parsed;
+  // Throws for invalid dates before any arithmetic.
+  parseDateKey(from);
+
+  let next;
+  if (freq === RECURRENCE_FREQUENCIES.DAILY) {
+    next = addDays(from, interval);
+  } else if (freq === RECURRENCE_FREQUENCIES.WEEKLY && byDay.length) {
+    const week = startOfWeek(from);
+    for (let offset = 1; offset <= 7 * interval && !next; offset += 1) {
+      const candidate = addDays(from, offset);
+      const weeks = daysBetween(week, startOfWeek(candidate)) / 7;
+      if (weeks % interval === 0 && byDay.includes(WEEKDAYS[getWeekday(candidate)])) {
+        next = candidate;
+      }
+    }
+  } else if (freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+    next = addDays(from, 7 * interval);
+  } else if (freq === RECURRENCE_FREQUENCIES.MONTHLY && byMonthDay) {
+    next = nextMonthDay(parsed, from);
+  } else {
+    next = addMonths(from, (freq === RECURRENCE_FREQUENCIES.YEARLY ? 12 : 1) * interval);
+  }
+
+  return until && next > until ? null : next;
+}
+
+/**
+ * Describes a recurrence rule in words, in the current locale.
+ * @param {string|Recurrence} rule - The rule.
+ * @returns {string} The description, e.g. `Every 2 weeks on Mon, Wed`.
+ */
+export function describeRecurrence(rule) {
+  const { freq, interval, byDay, byMonthDay, until } = parseRecurrence(rule);
+  let text = i18n.t(`recurrence.${freq.toLowerCase()}`, { interval });
+
+  if (byDay.length) {
+    const days = byDay.map((day) =>
+      i18n.formatDate(FIRST_SUNDAY + WEEKDAYS.indexOf(day) * DAY, { weekday: 'short', timeZone: 'UTC' }),
+    );
+    text = i18n.t('recurrence.onDays', { rule: text, days: days.join(', ') });
+  }
+  if (byMonthDay) {
+    text =
+      byMonthDay === -1
+        ? i18n.t('recurrence.onLastDay', { rule: text })
+        : i18n.t('recurrence.onDay', { rule: text, day: byMonthDay });
+  }
+  if (until) {
+    text = i18n.t('recurrence.until', { rule: text, date: until });
+  }
+
+  return text;
+}
@@ -0,0 +1,106 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { i18n } from '../i18n/i18n';
+import {
+  describeRecurrence,
+  formatRecurrence,
+  nextOccurrence,
+  normalizeRecurrence,
+  parseRecurrence,
+} from './recurrence';
+
+describe('Test suite for the recurrence rules', () => {
+  beforeEach(() => {
+    i18n.setLocale('en');
+  });
+
+  describe('Should parse rules', () => {
+    it('With every supported part', () => {
+      expect(parseRecurrence('RRULE:freq=weekly;interval=2;byday=we,mo;until=20241231')).toEqual({
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: ['MO', 'WE'],
+        byMonthDay: null,
+        until: '2024-12-31',
+      });
+      expect(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1').byMonthDay).toBe(-1);
+    });
+
+    it.each([
+      ['', 'FREQ must be one of DAILY, WEEKLY, MONTHLY, YEARLY'],
+      ['FREQ=HOURLY', 'FREQ must be one of'],
+      ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer'],
+      ['FREQ=WEEKLY;BYDAY=XX', 'BYDAY must list'],
+      ['FREQ=MONTHLY;BYMONTHDAY=32', 'BYMONTHDAY must be a day from 1 to 31, or -1'],
+      ['FREQ=DAILY;UNTIL=tomorrow', 'UNTIL must be a date'],
+      ['FREQ=DAILY;COUNT=3', 'COUNT is not supported'],
+      ['FREQ=DAILY;BYDAY=MO', 'BYDAY is not supported'],
+    ])('Throwing for "%s"', (rule, message) => {
+      expect(() => parseRecurrence(rule)).toThrow(message);
+    });
+  });
+
+  it('Should write rules in canonical form', () => {
+    expect(formatRecurrence({ freq: 'DAILY' })).toBe('FREQ=DAILY');
+    expect(formatRecurrence(parseRecurrence('byday=fr,mo;freq=weekly;interval=1'))).toBe('FREQ=WEEKLY;BYDAY=MO,FR');
+    expect(parseRecurrence({ freq: 'DAILY', until: '2024-12-31' }).until).toBe('2024-12-31');
+  });
+
+  it('Should anchor monthly rules to the due date', () => {
+    expect(normalizeRecurrence('FREQ=MONTHLY', '2024-01-31')).toBe('FREQ=MONTHLY;BYMONTHDAY=31');
+    expect(normalizeRecurrence('FREQ=MONTHLY;BYMONTHDAY=5', '2024-01-31')).toBe('FREQ=MONTHLY;BYMONTHDAY=5');
+    expect(normalizeRecurrence('FREQ=MONTHLY')).toBe('FREQ=MONTHLY');
+    expect(normalizeRecurrence('')).toBeNull();
+  });
+
+  describe('Should calculate the next occurrence', () => {
+    it.each([
+      ['FREQ=DAILY', '2024-02-28', '2024-02-29'],
+      ['FREQ=DAILY;INTERVAL=3', '2024-12-30', '2025-01-02'],
+      ['FREQ=WEEKLY', '2024-06-03', '2024-06-10'],
+      ['FREQ=WEEKLY;BYDAY=MO,TH', '2024-06-03', '2024-06-06'],
+      ['FREQ=WEEKLY;BYDAY=MO,TH', '2024-06-06', '2024-06-10'],
+      ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2024-06-06', '2024-06-17'],
+      ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2024-06-09', '2024-06-17'],
+      ['FREQ=WEEKLY;BYDAY=WE', '2024-06-03', '2024-06-05'],
+      ['FREQ=MONTHLY', '2024-06-15', '2024-07-15'],
+      ['FREQ=MONTHLY;BYMONTHDAY=31', '2024-03-31', '2024-04-30'],
+      ['FREQ=MONTHLY;BYMONTHDAY=31', '2024-04-30', '2024-05-31'],
+      ['FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-31', '2024-02-29'],
+      ['FREQ=MONTHLY;BYMONTHDAY=20', '2024-06-10', '2024-06-20'],
+      ['FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1', '2024-11-01', '2025-02-01'],
+      ['FREQ=YEARLY', '2024-02-29', '2025-02-28'],
+    ])('For %s after %s', (rule, from, expected) => {
+      expect(nextOccurrence(rule, from)).toBe(expected);
+    });
+
+    it('Stopping after the end of the rule', () => {
+      expect(nextOccurrence('FREQ=DAILY;UNTIL=20240602', '2024-06-01')).toBe('2024-06-02');
+      expect(nextOccurrence('FREQ=DAILY;UNTIL=20240602', '2024-06-02')).toBeNull();
+    });
+
+    it('Throwing for invalid dates', () => {
+      expect(() => nextOccurrence('FREQ=DAILY', '2024-02-30')).toThrow('Define a valid date');
+    });
+  });
+
+  it.each([
+    ['FREQ=DAILY', 'Every day'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', 'Every 2 weeks on Mon, Wed'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', 'Every month on the last day'],
+    ['FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20241231', 'Every month on day 15 until 2024-12-31'],
+    ['FREQ=YEARLY', 'Every year'],
+  ])('Should describe %s', (rule, expected) => {
+    expect(describeRecurrence(rule)).toBe(expected);
+  });
+
+  it('Should describe rules in the current locale', () => {
+    i18n.setLocale('pt-BR');
+
+    try {
+      expect(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')).toBe('A cada 2 semanas em seg., qua.');
+      expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1')).toBe('Todo mês no último dia');
+    } finally {
+      i18n.setLocale('en');
+    }
+  });
+});
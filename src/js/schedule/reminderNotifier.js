@@ -0,0 +1,73 @@
+import { formatDueDate } from './dueDate.js';
+import { i18n } from '../i18n/i18n.js';
+
+/**
+ * Shows reminders as system notifications, or inside the app when that is not possible.
+ *
+ * System notifications need the Notifications API and the permission of the
+ * user. Until the permission is granted (or when it is denied, or the
+ * browser has no support), reminders go to the in-app fallback instead.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const notify = createReminderNotifier({ fallback: (todo) => toasts.show(`Reminder: ${todo.title}`) });
+ * notify(todo);
+ */
+
+/**
+ * Tells whether reminders can be shown as system notifications.
+ * @param {Function} [NotificationApi=globalThis.Notification] - The Notification constructor.
+ * @returns {string} `granted`, `denied`, `default` (not asked yet) or `unsupported`.
+ */
+export function getNotificationPermission(NotificationApi = globalThis.Notification) {
+  return NotificationApi ? NotificationApi.permission : 'unsupported';
+}
+
+/**
+ * Asks the user for permission to show system notifications.
+ * Browsers only show the prompt in response to a user action, such as a click.
+ * @param {Function} [NotificationApi=globalThis.Notification] - The Notification constructor.
+ * @returns {Promise<string>} The permission, see getNotificationPermission.
+ */
+export async function requestNotificationPermission(NotificationApi = globalThis.Notification) {
+  if (!NotificationApi) {
+    return 'unsupported';
+  }
+  if (NotificationApi.permission !== 'default') {
+    return NotificationApi.permission;
+  }
+
+  return NotificationApi.requestPermission();
+}
+
+/**
+ * Builds the function that shows a reminder.
+ * @param {Object} [options] - Notifier options.
+ * @param {function(Object): void} [options.fallback] - Shows the reminder in the app.
+ * @param {Function} [options.NotificationApi=globalThis.Notification] - The Notification constructor.
+ * @returns {function(Object): string} Shows the reminder of a todo and returns `notification` or `fallback`.
+ */
+export function createReminderNotifier({ fallback = () => {}, NotificationApi = globalThis.Notification } = {}) {
+  return (todo) => {
+    if (getNotificationPermission(NotificationApi) === 'granted') {
+      try {
+        new NotificationApi(todo.title, {
+          body: todo.dueDate
+            ? i18n.t('due.reminder', { date: formatDueDate(todo.dueDate, { locale: i18n.locale }) })
+            : todo.notes,
+          tag: `reminder-${todo.id}`,
+        });
+        return 'notification';
+      } catch (error) {
+        // Some browsers (Chrome on Android) only allow notifications from a service worker.
+        console.warn('Could not show a system notification. Showing the reminder in the app.', error);
+      }
+    }
+
+    fallback(todo);
+    return 'fallback';
+  };
+}
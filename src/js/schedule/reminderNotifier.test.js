@@ -0,0 +1,73 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createReminderNotifier, getNotificationPermission, requestNotificationPermission } from './reminderNotifier';
+
+const createNotificationApi = (permission) => {
+  const NotificationApi = vi.fn();
+  NotificationApi.permission = permission;
+  NotificationApi.requestPermission = vi.fn().mockResolvedValue('granted');
+
+  return NotificationApi;
+};
+
+describe('Test suite for the reminder notifier', () => {
+  const todo = { id: 'a', title: 'Pay rent', notes: 'Bank transfer', dueDate: null };
+
+  it('Should report the notification permission', () => {
+    expect(getNotificationPermission(createNotificationApi('denied'))).toBe('denied');
+    expect(getNotificationPermission(null)).toBe('unsupported');
+  });
+
+  describe('Should request the permission', () => {
+    it('When it was not asked yet', async () => {
+      const NotificationApi = createNotificationApi('default');
+
+      expect(await requestNotificationPermission(NotificationApi)).toBe('granted');
+      expect(NotificationApi.requestPermission).toHaveBeenCalled();
+    });
+
+    it('Only once', async () => {
+      const NotificationApi = createNotificationApi('denied');
+
+      expect(await requestNotificationPermission(NotificationApi)).toBe('denied');
+      expect(NotificationApi.requestPermission).not.toHaveBeenCalled();
+      expect(await requestNotificationPermission(null)).toBe('unsupported');
+    });
+  });
+
+  it('Should show a system notification when allowed', () => {
+    const NotificationApi = createNotificationApi('granted');
+    const fallback = vi.fn();
+    const notify = createReminderNotifier({ fallback, NotificationApi });
+
+    expect(notify(todo)).toBe('notification');
+    expect(NotificationApi).toHaveBeenCalledWith('Pay rent', { body: 'Bank transfer', tag: 'reminder-a' });
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it.each([['default'], ['denied']])('Should fall back to the app when the permission is %s', (permission) => {
+    const fallback = vi.fn();
+    const notify = createReminderNotifier({ fallback, NotificationApi: createNotificationApi(permission) });
+
+    expect(notify(todo)).toBe('fallback');
+    expect(fallback).toHaveBeenCalledWith(todo);
+  });
+
+  it('Should fall back to the app without the Notifications API', () => {
+    const fallback = vi.fn();
+
+    expect(createReminderNotifier({ fallback, NotificationApi: null })(todo)).toBe('fallback');
+  });
+
+  it('Should fall back to the app when the notification cannot be created', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const NotificationApi = createNotificationApi('granted');
+    NotificationApi.mockImplementation(() => {
+      throw new TypeError('Illegal constructor');
+    });
+    const fallback = vi.fn();
+
+    expect(createReminderNotifier({ fallback, NotificationApi })(todo)).toBe('fallback');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
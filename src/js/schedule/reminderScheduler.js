@@ -0,0 +1,174 @@
+import { TODO_EVENTS } from '../store/todoStore.js';
+
+/**
+ * Fires the reminders of open todos when their time comes.
+ *
+ * Only one timer is pending at a time, set for the closest reminder, and it
+ * is recalculated whenever the todos change. Reminders that came due while
+ * the app was closed fire as soon as the scheduler starts. Fired reminders
+ * are remembered (across reloads when a `storage` is given), so each one
+ * fires once; changing the reminder time of a todo arms it again.
+ *
+ * The clock and timers are injectable, so the scheduler can be driven with
+ * fake timers in tests.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const scheduler = new ReminderScheduler({ source: workspace, notify: createReminderNotifier(), storage: localStorage });
+ * scheduler.subscribe(REMINDER_EVENTS.DUE, ({ todo }) => console.log(todo.title));
+ * scheduler.start();
+ */
+
+/**
+ * Names of the events dispatched by the scheduler.
+ * @readonly
+ * @enum {string}
+ */
+export const REMINDER_EVENTS = Object.freeze({
+  DUE: 'reminder:due',
+});
+
+/**
+ * Longest delay `setTimeout` supports. Later reminders are re-checked after this delay.
+ * @type {number}
+ */
+const MAX_DELAY = 2 ** 31 - 1;
+
+const FIRED_KEY = 'reminders:fired';
+
+const reminderKey = (todo) => `${todo.id}@${todo.remindAt}`;
+
+export class ReminderScheduler extends EventTarget {
+  /**
+   * Creates an instance of ReminderScheduler.
+   * @param {Object} options - Scheduler options.
+   * @param {Object} options.source - Where the todos come from: a TodoStore, a Workspace or anything with
+   * `getAll()` and `subscribe(TODO_EVENTS.CHANGE, handler)`.
+   * @param {function(Object): void} [options.notify] - Shows a reminder to the user, see createReminderNotifier.
+   * @param {Storage} [options.storage] - Remembers fired reminders across reloads, e.g. `localStorage`.
+   * @param {function(): Date} [options.clock] - Returns the current date.
+   * @param {{ setTimeout: Function, clearTimeout: Function }} [options.timers=globalThis] - Timer functions.
+   * @throws Will throw an error if the source is not defined.
+   */
+  constructor({ source, notify = () => {}, storage = null, clock = () => new Date(), timers = globalThis } = {}) {
+    super();
+    if (!source || typeof source.getAll !== 'function') {
+      throw new Error('Define a valid todo source');
+    }
+
+    this._source = source;
+    this._notify = notify;
+    this._storage = storage;
+    this._clock = clock;
+    this._timers = timers;
+    this._timer = null;
+    this._unsubscribe = null;
+    this._fired = this._loadFired();
+  }
+
+  /**
+   * Fires the reminders that are due and starts watching the todos.
+   * The fired reminders are read again from the storage, since another tab may have fired some meanwhile.
+   */
+  start() {
+    this.stop();
+    this._fired = new Set([...this._fired, ...this._loadFired()]);
+    this._unsubscribe = this._source.subscribe(TODO_EVENTS.CHANGE, () => this.check());
+    this.check();
+  }
+
+  /**
+   * Cancels the pending timer and stops watching the todos.
+   */
+  stop() {
+    this._timers.clearTimeout(this._timer);
+    this._timer = null;
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Gets the open todos whose reminder has not fired yet.
+   * @returns {Object[]} The todos, closest reminder first.
+   */
+  getPending() {
+    return this._source
+      .getAll()
+      .filter((todo) => todo.remindAt && !todo.completed && !this._fired.has(reminderKey(todo)))
+      .sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+  }
+
+  /**
+   * Fires every reminder that is due and sets the timer for the next one.
+   * Called on start, on every change of the todos and by the timer.
+   * @returns {Object[]} The todos whose reminders fired.
+   */
+  check() {
+    this._timers.clearTimeout(this._timer);
+    this._timer = null;
+
+    const now = this._clock().getTime();
+    const pending = this.getPending();
+    const due = pending.filter((todo) => new Date(todo.remindAt).getTime() <= now);
+
+    due.forEach((todo) => {
+      this._fired.add(reminderKey(todo));
+      this.dispatchEvent(new CustomEvent(REMINDER_EVENTS.DUE, { detail: { todo } }));
+      try {
+        this._notify(todo);
+      } catch (error) {
+        console.error(`Could not show the reminder of "${todo.title}".`, error);
+      }
+    });
+    this._saveFired();
+
+    const next = pending.find((todo) => !due.includes(todo));
+    if (next) {
+      const delay = Math.min(new Date(next.remindAt).getTime() - now, MAX_DELAY);
+      this._timer = this._timers.setTimeout(() => this.check(), delay);
+    }
+
+    return due;
+  }
+
+  /**
+   * Subscribes to a scheduler event.
+   * @param {string} type - The event name (one of REMINDER_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail, which holds the `todo`.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _loadFired() {
+    try {
+      const saved = JSON.parse(this._storage?.getItem(FIRED_KEY) || '[]');
+      return new Set(Array.isArray(saved) ? saved : []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  _saveFired() {
+    if (!this._storage) {
+      return;
+    }
+
+    // Forget reminders that were changed or deleted, so the saved list does not grow forever.
+    const current = new Set(this._source.getAll().map(reminderKey));
+    this._fired = new Set([...this._fired].filter((key) => current.has(key)));
+
+    try {
+      this._storage.setItem(FIRED_KEY, JSON.stringify([...this._fired]));
+    } catch (error) {
+      console.error('Could not save the fired reminders.', error);
+    }
+  }
+}
@@ -0,0 +1,176 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { REMINDER_EVENTS, ReminderScheduler } from './reminderScheduler';
+import { TodoStore } from '../store/todoStore';
+
+describe('Test suite for the ReminderScheduler class', () => {
+  let store;
+  let notify;
+  let scheduler;
+
+  const minutes = (count) => count * 60 * 1000;
+  const inMinutes = (count) => new Date(Date.now() + minutes(count)).toISOString();
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-06-03T09:00:00.000Z'));
+    store = new TodoStore();
+    notify = vi.fn();
+    scheduler = new ReminderScheduler({ source: store, notify });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    vi.useRealTimers();
+  });
+
+  it('Should require a todo source', () => {
+    expect(() => new ReminderScheduler()).toThrow('Define a valid todo source');
+  });
+
+  it('Should fire a reminder when its time comes', () => {
+    const todo = store.create({ title: 'Call mom', remindAt: inMinutes(30) });
+    const onDue = vi.fn();
+    scheduler.subscribe(REMINDER_EVENTS.DUE, onDue);
+    scheduler.start();
+
+    vi.advanceTimersByTime(minutes(29));
+    expect(notify).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(minutes(1));
+    expect(notify).toHaveBeenCalledWith(todo);
+    expect(onDue).toHaveBeenCalledWith({ todo });
+  });
+
+  it('Should fire reminders that came due while the app was closed', () => {
+    store.create({ title: 'Missed', remindAt: inMinutes(-60) });
+
+    scheduler.start();
+
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should fire each reminder once, in order', () => {
+    store.create({ title: 'Second', remindAt: inMinutes(20) });
+    store.create({ title: 'First', remindAt: inMinutes(10) });
+    scheduler.start();
+
+    vi.advanceTimersByTime(minutes(60));
+    scheduler.check();
+
+    expect(notify.mock.calls.map(([todo]) => todo.title)).toEqual(['First', 'Second']);
+  });
+
+  it('Should follow changes to the todos', () => {
+    scheduler.start();
+    const todo = store.create({ title: 'Call mom', remindAt: inMinutes(10) });
+    store.update(todo.id, { remindAt: inMinutes(5) });
+
+    vi.advanceTimersByTime(minutes(5));
+    expect(notify).toHaveBeenCalledTimes(1);
+
+    store.update(todo.id, { remindAt: inMinutes(5) });
+    vi.advanceTimersByTime(minutes(5));
+    expect(notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('Should skip completed and deleted todos', () => {
+    const done = store.create({ title: 'Done', remindAt: inMinutes(5) });
+    const deleted = store.create({ title: 'Deleted', remindAt: inMinutes(5) });
+    scheduler.start();
+
+    store.toggle(done.id);
+    store.delete(deleted.id);
+    vi.advanceTimersByTime(minutes(10));
+
+    expect(notify).not.toHaveBeenCalled();
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('Should wait for reminders beyond the longest timer delay', () => {
+    store.create({ title: 'Next month', remindAt: inMinutes(60 * 24 * 30) });
+    scheduler.start();
+
+    vi.advanceTimersByTime(minutes(60 * 24 * 29));
+    expect(notify).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(minutes(60 * 24));
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should stop watching', () => {
+    store.create({ title: 'Call mom', remindAt: inMinutes(5) });
+    scheduler.start();
+    scheduler.stop();
+
+    store.create({ title: 'Walk the dog', remindAt: inMinutes(5) });
+    vi.advanceTimersByTime(minutes(10));
+
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('Should keep firing when a notification fails', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    notify.mockImplementationOnce(() => {
+      throw new Error('Blocked');
+    });
+    store.create({ title: 'First', remindAt: inMinutes(-1) });
+    store.create({ title: 'Second', remindAt: inMinutes(-1) });
+
+    scheduler.start();
+
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(error).toHaveBeenCalledWith('Could not show the reminder of "First".', expect.any(Error));
+    error.mockRestore();
+  });
+
+  describe('With a storage', () => {
+    let storage;
+
+    beforeEach(() => {
+      const items = new Map();
+      storage = {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+      };
+    });
+
+    it('Should remember fired reminders across reloads', () => {
+      store.create({ title: 'Missed', remindAt: inMinutes(-60) });
+      new ReminderScheduler({ source: store, notify, storage }).check();
+      new ReminderScheduler({ source: store, notify, storage }).check();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should forget reminders that no longer exist', () => {
+      const todo = store.create({ title: 'Missed', remindAt: inMinutes(-60) });
+      const first = new ReminderScheduler({ source: store, notify, storage });
+      first.check();
+
+      store.delete(todo.id);
+      first.check();
+
+      expect(JSON.parse(storage.getItem('reminders:fired'))).toEqual([]);
+    });
+
+    it('Should skip the reminders another tab fired while this one was not leading', () => {
+      const follower = new ReminderScheduler({ source: store, notify, storage });
+      store.create({ title: 'Missed', remindAt: inMinutes(-60) });
+
+      new ReminderScheduler({ source: store, notify, storage }).check();
+      follower.start();
+      follower.stop();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should ignore unreadable saved data', () => {
+      storage.setItem('reminders:fired', '{nope');
+      store.create({ title: 'Missed', remindAt: inMinutes(-60) });
+
+      new ReminderScheduler({ source: store, notify, storage }).check();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+  });
+});
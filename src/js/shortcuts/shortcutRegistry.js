@@ -0,0 +1,258 @@
+/**
+ * Keyboard shortcuts of the app.
+ *
+ * Shortcuts are registered with an id, the keys that trigger them, a label
+ * for the help overlay and a handler. Keys are written as the modifiers
+ * followed by the key, joined with `+`: `j`, `?`, `Shift+N`, `Mod+K`. The
+ * key is the `KeyboardEvent#key` of the keystroke, and `Mod` stands for
+ * Ctrl, or Cmd on macOS.
+ *
+ * Shortcuts are scoped: while the user types in a text field, or works in
+ * an open dialog, only the global ones fire. Single keys such as `j` are
+ * left to the field; a shortcut that should work everywhere, such as the
+ * command palette on `Mod+K`, is registered with `global`.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const shortcuts = new ShortcutRegistry();
+ * shortcuts.register({ id: 'search', keys: '/', label: 'Search', handler: () => search.focus() });
+ * shortcuts.register({ id: 'palette', keys: 'Mod+K', label: 'Commands', global: true, handler: () => palette.open() });
+ * shortcuts.start();
+ */
+
+/**
+ * Names of the events dispatched by ShortcutRegistry.
+ * @readonly
+ * @enum {string}
+ */
+export const SHORTCUT_EVENTS = Object.freeze({
+  CHANGE: 'shortcuts:change',
+});
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Inputs that do not take text, where single keys are free for shortcuts.
+const NON_TEXT_INPUTS = ['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'];
+
+/**
+ * Parses the keys of a shortcut.
+ * @param {string} keys - The keys, e.g. `Mod+K` or `?`.
+ * @returns {{ key: string, mod: boolean, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean }} The shortcut.
+ * @throws Will throw an error if the keys are not valid.
+ * @example
+ * parseShortcut('Mod+Shift+K'); // { key: 'k', mod: true, ctrl: false, alt: false, shift: true, meta: false }
+ */
+export function parseShortcut(keys) {
+  const parts = typeof keys === 'string' ? keys.split(/\+(?!$)/) : [];
+  const key = parts.pop();
+  if (!key || MODIFIERS.includes(key) || parts.some((part) => !MODIFIERS.includes(part))) {
+    throw new Error(`Define a valid shortcut: modifiers (${MODIFIERS.join(', ')}) and a key. Received "${keys}"`);
+  }
+
+  return {
+    key: key.length === 1 ? key.toLowerCase() : key,
+    mod: parts.includes('Mod'),
+    ctrl: parts.includes('Ctrl'),
+    alt: parts.includes('Alt'),
+    shift: parts.includes('Shift'),
+    meta: parts.includes('Meta'),
+  };
+}
+
+/**
+ * Tells whether a keyboard event is the keystroke of a shortcut.
+ * Symbols such as `?` need Shift on most keyboard layouts, so Shift only counts for the other keys.
+ * @param {Object} shortcut - The shortcut, see parseShortcut.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {boolean} True if the event matches.
+ */
+export function matchesShortcut(shortcut, event) {
+  const key = event.key?.length === 1 ? event.key.toLowerCase() : event.key;
+  if (key !== shortcut.key || event.altKey !== shortcut.alt) {
+    return false;
+  }
+
+  const modifiers = shortcut.mod
+    ? event.ctrlKey !== event.metaKey
+    : event.ctrlKey === shortcut.ctrl && event.metaKey === shortcut.meta;
+  const symbol = key.length === 1 && !/[\p{L}\p{N}]/u.test(key);
+
+  return modifiers && (symbol || event.shiftKey === shortcut.shift);
+}
+
+/**
+ * Tells whether the app runs on an Apple platform, where Cmd replaces Ctrl.
+ * @returns {boolean}
+ */
+export function isApplePlatform() {
+  return /Mac|iPhone|iPad/.test(globalThis.navigator?.platform || globalThis.navigator?.userAgent || '');
+}
+
+/**
+ * Splits the keys of a shortcut into the labels of the keys to press, to show them in `<kbd>` elements.
+ * @param {string} keys - The keys, e.g. `Mod+K`.
+ * @param {Object} [options] - Format options.
+ * @param {boolean} [options.apple=isApplePlatform()] - Shows `Mod` as ⌘ instead of Ctrl.
+ * @returns {string[]} The labels, e.g. `['Ctrl', 'K']`.
+ */
+export function formatShortcut(keys, { apple = isApplePlatform() } = {}) {
+  return keys.split(/\+(?!$)/).map((part) => (part === 'Mod' ? (apple ? '⌘' : 'Ctrl') : part));
+}
+
+/**
+ * Tells whether an element takes text, so the keys typed in it are not shortcuts.
+ * @param {EventTarget|null} element - The element, usually the target of a keyboard event.
+ * @returns {boolean} True for text inputs, text areas, selects and editable content.
+ */
+export function isTextField(element) {
+  if (!element) {
+    return false;
+  }
+  if (element.isContentEditable) {
+    return true;
+  }
+  if (element.tagName === 'INPUT') {
+    return !NON_TEXT_INPUTS.includes(element.type);
+  }
+
+  return element.tagName === 'TEXTAREA' || element.tagName === 'SELECT';
+}
+
+export class ShortcutRegistry extends EventTarget {
+  /**
+   * Creates an instance of ShortcutRegistry.
+   * @param {Object} [options] - Registry options.
+   * @param {EventTarget} [options.target=document] - Where the keystrokes are listened to.
+   */
+  constructor({ target = globalThis.document } = {}) {
+    super();
+    this._target = target;
+    this._shortcuts = new Map();
+    this._listener = (event) => this.handle(event);
+    this._started = false;
+  }
+
+  /**
+   * Registers a shortcut.
+   * @param {Object} shortcut - The shortcut.
+   * @param {string} shortcut.id - Identifies the shortcut.
+   * @param {string} shortcut.keys - The keys that trigger it, see parseShortcut.
+   * @param {string|function(): string} shortcut.label - What it does, shown in the help. A function is
+   * called each time the label is shown, e.g. to translate it.
+   * @param {string|function(): string} [shortcut.group=''] - Groups related shortcuts in the help.
+   * @param {function(KeyboardEvent): void} shortcut.handler - Runs the shortcut.
+   * @param {boolean} [shortcut.global=false] - Fires in text fields and dialogs too.
+   * @returns {function(): void} A function that unregisters the shortcut.
+   * @throws Will throw an error if the shortcut is not valid, or its keys are taken by another one.
+   */
+  register({ id, keys, label, group = '', handler, global = false }) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Define a valid shortcut id');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Define a valid handler for the shortcut "${id}"`);
+    }
+
+    const combo = parseShortcut(keys);
+    const taken = [...this._shortcuts.values()].find(
+      (shortcut) => shortcut.id !== id && JSON.stringify(shortcut.combo) === JSON.stringify(combo),
+    );
+    if (taken) {
+      throw new Error(`Define a valid shortcut: "${keys}" is already used by "${taken.id}"`);
+    }
+
+    this._shortcuts.set(id, { id, keys, label, group, handler, global: Boolean(global), combo });
+    this._dispatch();
+
+    return () => this.unregister(id);
+  }
+
+  /**
+   * Removes a shortcut.
+   * @param {string} id - The id of the shortcut.
+   * @returns {boolean} True if the shortcut existed.
+   */
+  unregister(id) {
+    const removed = this._shortcuts.delete(id);
+    if (removed) {
+      this._dispatch();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Gets the shortcuts, in the order they were registered, with their labels resolved.
+   * @returns {{ id: string, keys: string, label: string, group: string, global: boolean }[]} The shortcuts.
+   */
+  getShortcuts() {
+    const resolve = (text) => (typeof text === 'function' ? text() : text);
+
+    return [...this._shortcuts.values()].map(({ id, keys, label, group, global }) => ({
+      id,
+      keys,
+      label: resolve(label),
+      group: resolve(group),
+      global,
+    }));
+  }
+
+  /**
+   * Starts listening to the keystrokes.
+   */
+  start() {
+    if (!this._started) {
+      this._target.addEventListener('keydown', this._listener);
+      this._started = true;
+    }
+  }
+
+  /**
+   * Stops listening to the keystrokes.
+   */
+  stop() {
+    this._target.removeEventListener('keydown', this._listener);
+    this._started = false;
+  }
+
+  /**
+   * Runs the shortcut of a keystroke, if there is one in scope.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @returns {boolean} True if a shortcut ran, in which case the default action of the event is prevented.
+   */
+  handle(event) {
+    if (event.defaultPrevented || event.isComposing) {
+      return false;
+    }
+
+    const shortcut = [...this._shortcuts.values()].find(({ combo }) => matchesShortcut(combo, event));
+    const target = event.composedPath?.()[0] || event.target;
+    if (!shortcut || (!shortcut.global && (isTextField(target) || target?.closest?.('dialog[open]')))) {
+      return false;
+    }
+
+    event.preventDefault();
+    shortcut.handler(event);
+    return true;
+  }
+
+  /**
+   * Subscribes to a ShortcutRegistry event.
+   * @param {string} type - The event name (one of SHORTCUT_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _dispatch() {
+    this.dispatchEvent(new CustomEvent(SHORTCUT_EVENTS.CHANGE, { detail: { shortcuts: this.getShortcuts() } }));
+  }
+}
@@ -0,0 +1,170 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  SHORTCUT_EVENTS,
+  ShortcutRegistry,
+  formatShortcut,
+  isTextField,
+  matchesShortcut,
+  parseShortcut,
+} from './shortcutRegistry';
+
+const keydown = (init) => new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+
+describe('Test suite for the ShortcutRegistry class', () => {
+  let shortcuts;
+  let handler;
+
+  const press = (target, init) => {
+    const event = keydown(init);
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input type="text" />
+      <input type="checkbox" />
+      <textarea></textarea>
+      <div contenteditable="true"></div>
+      <dialog open><button type="button">Close</button></dialog>
+    `;
+    handler = vi.fn();
+    shortcuts = new ShortcutRegistry();
+    shortcuts.register({ id: 'next', keys: 'j', label: 'Next todo', group: 'Todos', handler });
+    shortcuts.start();
+  });
+
+  afterEach(() => {
+    shortcuts.stop();
+    document.body.innerHTML = '';
+  });
+
+  it('Should run the shortcut of a keystroke', () => {
+    const event = press(document.body, { key: 'j' });
+
+    expect(handler).toHaveBeenCalledWith(event);
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  it('Should ignore other keys and modifiers', () => {
+    press(document.body, { key: 'k' });
+    press(document.body, { key: 'j', ctrlKey: true });
+    press(document.body, { key: 'J', shiftKey: true });
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('Should ignore keystrokes handled already', () => {
+    document.body.addEventListener('keydown', (event) => event.preventDefault(), { once: true });
+
+    press(document.body, { key: 'j' });
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  describe('Should leave the keystrokes to', () => {
+    it.each([
+      ['text inputs', 'input[type="text"]'],
+      ['text areas', 'textarea'],
+      ['open dialogs', 'dialog button'],
+    ])('%s', (name, selector) => {
+      const event = press(document.querySelector(selector), { key: 'j' });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(false);
+    });
+
+    it('Unless the shortcut is global', () => {
+      const onPalette = vi.fn();
+      shortcuts.register({ id: 'palette', keys: 'Mod+K', label: 'Commands', global: true, handler: onPalette });
+
+      press(document.querySelector('input[type="text"]'), { key: 'k', ctrlKey: true });
+      press(document.querySelector('dialog button'), { key: 'k', metaKey: true });
+
+      expect(onPalette).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('Should run shortcuts on checkboxes', () => {
+    press(document.querySelector('input[type="checkbox"]'), { key: 'j' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should stop listening when stopped', () => {
+    shortcuts.stop();
+    press(document.body, { key: 'j' });
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('Should list the shortcuts, resolving their labels', () => {
+    shortcuts.register({ id: 'help', keys: '?', label: () => 'Help', handler: () => {} });
+
+    expect(shortcuts.getShortcuts()).toEqual([
+      { id: 'next', keys: 'j', label: 'Next todo', group: 'Todos', global: false },
+      { id: 'help', keys: '?', label: 'Help', group: '', global: false },
+    ]);
+  });
+
+  it('Should dispatch a change event when shortcuts are added or removed', () => {
+    const onChange = vi.fn();
+    shortcuts.subscribe(SHORTCUT_EVENTS.CHANGE, onChange);
+
+    const unregister = shortcuts.register({ id: 'help', keys: '?', label: 'Help', handler: () => {} });
+    unregister();
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange.mock.calls[1][0].shortcuts.map(({ id }) => id)).toEqual(['next']);
+    expect(shortcuts.unregister('help')).toBe(false);
+  });
+
+  it('Should reject invalid shortcuts and taken keys', () => {
+    expect(() => shortcuts.register({ keys: 'j', handler })).toThrow('Define a valid shortcut id');
+    expect(() => shortcuts.register({ id: 'x', keys: 'x' })).toThrow('Define a valid handler for the shortcut "x"');
+    expect(() => shortcuts.register({ id: 'down', keys: 'j', handler })).toThrow(
+      'Define a valid shortcut: "j" is already used by "next"',
+    );
+  });
+});
+
+describe('Test suite for the shortcut helpers', () => {
+  it('Should parse keys', () => {
+    expect(parseShortcut('Mod+Shift+K')).toEqual({
+      key: 'k',
+      mod: true,
+      ctrl: false,
+      alt: false,
+      shift: true,
+      meta: false,
+    });
+    expect(parseShortcut('Ctrl++').key).toBe('+');
+    expect(parseShortcut('Escape').key).toBe('Escape');
+  });
+
+  it.each([[''], ['Shift'], ['Hyper+K'], [null]])('Should reject %o', (keys) => {
+    expect(() => parseShortcut(keys)).toThrow('Define a valid shortcut');
+  });
+
+  it('Should match symbols typed with Shift', () => {
+    expect(matchesShortcut(parseShortcut('?'), keydown({ key: '?', shiftKey: true }))).toBe(true);
+    expect(matchesShortcut(parseShortcut('Shift+N'), keydown({ key: 'N', shiftKey: true }))).toBe(true);
+    expect(matchesShortcut(parseShortcut('n'), keydown({ key: 'N', shiftKey: true }))).toBe(false);
+  });
+
+  it('Should format Mod for the platform', () => {
+    expect(formatShortcut('Mod+K', { apple: false })).toEqual(['Ctrl', 'K']);
+    expect(formatShortcut('Mod+K', { apple: true })).toEqual(['⌘', 'K']);
+    expect(formatShortcut('?')).toEqual(['?']);
+  });
+
+  it('Should tell text fields apart', () => {
+    const input = (type) => Object.assign(document.createElement('input'), { type });
+
+    expect(isTextField(input('search'))).toBe(true);
+    expect(isTextField(document.createElement('select'))).toBe(true);
+    expect(isTextField(input('radio'))).toBe(false);
+    expect(isTextField(document.createElement('button'))).toBe(false);
+    expect(isTextField(null)).toBe(false);
+  });
+});
@@ -0,0 +1,26 @@
+import { IndexedDbAdapter } from './indexedDbAdapter.js';
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { MemoryStorageAdapter } from './memoryStorageAdapter.js';
+
+/**
+ * Picks the first storage adapter that works in the current environment.
+ * The memory adapter is always appended as the last resort, so a usable adapter is always returned.
+ * @param {Object} [options] - Selection options.
+ * @param {StorageAdapter[]} [options.candidates] - Adapters to try, in order of preference.
+ *   Defaults to IndexedDB, then localStorage.
+ * @returns {Promise<StorageAdapter>} The selected adapter.
+ * @example
+ * const adapter = await createStorageAdapter();
+ * console.log(adapter.name); // 'indexedDB', 'localStorage' or 'memory'
+ */
+export async function createStorageAdapter({
+  candidates = [new IndexedDbAdapter(), new LocalStorageAdapter({ prefix: 'todo-vanilla:' })],
+} = {}) {
+  for (const adapter of candidates) {
+    if (await adapter.isAvailable()) {
+      return adapter;
+    }
+  }
+
+  return new MemoryStorageAdapter();
+}
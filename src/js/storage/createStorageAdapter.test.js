@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { createStorageAdapter } from './createStorageAdapter';
+import { MemoryStorageAdapter } from './memoryStorageAdapter';
+
+describe('Test suite for the createStorageAdapter function', () => {
+  const createCandidate = (name, available) => ({ name, isAvailable: async () => available });
+
+  it('Should pick the first available candidate', async () => {
+    const candidates = [
+      createCandidate('first', false),
+      createCandidate('second', true),
+      createCandidate('third', true),
+    ];
+
+    expect((await createStorageAdapter({ candidates })).name).toBe('second');
+  });
+
+  it('Should fall back to memory when no candidate is available', async () => {
+    const adapter = await createStorageAdapter({ candidates: [createCandidate('first', false)] });
+
+    expect(adapter).toBeInstanceOf(MemoryStorageAdapter);
+  });
+
+  it('Should use localStorage when IndexedDB is unavailable', async () => {
+    expect((await createStorageAdapter()).name).toBe('localStorage');
+  });
+});
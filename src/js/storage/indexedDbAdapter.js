@@ -0,0 +1,107 @@
+import { StorageAdapter } from './storageAdapter.js';
+
+const OBJECT_STORE = 'keyval';
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} The request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Stores values in an IndexedDB object store used as a key-value table.
+ * Values are saved with the structured clone algorithm, so no JSON round trip is needed.
+ *
+ * @example
+ * const adapter = new IndexedDbAdapter({ databaseName: 'todo-vanilla' });
+ * await adapter.set('todos', []);
+ * adapter.close();
+ */
+export class IndexedDbAdapter extends StorageAdapter {
+  /**
+   * Creates an instance of IndexedDbAdapter.
+   * @param {Object} [options] - Adapter options.
+   * @param {string} [options.databaseName='todo-vanilla'] - Name of the database.
+   * @param {IDBFactory} [options.indexedDB] - The factory to use, defaults to `window.indexedDB`.
+   */
+  constructor({ databaseName = 'todo-vanilla', indexedDB } = {}) {
+    super();
+    this._databaseName = databaseName;
+    this._indexedDB = indexedDB;
+    this._database = null;
+  }
+
+  get name() {
+    return 'indexedDB';
+  }
+
+  async isAvailable() {
+    try {
+      await this._open();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async get(key) {
+    return this._request('readonly', (store) => store.get(key));
+  }
+
+  async set(key, value) {
+    await this._request('readwrite', (store) => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this._request('readwrite', (store) => store.delete(key));
+  }
+
+  /**
+   * Closes the database connection. It is reopened on the next access.
+   */
+  close() {
+    if (this._database) {
+      this._database.then((database) => database.close()).catch(() => {});
+      this._database = null;
+    }
+  }
+
+  _open() {
+    if (!this._database) {
+      const factory = this._indexedDB || globalThis.indexedDB;
+      if (!factory) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+      }
+
+      const request = factory.open(this._databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE);
+
+      this._database = promisifyRequest(request).catch((error) => {
+        this._database = null;
+        throw error;
+      });
+    }
+
+    return this._database;
+  }
+
+  async _request(mode, operation) {
+    const database = await this._open();
+    const transaction = database.transaction(OBJECT_STORE, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    const [result] = await Promise.all([promisifyRequest(operation(transaction.objectStore(OBJECT_STORE))), completed]);
+
+    return result;
+  }
+}
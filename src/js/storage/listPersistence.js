@@ -0,0 +1,50 @@
+import { TodoPersistence } from './todoPersistence.js';
+import { LIST_EVENTS } from '../store/listStore.js';
+
+/**
+ * Version of the saved list format.
+ * @type {number}
+ */
+export const LIST_SCHEMA_VERSION = 1;
+
+/**
+ * Keeps a ListStore in sync with a storage adapter.
+ *
+ * Lists are saved inside an envelope `{ version, lists }`, with the same
+ * ordered writes and fallback behavior as TodoPersistence.
+ *
+ * @example
+ * const persistence = new ListPersistence({ store: lists, adapter });
+ * await persistence.load();
+ * persistence.start();
+ */
+export class ListPersistence extends TodoPersistence {
+  /**
+   * Creates an instance of ListPersistence.
+   * @param {Object} options - Persistence options.
+   * @param {ListStore} options.store - The store to persist.
+   * @param {StorageAdapter} options.adapter - The preferred storage backend.
+   * @param {StorageAdapter} [options.fallbackAdapter] - Used when the preferred backend fails. Defaults to memory.
+   * @param {string} [options.key='lists'] - The key the lists are saved under.
+   * @throws Will throw an error if the store or adapter is not defined.
+   */
+  constructor({ key = 'lists', ...options } = {}) {
+    super({ key, ...options });
+    this._changeEvent = LIST_EVENTS.CHANGE;
+  }
+
+  _parse(data) {
+    if (!data || !Array.isArray(data.lists)) {
+      throw new Error('Saved lists are not valid');
+    }
+    if (data.version > LIST_SCHEMA_VERSION) {
+      throw new Error(`Saved data version ${data.version} is newer than the supported version ${LIST_SCHEMA_VERSION}`);
+    }
+
+    return { items: data.lists, outdated: false };
+  }
+
+  _serialize() {
+    return { version: LIST_SCHEMA_VERSION, lists: this._store.toJSON() };
+  }
+}
@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { LIST_SCHEMA_VERSION, ListPersistence } from './listPersistence';
+import { MemoryStorageAdapter } from './memoryStorageAdapter';
+import { ListStore } from '../store/listStore';
+
+describe('Test suite for the ListPersistence class', () => {
+  let store;
+  let adapter;
+  let persistence;
+
+  beforeEach(() => {
+    store = new ListStore();
+    adapter = new MemoryStorageAdapter();
+    persistence = new ListPersistence({ store, adapter });
+  });
+
+  afterEach(() => {
+    persistence.stop();
+  });
+
+  it('Should load saved lists', async () => {
+    const lists = [{ id: 'inbox', name: 'Inbox', color: 'blue', icon: '📥' }];
+    await adapter.set('lists', { version: LIST_SCHEMA_VERSION, lists });
+
+    expect(await persistence.load()).toEqual(lists);
+    expect(store.getAll()).toEqual(lists);
+  });
+
+  describe('Should reject invalid saved data', () => {
+    it('Without a lists array', async () => {
+      await adapter.set('lists', ['Inbox']);
+
+      await expect(persistence.load()).rejects.toThrow('Saved lists are not valid');
+    });
+
+    it('From a newer version', async () => {
+      await adapter.set('lists', { version: LIST_SCHEMA_VERSION + 1, lists: [] });
+
+      await expect(persistence.load()).rejects.toThrow(
+        `Saved data version ${LIST_SCHEMA_VERSION + 1} is newer than the supported version ${LIST_SCHEMA_VERSION}`,
+      );
+    });
+  });
+
+  it('Should save every change after start', async () => {
+    persistence.start();
+
+    const list = store.create({ name: 'Work' });
+    await persistence.save();
+
+    expect(await adapter.get('lists')).toEqual({ version: LIST_SCHEMA_VERSION, lists: [list] });
+  });
+});
@@ -0,0 +1,69 @@
+import { StorageAdapter } from './storageAdapter.js';
+
+const PROBE_KEY = '__todo-vanilla-probe__';
+
+/**
+ * Stores values as JSON in `window.localStorage`.
+ *
+ * @example
+ * const adapter = new LocalStorageAdapter({ prefix: 'todo-vanilla:' });
+ * if (await adapter.isAvailable()) {
+ *   await adapter.set('todos', []);
+ * }
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * Creates an instance of LocalStorageAdapter.
+   * @param {Object} [options] - Adapter options.
+   * @param {string} [options.prefix=''] - Prefix added to every key.
+   * @param {Storage} [options.storage] - The Storage object to use, defaults to `window.localStorage`.
+   */
+  constructor({ prefix = '', storage } = {}) {
+    super();
+    this._prefix = prefix;
+    this._storage = storage;
+  }
+
+  get name() {
+    return 'localStorage';
+  }
+
+  /**
+   * Checks that localStorage exists and accepts writes. Access itself may throw
+   * (e.g. in sandboxed iframes or when cookies are blocked), so it is probed defensively.
+   * @returns {Promise<boolean>} True if localStorage can be used.
+   */
+  async isAvailable() {
+    try {
+      const storage = this._getStorage();
+      storage.setItem(PROBE_KEY, PROBE_KEY);
+      storage.removeItem(PROBE_KEY);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async get(key) {
+    const raw = this._getStorage().getItem(this._prefix + key);
+
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value) {
+    this._getStorage().setItem(this._prefix + key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this._getStorage().removeItem(this._prefix + key);
+  }
+
+  _getStorage() {
+    const storage = this._storage || globalThis.localStorage;
+    if (!storage) {
+      throw new Error('localStorage is not available');
+    }
+
+    return storage;
+  }
+}
@@ -0,0 +1,40 @@
+import { StorageAdapter } from './storageAdapter.js';
+
+/**
+ * Volatile storage kept in a Map. Always available, so it is the last fallback
+ * when no persistent backend can be used, and the default backend in tests.
+ *
+ * @example
+ * const adapter = new MemoryStorageAdapter();
+ * await adapter.set('todos', []);
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * Creates an instance of MemoryStorageAdapter.
+   * @param {Object<string, *>} [initialData={}] - Values to start with.
+   */
+  constructor(initialData = {}) {
+    super();
+    this._data = new Map(Object.entries(initialData));
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async get(key) {
+    return this._data.has(key) ? structuredClone(this._data.get(key)) : undefined;
+  }
+
+  async set(key, value) {
+    this._data.set(key, structuredClone(value));
+  }
+
+  async remove(key) {
+    this._data.delete(key);
+  }
+}
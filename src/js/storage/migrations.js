@@ -0,0 +1,117 @@
+/**
+ * Schema versioning for persisted todos.
+ *
+ * Data is saved inside an envelope `{ version, todos }`. Each entry of
+ * MIGRATIONS upgrades data from the previous version to its key, and
+ * `migrate` applies them in sequence until the current version is reached.
+ *
+ * @example
+ * const { todos } = migrate(await adapter.get('todos'));
+ */
+
+/**
+ * Current version of the saved format.
+ * @type {number}
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Normalizes a legacy todo (either a plain title or a partial object) into the current shape.
+ * @param {string|Object} item - The legacy item.
+ * @param {number} index - Position of the item, used to build an id when missing.
+ * @returns {Object} The normalized todo.
+ */
+function normalizeLegacyTodo(item, index) {
+  const data = typeof item === 'string' ? { title: item } : { ...item };
+  const timestamp = data.createdAt || new Date(0).toISOString();
+
+  return {
+    id: data.id ? String(data.id) : `legacy-${index}`,
+    title: String(data.title || data.text || ''),
+    notes: String(data.notes || ''),
+    completed: Boolean(data.completed || data.done),
+    createdAt: timestamp,
+    updatedAt: data.updatedAt || timestamp,
+    completedAt: data.completedAt || null,
+  };
+}
+
+/**
+ * Adds the fields a todo is missing, leaving the ones it has untouched.
+ * @param {Object} data - A saved envelope.
+ * @param {number} version - The version the envelope is upgraded to.
+ * @param {function(): Object} getDefaults - Builds the default value of each added field.
+ * @returns {{version: number, todos: Object[]}} The upgraded envelope.
+ */
+function addFields(data, version, getDefaults) {
+  const todos = data && Array.isArray(data.todos) ? data.todos : [];
+
+  return {
+    version,
+    todos: todos.map((todo) => {
+      const result = { ...todo };
+      Object.entries(getDefaults()).forEach(([field, value]) => {
+        result[field] = result[field] ?? value;
+      });
+
+      return result;
+    }),
+  };
+}
+
+/**
+ * Upgrade functions keyed by the version they produce.
+ * @type {Object<number, function(*): Object>}
+ */
+export const MIGRATIONS = {
+  // Version 0 was a bare array of titles or loosely shaped objects.
+  1: (data) => ({
+    version: 1,
+    todos: (Array.isArray(data) ? data : []).map(normalizeLegacyTodo).filter((todo) => todo.title),
+  }),
+  // Version 2 added the schedule of a todo: a due date, a recurrence rule and a reminder.
+  2: (data) => addFields(data, 2, () => ({ dueDate: null, recurrence: null, remindAt: null })),
+  // Version 3 added tags, a priority and subtasks, which point to their parent.
+  3: (data) => addFields(data, 3, () => ({ tags: [], priority: null, parentId: null })),
+};
+
+/**
+ * Detects the version of saved data. Anything that is not an envelope is version 0.
+ * @param {*} data - The saved data.
+ * @returns {number} The detected version.
+ */
+export function getVersion(data) {
+  return data && !Array.isArray(data) && Number.isInteger(data.version) ? data.version : 0;
+}
+
+/**
+ * Upgrades saved data to the given schema version.
+ * @param {*} data - The saved data, in any known version.
+ * @param {Object} [options] - Migration options.
+ * @param {Object<number, function(*): Object>} [options.migrations=MIGRATIONS] - Upgrade functions.
+ * @param {number} [options.version=SCHEMA_VERSION] - The target version.
+ * @returns {{version: number, todos: Object[]}} The data in the target version.
+ * @throws Will throw an error if the data is newer than the target version or a migration is missing.
+ * @example
+ * migrate(['Buy milk']); // { version: 3, todos: [{ id: 'legacy-0', title: 'Buy milk', ... }] }
+ */
+export function migrate(data, { migrations = MIGRATIONS, version = SCHEMA_VERSION } = {}) {
+  let current = getVersion(data);
+  let result = data;
+
+  if (current > version) {
+    throw new Error(`Saved data version ${current} is newer than the supported version ${version}`);
+  }
+
+  while (current < version) {
+    const upgrade = migrations[current + 1];
+    if (typeof upgrade !== 'function') {
+      throw new Error(`Missing migration to version ${current + 1}`);
+    }
+
+    result = upgrade(result);
+    current += 1;
+  }
+
+  return result;
+}
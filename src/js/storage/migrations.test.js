@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { getVersion, migrate, SCHEMA_VERSION } from './migrations';
+
+describe('Test suite for the storage migrations', () => {
+  describe('Should detect the saved version', () => {
+    it('For legacy arrays', () => {
+      expect(getVersion(['Buy milk'])).toBe(0);
+    });
+
+    it('For envelopes', () => {
+      expect(getVersion({ version: 1, todos: [] })).toBe(1);
+    });
+
+    it('For unknown data', () => {
+      expect(getVersion(null)).toBe(0);
+      expect(getVersion({ todos: [] })).toBe(0);
+    });
+  });
+
+  describe('Should migrate legacy data to the current version', () => {
+    it('From a list of titles', () => {
+      const { version, todos } = migrate(['Buy milk', '']);
+
+      expect(version).toBe(SCHEMA_VERSION);
+      expect(todos).toEqual([
+        {
+          id: 'legacy-0',
+          title: 'Buy milk',
+          notes: '',
+          completed: false,
+          createdAt: '1970-01-01T00:00:00.000Z',
+          updatedAt: '1970-01-01T00:00:00.000Z',
+          completedAt: null,
+          dueDate: null,
+          recurrence: null,
+          remindAt: null,
+          tags: [],
+          priority: null,
+          parentId: null,
+        },
+      ]);
+    });
+
+    it('From loosely shaped objects', () => {
+      const { todos } = migrate([{ id: 7, text: 'Walk dog', done: true, createdAt: '2024-01-01T00:00:00.000Z' }]);
+
+      expect(todos[0]).toMatchObject({
+        id: '7',
+        title: 'Walk dog',
+        completed: true,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('From an unknown shape', () => {
+      expect(migrate({ todos: 'invalid' })).toEqual({ version: SCHEMA_VERSION, todos: [] });
+    });
+  });
+
+  describe('Should upgrade version 1 todos with a schedule', () => {
+    it('Adding an empty due date, recurrence and reminder', () => {
+      const todo = { id: 'a', title: 'A', completed: false };
+
+      expect(migrate({ version: 1, todos: [todo] }, { version: 2 }).todos).toEqual([
+        { ...todo, dueDate: null, recurrence: null, remindAt: null },
+      ]);
+    });
+
+    it('Keeping the fields a todo already has', () => {
+      const todo = { id: 'a', title: 'A', dueDate: '2024-01-01', recurrence: 'FREQ=DAILY', remindAt: null };
+
+      expect(migrate({ version: 1, todos: [todo] }).todos[0]).toMatchObject(todo);
+    });
+  });
+
+  describe('Should upgrade version 2 todos with tags, a priority and a parent', () => {
+    it('Adding no tags, no priority and no parent', () => {
+      const todo = { id: 'a', title: 'A', dueDate: null, recurrence: null, remindAt: null };
+
+      expect(migrate({ version: 2, todos: [todo] }).todos).toEqual([
+        { ...todo, tags: [], priority: null, parentId: null },
+      ]);
+    });
+
+    it('Keeping the fields a todo already has', () => {
+      const todo = { id: 'b', title: 'B', tags: ['home'], priority: 'high', parentId: 'a' };
+
+      expect(migrate({ version: 2, todos: [todo] }).todos[0]).toMatchObject(todo);
+    });
+
+    it('Giving every todo its own tags', () => {
+      const { todos } = migrate({ version: 2, todos: [{ id: 'a' }, { id: 'b' }] });
+
+      expect(todos[0].tags).not.toBe(todos[1].tags);
+    });
+  });
+
+  it('Should keep data already in the current version', () => {
+    const data = { version: SCHEMA_VERSION, todos: [{ id: 'a', title: 'A' }] };
+
+    expect(migrate(data)).toBe(data);
+  });
+
+  it('Should apply migrations in sequence', () => {
+    const migrations = {
+      1: (data) => ({ version: 1, todos: data }),
+      2: (data) => ({ ...data, version: 2, todos: data.todos.map((title) => ({ title })) }),
+    };
+
+    expect(migrate(['A'], { migrations, version: 2 })).toEqual({ version: 2, todos: [{ title: 'A' }] });
+  });
+
+  it('Should throw for data newer than the supported version', () => {
+    expect(() => migrate({ version: SCHEMA_VERSION + 1, todos: [] })).toThrow(
+      `Saved data version ${SCHEMA_VERSION + 1} is newer than the supported version ${SCHEMA_VERSION}`,
+    );
+  });
+
+  it('Should throw for a missing migration', () => {
+    expect(() => migrate([], { migrations: {}, version: 1 })).toThrow('Missing migration to version 1');
+  });
+});
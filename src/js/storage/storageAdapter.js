@@ -0,0 +1,88 @@
+/**
+ * Contract shared by every persistence backend.
+ *
+ * Adapters store structured-cloneable values under string keys and expose an
+ * asynchronous API, so synchronous backends (memory, localStorage) and
+ * asynchronous ones (IndexedDB, remote APIs) are interchangeable.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * class MyAdapter extends StorageAdapter {
+ *   async get(key) { ... }
+ *   async set(key, value) { ... }
+ *   async remove(key) { ... }
+ * }
+ */
+export class StorageAdapter {
+  /**
+   * Name used to identify the adapter in logs and fallbacks.
+   * @returns {string} The adapter name.
+   */
+  get name() {
+    return 'abstract';
+  }
+
+  /**
+   * Checks whether the backend can be used in the current environment.
+   * @returns {Promise<boolean>} True if the adapter can read and write.
+   */
+  async isAvailable() {
+    return false;
+  }
+
+  /**
+   * Reads a value.
+   * @param {string} key - The key to read.
+   * @returns {Promise<*>} The stored value, or undefined if the key does not exist.
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Writes a value.
+   * @param {string} key - The key to write.
+   * @param {*} value - The value to store.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    throw new Error(`${this.constructor.name} must implement set()`);
+  }
+
+  /**
+   * Removes a value.
+   * @param {string} key - The key to remove.
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name} must implement remove()`);
+  }
+}
+
+/**
+ * Checks whether an error was caused by the storage quota being exceeded.
+ * Browsers disagree on the name and code of this error, so all known variants are accepted.
+ * @param {*} error - The error to check.
+ * @returns {boolean} True if the error is a quota error.
+ * @example
+ * try {
+ *   await adapter.set('key', hugeValue);
+ * } catch (error) {
+ *   if (isQuotaExceededError(error)) { ... }
+ * }
+ */
+export function isQuotaExceededError(error) {
+  if (!error) {
+    return false;
+  }
+
+  return (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
@@ -0,0 +1,124 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { IndexedDbAdapter } from './indexedDbAdapter';
+import { LocalStorageAdapter } from './localStorageAdapter';
+import { MemoryStorageAdapter } from './memoryStorageAdapter';
+import { isQuotaExceededError, StorageAdapter } from './storageAdapter';
+
+describe('Test suite for the storage adapters', () => {
+  const adapters = {
+    memory: () => new MemoryStorageAdapter(),
+    localStorage: () => new LocalStorageAdapter({ prefix: 'test:' }),
+    indexedDB: () => new IndexedDbAdapter({ indexedDB: new IDBFactory() }),
+  };
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  describe.each(Object.entries(adapters))('Should fulfil the adapter contract with %s', (name, createAdapter) => {
+    it('Reporting its name and availability', async () => {
+      const adapter = createAdapter();
+
+      expect(adapter.name).toBe(name);
+      expect(await adapter.isAvailable()).toBe(true);
+    });
+
+    it('Returning undefined for missing keys', async () => {
+      expect(await createAdapter().get('missing')).toBeUndefined();
+    });
+
+    it('Writing, reading and removing values', async () => {
+      const adapter = createAdapter();
+      const value = { version: 1, todos: [{ id: 'a', title: 'A', completed: false }] };
+
+      await adapter.set('todos', value);
+      expect(await adapter.get('todos')).toEqual(value);
+
+      await adapter.remove('todos');
+      expect(await adapter.get('todos')).toBeUndefined();
+    });
+
+    it('Storing copies instead of references', async () => {
+      const adapter = createAdapter();
+      const value = { todos: [] };
+
+      await adapter.set('todos', value);
+      value.todos.push('changed');
+
+      expect(await adapter.get('todos')).toEqual({ todos: [] });
+    });
+  });
+
+  describe('Should handle an unavailable localStorage', () => {
+    it('When writes are rejected', async () => {
+      vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      });
+
+      expect(await new LocalStorageAdapter().isAvailable()).toBe(false);
+    });
+
+    it('When localStorage does not exist', async () => {
+      vi.stubGlobal('localStorage', undefined);
+
+      const adapter = new LocalStorageAdapter();
+      expect(await adapter.isAvailable()).toBe(false);
+      await expect(adapter.get('todos')).rejects.toThrow('localStorage is not available');
+
+      vi.unstubAllGlobals();
+    });
+
+    it('Using the prefix on every key', async () => {
+      await new LocalStorageAdapter({ prefix: 'app:' }).set('todos', []);
+
+      expect(localStorage.getItem('app:todos')).toBe('[]');
+    });
+  });
+
+  describe('Should handle an unavailable IndexedDB', () => {
+    it('When IndexedDB does not exist', async () => {
+      vi.stubGlobal('indexedDB', undefined);
+
+      const adapter = new IndexedDbAdapter();
+      expect(await adapter.isAvailable()).toBe(false);
+      await expect(adapter.get('todos')).rejects.toThrow('IndexedDB is not available');
+
+      vi.unstubAllGlobals();
+    });
+
+    it('Reopening the database after close', async () => {
+      const adapter = adapters.indexedDB();
+
+      await adapter.set('todos', ['A']);
+      adapter.close();
+
+      expect(await adapter.get('todos')).toEqual(['A']);
+    });
+  });
+
+  it('Should require subclasses to implement the contract', async () => {
+    class IncompleteAdapter extends StorageAdapter {}
+    const adapter = new IncompleteAdapter();
+
+    expect(adapter.name).toBe('abstract');
+    expect(await adapter.isAvailable()).toBe(false);
+    await expect(adapter.get('key')).rejects.toThrow('IncompleteAdapter must implement get()');
+    await expect(adapter.set('key', 1)).rejects.toThrow('IncompleteAdapter must implement set()');
+    await expect(adapter.remove('key')).rejects.toThrow('IncompleteAdapter must implement remove()');
+  });
+
+  describe('Should detect quota errors', () => {
+    it.each([
+      [new DOMException('Quota exceeded', 'QuotaExceededError'), true],
+      [{ name: 'NS_ERROR_DOM_QUOTA_REACHED' }, true],
+      [{ code: 22 }, true],
+      [new Error('Something else'), false],
+      [undefined, false],
+    ])('For %s', (error, expected) => {
+      expect(isQuotaExceededError(error)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { MemoryStorageAdapter } from './memoryStorageAdapter.js';
+import { getVersion, migrate, SCHEMA_VERSION } from './migrations.js';
+import { isQuotaExceededError } from './storageAdapter.js';
+import { TODO_EVENTS } from '../store/todoStore.js';
+
+/**
+ * Keeps a TodoStore in sync with a storage adapter.
+ *
+ * Saved data is migrated to the current schema on load, and every store change
+ * is written back in order. If the adapter fails (quota exceeded, storage
+ * disabled, private mode...), persistence switches to the fallback adapter so
+ * the app keeps working for the rest of the session.
+ *
+ * @example
+ * const store = new TodoStore();
+ * const persistence = new TodoPersistence({ store, adapter: await createStorageAdapter() });
+ * await persistence.load();
+ * persistence.start();
+ */
+export class TodoPersistence {
+  /**
+   * Creates an instance of TodoPersistence.
+   * @param {Object} options - Persistence options.
+   * @param {TodoStore} options.store - The store to persist.
+   * @param {StorageAdapter} options.adapter - The preferred storage backend.
+   * @param {StorageAdapter} [options.fallbackAdapter] - Used when the preferred backend fails. Defaults to memory.
+   * @param {string} [options.key='todos'] - The key the todos are saved under.
+   * @throws Will throw an error if the store or adapter is not defined.
+   */
+  constructor({ store, adapter, fallbackAdapter = new MemoryStorageAdapter(), key = 'todos' } = {}) {
+    if (!store || !adapter) {
+      throw new Error('Define a valid store and storage adapter');
+    }
+
+    this._store = store;
+    this._adapter = adapter;
+    this._fallbackAdapter = fallbackAdapter;
+    this._key = key;
+    this._changeEvent = TODO_EVENTS.CHANGE;
+    this._queue = Promise.resolve();
+    this._loading = false;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * The adapter currently in use, which is the fallback after a failure.
+   * @returns {StorageAdapter} The active adapter.
+   */
+  get adapter() {
+    return this._adapter;
+  }
+
+  /**
+   * Loads saved todos into the store, migrating and re-saving them if they use an older schema.
+   * @returns {Promise<Object[]>} The loaded todos.
+   * @example
+   * await persistence.load();
+   */
+  async load() {
+    const data = await this._run((adapter) => adapter.get(this._key));
+    if (data === undefined || data === null) {
+      return [];
+    }
+
+    const { items, outdated } = this._parse(data);
+    this._loading = true;
+    this._store.load(items);
+    this._loading = false;
+
+    if (outdated) {
+      await this.save();
+    }
+
+    return items;
+  }
+
+  /**
+   * Writes the current todos. Writes are queued so they land in the order they were requested.
+   * @returns {Promise<void>} Resolves once this write has finished.
+   * @example
+   * await persistence.save();
+   */
+  save() {
+    const data = this._serialize();
+    this._queue = this._queue.catch(() => {}).then(() => this._run((adapter) => adapter.set(this._key, data)));
+
+    return this._queue;
+  }
+
+  /**
+   * Starts saving the store after every change.
+   * @example
+   * persistence.start();
+   */
+  start() {
+    if (!this._unsubscribe) {
+      this._unsubscribe = this._store.subscribe(this._changeEvent, () => {
+        if (!this._loading) {
+          this.save().catch((error) => console.error(`Could not save ${this._key}.`, error));
+        }
+      });
+    }
+  }
+
+  /**
+   * Stops saving store changes.
+   * @example
+   * persistence.stop();
+   */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Reads saved data into the items the store is loaded with.
+   * @param {*} data - The saved data.
+   * @returns {{ items: Object[], outdated: boolean }} The items, and whether the data must be saved again.
+   */
+  _parse(data) {
+    return { items: migrate(data).todos, outdated: getVersion(data) !== SCHEMA_VERSION };
+  }
+
+  /**
+   * Builds the data written to the adapter.
+   * @returns {Object} The saved envelope.
+   */
+  _serialize() {
+    return { version: SCHEMA_VERSION, todos: this._store.toJSON() };
+  }
+
+  /**
+   * Runs an operation on the active adapter, switching to the fallback adapter if it fails.
+   * @param {function(StorageAdapter): Promise<*>} operation - The operation to run.
+   * @returns {Promise<*>} The operation result.
+   */
+  async _run(operation) {
+    try {
+      return await operation(this._adapter);
+    } catch (error) {
+      if (this._adapter === this._fallbackAdapter) {
+        throw error;
+      }
+
+      const reason = isQuotaExceededError(error) ? 'Storage quota exceeded' : 'Storage is unavailable';
+      console.warn(`${reason} in ${this._adapter.name}. Falling back to ${this._fallbackAdapter.name}.`);
+      this._adapter = this._fallbackAdapter;
+
+      return operation(this._adapter);
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MemoryStorageAdapter } from './memoryStorageAdapter';
+import { SCHEMA_VERSION } from './migrations';
+import { TodoPersistence } from './todoPersistence';
+import { TodoStore } from '../store/todoStore';
+
+describe('Test suite for the TodoPersistence class', () => {
+  let store;
+  let adapter;
+  let fallbackAdapter;
+  let persistence;
+
+  const consoleMock = vi.spyOn(console, 'warn');
+
+  beforeEach(() => {
+    store = new TodoStore();
+    adapter = new MemoryStorageAdapter();
+    fallbackAdapter = new MemoryStorageAdapter();
+    persistence = new TodoPersistence({ store, adapter, fallbackAdapter });
+  });
+
+  afterEach(() => {
+    persistence.stop();
+    consoleMock.mockReset();
+  });
+
+  it('Should throw error if store or adapter is not provided', () => {
+    expect(() => new TodoPersistence({ store })).toThrow('Define a valid store and storage adapter');
+    expect(() => new TodoPersistence()).toThrow('Define a valid store and storage adapter');
+  });
+
+  describe('Should load saved todos', () => {
+    it('When nothing was saved', async () => {
+      expect(await persistence.load()).toEqual([]);
+      expect(store.size).toBe(0);
+    });
+
+    it('In the current schema', async () => {
+      await adapter.set('todos', { version: SCHEMA_VERSION, todos: [{ id: 'a', title: 'A', completed: false }] });
+
+      await persistence.load();
+
+      expect(store.get('a').title).toBe('A');
+    });
+
+    it('Migrating and re-saving an older schema', async () => {
+      await adapter.set('todos', ['Buy milk']);
+
+      await persistence.load();
+
+      expect(store.get('legacy-0').title).toBe('Buy milk');
+      expect(await adapter.get('todos')).toEqual({ version: SCHEMA_VERSION, todos: store.getAll() });
+    });
+
+    it('Without saving back the loaded data', async () => {
+      const setSpy = vi.spyOn(adapter, 'set');
+      await adapter.set('todos', { version: SCHEMA_VERSION, todos: [] });
+      setSpy.mockClear();
+      persistence.start();
+
+      await persistence.load();
+
+      expect(setSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Should save changes after start', () => {
+    it('For every mutation', async () => {
+      persistence.start();
+
+      const todo = store.create({ title: 'A' });
+      store.toggle(todo.id);
+      await persistence.save();
+
+      expect(await adapter.get('todos')).toEqual({ version: SCHEMA_VERSION, todos: [store.get(todo.id)] });
+    });
+
+    it('Writing in the order the changes happened', async () => {
+      const writes = [];
+      vi.spyOn(adapter, 'set').mockImplementation(async (key, value) => {
+        await new Promise((resolve) => setTimeout(resolve, value.todos.length === 1 ? 10 : 0));
+        writes.push(value.todos.length);
+      });
+      persistence.start();
+
+      store.create({ title: 'A' });
+      store.create({ title: 'B' });
+      await persistence.save();
+
+      expect(writes).toEqual([1, 2, 2]);
+    });
+
+    it('Until stopped', async () => {
+      persistence.start();
+      persistence.stop();
+
+      store.create({ title: 'A' });
+
+      expect(await adapter.get('todos')).toBeUndefined();
+    });
+
+    it('Using a custom key', async () => {
+      persistence = new TodoPersistence({ store, adapter, key: 'inbox' });
+      store.create({ title: 'A' });
+
+      await persistence.save();
+
+      expect((await adapter.get('inbox')).todos).toHaveLength(1);
+    });
+  });
+
+  describe('Should fall back when the adapter fails', () => {
+    it('On quota exceeded', async () => {
+      vi.spyOn(adapter, 'set').mockRejectedValue(new DOMException('Quota exceeded', 'QuotaExceededError'));
+      store.create({ title: 'A' });
+
+      await persistence.save();
+
+      expect(persistence.adapter).toBe(fallbackAdapter);
+      expect((await fallbackAdapter.get('todos')).todos).toHaveLength(1);
+      expect(consoleMock).toBeCalledWith('Storage quota exceeded in memory. Falling back to memory.');
+    });
+
+    it('On unavailable storage', async () => {
+      vi.spyOn(adapter, 'get').mockRejectedValue(new Error('SecurityError'));
+
+      expect(await persistence.load()).toEqual([]);
+      expect(persistence.adapter).toBe(fallbackAdapter);
+      expect(consoleMock).toBeCalledWith('Storage is unavailable in memory. Falling back to memory.');
+    });
+
+    it('Rejecting when the fallback fails as well', async () => {
+      const error = new Error('Broken');
+      vi.spyOn(adapter, 'set').mockRejectedValue(error);
+      vi.spyOn(fallbackAdapter, 'set').mockRejectedValue(error);
+
+      await expect(persistence.save()).rejects.toBe(error);
+    });
+
+    it('Logging failed automatic saves', async () => {
+      const errorMock = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('Broken');
+      vi.spyOn(adapter, 'set').mockRejectedValue(error);
+      vi.spyOn(fallbackAdapter, 'set').mockRejectedValue(error);
+      persistence.start();
+
+      store.create({ title: 'A' });
+      await persistence.save().catch(() => {});
+
+      expect(errorMock).toBeCalledWith('Could not save todos.', error);
+      errorMock.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+import { createId } from './todoStore.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * Observable store for the todo lists of the user.
+ *
+ * Holds the metadata of each list (name, color and icon). The todos of a
+ * list live in their own TodoStore, see Workspace.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const lists = new ListStore();
+ * const list = lists.create({ name: 'Groceries', color: 'green', icon: '🛒' });
+ * lists.update(list.id, { name: 'Market' });
+ */
+
+/**
+ * Names of the events dispatched by the store.
+ * @readonly
+ * @enum {string}
+ */
+export const LIST_EVENTS = Object.freeze({
+  ADDED: 'list:added',
+  UPDATED: 'list:updated',
+  REMOVED: 'list:removed',
+  RESET: 'list:reset',
+  CHANGE: 'list:change',
+});
+
+/**
+ * Colors a list can use, named after the Tailwind palette.
+ * @type {string[]}
+ */
+export const LIST_COLORS = ['gray', 'red', 'orange', 'amber', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+/**
+ * Icons a list can use.
+ * @type {string[]}
+ */
+export const LIST_ICONS = ['📋', '📥', '🏠', '💼', '🛒', '🎯', '📚', '✈️', '💡', '❤️'];
+
+/**
+ * @typedef {Object} TodoList
+ * @property {string} id - Stable unique identifier.
+ * @property {string} name - Name shown in the sidebar.
+ * @property {string} color - One of LIST_COLORS.
+ * @property {string} icon - One of LIST_ICONS.
+ * @property {string} createdAt - ISO date of creation.
+ * @property {string} updatedAt - ISO date of the last change.
+ */
+
+const EDITABLE_FIELDS = ['name', 'color', 'icon'];
+
+/**
+ * Validates and normalizes the editable fields of a list.
+ * @param {Object} data - The fields to validate.
+ * @returns {Object} The normalized fields.
+ * @throws Will throw an error if the name is empty or the color or icon are unknown.
+ */
+function normalizeFields(data) {
+  const fields = {};
+
+  if ('name' in data) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      throw new LocalizedError('errors.list.name');
+    }
+    fields.name = data.name.trim();
+  }
+  if ('color' in data) {
+    if (!LIST_COLORS.includes(data.color)) {
+      throw new LocalizedError('errors.list.color', { colors: LIST_COLORS.join(', ') });
+    }
+    fields.color = data.color;
+  }
+  if ('icon' in data) {
+    if (!LIST_ICONS.includes(data.icon)) {
+      throw new LocalizedError('errors.list.icon');
+    }
+    fields.icon = data.icon;
+  }
+
+  return fields;
+}
+
+export class ListStore extends EventTarget {
+  /**
+   * Creates an instance of ListStore.
+   * @param {Object} [options] - Store options.
+   * @param {TodoList[]} [options.lists=[]] - Initial lists, in display order.
+   * @param {function(): string} [options.idGenerator=createId] - Generates ids for new lists.
+   * @param {function(): Date} [options.clock] - Returns the current date, used for timestamps.
+   */
+  constructor({ lists = [], idGenerator = createId, clock = () => new Date() } = {}) {
+    super();
+    this._idGenerator = idGenerator;
+    this._clock = clock;
+    this._lists = lists.map((list) => Object.freeze({ ...list }));
+  }
+
+  /**
+   * Gets all lists in display order.
+   * @returns {TodoList[]} A copy of the lists.
+   */
+  getAll() {
+    return [...this._lists];
+  }
+
+  /**
+   * Gets a list by id.
+   * @param {string} id - The id of the list.
+   * @returns {TodoList|undefined} The list, or undefined if it does not exist.
+   */
+  get(id) {
+    return this._lists.find((list) => list.id === id);
+  }
+
+  /**
+   * Gets the number of lists in the store.
+   * @returns {number} The number of lists.
+   */
+  get size() {
+    return this._lists.length;
+  }
+
+  /**
+   * Creates a new list at the end.
+   * @param {Object} data - The list data.
+   * @param {string} data.name - The name of the list.
+   * @param {string} [data.color='gray'] - One of LIST_COLORS.
+   * @param {string} [data.icon='📋'] - One of LIST_ICONS.
+   * @param {string} [data.id] - A fixed id, e.g. for the default list. Generated when omitted.
+   * @returns {TodoList} The created list.
+   * @throws Will throw an error if the fields are not valid or the id is already used.
+   * @example
+   * const list = lists.create({ name: 'Work', color: 'blue', icon: '💼' });
+   */
+  create({ id = this._idGenerator(), name, color = LIST_COLORS[0], icon = LIST_ICONS[0] } = {}) {
+    if (this.get(id)) {
+      throw new Error(`List "${id}" already exists`);
+    }
+
+    const timestamp = this._timestamp();
+    const list = Object.freeze({
+      id,
+      ...normalizeFields({ name, color, icon }),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    });
+
+    this._lists.push(list);
+    this._emit(LIST_EVENTS.ADDED, { list, index: this._lists.length - 1 });
+
+    return list;
+  }
+
+  /**
+   * Updates the name, color or icon of a list. Other fields are ignored.
+   * @param {string} id - The id of the list.
+   * @param {Object} changes - The fields to change.
+   * @returns {TodoList} The updated list.
+   * @throws Will throw an error if the list does not exist or the fields are not valid.
+   * @example
+   * lists.update(list.id, { name: 'Office', color: 'indigo' });
+   */
+  update(id, changes = {}) {
+    const index = this._indexOf(id);
+    const previous = this._lists[index];
+    const fields = normalizeFields(
+      Object.fromEntries(Object.entries(changes).filter(([key]) => EDITABLE_FIELDS.includes(key))),
+    );
+
+    if (Object.keys(fields).every((key) => fields[key] === previous[key])) {
+      return previous;
+    }
+
+    const list = Object.freeze({ ...previous, ...fields, updatedAt: this._timestamp() });
+    this._lists[index] = list;
+    this._emit(LIST_EVENTS.UPDATED, { list, previous, index });
+
+    return list;
+  }
+
+  /**
+   * Deletes a list.
+   * @param {string} id - The id of the list.
+   * @returns {TodoList} The deleted list.
+   * @throws Will throw an error if the list does not exist.
+   */
+  delete(id) {
+    const index = this._indexOf(id);
+    const [list] = this._lists.splice(index, 1);
+    this._emit(LIST_EVENTS.REMOVED, { list, previousIndex: index });
+
+    return list;
+  }
+
+  /**
+   * Replaces every list in the store, e.g. after loading from storage.
+   * @param {TodoList[]} lists - The new lists, in display order.
+   */
+  load(lists = []) {
+    this._lists = lists.map((list) => Object.freeze({ ...list }));
+    this._emit(LIST_EVENTS.RESET, {});
+  }
+
+  /**
+   * Subscribes to a store event.
+   * @param {string} type - The event name (one of LIST_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  /**
+   * Serializes the store for persistence.
+   * @returns {TodoList[]} The lists in display order.
+   */
+  toJSON() {
+    return this.getAll();
+  }
+
+  _indexOf(id) {
+    const index = this._lists.findIndex((list) => list.id === id);
+    if (index === -1) {
+      throw new LocalizedError('errors.list.notFound', { id });
+    }
+
+    return index;
+  }
+
+  _timestamp() {
+    return this._clock().toISOString();
+  }
+
+  _emit(type, detail) {
+    const payload = { type, ...detail };
+    this.dispatchEvent(new CustomEvent(type, { detail: payload }));
+    this.dispatchEvent(new CustomEvent(LIST_EVENTS.CHANGE, { detail: payload }));
+  }
+}
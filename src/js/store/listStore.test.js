@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { LIST_COLORS, LIST_EVENTS, LIST_ICONS, ListStore } from './listStore';
+
+describe('Test suite for the ListStore class', () => {
+  let store;
+  let nextId;
+  let currentDate;
+
+  beforeEach(() => {
+    nextId = 0;
+    currentDate = new Date('2024-06-01T10:00:00.000Z');
+    store = new ListStore({
+      idGenerator: () => `list-${++nextId}`,
+      clock: () => currentDate,
+    });
+  });
+
+  it('Should start with the given lists', () => {
+    const initial = new ListStore({ lists: [{ id: 'a', name: 'A', color: 'red', icon: '📋' }] });
+
+    expect(initial.size).toBe(1);
+    expect(Object.isFrozen(initial.get('a'))).toBe(true);
+  });
+
+  describe('Should create lists', () => {
+    it('With defaults for the color and icon', () => {
+      const list = store.create({ name: '  Work  ' });
+
+      expect(list).toEqual({
+        id: 'list-1',
+        name: 'Work',
+        color: LIST_COLORS[0],
+        icon: LIST_ICONS[0],
+        createdAt: '2024-06-01T10:00:00.000Z',
+        updatedAt: '2024-06-01T10:00:00.000Z',
+      });
+      expect(store.getAll()).toEqual([list]);
+    });
+
+    it('With a fixed id', () => {
+      expect(store.create({ id: 'inbox', name: 'Inbox' }).id).toBe('inbox');
+      expect(() => store.create({ id: 'inbox', name: 'Other' })).toThrow('List "inbox" already exists');
+    });
+
+    it.each([
+      [{ name: '' }, 'Define a valid list name'],
+      [{ name: 'A', color: 'black' }, `Define a valid list color: ${LIST_COLORS.join(', ')}`],
+      [{ name: 'A', icon: '🦄' }, 'Define a valid list icon'],
+    ])('Rejecting %o', (data, message) => {
+      expect(() => store.create(data)).toThrow(message);
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('Should update lists', () => {
+    let list;
+
+    beforeEach(() => {
+      list = store.create({ name: 'Work' });
+      currentDate = new Date('2024-06-02T10:00:00.000Z');
+    });
+
+    it('Changing only the editable fields', () => {
+      const updated = store.update(list.id, { name: 'Office', color: 'indigo', icon: '💼', id: 'x', createdAt: 'x' });
+
+      expect(updated).toEqual({
+        ...list,
+        name: 'Office',
+        color: 'indigo',
+        icon: '💼',
+        updatedAt: '2024-06-02T10:00:00.000Z',
+      });
+    });
+
+    it('Without emitting when nothing changes', () => {
+      const handler = vi.fn();
+      store.subscribe(LIST_EVENTS.CHANGE, handler);
+
+      expect(store.update(list.id, { name: 'Work' })).toBe(list);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('Throwing for unknown lists', () => {
+      expect(() => store.update('nope', { name: 'A' })).toThrow('List "nope" not found');
+    });
+  });
+
+  it('Should delete lists', () => {
+    const list = store.create({ name: 'Work' });
+
+    expect(store.delete(list.id)).toBe(list);
+    expect(store.size).toBe(0);
+    expect(() => store.delete(list.id)).toThrow(`List "${list.id}" not found`);
+  });
+
+  it('Should emit typed events followed by a change event', () => {
+    const events = [];
+    store.subscribe(LIST_EVENTS.CHANGE, ({ type }) => events.push(type));
+    const added = vi.fn();
+    const unsubscribe = store.subscribe(LIST_EVENTS.ADDED, added);
+
+    const list = store.create({ name: 'Work' });
+    store.update(list.id, { name: 'Office' });
+    unsubscribe();
+    store.delete(list.id);
+    store.load([]);
+
+    expect(added).toHaveBeenCalledWith({ type: LIST_EVENTS.ADDED, list, index: 0 });
+    expect(events).toEqual([LIST_EVENTS.ADDED, LIST_EVENTS.UPDATED, LIST_EVENTS.REMOVED, LIST_EVENTS.RESET]);
+  });
+
+  it('Should serialize the lists', () => {
+    const list = store.create({ name: 'Work' });
+
+    expect(JSON.parse(JSON.stringify(store))).toEqual([list]);
+  });
+});
@@ -0,0 +1,621 @@
+import { daysBetween, isDateKey, toDateKey } from '../schedule/dueDate.js';
+import { nextOccurrence, normalizeRecurrence } from '../schedule/recurrence.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * Framework-free state container for todos.
+ *
+ * Every mutation replaces the affected todo with a new frozen object and
+ * dispatches a typed event followed by a generic `todo:change` event, so
+ * components can subscribe to exactly what they need and re-render.
+ *
+ * Completing a recurring todo adds its next occurrence right after it, see
+ * `toggle`. Subtasks are todos with a `parentId`; they can be nested to any
+ * depth, and the progress of a parent is derived from them, see
+ * `getProgress`.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const store = new TodoStore();
+ * const unsubscribe = store.subscribe(TODO_EVENTS.ADDED, ({ todo }) => console.log(todo.title));
+ *
+ * const todo = store.create({ title: 'Buy milk' });
+ * store.toggle(todo.id);
+ * unsubscribe();
+ */
+
+/**
+ * Names of the events dispatched by the store.
+ * @readonly
+ * @enum {string}
+ */
+export const TODO_EVENTS = Object.freeze({
+  ADDED: 'todo:added',
+  UPDATED: 'todo:updated',
+  REMOVED: 'todo:removed',
+  TOGGLED: 'todo:toggled',
+  REORDERED: 'todo:reordered',
+  RESET: 'todo:reset',
+  CHANGE: 'todo:change',
+});
+
+/**
+ * Priority levels, from the highest.
+ * @type {string[]}
+ */
+export const TODO_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * @typedef {Object} Todo
+ * @property {string} id - Stable unique identifier.
+ * @property {string} title - Short description of the task.
+ * @property {string} notes - Free-form notes.
+ * @property {boolean} completed - Whether the task is done.
+ * @property {string} createdAt - ISO date of creation.
+ * @property {string} updatedAt - ISO date of the last change.
+ * @property {string|null} completedAt - ISO date of completion, or null.
+ * @property {string|null} dueDate - Day the task is due, as a `YYYY-MM-DD` key (see dueDate.js), or null.
+ * @property {string|null} recurrence - Recurrence rule such as `FREQ=WEEKLY;BYDAY=MO` (see recurrence.js), or null.
+ * @property {string|null} remindAt - ISO date and time of the reminder, or null.
+ * @property {string[]} tags - Free-form labels, see normalizeTags.
+ * @property {string|null} priority - One of TODO_PRIORITIES, or null.
+ * @property {string|null} parentId - The id of the todo this one is a subtask of, or null.
+ */
+
+/**
+ * @typedef {Object} TodoChangeDetail
+ * @property {string} type - The specific event name (one of TODO_EVENTS).
+ * @property {Todo} [todo] - The todo after the change.
+ * @property {Todo} [previous] - The todo before the change.
+ * @property {number} [index] - The position of the todo after the change.
+ * @property {number} [previousIndex] - The position of the todo before the change.
+ */
+
+const EDITABLE_FIELDS = ['title', 'notes', 'dueDate', 'recurrence', 'remindAt', 'tags', 'priority', 'parentId'];
+
+/**
+ * Generates a unique id, using `crypto.randomUUID` when available.
+ * @returns {string} The generated id.
+ */
+export function createId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Validates and normalizes a todo title.
+ * @param {*} title - The title to validate.
+ * @returns {string} The trimmed title.
+ * @throws Will throw an error if the title is not a non-empty string.
+ */
+function normalizeTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new LocalizedError('errors.todo.title');
+  }
+
+  return title.trim();
+}
+
+/**
+ * Validates a due date.
+ * @param {*} dueDate - A date key, or null for none.
+ * @returns {string|null} The date key, or null.
+ * @throws Will throw an error if the value is not a date key of an existing day.
+ */
+function normalizeDueDate(dueDate) {
+  if (dueDate === null || dueDate === undefined || dueDate === '') {
+    return null;
+  }
+  if (!isDateKey(dueDate)) {
+    throw new LocalizedError('errors.todo.dueDate');
+  }
+
+  return dueDate;
+}
+
+/**
+ * Validates a reminder time.
+ * @param {*} remindAt - A Date or a date string, or null for none.
+ * @returns {string|null} The ISO date, or null.
+ * @throws Will throw an error if the value is not a valid date.
+ */
+function normalizeRemindAt(remindAt) {
+  if (remindAt === null || remindAt === undefined || remindAt === '') {
+    return null;
+  }
+
+  const date = new Date(remindAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new LocalizedError('errors.todo.remindAt');
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Normalizes tags: trims them, drops a leading `#` and empty tags, and removes duplicates
+ * regardless of case, keeping the first spelling.
+ * @param {string[]|string} tags - The tags, as an array or a comma-separated string.
+ * @returns {string[]} The tags.
+ * @throws Will throw an error if the tags are neither an array nor a string.
+ * @example
+ * normalizeTags(' #Home, work,home'); // ['Home', 'work']
+ */
+export function normalizeTags(tags) {
+  if (tags === null || tags === undefined) {
+    return [];
+  }
+  if (!Array.isArray(tags) && typeof tags !== 'string') {
+    throw new LocalizedError('errors.todo.tags');
+  }
+
+  const seen = new Set();
+
+  return (Array.isArray(tags) ? tags : tags.split(','))
+    .map((tag) => String(tag).trim().replace(/^#+/, '').trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Validates a priority.
+ * @param {*} priority - One of TODO_PRIORITIES, or null for none.
+ * @returns {string|null} The priority, or null.
+ * @throws Will throw an error if the priority is unknown.
+ */
+function normalizePriority(priority) {
+  if (priority === null || priority === undefined || priority === '') {
+    return null;
+  }
+  if (!TODO_PRIORITIES.includes(priority)) {
+    throw new LocalizedError('errors.todo.priority', { priorities: TODO_PRIORITIES.join(', ') });
+  }
+
+  return priority;
+}
+
+/**
+ * Validates and normalizes an editable field.
+ * @param {string} field - One of EDITABLE_FIELDS.
+ * @param {*} value - The new value.
+ * @param {Object} todo - The todo with the fields normalized so far, for rules anchored to the due date.
+ * @returns {*} The normalized value.
+ * @throws Will throw an error if the value is not valid.
+ */
+function normalizeField(field, value, todo) {
+  switch (field) {
+    case 'title':
+      return normalizeTitle(value);
+    case 'dueDate':
+      return normalizeDueDate(value);
+    case 'recurrence':
+      return normalizeRecurrence(value, todo.dueDate);
+    case 'remindAt':
+      return normalizeRemindAt(value);
+    case 'tags':
+      return normalizeTags(value);
+    case 'priority':
+      return normalizePriority(value);
+    case 'parentId':
+      return value ? String(value) : null;
+    default:
+      return value === null || value === undefined ? '' : String(value);
+  }
+}
+
+/**
+ * Compares two values of an editable field, tags included.
+ * @param {*} value - A value.
+ * @param {*} other - Another value.
+ * @returns {boolean} True if they are the same.
+ */
+function isSameValue(value, other) {
+  if (Array.isArray(value) && Array.isArray(other)) {
+    return value.length === other.length && value.every((item, index) => item === other[index]);
+  }
+
+  return value === other;
+}
+
+/**
+ * Moves a reminder by whole days, keeping its local time of day across daylight saving changes.
+ * @param {string|null} remindAt - The ISO date of the reminder.
+ * @param {number} days - The number of days.
+ * @returns {string|null} The moved reminder, or null.
+ */
+function shiftReminder(remindAt, days) {
+  if (!remindAt) {
+    return null;
+  }
+
+  const date = new Date(remindAt);
+  date.setDate(date.getDate() + days);
+
+  return date.toISOString();
+}
+
+export class TodoStore extends EventTarget {
+  /**
+   * Creates an instance of TodoStore.
+   * @param {Object} [options] - Store options.
+   * @param {Todo[]} [options.todos=[]] - Initial todos, in display order.
+   * @param {function(): string} [options.idGenerator=createId] - Generates ids for new todos.
+   * @param {function(): Date} [options.clock] - Returns the current date, used for timestamps.
+   * @example
+   * const store = new TodoStore({ todos: savedTodos });
+   */
+  constructor({ todos = [], idGenerator = createId, clock = () => new Date() } = {}) {
+    super();
+    this._idGenerator = idGenerator;
+    this._clock = clock;
+    this._todos = todos.map((todo) => Object.freeze({ ...todo }));
+  }
+
+  /**
+   * Gets all todos in display order.
+   * @returns {Todo[]} A copy of the todo list.
+   * @example
+   * const todos = store.getAll();
+   */
+  getAll() {
+    return [...this._todos];
+  }
+
+  /**
+   * Gets a todo by id.
+   * @param {string} id - The id of the todo.
+   * @returns {Todo|undefined} The todo, or undefined if it does not exist.
+   * @example
+   * const todo = store.get('some-id');
+   */
+  get(id) {
+    return this._todos.find((todo) => todo.id === id);
+  }
+
+  /**
+   * Gets the number of todos in the store.
+   * @returns {number} The number of todos.
+   */
+  get size() {
+    return this._todos.length;
+  }
+
+  /**
+   * Gets the direct subtasks of a todo.
+   * @param {string} id - The id of the todo.
+   * @returns {Todo[]} The subtasks, in display order.
+   */
+  getSubtasks(id) {
+    return this._todos.filter((todo) => todo.parentId === id);
+  }
+
+  /**
+   * Derives the progress of a todo from its subtasks.
+   * `completed` and `total` count the direct subtasks. `ratio` also weighs in nested subtasks:
+   * it is the average of the ratios of the subtasks, where a completed subtask counts as 1.
+   * @param {string} id - The id of the todo.
+   * @returns {{ completed: number, total: number, ratio: number }} The progress. Without subtasks,
+   * the ratio is 1 for a completed todo and 0 otherwise.
+   * @example
+   * store.getProgress(todo.id); // { completed: 1, total: 4, ratio: 0.25 }
+   */
+  getProgress(id) {
+    const subtasks = this.getSubtasks(id);
+    if (!subtasks.length) {
+      return { completed: 0, total: 0, ratio: this.get(id)?.completed ? 1 : 0 };
+    }
+
+    const ratios = subtasks.map((todo) => (todo.completed ? 1 : this.getProgress(todo.id).ratio));
+
+    return {
+      completed: subtasks.filter((todo) => todo.completed).length,
+      total: subtasks.length,
+      ratio: ratios.reduce((sum, ratio) => sum + ratio, 0) / subtasks.length,
+    };
+  }
+
+  /**
+   * Creates a new todo at the end of the list.
+   * @param {Object} data - The todo data.
+   * @param {string} data.title - The title of the todo.
+   * @param {string} [data.notes=''] - Optional notes.
+   * @param {string|null} [data.dueDate=null] - The day the task is due, as `YYYY-MM-DD`.
+   * @param {string|null} [data.recurrence=null] - A recurrence rule, see recurrence.js.
+   * @param {Date|string|null} [data.remindAt=null] - When to remind the user.
+   * @param {string[]|string} [data.tags=[]] - Free-form tags.
+   * @param {string|null} [data.priority=null] - One of TODO_PRIORITIES.
+   * @param {string|null} [data.parentId=null] - Makes the todo a subtask of another one.
+   * @returns {Todo} The created todo.
+   * @throws Will throw an error if the title is empty, a field is not valid or the parent does not exist.
+   * @example
+   * const todo = store.create({ title: 'Buy milk' });
+   * store.create({ title: 'Water the plants', dueDate: '2024-06-03', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH' });
+   * store.create({ title: 'Oat milk', parentId: todo.id, tags: ['groceries'], priority: 'high' });
+   */
+  create({
+    title,
+    notes = '',
+    dueDate = null,
+    recurrence = null,
+    remindAt = null,
+    tags = [],
+    priority = null,
+    parentId = null,
+  } = {}) {
+    const data = { title, notes, dueDate, recurrence, remindAt, tags, priority, parentId };
+    const fields = EDITABLE_FIELDS.reduce(
+      (result, field) => ({ ...result, [field]: normalizeField(field, data[field], result) }),
+      {},
+    );
+    const id = this._idGenerator();
+    this._checkParent(id, fields.parentId);
+
+    const timestamp = this._timestamp();
+    const todo = Object.freeze({
+      id,
+      ...fields,
+      completed: false,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      completedAt: null,
+    });
+
+    return this._insert(todo, this._todos.length);
+  }
+
+  /**
+   * Updates the editable fields (title, notes, due date, recurrence, reminder, tags, priority and parent) of a todo.
+   * When nothing changes, the todo is returned as is and no event is dispatched.
+   * @param {string} id - The id of the todo.
+   * @param {Object} changes - The fields to change.
+   * @returns {Todo} The updated todo.
+   * @throws Will throw an error if the todo does not exist, the title is empty, a field is not valid or
+   * the new parent does not exist or is one of the subtasks of the todo.
+   * @example
+   * store.update(todo.id, { title: 'Buy oat milk' });
+   * store.update(todo.id, { dueDate: null }); // no longer due
+   * store.update(todo.id, { parentId: null }); // no longer a subtask
+   */
+  update(id, changes = {}) {
+    const index = this._indexOf(id);
+    const previous = this._todos[index];
+    const next = { ...previous };
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (field in changes) {
+        next[field] = normalizeField(field, changes[field], next);
+      }
+    });
+    this._checkParent(id, next.parentId);
+
+    if (EDITABLE_FIELDS.every((field) => isSameValue(next[field], previous[field]))) {
+      return previous;
+    }
+
+    const todo = this._replace(index, next);
+    this._emit(TODO_EVENTS.UPDATED, { todo, previous, index });
+
+    return todo;
+  }
+
+  /**
+   * Toggles the completion state of a todo.
+   * Completing a recurring todo adds its next occurrence right after it, due on the next day of the
+   * rule and with the reminder moved by the same number of days. The rule moves to the new todo,
+   * so completing the same occurrence twice does not add two.
+   * @param {string} id - The id of the todo.
+   * @param {boolean} [completed] - Forces the given state instead of inverting it.
+   * @returns {Todo} The updated todo.
+   * @throws Will throw an error if the todo does not exist.
+   * @example
+   * store.toggle(todo.id); // completed
+   * store.toggle(todo.id, false); // active again
+   */
+  toggle(id, completed) {
+    const index = this._indexOf(id);
+    const previous = this._todos[index];
+    const state = typeof completed === 'boolean' ? completed : !previous.completed;
+
+    const repeats = state && !previous.completed && Boolean(previous.recurrence);
+
+    const todo = this._replace(index, {
+      ...previous,
+      completed: state,
+      completedAt: state ? this._timestamp() : null,
+      recurrence: repeats ? null : previous.recurrence ?? null,
+    });
+    this._emit(TODO_EVENTS.TOGGLED, { todo, previous, index });
+
+    if (repeats) {
+      this._repeat(previous, index + 1);
+    }
+
+    return todo;
+  }
+
+  /**
+   * Deletes a todo with its subtasks. A REMOVED event is dispatched for each of them, the subtasks first,
+   * so subscribers never see a subtask whose parent is gone.
+   * @param {string} id - The id of the todo.
+   * @returns {Todo} The deleted todo.
+   * @throws Will throw an error if the todo does not exist.
+   * @example
+   * store.delete(todo.id);
+   */
+  delete(id) {
+    this._indexOf(id);
+    this.getSubtasks(id).forEach((subtask) => this.delete(subtask.id));
+
+    const index = this._indexOf(id);
+    const [todo] = this._todos.splice(index, 1);
+    this._emit(TODO_EVENTS.REMOVED, { todo, previousIndex: index });
+
+    return todo;
+  }
+
+  /**
+   * Moves a todo to a new position.
+   * @param {string} id - The id of the todo.
+   * @param {number} toIndex - The target position, clamped to the list bounds.
+   * @returns {Todo[]} The todos in their new order.
+   * @throws Will throw an error if the todo does not exist.
+   * @example
+   * store.reorder(todo.id, 0); // moves the todo to the top
+   */
+  reorder(id, toIndex) {
+    const previousIndex = this._indexOf(id);
+    const index = Math.min(Math.max(Math.trunc(Number(toIndex) || 0), 0), this._todos.length - 1);
+
+    if (index !== previousIndex) {
+      const [todo] = this._todos.splice(previousIndex, 1);
+      this._todos.splice(index, 0, todo);
+      this._emit(TODO_EVENTS.REORDERED, { todo, index, previousIndex });
+    }
+
+    return this.getAll();
+  }
+
+  /**
+   * Inserts or replaces a whole todo record as is, timestamps included.
+   * Meant for changes that did not originate in this store, such as a server copy during sync.
+   * @param {Todo} data - The complete todo.
+   * @returns {Todo} The stored todo.
+   * @throws Will throw an error if the todo has no id or an empty title.
+   * @example
+   * store.put(remoteTodo);
+   */
+  put(data) {
+    if (!data || !data.id) {
+      throw new Error('Define a valid todo id');
+    }
+
+    const todo = Object.freeze({ ...data, title: normalizeTitle(data.title) });
+    const index = this._todos.findIndex((item) => item.id === todo.id);
+
+    if (index === -1) {
+      this._todos.push(todo);
+      this._emit(TODO_EVENTS.ADDED, { todo, index: this._todos.length - 1 });
+    } else {
+      const previous = this._todos[index];
+      this._todos[index] = todo;
+      this._emit(TODO_EVENTS.UPDATED, { todo, previous, index });
+    }
+
+    return todo;
+  }
+
+  /**
+   * Replaces every todo in the store, e.g. after loading from storage.
+   * @param {Todo[]} todos - The new todos, in display order.
+   * @example
+   * store.load(savedTodos);
+   */
+  load(todos = []) {
+    this._todos = todos.map((todo) => Object.freeze({ ...todo }));
+    this._emit(TODO_EVENTS.RESET, {});
+  }
+
+  /**
+   * Subscribes to a store event.
+   * @param {string} type - The event name (one of TODO_EVENTS).
+   * @param {function(TodoChangeDetail): void} handler - Called with the event detail.
+   * @returns {function(): void} A function that removes the subscription.
+   * @example
+   * const unsubscribe = store.subscribe(TODO_EVENTS.CHANGE, () => component.refresh());
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  /**
+   * Serializes the store for persistence.
+   * @returns {Todo[]} The todos in display order.
+   */
+  toJSON() {
+    return this.getAll();
+  }
+
+  _indexOf(id) {
+    const index = this._todos.findIndex((todo) => todo.id === id);
+    if (index === -1) {
+      throw new LocalizedError('errors.todo.notFound', { id });
+    }
+
+    return index;
+  }
+
+  _checkParent(id, parentId) {
+    const ancestors = new Set();
+
+    for (let ancestor = parentId; ancestor && !ancestors.has(ancestor); ) {
+      if (ancestor === id) {
+        throw new LocalizedError('errors.todo.parentCycle');
+      }
+      ancestors.add(ancestor);
+      ancestor = this._todos[this._indexOf(ancestor)].parentId;
+    }
+  }
+
+  _insert(todo, index) {
+    this._todos.splice(index, 0, todo);
+    this._emit(TODO_EVENTS.ADDED, { todo, index });
+
+    return todo;
+  }
+
+  _repeat(todo, index) {
+    const from = todo.dueDate || toDateKey(this._clock());
+    const dueDate = nextOccurrence(todo.recurrence, from);
+    if (!dueDate) {
+      return null;
+    }
+
+    const timestamp = this._timestamp();
+
+    return this._insert(
+      Object.freeze({
+        ...todo,
+        id: this._idGenerator(),
+        completed: false,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        completedAt: null,
+        dueDate,
+        remindAt: shiftReminder(todo.remindAt, daysBetween(from, dueDate)),
+      }),
+      index,
+    );
+  }
+
+  _replace(index, data) {
+    const todo = Object.freeze({ ...data, updatedAt: this._timestamp() });
+    this._todos[index] = todo;
+
+    return todo;
+  }
+
+  _timestamp() {
+    return this._clock().toISOString();
+  }
+
+  _emit(type, detail) {
+    const payload = { type, ...detail };
+    this.dispatchEvent(new CustomEvent(type, { detail: payload }));
+    this.dispatchEvent(new CustomEvent(TODO_EVENTS.CHANGE, { detail: payload }));
+  }
+}
@@ -0,0 +1,477 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createId, normalizeTags, TODO_EVENTS, TODO_PRIORITIES, TodoStore } from './todoStore';
+import { addDays, toDateKey } from '../schedule/dueDate';
+
+describe('Test suite for the TodoStore class', () => {
+  let store;
+  let nextId;
+  let currentDate;
+
+  beforeEach(() => {
+    nextId = 0;
+    currentDate = new Date('2024-06-01T10:00:00.000Z');
+    store = new TodoStore({
+      idGenerator: () => `todo-${++nextId}`,
+      clock: () => currentDate,
+    });
+  });
+
+  const advanceClock = (ms) => {
+    currentDate = new Date(currentDate.getTime() + ms);
+  };
+
+  it('Should generate unique ids', () => {
+    expect(createId()).not.toBe(createId());
+  });
+
+  it('Should generate ids without crypto.randomUUID', () => {
+    vi.stubGlobal('crypto', {});
+
+    expect(createId()).toMatch(/^[a-z0-9]+-[a-z0-9]+$/);
+
+    vi.unstubAllGlobals();
+  });
+
+  it('Should start with the given todos', () => {
+    const initial = new TodoStore({ todos: [{ id: 'a', title: 'A' }] });
+
+    expect(initial.size).toBe(1);
+    expect(Object.isFrozen(initial.get('a'))).toBe(true);
+  });
+
+  describe('Should create todos', () => {
+    it('With defaults and timestamps', () => {
+      const todo = store.create({ title: '  Buy milk  ' });
+
+      expect(todo).toEqual({
+        id: 'todo-1',
+        title: 'Buy milk',
+        notes: '',
+        completed: false,
+        createdAt: '2024-06-01T10:00:00.000Z',
+        updatedAt: '2024-06-01T10:00:00.000Z',
+        completedAt: null,
+        dueDate: null,
+        recurrence: null,
+        remindAt: null,
+        tags: [],
+        priority: null,
+        parentId: null,
+      });
+      expect(store.getAll()).toEqual([todo]);
+    });
+
+    it('With stable ids', () => {
+      const first = store.create({ title: 'First' });
+      store.create({ title: 'Second' });
+
+      expect(store.get(first.id)).toBe(first);
+      expect(store.getAll().map((todo) => todo.id)).toEqual(['todo-1', 'todo-2']);
+    });
+
+    it('Throwing for an empty title', () => {
+      expect(() => store.create({ title: '   ' })).toThrow('Define a valid todo title');
+      expect(() => store.create()).toThrow('Define a valid todo title');
+    });
+  });
+
+  describe('Should update todos', () => {
+    it('Changing only editable fields', () => {
+      const todo = store.create({ title: 'Buy milk' });
+      advanceClock(1000);
+
+      const updated = store.update(todo.id, { title: 'Buy oat milk', notes: 'Two cartons', completed: true });
+
+      expect(updated.title).toBe('Buy oat milk');
+      expect(updated.notes).toBe('Two cartons');
+      expect(updated.completed).toBe(false);
+      expect(updated.createdAt).toBe(todo.createdAt);
+      expect(updated.updatedAt).toBe('2024-06-01T10:00:01.000Z');
+    });
+
+    it('Doing nothing when no field changes', () => {
+      const todo = store.create({ title: 'Buy milk', tags: ['groceries'] });
+      const handler = vi.fn();
+      store.subscribe(TODO_EVENTS.CHANGE, handler);
+      advanceClock(1000);
+
+      expect(store.update(todo.id, {})).toBe(todo);
+      expect(store.update(todo.id, { title: ' Buy milk ', tags: '#groceries', notes: '' })).toBe(todo);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('Clearing the notes with null', () => {
+      const todo = store.create({ title: 'Buy milk', notes: 'Two cartons' });
+
+      expect(store.update(todo.id, { notes: null }).notes).toBe('');
+      expect(store.create({ title: 'Walk the dog', notes: undefined }).notes).toBe('');
+    });
+
+    it('Throwing for an unknown todo', () => {
+      expect(() => store.update('missing', { title: 'x' })).toThrow('Todo "missing" not found');
+    });
+
+    it('Throwing for an empty title', () => {
+      const todo = store.create({ title: 'Buy milk' });
+
+      expect(() => store.update(todo.id, { title: '' })).toThrow('Define a valid todo title');
+      expect(store.get(todo.id).title).toBe('Buy milk');
+    });
+  });
+
+  describe('Should toggle todos', () => {
+    it('Inverting the completion state', () => {
+      const todo = store.create({ title: 'Buy milk' });
+
+      const completed = store.toggle(todo.id);
+      expect(completed.completed).toBe(true);
+      expect(completed.completedAt).toBe('2024-06-01T10:00:00.000Z');
+
+      const active = store.toggle(todo.id);
+      expect(active.completed).toBe(false);
+      expect(active.completedAt).toBeNull();
+    });
+
+    it('Forcing a given state', () => {
+      const todo = store.create({ title: 'Buy milk' });
+
+      expect(store.toggle(todo.id, true).completed).toBe(true);
+      expect(store.toggle(todo.id, true).completed).toBe(true);
+    });
+  });
+
+  describe('Should schedule todos', () => {
+    it('With a due date, a recurrence and a reminder', () => {
+      const todo = store.create({
+        title: 'Pay rent',
+        dueDate: '2024-06-05',
+        recurrence: 'RRULE:freq=monthly',
+        remindAt: new Date('2024-06-05T09:00:00.000Z'),
+      });
+
+      expect(todo).toMatchObject({
+        dueDate: '2024-06-05',
+        recurrence: 'FREQ=MONTHLY;BYMONTHDAY=5',
+        remindAt: '2024-06-05T09:00:00.000Z',
+      });
+    });
+
+    it('Changing and clearing the schedule', () => {
+      const todo = store.create({ title: 'Pay rent', dueDate: '2024-06-05' });
+
+      expect(store.update(todo.id, { dueDate: '2024-06-10', remindAt: '2024-06-10T08:00:00Z' })).toMatchObject({
+        dueDate: '2024-06-10',
+        remindAt: '2024-06-10T08:00:00.000Z',
+      });
+      expect(store.update(todo.id, { dueDate: '', remindAt: null })).toMatchObject({ dueDate: null, remindAt: null });
+    });
+
+    it.each([
+      [{ dueDate: '2024-02-30' }, 'Define a valid due date (YYYY-MM-DD)'],
+      [{ dueDate: '06/05/2024' }, 'Define a valid due date (YYYY-MM-DD)'],
+      [{ remindAt: 'soon' }, 'Define a valid reminder date'],
+      [{ recurrence: 'FREQ=HOURLY' }, 'Define a valid recurrence rule'],
+    ])('Throwing for an invalid schedule %o', (changes, message) => {
+      const todo = store.create({ title: 'Pay rent' });
+
+      expect(() => store.update(todo.id, changes)).toThrow(message);
+      expect(() => store.create({ title: 'Pay rent', ...changes })).toThrow(message);
+    });
+  });
+
+  describe('Should tag and prioritize todos', () => {
+    it('Normalizing tags', () => {
+      expect(normalizeTags(' #Home, work,home,, ')).toEqual(['Home', 'work']);
+      expect(normalizeTags(['a', ' A', 'b'])).toEqual(['a', 'b']);
+      expect(normalizeTags(null)).toEqual([]);
+      expect(() => normalizeTags(3)).toThrow('Define valid tags');
+    });
+
+    it('On create and update', () => {
+      const todo = store.create({ title: 'Buy milk', tags: 'groceries, #errands', priority: 'high' });
+
+      expect(todo).toMatchObject({ tags: ['groceries', 'errands'], priority: 'high' });
+      expect(store.update(todo.id, { tags: [], priority: '' })).toMatchObject({ tags: [], priority: null });
+    });
+
+    it('Throwing for unknown priorities', () => {
+      expect(() => store.create({ title: 'Buy milk', priority: 'urgent' })).toThrow(
+        `Define a valid priority: ${TODO_PRIORITIES.join(', ')}`,
+      );
+    });
+  });
+
+  describe('Should nest subtasks', () => {
+    let parent;
+
+    beforeEach(() => {
+      parent = store.create({ title: 'Move house' });
+    });
+
+    it('Under an existing todo', () => {
+      const child = store.create({ title: 'Pack books', parentId: parent.id });
+      store.create({ title: 'Unrelated' });
+
+      expect(child.parentId).toBe(parent.id);
+      expect(store.getSubtasks(parent.id)).toEqual([child]);
+      expect(() => store.create({ title: 'Orphan', parentId: 'missing' })).toThrow('Todo "missing" not found');
+    });
+
+    it('Refusing cycles', () => {
+      const child = store.create({ title: 'Pack', parentId: parent.id });
+      const grandchild = store.create({ title: 'Pack books', parentId: child.id });
+
+      expect(() => store.update(parent.id, { parentId: grandchild.id })).toThrow(
+        'A todo cannot be a subtask of itself or of its own subtasks',
+      );
+      expect(() => store.update(parent.id, { parentId: parent.id })).toThrow('A todo cannot be a subtask');
+      expect(store.update(grandchild.id, { parentId: null }).parentId).toBeNull();
+    });
+
+    it('Deriving the progress of the parent', () => {
+      expect(store.getProgress(parent.id)).toEqual({ completed: 0, total: 0, ratio: 0 });
+
+      const pack = store.create({ title: 'Pack', parentId: parent.id });
+      const clean = store.create({ title: 'Clean', parentId: parent.id });
+      const books = store.create({ title: 'Books', parentId: pack.id });
+      store.create({ title: 'Dishes', parentId: pack.id });
+
+      store.toggle(books.id);
+      expect(store.getProgress(pack.id)).toEqual({ completed: 1, total: 2, ratio: 0.5 });
+      expect(store.getProgress(parent.id)).toEqual({ completed: 0, total: 2, ratio: 0.25 });
+
+      store.toggle(clean.id);
+      expect(store.getProgress(parent.id)).toEqual({ completed: 1, total: 2, ratio: 0.75 });
+      expect(store.getProgress(clean.id).ratio).toBe(1);
+    });
+
+    it('Deleting subtasks with their parent', () => {
+      const child = store.create({ title: 'Pack', parentId: parent.id });
+      store.create({ title: 'Books', parentId: child.id });
+      const other = store.create({ title: 'Other' });
+      const orphans = [];
+      const removed = vi.fn(({ todo }) => {
+        orphans.push(...store.getAll().filter((item) => item.parentId === todo.id));
+      });
+      store.subscribe(TODO_EVENTS.REMOVED, removed);
+
+      store.delete(parent.id);
+
+      expect(store.getAll()).toEqual([other]);
+      expect(removed.mock.calls.map(([detail]) => detail.todo.title)).toEqual(['Books', 'Pack', 'Move house']);
+      expect(orphans).toEqual([]);
+    });
+  });
+
+  describe('Should repeat recurring todos', () => {
+    it('Adding the next occurrence after the completed one', () => {
+      const first = store.create({
+        title: 'Water plants',
+        dueDate: '2024-06-03',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH',
+      });
+      const last = store.create({ title: 'Last' });
+      const added = vi.fn();
+      store.subscribe(TODO_EVENTS.ADDED, added);
+
+      const completed = store.toggle(first.id);
+      const [, next] = store.getAll();
+
+      expect(completed).toMatchObject({ completed: true, recurrence: null });
+      expect(next).toMatchObject({
+        id: 'todo-3',
+        title: 'Water plants',
+        completed: false,
+        completedAt: null,
+        dueDate: '2024-06-06',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH',
+      });
+      expect(store.getAll()[2]).toBe(last);
+      expect(added).toHaveBeenCalledWith(expect.objectContaining({ todo: next, index: 1 }));
+    });
+
+    it('Moving the reminder by the same number of days', () => {
+      const todo = store.create({
+        title: 'Pay rent',
+        dueDate: '2024-01-31',
+        recurrence: 'FREQ=MONTHLY',
+        remindAt: '2024-01-31T09:00:00.000Z',
+      });
+
+      store.toggle(todo.id);
+      const next = store.getAll()[1];
+      store.toggle(next.id);
+
+      expect(next).toMatchObject({ dueDate: '2024-02-29', remindAt: '2024-02-29T09:00:00.000Z' });
+      expect(store.getAll()[2].dueDate).toBe('2024-03-31');
+    });
+
+    it('Counting from today without a due date', () => {
+      const todo = store.create({ title: 'Stretch', recurrence: 'FREQ=DAILY' });
+
+      store.toggle(todo.id);
+
+      expect(store.getAll()[1].dueDate).toBe(addDays(toDateKey(currentDate), 1));
+    });
+
+    it('Only once per occurrence', () => {
+      const todo = store.create({ title: 'Stretch', dueDate: '2024-06-01', recurrence: 'FREQ=DAILY' });
+
+      store.toggle(todo.id);
+      store.toggle(todo.id);
+      store.toggle(todo.id);
+
+      expect(store.size).toBe(2);
+    });
+
+    it('Until the rule ends', () => {
+      const todo = store.create({ title: 'Course', dueDate: '2024-06-01', recurrence: 'FREQ=DAILY;UNTIL=20240601' });
+
+      store.toggle(todo.id);
+
+      expect(store.size).toBe(1);
+    });
+  });
+
+  describe('Should delete todos', () => {
+    it('Removing the todo', () => {
+      const todo = store.create({ title: 'Buy milk' });
+
+      expect(store.delete(todo.id)).toBe(todo);
+      expect(store.get(todo.id)).toBeUndefined();
+      expect(store.size).toBe(0);
+    });
+
+    it('Throwing for an unknown todo', () => {
+      expect(() => store.delete('missing')).toThrow('Todo "missing" not found');
+    });
+  });
+
+  describe('Should reorder todos', () => {
+    beforeEach(() => {
+      ['A', 'B', 'C'].forEach((title) => store.create({ title }));
+    });
+
+    const titles = () => store.getAll().map((todo) => todo.title);
+
+    it('Moving a todo to a new position', () => {
+      store.reorder('todo-3', 0);
+      expect(titles()).toEqual(['C', 'A', 'B']);
+    });
+
+    it('Clamping the target position', () => {
+      store.reorder('todo-1', 10);
+      expect(titles()).toEqual(['B', 'C', 'A']);
+
+      store.reorder('todo-1', -5);
+      expect(titles()).toEqual(['A', 'B', 'C']);
+    });
+  });
+
+  describe('Should put whole todo records', () => {
+    const record = {
+      id: 'remote-1',
+      title: 'Remote',
+      notes: '',
+      completed: true,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z',
+      completedAt: '2024-01-02T00:00:00.000Z',
+    };
+
+    it('Inserting unknown todos', () => {
+      const handler = vi.fn();
+      store.subscribe(TODO_EVENTS.ADDED, handler);
+
+      expect(store.put(record)).toEqual(record);
+      expect(handler).toHaveBeenCalledWith({ type: TODO_EVENTS.ADDED, todo: record, index: 0 });
+    });
+
+    it('Replacing known todos in place, keeping their timestamps', () => {
+      store.create({ title: 'Local' });
+      store.put(record);
+
+      const replaced = store.put({ ...record, title: 'Changed' });
+
+      expect(replaced.updatedAt).toBe(record.updatedAt);
+      expect(store.getAll().map((todo) => todo.title)).toEqual(['Local', 'Changed']);
+    });
+
+    it('Throwing for invalid records', () => {
+      expect(() => store.put({ title: 'No id' })).toThrow('Define a valid todo id');
+      expect(() => store.put({ id: 'a', title: '' })).toThrow('Define a valid todo title');
+    });
+  });
+
+  describe('Should emit typed change events', () => {
+    it('For every mutation', () => {
+      const handler = vi.fn();
+      store.subscribe(TODO_EVENTS.CHANGE, handler);
+
+      const todo = store.create({ title: 'A' });
+      store.create({ title: 'B' });
+      store.update(todo.id, { title: 'A2' });
+      store.toggle(todo.id);
+      store.reorder(todo.id, 1);
+      store.delete(todo.id);
+      store.load([]);
+
+      expect(handler.mock.calls.map(([detail]) => detail.type)).toEqual([
+        TODO_EVENTS.ADDED,
+        TODO_EVENTS.ADDED,
+        TODO_EVENTS.UPDATED,
+        TODO_EVENTS.TOGGLED,
+        TODO_EVENTS.REORDERED,
+        TODO_EVENTS.REMOVED,
+        TODO_EVENTS.RESET,
+      ]);
+    });
+
+    it('With the previous and next todo', () => {
+      const handler = vi.fn();
+      const todo = store.create({ title: 'A' });
+      store.subscribe(TODO_EVENTS.UPDATED, handler);
+
+      const updated = store.update(todo.id, { title: 'B' });
+
+      expect(handler).toHaveBeenCalledWith({ type: TODO_EVENTS.UPDATED, todo: updated, previous: todo, index: 0 });
+    });
+
+    it('Not emitting when the position does not change', () => {
+      const handler = vi.fn();
+      const todo = store.create({ title: 'A' });
+      store.subscribe(TODO_EVENTS.REORDERED, handler);
+
+      store.reorder(todo.id, 0);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('Stopping after unsubscribe', () => {
+      const handler = vi.fn();
+      const unsubscribe = store.subscribe(TODO_EVENTS.ADDED, handler);
+
+      store.create({ title: 'A' });
+      unsubscribe();
+      store.create({ title: 'B' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('Should protect todos from external mutation', () => {
+    const todo = store.create({ title: 'A' });
+
+    expect(() => {
+      todo.title = 'B';
+    }).toThrow();
+    store.getAll().pop();
+    expect(store.size).toBe(1);
+  });
+
+  it('Should serialize to JSON', () => {
+    store.create({ title: 'A' });
+
+    expect(JSON.parse(JSON.stringify(store))).toEqual(store.getAll());
+  });
+});
@@ -0,0 +1,322 @@
+import { LIST_EVENTS, ListStore } from './listStore.js';
+import { TODO_EVENTS, TodoStore } from './todoStore.js';
+import { ListPersistence } from '../storage/listPersistence.js';
+import { MemoryStorageAdapter } from '../storage/memoryStorageAdapter.js';
+import { TodoPersistence } from '../storage/todoPersistence.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * The todo lists of the user and the todos of each list.
+ *
+ * Every list has its own TodoStore, saved under its own key
+ * (`todos:<list id>`), so a change in one list only rewrites that list. The
+ * workspace re-dispatches the change events of the lists and of every todo
+ * store, with the id of the list in the detail, so a component can follow
+ * everything from one place.
+ *
+ * Changes that come from elsewhere, such as another tab (see TabSync), are
+ * applied with `applyRemote`, and their events carry `remote: true`, so that
+ * they are not sent back or recorded for undo.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const workspace = new Workspace({ adapter: await createStorageAdapter() });
+ * await workspace.load();
+ *
+ * const list = workspace.lists.create({ name: 'Groceries', color: 'green', icon: '🛒' });
+ * workspace.getTodoStore(list.id).create({ title: 'Buy milk' });
+ * workspace.getCounts(list.id); // { total: 1, active: 1, completed: 0 }
+ */
+
+/**
+ * The list created when the user has none.
+ * @type {Object}
+ */
+export const DEFAULT_LIST = Object.freeze({ id: 'inbox', name: 'Inbox', color: 'blue', icon: '📥' });
+
+/**
+ * Key used before todos were split into lists. Its content moves to the default list.
+ * @type {string}
+ */
+const LEGACY_TODOS_KEY = 'todos';
+
+/**
+ * Builds the storage key of the todos of a list.
+ * @param {string} listId - The id of the list.
+ * @returns {string} The key.
+ */
+export function getTodosKey(listId) {
+  return `todos:${listId}`;
+}
+
+export class Workspace extends EventTarget {
+  /**
+   * Creates an instance of Workspace.
+   * @param {Object} [options] - Workspace options.
+   * @param {StorageAdapter} [options.adapter] - Where lists and todos are saved. Defaults to memory.
+   * @param {StorageAdapter} [options.fallbackAdapter] - Used when the adapter fails. Defaults to memory.
+   * @param {ListStore} [options.lists] - The list store.
+   */
+  constructor({
+    adapter = new MemoryStorageAdapter(),
+    fallbackAdapter = new MemoryStorageAdapter(),
+    lists = new ListStore(),
+  } = {}) {
+    super();
+    this._adapter = adapter;
+    this._fallbackAdapter = fallbackAdapter;
+    this._lists = lists;
+    this._listPersistence = new ListPersistence({ store: lists, adapter, fallbackAdapter });
+    this._entries = new Map();
+    this._unsubscribe = null;
+    this._applyingRemote = false;
+  }
+
+  /**
+   * The store of the lists.
+   * @returns {ListStore} The lists.
+   */
+  get lists() {
+    return this._lists;
+  }
+
+  /**
+   * The id of the list shown when no other is selected.
+   * @returns {string|undefined} The id of the first list.
+   */
+  get defaultListId() {
+    return this._lists.getAll()[0]?.id;
+  }
+
+  /**
+   * Loads the saved lists and their todos, and starts saving every change.
+   * Creates the default list on the first run, moving todos saved before lists existed into it.
+   * @returns {Promise<void>} Resolves once everything is loaded.
+   */
+  async load() {
+    await this._listPersistence.load();
+
+    if (!this._lists.size) {
+      this._lists.create(DEFAULT_LIST);
+      await this._listPersistence.save();
+      await this._migrateLegacyTodos(DEFAULT_LIST.id);
+    }
+
+    await Promise.all(this._lists.getAll().map((list) => this._open(list.id, { load: true })));
+    this._listPersistence.start();
+    this._watchLists();
+  }
+
+  /**
+   * Gets the todo store of a list.
+   * @param {string} listId - The id of the list.
+   * @returns {TodoStore} The store.
+   * @throws Will throw an error if the list does not exist.
+   * @example
+   * workspace.getTodoStore('inbox').create({ title: 'Call mom' });
+   */
+  getTodoStore(listId) {
+    const entry = this._entries.get(listId);
+    if (!entry) {
+      throw new LocalizedError('errors.list.notFound', { id: listId });
+    }
+
+    return entry.store;
+  }
+
+  /**
+   * Counts the todos of a list.
+   * @param {string} listId - The id of the list.
+   * @returns {{ total: number, active: number, completed: number }} The counts.
+   * @throws Will throw an error if the list does not exist.
+   */
+  getCounts(listId) {
+    const todos = this.getTodoStore(listId).getAll();
+    const completed = todos.filter((todo) => todo.completed).length;
+
+    return { total: todos.length, active: todos.length - completed, completed };
+  }
+
+  /**
+   * Gets the todos of every list, in list order.
+   * @returns {Object[]} The todos.
+   */
+  getAll() {
+    return this._lists.getAll().flatMap((list) => this._entries.get(list.id)?.store.getAll() || []);
+  }
+
+  /**
+   * Finds the list a todo belongs to.
+   * @param {string} todoId - The id of the todo.
+   * @returns {string|undefined} The id of the list, or undefined if no list has the todo.
+   */
+  findListId(todoId) {
+    return [...this._entries].find(([, { store }]) => store.get(todoId))?.[0];
+  }
+
+  /**
+   * Finds the todo store that holds a todo, e.g. to edit a todo shown in a view across lists.
+   * @param {string} todoId - The id of the todo.
+   * @returns {TodoStore|undefined} The store, or undefined if no list has the todo.
+   */
+  findTodoStore(todoId) {
+    const listId = this.findListId(todoId);
+
+    return listId && this.getTodoStore(listId);
+  }
+
+  /**
+   * Moves a todo with its subtasks to the end of another list.
+   * A subtask that is moved on its own becomes a top-level todo of the other list.
+   * @param {string} todoId - The id of the todo.
+   * @param {string} listId - The id of the target list.
+   * @returns {Object} The moved todo.
+   * @throws Will throw an error if the todo or the list does not exist.
+   * @example
+   * workspace.moveTodo(todo.id, 'groceries');
+   */
+  moveTodo(todoId, listId) {
+    const source = this.findTodoStore(todoId);
+    if (!source) {
+      throw new LocalizedError('errors.todo.notFound', { id: todoId });
+    }
+
+    const target = this.getTodoStore(listId);
+    if (target === source) {
+      return source.get(todoId);
+    }
+
+    const collect = (id) => source.getSubtasks(id).flatMap((subtask) => [subtask, ...collect(subtask.id)]);
+    const subtasks = collect(todoId);
+    const todo = source.delete(todoId);
+
+    const moved = target.put({ ...todo, parentId: null });
+    subtasks.forEach((subtask) => target.put(subtask));
+
+    return moved;
+  }
+
+  /**
+   * Deletes a list with its todos.
+   * @param {string} listId - The id of the list.
+   * @returns {Object} The deleted list.
+   * @throws Will throw an error if the list does not exist or is the only one.
+   */
+  deleteList(listId) {
+    if (this._lists.get(listId) && this._lists.size === 1) {
+      throw new LocalizedError('errors.list.last');
+    }
+
+    return this._lists.delete(listId);
+  }
+
+  /**
+   * Applies changes that did not originate in this workspace. The change events they dispatch carry
+   * `remote: true`.
+   * @param {function(Workspace): *} callback - Makes the changes, synchronously.
+   * @returns {*} What the callback returns.
+   * @example
+   * workspace.applyRemote(() => workspace.getTodoStore(listId).put(todo));
+   */
+  applyRemote(callback) {
+    const applying = this._applyingRemote;
+    this._applyingRemote = true;
+    try {
+      return callback(this);
+    } finally {
+      this._applyingRemote = applying;
+    }
+  }
+
+  /**
+   * Subscribes to the change events of the lists (LIST_EVENTS.CHANGE) or of any todo store (TODO_EVENTS.CHANGE).
+   * @param {string} type - The event name.
+   * @param {function(Object): void} handler - Called with the event detail, which includes the `listId`, and
+   * `remote: true` for the changes made by `applyRemote`.
+   * @returns {function(): void} A function that removes the subscription.
+   * @example
+   * workspace.subscribe(TODO_EVENTS.CHANGE, ({ listId }) => sidebar.requestUpdate());
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  /**
+   * Stops saving changes. Meant for tests and teardown.
+   */
+  stop() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._listPersistence.stop();
+    this._entries.forEach(({ persistence, unsubscribe }) => {
+      persistence.stop();
+      unsubscribe();
+    });
+  }
+
+  async _open(listId, { load = false } = {}) {
+    const store = new TodoStore();
+    const persistence = new TodoPersistence({
+      store,
+      adapter: this._adapter,
+      fallbackAdapter: this._fallbackAdapter,
+      key: getTodosKey(listId),
+    });
+    const unsubscribe = store.subscribe(TODO_EVENTS.CHANGE, (detail) =>
+      this._forward(TODO_EVENTS.CHANGE, { ...detail, listId }),
+    );
+    this._entries.set(listId, { store, persistence, unsubscribe });
+
+    if (load) {
+      await persistence.load();
+    }
+    persistence.start();
+  }
+
+  _close(listId) {
+    const entry = this._entries.get(listId);
+    if (!entry) {
+      return;
+    }
+
+    entry.persistence.stop();
+    entry.unsubscribe();
+    this._entries.delete(listId);
+    this._forward(TODO_EVENTS.CHANGE, { type: TODO_EVENTS.RESET, listId });
+    entry.persistence.adapter
+      .remove(getTodosKey(listId))
+      .catch((error) => console.error(`Could not remove the todos of list "${listId}".`, error));
+  }
+
+  _watchLists() {
+    this._unsubscribe = this._lists.subscribe(LIST_EVENTS.CHANGE, (detail) => {
+      if (detail.type === LIST_EVENTS.ADDED) {
+        this._open(detail.list.id);
+      } else if (detail.type === LIST_EVENTS.REMOVED) {
+        this._close(detail.list.id);
+      }
+      this._forward(LIST_EVENTS.CHANGE, { ...detail, listId: detail.list?.id });
+    });
+  }
+
+  async _migrateLegacyTodos(listId) {
+    const store = new TodoStore();
+    const options = { store, adapter: this._adapter, fallbackAdapter: this._fallbackAdapter };
+    const legacy = new TodoPersistence({ ...options, key: LEGACY_TODOS_KEY });
+
+    if ((await legacy.load()).length) {
+      await new TodoPersistence({ ...options, key: getTodosKey(listId) }).save();
+      await legacy.adapter.remove(LEGACY_TODOS_KEY);
+    }
+  }
+
+  _forward(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail: this._applyingRemote ? { ...detail, remote: true } : detail }));
+  }
+}
@@ -0,0 +1,186 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_LIST, Workspace, getTodosKey } from './workspace';
+import { LIST_EVENTS } from './listStore';
+import { TODO_EVENTS } from './todoStore';
+import { MemoryStorageAdapter } from '../storage/memoryStorageAdapter';
+import { SCHEMA_VERSION } from '../storage/migrations';
+
+describe('Test suite for the Workspace class', () => {
+  let adapter;
+  let workspace;
+
+  // Persistence writes are queued behind promises; let them settle.
+  const flush = () => new Promise((resolve) => setTimeout(resolve));
+
+  beforeEach(() => {
+    adapter = new MemoryStorageAdapter();
+    workspace = new Workspace({ adapter });
+  });
+
+  afterEach(() => {
+    workspace.stop();
+  });
+
+  describe('Should load on the first run', () => {
+    it('Creating the default list', async () => {
+      await workspace.load();
+
+      expect(workspace.lists.getAll()).toMatchObject([DEFAULT_LIST]);
+      expect(workspace.defaultListId).toBe(DEFAULT_LIST.id);
+      expect(workspace.getTodoStore(DEFAULT_LIST.id).size).toBe(0);
+      expect((await adapter.get('lists')).lists).toMatchObject([DEFAULT_LIST]);
+    });
+
+    it('Moving todos saved before lists existed into the default list', async () => {
+      await adapter.set('todos', ['Buy milk']);
+
+      await workspace.load();
+
+      expect(
+        workspace
+          .getTodoStore(DEFAULT_LIST.id)
+          .getAll()
+          .map((todo) => todo.title),
+      ).toEqual(['Buy milk']);
+      expect(await adapter.get('todos')).toBeUndefined();
+      expect((await adapter.get(getTodosKey(DEFAULT_LIST.id))).version).toBe(SCHEMA_VERSION);
+    });
+  });
+
+  it('Should load saved lists with their own todos', async () => {
+    await adapter.set('lists', {
+      version: 1,
+      lists: [
+        { id: 'a', name: 'A', color: 'red', icon: '📋' },
+        { id: 'b', name: 'B', color: 'blue', icon: '📋' },
+      ],
+    });
+    await adapter.set(getTodosKey('a'), { version: SCHEMA_VERSION, todos: [{ id: 't1', title: 'One' }] });
+    await adapter.set(getTodosKey('b'), { version: SCHEMA_VERSION, todos: [{ id: 't2', title: 'Two' }] });
+
+    await workspace.load();
+
+    expect(
+      workspace
+        .getTodoStore('a')
+        .getAll()
+        .map((todo) => todo.id),
+    ).toEqual(['t1']);
+    expect(
+      workspace
+        .getTodoStore('b')
+        .getAll()
+        .map((todo) => todo.id),
+    ).toEqual(['t2']);
+    expect(workspace.getAll().map((todo) => todo.id)).toEqual(['t1', 't2']);
+    expect(workspace.findListId('t2')).toBe('b');
+    expect(workspace.findListId('nope')).toBeUndefined();
+    expect(workspace.findTodoStore('t2')).toBe(workspace.getTodoStore('b'));
+    expect(workspace.findTodoStore('nope')).toBeUndefined();
+  });
+
+  describe('After loading', () => {
+    beforeEach(async () => {
+      await workspace.load();
+    });
+
+    it('Should save each list under its own key', async () => {
+      const list = workspace.lists.create({ name: 'Work' });
+      const todo = workspace.getTodoStore(list.id).create({ title: 'Report' });
+      await flush();
+
+      expect((await adapter.get(getTodosKey(list.id))).todos).toEqual([todo]);
+      expect((await adapter.get(getTodosKey(DEFAULT_LIST.id))) ?? { todos: [] }).toMatchObject({ todos: [] });
+      expect((await adapter.get('lists')).lists.map(({ name }) => name)).toEqual(['Inbox', 'Work']);
+    });
+
+    it('Should count the todos of a list', () => {
+      const store = workspace.getTodoStore(DEFAULT_LIST.id);
+      store.create({ title: 'A' });
+      store.toggle(store.create({ title: 'B' }).id);
+
+      expect(workspace.getCounts(DEFAULT_LIST.id)).toEqual({ total: 2, active: 1, completed: 1 });
+    });
+
+    it('Should throw for unknown lists', () => {
+      expect(() => workspace.getTodoStore('nope')).toThrow('List "nope" not found');
+    });
+
+    it('Should delete a list with its saved todos', async () => {
+      const list = workspace.lists.create({ name: 'Work' });
+      workspace.getTodoStore(list.id).create({ title: 'Report' });
+      await flush();
+
+      workspace.deleteList(list.id);
+      await flush();
+
+      expect(() => workspace.getTodoStore(list.id)).toThrow(`List "${list.id}" not found`);
+      expect(await adapter.get(getTodosKey(list.id))).toBeUndefined();
+    });
+
+    it('Should move a todo with its subtasks to another list', () => {
+      const inbox = workspace.getTodoStore(DEFAULT_LIST.id);
+      const work = workspace.getTodoStore(workspace.lists.create({ name: 'Work' }).id);
+      const parent = inbox.create({ title: 'Parent' });
+      const child = inbox.create({ title: 'Child', parentId: parent.id });
+      const grandchild = inbox.create({ title: 'Grandchild', parentId: child.id });
+      inbox.create({ title: 'Stays' });
+      work.create({ title: 'Report' });
+
+      workspace.moveTodo(parent.id, workspace.findListId(work.getAll()[0].id));
+
+      expect(inbox.getAll().map((todo) => todo.title)).toEqual(['Stays']);
+      expect(work.getAll()).toEqual([expect.objectContaining({ title: 'Report' }), parent, child, grandchild]);
+    });
+
+    it('Should move a subtask to another list as a top-level todo', () => {
+      const inbox = workspace.getTodoStore(DEFAULT_LIST.id);
+      const list = workspace.lists.create({ name: 'Work' });
+      const parent = inbox.create({ title: 'Parent' });
+      const child = inbox.create({ title: 'Child', parentId: parent.id });
+
+      expect(workspace.moveTodo(child.id, list.id)).toEqual({ ...child, parentId: null });
+      expect(workspace.moveTodo(parent.id, DEFAULT_LIST.id)).toBe(parent);
+      expect(() => workspace.moveTodo('nope', list.id)).toThrow('Todo "nope" not found');
+      expect(() => workspace.moveTodo(parent.id, 'nope')).toThrow('List "nope" not found');
+    });
+
+    it('Should keep at least one list', () => {
+      expect(() => workspace.deleteList(DEFAULT_LIST.id)).toThrow('Keep at least one list');
+      expect(workspace.lists.size).toBe(1);
+    });
+
+    it('Should forward list and todo changes with the list id', () => {
+      const onList = vi.fn();
+      const onTodo = vi.fn();
+      workspace.subscribe(LIST_EVENTS.CHANGE, onList);
+      workspace.subscribe(TODO_EVENTS.CHANGE, onTodo);
+
+      const list = workspace.lists.create({ name: 'Work' });
+      workspace.getTodoStore(list.id).create({ title: 'Report' });
+      workspace.deleteList(list.id);
+
+      expect(onList.mock.calls.map(([detail]) => [detail.type, detail.listId])).toEqual([
+        [LIST_EVENTS.ADDED, list.id],
+        [LIST_EVENTS.REMOVED, list.id],
+      ]);
+      expect(onTodo.mock.calls.map(([detail]) => [detail.type, detail.listId])).toEqual([
+        [TODO_EVENTS.ADDED, list.id],
+        [TODO_EVENTS.RESET, list.id],
+      ]);
+    });
+
+    it('Should mark the changes applied from elsewhere as remote', () => {
+      const onTodo = vi.fn();
+      workspace.subscribe(TODO_EVENTS.CHANGE, onTodo);
+
+      const todo = workspace.applyRemote(() => workspace.getTodoStore(DEFAULT_LIST.id).create({ title: 'Remote' }));
+      workspace.getTodoStore(DEFAULT_LIST.id).toggle(todo.id);
+
+      expect(onTodo.mock.calls.map(([detail]) => [detail.type, detail.remote])).toEqual([
+        [TODO_EVENTS.ADDED, true],
+        [TODO_EVENTS.TOGGLED, undefined],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Strategies to reconcile a local todo with the server copy after a conflict.
+ *
+ * Every strategy receives the version both sides started from (`base`), the
+ * local version, the remote version and the resolution context (the current
+ * date, `now`), and returns the version to keep.
+ */
+
+const METADATA_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Names of the built-in strategies.
+ * @readonly
+ * @enum {string}
+ */
+export const CONFLICT_STRATEGIES = Object.freeze({
+  LAST_WRITE_WINS: 'last-write-wins',
+  MERGE: 'merge',
+});
+
+const time = (todo) => (todo && todo.updatedAt ? Date.parse(todo.updatedAt) : 0);
+
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Keeps whichever version was modified last. Ties favour the server, which is the shared source of truth.
+ * @param {Object} base - The common ancestor (unused).
+ * @param {Object} local - The local version.
+ * @param {Object} remote - The remote version.
+ * @returns {Object} The winning version.
+ * @example
+ * lastWriteWins(base, { updatedAt: '2024-01-02' }, { updatedAt: '2024-01-01' }); // the local version
+ */
+export function lastWriteWins(base, local, remote) {
+  return time(local) > time(remote) ? local : remote;
+}
+
+/**
+ * Merges both versions field by field: a field changed on only one side keeps that change, and a field
+ * changed on both sides falls back to last-write-wins.
+ * The merge is a new version, so it gets a new `updatedAt`: the current date, or just after the newest
+ * version when the clock is behind it, so other clients and the `If-Match` check see it as a change.
+ * @param {Object} base - The common ancestor.
+ * @param {Object} local - The local version.
+ * @param {Object} remote - The remote version.
+ * @param {Object} [context] - Resolution context.
+ * @param {Date} [context.now=new Date()] - The current date.
+ * @returns {Object} The merged version.
+ * @example
+ * // Local renamed the todo while the server completed it: both changes are kept.
+ * mergeFields(base, { ...base, title: 'New' }, { ...base, completed: true }, { now: new Date() });
+ */
+export function mergeFields(base, local, remote, { now = new Date() } = {}) {
+  const newest = lastWriteWins(base, local, remote);
+  const merged = { ...remote };
+
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  METADATA_FIELDS.forEach((field) => fields.delete(field));
+
+  fields.forEach((field) => {
+    const localChanged = !base || !isEqual(local[field], base[field]);
+    const remoteChanged = !base || !isEqual(remote[field], base[field]);
+
+    if (localChanged && !remoteChanged) {
+      merged[field] = local[field];
+    } else if (localChanged && remoteChanged) {
+      merged[field] = newest[field];
+    }
+  });
+
+  merged.updatedAt = new Date(Math.max(now.getTime(), time(local) + 1, time(remote) + 1)).toISOString();
+
+  return merged;
+}
+
+const RESOLVERS = {
+  [CONFLICT_STRATEGIES.LAST_WRITE_WINS]: lastWriteWins,
+  [CONFLICT_STRATEGIES.MERGE]: mergeFields,
+};
+
+/**
+ * Gets the resolver for a strategy.
+ * @param {string|function} strategy - A strategy name or a custom resolver function.
+ * @returns {function(Object, Object, Object, Object): Object} The resolver.
+ * @throws Will throw an error if the strategy is unknown.
+ */
+export function getResolver(strategy) {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+
+  if (!RESOLVERS[strategy]) {
+    throw new Error(`Unknown conflict strategy "${strategy}"`);
+  }
+
+  return RESOLVERS[strategy];
+}
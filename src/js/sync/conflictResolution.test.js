@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { CONFLICT_STRATEGIES, getResolver, lastWriteWins, mergeFields } from './conflictResolution';
+
+describe('Test suite for the conflict resolution strategies', () => {
+  const base = {
+    id: 'a',
+    title: 'Buy milk',
+    notes: '',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+  };
+
+  describe('Should resolve with last-write-wins', () => {
+    it('Keeping the newest local version', () => {
+      const local = { ...base, title: 'Local', updatedAt: '2024-01-03T00:00:00.000Z' };
+      const remote = { ...base, title: 'Remote', updatedAt: '2024-01-02T00:00:00.000Z' };
+
+      expect(lastWriteWins(base, local, remote)).toBe(local);
+    });
+
+    it('Keeping the newest remote version', () => {
+      const local = { ...base, title: 'Local', updatedAt: '2024-01-02T00:00:00.000Z' };
+      const remote = { ...base, title: 'Remote', updatedAt: '2024-01-03T00:00:00.000Z' };
+
+      expect(lastWriteWins(base, local, remote)).toBe(remote);
+    });
+
+    it('Favouring the server on ties', () => {
+      const local = { ...base, title: 'Local' };
+      const remote = { ...base, title: 'Remote' };
+
+      expect(lastWriteWins(base, local, remote)).toBe(remote);
+    });
+  });
+
+  describe('Should resolve with a per-field merge', () => {
+    it('Keeping changes made on different fields', () => {
+      const local = { ...base, title: 'Buy oat milk', updatedAt: '2024-01-02T00:00:00.000Z' };
+      const remote = { ...base, completed: true, updatedAt: '2024-01-03T00:00:00.000Z' };
+
+      expect(mergeFields(base, local, remote, { now: new Date('2024-01-04T00:00:00.000Z') })).toEqual({
+        ...base,
+        title: 'Buy oat milk',
+        completed: true,
+        updatedAt: '2024-01-04T00:00:00.000Z',
+      });
+    });
+
+    it('Stamping the merge newer than both versions, even with a clock behind them', () => {
+      const local = { ...base, title: 'Buy oat milk', updatedAt: '2024-01-02T00:00:00.000Z' };
+      const remote = { ...base, completed: true, updatedAt: '2024-01-03T00:00:00.000Z' };
+
+      const merged = mergeFields(base, local, remote, { now: new Date('2024-01-01T00:00:00.000Z') });
+
+      expect(merged.updatedAt).toBe('2024-01-03T00:00:00.001Z');
+    });
+
+    it('Using last-write-wins for fields changed on both sides', () => {
+      const local = { ...base, title: 'Local', notes: 'Local notes', updatedAt: '2024-01-03T00:00:00.000Z' };
+      const remote = { ...base, title: 'Remote', updatedAt: '2024-01-02T00:00:00.000Z' };
+
+      expect(mergeFields(base, local, remote)).toMatchObject({ title: 'Local', notes: 'Local notes' });
+    });
+
+    it('Comparing array fields by value', () => {
+      const withTags = { ...base, tags: ['home'] };
+      const local = { ...withTags, tags: ['home'], title: 'Local' };
+      const remote = { ...withTags, tags: ['work'] };
+
+      expect(mergeFields(withTags, local, remote)).toMatchObject({ title: 'Local', tags: ['work'] });
+    });
+
+    it('Falling back to last-write-wins without a base', () => {
+      const local = { ...base, title: 'Local', updatedAt: '2024-01-03T00:00:00.000Z' };
+      const remote = { ...base, title: 'Remote', updatedAt: '2024-01-02T00:00:00.000Z' };
+
+      expect(mergeFields(null, local, remote).title).toBe('Local');
+    });
+  });
+
+  describe('Should get resolvers', () => {
+    it('By name', () => {
+      expect(getResolver(CONFLICT_STRATEGIES.LAST_WRITE_WINS)).toBe(lastWriteWins);
+      expect(getResolver(CONFLICT_STRATEGIES.MERGE)).toBe(mergeFields);
+    });
+
+    it('Accepting custom functions', () => {
+      const custom = () => base;
+
+      expect(getResolver(custom)).toBe(custom);
+    });
+
+    it('Throwing for unknown strategies', () => {
+      expect(() => getResolver('coin-flip')).toThrow('Unknown conflict strategy "coin-flip"');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Elects one leader among the tabs of the app, for work that must run once
+ * per browser rather than once per tab, such as firing reminders.
+ *
+ * Every tab sends a heartbeat through a TabChannel and keeps track of the
+ * tabs it hears from. The leader is the oldest tab still alive, so it only
+ * changes when the leader goes away: a tab that closes says so, and a tab
+ * that stops sending heartbeats (e.g. after a crash) is dropped after
+ * `timeout`. A new tab listens for one heartbeat before deciding, so it does
+ * not lead, even briefly, while an older tab is open. All tabs reach the same
+ * result on their own, without a vote.
+ *
+ * Browsers throttle the timers of background tabs, down to once a minute, so
+ * the default timeout is longer than that: a hidden leader is not dropped
+ * while it is still leading. A tab whose own heartbeat comes later than
+ * `timeout` (e.g. after the computer slept) may have been dropped by the
+ * others, so it joins again as the newest tab, and leaves the lead to the tab
+ * the others have chosen instead of taking it back.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const election = new LeaderElection({ channel });
+ * election.subscribe(LEADER_EVENTS.CHANGE, ({ isLeader }) => (isLeader ? scheduler.start() : scheduler.stop()));
+ * election.start();
+ */
+
+/**
+ * Names of the events dispatched by the election.
+ * @readonly
+ * @enum {string}
+ */
+export const LEADER_EVENTS = Object.freeze({
+  CHANGE: 'leader:change',
+});
+
+// Types of the messages the tabs exchange.
+const MESSAGES = {
+  HELLO: 'leader:hello',
+  HEARTBEAT: 'leader:heartbeat',
+  BYE: 'leader:bye',
+};
+
+/**
+ * Tells whether a tab started before another one, using the tab ids to break ties.
+ * @param {{ id: string, startedAt: number }} tab - A tab.
+ * @param {{ id: string, startedAt: number }} other - Another tab.
+ * @returns {boolean} True if `tab` is the older one.
+ */
+const isOlder = (tab, other) =>
+  tab.startedAt < other.startedAt || (tab.startedAt === other.startedAt && tab.id < other.id);
+
+export class LeaderElection extends EventTarget {
+  /**
+   * Creates an instance of LeaderElection.
+   * @param {Object} options - Election options.
+   * @param {TabChannel} options.channel - Carries the heartbeats.
+   * @param {number} [options.heartbeatInterval=1000] - Milliseconds between heartbeats.
+   * @param {number} [options.timeout=90000] - Milliseconds without heartbeats after which a tab is gone.
+   * @param {function(): Date} [options.clock] - Returns the current date.
+   * @param {{ setTimeout: Function, clearTimeout: Function, setInterval: Function, clearInterval: Function }}
+   * [options.timers=globalThis] - Timer functions.
+   * @param {EventTarget} [options.target=globalThis.window] - Dispatches `pagehide`, when the tab closes.
+   * @throws Will throw an error if the channel is not defined.
+   */
+  constructor({
+    channel,
+    heartbeatInterval = 1000,
+    timeout = 90000,
+    clock = () => new Date(),
+    timers = globalThis,
+    target = globalThis.window,
+  } = {}) {
+    super();
+    if (!channel || typeof channel.post !== 'function') {
+      throw new Error('Define a valid tab channel');
+    }
+
+    this._channel = channel;
+    this._heartbeatInterval = heartbeatInterval;
+    this._timeout = timeout;
+    this._clock = clock;
+    this._timers = timers;
+    this._target = target;
+    this._self = null;
+    this._lastTick = 0;
+    this._peers = new Map();
+    this._leaderId = null;
+    this._interval = null;
+    this._electTimer = null;
+    this._unsubscribes = [];
+    // A page kept in the back/forward cache comes back with `pageshow`, and joins again.
+    this._onPageHide = () => {
+      this.stop();
+      this._target.addEventListener('pageshow', (event) => event.persisted && this.start(), { once: true });
+    };
+  }
+
+  /**
+   * Whether this tab is the leader.
+   * @returns {boolean} True while leading.
+   */
+  get isLeader() {
+    return Boolean(this._self) && this._leaderId === this._self.id;
+  }
+
+  /**
+   * The id of the leading tab, see TabChannel#tabId.
+   * @returns {string|null} The id, or null until the election is decided.
+   */
+  get leaderId() {
+    return this._leaderId;
+  }
+
+  /**
+   * Joins the election. The result is known after one heartbeat interval.
+   */
+  start() {
+    this.stop();
+
+    this._self = { id: this._channel.tabId, startedAt: this._now() };
+    this._lastTick = this._self.startedAt;
+    this._unsubscribes = [
+      this._channel.subscribe(MESSAGES.HELLO, (message) => {
+        this._see(message);
+        // Answers right away, so the new tab learns about this one before it decides.
+        this._beat();
+      }),
+      this._channel.subscribe(MESSAGES.HEARTBEAT, (message) => this._see(message)),
+      this._channel.subscribe(MESSAGES.BYE, ({ from }) => {
+        this._peers.delete(from);
+        this._elect();
+      }),
+    ];
+    this._target?.addEventListener('pagehide', this._onPageHide);
+
+    this._channel.post(MESSAGES.HELLO, { startedAt: this._self.startedAt });
+    this._interval = this._timers.setInterval(() => this._tick(), this._heartbeatInterval);
+    this._electTimer = this._timers.setTimeout(() => {
+      this._electTimer = null;
+      this._elect();
+    }, this._heartbeatInterval);
+  }
+
+  /**
+   * Leaves the election, telling the other tabs so that one of them takes over right away.
+   */
+  stop() {
+    if (!this._self) {
+      return;
+    }
+
+    this._channel.post(MESSAGES.BYE);
+    this._unsubscribes.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribes = [];
+    this._target?.removeEventListener('pagehide', this._onPageHide);
+    this._timers.clearInterval(this._interval);
+    this._timers.clearTimeout(this._electTimer);
+    this._interval = null;
+    this._electTimer = null;
+    this._peers.clear();
+    this._setLeader(null);
+    this._self = null;
+  }
+
+  /**
+   * Subscribes to an election event.
+   * @param {string} type - The event name (one of LEADER_EVENTS).
+   * @param {function({ isLeader: boolean, leaderId: string|null }): void} handler - Called with the event detail.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _see({ from, data }) {
+    const known = this._peers.get(from);
+    this._peers.set(from, { id: from, startedAt: data.startedAt, seenAt: this._now() });
+    if (known?.startedAt !== data.startedAt) {
+      this._elect();
+    }
+  }
+
+  _beat() {
+    this._channel.post(MESSAGES.HEARTBEAT, { startedAt: this._self.startedAt });
+  }
+
+  _tick() {
+    const now = this._now();
+    if (now - this._lastTick > this._timeout) {
+      this._self = { ...this._self, startedAt: now };
+    }
+    this._lastTick = now;
+    this._beat();
+
+    this._peers.forEach((peer, id) => {
+      if (now - peer.seenAt > this._timeout) {
+        this._peers.delete(id);
+      }
+    });
+    this._elect();
+  }
+
+  _elect() {
+    if (this._electTimer) {
+      return;
+    }
+
+    const leader = [...this._peers.values()].reduce((oldest, tab) => (isOlder(tab, oldest) ? tab : oldest), this._self);
+    this._setLeader(leader.id);
+  }
+
+  _setLeader(leaderId) {
+    if (leaderId === this._leaderId) {
+      return;
+    }
+
+    this._leaderId = leaderId;
+    this.dispatchEvent(
+      new CustomEvent(LEADER_EVENTS.CHANGE, { detail: { isLeader: this.isLeader, leaderId: this._leaderId } }),
+    );
+  }
+
+  _now() {
+    return this._clock().getTime();
+  }
+}
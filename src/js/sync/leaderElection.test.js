@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LEADER_EVENTS, LeaderElection } from './leaderElection';
+import { TabChannel } from './tabChannel';
+import { MemoryTabBus } from './testing/memoryTabBus';
+
+describe('Test suite for the LeaderElection', () => {
+  let bus;
+  let tabs;
+
+  const openTab = (tabId, options = { timeout: 300 }) => {
+    const { storage, target } = bus.createTab();
+    const channel = new TabChannel({ tabId, storage, target, BroadcastChannel: null });
+    const election = new LeaderElection({ channel, heartbeatInterval: 100, target, ...options });
+    const changes = [];
+    election.subscribe(LEADER_EVENTS.CHANGE, (detail) => changes.push(detail));
+    channel.start();
+    election.start();
+    const tab = { tabId, channel, election, target, changes };
+    tabs.push(tab);
+
+    return tab;
+  };
+  // Timers that skip their calls while paused, like those of a throttled background tab.
+  const createThrottledTimers = () => {
+    const timers = {
+      paused: false,
+      setTimeout: (callback, delay) => setTimeout(callback, delay),
+      clearTimeout: (id) => clearTimeout(id),
+      setInterval: (callback, delay) => setInterval(() => !timers.paused && callback(), delay),
+      clearInterval: (id) => clearInterval(id),
+    };
+
+    return timers;
+  };
+  const crash = (tab) => {
+    // The tab goes away without saying so.
+    tab.channel.stop();
+    bus.closeTab(tab.target);
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    bus = new MemoryTabBus();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(({ election, channel }) => {
+      election.stop();
+      channel.stop();
+    });
+    vi.useRealTimers();
+  });
+
+  it('Should require a tab channel', () => {
+    expect(() => new LeaderElection()).toThrow('Define a valid tab channel');
+  });
+
+  it('Should make the only tab the leader after one heartbeat', () => {
+    const tab = openTab('a');
+    expect(tab.election.isLeader).toBe(false);
+    expect(tab.election.leaderId).toBeNull();
+
+    vi.advanceTimersByTime(100);
+
+    expect(tab.election.isLeader).toBe(true);
+    expect(tab.changes).toEqual([{ isLeader: true, leaderId: 'a' }]);
+  });
+
+  it('Should keep the oldest tab as the leader when others open', () => {
+    const first = openTab('z');
+    vi.advanceTimersByTime(500);
+    const second = openTab('a');
+    vi.advanceTimersByTime(100);
+
+    expect(first.election.isLeader).toBe(true);
+    expect(second.election.isLeader).toBe(false);
+    expect(second.election.leaderId).toBe('z');
+    expect(second.changes).toEqual([{ isLeader: false, leaderId: 'z' }]);
+  });
+
+  it('Should never have a new tab lead while an older one is open', () => {
+    openTab('z');
+    vi.advanceTimersByTime(500);
+    const second = openTab('a');
+
+    vi.advanceTimersByTime(1000);
+
+    expect(second.changes.some((change) => change.isLeader)).toBe(false);
+  });
+
+  it('Should hand over right away when the leader closes', () => {
+    const first = openTab('a');
+    vi.advanceTimersByTime(100);
+    const second = openTab('b');
+    vi.advanceTimersByTime(100);
+
+    first.target.dispatchEvent(new Event('pagehide'));
+
+    expect(first.changes.at(-1)).toEqual({ isLeader: false, leaderId: null });
+    expect(second.election.isLeader).toBe(true);
+  });
+
+  it('Should hand over once a crashed leader misses its heartbeats', () => {
+    const first = openTab('a');
+    vi.advanceTimersByTime(100);
+    const second = openTab('b');
+    vi.advanceTimersByTime(100);
+
+    crash(first);
+    vi.advanceTimersByTime(200);
+    expect(second.election.isLeader).toBe(false);
+
+    vi.advanceTimersByTime(300);
+    expect(second.election.isLeader).toBe(true);
+  });
+
+  it('Should keep a throttled leader with the default timeout', () => {
+    const timers = createThrottledTimers();
+    const first = openTab('a', { timers });
+    vi.advanceTimersByTime(100);
+    const second = openTab('b', {});
+    vi.advanceTimersByTime(100);
+
+    timers.paused = true;
+    vi.advanceTimersByTime(60000);
+    timers.paused = false;
+    vi.advanceTimersByTime(100);
+
+    expect(first.election.isLeader).toBe(true);
+    expect(second.changes).toEqual([{ isLeader: false, leaderId: 'a' }]);
+  });
+
+  it('Should leave the lead to the tab chosen while its heartbeats were late', () => {
+    const timers = createThrottledTimers();
+    const first = openTab('a', { timeout: 300, timers });
+    vi.advanceTimersByTime(100);
+    const second = openTab('b');
+    vi.advanceTimersByTime(100);
+
+    timers.paused = true;
+    vi.advanceTimersByTime(500);
+    expect(second.election.isLeader).toBe(true);
+
+    timers.paused = false;
+    vi.advanceTimersByTime(1000);
+
+    expect(first.election.isLeader).toBe(false);
+    expect(first.changes.at(-1)).toEqual({ isLeader: false, leaderId: 'b' });
+    expect(second.changes).toEqual([
+      { isLeader: false, leaderId: 'a' },
+      { isLeader: true, leaderId: 'b' },
+    ]);
+  });
+
+  it('Should join again when the page comes back from the back/forward cache', () => {
+    const tab = openTab('a');
+    vi.advanceTimersByTime(100);
+
+    tab.target.dispatchEvent(new Event('pagehide'));
+    tab.target.dispatchEvent(Object.assign(new Event('pageshow'), { persisted: true }));
+    vi.advanceTimersByTime(100);
+
+    expect(tab.election.isLeader).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+import { MemoryStorageAdapter } from '../storage/memoryStorageAdapter.js';
+import { createId } from '../store/todoStore.js';
+
+/**
+ * @typedef {Object} SyncOperation
+ * @property {string} id - Unique id of the operation.
+ * @property {'create'|'update'|'delete'} type - What to do on the server.
+ * @property {string} todoId - The id of the affected todo.
+ * @property {string} [listId] - The id of the list of the todo, when the todos are split into lists.
+ * @property {Object} [todo] - The latest local version of the todo (create and update).
+ * @property {Object|null} base - The version the change was based on, used to detect and merge conflicts.
+ * @property {string} queuedAt - ISO date the operation was queued.
+ */
+
+/**
+ * Persistent FIFO of pending server operations.
+ *
+ * Operations for the same todo are coalesced while they wait, so a todo that
+ * is created and edited offline is sent as a single create, and a todo that
+ * is created and deleted offline is never sent at all. The head operation can
+ * be locked while it is in flight so later changes queue up behind it.
+ *
+ * @example
+ * const queue = new OfflineQueue({ adapter });
+ * await queue.restore();
+ * await queue.enqueue({ type: 'create', todoId: todo.id, todo, base: null });
+ */
+export class OfflineQueue {
+  /**
+   * Creates an instance of OfflineQueue.
+   * @param {Object} [options] - Queue options.
+   * @param {StorageAdapter} [options.adapter] - Where pending operations are kept. Defaults to memory.
+   * @param {string} [options.key='sync-queue'] - The storage key.
+   * @param {function(): Date} [options.clock] - Returns the current date.
+   */
+  constructor({ adapter = new MemoryStorageAdapter(), key = 'sync-queue', clock = () => new Date() } = {}) {
+    this._adapter = adapter;
+    this._key = key;
+    this._clock = clock;
+    this._operations = [];
+    this._lockedId = null;
+  }
+
+  /**
+   * Number of pending operations.
+   * @returns {number} The queue length.
+   */
+  get size() {
+    return this._operations.length;
+  }
+
+  /**
+   * Loads operations saved by a previous session.
+   * @returns {Promise<SyncOperation[]>} The pending operations.
+   */
+  async restore() {
+    const saved = await this._adapter.get(this._key);
+    this._operations = Array.isArray(saved) ? saved : [];
+
+    return this.getAll();
+  }
+
+  /**
+   * Gets every pending operation, oldest first.
+   * @returns {SyncOperation[]} A copy of the queue.
+   */
+  getAll() {
+    return [...this._operations];
+  }
+
+  /**
+   * Gets the oldest pending operation.
+   * @returns {SyncOperation|undefined} The head of the queue.
+   */
+  peek() {
+    return this._operations[0];
+  }
+
+  /**
+   * Adds an operation, merging it with a pending operation for the same todo when possible.
+   * @param {Object} operation - The operation, without `id` and `queuedAt`.
+   * @returns {Promise<void>}
+   */
+  async enqueue({ type, todoId, listId, todo, base = null }) {
+    const index = this._operations.findLastIndex(
+      (operation) => operation.todoId === todoId && operation.id !== this._lockedId,
+    );
+    const pending = this._operations[index];
+
+    if (pending && pending.type === 'create' && type === 'delete') {
+      this._operations.splice(index, 1);
+    } else if (pending && pending.type !== 'delete') {
+      this._operations[index] = {
+        ...pending,
+        type: pending.type === 'create' ? 'create' : type,
+        todo: type === 'delete' ? undefined : todo,
+      };
+    } else {
+      this._operations.push({
+        id: createId(),
+        type,
+        todoId,
+        listId,
+        todo,
+        base,
+        queuedAt: this._clock().toISOString(),
+      });
+    }
+
+    await this._save();
+  }
+
+  /**
+   * Removes an operation, usually after the server acknowledged it.
+   * @param {string} id - The id of the operation.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    this._operations = this._operations.filter((operation) => operation.id !== id);
+    if (this._lockedId === id) {
+      this._lockedId = null;
+    }
+
+    await this._save();
+  }
+
+  /**
+   * Prevents an operation from being coalesced, because it is being sent.
+   * @param {string|null} id - The id of the operation, or null to release the lock.
+   */
+  lock(id) {
+    this._lockedId = id;
+  }
+
+  _save() {
+    return this._adapter.set(this._key, this._operations);
+  }
+}
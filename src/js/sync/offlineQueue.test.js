@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { OfflineQueue } from './offlineQueue';
+import { MemoryStorageAdapter } from '../storage/memoryStorageAdapter';
+
+describe('Test suite for the OfflineQueue class', () => {
+  let adapter;
+  let queue;
+
+  const v1 = { id: 'a', title: 'A', updatedAt: '1' };
+  const v2 = { id: 'a', title: 'B', updatedAt: '2' };
+  const v3 = { id: 'a', title: 'C', updatedAt: '3' };
+
+  beforeEach(() => {
+    adapter = new MemoryStorageAdapter();
+    queue = new OfflineQueue({ adapter, clock: () => new Date('2024-01-01T00:00:00.000Z') });
+  });
+
+  const types = () => queue.getAll().map(({ type }) => type);
+
+  it('Should queue operations in order', async () => {
+    await queue.enqueue({ type: 'update', todoId: 'a', todo: v2, base: v1 });
+    await queue.enqueue({ type: 'create', todoId: 'b', todo: { id: 'b' } });
+
+    expect(queue.size).toBe(2);
+    expect(queue.peek()).toMatchObject({
+      type: 'update',
+      todoId: 'a',
+      todo: v2,
+      base: v1,
+      queuedAt: '2024-01-01T00:00:00.000Z',
+    });
+  });
+
+  describe('Should coalesce operations on the same todo', () => {
+    it('Sending a create with the latest version', async () => {
+      await queue.enqueue({ type: 'create', todoId: 'a', todo: v1 });
+      await queue.enqueue({ type: 'update', todoId: 'a', todo: v2, base: v1 });
+
+      expect(queue.getAll()).toEqual([expect.objectContaining({ type: 'create', todo: v2, base: null })]);
+    });
+
+    it('Keeping the oldest base of successive updates', async () => {
+      await queue.enqueue({ type: 'update', todoId: 'a', todo: v2, base: v1 });
+      await queue.enqueue({ type: 'update', todoId: 'a', todo: v3, base: v2 });
+
+      expect(queue.getAll()).toEqual([expect.objectContaining({ type: 'update', todo: v3, base: v1 })]);
+    });
+
+    it('Turning an update into a delete', async () => {
+      await queue.enqueue({ type: 'update', todoId: 'a', todo: v2, base: v1 });
+      await queue.enqueue({ type: 'delete', todoId: 'a', base: v2 });
+
+      expect(queue.getAll()).toEqual([expect.objectContaining({ type: 'delete', todo: undefined, base: v1 })]);
+    });
+
+    it('Dropping a todo created and deleted offline', async () => {
+      await queue.enqueue({ type: 'create', todoId: 'a', todo: v1 });
+      await queue.enqueue({ type: 'delete', todoId: 'a', base: v1 });
+
+      expect(queue.size).toBe(0);
+    });
+
+    it('Except for the locked operation', async () => {
+      await queue.enqueue({ type: 'create', todoId: 'a', todo: v1 });
+      queue.lock(queue.peek().id);
+      await queue.enqueue({ type: 'update', todoId: 'a', todo: v2, base: v1 });
+
+      expect(types()).toEqual(['create', 'update']);
+    });
+  });
+
+  it('Should remove operations and release the lock', async () => {
+    await queue.enqueue({ type: 'create', todoId: 'a', todo: v1 });
+    const { id } = queue.peek();
+    queue.lock(id);
+
+    await queue.remove(id);
+    await queue.enqueue({ type: 'create', todoId: 'b', todo: { id: 'b' } });
+    await queue.enqueue({ type: 'update', todoId: 'b', todo: { id: 'b', title: 'B' } });
+
+    expect(types()).toEqual(['create']);
+  });
+
+  it('Should persist and restore pending operations', async () => {
+    await queue.enqueue({ type: 'create', todoId: 'a', todo: v1 });
+
+    const restored = new OfflineQueue({ adapter });
+
+    expect(await restored.restore()).toEqual(queue.getAll());
+  });
+
+  it('Should restore an empty queue when nothing was saved', async () => {
+    expect(await queue.restore()).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Error thrown when the server answers with a non-2xx status.
+ * Network failures reject with a NetworkError instead.
+ */
+export class HttpError extends Error {
+  /**
+   * Creates an instance of HttpError.
+   * @param {number} status - The HTTP status code.
+   * @param {*} body - The parsed response body, if any.
+   */
+  constructor(status, body) {
+    super(`Request failed with status ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Error thrown when the request does not reach the server, e.g. offline or on a DNS failure.
+ */
+export class NetworkError extends Error {
+  /**
+   * Creates an instance of NetworkError.
+   * @param {Error} cause - The error thrown by `fetch`.
+   */
+  constructor(cause) {
+    super(cause?.message || 'Network request failed', { cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Minimal JSON client for a REST todo endpoint.
+ *
+ * The endpoint is expected to expose `GET/POST {baseUrl}/todos` and
+ * `PUT/DELETE {baseUrl}/todos/:id`. Updates and deletes send the last known
+ * `updatedAt` of the todo in an `If-Match` header, and the server answers
+ * `409 Conflict` with its own copy of the todo when it does not match.
+ *
+ * @example
+ * const client = new RestClient({ baseUrl: 'https://api.example.com' });
+ * await client.create(todo);
+ */
+export class RestClient {
+  /**
+   * Creates an instance of RestClient.
+   * @param {Object} options - Client options.
+   * @param {string} options.baseUrl - The API root, without trailing slash.
+   * @param {function} [options.fetch] - The fetch implementation, defaults to the global one.
+   * @param {Object<string, string>} [options.headers={}] - Headers added to every request (e.g. authorization).
+   * @throws Will throw an error if the base URL is not defined.
+   */
+  constructor({ baseUrl, fetch, headers = {} } = {}) {
+    if (!baseUrl) {
+      throw new Error('Define a valid base URL');
+    }
+
+    this._baseUrl = baseUrl.replace(/\/+$/, '');
+    this._fetch = fetch || ((...args) => globalThis.fetch(...args));
+    this._headers = headers;
+  }
+
+  /**
+   * Lists every todo on the server.
+   * @returns {Promise<Object[]>} The remote todos.
+   */
+  list() {
+    return this.request('GET', '/todos');
+  }
+
+  /**
+   * Creates a todo on the server.
+   * @param {Object} todo - The todo to create.
+   * @returns {Promise<Object>} The stored todo.
+   */
+  create(todo) {
+    return this.request('POST', '/todos', { body: todo });
+  }
+
+  /**
+   * Replaces a todo on the server.
+   * @param {Object} todo - The new version of the todo.
+   * @param {string} [baseVersion] - The `updatedAt` the change was based on. Omit it to overwrite unconditionally.
+   * @returns {Promise<Object>} The stored todo.
+   */
+  update(todo, baseVersion) {
+    return this.request('PUT', `/todos/${encodeURIComponent(todo.id)}`, { body: todo, version: baseVersion });
+  }
+
+  /**
+   * Deletes a todo on the server.
+   * @param {string} id - The id of the todo.
+   * @param {string} [baseVersion] - The `updatedAt` the deletion was based on. Omit it to delete unconditionally.
+   * @returns {Promise<void>}
+   */
+  remove(id, baseVersion) {
+    return this.request('DELETE', `/todos/${encodeURIComponent(id)}`, { version: baseVersion });
+  }
+
+  /**
+   * Sends a JSON request.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path, relative to the base URL.
+   * @param {Object} [options] - Request options.
+   * @param {*} [options.body] - The body, serialized as JSON.
+   * @param {string} [options.version] - Sent as the `If-Match` header.
+   * @returns {Promise<*>} The parsed response body, or undefined when empty.
+   * @throws {HttpError} When the response status is not 2xx.
+   * @throws {NetworkError} When the request does not reach the server.
+   */
+  async request(method, path, { body, version } = {}) {
+    const headers = { Accept: 'application/json', ...this._headers };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (version) {
+      headers['If-Match'] = `"${version}"`;
+    }
+
+    let response;
+    try {
+      response = await this._fetch(this._baseUrl + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new NetworkError(error);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : undefined;
+    } catch {
+      data = text;
+    }
+
+    if (!response.ok) {
+      throw new HttpError(response.status, data);
+    }
+
+    return data;
+  }
+}
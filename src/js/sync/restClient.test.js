@@ -0,0 +1,76 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { HttpError, NetworkError, RestClient } from './restClient';
+import { MockTodoServer } from './testing/mockTodoServer';
+
+describe('Test suite for the RestClient class', () => {
+  let server;
+  let client;
+
+  const todo = { id: 'a', title: 'A', updatedAt: '2024-01-01T00:00:00.000Z' };
+
+  beforeAll(async () => {
+    server = new MockTodoServer();
+    client = new RestClient({ baseUrl: `${await server.start()}/`, headers: { Authorization: 'Bearer token' } });
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.todos.clear();
+    server.requests.length = 0;
+  });
+
+  it('Should throw error if the base URL is not provided', () => {
+    expect(() => new RestClient()).toThrow('Define a valid base URL');
+  });
+
+  it('Should create and list todos', async () => {
+    expect(await client.create(todo)).toEqual(todo);
+    expect(await client.list()).toEqual([todo]);
+  });
+
+  it('Should send the base version in If-Match', async () => {
+    await client.create(todo);
+
+    await client.update({ ...todo, title: 'B' }, todo.updatedAt);
+
+    expect(server.requests.at(-1)).toMatchObject({ method: 'PUT', url: '/todos/a', version: todo.updatedAt });
+    expect(server.todos.get('a').title).toBe('B');
+  });
+
+  it('Should delete todos', async () => {
+    await client.create(todo);
+
+    expect(await client.remove('a')).toBeUndefined();
+    expect(server.todos.size).toBe(0);
+  });
+
+  it('Should reject with an HttpError carrying the server copy on conflict', async () => {
+    await client.create(todo);
+
+    const error = await client.update({ ...todo, title: 'B' }, '2023-01-01T00:00:00.000Z').catch((e) => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(409);
+    expect(error.body).toEqual(todo);
+  });
+
+  it('Should keep non-JSON error bodies as text', async () => {
+    const fetch = vi.fn().mockResolvedValue(new Response('Bad gateway', { status: 502 }));
+    const error = await new RestClient({ baseUrl: 'http://example.test', fetch }).list().catch((e) => e);
+
+    expect(error.status).toBe(502);
+    expect(error.body).toBe('Bad gateway');
+  });
+
+  it('Should reject with a NetworkError wrapping the fetch error on network failures', async () => {
+    const cause = new TypeError('Failed to fetch');
+    const fetch = vi.fn().mockRejectedValue(cause);
+
+    const error = await new RestClient({ baseUrl: 'http://example.test', fetch }).list().catch((e) => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.message).toBe('Failed to fetch');
+    expect(error.cause).toBe(cause);
+  });
+});
@@ -0,0 +1,362 @@
+import { CONFLICT_STRATEGIES, getResolver } from './conflictResolution.js';
+import { OfflineQueue } from './offlineQueue.js';
+import { NetworkError } from './restClient.js';
+import { TODO_EVENTS } from '../store/todoStore.js';
+
+/**
+ * Names of the events dispatched by the sync engine.
+ * @readonly
+ * @enum {string}
+ */
+export const SYNC_EVENTS = Object.freeze({
+  STATUS: 'sync:status',
+  CONFLICT: 'sync:conflict',
+  ERROR: 'sync:error',
+});
+
+/**
+ * Possible values of `SyncEngine#status`.
+ * @readonly
+ * @enum {string}
+ */
+export const SYNC_STATUS = Object.freeze({
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  RETRYING: 'retrying',
+});
+
+const OPERATION_BY_EVENT = {
+  [TODO_EVENTS.ADDED]: 'create',
+  [TODO_EVENTS.UPDATED]: 'update',
+  [TODO_EVENTS.TOGGLED]: 'update',
+  [TODO_EVENTS.REMOVED]: 'delete',
+};
+
+/**
+ * Computes the delay before the next retry, doubling it after every failed attempt.
+ * @param {number} attempt - The number of failed attempts so far, starting at 1.
+ * @param {Object} [options] - Backoff options.
+ * @param {number} [options.baseDelay=1000] - Delay after the first failure, in milliseconds.
+ * @param {number} [options.maxDelay=60000] - Upper bound for the delay, in milliseconds.
+ * @param {number} [options.jitter=0] - Random extra delay, as a fraction of the computed delay (0 to 1).
+ * @param {function(): number} [options.random=Math.random] - Random number source.
+ * @returns {number} The delay in milliseconds.
+ * @example
+ * computeBackoff(3, { baseDelay: 1000 }); // 4000
+ */
+export function computeBackoff(attempt, { baseDelay = 1000, maxDelay = 60000, jitter = 0, random = Math.random } = {}) {
+  const delay = Math.min(baseDelay * 2 ** Math.max(attempt - 1, 0), maxDelay);
+
+  return Math.round(delay + delay * jitter * random());
+}
+
+// Errors that may go away by themselves. Anything else would fail the same way on every retry and block the queue.
+const isRetryable = (error) =>
+  error instanceof NetworkError || error.status === 408 || error.status === 429 || error.status >= 500;
+
+/**
+ * Pushes local todo mutations to a REST endpoint.
+ *
+ * Mutations are queued as soon as the store emits them and sent in order.
+ * While the browser is offline, or after a network or server error, the queue
+ * is kept and retried with exponential backoff. When the server reports a
+ * conflict, the configured strategy decides which version wins, the store is
+ * updated with the result and the result is sent back to the server.
+ *
+ * The todos can come from a single TodoStore or from a Workspace, whose
+ * todos are split into lists. A todo restored by a conflict goes back to its
+ * list.
+ *
+ * @example
+ * const engine = new SyncEngine({
+ *   store,
+ *   client: new RestClient({ baseUrl: 'https://api.example.com' }),
+ *   strategy: CONFLICT_STRATEGIES.MERGE,
+ * });
+ * await engine.start();
+ */
+export class SyncEngine extends EventTarget {
+  /**
+   * Creates an instance of SyncEngine.
+   * @param {Object} options - Engine options.
+   * @param {TodoStore|Workspace} options.store - The todos whose mutations are pushed.
+   * @param {RestClient} options.client - The REST client.
+   * @param {OfflineQueue} [options.queue] - Pending operations. Defaults to an in-memory queue.
+   * @param {string|function} [options.strategy='last-write-wins'] - Conflict strategy name or resolver.
+   * @param {Object} [options.retry] - Backoff options, see computeBackoff.
+   * @param {function(): boolean} [options.isOnline] - Reports connectivity, defaults to `navigator.onLine`.
+   * @param {EventTarget} [options.connectivityTarget=window] - Dispatches the `online` and `offline` events.
+   * @param {function(): Date} [options.clock] - Returns the current date, passed to the conflict strategy.
+   * @throws Will throw an error if the store or client is not defined.
+   */
+  constructor({
+    store,
+    client,
+    queue = new OfflineQueue(),
+    strategy = CONFLICT_STRATEGIES.LAST_WRITE_WINS,
+    retry = {},
+    isOnline = () => globalThis.navigator?.onLine !== false,
+    connectivityTarget = globalThis.window,
+    clock = () => new Date(),
+  } = {}) {
+    super();
+    if (!store || !client) {
+      throw new Error('Define a valid store and REST client');
+    }
+
+    this._store = store;
+    this._client = client;
+    this._queue = queue;
+    this._resolve = getResolver(strategy);
+    this._retry = retry;
+    this._isOnline = isOnline;
+    this._connectivityTarget = connectivityTarget;
+    this._clock = clock;
+    this._status = SYNC_STATUS.IDLE;
+    this._attempt = 0;
+    this._retryTimer = null;
+    this._flushing = null;
+    this._flushRequested = false;
+    this._applyingRemote = false;
+    this._unsubscribe = null;
+    this._abortController = null;
+  }
+
+  /**
+   * The current sync status.
+   * @returns {string} One of SYNC_STATUS.
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * The queue of operations waiting to be sent.
+   * @returns {OfflineQueue} The queue.
+   */
+  get queue() {
+    return this._queue;
+  }
+
+  /**
+   * Restores pending operations, starts listening to the store and connectivity, and sends what is pending.
+   * @returns {Promise<void>} Resolves after the first flush.
+   */
+  async start() {
+    if (this._unsubscribe) {
+      return;
+    }
+
+    await this._queue.restore();
+    this._unsubscribe = this._store.subscribe(TODO_EVENTS.CHANGE, (detail) => this._onStoreChange(detail));
+
+    if (this._connectivityTarget) {
+      this._abortController = new AbortController();
+      const { signal } = this._abortController;
+      this._connectivityTarget.addEventListener('online', () => this.flush(), { signal });
+      this._connectivityTarget.addEventListener('offline', () => this._setStatus(SYNC_STATUS.OFFLINE), { signal });
+    }
+
+    await this.flush();
+  }
+
+  /**
+   * Stops listening and cancels any scheduled retry. Pending operations stay in the queue.
+   */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+  }
+
+  /**
+   * Sends pending operations until the queue is empty, the browser goes offline or a request fails.
+   * Concurrent calls share the same run.
+   * @returns {Promise<void>} Resolves when the run is over.
+   */
+  flush() {
+    if (this._flushing) {
+      this._flushRequested = true;
+      return this._flushing;
+    }
+
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._flushing = this._drain().finally(() => {
+      const requested = this._flushRequested;
+      this._flushing = null;
+      this._flushRequested = false;
+
+      // Operations queued while the last request was settling would otherwise wait for the next change.
+      if (requested && this._status === SYNC_STATUS.IDLE && this._queue.size > 0) {
+        this.flush();
+      }
+    });
+
+    return this._flushing;
+  }
+
+  async _drain() {
+    while (this._queue.size > 0) {
+      if (!this._isOnline()) {
+        this._setStatus(SYNC_STATUS.OFFLINE);
+        return;
+      }
+
+      this._setStatus(SYNC_STATUS.SYNCING);
+      const operation = this._queue.peek();
+      this._queue.lock(operation.id);
+
+      try {
+        await this._process(operation);
+      } catch (error) {
+        this._queue.lock(null);
+
+        if (isRetryable(error)) {
+          this._scheduleRetry();
+          return;
+        }
+
+        this._dispatch(SYNC_EVENTS.ERROR, { operation, error });
+      }
+
+      await this._queue.remove(operation.id);
+      this._attempt = 0;
+    }
+
+    this._setStatus(SYNC_STATUS.IDLE);
+  }
+
+  async _process(operation) {
+    try {
+      await this._send(operation);
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+
+      await this._resolveConflict(operation, error.body);
+    }
+  }
+
+  _send({ type, todoId, todo, base }) {
+    const version = base ? base.updatedAt : undefined;
+
+    if (type === 'create') {
+      return this._client.create(todo);
+    }
+    if (type === 'update') {
+      return this._client.update(todo, version);
+    }
+
+    return this._client.remove(todoId, version).catch((error) => {
+      if (error.status !== 404) {
+        throw error;
+      }
+    });
+  }
+
+  async _resolveConflict(operation, remote) {
+    const local = operation.type === 'delete' ? null : this._getTodo(operation.todoId) || operation.todo;
+    let resolved;
+
+    if (!remote) {
+      // Without a server copy the local version wins, and a delete is done: the todo is gone on both sides.
+      resolved = local;
+    } else if (!local) {
+      // A pending delete only wins if it happened after the last remote change.
+      resolved = Date.parse(operation.queuedAt) > Date.parse(remote.updatedAt) ? null : remote;
+    } else {
+      resolved = this._resolve(operation.base, local, remote, { now: this._clock() });
+    }
+
+    this._dispatch(SYNC_EVENTS.CONFLICT, { operation, local, remote, resolved });
+
+    if (resolved) {
+      this._applyRemote(() => this._putTodo(resolved, operation.listId));
+      if (resolved !== remote) {
+        await this._client.update(resolved, remote ? remote.updatedAt : undefined);
+      }
+    } else if (remote) {
+      await this._client.remove(operation.todoId, remote.updatedAt);
+    }
+  }
+
+  _scheduleRetry() {
+    this._attempt += 1;
+    this._setStatus(SYNC_STATUS.RETRYING);
+    this._retryTimer = setTimeout(() => this.flush(), computeBackoff(this._attempt, this._retry));
+  }
+
+  _onStoreChange({ type, todo, previous, listId }) {
+    const operation = OPERATION_BY_EVENT[type];
+    if (this._applyingRemote || !operation) {
+      return;
+    }
+
+    this._queue
+      .enqueue({
+        type: operation,
+        todoId: todo.id,
+        listId,
+        todo: operation === 'delete' ? undefined : todo,
+        base: previous || (operation === 'delete' ? todo : null),
+      })
+      .then(() => {
+        // While a retry is scheduled, new changes wait for it instead of hammering the server.
+        if (!this._retryTimer) {
+          return this.flush();
+        }
+      })
+      .catch((error) => this._dispatch(SYNC_EVENTS.ERROR, { error }));
+  }
+
+  _getTodo(id) {
+    if (typeof this._store.findTodoStore === 'function') {
+      return this._store.findTodoStore(id)?.get(id);
+    }
+
+    return this._store.get(id);
+  }
+
+  // A todo deleted locally goes back to the list it was deleted from, or to the default list if that one is gone.
+  _putTodo(todo, listId) {
+    if (typeof this._store.findTodoStore !== 'function') {
+      return this._store.put(todo);
+    }
+
+    const known = listId && this._store.lists.get(listId);
+    const store =
+      this._store.findTodoStore(todo.id) || this._store.getTodoStore(known ? listId : this._store.defaultListId);
+
+    return store.put(todo);
+  }
+
+  _applyRemote(callback) {
+    this._applyingRemote = true;
+    try {
+      callback();
+    } finally {
+      this._applyingRemote = false;
+    }
+  }
+
+  _setStatus(status) {
+    if (status !== this._status) {
+      this._status = status;
+      this._dispatch(SYNC_EVENTS.STATUS, { status });
+    }
+  }
+
+  _dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
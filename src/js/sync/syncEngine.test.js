@@ -0,0 +1,378 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CONFLICT_STRATEGIES } from './conflictResolution';
+import { OfflineQueue } from './offlineQueue';
+import { HttpError, RestClient } from './restClient';
+import { computeBackoff, SYNC_EVENTS, SYNC_STATUS, SyncEngine } from './syncEngine';
+import { MockTodoServer } from './testing/mockTodoServer';
+import { MemoryStorageAdapter } from '../storage/memoryStorageAdapter';
+import { TodoStore } from '../store/todoStore';
+import { Workspace } from '../store/workspace';
+
+describe('Test suite for the SyncEngine class', () => {
+  let server;
+  let baseUrl;
+  let store;
+  let engine;
+  let online;
+  let connectivity;
+  let currentTime;
+
+  const createEngine = (options = {}) =>
+    new SyncEngine({
+      store,
+      client: new RestClient({ baseUrl }),
+      queue: new OfflineQueue({ clock: () => currentTime }),
+      retry: { baseDelay: 5, maxDelay: 20 },
+      isOnline: () => online,
+      connectivityTarget: connectivity,
+      clock: () => currentTime,
+      ...options,
+    });
+
+  const at = (time) => {
+    currentTime = new Date(time);
+  };
+
+  const waitForStatus = (status) =>
+    new Promise((resolve) => {
+      const listener = ({ detail }) => {
+        if (detail.status === status) {
+          engine.removeEventListener(SYNC_EVENTS.STATUS, listener);
+          resolve();
+        }
+      };
+      engine.addEventListener(SYNC_EVENTS.STATUS, listener);
+    });
+
+  beforeAll(async () => {
+    server = new MockTodoServer();
+    baseUrl = await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.todos.clear();
+    server.requests.length = 0;
+    online = true;
+    connectivity = new EventTarget();
+    at('2024-01-01T00:00:00.000Z');
+
+    let nextId = 0;
+    store = new TodoStore({ idGenerator: () => `todo-${++nextId}`, clock: () => currentTime });
+    engine = createEngine();
+  });
+
+  afterEach(() => engine.stop());
+
+  it('Should throw error if store or client is not provided', () => {
+    expect(() => new SyncEngine({ store })).toThrow('Define a valid store and REST client');
+  });
+
+  it('Should compute an exponential backoff', () => {
+    expect([1, 2, 3, 4].map((attempt) => computeBackoff(attempt, { baseDelay: 100 }))).toEqual([100, 200, 400, 800]);
+    expect(computeBackoff(10, { baseDelay: 100, maxDelay: 1000 })).toBe(1000);
+    expect(computeBackoff(1, { baseDelay: 100, jitter: 0.5, random: () => 1 })).toBe(150);
+  });
+
+  describe('Should push local mutations', () => {
+    it('For creates, updates, toggles and deletes', async () => {
+      await engine.start();
+
+      const first = store.create({ title: 'A' });
+      const second = store.create({ title: 'B' });
+      await engine.flush();
+      store.update(first.id, { title: 'A2' });
+      store.toggle(first.id);
+      store.delete(second.id);
+      await engine.flush();
+
+      expect([...server.todos.values()]).toEqual([store.get(first.id)]);
+      expect(engine.queue.size).toBe(0);
+      expect(engine.status).toBe(SYNC_STATUS.IDLE);
+    });
+
+    it('Coalescing changes made before they are sent', async () => {
+      await engine.start();
+      online = false;
+
+      const todo = store.create({ title: 'A' });
+      store.update(todo.id, { title: 'A2' });
+      online = true;
+      await engine.flush();
+
+      expect(server.requests.map(({ method }) => method)).toEqual(['POST']);
+      expect(server.todos.get(todo.id).title).toBe('A2');
+    });
+
+    it('Sending operations restored from a previous session', async () => {
+      const adapter = new MemoryStorageAdapter();
+      const queue = new OfflineQueue({ adapter });
+      await queue.enqueue({ type: 'create', todoId: 'a', todo: { id: 'a', title: 'A' } });
+
+      engine = createEngine({ queue: new OfflineQueue({ adapter }) });
+      await engine.start();
+
+      expect(server.todos.has('a')).toBe(true);
+    });
+
+    it('Only while started', async () => {
+      await engine.start();
+      engine.stop();
+
+      store.create({ title: 'A' });
+      await engine.flush();
+
+      expect(server.todos.size).toBe(0);
+    });
+  });
+
+  describe('Should queue mutations while offline', () => {
+    it('Keeping them until the browser is back online', async () => {
+      online = false;
+      await engine.start();
+
+      store.create({ title: 'A' });
+      connectivity.dispatchEvent(new Event('offline'));
+      await engine.flush();
+
+      expect(engine.status).toBe(SYNC_STATUS.OFFLINE);
+      expect(engine.queue.size).toBe(1);
+      expect(server.todos.size).toBe(0);
+
+      online = true;
+      connectivity.dispatchEvent(new Event('online'));
+      await engine.flush();
+
+      expect(server.todos.size).toBe(1);
+      expect(engine.status).toBe(SYNC_STATUS.IDLE);
+    });
+
+    it('Retrying failed requests with backoff', async () => {
+      await engine.start();
+      server.failNext(2);
+
+      store.create({ title: 'A' });
+      await engine.flush();
+      expect(engine.status).toBe(SYNC_STATUS.RETRYING);
+
+      await waitForStatus(SYNC_STATUS.IDLE);
+
+      expect(server.requests.filter(({ method }) => method === 'POST')).toHaveLength(3);
+      expect(server.todos.size).toBe(1);
+    });
+
+    it('Retrying after network errors', async () => {
+      engine = createEngine({ client: new RestClient({ baseUrl: 'http://127.0.0.1:1' }) });
+      await engine.start();
+
+      store.create({ title: 'A' });
+      await engine.flush();
+
+      expect(engine.status).toBe(SYNC_STATUS.RETRYING);
+      expect(engine.queue.size).toBe(1);
+    });
+  });
+
+  it('Should drop operations rejected by the server', async () => {
+    const error = new HttpError(422, { message: 'Invalid todo' });
+    const client = { create: vi.fn().mockRejectedValue(error) };
+    const errorHandler = vi.fn();
+    engine = createEngine({ client });
+    engine.addEventListener(SYNC_EVENTS.ERROR, errorHandler);
+    await engine.start();
+
+    store.create({ title: 'A' });
+    await engine.flush();
+
+    expect(engine.queue.size).toBe(0);
+    expect(errorHandler.mock.calls[0][0].detail.error).toBe(error);
+  });
+
+  it('Should drop operations that fail without a transient status or a network error', async () => {
+    const error = new TypeError('Cannot read properties of undefined');
+    const client = { create: vi.fn().mockRejectedValue(error) };
+    const errorHandler = vi.fn();
+    engine = createEngine({ client });
+    engine.addEventListener(SYNC_EVENTS.ERROR, errorHandler);
+    await engine.start();
+
+    store.create({ title: 'A' });
+    await engine.flush();
+
+    expect(engine.status).toBe(SYNC_STATUS.IDLE);
+    expect(engine.queue.size).toBe(0);
+    expect(errorHandler.mock.calls[0][0].detail.error).toBe(error);
+  });
+
+  describe('Should resolve conflicts', () => {
+    let todo;
+    let conflictHandler;
+
+    const editRemotely = (changes, updatedAt) => {
+      server.todos.set(todo.id, { ...server.todos.get(todo.id), ...changes, updatedAt });
+    };
+
+    const setup = async (strategy) => {
+      engine = createEngine({ strategy });
+      conflictHandler = vi.fn();
+      engine.addEventListener(SYNC_EVENTS.CONFLICT, conflictHandler);
+      await engine.start();
+
+      todo = store.create({ title: 'Buy milk' });
+      await engine.flush();
+    };
+
+    it('Keeping a newer remote version with last-write-wins', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      at('2024-01-02T00:00:00.000Z');
+      store.update(todo.id, { title: 'Local' });
+      editRemotely({ title: 'Remote' }, '2024-01-03T00:00:00.000Z');
+
+      await engine.flush();
+
+      expect(store.get(todo.id).title).toBe('Remote');
+      expect(server.todos.get(todo.id).title).toBe('Remote');
+      expect(conflictHandler).toHaveBeenCalledTimes(1);
+      expect(engine.queue.size).toBe(0);
+    });
+
+    it('Pushing a newer local version with last-write-wins', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      editRemotely({ title: 'Remote' }, '2024-01-02T00:00:00.000Z');
+      at('2024-01-03T00:00:00.000Z');
+      store.update(todo.id, { title: 'Local' });
+
+      await engine.flush();
+
+      expect(store.get(todo.id).title).toBe('Local');
+      expect(server.todos.get(todo.id)).toEqual(store.get(todo.id));
+    });
+
+    it('Merging fields changed on different sides', async () => {
+      await setup(CONFLICT_STRATEGIES.MERGE);
+      at('2024-01-02T00:00:00.000Z');
+      store.update(todo.id, { title: 'Buy oat milk' });
+      editRemotely({ completed: true }, '2024-01-03T00:00:00.000Z');
+      at('2024-01-04T00:00:00.000Z');
+
+      await engine.flush();
+
+      expect(store.get(todo.id)).toMatchObject({ title: 'Buy oat milk', completed: true });
+      expect(server.todos.get(todo.id)).toEqual(store.get(todo.id));
+    });
+
+    it('Stamping the pushed merge newer than both versions', async () => {
+      await setup(CONFLICT_STRATEGIES.MERGE);
+      at('2024-01-02T00:00:00.000Z');
+      const local = store.update(todo.id, { title: 'Buy oat milk' });
+      editRemotely({ completed: true }, '2024-01-03T00:00:00.000Z');
+      at('2024-01-04T00:00:00.000Z');
+
+      await engine.flush();
+
+      const pushed = server.requests.filter(({ method }) => method === 'PUT').pop().body;
+      expect(pushed.updatedAt).toBe('2024-01-04T00:00:00.000Z');
+      expect(Date.parse(pushed.updatedAt)).toBeGreaterThan(Date.parse(local.updatedAt));
+      expect(Date.parse(pushed.updatedAt)).toBeGreaterThan(Date.parse('2024-01-03T00:00:00.000Z'));
+    });
+
+    it('Restoring a todo deleted locally but changed remotely afterwards', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      at('2024-01-02T00:00:00.000Z');
+      store.delete(todo.id);
+      editRemotely({ title: 'Remote' }, '2024-01-03T00:00:00.000Z');
+
+      await engine.flush();
+
+      expect(store.get(todo.id).title).toBe('Remote');
+      expect(server.todos.has(todo.id)).toBe(true);
+    });
+
+    it('Deleting a todo changed remotely before the local delete', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      editRemotely({ title: 'Remote' }, '2024-01-02T00:00:00.000Z');
+      at('2024-01-03T00:00:00.000Z');
+      store.delete(todo.id);
+
+      await engine.flush();
+
+      expect(store.get(todo.id)).toBeUndefined();
+      expect(server.todos.has(todo.id)).toBe(false);
+    });
+
+    it('Dropping a delete that conflicts without a server copy', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      const errorHandler = vi.fn();
+      engine.addEventListener(SYNC_EVENTS.ERROR, errorHandler);
+      store.delete(todo.id);
+      server.failNext(1, { status: 409, body: null });
+
+      await engine.flush();
+
+      expect(engine.status).toBe(SYNC_STATUS.IDLE);
+      expect(engine.queue.size).toBe(0);
+      expect(errorHandler).not.toHaveBeenCalled();
+      expect(conflictHandler.mock.calls[0][0].detail).toMatchObject({ remote: undefined, resolved: null });
+      expect(server.requests.filter(({ method }) => method === 'DELETE')).toHaveLength(1);
+    });
+
+    it('Without echoing the resolved version back into the queue', async () => {
+      await setup(CONFLICT_STRATEGIES.LAST_WRITE_WINS);
+      at('2024-01-02T00:00:00.000Z');
+      store.update(todo.id, { title: 'Local' });
+      editRemotely({ title: 'Remote' }, '2024-01-03T00:00:00.000Z');
+
+      await engine.flush();
+      await engine.flush();
+
+      expect(server.requests.filter(({ method }) => method === 'PUT')).toHaveLength(1);
+    });
+  });
+
+  describe('Should push the todos of a workspace', () => {
+    let workspace;
+    let groceries;
+
+    beforeEach(async () => {
+      workspace = new Workspace({ adapter: new MemoryStorageAdapter() });
+      await workspace.load();
+      groceries = workspace.lists.create({ name: 'Groceries' });
+      engine = createEngine({ store: workspace });
+      await engine.start();
+    });
+
+    afterEach(() => workspace.stop());
+
+    it('From every list', async () => {
+      const milk = workspace.getTodoStore(groceries.id).create({ title: 'Buy milk' });
+      workspace.getTodoStore(workspace.defaultListId).create({ title: 'Call mom' });
+      await engine.flush();
+
+      expect([...server.todos.values()].map(({ title }) => title)).toEqual(['Buy milk', 'Call mom']);
+      expect(engine.queue.size).toBe(0);
+
+      workspace.getTodoStore(groceries.id).update(milk.id, { title: 'Buy oat milk' });
+      await engine.flush();
+
+      expect(server.todos.get(milk.id).title).toBe('Buy oat milk');
+    });
+
+    it('Restoring a todo deleted locally but changed remotely afterwards in its list', async () => {
+      const milk = workspace.getTodoStore(groceries.id).create({ title: 'Buy milk' });
+      await engine.flush();
+      at('2024-01-02T00:00:00.000Z');
+      workspace.getTodoStore(groceries.id).delete(milk.id);
+      server.todos.set(milk.id, {
+        ...server.todos.get(milk.id),
+        title: 'Remote',
+        updatedAt: '2024-01-03T00:00:00.000Z',
+      });
+
+      await engine.flush();
+
+      expect(workspace.getTodoStore(groceries.id).get(milk.id).title).toBe('Remote');
+      expect(engine.queue.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { createId } from '../store/todoStore.js';
+
+/**
+ * Messages between the tabs of the app open in the same browser.
+ *
+ * Messages go through a BroadcastChannel. Browsers without it get them
+ * through the `storage` event instead: the message is written to a key of
+ * `localStorage`, which notifies every other tab of the same origin. Either
+ * way a tab never receives its own messages, and each message carries the
+ * id of the tab that sent it.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const channel = new TabChannel();
+ * channel.start();
+ * channel.subscribe('todo', ({ data, from }) => console.log(`Tab ${from} changed`, data));
+ * channel.post('todo', { id: 'some-id' });
+ */
+
+/**
+ * How messages reach the other tabs, see `TabChannel#transport`.
+ * @readonly
+ * @enum {string}
+ */
+export const TAB_TRANSPORTS = Object.freeze({
+  BROADCAST_CHANNEL: 'broadcast-channel',
+  STORAGE: 'storage',
+  NONE: 'none',
+});
+
+export class TabChannel extends EventTarget {
+  /**
+   * Creates an instance of TabChannel.
+   * @param {Object} [options] - Channel options.
+   * @param {string} [options.name='todo-vanilla'] - The name of the channel. Only tabs using the same name talk.
+   * @param {string} [options.tabId] - The id of this tab, random by default.
+   * @param {Function} [options.BroadcastChannel=globalThis.BroadcastChannel] - The BroadcastChannel class,
+   * missing in older browsers. Null uses the `storage` fallback.
+   * @param {Storage} [options.storage=globalThis.localStorage] - Carries the messages without a BroadcastChannel.
+   * @param {EventTarget} [options.target=globalThis.window] - Dispatches the `storage` events.
+   */
+  constructor({
+    name = 'todo-vanilla',
+    tabId = createId(),
+    BroadcastChannel = globalThis.BroadcastChannel,
+    storage = globalThis.localStorage,
+    target = globalThis.window,
+  } = {}) {
+    super();
+    this.name = name;
+    this.tabId = tabId;
+    this._BroadcastChannel = BroadcastChannel;
+    this._storage = storage;
+    this._target = target;
+    this._channel = null;
+    this._onStorage = null;
+  }
+
+  /**
+   * How messages reach the other tabs.
+   * @returns {string} One of TAB_TRANSPORTS.
+   */
+  get transport() {
+    if (typeof this._BroadcastChannel === 'function') {
+      return TAB_TRANSPORTS.BROADCAST_CHANNEL;
+    }
+
+    return this._storage && this._target ? TAB_TRANSPORTS.STORAGE : TAB_TRANSPORTS.NONE;
+  }
+
+  /**
+   * The key of `localStorage` that carries the messages without a BroadcastChannel.
+   * @returns {string} The key.
+   */
+  get storageKey() {
+    return `${this.name}:message`;
+  }
+
+  /**
+   * Starts receiving the messages of the other tabs.
+   */
+  start() {
+    this.stop();
+
+    if (this.transport === TAB_TRANSPORTS.BROADCAST_CHANNEL) {
+      this._channel = new this._BroadcastChannel(this.name);
+      this._channel.onmessage = (event) => this._receive(event.data);
+    } else if (this.transport === TAB_TRANSPORTS.STORAGE) {
+      this._onStorage = (event) => {
+        if (event.key === this.storageKey && event.newValue) {
+          this._receive(JSON.parse(event.newValue));
+        }
+      };
+      this._target.addEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * Stops receiving messages.
+   */
+  stop() {
+    this._channel?.close();
+    this._channel = null;
+    this._target?.removeEventListener('storage', this._onStorage);
+    this._onStorage = null;
+  }
+
+  /**
+   * Sends a message to the other tabs. Does nothing until the channel starts.
+   * @param {string} type - The type of the message, which receivers subscribe to.
+   * @param {*} [data] - The content of the message. It must survive JSON, for the `storage` fallback.
+   * @returns {boolean} Whether the message was sent.
+   */
+  post(type, data = null) {
+    const message = { type, data, from: this.tabId };
+
+    if (this._channel) {
+      this._channel.postMessage(message);
+      return true;
+    }
+    if (this._onStorage) {
+      // The id makes every write a change, since writing the same value again notifies no one.
+      try {
+        this._storage.setItem(this.storageKey, JSON.stringify({ ...message, id: createId() }));
+        return true;
+      } catch (error) {
+        console.error(`Could not send the "${type}" message to the other tabs.`, error);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Subscribes to the messages of a type.
+   * @param {string} type - The type of the messages.
+   * @param {function({ type: string, data: *, from: string }): void} handler - Called with each message.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _receive(message) {
+    if (!message || typeof message.type !== 'string' || message.from === this.tabId) {
+      return;
+    }
+
+    this.dispatchEvent(
+      new CustomEvent(message.type, { detail: { type: message.type, data: message.data, from: message.from } }),
+    );
+  }
+}
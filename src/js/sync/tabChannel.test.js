@@ -0,0 +1,84 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { TAB_TRANSPORTS, TabChannel } from './tabChannel';
+import { MemoryTabBus } from './testing/memoryTabBus';
+
+describe('Test suite for the TabChannel', () => {
+  const channels = [];
+  const open = (options) => {
+    const channel = new TabChannel(options);
+    channel.start();
+    channels.push(channel);
+
+    return channel;
+  };
+
+  afterEach(() => {
+    channels.splice(0).forEach((channel) => channel.stop());
+  });
+
+  it('Should send messages to the other tabs through a BroadcastChannel', async () => {
+    const first = open({ name: 'test-broadcast', tabId: 'first' });
+    const second = open({ name: 'test-broadcast', tabId: 'second' });
+    const own = vi.fn();
+    const received = vi.fn();
+    first.subscribe('todo', own);
+    second.subscribe('todo', received);
+
+    expect(first.transport).toBe(TAB_TRANSPORTS.BROADCAST_CHANNEL);
+    expect(first.post('todo', { id: '1' })).toBe(true);
+
+    await vi.waitFor(() => expect(received).toHaveBeenCalledWith({ type: 'todo', data: { id: '1' }, from: 'first' }));
+    expect(own).not.toHaveBeenCalled();
+  });
+
+  it('Should fall back to storage events without a BroadcastChannel', () => {
+    const bus = new MemoryTabBus();
+    const first = open({ ...bus.createTab(), BroadcastChannel: null, tabId: 'first' });
+    const second = open({ ...bus.createTab(), BroadcastChannel: null, tabId: 'second' });
+    const received = vi.fn();
+    second.subscribe('todo', received);
+
+    expect(first.transport).toBe(TAB_TRANSPORTS.STORAGE);
+    first.post('todo', { id: '1' });
+    first.post('todo', { id: '1' });
+
+    expect(received).toHaveBeenCalledTimes(2);
+    expect(received).toHaveBeenCalledWith({ type: 'todo', data: { id: '1' }, from: 'first' });
+    expect(JSON.parse(bus.items.get(first.storageKey))).toMatchObject({ type: 'todo', from: 'first' });
+  });
+
+  it('Should only talk to the tabs using the same name', () => {
+    const bus = new MemoryTabBus();
+    const first = open({ ...bus.createTab(), BroadcastChannel: null, name: 'one' });
+    const second = open({ ...bus.createTab(), BroadcastChannel: null, name: 'two' });
+    const received = vi.fn();
+    second.subscribe('todo', received);
+
+    first.post('todo');
+
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  it('Should send nothing when stopped or without any transport', () => {
+    const bus = new MemoryTabBus();
+    const stopped = new TabChannel({ ...bus.createTab(), BroadcastChannel: null });
+    const isolated = open({ BroadcastChannel: null, storage: null });
+
+    expect(stopped.post('todo')).toBe(false);
+    expect(isolated.transport).toBe(TAB_TRANSPORTS.NONE);
+    expect(isolated.post('todo')).toBe(false);
+  });
+
+  it('Should ignore storage events that are not messages', () => {
+    const bus = new MemoryTabBus();
+    const tab = bus.createTab();
+    open({ ...tab, BroadcastChannel: null });
+    const received = vi.fn();
+    open({ ...bus.createTab(), BroadcastChannel: null }).subscribe('todo', received);
+
+    tab.storage.setItem('todos:inbox', '[]');
+    tab.storage.removeItem('todo-vanilla:message');
+
+    expect(received).not.toHaveBeenCalled();
+  });
+});
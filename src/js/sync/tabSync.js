@@ -0,0 +1,148 @@
+import { LIST_EVENTS } from '../store/listStore.js';
+import { TODO_EVENTS } from '../store/todoStore.js';
+
+/**
+ * Keeps the todos and lists of the tabs of the app in step.
+ *
+ * Every change of the workspace is sent to the other tabs through a
+ * TabChannel, and the changes of the other tabs are applied to the workspace
+ * as they arrive, so every open tab shows the same todos without reloading.
+ * The saved data is already shared, so only the in-memory state needs to
+ * follow. Changes are applied with `Workspace#applyRemote`, so they are not
+ * sent back to the tab they came from, nor recorded for undo.
+ *
+ * Applying a change that no longer applies, such as deleting a todo the tab
+ * has already deleted, does nothing.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const channel = new TabChannel();
+ * channel.start();
+ * new TabSync({ workspace, channel }).start();
+ */
+
+// Types of the messages the tabs exchange.
+const MESSAGES = {
+  TODO: 'sync:todo',
+  LIST: 'sync:list',
+};
+
+export class TabSync {
+  /**
+   * Creates an instance of TabSync.
+   * @param {Object} options - Sync options.
+   * @param {Workspace} options.workspace - The workspace to keep in step.
+   * @param {TabChannel} options.channel - Carries the changes.
+   * @throws Will throw an error if the workspace or the channel is not defined.
+   */
+  constructor({ workspace, channel } = {}) {
+    if (!workspace || typeof workspace.applyRemote !== 'function') {
+      throw new Error('Define a valid workspace');
+    }
+    if (!channel || typeof channel.post !== 'function') {
+      throw new Error('Define a valid tab channel');
+    }
+
+    this._workspace = workspace;
+    this._channel = channel;
+    this._unsubscribes = [];
+  }
+
+  /**
+   * Starts sending the changes of this tab and applying those of the other tabs.
+   */
+  start() {
+    this.stop();
+
+    this._unsubscribes = [
+      this._workspace.subscribe(TODO_EVENTS.CHANGE, (detail) => this._sendTodo(detail)),
+      this._workspace.subscribe(LIST_EVENTS.CHANGE, (detail) => this._sendList(detail)),
+      this._channel.subscribe(MESSAGES.TODO, ({ data }) => this._workspace.applyRemote(() => this._applyTodo(data))),
+      this._channel.subscribe(MESSAGES.LIST, ({ data }) => this._workspace.applyRemote(() => this._applyList(data))),
+    ];
+  }
+
+  /**
+   * Stops following the other tabs.
+   */
+  stop() {
+    this._unsubscribes.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribes = [];
+  }
+
+  _sendTodo({ type, todo, index, listId, remote }) {
+    if (remote) {
+      return;
+    }
+
+    if (type === TODO_EVENTS.RESET) {
+      // A reset replaces every todo of the list, so the list goes whole; a deleted list has nothing to send.
+      const store = this._findStore(listId);
+      if (store) {
+        this._channel.post(MESSAGES.TODO, { type, listId, todos: store.getAll() });
+      }
+      return;
+    }
+    this._channel.post(MESSAGES.TODO, { type, listId, todo, index });
+  }
+
+  _sendList({ type, list, remote }) {
+    // Lists are only reset when loading, which every tab does on its own.
+    if (!remote && type !== LIST_EVENTS.RESET) {
+      this._channel.post(MESSAGES.LIST, { type, list });
+    }
+  }
+
+  _applyTodo({ type, listId, todo, index, todos }) {
+    const store = this._findStore(listId);
+    if (!store) {
+      return;
+    }
+
+    switch (type) {
+      case TODO_EVENTS.ADDED:
+        store.put(todo);
+        store.reorder(todo.id, index);
+        break;
+      case TODO_EVENTS.UPDATED:
+      case TODO_EVENTS.TOGGLED:
+        store.put(todo);
+        break;
+      case TODO_EVENTS.REMOVED:
+        // Deleting a todo deletes its subtasks, which then arrive already gone.
+        if (store.get(todo.id)) {
+          store.delete(todo.id);
+        }
+        break;
+      case TODO_EVENTS.REORDERED:
+        if (store.get(todo.id)) {
+          store.reorder(todo.id, index);
+        }
+        break;
+      case TODO_EVENTS.RESET:
+        store.load(todos);
+        break;
+      default:
+    }
+  }
+
+  _applyList({ type, list }) {
+    const lists = this._workspace.lists;
+    const known = Boolean(lists.get(list.id));
+
+    if (type === LIST_EVENTS.ADDED && !known) {
+      lists.create(list);
+    } else if (type === LIST_EVENTS.UPDATED && known) {
+      lists.update(list.id, list);
+    } else if (type === LIST_EVENTS.REMOVED && known) {
+      lists.delete(list.id);
+    }
+  }
+
+  _findStore(listId) {
+    return this._workspace.lists.get(listId) ? this._workspace.getTodoStore(listId) : null;
+  }
+}
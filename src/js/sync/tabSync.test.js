@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { TabChannel } from './tabChannel';
+import { TabSync } from './tabSync';
+import { MemoryTabBus } from './testing/memoryTabBus';
+import { TodoHistory } from '../history/todoHistory';
+import { LIST_EVENTS } from '../store/listStore';
+import { TODO_EVENTS } from '../store/todoStore';
+import { Workspace } from '../store/workspace';
+
+describe('Test suite for the TabSync', () => {
+  let bus;
+  let tabs;
+
+  const openTab = async () => {
+    const workspace = new Workspace();
+    await workspace.load();
+    const channel = new TabChannel({ ...bus.createTab(), BroadcastChannel: null });
+    const sync = new TabSync({ workspace, channel });
+    channel.start();
+    sync.start();
+    const tab = { workspace, channel, sync, inbox: workspace.getTodoStore('inbox') };
+    tabs.push(tab);
+
+    return tab;
+  };
+  const titles = (store) => store.getAll().map((todo) => todo.title);
+
+  beforeEach(() => {
+    bus = new MemoryTabBus();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(({ workspace, channel, sync }) => {
+      sync.stop();
+      channel.stop();
+      workspace.stop();
+    });
+  });
+
+  it('Should require a workspace and a tab channel', () => {
+    expect(() => new TabSync({ channel: new TabChannel() })).toThrow('Define a valid workspace');
+    expect(() => new TabSync({ workspace: new Workspace() })).toThrow('Define a valid tab channel');
+  });
+
+  it('Should show the todos added, edited and completed in another tab', async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    const milk = first.inbox.create({ title: 'Buy milk' });
+    first.inbox.create({ title: 'Call mom' });
+    first.inbox.update(milk.id, { title: 'Buy oat milk', tags: ['groceries'] });
+    first.inbox.toggle(milk.id);
+
+    expect(second.inbox.getAll()).toEqual(first.inbox.getAll());
+  });
+
+  it('Should show the todos deleted and reordered in another tab', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const parent = first.inbox.create({ title: 'Trip' });
+    first.inbox.create({ title: 'Passport', parentId: parent.id });
+    const bills = first.inbox.create({ title: 'Pay bills' });
+
+    first.inbox.reorder(bills.id, 0);
+    first.inbox.delete(parent.id);
+
+    expect(titles(second.inbox)).toEqual(['Pay bills']);
+  });
+
+  it('Should add the next occurrence when a recurring todo is completed in another tab', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const plants = first.inbox.create({ title: 'Water the plants', dueDate: '2024-06-03', recurrence: 'FREQ=DAILY' });
+
+    first.inbox.toggle(plants.id);
+
+    expect(second.inbox.getAll()).toEqual(first.inbox.getAll());
+    expect(second.inbox.size).toBe(2);
+  });
+
+  it('Should show the lists created, renamed and deleted in another tab', async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    const list = first.workspace.lists.create({ name: 'Groceries', color: 'green', icon: '🛒' });
+    first.workspace.getTodoStore(list.id).create({ title: 'Buy milk' });
+    first.workspace.lists.update(list.id, { name: 'Market' });
+
+    expect(second.workspace.lists.get(list.id)).toMatchObject({ name: 'Market', color: 'green', icon: '🛒' });
+    expect(titles(second.workspace.getTodoStore(list.id))).toEqual(['Buy milk']);
+
+    first.workspace.deleteList(list.id);
+    expect(second.workspace.lists.get(list.id)).toBeUndefined();
+  });
+
+  it('Should not send the changes of another tab back', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const post = vi.spyOn(second.channel, 'post');
+    const changes = [];
+    second.workspace.subscribe(TODO_EVENTS.CHANGE, (detail) => changes.push(detail));
+
+    first.inbox.create({ title: 'Buy milk' });
+
+    expect(post).not.toHaveBeenCalled();
+    expect(changes).toEqual([expect.objectContaining({ type: TODO_EVENTS.ADDED, remote: true })]);
+  });
+
+  it('Should keep the same todos in every open tab', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const third = await openTab();
+
+    const milk = first.inbox.create({ title: 'Buy milk' });
+    second.inbox.update(milk.id, { title: 'Buy oat milk' });
+    third.inbox.create({ title: 'Call mom' });
+    second.inbox.toggle(milk.id);
+
+    expect(titles(first.inbox)).toEqual(['Buy oat milk', 'Call mom']);
+    expect(second.inbox.getAll()).toEqual(first.inbox.getAll());
+    expect(third.inbox.getAll()).toEqual(first.inbox.getAll());
+  });
+
+  it('Should not record the changes of another tab for undo', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const history = new TodoHistory({ source: second.workspace });
+    history.start();
+
+    first.inbox.create({ title: 'Buy milk' });
+    history.flush();
+
+    expect(history.canUndo).toBe(false);
+    history.stop();
+  });
+
+  it('Should stop following the other tabs', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const listChanges = vi.fn();
+    second.workspace.subscribe(LIST_EVENTS.CHANGE, listChanges);
+
+    second.sync.stop();
+    first.inbox.create({ title: 'Buy milk' });
+    first.workspace.lists.create({ name: 'Work' });
+
+    expect(second.inbox.size).toBe(0);
+    expect(listChanges).not.toHaveBeenCalled();
+  });
+});
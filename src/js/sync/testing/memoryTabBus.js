@@ -0,0 +1,60 @@
+/**
+ * Small in-memory stand-in for the tabs of a browser, used by the tab sync
+ * tests. Every tab gets a `storage` and a `target` for TabChannel: writing to
+ * the shared storage dispatches a `storage` event on the target of every
+ * other tab, like `localStorage` does. Events are dispatched synchronously.
+ *
+ * @example
+ * const bus = new MemoryTabBus();
+ * const first = new TabChannel({ ...bus.createTab(), BroadcastChannel: null });
+ * const second = new TabChannel({ ...bus.createTab(), BroadcastChannel: null });
+ */
+export class MemoryTabBus {
+  constructor() {
+    this.items = new Map();
+    this._targets = new Set();
+  }
+
+  /**
+   * Opens a tab.
+   * @returns {{ storage: Storage, target: EventTarget }} The storage and the event target of the tab.
+   */
+  createTab() {
+    const target = new EventTarget();
+    this._targets.add(target);
+
+    const storage = {
+      getItem: (key) => (this.items.has(key) ? this.items.get(key) : null),
+      setItem: (key, value) => this._write(target, key, String(value)),
+      removeItem: (key) => this._write(target, key, null),
+    };
+
+    return { storage, target };
+  }
+
+  /**
+   * Closes a tab: it no longer receives events.
+   * @param {EventTarget} target - The target of the tab.
+   */
+  closeTab(target) {
+    this._targets.delete(target);
+  }
+
+  _write(source, key, newValue) {
+    const oldValue = this.items.has(key) ? this.items.get(key) : null;
+    if (newValue === null) {
+      this.items.delete(key);
+    } else {
+      this.items.set(key, newValue);
+    }
+    if (oldValue === newValue) {
+      return;
+    }
+
+    this._targets.forEach((target) => {
+      if (target !== source) {
+        target.dispatchEvent(Object.assign(new Event('storage'), { key, oldValue, newValue }));
+      }
+    });
+  }
+}
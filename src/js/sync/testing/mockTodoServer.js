@@ -0,0 +1,108 @@
+import http from 'node:http';
+
+/**
+ * Small Node stand-in for the REST todo endpoint, used by the sync tests.
+ * It listens on a random localhost port and implements the contract expected
+ * by RestClient, including `If-Match` conflict detection.
+ *
+ * @example
+ * const server = new MockTodoServer();
+ * const baseUrl = await server.start();
+ * server.failNext(2); // the next two requests answer 503
+ * server.failNext(1, { status: 409, body: null }); // the next request answers 409 with an empty body
+ * await server.stop();
+ */
+export class MockTodoServer {
+  constructor() {
+    this.todos = new Map();
+    this.requests = [];
+    this._failures = 0;
+    this._failure = null;
+    this._server = http.createServer((request, response) => this._handle(request, response));
+  }
+
+  /**
+   * Starts listening.
+   * @returns {Promise<string>} The base URL of the server.
+   */
+  start() {
+    return new Promise((resolve) => {
+      this._server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this._server.address().port}`));
+    });
+  }
+
+  /**
+   * Stops listening and closes open connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      this._server.closeAllConnections();
+      this._server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Makes the next requests fail, with `503 Service Unavailable` by default.
+   * @param {number} count - How many requests should fail.
+   * @param {Object} [response] - The failure.
+   * @param {number} [response.status=503] - The status code.
+   * @param {*} [response.body] - The body, or null for an empty one.
+   */
+  failNext(count, { status = 503, body = { message: 'Service unavailable' } } = {}) {
+    this._failures = count;
+    this._failure = { status, body };
+  }
+
+  async _handle(request, response) {
+    const chunks = [];
+    for await (const chunk of request) {
+      chunks.push(chunk);
+    }
+
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : undefined;
+    const [, resource, id] = request.url.split('/').map(decodeURIComponent);
+    const version = request.headers['if-match'] ? request.headers['if-match'].replace(/"/g, '') : null;
+    const current = id ? this.todos.get(id) : undefined;
+
+    this.requests.push({ method: request.method, url: request.url, version, body });
+
+    const send = (status, data) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(data === undefined || data === null ? '' : JSON.stringify(data));
+    };
+
+    if (this._failures > 0) {
+      this._failures -= 1;
+      return send(this._failure.status, this._failure.body);
+    }
+    if (resource !== 'todos') {
+      return send(404, { message: 'Not found' });
+    }
+    if (version && current && current.updatedAt !== version) {
+      return send(409, current);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return send(200, [...this.todos.values()]);
+      case 'POST':
+        if (this.todos.has(body.id)) {
+          return send(409, this.todos.get(body.id));
+        }
+        this.todos.set(body.id, body);
+        return send(201, body);
+      case 'PUT':
+        this.todos.set(id, body);
+        return send(200, body);
+      case 'DELETE':
+        if (!current) {
+          return send(404, { message: 'Not found' });
+        }
+        this.todos.delete(id);
+        return send(204);
+      default:
+        return send(405, { message: 'Method not allowed' });
+    }
+  }
+}
@@ -0,0 +1,466 @@
+import { createId } from '../store/todoStore.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * Light and dark mode, and the color palette of the app.
+ *
+ * The mode is `light`, `dark` or `system`, which follows
+ * `prefers-color-scheme` and switches as soon as the system setting changes.
+ * The resolved scheme is set as `data-mode` on the root element, which turns
+ * on the `dark:` Tailwind classes, and as its `color-scheme`, which styles
+ * the native controls and scrollbars.
+ *
+ * The colors of the current palette are set on the root element as CSS
+ * custom properties (`--color-background`, `--color-accent`...). Custom
+ * properties are inherited through shadow roots, so shadow components use
+ * them in their own styles, e.g. `color: var(--color-text)`, and Tailwind
+ * exposes them as `theme-*` colors, e.g. `bg-theme-surface`.
+ *
+ * Besides the built-in palettes, users can save their own. A palette has a
+ * set of colors for each scheme; the colors it leaves out are taken from the
+ * default palette. The mode, the palette and the custom palettes are saved
+ * in `storage`, when one is given.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const themes = new ThemeManager({ storage: localStorage });
+ * themes.start();
+ * themes.setMode(THEME_MODES.DARK);
+ * const { id } = themes.saveTheme({ name: 'Ocean', colors: { light: { accent: '#0e7490' }, dark: { accent: '#22d3ee' } } });
+ * themes.setTheme(id);
+ */
+
+/**
+ * Modes the user can choose from.
+ * @readonly
+ * @enum {string}
+ */
+export const THEME_MODES = Object.freeze({
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system',
+});
+
+/**
+ * Names of the events dispatched by the manager.
+ * @readonly
+ * @enum {string}
+ */
+export const THEME_EVENTS = Object.freeze({
+  CHANGE: 'theme:change',
+});
+
+/**
+ * Colors of a palette, by token, with the CSS custom property each one is exposed as.
+ * @type {Object<string, {property: string}>}
+ */
+export const THEME_TOKENS = Object.freeze({
+  background: { property: '--color-background' },
+  surface: { property: '--color-surface' },
+  text: { property: '--color-text' },
+  muted: { property: '--color-muted' },
+  border: { property: '--color-border' },
+  accent: { property: '--color-accent' },
+  accentText: { property: '--color-accent-text' },
+});
+
+export const DEFAULT_THEME_ID = 'default';
+
+/**
+ * Palettes that come with the app.
+ * @type {Object[]}
+ */
+export const BUILT_IN_THEMES = Object.freeze([
+  {
+    id: DEFAULT_THEME_ID,
+    name: 'Default',
+    builtIn: true,
+    colors: {
+      light: {
+        background: '#ffffff',
+        surface: '#f9fafb',
+        text: '#111827',
+        muted: '#6b7280',
+        border: '#e5e7eb',
+        accent: '#1d4ed8',
+        accentText: '#ffffff',
+      },
+      dark: {
+        background: '#111827',
+        surface: '#1f2937',
+        text: '#f9fafb',
+        muted: '#9ca3af',
+        border: '#374151',
+        accent: '#3b82f6',
+        accentText: '#ffffff',
+      },
+    },
+  },
+  {
+    id: 'forest',
+    name: 'Forest',
+    builtIn: true,
+    colors: {
+      light: {
+        background: '#ffffff',
+        surface: '#f0fdf4',
+        text: '#14532d',
+        muted: '#4b5563',
+        border: '#bbf7d0',
+        accent: '#15803d',
+        accentText: '#ffffff',
+      },
+      dark: {
+        background: '#052e16',
+        surface: '#14532d',
+        text: '#f0fdf4',
+        muted: '#86efac',
+        border: '#166534',
+        accent: '#22c55e',
+        accentText: '#052e16',
+      },
+    },
+  },
+  {
+    id: 'grape',
+    name: 'Grape',
+    builtIn: true,
+    colors: {
+      light: {
+        background: '#ffffff',
+        surface: '#faf5ff',
+        text: '#3b0764',
+        muted: '#6b21a8',
+        border: '#e9d5ff',
+        accent: '#7e22ce',
+        accentText: '#ffffff',
+      },
+      dark: {
+        background: '#2e1065',
+        surface: '#3b0764',
+        text: '#faf5ff',
+        muted: '#d8b4fe',
+        border: '#581c87',
+        accent: '#a855f7',
+        accentText: '#ffffff',
+      },
+    },
+  },
+]);
+
+const STORAGE_KEY = 'theme';
+
+const SCHEMES = [THEME_MODES.LIGHT, THEME_MODES.DARK];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Normalizes a color to `#rrggbb`.
+ * @param {*} value - The color, as `#rgb` or `#rrggbb`.
+ * @returns {string|null} The color, or null if it is not valid.
+ */
+export function normalizeColor(value) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const hex = match[1].length === 3 ? [...match[1]].map((digit) => digit + digit).join('') : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+/**
+ * Validates a custom palette and fills in the colors it leaves out.
+ * @param {Object} theme - The palette.
+ * @param {string} [theme.id] - The id, generated when omitted.
+ * @param {string} theme.name - The name shown to the user.
+ * @param {{ light?: Object<string, string>, dark?: Object<string, string> }} [theme.colors] - Colors by scheme and
+ * token, as `#rgb` or `#rrggbb`.
+ * @returns {Object} The palette, with every color of both schemes.
+ * @throws Will throw an error if the name or a color is not valid, or the id is taken by a built-in palette.
+ */
+export function createTheme({ id = createId(), name, colors = {} } = {}) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw new LocalizedError('errors.theme.name', { max: MAX_NAME_LENGTH });
+  }
+  if (BUILT_IN_THEMES.some((theme) => theme.id === id)) {
+    throw new LocalizedError('errors.theme.builtIn');
+  }
+
+  const defaults = BUILT_IN_THEMES[0].colors;
+  const palette = Object.fromEntries(
+    SCHEMES.map((scheme) => [
+      scheme,
+      Object.fromEntries(
+        Object.keys(THEME_TOKENS).map((token) => {
+          const value = colors[scheme]?.[token];
+          if (value === undefined || value === null || value === '') {
+            return [token, defaults[scheme][token]];
+          }
+
+          const color = normalizeColor(value);
+          if (!color) {
+            throw new LocalizedError(`errors.theme.${scheme}Color`, { token, value });
+          }
+          return [token, color];
+        }),
+      ),
+    ]),
+  );
+
+  return { id: String(id), name: trimmed, builtIn: false, colors: palette };
+}
+
+export class ThemeManager extends EventTarget {
+  /**
+   * Creates an instance of ThemeManager.
+   * @param {Object} [options] - Manager options.
+   * @param {Storage} [options.storage] - Remembers the choices of the user, e.g. `localStorage`.
+   * @param {HTMLElement} [options.root=document.documentElement] - Where the mode and the colors are set.
+   * @param {function(string): MediaQueryList} [options.matchMedia=window.matchMedia] - Tells the scheme of the
+   * system. Without it, the system scheme is light.
+   */
+  constructor({
+    storage = null,
+    root = globalThis.document?.documentElement,
+    matchMedia = globalThis.matchMedia?.bind(globalThis),
+  } = {}) {
+    super();
+    this._storage = storage;
+    this._root = root;
+    this._media = typeof matchMedia === 'function' ? matchMedia(DARK_QUERY) : null;
+    this._onMediaChange = () => this._mode === THEME_MODES.SYSTEM && this.apply();
+    this._mode = THEME_MODES.SYSTEM;
+    this._themeId = DEFAULT_THEME_ID;
+    this._custom = [];
+    this._load();
+  }
+
+  /**
+   * The mode chosen by the user.
+   * @type {string}
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  /**
+   * The scheme in use: `light` or `dark`, resolving the `system` mode.
+   * @type {string}
+   */
+  get scheme() {
+    if (this._mode !== THEME_MODES.SYSTEM) {
+      return this._mode;
+    }
+
+    return this._media?.matches ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+  }
+
+  /**
+   * The palette in use.
+   * @type {Object}
+   */
+  get theme() {
+    return this.getTheme(this._themeId) || BUILT_IN_THEMES[0];
+  }
+
+  /**
+   * The colors in use, those of the palette for the scheme.
+   * @type {Object<string, string>}
+   */
+  get colors() {
+    return { ...this.theme.colors[this.scheme] };
+  }
+
+  /**
+   * Applies the saved choices and starts following the scheme of the system.
+   */
+  start() {
+    this.stop();
+    this._media?.addEventListener?.('change', this._onMediaChange);
+    this.apply();
+  }
+
+  /**
+   * Stops following the scheme of the system.
+   */
+  stop() {
+    this._media?.removeEventListener?.('change', this._onMediaChange);
+  }
+
+  /**
+   * Gets every palette, built-in ones first.
+   * @returns {Object[]} The palettes.
+   */
+  getThemes() {
+    return [...BUILT_IN_THEMES, ...this._custom];
+  }
+
+  /**
+   * Gets a palette by id.
+   * @param {string} id - The id of the palette.
+   * @returns {Object|null} The palette, or null if there is none with this id.
+   */
+  getTheme(id) {
+    return this.getThemes().find((theme) => theme.id === id) || null;
+  }
+
+  /**
+   * Changes the mode and saves it.
+   * @param {string} mode - One of THEME_MODES.
+   * @throws Will throw an error if the mode is not valid.
+   */
+  setMode(mode) {
+    if (!Object.values(THEME_MODES).includes(mode)) {
+      throw new Error(`Define a valid theme mode: ${Object.values(THEME_MODES).join(', ')}`);
+    }
+
+    this._mode = mode;
+    this._save();
+    this.apply();
+  }
+
+  /**
+   * Changes the palette and saves it.
+   * @param {string} id - The id of the palette.
+   * @throws Will throw an error if there is no palette with this id.
+   */
+  setTheme(id) {
+    if (!this.getTheme(id)) {
+      throw new LocalizedError('errors.theme.notFound', { id });
+    }
+
+    this._themeId = id;
+    this._save();
+    this.apply();
+  }
+
+  /**
+   * Adds a custom palette, or replaces the one with the same id, and saves it.
+   * @param {Object} theme - The palette, see createTheme.
+   * @returns {Object} The saved palette.
+   * @throws Will throw an error if the palette is not valid.
+   */
+  saveTheme(theme) {
+    const saved = createTheme(theme);
+    const index = this._custom.findIndex(({ id }) => id === saved.id);
+    if (index === -1) {
+      this._custom.push(saved);
+    } else {
+      this._custom.splice(index, 1, saved);
+    }
+
+    this._save();
+    this.apply();
+
+    return saved;
+  }
+
+  /**
+   * Removes a custom palette. When it is the one in use, the default palette takes its place.
+   * @param {string} id - The id of the palette.
+   * @returns {boolean} Whether a palette was removed.
+   */
+  removeTheme(id) {
+    const index = this._custom.findIndex((theme) => theme.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this._custom.splice(index, 1);
+    if (this._themeId === id) {
+      this._themeId = DEFAULT_THEME_ID;
+    }
+    this._save();
+    this.apply();
+
+    return true;
+  }
+
+  /**
+   * Sets the scheme and the colors on the root element and notifies subscribers.
+   */
+  apply() {
+    const { scheme, colors } = this;
+
+    if (this._root) {
+      this._root.dataset.mode = scheme;
+      this._root.dataset.theme = this.theme.id;
+      this._root.style.colorScheme = scheme;
+      Object.entries(THEME_TOKENS).forEach(([token, { property }]) =>
+        this._root.style.setProperty(property, colors[token]),
+      );
+      // Tints the browser UI on mobile and in installed apps.
+      this._root.ownerDocument?.querySelector('meta[name="theme-color"]')?.setAttribute('content', colors.background);
+    }
+
+    this.dispatchEvent(
+      new CustomEvent(THEME_EVENTS.CHANGE, { detail: { mode: this._mode, scheme, theme: this.theme } }),
+    );
+  }
+
+  /**
+   * Subscribes to a manager event.
+   * @param {string} type - The event name (one of THEME_EVENTS).
+   * @param {function(Object): void} handler - Called with the event detail: the `mode`, the `scheme` and the `theme`.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(type, handler) {
+    const listener = (event) => handler(event.detail);
+    this.addEventListener(type, listener);
+
+    return () => this.removeEventListener(type, listener);
+  }
+
+  _load() {
+    let saved;
+    try {
+      saved = JSON.parse(this._storage?.getItem(STORAGE_KEY) || 'null');
+    } catch {
+      saved = null;
+    }
+    if (!saved || typeof saved !== 'object') {
+      return;
+    }
+
+    // Palettes that no longer pass validation are dropped rather than breaking the app.
+    this._custom = (Array.isArray(saved.custom) ? saved.custom : []).flatMap((theme) => {
+      try {
+        return [createTheme(theme)];
+      } catch {
+        return [];
+      }
+    });
+    if (Object.values(THEME_MODES).includes(saved.mode)) {
+      this._mode = saved.mode;
+    }
+    if (this.getTheme(saved.themeId)) {
+      this._themeId = saved.themeId;
+    }
+  }
+
+  _save() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({
+          mode: this._mode,
+          themeId: this._themeId,
+          custom: this._custom.map(({ id, name, colors }) => ({ id, name, colors })),
+        }),
+      );
+    } catch (error) {
+      console.error('Could not save the theme.', error);
+    }
+  }
+}
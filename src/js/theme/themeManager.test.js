@@ -0,0 +1,208 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BUILT_IN_THEMES, THEME_EVENTS, THEME_MODES, ThemeManager, createTheme, normalizeColor } from './themeManager';
+
+describe('Test suite for the ThemeManager class', () => {
+  let root;
+  let storage;
+  let media;
+  let matchMedia;
+  let manager;
+
+  const create = () => new ThemeManager({ storage, root, matchMedia });
+  const property = (name) => root.style.getPropertyValue(name);
+
+  beforeEach(() => {
+    root = document.createElement('html');
+    const items = new Map();
+    storage = {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+    };
+    media = Object.assign(new EventTarget(), { matches: false });
+    matchMedia = vi.fn(() => media);
+    manager = create();
+  });
+
+  afterEach(() => {
+    manager.stop();
+  });
+
+  it('Should follow the system scheme by default', () => {
+    manager.start();
+
+    expect(matchMedia).toHaveBeenCalledWith('(prefers-color-scheme: dark)');
+    expect(manager.mode).toBe(THEME_MODES.SYSTEM);
+    expect(root.dataset.mode).toBe('light');
+    expect(root.style.colorScheme).toBe('light');
+  });
+
+  it('Should switch when the system scheme changes', () => {
+    const onChange = vi.fn();
+    manager.subscribe(THEME_EVENTS.CHANGE, onChange);
+    manager.start();
+
+    media.matches = true;
+    media.dispatchEvent(new Event('change'));
+
+    expect(root.dataset.mode).toBe('dark');
+    expect(onChange).toHaveBeenLastCalledWith({ mode: 'system', scheme: 'dark', theme: BUILT_IN_THEMES[0] });
+  });
+
+  it('Should keep the chosen mode whatever the system scheme', () => {
+    manager.start();
+    manager.setMode(THEME_MODES.DARK);
+
+    media.matches = false;
+    media.dispatchEvent(new Event('change'));
+
+    expect(manager.scheme).toBe('dark');
+    expect(root.dataset.mode).toBe('dark');
+  });
+
+  it('Should reject unknown modes', () => {
+    expect(() => manager.setMode('sepia')).toThrow('Define a valid theme mode: light, dark, system');
+  });
+
+  it('Should use the light scheme when the system scheme is unknown', () => {
+    manager = new ThemeManager({ root, matchMedia: null });
+    manager.start();
+
+    expect(root.dataset.mode).toBe('light');
+  });
+
+  it('Should expose the colors of the palette as CSS custom properties', () => {
+    manager.start();
+    manager.setTheme('forest');
+    manager.setMode(THEME_MODES.DARK);
+
+    expect(root.dataset.theme).toBe('forest');
+    expect(property('--color-background')).toBe('#052e16');
+    expect(property('--color-accent-text')).toBe('#052e16');
+    expect(manager.colors.accent).toBe('#22c55e');
+  });
+
+  it('Should reject unknown palettes', () => {
+    expect(() => manager.setTheme('neon')).toThrow('Define a valid theme. Received "neon"');
+  });
+
+  it('Should update the theme-color meta tag', () => {
+    const meta = document.createElement('meta');
+    meta.name = 'theme-color';
+    document.head.append(meta);
+    manager = new ThemeManager({ root: document.documentElement, matchMedia });
+
+    manager.setMode(THEME_MODES.DARK);
+
+    expect(meta.content).toBe('#111827');
+    meta.remove();
+    delete document.documentElement.dataset.mode;
+  });
+
+  describe('Should manage custom palettes', () => {
+    it('Saving them, with the missing colors taken from the default palette', () => {
+      const theme = manager.saveTheme({ id: 'ocean', name: ' Ocean ', colors: { light: { accent: '#0E7490' } } });
+
+      expect(theme).toMatchObject({ id: 'ocean', name: 'Ocean', builtIn: false });
+      expect(theme.colors.light).toEqual({ ...BUILT_IN_THEMES[0].colors.light, accent: '#0e7490' });
+      expect(theme.colors.dark).toEqual(BUILT_IN_THEMES[0].colors.dark);
+      expect(manager.getThemes().map(({ id }) => id)).toEqual(['default', 'forest', 'grape', 'ocean']);
+    });
+
+    it('Replacing the one with the same id', () => {
+      manager.saveTheme({ id: 'ocean', name: 'Ocean' });
+      manager.saveTheme({ id: 'ocean', name: 'Deep ocean' });
+
+      expect(manager.getThemes().filter((theme) => !theme.builtIn)).toHaveLength(1);
+      expect(manager.getTheme('ocean').name).toBe('Deep ocean');
+    });
+
+    it('Applying the changes to the palette in use', () => {
+      manager.saveTheme({ id: 'ocean', name: 'Ocean' });
+      manager.setTheme('ocean');
+
+      manager.saveTheme({ id: 'ocean', name: 'Ocean', colors: { light: { surface: '#ecfeff' } } });
+
+      expect(property('--color-surface')).toBe('#ecfeff');
+    });
+
+    it('Removing them, going back to the default palette', () => {
+      manager.saveTheme({ id: 'ocean', name: 'Ocean' });
+      manager.setTheme('ocean');
+
+      expect(manager.removeTheme('ocean')).toBe(true);
+      expect(manager.removeTheme('forest')).toBe(false);
+      expect(manager.theme.id).toBe('default');
+    });
+  });
+
+  describe('With a storage', () => {
+    it('Should remember the mode, the palette and the custom palettes', () => {
+      manager.setMode(THEME_MODES.DARK);
+      manager.saveTheme({ id: 'ocean', name: 'Ocean', colors: { dark: { accent: '#22d3ee' } } });
+      manager.setTheme('ocean');
+
+      const reloaded = create();
+      reloaded.start();
+
+      expect(reloaded.mode).toBe('dark');
+      expect(reloaded.theme.name).toBe('Ocean');
+      expect(property('--color-accent')).toBe('#22d3ee');
+      reloaded.stop();
+    });
+
+    it('Should ignore unreadable saved data and invalid palettes', () => {
+      storage.setItem('theme', '{nope');
+      expect(create().mode).toBe('system');
+
+      storage.setItem(
+        'theme',
+        JSON.stringify({
+          mode: 'sepia',
+          themeId: 'bad',
+          custom: [{ id: 'bad', name: 'Bad', colors: { light: { text: 'red' } } }],
+        }),
+      );
+      const reloaded = create();
+
+      expect(reloaded.mode).toBe('system');
+      expect(reloaded.theme.id).toBe('default');
+      expect(reloaded.getThemes()).toHaveLength(BUILT_IN_THEMES.length);
+    });
+  });
+});
+
+describe('Test suite for the createTheme function', () => {
+  it('Should require a name', () => {
+    expect(() => createTheme({ name: ' ' })).toThrow('Define a valid theme name (1 to 40 characters)');
+    expect(() => createTheme({ name: 'x'.repeat(41) })).toThrow('Define a valid theme name');
+  });
+
+  it('Should not replace a built-in palette', () => {
+    expect(() => createTheme({ id: 'default', name: 'Mine' })).toThrow(
+      'Define a valid theme id: built-in themes cannot be changed',
+    );
+  });
+
+  it('Should reject invalid colors', () => {
+    expect(() => createTheme({ name: 'Mine', colors: { dark: { text: 'white' } } })).toThrow(
+      'Define a valid dark color for "text" (#rrggbb). Received "white"',
+    );
+  });
+
+  it('Should generate an id', () => {
+    expect(createTheme({ name: 'Mine' }).id).toEqual(expect.any(String));
+  });
+});
+
+describe('Test suite for the normalizeColor function', () => {
+  it('Should expand and lower-case hex colors', () => {
+    expect(normalizeColor('#ABC')).toBe('#aabbcc');
+    expect(normalizeColor(' #0E7490 ')).toBe('#0e7490');
+  });
+
+  it('Should return null for anything else', () => {
+    expect(normalizeColor('rgb(0, 0, 0)')).toBeNull();
+    expect(normalizeColor('#12345')).toBeNull();
+    expect(normalizeColor(null)).toBeNull();
+  });
+});
@@ -0,0 +1,231 @@
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * CSV import and export of todos, one row per todo.
+ *
+ * Files follow RFC 4180: fields with commas, quotes or line breaks are
+ * quoted, and quotes are doubled. The first row names the columns, in any
+ * order; `title` is the only required one, and a few common names from
+ * other apps are understood too (`task`, `description`, `due date`...).
+ * Files saved by spreadsheets with `;` as separator are detected. Subtasks
+ * refer to their parent through the `id` and `parent` columns.
+ *
+ * Cells starting with `=`, `+`, `-` or `@` are prefixed with `'` on export so
+ * spreadsheets do not run them as formulas, and the prefix is removed on
+ * import.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const csv = serializeCsv({ lists: [{ name: 'Inbox', todos: store.getAll() }] });
+ * const { lists } = parseCsv(csv);
+ */
+
+/**
+ * Columns written on export, in order.
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = [
+  'list',
+  'id',
+  'parent',
+  'title',
+  'notes',
+  'completed',
+  'due',
+  'priority',
+  'tags',
+  'recurrence',
+  'reminder',
+  'created',
+  'completed_at',
+];
+
+/**
+ * Other column names understood on import, by the column they stand for.
+ */
+const COLUMN_ALIASES = {
+  list: ['list', 'project'],
+  id: ['id', 'uid'],
+  parent: ['parent', 'parent id', 'parent_id'],
+  title: ['title', 'task', 'name', 'summary', 'content'],
+  notes: ['notes', 'note', 'description'],
+  completed: ['completed', 'done', 'status'],
+  due: ['due', 'due date', 'due_date', 'duedate'],
+  priority: ['priority'],
+  tags: ['tags', 'labels', 'categories'],
+  recurrence: ['recurrence', 'rrule', 'repeat'],
+  reminder: ['reminder', 'remind at', 'remind_at'],
+  created: ['created', 'created at', 'created_at'],
+  completed_at: ['completed_at', 'completed at'],
+};
+
+const FORMULA_START = /^[=+\-@]/;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+
+/**
+ * Quotes a cell when needed.
+ * @param {*} value - The cell value.
+ * @returns {string} The cell as written in the file.
+ */
+function formatCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits CSV text into rows of cells.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter=','] - The cell separator.
+ * @returns {string[][]} The rows. Blank lines are skipped.
+ * @throws Will throw an error if a quoted cell is not closed.
+ */
+export function parseCsvRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else if (char === '\r' && text[index + 1] === '\n') {
+        // Line breaks within a cell are kept as \n, whatever the file uses.
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new LocalizedError('transfer.errors.csvQuote');
+  }
+  if (cell !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Serializes lists of todos to CSV, with a header row.
+ * @param {{ lists: { name: string, todos: Object[] }[] }} document - The lists to export.
+ * @returns {string} The CSV text, with CRLF line breaks.
+ */
+export function serializeCsv({ lists }) {
+  const rows = lists.flatMap((list) =>
+    list.todos.map((todo) => [
+      list.name,
+      todo.id,
+      todo.parentId,
+      todo.title,
+      todo.notes,
+      todo.completed ? 'true' : 'false',
+      todo.dueDate,
+      todo.priority,
+      todo.tags.join(', '),
+      todo.recurrence,
+      todo.remindAt,
+      todo.createdAt,
+      todo.completedAt,
+    ]),
+  );
+
+  return `${[CSV_COLUMNS, ...rows].map((row) => row.map(formatCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses CSV into lists of todos, grouped by the `list` column in order of appearance.
+ * @param {string} text - The CSV text.
+ * @returns {{ lists: { name: string, todos: Object[] }[] }} The lists. Each todo has a `source`, its row, to point
+ * at it in messages, see describeSource.
+ * @throws Will throw an error if the file is empty, malformed or has no title column.
+ */
+export function parseCsv(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header, ...rows] = parseCsvRows(content, delimiter);
+
+  if (!header) {
+    throw new LocalizedError('transfer.errors.csvEmpty');
+  }
+
+  const names = header.map((name) => name.trim().toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([column, aliases]) => [
+      column,
+      names.findIndex((name) => aliases.includes(name)),
+    ]),
+  );
+  if (columns.title === -1) {
+    throw new LocalizedError('transfer.errors.csvTitle');
+  }
+
+  const lists = new Map();
+
+  rows.forEach((row, index) => {
+    const get = (column) => {
+      const value = columns[column] === -1 ? '' : (row[columns[column]] ?? '').trim();
+      return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+    };
+    const name = get('list');
+    if (!lists.has(name)) {
+      lists.set(name, { name, todos: [] });
+    }
+
+    lists.get(name).todos.push({
+      source: { label: 'transfer.sources.row', params: { number: index + 2 } },
+      id: get('id') || null,
+      parentId: get('parent') || null,
+      title: get('title'),
+      notes: get('notes'),
+      completed: TRUE_VALUES.includes(get('completed').toLowerCase()),
+      dueDate: get('due') || null,
+      priority: get('priority').toLowerCase() || null,
+      tags: get('tags'),
+      recurrence: get('recurrence') || null,
+      remindAt: get('reminder') || null,
+      createdAt: get('created') || null,
+      completedAt: get('completed_at') || null,
+    });
+  });
+
+  return { lists: [...lists.values()] };
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { CSV_COLUMNS, parseCsv, parseCsvRows, serializeCsv } from './csvFormat';
+import sample from './samples/todos.csv?raw';
+
+describe('Test suite for the CSV format', () => {
+  describe('Should split rows', () => {
+    it('Following RFC 4180 quoting', () => {
+      expect(parseCsvRows('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n')).toEqual([
+        ['a', 'b, c', 'say "hi"'],
+        ['multi\nline', '', 'x'],
+      ]);
+    });
+
+    it('Skipping blank lines and reading a last line without a line break', () => {
+      expect(parseCsvRows('a,b\n\n\nc,d')).toEqual([
+        ['a', 'b'],
+        ['c', 'd'],
+      ]);
+    });
+
+    it('With another delimiter', () => {
+      expect(parseCsvRows('a;"b;c"', ';')).toEqual([['a', 'b;c']]);
+    });
+
+    it('Throwing on a quoted cell that is not closed', () => {
+      expect(() => parseCsvRows('a,"b\nc')).toThrow('Define a valid CSV file: a quoted cell is not closed');
+    });
+  });
+
+  describe('Should parse the sample file', () => {
+    const { lists } = parseCsv(sample);
+    const [groceries, work] = lists;
+
+    it('Grouping the todos by list', () => {
+      expect(lists.map((list) => list.name)).toEqual(['Groceries', 'Work']);
+      expect(groceries.todos.map((todo) => todo.title)).toEqual(['Buy milk', 'Oat milk', 'Eggs, a dozen']);
+    });
+
+    it('Reading every column', () => {
+      expect(groceries.todos[0]).toEqual({
+        source: { label: 'transfer.sources.row', params: { number: 2 } },
+        id: 'milk',
+        parentId: null,
+        title: 'Buy milk',
+        notes: 'From the farm shop, before noon',
+        completed: false,
+        dueDate: '2024-06-03',
+        priority: 'high',
+        tags: 'shopping, home',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+        createdAt: '2024-05-30T09:00:00.000Z',
+        completedAt: null,
+      });
+      expect(groceries.todos[1]).toMatchObject({
+        parentId: 'milk',
+        completed: true,
+        completedAt: '2024-05-31T18:00:00.000Z',
+      });
+    });
+
+    it('Keeping line breaks in notes and lowering the priority', () => {
+      expect(groceries.todos[2]).toMatchObject({
+        source: { label: 'transfer.sources.row', params: { number: 4 } },
+        notes: 'Free range\nor organic',
+        completed: false,
+        priority: 'low',
+      });
+    });
+
+    it('Unescaping quotes and removing the formula guard', () => {
+      expect(work.todos.map((todo) => todo.title)).toEqual(['Say "hello" to the team', '=SUM(A1:A3)', '']);
+      expect(work.todos[2].source).toEqual({ label: 'transfer.sources.row', params: { number: 7 } });
+    });
+  });
+
+  it('Should understand other column names, a semicolon delimiter and a byte order mark', () => {
+    const { lists } = parseCsv('\uFEFFTask;Done;Due Date;Labels\r\nCall mom;yes;2024-06-03;family\r\n');
+
+    expect(lists).toEqual([
+      {
+        name: '',
+        todos: [expect.objectContaining({ title: 'Call mom', completed: true, dueDate: '2024-06-03', tags: 'family' })],
+      },
+    ]);
+  });
+
+  describe('Should throw', () => {
+    it('On an empty file', () => {
+      expect(() => parseCsv('')).toThrow('Define a valid CSV file: it is empty');
+    });
+
+    it('Without a title column', () => {
+      expect(() => parseCsv('name of the thing,done\nx,y')).toThrow(
+        'Define a valid CSV file: it needs a "title" column',
+      );
+    });
+  });
+
+  describe('Should serialize', () => {
+    const todos = [
+      {
+        id: 'a',
+        parentId: null,
+        title: 'Buy milk, eggs',
+        notes: 'Line 1\nLine "2"',
+        completed: true,
+        dueDate: '2024-06-03',
+        priority: 'high',
+        tags: ['shopping', 'home'],
+        recurrence: null,
+        remindAt: null,
+        createdAt: '2024-05-30T09:00:00.000Z',
+        completedAt: '2024-05-31T18:00:00.000Z',
+      },
+      { id: 'b', parentId: 'a', title: '=1+1', notes: '', completed: false, tags: [] },
+    ];
+
+    it('With a header row and CRLF line breaks', () => {
+      const lines = serializeCsv({ lists: [{ name: 'Inbox', todos }] }).split('\r\n');
+
+      expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+      expect(lines[1]).toBe(
+        'Inbox,a,,"Buy milk, eggs","Line 1\nLine ""2""",true,2024-06-03,high,"shopping, home",,,2024-05-30T09:00:00.000Z,2024-05-31T18:00:00.000Z',
+      );
+      expect(lines[2]).toBe("Inbox,b,a,'=1+1,,false,,,,,,,");
+      expect(lines[3]).toBe('');
+    });
+
+    it('So the file parses back to the same todos', () => {
+      const { lists } = parseCsv(serializeCsv({ lists: [{ name: 'Inbox', todos }] }));
+
+      expect(lists[0].todos[0]).toMatchObject({ title: 'Buy milk, eggs', notes: 'Line 1\nLine "2"', completed: true });
+      expect(lists[0].todos[1]).toMatchObject({ id: 'b', parentId: 'a', title: '=1+1' });
+    });
+  });
+});
@@ -0,0 +1,360 @@
+import { toDateKey } from '../schedule/dueDate.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * iCalendar (RFC 5545) import and export of todos as VTODO components.
+ *
+ * Calendar and task apps (Apple Reminders, Thunderbird, Nextcloud Tasks...)
+ * exchange todos in this format. The fields map to their iCalendar
+ * properties: the title to SUMMARY, the notes to DESCRIPTION, the due day to
+ * `DUE;VALUE=DATE`, the recurrence to RRULE, the tags to CATEGORIES, the
+ * parent to RELATED-TO and the reminder to a VALARM. Priorities use the
+ * three bands of the RFC (1 high, 5 medium, 9 low), and the name of the list
+ * is kept in the X-TODO-LIST extension.
+ *
+ * Lines are folded at 75 octets on export and unfolded on import. Reminders
+ * relative to the due day (`TRIGGER:-PT15M`) are converted to a date.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const ics = serializeICalendar({ lists: [{ name: 'Inbox', todos: store.getAll() }] });
+ * const { lists } = parseICalendar(ics);
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+const DURATION = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+/**
+ * Escapes a text value.
+ * @param {string} value - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Unescapes a text value.
+ * @param {string} value - The escaped text.
+ * @returns {string} The text.
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (/n/i.test(char) ? '\n' : char));
+
+/**
+ * Splits a list value on the commas that are not escaped.
+ * @param {string} value - The escaped list.
+ * @returns {string[]} The unescaped items.
+ */
+const splitList = (value) => value.split(/(?<!\\),/).map(unescapeText);
+
+/**
+ * Formats a date as an UTC date-time, e.g. `20240603T080000Z`.
+ * @param {string|Date} date - The date.
+ * @returns {string} The date-time.
+ */
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Folds a content line so no line is longer than 75 octets, counting UTF-8 bytes.
+ * @param {string} line - The line.
+ * @returns {string} The folded line, with CRLF and a space before each continuation.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS - (parts.length ? 1 : 0)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Parses a DATE or DATE-TIME value.
+ * @param {string} value - The value, e.g. `20240603` or `20240603T080000Z`.
+ * @returns {{ date: Date }|null} The date (local midnight for a DATE, local time for a floating DATE-TIME),
+ * or null if the value is not a date.
+ */
+function parseDateTime(value) {
+  const match = DATE_TIME.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts) };
+}
+
+/**
+ * Parses a duration, e.g. `-PT15M`.
+ * @param {string} value - The duration.
+ * @returns {number|null} The duration in milliseconds, or null if the value is not a duration.
+ */
+function parseDuration(value) {
+  const match = DURATION.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60) * 1000;
+
+  return (sign === '-' ? -1 : 1) * (total + Number(seconds) * 1000);
+}
+
+/**
+ * Splits a content line into its name, parameters and value.
+ * @param {string} line - The unfolded line, e.g. `DUE;VALUE=DATE:20240603`.
+ * @returns {{ name: string, params: Object<string, string>, value: string }} The property.
+ */
+function parseProperty(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let index = 0; index < line.length && colon === -1; index += 1) {
+    if (line[index] === '"') {
+      quoted = !quoted;
+    } else if (line[index] === ':' && !quoted) {
+      colon = index;
+    }
+  }
+
+  const [name, ...params] = (colon === -1 ? line : line.slice(0, colon)).split(';');
+
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((param) => {
+        const [key, ...rest] = param.split('=');
+        return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+      }),
+    ),
+    value: colon === -1 ? '' : line.slice(colon + 1),
+  };
+}
+
+/**
+ * Writes the lines of a todo.
+ * @param {Object} todo - The todo.
+ * @param {string} listName - The name of its list.
+ * @param {Date} exportedAt - The export date, the stamp of todos that were never updated.
+ * @returns {string[]} The content lines, not folded.
+ */
+function formatTodo(todo, listName, exportedAt) {
+  const lines = ['BEGIN:VTODO', `UID:${todo.id}`, `DTSTAMP:${formatDateTime(todo.updatedAt || exportedAt)}`];
+
+  if (todo.createdAt) {
+    lines.push(`CREATED:${formatDateTime(todo.createdAt)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(todo.title)}`);
+  if (todo.notes) {
+    lines.push(`DESCRIPTION:${escapeText(todo.notes)}`);
+  }
+  lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+  if (todo.completed && todo.completedAt) {
+    lines.push(`COMPLETED:${formatDateTime(todo.completedAt)}`);
+  }
+  if (todo.dueDate) {
+    lines.push(`DUE;VALUE=DATE:${todo.dueDate.replace(/-/g, '')}`);
+  }
+  if (PRIORITY_VALUES[todo.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_VALUES[todo.priority]}`);
+  }
+  if (todo.tags?.length) {
+    lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  }
+  if (todo.recurrence) {
+    lines.push(`RRULE:${todo.recurrence}`);
+  }
+  if (todo.parentId) {
+    lines.push(`RELATED-TO;RELTYPE=PARENT:${todo.parentId}`);
+  }
+  if (listName) {
+    lines.push(`X-TODO-LIST:${escapeText(listName)}`);
+  }
+  if (todo.remindAt) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(todo.title)}`,
+      `TRIGGER;VALUE=DATE-TIME:${formatDateTime(todo.remindAt)}`,
+      'END:VALARM',
+    );
+  }
+  lines.push('END:VTODO');
+
+  return lines;
+}
+
+/**
+ * Serializes lists of todos to an iCalendar file.
+ * @param {{ lists: { name: string, todos: Object[] }[] }} document - The lists to export.
+ * @param {Object} [options] - Export options.
+ * @param {Date} [options.exportedAt=new Date()] - The export date.
+ * @returns {string} The iCalendar text, with CRLF line breaks.
+ */
+export function serializeICalendar({ lists }, { exportedAt = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//rogerioyokoi//todo-vanilla//EN',
+    'CALSCALE:GREGORIAN',
+    ...(lists.length === 1 && lists[0].name ? [`X-WR-CALNAME:${escapeText(lists[0].name)}`] : []),
+    ...lists.flatMap((list) => list.todos.flatMap((todo) => formatTodo(todo, list.name, exportedAt))),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Reads the fields of a VTODO from its properties.
+ * @param {Object[]} properties - The properties of the VTODO.
+ * @param {Object[][]} alarms - The properties of each of its VALARMs.
+ * @returns {Object} The todo, with the name of its list in `list`.
+ */
+function readTodo(properties, alarms) {
+  const todo = { completed: false, tags: [] };
+  let due = null;
+
+  properties.forEach(({ name, params, value }) => {
+    switch (name) {
+      case 'UID':
+        todo.id = value;
+        break;
+      case 'SUMMARY':
+        todo.title = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        todo.notes = unescapeText(value);
+        break;
+      case 'STATUS':
+        todo.completed = value.toUpperCase() === 'COMPLETED';
+        break;
+      case 'COMPLETED':
+        todo.completed = true;
+        todo.completedAt = parseDateTime(value)?.date.toISOString() ?? value;
+        break;
+      case 'CREATED':
+        todo.createdAt = parseDateTime(value)?.date.toISOString() ?? value;
+        break;
+      case 'DUE':
+        due = parseDateTime(value);
+        todo.dueDate = due ? toDateKey(due.date) : value;
+        break;
+      case 'PRIORITY': {
+        const priority = Number(value);
+        todo.priority =
+          priority >= 1 && priority <= 4 ? 'high' : priority === 5 ? 'medium' : priority >= 6 ? 'low' : null;
+        break;
+      }
+      case 'CATEGORIES':
+        todo.tags.push(...splitList(value));
+        break;
+      case 'RRULE':
+        todo.recurrence = value;
+        break;
+      case 'RELATED-TO':
+        if (!params.RELTYPE || params.RELTYPE.toUpperCase() === 'PARENT') {
+          todo.parentId = value;
+        }
+        break;
+      case 'X-TODO-LIST':
+        todo.list = unescapeText(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Only the first reminder is kept, since a todo has one.
+  const trigger = alarms.flat().find((property) => property.name === 'TRIGGER');
+  if (trigger) {
+    const offset = parseDuration(trigger.value);
+    if (offset === null) {
+      todo.remindAt = parseDateTime(trigger.value)?.date.toISOString() ?? trigger.value;
+    } else if (due) {
+      todo.remindAt = new Date(due.date.getTime() + offset).toISOString();
+    }
+  }
+
+  return todo;
+}
+
+/**
+ * Parses an iCalendar file into lists of todos. Events and other components are ignored.
+ * @param {string} text - The iCalendar text.
+ * @returns {{ lists: { name: string, todos: Object[] }[] }} The lists, by X-TODO-LIST, otherwise the name of
+ * the calendar. Each todo has a `source`, its position, to point at it in messages, see describeSource.
+ * @throws Will throw an error if the text is not an iCalendar file or holds no VTODO.
+ */
+export function parseICalendar(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim())) {
+    throw new LocalizedError('transfer.errors.icalendarStart');
+  }
+
+  let calendarName = '';
+  const todos = [];
+  const components = [];
+
+  lines.map(parseProperty).forEach((property) => {
+    const value = property.value.toUpperCase();
+    if (property.name === 'BEGIN') {
+      components.push({ name: value, properties: [], alarms: [] });
+    } else if (property.name === 'END') {
+      const component = components.pop();
+      const parent = components[components.length - 1];
+      if (component?.name === 'VTODO') {
+        todos.push(readTodo(component.properties, component.alarms));
+      } else if (component?.name === 'VALARM' && parent?.name === 'VTODO') {
+        parent.alarms.push(component.properties);
+      }
+    } else if (components.length === 1 && property.name === 'X-WR-CALNAME') {
+      calendarName = unescapeText(property.value);
+    } else {
+      components[components.length - 1]?.properties.push(property);
+    }
+  });
+
+  if (!todos.length) {
+    throw new LocalizedError('transfer.errors.icalendarEmpty');
+  }
+
+  const lists = new Map();
+  todos.forEach(({ list = calendarName, ...todo }, index) => {
+    if (!lists.has(list)) {
+      lists.set(list, { name: list, todos: [] });
+    }
+    lists.get(list).todos.push({ source: { label: 'transfer.sources.todo', params: { number: index + 1 } }, ...todo });
+  });
+
+  return { lists: [...lists.values()] };
+}
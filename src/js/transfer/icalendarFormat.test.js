@@ -0,0 +1,151 @@
+import { describe, expect, it } from 'vitest';
+import { parseICalendar, serializeICalendar } from './icalendarFormat';
+import sample from './samples/todos.ics?raw';
+
+describe('Test suite for the iCalendar format', () => {
+  describe('Should parse the sample file', () => {
+    const { lists } = parseICalendar(sample);
+    const [groceries, work] = lists;
+
+    it('Grouping the todos by list, named after the calendar by default, and ignoring events', () => {
+      expect(lists.map((list) => list.name)).toEqual(['Groceries', 'Work']);
+      expect(groceries.todos.map((todo) => todo.title)).toEqual(['Buy milk', 'Oat milk']);
+    });
+
+    it('Reading the properties and unescaping text', () => {
+      expect(groceries.todos[0]).toEqual({
+        source: { label: 'transfer.sources.todo', params: { number: 1 } },
+        id: 'milk',
+        title: 'Buy milk',
+        notes: 'From the farm shop, before noon\nBring bags; and cash',
+        completed: false,
+        dueDate: '2024-06-03',
+        priority: 'high',
+        tags: ['shopping', 'home'],
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        // 30 minutes before the start of the due day.
+        remindAt: new Date(new Date(2024, 5, 3).getTime() - 30 * 60000).toISOString(),
+      });
+    });
+
+    it('Reading the completion and the parent', () => {
+      expect(groceries.todos[1]).toMatchObject({
+        parentId: 'milk',
+        completed: true,
+        completedAt: '2024-05-31T18:00:00.000Z',
+      });
+    });
+
+    it('Unfolding long lines and reading absolute reminders', () => {
+      expect(work.todos[0]).toMatchObject({
+        title: 'Send the quarterly report to the whole team before the end of the week',
+        priority: 'low',
+        remindAt: '2024-06-04T09:00:00.000Z',
+      });
+    });
+  });
+
+  describe('Should throw', () => {
+    it('On text that is not an iCalendar file', () => {
+      expect(() => parseICalendar('BEGIN:VCARD\r\nEND:VCARD')).toThrow(
+        'Define a valid iCalendar file: it does not start with BEGIN:VCALENDAR',
+      );
+    });
+
+    it('On a calendar without todos', () => {
+      expect(() => parseICalendar('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nEND:VCALENDAR\r\n')).toThrow(
+        'Define a valid iCalendar file: it has no todos (VTODO)',
+      );
+    });
+  });
+
+  describe('Should serialize', () => {
+    const todos = [
+      {
+        id: 'a',
+        parentId: null,
+        title: 'Buy milk, eggs; bread',
+        notes: 'Line 1\nLine 2',
+        completed: false,
+        dueDate: '2024-06-03',
+        priority: 'medium',
+        tags: ['shopping', 'home'],
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+        createdAt: '2024-05-30T09:00:00.000Z',
+        updatedAt: '2024-05-30T09:30:00.000Z',
+      },
+      {
+        id: 'b',
+        parentId: 'a',
+        title: `Oat milk ${'é'.repeat(60)}`,
+        completed: true,
+        completedAt: '2024-05-31T18:00:00.000Z',
+        tags: [],
+      },
+    ];
+    const text = serializeICalendar(
+      { lists: [{ name: 'Groceries', todos }] },
+      { exportedAt: new Date('2024-06-01T12:00:00Z') },
+    );
+    const lines = text.split('\r\n');
+
+    it('As VTODO components with escaped text', () => {
+      expect(lines.slice(0, 22)).toEqual([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//rogerioyokoi//todo-vanilla//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Groceries',
+        'BEGIN:VTODO',
+        'UID:a',
+        'DTSTAMP:20240530T093000Z',
+        'CREATED:20240530T090000Z',
+        'SUMMARY:Buy milk\\, eggs\\; bread',
+        'DESCRIPTION:Line 1\\nLine 2',
+        'STATUS:NEEDS-ACTION',
+        'DUE;VALUE=DATE:20240603',
+        'PRIORITY:5',
+        'CATEGORIES:shopping,home',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        'X-TODO-LIST:Groceries',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'DESCRIPTION:Buy milk\\, eggs\\; bread',
+        'TRIGGER;VALUE=DATE-TIME:20240603T080000Z',
+        'END:VALARM',
+      ]);
+      expect(lines).toContain('DTSTAMP:20240601T120000Z');
+      expect(lines).toContain('COMPLETED:20240531T180000Z');
+      expect(lines).toContain('RELATED-TO;RELTYPE=PARENT:a');
+      expect(lines.slice(-2)).toEqual(['END:VCALENDAR', '']);
+    });
+
+    it('Folding lines longer than 75 octets', () => {
+      expect(lines.every((line) => new TextEncoder().encode(line).length <= 75)).toBe(true);
+      expect(lines.some((line) => line.startsWith(' é'))).toBe(true);
+    });
+
+    it('So the file parses back to the same todos', () => {
+      expect(parseICalendar(text).lists).toEqual([
+        {
+          name: 'Groceries',
+          todos: [
+            expect.objectContaining({
+              id: 'a',
+              title: 'Buy milk, eggs; bread',
+              notes: 'Line 1\nLine 2',
+              dueDate: '2024-06-03',
+              priority: 'medium',
+              tags: ['shopping', 'home'],
+              recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+              remindAt: '2024-06-03T08:00:00.000Z',
+              createdAt: '2024-05-30T09:00:00.000Z',
+            }),
+            expect.objectContaining({ id: 'b', parentId: 'a', title: todos[1].title, completed: true }),
+          ],
+        },
+      ]);
+    });
+  });
+});
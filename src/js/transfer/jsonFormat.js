@@ -0,0 +1,97 @@
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * JSON import and export of todos, keeping every field.
+ *
+ * Exports are wrapped in an envelope that names the app and the format
+ * version, with the lists and their todos as stored. Imports also accept a
+ * bare array of todos and the `{ version, todos }` envelope the app saves
+ * in storage, so older backups can be restored.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const json = serializeJson({ lists: [{ ...list, todos: store.getAll() }] });
+ * const { lists } = parseJson(json);
+ */
+
+/**
+ * Name of the app in the export envelope.
+ * @type {string}
+ */
+export const JSON_FORMAT_NAME = 'todo-vanilla';
+
+/**
+ * Version of the export envelope.
+ * @type {number}
+ */
+export const JSON_FORMAT_VERSION = 1;
+
+/**
+ * Serializes lists of todos to JSON.
+ * @param {{ lists: Object[] }} document - The lists to export, each with its `todos`.
+ * @param {Object} [options] - Export options.
+ * @param {Date} [options.exportedAt=new Date()] - The export date, written in the envelope.
+ * @returns {string} The JSON text.
+ */
+export function serializeJson({ lists }, { exportedAt = new Date() } = {}) {
+  const data = {
+    format: JSON_FORMAT_NAME,
+    version: JSON_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    lists,
+  };
+
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Parses JSON into lists of todos.
+ * @param {string} text - The JSON text.
+ * @returns {{ lists: { name: string, color?: string, icon?: string, todos: Object[] }[] }} The lists. Each todo
+ * has a `source`, its position in its list, to point at it in messages, see describeSource.
+ * @throws Will throw an error if the text is not JSON, is from a newer version or holds no todos.
+ */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch {
+    throw new LocalizedError('transfer.errors.jsonSyntax');
+  }
+
+  if (data?.format === JSON_FORMAT_NAME && data.version > JSON_FORMAT_VERSION) {
+    throw new LocalizedError('transfer.errors.jsonVersion', { version: data.version });
+  }
+
+  let lists;
+  if (Array.isArray(data)) {
+    lists = [{ name: '', todos: data }];
+  } else if (Array.isArray(data?.lists)) {
+    lists = data.lists;
+  } else if (Array.isArray(data?.todos)) {
+    lists = [{ name: '', todos: data.todos }];
+  } else {
+    throw new LocalizedError('transfer.errors.jsonEmpty');
+  }
+
+  return {
+    lists: lists.map((list) => {
+      const name = typeof list?.name === 'string' ? list.name : '';
+
+      return {
+        name,
+        color: list?.color,
+        icon: list?.icon,
+        todos: (Array.isArray(list?.todos) ? list.todos : []).map((todo, index) => ({
+          ...(typeof todo === 'string' ? { title: todo } : todo),
+          source: name
+            ? { label: 'transfer.sources.listTodo', params: { number: index + 1, list: name } }
+            : { label: 'transfer.sources.todo', params: { number: index + 1 } },
+        })),
+      };
+    }),
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { JSON_FORMAT_NAME, JSON_FORMAT_VERSION, parseJson, serializeJson } from './jsonFormat';
+import sample from './samples/todos.json?raw';
+
+describe('Test suite for the JSON format', () => {
+  it('Should parse the sample file, keeping every field', () => {
+    const { lists } = parseJson(sample);
+
+    expect(lists.map(({ name, color, icon }) => ({ name, color, icon }))).toEqual([
+      { name: 'Groceries', color: 'green', icon: '🛒' },
+      { name: 'Work', color: 'indigo', icon: '💼' },
+    ]);
+    expect(lists[0].todos[0]).toMatchObject({
+      source: { label: 'transfer.sources.listTodo', params: { number: 1, list: 'Groceries' } },
+      id: 'milk',
+      title: 'Buy milk',
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+      remindAt: '2024-06-03T08:00:00.000Z',
+      tags: ['shopping', 'home'],
+      priority: 'high',
+    });
+    expect(lists[0].todos[1]).toMatchObject({ parentId: 'milk', completed: true });
+  });
+
+  it('Should serialize lists in an envelope that parses back to the same lists', () => {
+    const list = { id: 'inbox', name: 'Inbox', color: 'blue', icon: '📥', todos: [{ id: 'a', title: 'Buy milk' }] };
+    const text = serializeJson({ lists: [list] }, { exportedAt: new Date('2024-06-01T12:00:00Z') });
+
+    expect(JSON.parse(text)).toEqual({
+      format: JSON_FORMAT_NAME,
+      version: JSON_FORMAT_VERSION,
+      exportedAt: '2024-06-01T12:00:00.000Z',
+      lists: [list],
+    });
+    expect(parseJson(text).lists[0].todos).toEqual([
+      {
+        id: 'a',
+        title: 'Buy milk',
+        source: { label: 'transfer.sources.listTodo', params: { number: 1, list: 'Inbox' } },
+      },
+    ]);
+  });
+
+  describe('Should accept', () => {
+    it('A bare array of todos or titles', () => {
+      expect(parseJson('[{ "title": "Buy milk" }, "Call mom"]').lists).toEqual([
+        {
+          name: '',
+          color: undefined,
+          icon: undefined,
+          todos: [
+            { title: 'Buy milk', source: { label: 'transfer.sources.todo', params: { number: 1 } } },
+            { title: 'Call mom', source: { label: 'transfer.sources.todo', params: { number: 2 } } },
+          ],
+        },
+      ]);
+    });
+
+    it('The envelope saved in storage', () => {
+      const { lists } = parseJson('{ "version": 2, "todos": [{ "id": "a", "title": "Buy milk" }] }');
+
+      expect(lists[0].todos).toEqual([
+        { id: 'a', title: 'Buy milk', source: { label: 'transfer.sources.todo', params: { number: 1 } } },
+      ]);
+    });
+  });
+
+  describe('Should throw', () => {
+    it.each([
+      ['text that is not JSON', '{ lists: ', 'Define a valid JSON file: it could not be parsed'],
+      ['JSON without todos', '{ "name": "Inbox" }', 'Define a valid JSON file: it has no lists or todos'],
+      [
+        'a newer version',
+        `{ "format": "${JSON_FORMAT_NAME}", "version": 99, "lists": [] }`,
+        'Define a valid JSON file: version 99 is newer than this app supports',
+      ],
+    ])('On %s', (_, text, message) => {
+      expect(() => parseJson(text)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { toDateKey } from '../schedule/dueDate.js';
+import { LocalizedError } from '../i18n/i18n.js';
+
+/**
+ * Markdown checklist import and export of todos.
+ *
+ * Each list is a heading followed by its todos as task list items, and
+ * subtasks are indented under their parent. The other fields are written
+ * after the title with the markers of the Obsidian Tasks plugin, which other
+ * Markdown apps understand as well, and the notes as indented lines:
+ *
+ *     # Groceries
+ *
+ *     - [ ] Buy milk #shopping ⏫ 🔁 FREQ=WEEKLY;BYDAY=MO ⏰ 2024-06-03T08:00:00.000Z 📅 2024-06-03
+ *       From the farm shop
+ *       - [x] Oat milk ✅ 2024-06-02
+ *
+ * Markers are only read at the end of the line, so a `#` inside a title is
+ * kept. Todos before the first heading belong to no list in particular.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const markdown = serializeMarkdown({ lists: [{ name: 'Inbox', todos: store.getAll() }] });
+ * const { lists } = parseMarkdown(markdown);
+ */
+
+const PRIORITY_MARKERS = { high: '⏫', medium: '🔼', low: '🔽' };
+
+const HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+
+const TASK = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/;
+
+/**
+ * Markers read at the end of a task line, with the field they set.
+ */
+const TRAILING_MARKERS = [
+  { pattern: /\s+#([^\s#]+)$/, apply: (todo, tag) => todo.tags.unshift(tag) },
+  { pattern: /\s*(⏫|🔼|🔽)$/u, apply: (todo, marker) => (todo.priority = findPriority(marker)) },
+  { pattern: /\s*📅\s*(\S+)$/u, apply: (todo, date) => (todo.dueDate = date) },
+  { pattern: /\s*✅\s*(\S+)$/u, apply: (todo, date) => (todo.completedAt = date) },
+  { pattern: /\s*⏰\s*(\S+)$/u, apply: (todo, date) => (todo.remindAt = date) },
+  { pattern: /\s*🔁\s*(\S+)$/u, apply: (todo, rule) => (todo.recurrence = rule) },
+];
+
+const findPriority = (marker) => Object.keys(PRIORITY_MARKERS).find((key) => PRIORITY_MARKERS[key] === marker);
+
+/**
+ * Counts the indentation of a line, a tab being four spaces.
+ * @param {string} line - The line.
+ * @returns {number} The indentation.
+ */
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+/**
+ * Writes a todo as a task line.
+ * @param {Object} todo - The todo.
+ * @returns {string} The line, without indentation.
+ */
+function formatTask(todo) {
+  const parts = [`- [${todo.completed ? 'x' : ' '}]`, todo.title.replace(/\s*\n\s*/g, ' ')];
+
+  todo.tags.forEach((tag) => parts.push(`#${tag.replace(/\s+/g, '-')}`));
+  if (PRIORITY_MARKERS[todo.priority]) {
+    parts.push(PRIORITY_MARKERS[todo.priority]);
+  }
+  if (todo.recurrence) {
+    parts.push(`🔁 ${todo.recurrence}`);
+  }
+  if (todo.remindAt) {
+    parts.push(`⏰ ${todo.remindAt}`);
+  }
+  if (todo.dueDate) {
+    parts.push(`📅 ${todo.dueDate}`);
+  }
+  if (todo.completed && todo.completedAt) {
+    parts.push(`✅ ${toDateKey(new Date(todo.completedAt))}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Serializes lists of todos to Markdown checklists.
+ * @param {{ lists: { name: string, todos: Object[] }[] }} document - The lists to export.
+ * @returns {string} The Markdown text.
+ */
+export function serializeMarkdown({ lists }) {
+  const blocks = lists.map(({ name, todos }) => {
+    const ids = new Set(todos.map((todo) => todo.id));
+    const lines = [];
+    const write = (todo, depth) => {
+      const indent = '  '.repeat(depth);
+      lines.push(indent + formatTask(todo));
+      if (todo.notes) {
+        todo.notes.split(/\r?\n/).forEach((line) => lines.push(line.trim() ? `${indent}  ${line}` : ''));
+      }
+      todos.filter((child) => child.parentId === todo.id).forEach((child) => write(child, depth + 1));
+    };
+    todos.filter((todo) => !todo.parentId || !ids.has(todo.parentId)).forEach((todo) => write(todo, 0));
+
+    return [`# ${name || 'Todos'}`, '', ...lines].join('\n');
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Parses Markdown checklists into lists of todos.
+ * Each heading starts a list; lines that are neither headings, task items nor notes are ignored.
+ * @param {string} text - The Markdown text.
+ * @returns {{ lists: { name: string, todos: Object[] }[] }} The lists, without the ones that have no
+ * todos. Each todo has a `source`, its line, to point at it in messages, see describeSource.
+ * @throws Will throw an error if the text holds no task items.
+ */
+export function parseMarkdown(text) {
+  const lists = [{ name: '', todos: [] }];
+  let stack = [];
+  let blankLines = 0;
+
+  String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const heading = !/^\s/.test(line) && HEADING.exec(line);
+      if (heading) {
+        lists.push({ name: heading[1], todos: [] });
+        stack = [];
+        return;
+      }
+      if (!line.trim()) {
+        blankLines += 1;
+        return;
+      }
+
+      const indent = indentOf(line);
+      while (stack.length && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      const parent = stack[stack.length - 1]?.todo;
+      const task = TASK.exec(line);
+
+      if (task) {
+        const todo = {
+          source: { label: 'transfer.sources.line', params: { number: index + 1 } },
+          id: `line-${index + 1}`,
+          parentId: parent?.id ?? null,
+          title: task[3],
+          notes: '',
+          completed: task[2] !== ' ',
+          tags: [],
+          priority: null,
+          dueDate: null,
+          completedAt: null,
+          remindAt: null,
+          recurrence: null,
+        };
+        let matched = true;
+        while (matched) {
+          matched = TRAILING_MARKERS.some(({ pattern, apply }) => {
+            const match = pattern.exec(todo.title);
+            if (match) {
+              apply(todo, match[1]);
+              todo.title = todo.title.slice(0, match.index);
+            }
+            return Boolean(match);
+          });
+        }
+        todo.title = todo.title.trim();
+
+        lists[lists.length - 1].todos.push(todo);
+        stack.push({ indent, todo });
+      } else if (parent) {
+        // Notes are indented under their todo; the blank lines between their paragraphs are kept.
+        const separator = parent.notes ? '\n'.repeat(Math.min(blankLines, 1) + 1) : '';
+        parent.notes += separator + line.trim();
+      }
+      blankLines = 0;
+    });
+
+  const filled = lists.filter((list) => list.todos.length);
+  if (!filled.length) {
+    throw new LocalizedError('transfer.errors.markdownEmpty');
+  }
+
+  return { lists: filled };
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { parseMarkdown, serializeMarkdown } from './markdownFormat';
+import { toDateKey } from '../schedule/dueDate';
+import sample from './samples/todos.md?raw';
+
+describe('Test suite for the Markdown format', () => {
+  describe('Should parse the sample file', () => {
+    const { lists } = parseMarkdown(sample);
+    const [groceries, work] = lists;
+
+    it('With a list per heading', () => {
+      expect(lists.map((list) => list.name)).toEqual(['Groceries', 'Work']);
+      expect(groceries.todos.map((todo) => todo.title)).toEqual([
+        'Buy milk',
+        'Oat milk',
+        'Fix issue #12 of the fridge',
+        'Bread',
+      ]);
+    });
+
+    it('Reading the markers at the end of the line', () => {
+      expect(groceries.todos[0]).toEqual({
+        source: { label: 'transfer.sources.line', params: { number: 3 } },
+        id: 'line-3',
+        parentId: null,
+        title: 'Buy milk',
+        notes: 'From the farm shop\n\nBefore noon',
+        completed: false,
+        tags: ['shopping', 'home'],
+        priority: 'high',
+        dueDate: '2024-06-03',
+        completedAt: null,
+        remindAt: '2024-06-03T08:00:00.000Z',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+      });
+    });
+
+    it('Nesting indented todos under their parent', () => {
+      expect(groceries.todos[1]).toMatchObject({ parentId: 'line-3', completed: true, completedAt: '2024-05-31' });
+      expect(groceries.todos[2]).toMatchObject({ parentId: 'line-3', priority: 'low', tags: [] });
+      expect(groceries.todos[3]).toMatchObject({ parentId: null, completed: true });
+    });
+
+    it('With any bullet, keeping markers that are not valid for validation', () => {
+      expect(work.todos).toEqual([
+        expect.objectContaining({ title: 'Send the report', tags: ['q2'], priority: 'medium', dueDate: '2024-06-05' }),
+        expect.objectContaining({
+          source: { label: 'transfer.sources.line', params: { number: 16 } },
+          title: 'Plan the offsite',
+          dueDate: '2024-13-01',
+        }),
+      ]);
+    });
+  });
+
+  it('Should put todos before the first heading in a list without name', () => {
+    expect(parseMarkdown('- [ ] Call mom\n').lists).toEqual([
+      { name: '', todos: [expect.objectContaining({ title: 'Call mom' })] },
+    ]);
+  });
+
+  it('Should throw on text without task items', () => {
+    expect(() => parseMarkdown('# Groceries\n\n- milk\n')).toThrow(
+      'Define a valid Markdown file: it has no task items (- [ ] Todo)',
+    );
+  });
+
+  it('Should serialize lists to checklists that parse back to the same todos', () => {
+    const completedAt = '2024-05-31T18:00:00.000Z';
+    const todos = [
+      {
+        id: 'a',
+        parentId: null,
+        title: 'Buy milk',
+        notes: 'From the farm shop\nBefore noon',
+        completed: false,
+        tags: ['shopping', 'new home'],
+        priority: 'high',
+        dueDate: '2024-06-03',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+      },
+      { id: 'b', parentId: 'a', title: 'Oat milk', completed: true, completedAt, tags: [] },
+      { id: 'c', parentId: null, title: 'Bread', completed: false, tags: [] },
+    ];
+
+    const markdown = serializeMarkdown({ lists: [{ name: 'Groceries', todos }] });
+
+    expect(markdown).toBe(
+      [
+        '# Groceries',
+        '',
+        '- [ ] Buy milk #shopping #new-home ⏫ 🔁 FREQ=WEEKLY;BYDAY=MO ⏰ 2024-06-03T08:00:00.000Z 📅 2024-06-03',
+        '  From the farm shop',
+        '  Before noon',
+        `  - [x] Oat milk ✅ ${toDateKey(new Date(completedAt))}`,
+        '- [ ] Bread',
+        '',
+      ].join('\n'),
+    );
+    expect(parseMarkdown(markdown).lists[0].todos).toEqual([
+      expect.objectContaining({
+        title: 'Buy milk',
+        notes: 'From the farm shop\nBefore noon',
+        tags: ['shopping', 'new-home'],
+        priority: 'high',
+        dueDate: '2024-06-03',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+      }),
+      expect.objectContaining({ title: 'Oat milk', parentId: 'line-3', completed: true }),
+      expect.objectContaining({ title: 'Bread', parentId: null }),
+    ]);
+  });
+});
@@ -0,0 +1,546 @@
+import { serializeCsv, parseCsv } from './csvFormat.js';
+import { serializeICalendar, parseICalendar } from './icalendarFormat.js';
+import { serializeJson, parseJson } from './jsonFormat.js';
+import { serializeMarkdown, parseMarkdown } from './markdownFormat.js';
+import { LIST_COLORS, LIST_ICONS } from '../store/listStore.js';
+import { TodoStore, createId } from '../store/todoStore.js';
+import { isDateKey, toDateKey } from '../schedule/dueDate.js';
+import { LocalizedError, t } from '../i18n/i18n.js';
+
+/**
+ * Export and import of lists of todos in several file formats.
+ *
+ * Exporting turns lists into a file. Importing takes two steps so the user
+ * can review the result first: planImport parses and validates a file
+ * against the workspace, and applyImport adds the planned todos.
+ *
+ * Every todo of the file is validated like a new todo. A todo without a title
+ * is rejected, while an invalid field (a due date that does not exist, an
+ * unknown priority...) is dropped with a warning so the rest of the todo is
+ * kept. A todo is a duplicate if the workspace has a todo with the same id
+ * (e.g. a backup of the same lists) or its list has one with the same title
+ * and due date, or if the file repeats it.
+ *
+ * Lists are matched by name, and the ones that do not exist are created.
+ * Todos that belong to no list in the file go to the target list.
+ *
+ * The plan holds message keys rather than text, so it can be shown in any
+ * locale: see describeSource, describeDuplicate and describeProblem.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * const file = createExport(workspace, { format: TRANSFER_FORMATS.CSV, listIds: ['inbox'] });
+ *
+ * const plan = planImport(parseImport(text, detectFormat('todos.csv', text)), workspace);
+ * applyImport(plan, workspace, { skipDuplicates: true });
+ */
+
+/**
+ * Supported file formats.
+ * @readonly
+ * @enum {string}
+ */
+export const TRANSFER_FORMATS = Object.freeze({
+  JSON: 'json',
+  CSV: 'csv',
+  MARKDOWN: 'markdown',
+  ICALENDAR: 'icalendar',
+});
+
+/**
+ * How each format is shown and saved, with the message key of its label.
+ * @type {Object<string, { label: string, extensions: string[], mimeType: string }>}
+ */
+export const TRANSFER_FORMAT_DETAILS = Object.freeze({
+  [TRANSFER_FORMATS.JSON]: { label: 'transfer.formats.json', extensions: ['.json'], mimeType: 'application/json' },
+  [TRANSFER_FORMATS.CSV]: { label: 'transfer.formats.csv', extensions: ['.csv'], mimeType: 'text/csv' },
+  [TRANSFER_FORMATS.MARKDOWN]: {
+    label: 'transfer.formats.markdown',
+    extensions: ['.md', '.markdown', '.txt'],
+    mimeType: 'text/markdown',
+  },
+  [TRANSFER_FORMATS.ICALENDAR]: {
+    label: 'transfer.formats.icalendar',
+    extensions: ['.ics', '.ical'],
+    mimeType: 'text/calendar',
+  },
+});
+
+const SERIALIZERS = {
+  [TRANSFER_FORMATS.JSON]: serializeJson,
+  [TRANSFER_FORMATS.CSV]: serializeCsv,
+  [TRANSFER_FORMATS.MARKDOWN]: serializeMarkdown,
+  [TRANSFER_FORMATS.ICALENDAR]: serializeICalendar,
+};
+
+const PARSERS = {
+  [TRANSFER_FORMATS.JSON]: parseJson,
+  [TRANSFER_FORMATS.CSV]: parseCsv,
+  [TRANSFER_FORMATS.MARKDOWN]: parseMarkdown,
+  [TRANSFER_FORMATS.ICALENDAR]: parseICalendar,
+};
+
+/**
+ * Fields validated one by one, in this order since the recurrence depends on the due date.
+ */
+const OPTIONAL_FIELDS = ['notes', 'dueDate', 'recurrence', 'remindAt', 'tags', 'priority'];
+
+/**
+ * Checks that a format is supported.
+ * @param {string} format - The format.
+ * @throws Will throw an error if the format is not one of TRANSFER_FORMATS.
+ */
+function checkFormat(format) {
+  if (!Object.values(TRANSFER_FORMATS).includes(format)) {
+    throw new LocalizedError('transfer.errors.format', { formats: Object.values(TRANSFER_FORMATS).join(', ') });
+  }
+}
+
+/**
+ * Turns a name into a file name part, e.g. `Work & Home` into `work-home`.
+ * @param {string} name - The name.
+ * @returns {string} The slug.
+ */
+const slugify = (name) =>
+  name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Tells the format of a file from its name, or from its content when the extension is unknown.
+ * @param {string} fileName - The file name.
+ * @param {string} [text=''] - The content of the file.
+ * @returns {string} One of TRANSFER_FORMATS. Defaults to CSV, the most lenient.
+ * @example
+ * detectFormat('backup.json'); // 'json'
+ * detectFormat('todos', '- [ ] Buy milk'); // 'markdown'
+ */
+export function detectFormat(fileName, text = '') {
+  const name = String(fileName).toLowerCase();
+  const byExtension = Object.keys(TRANSFER_FORMAT_DETAILS).find((format) =>
+    TRANSFER_FORMAT_DETAILS[format].extensions.some((extension) => name.endsWith(extension)),
+  );
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const content = String(text)
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (/^[[{]/.test(content)) {
+    return TRANSFER_FORMATS.JSON;
+  }
+  if (/^BEGIN:VCALENDAR/i.test(content)) {
+    return TRANSFER_FORMATS.ICALENDAR;
+  }
+
+  return /^\s*[-*+]\s+\[[ xX]\]/m.test(content) ? TRANSFER_FORMATS.MARKDOWN : TRANSFER_FORMATS.CSV;
+}
+
+/**
+ * Exports lists of the workspace to a file.
+ * @param {Workspace} workspace - The workspace.
+ * @param {Object} options - Export options.
+ * @param {string} options.format - One of TRANSFER_FORMATS.
+ * @param {string[]} [options.listIds] - The lists to export, all of them when omitted.
+ * @param {Date} [options.now=new Date()] - The export date, used in the file name.
+ * @returns {{ fileName: string, mimeType: string, content: string }} The file.
+ * @throws Will throw an error if the format is unknown or no list is selected.
+ * @example
+ * const { fileName, content } = createExport(workspace, { format: TRANSFER_FORMATS.MARKDOWN });
+ */
+export function createExport(workspace, { format, listIds, now = new Date() } = {}) {
+  checkFormat(format);
+
+  const lists = workspace.lists
+    .getAll()
+    .filter((list) => !listIds || listIds.includes(list.id))
+    .map((list) => ({ ...list, todos: workspace.getTodoStore(list.id).getAll() }));
+  if (!lists.length) {
+    throw new LocalizedError('transfer.errors.noLists');
+  }
+
+  const { extensions, mimeType } = TRANSFER_FORMAT_DETAILS[format];
+  const name = (lists.length === 1 && slugify(lists[0].name)) || 'todos';
+
+  return {
+    fileName: `${name}-${toDateKey(now)}${extensions[0]}`,
+    mimeType,
+    content: SERIALIZERS[format]({ lists }, { exportedAt: now }),
+  };
+}
+
+/**
+ * Parses the content of a file.
+ * @param {string} text - The content of the file.
+ * @param {string} format - One of TRANSFER_FORMATS.
+ * @returns {{ lists: { name: string, color?: string, icon?: string, todos: Object[] }[] }} The lists of the
+ * file, with their todos as written, not validated yet.
+ * @throws Will throw an error if the format is unknown or the file cannot be parsed.
+ */
+export function parseImport(text, format) {
+  checkFormat(format);
+
+  return PARSERS[format](text);
+}
+
+/**
+ * Converts a date from a file to an ISO date, a bare day being local midnight.
+ * @param {*} value - The date.
+ * @returns {string|null} The ISO date, or null if the value is not a date.
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = isDateKey(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Gets the message key and parameters of an error, to keep in a plan.
+ * @param {Error} error - The error, a LocalizedError if it is meant for the user.
+ * @returns {{ reason: string, params: Object<string, *> }} The key and parameters of the message.
+ */
+const toProblem = (error) =>
+  error instanceof LocalizedError
+    ? { reason: error.key, params: error.params }
+    : { reason: 'errors.unexpected', params: {} };
+
+/**
+ * Validates the fields of a todo from a file.
+ * @param {Object} raw - The todo as written in the file.
+ * @param {function(string, Object<string, *>): void} warn - Called with the message key and parameters of each
+ * field that is dropped.
+ * @returns {Object} The editable fields, normalized like the store does.
+ * @throws Will throw an error if the title is not valid.
+ */
+function validateTodo(raw, warn) {
+  const scratch = new TodoStore();
+  const fields = { title: scratch.create({ title: raw.title }).title };
+
+  OPTIONAL_FIELDS.forEach((field) => {
+    const value = raw[field];
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+
+    try {
+      scratch.create({ ...fields, [field]: value });
+      fields[field] = value;
+    } catch (error) {
+      warn('transfer.warnings.field', { error: toProblem(error), value });
+    }
+  });
+
+  const { id, completed, createdAt, updatedAt, completedAt, parentId, ...normalized } = scratch.create(fields);
+
+  return normalized;
+}
+
+/**
+ * Finds where each list of a file goes: an existing list with the same name, the target list for todos
+ * that belong to no list, or a new list.
+ * @param {Object[]} lists - The lists of the file.
+ * @param {Workspace} workspace - The workspace.
+ * @param {string} targetListId - The id of the target list.
+ * @param {function(ImportSource, string, Object<string, *>): void} warn - Called with the source, and the message
+ * key and parameters of each problem.
+ * @returns {{ id: string|null, name: string, color: string, icon: string }[]} The lists, with `id`
+ * null for the ones to create.
+ */
+function resolveLists(lists, workspace, targetListId, warn) {
+  const existing = workspace.lists.getAll();
+  const resolved = [];
+
+  lists.forEach((list) => {
+    const name = list.name.trim();
+    const match = name
+      ? existing.find((item) => item.name.toLowerCase() === name.toLowerCase())
+      : existing.find((item) => item.id === targetListId);
+    const merged = resolved.find((item) => (match ? item.id === match.id : !item.id && item.name === name));
+    if (merged) {
+      resolved.push(merged);
+      return;
+    }
+    if (match) {
+      resolved.push({ id: match.id, name: match.name, color: match.color, icon: match.icon });
+      return;
+    }
+
+    const color = LIST_COLORS.includes(list.color) ? list.color : LIST_COLORS[0];
+    const icon = LIST_ICONS.includes(list.icon) ? list.icon : LIST_ICONS[0];
+    if (list.color && color !== list.color) {
+      warn({ label: 'transfer.sources.list', params: { name } }, 'transfer.warnings.listColor', {
+        colors: LIST_COLORS.join(', '),
+        color: list.color,
+      });
+    }
+    resolved.push({ id: null, name, color, icon });
+  });
+
+  return resolved;
+}
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {string} label - The message key that tells where something is in the file, e.g. its row.
+ * @property {Object<string, *>} params - The parameters of the message.
+ */
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {string} key - Identifies the todo within the import.
+ * @property {ImportSource} source - Where the todo is in the file.
+ * @property {number} list - The index of its list in the plan.
+ * @property {string|null} parentKey - The key of its parent within the import.
+ * @property {Object} todo - The validated todo, with the id it has in the file.
+ * @property {{ reason: string, params: Object<string, *>, id?: string, key?: string }|null} duplicate - The
+ * message key and parameters of why the todo is a duplicate, and the id of the existing todo or the key of the
+ * repeated one, or null.
+ */
+
+/**
+ * @typedef {Object} ImportProblem
+ * @property {ImportSource} source - Where the problem is in the file.
+ * @property {string} reason - The message key of the problem.
+ * @property {Object<string, *>} params - The parameters of the message. A dropped field has the `value` it had,
+ * and the `error` it caused, as a reason and its parameters.
+ */
+
+/**
+ * @typedef {Object} ImportPlan
+ * @property {{ id: string|null, name: string, color: string, icon: string }[]} lists - Where the todos go;
+ * the lists without `id` are created.
+ * @property {ImportItem[]} todos - The valid todos, each parent before its subtasks.
+ * @property {ImportProblem[]} errors - The rejected todos.
+ * @property {ImportProblem[]} warnings - The dropped fields and other fixes.
+ * @property {number} duplicates - The number of duplicate todos.
+ */
+
+/**
+ * Validates the content of a file against the workspace, without changing anything.
+ * @param {{ lists: Object[] }} document - The parsed file, see parseImport.
+ * @param {Workspace} workspace - The workspace.
+ * @param {Object} [options] - Import options.
+ * @param {string} [options.targetListId] - Where todos that belong to no list go. Defaults to the first list.
+ * @returns {ImportPlan} The plan, to preview and then apply.
+ * @throws Will throw an error if the target list does not exist.
+ */
+export function planImport(document, workspace, { targetListId = workspace.defaultListId } = {}) {
+  workspace.getTodoStore(targetListId);
+
+  const errors = [];
+  const warnings = [];
+  const warn = (source, reason, params = {}) => warnings.push({ source, reason, params });
+  const lists = resolveLists(document.lists, workspace, targetListId, warn);
+  const items = [];
+
+  document.lists.forEach((list, listIndex) => {
+    const keys = new Map();
+
+    list.todos.forEach((raw, index) => {
+      const source = raw.source || { label: 'transfer.sources.todo', params: { number: index + 1 } };
+      let todo;
+      try {
+        todo = validateTodo(raw, (reason, params) => warn(source, reason, params));
+      } catch (error) {
+        errors.push({ source, ...toProblem(error) });
+        return;
+      }
+
+      const id = raw.id ? String(raw.id) : null;
+      const key = `${listIndex}:${id && !keys.has(id) ? id : `#${index}`}`;
+      if (id && !keys.has(id)) {
+        keys.set(id, key);
+      }
+      const completed = Boolean(raw.completed);
+
+      items.push({
+        key,
+        source,
+        list: listIndex,
+        parentId: raw.parentId ? String(raw.parentId) : null,
+        todo: {
+          id,
+          parentId: null,
+          ...todo,
+          completed,
+          createdAt: toIsoDate(raw.createdAt),
+          completedAt: completed ? toIsoDate(raw.completedAt) : null,
+        },
+        duplicate: null,
+      });
+    });
+
+    items
+      .filter((item) => item.list === listIndex)
+      .forEach((item) => {
+        const parentKey = item.parentId && keys.get(item.parentId);
+        const { parentId } = item;
+        delete item.parentId;
+        item.parentKey = null;
+        if (!parentId) {
+          return;
+        }
+        if (!parentKey || parentKey === item.key) {
+          warn(item.source, 'transfer.warnings.parentNotFound', { id: parentId });
+          return;
+        }
+
+        // A parent that is one of its own subtasks would hide the whole branch.
+        const ancestors = new Set([item.key]);
+        for (let key = parentKey; key; key = items.find((other) => other.key === key)?.parentKey) {
+          if (ancestors.has(key)) {
+            warn(item.source, 'transfer.warnings.parentCycle');
+            return;
+          }
+          ancestors.add(key);
+        }
+        item.parentKey = parentKey;
+      });
+  });
+
+  // Parents come before their subtasks, so their new ids are known when the subtasks are added.
+  const ordered = [];
+  const visit = (item) => {
+    ordered.push(item);
+    items.filter((child) => child.parentKey === item.key).forEach(visit);
+  };
+  items.filter((item) => !item.parentKey || !items.some((other) => other.key === item.parentKey)).forEach(visit);
+
+  const seen = new Map();
+  ordered.forEach((item) => {
+    const { id, title, dueDate } = item.todo;
+    const listId = lists[item.list].id;
+    const existingListId = id && workspace.findListId(id);
+    const signature = `${lists[item.list].name.toLowerCase()}|${item.parentKey}|${title.toLowerCase()}|${dueDate}`;
+    const twin =
+      listId &&
+      workspace
+        .getTodoStore(listId)
+        .getAll()
+        .find((todo) => todo.title.toLowerCase() === title.toLowerCase() && (todo.dueDate ?? null) === dueDate);
+
+    if (existingListId) {
+      const listName = workspace.lists.get(existingListId).name;
+      item.duplicate = { reason: 'transfer.duplicates.existing', params: { list: listName }, id };
+    } else if (twin) {
+      item.duplicate = {
+        reason: 'transfer.duplicates.sameTitle',
+        params: { list: lists[item.list].name },
+        id: twin.id,
+      };
+    } else if (seen.has(signature)) {
+      const { source, key } = seen.get(signature);
+      item.duplicate = { reason: 'transfer.duplicates.repeated', params: { source }, key };
+    } else {
+      seen.set(signature, item);
+    }
+  });
+
+  return {
+    lists,
+    todos: ordered,
+    errors,
+    warnings,
+    duplicates: ordered.filter((item) => item.duplicate).length,
+  };
+}
+
+/**
+ * Describes where something is in the file, in the current locale.
+ * @param {ImportSource} source - The source, see ImportItem.
+ * @returns {string} The description, e.g. `Row 3`.
+ */
+export function describeSource({ label, params }) {
+  return t(label, params);
+}
+
+/**
+ * Describes why a todo is a duplicate, in the current locale.
+ * @param {{ reason: string, params: Object<string, *> }} duplicate - The duplicate, see ImportItem.
+ * @returns {string} The description, e.g. `Repeats Line 1`.
+ */
+export function describeDuplicate({ reason, params }) {
+  return t(reason, params.source ? { ...params, source: describeSource(params.source) } : params);
+}
+
+/**
+ * Describes why a todo is rejected or a field dropped, in the current locale.
+ * @param {ImportProblem} problem - The problem, see ImportPlan.
+ * @returns {string} The description, e.g. `Define a valid priority: high, medium, low. Received "urgent", which
+ * is ignored`.
+ */
+export function describeProblem({ reason, params }) {
+  return t(reason, params.error ? { ...params, error: t(params.error.reason, params.error.params) } : params);
+}
+
+/**
+ * Adds the todos of a plan to the workspace, creating the missing lists.
+ * Todos get new ids, so importing the same file twice does not mix them up. Everything is added
+ * in one go, so the import is undone as one change.
+ * @param {ImportPlan} plan - The plan, see planImport.
+ * @param {Workspace} workspace - The workspace.
+ * @param {Object} [options] - Import options.
+ * @param {boolean} [options.skipDuplicates=true] - Leaves out the duplicates. Their subtasks are added
+ * to the todo they duplicate when it is in the same list.
+ * @param {Date} [options.now=new Date()] - The import date, the creation date of todos without one.
+ * @returns {{ imported: number, skipped: number, listIds: string[] }} The number of todos added and
+ * skipped, and the ids of the lists they went to.
+ */
+export function applyImport(plan, workspace, { skipDuplicates = true, now = new Date() } = {}) {
+  const listIds = plan.lists.map((list) => list.id);
+  const ensureList = (index) => {
+    if (!listIds[index]) {
+      const { name, color, icon } = plan.lists[index];
+      const created = workspace.lists.create({ name, color, icon });
+      // Every list with the same name in the file goes to the same new list.
+      plan.lists.forEach((list, other) => {
+        if (list === plan.lists[index]) {
+          listIds[other] = created.id;
+        }
+      });
+    }
+
+    return listIds[index];
+  };
+
+  const ids = new Map();
+  let imported = 0;
+  let skipped = 0;
+
+  plan.todos.forEach((item) => {
+    if (skipDuplicates && item.duplicate) {
+      ids.set(item.key, item.duplicate.id ?? ids.get(item.duplicate.key));
+      skipped += 1;
+      return;
+    }
+
+    const store = workspace.getTodoStore(ensureList(item.list));
+    const id = createId();
+    const parentId = item.parentKey ? ids.get(item.parentKey) : null;
+    const timestamp = now.toISOString();
+    ids.set(item.key, id);
+
+    store.put({
+      ...item.todo,
+      id,
+      parentId: parentId && store.get(parentId) ? parentId : null,
+      createdAt: item.todo.createdAt || timestamp,
+      updatedAt: timestamp,
+      completedAt: item.todo.completed ? item.todo.completedAt || timestamp : null,
+    });
+    imported += 1;
+  });
+
+  return { imported, skipped, listIds: [...new Set(listIds.filter(Boolean))] };
+}
@@ -0,0 +1,383 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  TRANSFER_FORMATS,
+  applyImport,
+  createExport,
+  describeDuplicate,
+  describeProblem,
+  describeSource,
+  detectFormat,
+  parseImport,
+  planImport,
+} from './todoTransfer';
+import { TodoHistory } from '../history/todoHistory';
+import { i18n } from '../i18n/i18n';
+import { Workspace } from '../store/workspace';
+import csvSample from './samples/todos.csv?raw';
+import icsSample from './samples/todos.ics?raw';
+import jsonSample from './samples/todos.json?raw';
+import markdownSample from './samples/todos.md?raw';
+
+describe('Test suite for the todo transfer functions', () => {
+  let workspace;
+  let inbox;
+
+  const now = new Date('2024-06-01T12:00:00Z');
+  const titlesOf = (listId) =>
+    workspace
+      .getTodoStore(listId)
+      .getAll()
+      .map((todo) => todo.title);
+  const listNamed = (name) => workspace.lists.getAll().find((list) => list.name === name);
+
+  beforeEach(async () => {
+    i18n.setLocale('en');
+    workspace = new Workspace();
+    await workspace.load();
+    inbox = workspace.getTodoStore('inbox');
+  });
+
+  afterEach(() => {
+    workspace.stop();
+  });
+
+  describe('Should detect the format', () => {
+    it.each([
+      ['backup.json', '', TRANSFER_FORMATS.JSON],
+      ['Todos.CSV', '', TRANSFER_FORMATS.CSV],
+      ['notes.md', '', TRANSFER_FORMATS.MARKDOWN],
+      ['tasks.ics', '', TRANSFER_FORMATS.ICALENDAR],
+      ['clipboard', '  [{ "title": "a" }]', TRANSFER_FORMATS.JSON],
+      ['clipboard', 'BEGIN:VCALENDAR\r\n', TRANSFER_FORMATS.ICALENDAR],
+      ['clipboard', 'Shopping\n- [ ] Milk', TRANSFER_FORMATS.MARKDOWN],
+      ['clipboard', 'title\nMilk', TRANSFER_FORMATS.CSV],
+    ])('Of "%s" with "%s"', (fileName, text, format) => {
+      expect(detectFormat(fileName, text)).toBe(format);
+    });
+  });
+
+  describe('Should export', () => {
+    beforeEach(() => {
+      inbox.create({ title: 'Buy milk' });
+      workspace.lists.create({ id: 'work', name: 'Work & Home', color: 'indigo', icon: '💼' });
+      workspace.getTodoStore('work').create({ title: 'Send the report' });
+    });
+
+    it('Every list by default', () => {
+      const file = createExport(workspace, { format: TRANSFER_FORMATS.JSON, now });
+
+      expect(file.fileName).toBe('todos-2024-06-01.json');
+      expect(file.mimeType).toBe('application/json');
+      expect(JSON.parse(file.content).lists.map((list) => list.todos[0].title)).toEqual([
+        'Buy milk',
+        'Send the report',
+      ]);
+    });
+
+    it('The chosen lists, naming the file after a single list', () => {
+      const file = createExport(workspace, { format: TRANSFER_FORMATS.MARKDOWN, listIds: ['work'], now });
+
+      expect(file.fileName).toBe('work-home-2024-06-01.md');
+      expect(file.mimeType).toBe('text/markdown');
+      expect(file.content).toBe('# Work & Home\n\n- [ ] Send the report\n');
+    });
+
+    it.each([
+      [{ format: 'pdf' }, 'Define a valid format: json, csv, markdown, icalendar'],
+      [{ format: TRANSFER_FORMATS.CSV, listIds: [] }, 'Define at least one list to export'],
+    ])('Throwing on invalid options %o', (options, message) => {
+      expect(() => createExport(workspace, options)).toThrow(message);
+    });
+  });
+
+  describe('Should plan the import of the JSON sample', () => {
+    let plan;
+
+    beforeEach(() => {
+      workspace.lists.create({ id: 'work', name: 'work', color: 'gray', icon: '📋' });
+      plan = planImport(parseImport(jsonSample, TRANSFER_FORMATS.JSON), workspace);
+    });
+
+    it('Matching lists by name and creating the others', () => {
+      expect(plan.lists).toEqual([
+        { id: null, name: 'Groceries', color: 'green', icon: '🛒' },
+        { id: 'work', name: 'work', color: 'gray', icon: '📋' },
+      ]);
+    });
+
+    it('Rejecting todos without a title', () => {
+      expect(plan.todos.map((item) => item.todo.title)).toEqual(['Buy milk', 'Oat milk', 'Bread', 'Send the report']);
+      expect(plan.errors).toEqual([
+        {
+          source: { label: 'transfer.sources.listTodo', params: { number: 2, list: 'Work' } },
+          reason: 'errors.todo.title',
+          params: {},
+        },
+      ]);
+      expect(describeProblem(plan.errors[0])).toBe('Define a valid todo title');
+    });
+
+    it('Dropping invalid fields with a warning', () => {
+      expect(plan.todos[2].todo).toMatchObject({ title: 'Bread', dueDate: null, priority: null });
+      expect(plan.warnings).toEqual([
+        {
+          source: { label: 'transfer.sources.listTodo', params: { number: 3, list: 'Groceries' } },
+          reason: 'transfer.warnings.field',
+          params: { error: { reason: 'errors.todo.dueDate', params: {} }, value: '2024-02-30' },
+        },
+        {
+          source: { label: 'transfer.sources.listTodo', params: { number: 3, list: 'Groceries' } },
+          reason: 'transfer.warnings.field',
+          params: {
+            error: { reason: 'errors.todo.priority', params: { priorities: 'high, medium, low' } },
+            value: 'urgent',
+          },
+        },
+      ]);
+      expect(plan.warnings.map(describeProblem)).toEqual([
+        'Define a valid due date (YYYY-MM-DD). Received "2024-02-30", which is ignored',
+        'Define a valid priority: high, medium, low. Received "urgent", which is ignored',
+      ]);
+    });
+
+    it('Describing the problems in the current locale', () => {
+      i18n.setLocale('pt-BR');
+
+      try {
+        expect(describeProblem(plan.errors[0])).toBe('Informe um título válido para a tarefa');
+        expect(describeProblem(plan.warnings[1])).toBe(
+          'Informe uma prioridade válida: high, medium, low. Recebido "urgent", que foi ignorado',
+        );
+      } finally {
+        i18n.setLocale('en');
+      }
+    });
+
+    it('Keeping the valid fields and the subtasks', () => {
+      expect(plan.todos[0].todo).toEqual({
+        id: 'milk',
+        parentId: null,
+        title: 'Buy milk',
+        notes: 'From the farm shop',
+        dueDate: '2024-06-03',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+        tags: ['shopping', 'home'],
+        priority: 'high',
+        completed: false,
+        createdAt: '2024-05-30T09:00:00.000Z',
+        completedAt: null,
+      });
+      expect(plan.todos[1]).toMatchObject({ parentKey: plan.todos[0].key, todo: { completed: true } });
+      expect(plan.duplicates).toBe(0);
+    });
+  });
+
+  describe('Should find duplicates', () => {
+    beforeEach(() => {
+      i18n.setLocale('en');
+    });
+
+    it('By id, anywhere in the workspace', () => {
+      const existing = inbox.create({ title: 'Buy milk' });
+      const document = { lists: [{ name: 'Groceries', todos: [{ id: existing.id, title: 'Milk' }] }] };
+
+      const plan = planImport(document, workspace);
+
+      expect(plan.duplicates).toBe(1);
+      expect(plan.todos[0].duplicate).toMatchObject({ id: existing.id });
+      expect(describeDuplicate(plan.todos[0].duplicate)).toBe('Already in "Inbox"');
+    });
+
+    it('By title and due date in the same list, ignoring case', () => {
+      const existing = inbox.create({ title: 'Buy milk', dueDate: '2024-06-03' });
+      const document = {
+        lists: [
+          {
+            name: '',
+            todos: [
+              { title: 'buy MILK', dueDate: '2024-06-03' },
+              { title: 'Buy milk', dueDate: '2024-06-04' },
+            ],
+          },
+        ],
+      };
+
+      const plan = planImport(document, workspace);
+
+      expect(plan.todos.map((item) => item.duplicate?.id ?? null)).toEqual([existing.id, null]);
+      expect(describeDuplicate(plan.todos[0].duplicate)).toBe('Same title and due date as a todo in "Inbox"');
+    });
+
+    it('Repeated in the file', () => {
+      const plan = planImport(parseImport('- [ ] Call mom\n- [ ] Call mom\n', TRANSFER_FORMATS.MARKDOWN), workspace);
+
+      expect(plan.todos[1].duplicate).toMatchObject({ key: plan.todos[0].key });
+      expect(describeDuplicate(plan.todos[1].duplicate)).toBe('Repeats Line 1');
+    });
+
+    it('Described in the current locale', () => {
+      const plan = planImport(parseImport('- [ ] Call mom\n- [ ] Call mom\n', TRANSFER_FORMATS.MARKDOWN), workspace);
+
+      i18n.setLocale('pt-BR');
+
+      try {
+        expect(describeSource(plan.todos[1].source)).toBe('Linha 2');
+        expect(describeDuplicate(plan.todos[1].duplicate)).toBe('Repete Linha 1');
+      } finally {
+        i18n.setLocale('en');
+      }
+    });
+  });
+
+  describe('Should import subtasks as top-level todos with a warning', () => {
+    it('When the parent is not in the file', () => {
+      const plan = planImport({ lists: [{ name: '', todos: [{ title: 'Oat milk', parentId: 'gone' }] }] }, workspace);
+
+      expect(plan.todos[0].parentKey).toBeNull();
+      expect(plan.warnings).toEqual([
+        {
+          source: { label: 'transfer.sources.todo', params: { number: 1 } },
+          reason: 'transfer.warnings.parentNotFound',
+          params: { id: 'gone' },
+        },
+      ]);
+      expect(describeProblem(plan.warnings[0])).toBe('Parent "gone" not found, so it is imported as a top-level todo');
+    });
+
+    it('When the parents make a cycle', () => {
+      const todos = [
+        { id: 'a', title: 'A', parentId: 'b' },
+        { id: 'b', title: 'B', parentId: 'a' },
+      ];
+
+      const plan = planImport({ lists: [{ name: '', todos }] }, workspace);
+
+      expect(plan.todos.map((item) => item.todo.title)).toEqual(['B', 'A']);
+      expect(plan.todos[0].parentKey).toBeNull();
+      expect(describeProblem(plan.warnings[0])).toBe(
+        'Its parent is one of its subtasks, so it is imported as a top-level todo',
+      );
+    });
+  });
+
+  it('Should throw when the target list does not exist', () => {
+    expect(() => planImport({ lists: [] }, workspace, { targetListId: 'nope' })).toThrow('List "nope" not found');
+  });
+
+  describe('Should apply a plan', () => {
+    it('Creating the lists and adding the todos with new ids and their subtasks', () => {
+      const plan = planImport(parseImport(jsonSample, TRANSFER_FORMATS.JSON), workspace);
+
+      const result = applyImport(plan, workspace, { now });
+
+      const groceries = listNamed('Groceries');
+      const [milk, oatMilk] = workspace.getTodoStore(groceries.id).getAll();
+      expect(result).toEqual({ imported: 4, skipped: 0, listIds: [groceries.id, listNamed('Work').id] });
+      expect(groceries).toMatchObject({ color: 'green', icon: '🛒' });
+      expect(titlesOf(groceries.id)).toEqual(['Buy milk', 'Oat milk', 'Bread']);
+      expect(milk.id).not.toBe('milk');
+      expect(milk).toMatchObject({ createdAt: '2024-05-30T09:00:00.000Z', updatedAt: now.toISOString() });
+      expect(oatMilk).toMatchObject({ parentId: milk.id, completed: true, completedAt: '2024-05-31T18:00:00.000Z' });
+    });
+
+    it('Putting todos without a list in the target list', () => {
+      workspace.lists.create({ id: 'work', name: 'Work' });
+
+      applyImport(
+        planImport(parseImport('title\nCall mom', TRANSFER_FORMATS.CSV), workspace, { targetListId: 'work' }),
+        workspace,
+      );
+
+      expect(titlesOf('work')).toEqual(['Call mom']);
+      expect(inbox.size).toBe(0);
+    });
+
+    it('Skipping duplicates, and adding their subtasks to the todo they duplicate', () => {
+      const existing = inbox.create({ title: 'Buy milk' });
+      const markdown = '- [ ] Buy milk\n  - [ ] Oat milk\n- [ ] Bread\n';
+
+      const result = applyImport(planImport(parseImport(markdown, TRANSFER_FORMATS.MARKDOWN), workspace), workspace);
+
+      expect(result).toMatchObject({ imported: 2, skipped: 1 });
+      expect(titlesOf('inbox')).toEqual(['Buy milk', 'Oat milk', 'Bread']);
+      expect(inbox.getSubtasks(existing.id).map((todo) => todo.title)).toEqual(['Oat milk']);
+    });
+
+    it('Keeping duplicates when asked to', () => {
+      inbox.create({ title: 'Buy milk' });
+
+      applyImport(planImport(parseImport('- [ ] Buy milk\n', TRANSFER_FORMATS.MARKDOWN), workspace), workspace, {
+        skipDuplicates: false,
+      });
+
+      expect(titlesOf('inbox')).toEqual(['Buy milk', 'Buy milk']);
+    });
+
+    it('As one change that can be undone', async () => {
+      const history = new TodoHistory({ source: workspace });
+      history.start();
+
+      applyImport(planImport(parseImport(csvSample, TRANSFER_FORMATS.CSV), workspace), workspace);
+      await Promise.resolve();
+
+      expect(history.size).toBe(1);
+      expect(history.undoCommand.label).toBe('Added 5 todos');
+      history.undo();
+      expect(workspace.getAll()).toEqual([]);
+      history.stop();
+    });
+  });
+
+  describe('Should import each sample file', () => {
+    it.each([
+      [TRANSFER_FORMATS.CSV, csvSample, { Groceries: 3, Work: 2 }, 1],
+      [TRANSFER_FORMATS.MARKDOWN, markdownSample, { Groceries: 4, Work: 2 }, 0],
+      [TRANSFER_FORMATS.ICALENDAR, icsSample, { Groceries: 2, Work: 1 }, 0],
+    ])('In %s', (format, text, counts, errors) => {
+      const plan = planImport(parseImport(text, format), workspace);
+
+      applyImport(plan, workspace);
+
+      expect(plan.errors).toHaveLength(errors);
+      expect(
+        Object.fromEntries(Object.keys(counts).map((name) => [name, titlesOf(listNamed(name).id).length])),
+      ).toEqual(counts);
+    });
+  });
+
+  describe('Should export and import back the same todos', () => {
+    it.each(Object.values(TRANSFER_FORMATS))('In %s', (format) => {
+      const milk = inbox.create({
+        title: 'Buy milk, eggs',
+        notes: 'From the farm shop\nBefore noon',
+        dueDate: '2024-06-03',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+        remindAt: '2024-06-03T08:00:00.000Z',
+        tags: ['shopping', 'home'],
+        priority: 'high',
+      });
+      inbox.toggle(inbox.create({ title: 'Oat milk', parentId: milk.id }).id);
+      const { content } = createExport(workspace, { format, now });
+      const target = new Workspace();
+
+      return target.load().then(() => {
+        applyImport(planImport(parseImport(content, format), target), target);
+
+        const [copy, subtask] = target.getTodoStore('inbox').getAll();
+        expect(copy).toMatchObject({
+          title: 'Buy milk, eggs',
+          notes: 'From the farm shop\nBefore noon',
+          dueDate: '2024-06-03',
+          recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+          remindAt: '2024-06-03T08:00:00.000Z',
+          tags: ['shopping', 'home'],
+          priority: 'high',
+          completed: false,
+        });
+        expect(subtask).toMatchObject({ title: 'Oat milk', parentId: copy.id, completed: true });
+        target.stop();
+      });
+    });
+  });
+});
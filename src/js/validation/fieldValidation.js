@@ -0,0 +1,136 @@
+/**
+ * Declarative validation of form field values.
+ *
+ * A field declares its constraints like a native control does (`required`,
+ * `minLength`, `maxLength`, `pattern`, `min` and `max`) plus any number of
+ * custom `rules`. `validateValue` checks them in that order and reports the
+ * first one that fails, with the name of the matching ValidityState flag, so
+ * custom elements can pass it on to `ElementInternals#setValidity`, and a
+ * translated message.
+ *
+ * As with native controls, an empty value only fails `required`: the other
+ * built-in constraints apply once something is typed. Custom rules get every
+ * value, empty ones included.
+ *
+ * @autor Rogério O. Yokoi
+ * @website https://github.com/rogerioyokoi
+ * @repository https://github.com/rogerioyokoi/todo-vanilla
+ *
+ * @example
+ * validateValue('ab', { required: true, minLength: 3 });
+ * // { valid: false, flag: 'tooShort', message: 'Use at least 3 characters.' }
+ *
+ * validateValue('#home', {
+ *   rules: [{ validate: (value) => !value.startsWith('#'), message: 'Type the tag without #.' }],
+ * });
+ * // { valid: false, flag: 'customError', message: 'Type the tag without #.' }
+ */
+
+import { i18n } from '../i18n/i18n.js';
+
+/**
+ * Names of the ValidityState flags reported by validateValue.
+ * @readonly
+ * @enum {string}
+ */
+export const VALIDITY_FLAGS = Object.freeze({
+  VALUE_MISSING: 'valueMissing',
+  TOO_SHORT: 'tooShort',
+  TOO_LONG: 'tooLong',
+  PATTERN_MISMATCH: 'patternMismatch',
+  RANGE_UNDERFLOW: 'rangeUnderflow',
+  RANGE_OVERFLOW: 'rangeOverflow',
+  CUSTOM_ERROR: 'customError',
+});
+
+const VALID = Object.freeze({ valid: true, flag: null, message: '' });
+
+/**
+ * Compares two limits, as numbers when both are numeric and as text otherwise,
+ * which orders date (`YYYY-MM-DD`) and `datetime-local` values as well.
+ * @param {string} a - A value.
+ * @param {string} b - Another value.
+ * @returns {number} Less than zero if a comes first, more than zero if b does, zero if equal.
+ */
+const compare = (a, b) => {
+  const numbers = [Number(a), Number(b)];
+  if (a !== '' && b !== '' && numbers.every(Number.isFinite)) {
+    return numbers[0] - numbers[1];
+  }
+
+  return String(a).localeCompare(String(b));
+};
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Checks whether a value is empty for `required`. Whitespace alone is empty, and so is an unchecked checkbox.
+ * @param {string|boolean|null} value - The value.
+ * @returns {boolean} True if the value is missing.
+ */
+export function isEmptyValue(value) {
+  if (typeof value === 'boolean') {
+    return !value;
+  }
+
+  return !isSet(value) || !String(value).trim();
+}
+
+/**
+ * Checks a value against the constraints of a field.
+ * @param {string|boolean|null} value - The value, a boolean for checkboxes.
+ * @param {Object} [constraints={}] - The constraints.
+ * @param {boolean} [constraints.required=false] - The value may not be empty.
+ * @param {number} [constraints.minLength] - The least number of characters.
+ * @param {number} [constraints.maxLength] - The most number of characters.
+ * @param {string|RegExp} [constraints.pattern] - A pattern the whole value must match.
+ * @param {string|number} [constraints.min] - The lowest value.
+ * @param {string|number} [constraints.max] - The highest value.
+ * @param {Object[]} [constraints.rules=[]] - Custom rules, each with a `validate(value)` function that
+ * returns true for valid values and the `message` to show otherwise (a string, or a function returning it).
+ * @param {Object} [options] - Validation options.
+ * @param {function(*): string} [options.formatLimit=String] - Formats `min` and `max` in the messages,
+ * e.g. as dates.
+ * @returns {{ valid: boolean, flag: string|null, message: string }} The result; `flag` is one of
+ * VALIDITY_FLAGS when the value is not valid.
+ * @throws Will throw an error if a rule has no validate function.
+ */
+export function validateValue(value, constraints = {}, { formatLimit = String } = {}) {
+  const { required = false, minLength, maxLength, pattern, min, max, rules = [] } = constraints;
+  const invalid = (flag, key, params) => ({ valid: false, flag, message: i18n.t(`validation.${key}`, params) });
+
+  if (isEmptyValue(value)) {
+    if (required) {
+      return invalid(VALIDITY_FLAGS.VALUE_MISSING, typeof value === 'boolean' ? 'unchecked' : 'valueMissing');
+    }
+  } else if (typeof value !== 'boolean') {
+    const text = String(value);
+    if (isSet(minLength) && text.length < minLength) {
+      return invalid(VALIDITY_FLAGS.TOO_SHORT, 'tooShort', { min: Number(minLength) });
+    }
+    if (isSet(maxLength) && text.length > maxLength) {
+      return invalid(VALIDITY_FLAGS.TOO_LONG, 'tooLong', { max: Number(maxLength) });
+    }
+    if (isSet(pattern) && !new RegExp(`^(?:${pattern instanceof RegExp ? pattern.source : pattern})$`).test(text)) {
+      return invalid(VALIDITY_FLAGS.PATTERN_MISMATCH, 'patternMismatch');
+    }
+    if (isSet(min) && compare(text, min) < 0) {
+      return invalid(VALIDITY_FLAGS.RANGE_UNDERFLOW, 'rangeUnderflow', { min: formatLimit(min) });
+    }
+    if (isSet(max) && compare(text, max) > 0) {
+      return invalid(VALIDITY_FLAGS.RANGE_OVERFLOW, 'rangeOverflow', { max: formatLimit(max) });
+    }
+  }
+
+  for (const rule of rules) {
+    if (typeof rule?.validate !== 'function') {
+      throw new Error('Define a valid validation rule with a validate function');
+    }
+    if (!rule.validate(value)) {
+      const message = typeof rule.message === 'function' ? rule.message(value) : rule.message;
+      return { valid: false, flag: VALIDITY_FLAGS.CUSTOM_ERROR, message: message || i18n.t('validation.invalid') };
+    }
+  }
+
+  return VALID;
+}
@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { VALIDITY_FLAGS, isEmptyValue, validateValue } from './fieldValidation';
+import { i18n } from '../i18n/i18n';
+
+describe('Test suite for the form field validation', () => {
+  afterEach(() => {
+    i18n.setLocale('en');
+  });
+
+  it.each([
+    ['', true],
+    ['  ', true],
+    [null, true],
+    [false, true],
+    ['0', false],
+    [true, false],
+  ])('Should tell whether %j is empty', (value, expected) => {
+    expect(isEmptyValue(value)).toBe(expected);
+  });
+
+  it('Should accept values that meet every constraint', () => {
+    expect(validateValue('Buy milk', { required: true, minLength: 3, maxLength: 20, pattern: '[A-Za-z ]+' })).toEqual({
+      valid: true,
+      flag: null,
+      message: '',
+    });
+  });
+
+  it.each([
+    ['', { required: true }, VALIDITY_FLAGS.VALUE_MISSING, 'Fill in this field.'],
+    [false, { required: true }, VALIDITY_FLAGS.VALUE_MISSING, 'Check this box to continue.'],
+    ['ab', { minLength: 3 }, VALIDITY_FLAGS.TOO_SHORT, 'Use at least 3 characters.'],
+    ['abc', { maxLength: 1 }, VALIDITY_FLAGS.TOO_LONG, 'Use at most 1 character.'],
+    ['abc1', { pattern: '[a-z]+' }, VALIDITY_FLAGS.PATTERN_MISMATCH, 'Match the requested format.'],
+    ['abc1', { pattern: /[a-z]+/ }, VALIDITY_FLAGS.PATTERN_MISMATCH, 'Match the requested format.'],
+    ['2024-05-31', { min: '2024-06-01' }, VALIDITY_FLAGS.RANGE_UNDERFLOW, 'Choose 2024-06-01 or later.'],
+    ['9', { max: 10 }, null, ''],
+    ['11', { max: 10 }, VALIDITY_FLAGS.RANGE_OVERFLOW, 'Choose 10 or earlier.'],
+  ])('Should check %j against %j', (value, constraints, flag, message) => {
+    expect(validateValue(value, constraints)).toEqual({ valid: !flag, flag, message });
+  });
+
+  it('Should only check an empty value for required', () => {
+    expect(validateValue('', { minLength: 3, pattern: '\\d+', min: '2024-06-01' }).valid).toBe(true);
+  });
+
+  it('Should run the custom rules after the built-in constraints', () => {
+    const validate = vi.fn((value) => !value.startsWith('#'));
+    const rules = [{ validate, message: (value) => `Type ${value.slice(1)} without #.` }];
+
+    expect(validateValue('#home', { rules })).toEqual({
+      valid: false,
+      flag: VALIDITY_FLAGS.CUSTOM_ERROR,
+      message: 'Type home without #.',
+    });
+    expect(validateValue('', { required: true, rules }).flag).toBe(VALIDITY_FLAGS.VALUE_MISSING);
+    expect(validateValue('', { rules }).valid).toBe(true);
+    expect(validate).toHaveBeenCalledWith('');
+  });
+
+  it('Should describe a failed custom rule without a message', () => {
+    expect(validateValue('a', { rules: [{ validate: () => false }] }).message).toBe('Enter a valid value.');
+    expect(() => validateValue('a', { rules: [{ message: 'Invalid' }] })).toThrow(
+      'Define a valid validation rule with a validate function',
+    );
+  });
+
+  it('Should format the limits and translate the messages', () => {
+    i18n.setLocale('pt-BR');
+
+    expect(validateValue('ab', { minLength: 3 }).message).toBe('Use pelo menos 3 caracteres.');
+    expect(validateValue('1', { min: 2 }, { formatLimit: (limit) => `#${limit}` }).message).toBe(
+      'Escolha #2 ou depois.',
+    );
+  });
+});
@@ -6,7 +6,20 @@ export default {
   ],
   darkMode: ['selector', '[data-mode="dark"]'],
   theme: {
-    extend: {},
+    extend: {
+      // Colors of the current palette, set as CSS custom properties by the theme manager.
+      colors: {
+        theme: {
+          background: "var(--color-background)",
+          surface: "var(--color-surface)",
+          text: "var(--color-text)",
+          muted: "var(--color-muted)",
+          border: "var(--color-border)",
+          accent: "var(--color-accent)",
+          "accent-text": "var(--color-accent-text)",
+        },
+      },
+    },
   },
   plugins: [],
 }
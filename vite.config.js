@@ -1,10 +1,67 @@
 /** @type {import('vite').UserConfig} */
+import { createHash } from 'node:crypto';
 import dns from 'node:dns';
+import { readFile, readdir } from 'node:fs/promises';
 import path from 'path';
-import { defineConfig } from 'vite';
+import { build, defineConfig } from 'vite';
 
 dns.setDefaultResultOrder('verbatim');
 
+/**
+ * Builds the service worker next to the app, see src/js/pwa/serviceWorker.js.
+ * It precaches every file of the build, public files included, and its cache
+ * version is a hash of their contents, so each deploy that changes a file
+ * installs a new service worker, which prompts the open pages to reload.
+ * @param {Object} options - Plugin options.
+ * @param {string} options.entry - The service worker script.
+ * @param {string} [options.fileName='sw.js'] - The name of the built service worker.
+ * @returns {import('vite').Plugin} The plugin.
+ */
+function serviceWorker({ entry, fileName = 'sw.js' }) {
+  let config;
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    async closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const files = (await readdir(outDir, { recursive: true, withFileTypes: true }))
+        .filter((file) => file.isFile())
+        .map((file) =>
+          path
+            .relative(outDir, path.join(file.parentPath ?? file.path, file.name))
+            .split(path.sep)
+            .join('/'),
+        )
+        .filter((file) => file !== fileName && !file.endsWith('.map'))
+        .sort();
+
+      const hash = createHash('sha256');
+      for (const file of files) {
+        hash.update(file).update(await readFile(path.join(outDir, file)));
+      }
+
+      await build({
+        configFile: false,
+        logLevel: 'warn',
+        define: {
+          __CACHE_VERSION__: JSON.stringify(hash.digest('hex').slice(0, 12)),
+          __PRECACHE_URLS__: JSON.stringify(files),
+        },
+        build: {
+          outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          lib: { entry, name: 'serviceWorker', formats: ['iife'], fileName: () => fileName },
+        },
+      });
+    },
+  };
+}
+
 export default defineConfig({
   server: {
     port: 8080,
@@ -14,4 +71,5 @@ export default defineConfig({
       '@web-component': path.resolve(__dirname, './src/components'),
     },
   },
+  plugins: [serviceWorker({ entry: path.resolve(__dirname, './src/js/pwa/serviceWorker.js') })],
 });